@@ -0,0 +1,80 @@
+-- Migration 020: Durable generation job queue
+-- Replaces fire-and-forget pipeline promises and the 5-minute stall sweeper.
+-- Every background generation (initial pipeline, checkpoint batches) is a row here.
+-- Workers claim jobs with a lease, heartbeat while running, and retry with backoff.
+-- A job whose lease expires (crashed instance, deploy restart) is re-claimed by any worker
+-- and resumes from stories.generation_progress — generateChapter skips existing chapters,
+-- and chapters(story_id, chapter_number) is UNIQUE, so a resume never duplicates chapters.
+
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  job_type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'dead')),
+  priority INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  heartbeat_at TIMESTAMPTZ,
+  checkpoint JSONB,
+  last_error TEXT,
+  error_history JSONB NOT NULL DEFAULT '[]'::jsonb,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Claim order: highest priority first, then oldest eligible
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_claim
+ON generation_jobs(status, priority DESC, run_after);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_story
+ON generation_jobs(story_id, created_at DESC);
+
+-- At most one live job per story + type. Enqueueing the same work twice
+-- (double-tap on a checkpoint, recovery racing a request) collapses onto one row.
+CREATE UNIQUE INDEX IF NOT EXISTS unique_live_generation_job
+ON generation_jobs(story_id, job_type)
+WHERE status IN ('queued', 'running');
+
+ALTER TABLE generation_jobs ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users can read own generation jobs" ON generation_jobs FOR SELECT USING (user_id = auth.uid());
+CREATE POLICY "Service role full access on generation_jobs" ON generation_jobs FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- Atomically claim the next runnable job.
+-- Eligible: queued jobs whose backoff has elapsed, or running jobs whose lease expired
+-- (the previous worker died without completing or failing the job).
+-- SKIP LOCKED lets several instances poll concurrently without claiming the same row.
+CREATE OR REPLACE FUNCTION claim_generation_job(p_worker_id TEXT, p_lease_seconds INTEGER DEFAULT 120)
+RETURNS SETOF generation_jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE generation_jobs j
+  SET status = 'running',
+      locked_by = p_worker_id,
+      locked_until = NOW() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = NOW(),
+      attempts = j.attempts + 1,
+      started_at = COALESCE(j.started_at, NOW()),
+      updated_at = NOW()
+  WHERE j.id = (
+    SELECT id FROM generation_jobs
+    WHERE (status = 'queued' AND run_after <= NOW())
+       OR (status = 'running' AND locked_until < NOW())
+    ORDER BY priority DESC, run_after ASC
+    FOR UPDATE SKIP LOCKED
+    LIMIT 1
+  )
+  RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE generation_jobs IS 'Durable queue for background story generation — leases, heartbeats, retry with backoff, dead-lettering';
+COMMENT ON COLUMN generation_jobs.checkpoint IS 'Last observed stories.generation_progress while the job ran — where a resumed attempt picks up';
+COMMENT ON FUNCTION claim_generation_job IS 'Claims one runnable job for a worker (queued + due, or running with an expired lease)';
@@ -0,0 +1,81 @@
+-- Migration 021: AI spend budgets
+-- api_costs records every model/image/voice call, but nothing read it back to stop spending.
+-- Budgets are checked before the expensive entry points (select-premise, generate-next,
+-- generate-sequel, cover generation, chat turns).
+--
+-- Resolution for a scope + period:
+--   a row with scope_id = the user/story id beats the scope default (scope_id IS NULL).
+-- Global budgets always have scope_id NULL.
+
+CREATE TABLE IF NOT EXISTS ai_budgets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope TEXT NOT NULL CHECK (scope IN ('global', 'user', 'story')),
+  scope_id UUID,
+  period TEXT NOT NULL CHECK (period IN ('daily', 'monthly')),
+  limit_usd DECIMAL(10, 2) NOT NULL CHECK (limit_usd >= 0),
+  soft_limit_ratio DECIMAL(3, 2) NOT NULL DEFAULT 0.80 CHECK (soft_limit_ratio > 0 AND soft_limit_ratio <= 1),
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  updated_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (scope <> 'global' OR scope_id IS NULL)
+);
+
+-- One budget per scope target + period (NULLS NOT DISTINCT so there's a single default row)
+CREATE UNIQUE INDEX IF NOT EXISTS unique_ai_budget
+ON ai_budgets(scope, scope_id, period) NULLS NOT DISTINCT;
+
+-- Admin overrides: temporarily raise (extra_usd) or lift (extra_usd NULL) a budget
+CREATE TABLE IF NOT EXISTS ai_budget_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope TEXT NOT NULL CHECK (scope IN ('global', 'user', 'story')),
+  scope_id UUID,
+  extra_usd DECIMAL(10, 2) CHECK (extra_usd IS NULL OR extra_usd >= 0),
+  reason TEXT,
+  created_by UUID,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_budget_overrides_active
+ON ai_budget_overrides(scope, scope_id, expires_at);
+
+ALTER TABLE ai_budgets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_budget_overrides ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access on ai_budgets" ON ai_budgets FOR ALL TO service_role USING (true) WITH CHECK (true);
+CREATE POLICY "Service role full access on ai_budget_overrides" ON ai_budget_overrides FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- System-level spend (editor briefs, intelligence reports) has no user but still counts globally
+ALTER TABLE api_costs ALTER COLUMN user_id DROP NOT NULL;
+
+-- Spend lookups filter by time window
+CREATE INDEX IF NOT EXISTS idx_costs_created ON api_costs(created_at);
+CREATE INDEX IF NOT EXISTS idx_costs_user_created ON api_costs(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_costs_story_created ON api_costs(story_id, created_at);
+
+-- Sum of api_costs.cost since a point in time, optionally for one user or story
+CREATE OR REPLACE FUNCTION ai_spend_since(
+  p_since TIMESTAMPTZ,
+  p_user_id UUID DEFAULT NULL,
+  p_story_id UUID DEFAULT NULL
+)
+RETURNS DECIMAL AS $$
+  SELECT COALESCE(SUM(cost), 0)
+  FROM api_costs
+  WHERE created_at >= p_since
+    AND (p_user_id IS NULL OR user_id = p_user_id)
+    AND (p_story_id IS NULL OR story_id = p_story_id);
+$$ LANGUAGE sql STABLE;
+
+-- Starting defaults — tune via PUT /admin/budgets
+INSERT INTO ai_budgets (scope, scope_id, period, limit_usd) VALUES
+  ('global', NULL, 'daily', 500.00),
+  ('global', NULL, 'monthly', 10000.00),
+  ('user', NULL, 'daily', 25.00),
+  ('user', NULL, 'monthly', 150.00),
+  ('story', NULL, 'monthly', 40.00)
+ON CONFLICT DO NOTHING;
+
+COMMENT ON TABLE ai_budgets IS 'Daily/monthly AI spend limits per user, per story and globally; scope_id NULL = default for the scope';
+COMMENT ON TABLE ai_budget_overrides IS 'Time-boxed admin overrides: extra_usd raises the limit, NULL lifts it entirely';
+COMMENT ON FUNCTION ai_spend_since IS 'Total api_costs.cost since p_since, optionally filtered to a user or story';
@@ -0,0 +1,18 @@
+-- Migration 022: Variable-length books
+-- Books were hard-wired to 12 chapters with checkpoints after chapters 2, 5 and 8.
+-- A story now requests a length (novella / standard / epic) and its arc declares the
+-- chapter count; the batch + checkpoint schedule derived from it is stored on the arc.
+-- See src/services/book-plan.js for the plan shape.
+
+-- Requested length, chosen at select-premise (sequels inherit it)
+ALTER TABLE stories
+ADD COLUMN IF NOT EXISTS book_length TEXT DEFAULT 'standard'
+CHECK (book_length IN ('novella', 'standard', 'epic'));
+
+-- Chapter count + batch/checkpoint schedule declared by the arc.
+-- NULL for arcs created before this migration — those are standard 12-chapter books.
+ALTER TABLE story_arcs
+ADD COLUMN IF NOT EXISTS book_plan JSONB;
+
+COMMENT ON COLUMN stories.book_length IS 'Requested book length: novella (6 chapters), standard (12) or epic (24)';
+COMMENT ON COLUMN story_arcs.book_plan IS 'Chapter count and checkpoint schedule: { book_length, total_chapters, batches: [{ start, end, checkpoint }], pre_classify_after_chapter }';
@@ -0,0 +1,97 @@
+-- Migration 023: Chapter revision history
+-- Surgical validation fixes, character voice revisions and Prospero's Editor corrections
+-- used to overwrite chapters.content in place. Every content mutation is now an immutable
+-- row here recording where it came from, who asked for it, what it cost and why.
+--
+-- Revision 1 is the chapter as generated. It's captured lazily the first time a chapter
+-- is changed, so chapters written before this migration get a baseline too.
+-- Rollback never deletes history — it appends a new revision with the old content.
+
+CREATE TABLE IF NOT EXISTS chapter_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chapter_id UUID NOT NULL REFERENCES chapters(id) ON DELETE CASCADE,
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  chapter_number INTEGER NOT NULL,
+  revision_number INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  word_count INTEGER NOT NULL,
+  source TEXT NOT NULL
+    CHECK (source IN ('generation', 'validation', 'voice_review', 'reader_correction', 'admin', 'rollback')),
+  author_id UUID,
+  cost_usd DECIMAL(10, 6) NOT NULL DEFAULT 0,
+  reason TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (chapter_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chapter_revisions_story
+ON chapter_revisions(story_id, chapter_number);
+
+ALTER TABLE chapter_revisions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users can read revisions of own stories" ON chapter_revisions FOR SELECT
+  USING (story_id IN (SELECT id FROM stories WHERE user_id = auth.uid()));
+CREATE POLICY "Service role full access on chapter_revisions" ON chapter_revisions FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- Which revision chapters.content currently holds (0 = original, never revised)
+ALTER TABLE chapters
+ADD COLUMN IF NOT EXISTS current_revision INTEGER NOT NULL DEFAULT 0;
+
+-- Apply a content change and record it, atomically.
+-- Locks the chapter row so concurrent revisions get sequential numbers, records the
+-- baseline (revision 1) if this is the first change, then appends the new revision.
+-- Returns the new revision plus the content it replaced (for offset remapping).
+CREATE OR REPLACE FUNCTION apply_chapter_revision(
+  p_chapter_id UUID,
+  p_content TEXT,
+  p_source TEXT,
+  p_author_id UUID DEFAULT NULL,
+  p_cost_usd DECIMAL DEFAULT 0,
+  p_reason TEXT DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_chapter chapters%ROWTYPE;
+  v_next INTEGER;
+  v_word_count INTEGER;
+  v_revision_id UUID;
+BEGIN
+  SELECT * INTO v_chapter FROM chapters WHERE id = p_chapter_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Chapter % not found', p_chapter_id;
+  END IF;
+
+  SELECT COALESCE(MAX(revision_number), 0) INTO v_next
+  FROM chapter_revisions WHERE chapter_id = p_chapter_id;
+
+  IF v_next = 0 THEN
+    INSERT INTO chapter_revisions (chapter_id, story_id, chapter_number, revision_number, content, word_count, source, created_at)
+    VALUES (v_chapter.id, v_chapter.story_id, v_chapter.chapter_number, 1, v_chapter.content, v_chapter.word_count, 'generation', v_chapter.created_at);
+    v_next := 1;
+  END IF;
+  v_next := v_next + 1;
+
+  v_word_count := COALESCE(array_length(regexp_split_to_array(btrim(p_content), '\s+'), 1), 0);
+
+  INSERT INTO chapter_revisions (chapter_id, story_id, chapter_number, revision_number, content, word_count, source, author_id, cost_usd, reason, metadata)
+  VALUES (v_chapter.id, v_chapter.story_id, v_chapter.chapter_number, v_next, p_content, v_word_count, p_source, p_author_id, COALESCE(p_cost_usd, 0), p_reason, COALESCE(p_metadata, '{}'::jsonb))
+  RETURNING id INTO v_revision_id;
+
+  UPDATE chapters
+  SET content = p_content, word_count = v_word_count, current_revision = v_next
+  WHERE id = p_chapter_id;
+
+  RETURN jsonb_build_object(
+    'revision_id', v_revision_id,
+    'revision_number', v_next,
+    'story_id', v_chapter.story_id,
+    'chapter_number', v_chapter.chapter_number,
+    'previous_content', v_chapter.content
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE chapter_revisions IS 'Immutable history of chapter content changes: source (generation/validation/voice_review/reader_correction/admin/rollback), author, cost and reason';
+COMMENT ON COLUMN chapters.current_revision IS 'chapter_revisions.revision_number that content currently holds; 0 = never revised';
+COMMENT ON FUNCTION apply_chapter_revision IS 'Atomically record a chapter revision (capturing the baseline on first change) and update chapters.content';
@@ -0,0 +1,16 @@
+-- Migration 024: Reader-requested chapter rewrites
+-- POST /story/:storyId/chapters/:n/rewrite regenerates a whole chapter from the reader's
+-- instructions. The new text is a chapter revision with source 'reader_rewrite'
+-- (the version the reader read stays in chapter_revisions).
+
+ALTER TABLE chapter_revisions
+DROP CONSTRAINT IF EXISTS chapter_revisions_source_check;
+
+ALTER TABLE chapter_revisions
+ADD CONSTRAINT chapter_revisions_source_check
+CHECK (source IN ('generation', 'validation', 'voice_review', 'reader_correction', 'reader_rewrite', 'admin', 'rollback'));
+
+-- Lets a retried rewrite job find the revision its previous attempt already stored
+CREATE INDEX IF NOT EXISTS idx_chapter_revisions_job
+ON chapter_revisions((metadata->>'job_id'))
+WHERE source = 'reader_rewrite';
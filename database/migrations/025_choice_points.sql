@@ -0,0 +1,98 @@
+-- Migration 025: Choose-your-path choice points
+-- In choose-your-path stories each feedback checkpoint also offers 2-3 divergent outline
+-- continuations for the rest of the book. The reader's pick is written into the arc before
+-- the next batch is generated; the branches they didn't pick are kept so they can later be
+-- explored as a forked story (an alternate timeline sharing everything up to the checkpoint).
+
+ALTER TABLE stories
+ADD COLUMN IF NOT EXISTS choose_your_path BOOLEAN NOT NULL DEFAULT false;
+
+-- Lineage for forked stories (alternate timelines)
+ALTER TABLE stories
+ADD COLUMN IF NOT EXISTS forked_from_story_id UUID REFERENCES stories(id) ON DELETE SET NULL;
+
+ALTER TABLE stories
+ADD COLUMN IF NOT EXISTS forked_from_chapter INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_stories_forked_from ON stories(forked_from_story_id)
+WHERE forked_from_story_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS story_branches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  checkpoint TEXT NOT NULL,              -- book plan checkpoint name, e.g. 'chapter_5'
+  branch_index INTEGER NOT NULL,         -- 1-3, order offered to the reader
+  title TEXT NOT NULL,                   -- short hook for the choice ("Trust the smuggler")
+  summary TEXT NOT NULL,                 -- how the rest of the book unfolds on this path
+  chapters JSONB NOT NULL,               -- replacement arc outlines, first chapter after the checkpoint to the end
+  status TEXT NOT NULL DEFAULT 'proposed'
+    CHECK (status IN ('proposed', 'chosen', 'unchosen')),
+  forked_story_id UUID REFERENCES stories(id) ON DELETE SET NULL,
+  chosen_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (story_id, checkpoint, branch_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_story_branches_story ON story_branches(story_id, checkpoint);
+
+ALTER TABLE story_branches ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users can read branches of own stories" ON story_branches FOR SELECT
+  USING (story_id IN (SELECT id FROM stories WHERE user_id = auth.uid()));
+CREATE POLICY "Service role full access on story_branches" ON story_branches FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- Choosing a branch: the arc rewrite and the branch statuses change together, and the
+-- checkpoint's branches are locked so two concurrent choices can't both win
+CREATE OR REPLACE FUNCTION choose_story_branch(
+  p_branch_id UUID,
+  p_arc_id UUID,
+  p_chapters JSONB,
+  p_outline JSONB,
+  p_chosen_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_branch story_branches%ROWTYPE;
+  v_chosen story_branches%ROWTYPE;
+BEGIN
+  SELECT * INTO v_branch FROM story_branches WHERE id = p_branch_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Branch not found';
+  END IF;
+
+  PERFORM 1 FROM story_branches
+  WHERE story_id = v_branch.story_id AND checkpoint = v_branch.checkpoint
+  FOR UPDATE;
+
+  SELECT * INTO v_chosen FROM story_branches
+  WHERE story_id = v_branch.story_id AND checkpoint = v_branch.checkpoint AND status = 'chosen';
+  IF FOUND THEN
+    IF v_chosen.id = p_branch_id THEN
+      RETURN to_jsonb(v_chosen);
+    END IF;
+    RAISE EXCEPTION 'A path was already chosen at %', v_branch.checkpoint;
+  END IF;
+
+  UPDATE story_arcs
+  SET chapters = p_chapters, outline = p_outline
+  WHERE id = p_arc_id AND story_id = v_branch.story_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Arc % not found for story %', p_arc_id, v_branch.story_id;
+  END IF;
+
+  UPDATE story_branches
+  SET status = 'unchosen'
+  WHERE story_id = v_branch.story_id AND checkpoint = v_branch.checkpoint AND id <> p_branch_id;
+
+  UPDATE story_branches
+  SET status = 'chosen', chosen_at = p_chosen_at
+  WHERE id = p_branch_id
+  RETURNING * INTO v_chosen;
+
+  RETURN to_jsonb(v_chosen);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE story_branches IS 'Divergent outline continuations offered at choose-your-path checkpoints; unchosen branches can be forked into alternate-timeline stories';
+COMMENT ON COLUMN stories.choose_your_path IS 'Offer outline branches at each feedback checkpoint; the next batch waits for the reader''s choice';
+COMMENT ON COLUMN stories.forked_from_story_id IS 'Story this one was forked from (alternate timeline); chapters up to forked_from_chapter are copies';
+COMMENT ON FUNCTION choose_story_branch IS 'Atomically apply a branch''s outlines to the arc and mark it chosen (the other branches at its checkpoint unchosen)';
@@ -0,0 +1,42 @@
+-- Migration 026: Versioned prompt templates
+-- The generation prompts (bible, arc, chapter, review, sequel bible, world codex, prose
+-- directive and the craft rule / guardrail partials) are named, versioned templates in
+-- src/config/prompts/. Every version that has ever run is recorded here at server startup,
+-- so admins can diff versions long after the code has moved on.
+--
+-- Rows produced by a prompt record which versions produced them, as { "name": version }.
+-- Quality snapshots aggregate the chapter versions so a quality change can be traced to a
+-- prompt change.
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,                    -- e.g. 'chapter_generation'
+  version INTEGER NOT NULL,
+  description TEXT,
+  variables JSONB NOT NULL DEFAULT '{}'::jsonb,   -- { variableName: 'string' | 'object?' | ... }
+  template TEXT NOT NULL,
+  hash TEXT NOT NULL,                    -- fingerprint of template + variables, detects edits without a version bump
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (name, version)
+);
+
+ALTER TABLE prompt_templates ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access on prompt_templates" ON prompt_templates FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+ALTER TABLE story_bibles
+ADD COLUMN IF NOT EXISTS prompt_versions JSONB;
+
+ALTER TABLE story_arcs
+ADD COLUMN IF NOT EXISTS prompt_versions JSONB;
+
+ALTER TABLE chapters
+ADD COLUMN IF NOT EXISTS prompt_versions JSONB;
+
+-- Versions used across the story's chapters: { "name": [versions] }
+ALTER TABLE IF EXISTS quality_snapshots
+ADD COLUMN IF NOT EXISTS prompt_versions JSONB;
+
+COMMENT ON TABLE prompt_templates IS 'Every version of every registered generation prompt, recorded at startup for auditing and diffs';
+COMMENT ON COLUMN chapters.prompt_versions IS 'Prompt template versions that produced this chapter (generation, review, craft rules, guardrails, prose directive)';
+COMMENT ON COLUMN story_bibles.prompt_versions IS 'Prompt template version that produced this bible';
+COMMENT ON COLUMN story_arcs.prompt_versions IS 'Prompt template version that produced this arc';
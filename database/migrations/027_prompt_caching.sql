@@ -0,0 +1,24 @@
+-- Migration 027: Prompt caching usage in api_costs
+-- Chapter generation, quality review, ledger extraction and voice review send their
+-- story-stable context (bible, world codex, craft rules, review standards) as cached prompt
+-- prefixes. Anthropic bills cache writes at 1.25x and cache reads at 0.1x the input price,
+-- so both are recorded per call and summed per story in quality snapshots.
+--
+-- input_tokens stays the uncached input; total_tokens now includes cache tokens.
+
+ALTER TABLE api_costs
+ADD COLUMN IF NOT EXISTS cache_write_tokens INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE api_costs
+ADD COLUMN IF NOT EXISTS cache_read_tokens INTEGER NOT NULL DEFAULT 0;
+
+-- Saved against sending the same tokens uncached; negative when a written cache was never read
+ALTER TABLE api_costs
+ADD COLUMN IF NOT EXISTS cache_savings DECIMAL(10, 6) NOT NULL DEFAULT 0;
+
+ALTER TABLE IF EXISTS quality_snapshots
+ADD COLUMN IF NOT EXISTS cache_savings DECIMAL(10, 6);
+
+COMMENT ON COLUMN api_costs.cache_write_tokens IS 'Input tokens written to the prompt cache (billed at 1.25x input)';
+COMMENT ON COLUMN api_costs.cache_read_tokens IS 'Input tokens read from the prompt cache (billed at 0.1x input)';
+COMMENT ON COLUMN api_costs.cache_savings IS 'USD saved by prompt caching on this call';
@@ -0,0 +1,64 @@
+-- Migration 028: A/B experiments on generation_config feature flags
+-- generation_config gates the pipeline systems (character_ledger, world_ledger, voice_review,
+-- three_pass_constraints, prose_directive, bible_refresh, arc_enrichment, entity_validation,
+-- adaptive_preferences). Experiments assign those flags to new stories by cohort instead of
+-- setting them by hand.
+--
+-- An experiment has weighted variants, each a set of flag values, e.g.
+--   [{ "name": "control", "weight": 50, "config": {} },
+--    { "name": "no_voice_review", "weight": 50, "config": { "voice_review": false } }]
+-- and targeting rules: { "percentage": 20, "reading_levels": ["young_adult"], "genres": ["fantasy"] }
+-- (empty lists match everything).
+--
+-- Assignment is sticky per user: the first story a user starts while an experiment runs
+-- fixes their variant, and every later story of theirs gets the same one.
+
+CREATE TABLE IF NOT EXISTS experiments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,             -- slug, recorded in stories.generation_config.experiments
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'paused', 'completed')),
+  variants JSONB NOT NULL,
+  targeting JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by UUID,
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Sticky per-user variant
+CREATE TABLE IF NOT EXISTS experiment_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  variant TEXT NOT NULL,
+  assigned_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (experiment_id, user_id)
+);
+
+-- Stories that ran under an experiment, for reports
+CREATE TABLE IF NOT EXISTS experiment_stories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  variant TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (experiment_id, story_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiments_status ON experiments(status);
+CREATE INDEX IF NOT EXISTS idx_experiment_stories_experiment ON experiment_stories(experiment_id, variant);
+CREATE INDEX IF NOT EXISTS idx_experiment_stories_story ON experiment_stories(story_id);
+
+ALTER TABLE experiments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE experiment_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE experiment_stories ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access on experiments" ON experiments FOR ALL TO service_role USING (true) WITH CHECK (true);
+CREATE POLICY "Service role full access on experiment_assignments" ON experiment_assignments FOR ALL TO service_role USING (true) WITH CHECK (true);
+CREATE POLICY "Service role full access on experiment_stories" ON experiment_stories FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE experiments IS 'A/B experiments that assign generation_config feature flags to new stories';
+COMMENT ON TABLE experiment_assignments IS 'Sticky experiment variant per user';
+COMMENT ON TABLE experiment_stories IS 'Stories generated under an experiment variant';
@@ -0,0 +1,61 @@
+-- Migration 029: Configurable prose-lint rules and per-chapter violations
+-- The chapter prose scan (scanForProseViolations) runs a rule set: built-in rules in
+-- src/services/prose-lint.js plus the rows below. A row with the id of a built-in rule
+-- replaces it (retune its threshold, or disable it); any other id adds a rule — a regex,
+-- or a list of banned phrases / clichés matched as whole words.
+--
+-- Thresholds are occurrences allowed per 1,000 words (0 = any occurrence is a violation).
+-- Only 'error' rules send a chapter back for a targeted revision; 'warning' and 'info' are
+-- recorded for trending.
+
+CREATE TABLE IF NOT EXISTS prose_lint_rules (
+  id TEXT PRIMARY KEY,                   -- slug, e.g. 'cliche_heart_pounding'
+  description TEXT,
+  kind TEXT NOT NULL DEFAULT 'phrases' CHECK (kind IN ('pattern', 'phrases')),
+  pattern TEXT,                          -- regex source (kind = 'pattern'), matched case-insensitively
+  phrases JSONB,                         -- ["heart pounded", "let out a breath"] (kind = 'phrases')
+  severity TEXT NOT NULL DEFAULT 'warning' CHECK (severity IN ('error', 'warning', 'info')),
+  reading_levels JSONB NOT NULL DEFAULT '[]'::jsonb,  -- empty = every reading level
+  genres JSONB NOT NULL DEFAULT '[]'::jsonb,          -- empty = every genre
+  threshold_per_1k DECIMAL(6, 2) NOT NULL DEFAULT 0,
+  directive_thresholds JSONB,            -- { "em_dash_tolerance": { "embrace": null } } — null turns the rule off
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  updated_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per rule that matched the stored chapter text (violated or not, so rates can trend)
+CREATE TABLE IF NOT EXISTS chapter_prose_violations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chapter_id UUID NOT NULL REFERENCES chapters(id) ON DELETE CASCADE,
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  chapter_number INTEGER NOT NULL,
+  rule_id TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  match_count INTEGER NOT NULL,
+  per_1k DECIMAL(6, 2) NOT NULL,
+  threshold_per_1k DECIMAL(6, 2),
+  violated BOOLEAN NOT NULL,
+  excerpts JSONB,                        -- a few matched passages
+  word_count INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chapter_prose_violations_story ON chapter_prose_violations(story_id, chapter_number);
+CREATE INDEX IF NOT EXISTS idx_chapter_prose_violations_rule ON chapter_prose_violations(rule_id, created_at);
+
+ALTER TABLE prose_lint_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chapter_prose_violations ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access on prose_lint_rules" ON prose_lint_rules FOR ALL TO service_role USING (true) WITH CHECK (true);
+CREATE POLICY "Service role full access on chapter_prose_violations" ON chapter_prose_violations FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- Violations per chapter and by rule: { "rule_id": violated chapters }
+ALTER TABLE IF EXISTS quality_snapshots
+ADD COLUMN IF NOT EXISTS prose_violations_per_chapter DECIMAL(6, 2);
+
+ALTER TABLE IF EXISTS quality_snapshots
+ADD COLUMN IF NOT EXISTS prose_violations_by_rule JSONB;
+
+COMMENT ON TABLE prose_lint_rules IS 'Admin-managed prose-lint rules; a row with a built-in rule id overrides it';
+COMMENT ON TABLE chapter_prose_violations IS 'Prose-lint results for each stored chapter text';
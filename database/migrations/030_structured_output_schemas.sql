@@ -0,0 +1,31 @@
+-- Migration 030: Schema versions on stored model outputs
+-- Bibles, arcs, codexes, ledgers and chapter validations are validated against the JSON
+-- Schemas in src/config/schemas/ before they are stored (see structured-output.js). Each
+-- row records the schema version it was validated against, so readers can tell which shape
+-- a row holds after a schema changes. NULL = stored before schemas existed.
+
+ALTER TABLE IF EXISTS story_bibles
+ADD COLUMN IF NOT EXISTS schema_version INTEGER;
+
+ALTER TABLE IF EXISTS story_arcs
+ADD COLUMN IF NOT EXISTS schema_version INTEGER;
+
+ALTER TABLE IF EXISTS world_codex
+ADD COLUMN IF NOT EXISTS schema_version INTEGER;
+
+ALTER TABLE IF EXISTS character_ledger_entries
+ADD COLUMN IF NOT EXISTS schema_version INTEGER;
+
+ALTER TABLE IF EXISTS world_state_ledger
+ADD COLUMN IF NOT EXISTS schema_version INTEGER;
+
+-- A validation row can hold several outputs: { "chapter_constraints": 1, "constraint_validation": 1 }
+-- or { "entity_validation": 1 }
+ALTER TABLE IF EXISTS chapter_validations
+ADD COLUMN IF NOT EXISTS schema_versions JSONB;
+
+COMMENT ON COLUMN story_bibles.schema_version IS 'story_bible schema version the content was validated against (NULL = legacy)';
+COMMENT ON COLUMN story_arcs.schema_version IS 'arc_outline schema version the outline was validated against (NULL = legacy)';
+COMMENT ON COLUMN world_codex.schema_version IS 'world_codex schema version (NULL = legacy)';
+COMMENT ON COLUMN character_ledger_entries.schema_version IS 'character_ledger schema version (NULL = legacy)';
+COMMENT ON COLUMN world_state_ledger.schema_version IS 'world_ledger schema version (NULL = legacy)';
@@ -0,0 +1,27 @@
+-- Migration 031: Series plans
+-- When a reader asks for the first sequel, the series gets a plan: how many books it will
+-- run, the arc across all of them, the threads that deliberately carry from book to book
+-- and the planned ending. Every sequel bible is generated against it (see
+-- src/services/series-planner.js), and no sequel is offered past the planned last book.
+--
+-- Series whose sequels were written before plans existed have no row; they keep the
+-- open-ended, one-book-at-a-time behaviour.
+
+CREATE TABLE IF NOT EXISTS series_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  series_id UUID NOT NULL UNIQUE,
+  planned_books INTEGER NOT NULL CHECK (planned_books BETWEEN 2 AND 7),
+  series_arc JSONB NOT NULL,             -- { overarching_conflict, protagonist_journey, escalation }
+  books JSONB NOT NULL,                  -- [{ book_number, role, focus, ends_with }]
+  threads JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{ id, thread, introduced_in, resolves_in, progression }]
+  planned_ending JSONB NOT NULL,         -- { resolution, protagonist_end_state, final_image }
+  prompt_versions JSONB,
+  schema_version INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE series_plans ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access on series_plans" ON series_plans FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE series_plans IS 'Multi-book plan for a series; sequel bibles are generated against it';
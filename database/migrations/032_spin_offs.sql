@@ -0,0 +1,25 @@
+-- Migration 032: Spin-off stories
+-- A reader can spin a new story off a finished one, centred on one of its secondary
+-- characters (see src/services/spin-offs.js). The spin-off gets its own bible with that
+-- character as protagonist, a copy of the original's world codex, and continuity checks
+-- that draw on the original's final ledgers and established entities.
+--
+-- Spin-offs are not books in the original's series (series_id / book_number stay NULL);
+-- stories that share a world are grouped by world_id instead. The world's root story has
+-- world_id = its own id once the first spin-off is made.
+
+ALTER TABLE IF EXISTS stories
+ADD COLUMN IF NOT EXISTS spin_off_of_story_id UUID REFERENCES stories(id) ON DELETE SET NULL;
+
+ALTER TABLE IF EXISTS stories
+ADD COLUMN IF NOT EXISTS spin_off_character TEXT;
+
+ALTER TABLE IF EXISTS stories
+ADD COLUMN IF NOT EXISTS world_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_stories_spin_off_of ON stories(spin_off_of_story_id) WHERE spin_off_of_story_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stories_world_id ON stories(world_id) WHERE world_id IS NOT NULL;
+
+COMMENT ON COLUMN stories.spin_off_of_story_id IS 'Story this one was spun off from (NULL = not a spin-off)';
+COMMENT ON COLUMN stories.spin_off_character IS 'Secondary character of the original story who is this spin-off''s protagonist';
+COMMENT ON COLUMN stories.world_id IS 'Shared world: the id of the root story whose world codex and canon this story uses';
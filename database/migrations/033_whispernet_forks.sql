@@ -0,0 +1,63 @@
+-- Migration 033: WhisperNet forks
+-- A reader with a published book on their WhisperNet shelf can fork it after any chapter and
+-- continue it as their own story (see src/services/whispernet-forks.js). The fork copies the
+-- bible, codex, chapters and ledgers up to that chapter (stories.forked_from_story_id /
+-- forked_from_chapter, as for choice-point forks) and gets a new arc from there.
+--
+-- whispernet_forks records the lineage and the credit to the original author. Only active
+-- publications can be forked; a recall stops new forks but leaves existing ones with their
+-- readers.
+
+CREATE TABLE IF NOT EXISTS whispernet_forks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  original_story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  fork_story_id UUID NOT NULL UNIQUE REFERENCES stories(id) ON DELETE CASCADE,
+  forked_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  original_author_id UUID NOT NULL,
+  forked_from_chapter INTEGER NOT NULL CHECK (forked_from_chapter >= 1),
+  original_title TEXT NOT NULL,             -- snapshot for the credit line
+  author_display_name TEXT NOT NULL,        -- snapshot at fork time (privacy locked in, like whisper_events)
+  forker_display_name TEXT NOT NULL,        -- shown on the original's ledger
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_whispernet_forks_original ON whispernet_forks(original_story_id, created_at DESC);
+
+ALTER TABLE whispernet_forks ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role full access on whispernet_forks" ON whispernet_forks FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE whispernet_forks IS 'Readers'' forks of published WhisperNet books: lineage and author credit';
+
+-- book_forked events notify the author and count toward the Taproot badge
+ALTER TABLE whisper_events
+DROP CONSTRAINT IF EXISTS whisper_events_event_type_check;
+
+ALTER TABLE whisper_events
+ADD CONSTRAINT whisper_events_event_type_check
+CHECK (event_type IN (
+  'book_published',
+  'book_gifted',
+  'book_claimed',
+  'resonance_left',
+  'whisper_back_received',
+  'badge_earned',
+  'reading_started',
+  'book_forked'
+));
+
+-- Taproot: a story forked by 3 different readers
+ALTER TABLE earned_badges
+DROP CONSTRAINT IF EXISTS earned_badges_badge_type_check;
+
+ALTER TABLE earned_badges
+ADD CONSTRAINT earned_badges_badge_type_check
+CHECK (badge_type IN (
+  'ember',
+  'current',
+  'worldwalker',
+  'resonant',
+  'taproot',
+  'wanderer',
+  'lamplighter',
+  'chainmaker'
+));
@@ -0,0 +1,34 @@
+-- Migration 034: Book exports
+-- Readers can download a finished book as a print-ready PDF, a DOCX or Markdown manuscript or an
+-- EPUB (see src/services/book-export.js). POST /story/:storyId/exports records a request here
+-- and queues the story's book_export job, which renders every pending request from the stored
+-- chapters and bible and uploads the file to the private book-exports storage bucket.
+-- GET /story/:storyId/exports/:exportId returns a signed download link once it's ready.
+
+CREATE TABLE IF NOT EXISTS book_exports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  format TEXT NOT NULL CHECK (format IN ('pdf', 'docx', 'markdown', 'epub')),
+  options JSONB NOT NULL DEFAULT '{}',     -- PDF: { trimSize, largePrint }
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'rendering', 'ready', 'failed')),
+  storage_path TEXT,                       -- in the book-exports bucket, once ready
+  file_name TEXT,
+  file_size INTEGER,
+  error_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_book_exports_pending
+ON book_exports(story_id, created_at)
+WHERE status IN ('queued', 'rendering');
+
+CREATE INDEX IF NOT EXISTS idx_book_exports_user ON book_exports(user_id, created_at DESC);
+
+ALTER TABLE book_exports ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users can read own book exports" ON book_exports FOR SELECT USING (user_id = auth.uid());
+CREATE POLICY "Service role full access on book_exports" ON book_exports FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE book_exports IS 'Requested PDF/DOCX/Markdown/EPUB downloads of finished books, rendered by book_export jobs';
@@ -0,0 +1,31 @@
+-- Migration 035: Manuscript imports
+-- Readers can paste their own opening chapters (text or Markdown) and have the story continued
+-- in their voice (see src/services/manuscript-import.js). POST /story/import creates the story
+-- and records the split chapters here; the story's manuscript_import job reverse-engineers the
+-- bible, prose directive, codex and ledgers from them, plans the arc around them, stores them as
+-- the book's opening chapters and writes the rest of their batch.
+
+CREATE TABLE IF NOT EXISTS manuscript_imports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  story_id UUID NOT NULL UNIQUE REFERENCES stories(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  source_format TEXT NOT NULL CHECK (source_format IN ('text', 'markdown')),
+  title_given BOOLEAN NOT NULL DEFAULT FALSE,    -- the reader named the book; analysis keeps it
+  chapters JSONB NOT NULL,                       -- [{ chapter_number, title, content }] as imported
+  chapter_count INTEGER NOT NULL CHECK (chapter_count > 0),
+  word_count INTEGER,
+  chapter_notes JSONB,                           -- per-chapter key_events/hooks from the analysis
+  ledgers_through_chapter INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'complete', 'failed')),
+  error_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_manuscript_imports_user ON manuscript_imports(user_id, created_at DESC);
+
+ALTER TABLE manuscript_imports ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users can read own manuscript imports" ON manuscript_imports FOR SELECT USING (user_id = auth.uid());
+CREATE POLICY "Service role full access on manuscript_imports" ON manuscript_imports FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE manuscript_imports IS 'Reader-written opening chapters a story was imported from, and the manuscript_import job''s progress';
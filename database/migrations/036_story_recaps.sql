@@ -0,0 +1,26 @@
+-- Migration 036: Story recaps
+-- "Previously on…" recaps for readers coming back after a break (see src/services/story-recaps.js).
+-- A recap covers chapters 1..chapter_number and nothing later, so it's the same for every reader
+-- at that chapter and is cached here per story and chapter. source_hash is a hash of the prompt
+-- it was written from: when a chapter is revised or the template changes, the hash no longer
+-- matches and the recap is written again.
+
+CREATE TABLE IF NOT EXISTS story_recaps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  chapter_number INTEGER NOT NULL CHECK (chapter_number > 0),
+  recap JSONB NOT NULL,                 -- { one_line, paragraph, full }
+  source_hash TEXT NOT NULL,
+  prompt_versions JSONB,
+  schema_version INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(story_id, chapter_number)
+);
+
+ALTER TABLE story_recaps ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users can read own story recaps" ON story_recaps FOR SELECT USING (story_id IN (SELECT id FROM stories WHERE user_id = auth.uid()));
+CREATE POLICY "Service role full access on story_recaps" ON story_recaps FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE story_recaps IS 'Cached spoiler-free "story so far" recaps at three lengths, per story and chapter read';
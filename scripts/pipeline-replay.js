@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Record a real story run into a fixture bundle, or replay bundles offline.
+ *
+ * Usage:
+ *   node scripts/pipeline-replay.js record <entry> <arg...> --out <bundle.json> [--label name] [--settle 5000]
+ *   node scripts/pipeline-replay.js replay <bundle.json | directory> [--settle 5000]
+ *
+ * Entries: orchestratePreGeneration <storyId> <userId>
+ *          generateBatch <storyId> <startChapter> <endChapter> <userId>
+ *          generateChapter <storyId> <chapterNumber> <userId>
+ *          extractCharacterLedger | reviewCharacterVoices | extractWorldStateLedger
+ *            <storyId> <chapterNumber> <chapterContentFile> <userId>
+ *
+ * Recording runs against the live database and model API (from .env) — use a throwaway
+ * story. Replay needs neither: point it at tests/fixtures/replay/ after a prompt or parser
+ * change to see which calls drifted and whether every recorded run still completes.
+ * Each bundle replays with the settle window it was recorded with unless --settle overrides it.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ENTRY_POINTS, recordRun, replayRun, saveBundle, loadBundle } = require('../src/services/pipeline-recorder');
+
+// Chapter numbers arrive as strings; chapter content for the ledger entries is read from a file
+function entryArgs(entry, args) {
+  switch (entry) {
+    case 'generateBatch':
+      return [args[0], Number(args[1]), Number(args[2]), args[3]];
+    case 'generateChapter':
+      return [args[0], Number(args[1]), args[2]];
+    case 'extractCharacterLedger':
+    case 'reviewCharacterVoices':
+    case 'extractWorldStateLedger':
+      return [args[0], Number(args[1]), fs.readFileSync(args[2], 'utf8'), args[3]];
+    default:
+      return args;
+  }
+}
+
+function option(argv, name, fallback = null) {
+  const index = argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const [value] = argv.splice(index, 2).slice(1);
+  return value;
+}
+
+async function record(argv) {
+  const out = option(argv, 'out');
+  const label = option(argv, 'label');
+  const settleMs = Number(option(argv, 'settle', 0));
+  const [entry, ...args] = argv;
+
+  if (!entry || !ENTRY_POINTS[entry] || !out) {
+    console.error(`Usage: record <${Object.keys(ENTRY_POINTS).join('|')}> <arg...> --out <bundle.json>`);
+    process.exit(1);
+  }
+
+  const bundle = await recordRun(entry, entryArgs(entry, args), { label: label || path.basename(out, '.json'), settleMs });
+  saveBundle(bundle, out);
+  console.log(`💾 Saved ${out}`);
+}
+
+async function replay(argv) {
+  const settle = option(argv, 'settle');
+  const [target] = argv;
+  const files = fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target).filter(f => f.endsWith('.json')).map(f => path.join(target, f))
+    : [target];
+
+  let failed = 0;
+  for (const file of files) {
+    const bundle = loadBundle(file);
+    const report = await replayRun(bundle, { settleMs: settle != null ? Number(settle) : bundle.settle_ms || 0 });
+    const ok = !report.error && report.llm.missing.length === 0;
+    if (!ok) failed++;
+
+    console.log(`\n${ok ? '✅' : '❌'} ${path.basename(file)} — ${report.entry}`);
+    console.log(`   Model calls: ${report.llm.exact}/${report.llm.calls} exact, ${report.llm.drifted.length} drifted, ${report.llm.missing.length} missing`);
+    for (const call of report.llm.drifted) console.log(`     ↪ prompt changed: ${call.operation}`);
+    for (const [operation, count] of Object.entries(report.llm.unused)) console.log(`     ∅ ${count} recorded ${operation} response(s) not requested`);
+    console.log(`   Queries: ${report.supabase.queries}, ${report.supabase.misses.length} misses, ${report.supabase.writes.length} writes`);
+    for (const miss of report.supabase.misses) console.log(`     ✗ ${miss.operation} ${miss.table}`);
+    if (report.error) console.log(`   Error: ${report.error}`);
+  }
+
+  console.log(`\n${files.length - failed}/${files.length} bundles replayed cleanly`);
+  if (failed > 0) process.exit(1);
+}
+
+async function main() {
+  const [command, ...argv] = process.argv.slice(2);
+
+  if (command === 'record') return record(argv);
+  if (command === 'replay' && argv[0]) return replay(argv);
+
+  console.error('Usage: node scripts/pipeline-replay.js record <entry> <arg...> --out <bundle.json> | replay <bundle.json | directory>');
+  process.exit(1);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('❌', err.message);
+    process.exit(1);
+  });
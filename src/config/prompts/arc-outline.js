@@ -0,0 +1,148 @@
+/**
+ * Arc outline — the chapter-by-chapter roadmap for a book.
+ * acts holds the chapter numbers of each structural beat, computed from the book plan in
+ * generateArcOutline, so the same template scales from novellas to epics.
+ * establishedChaptersBlock is empty unless the opening chapters already exist (an imported
+ * manuscript); then their outlines describe what was written and the rest continue from it.
+ */
+module.exports = {
+  name: 'arc_outline',
+  version: 2,
+  description: 'Chapter-by-chapter arc outline with act structure scaled to the book length',
+  variables: {
+    bookLength: 'string',
+    bookLengthDescription: 'string',
+    totalChapters: 'number',
+    bible: 'object',
+    genre: 'string',
+    ageRange: 'string',
+    previousBooksBlock: 'string',
+    seriesContextBlock: 'string',
+    establishedChaptersBlock: 'string',
+    worldRules: 'string',
+    acts: 'object'
+  },
+  template: `You are an expert story structure designer creating a detailed roadmap for compelling fiction.
+
+This book is a {{bookLength}} — {{bookLengthDescription}} of exactly {{totalChapters}} chapters.
+
+Using this story bible, create a detailed {{totalChapters}}-chapter outline following a classic 3-act structure:
+
+<story_bible_summary>
+  <title>{{bible.title}}</title>
+  <genre>{{genre}}</genre>
+
+  <protagonist>
+    <name>{{bible.characters.protagonist.name}}</name>
+    <age>{{bible.characters.protagonist.age}}</age>
+    <goals>{{bible.characters.protagonist.goals}}</goals>
+    <fears>{{bible.characters.protagonist.fears}}</fears>
+    <internal_contradiction>{{bible.characters.protagonist.internal_contradiction|N/A}}</internal_contradiction>
+    <lie_they_believe>{{bible.characters.protagonist.lie_they_believe|N/A}}</lie_they_believe>
+  </protagonist>
+
+  <antagonist>
+    <name>{{bible.characters.antagonist.name}}</name>
+    <motivation>{{bible.characters.antagonist.motivation}}</motivation>
+  </antagonist>
+
+  <central_conflict>{{bible.central_conflict.description}}</central_conflict>
+
+  <stakes>{{bible.stakes.personal}}</stakes>
+
+  <themes>{{bible.themes}}</themes>
+
+  <target_age>{{ageRange}}</target_age>
+</story_bible_summary>
+{{previousBooksBlock}}{{seriesContextBlock}}{{establishedChaptersBlock}}
+<world_rules>
+{{worldRules}}
+</world_rules>
+
+Your arc MUST respect these world rules. If a chapter involves the world's systems (magic, technology, politics, etc.), the outline should reflect their costs and constraints. If a chapter involves travel, it should respect established geography. Do NOT plan plot beats that violate established world rules — readers will notice.
+
+GENRE-SPECIFIC STORYTELLING — this is a {{genre}} story. Your arc must use the conventions readers of this genre EXPECT:
+
+- MYSTERY/THRILLER/LEGAL: Plant clues and red herrings early. Use information asymmetry — the reader should sometimes know more than the protagonist, sometimes less. Reversals should recontextualize earlier scenes. Chapter endings should raise NEW questions, not just escalate danger. The midpoint twist (Ch {{acts.midpoint}}-{{acts.afterMidpoint}}) should flip the reader's assumption about who/what the real threat is.
+
+- FANTASY/EPIC: Worldbuilding reveals should be earned through plot, not exposition dumps. Magic systems need cost and consequence shown early. The "crossing the threshold" moment (leaving the familiar world) should happen by Ch 2-3. Political/factional complexity should layer in gradually. The protagonist's power growth should have setbacks, not a straight line up.
+
+- SCI-FI/SPACE OPERA: The central "what if" should be tested from multiple angles across the arc. Technology should create moral dilemmas, not just cool set pieces. Ensure the human story stays central even when the worldbuilding is vast. Hard choices > easy solutions.
+
+- LITRPG/GAMELIT: Progression milestones should map to plot milestones (level-up = story beat). System rules introduced in Act 1 should be cleverly exploited or broken in Act 3. Include at least one moment where game mechanics create an ethical dilemma. Party dynamics should evolve — the team at Ch {{totalChapters}} should function differently than at Ch 1.
+
+- ROMANCE: Emotional beats follow the genre arc: meet → attraction → first barrier → growing closer → dark moment/breakup → grand gesture → resolution. Ensure the love interest has their OWN arc independent of the protagonist. The "dark moment" (Ch {{acts.beforeActTwoEnd}}-{{acts.actTwoEnd}}) should stem from character flaws established early, not manufactured misunderstanding.
+
+- HORROR/DARK: Escalate dread, not just danger. The scariest chapter should NOT be the climax — the scariest moment should be the midpoint revelation that changes what the reader thought was happening. Use normalcy as contrast. Quiet chapters between intense ones make the intense ones hit harder.
+
+- LITERARY/CHARACTER-DRIVEN: Privilege internal transformation over external plot. Subtext should do more work than text. At least one chapter should be a "small moment, big meaning" — an ordinary scene that carries enormous emotional weight. The ending should be resonant, not necessarily resolved.
+
+- ADVENTURE/ACTION: Variety of set-piece types (chase, heist, puzzle, confrontation, escape). Each action sequence should force a character choice, not just test physical ability. Downtime chapters between action should deepen character bonds. The final confrontation should require everything they've learned.
+
+- HUMOR/COMEDY: Running jokes should evolve and pay off. Comedic escalation follows a rhythm — don't put two equally big laughs adjacent. The emotional core underneath the humor should surface at the midpoint and climax. Supporting characters should each have a distinct comedic function.
+
+Adapt the 3-act structure to serve THIS genre. A mystery's Act 1 looks nothing like a romance's Act 1 — structure the arc accordingly.
+
+Create a {{totalChapters}}-chapter outline that:
+- Follows 3-act structure adapted for {{genre}} conventions (generally: Setup Ch 1-{{acts.actOneEnd}}, Confrontation Ch {{acts.actTwoStart}}-{{acts.actTwoEnd}}, Resolution Ch {{acts.actThreeStart}}-{{totalChapters}})
+- Each chapter builds tension and advances the plot using genre-appropriate techniques
+- Tracks character growth milestones across chapters
+- Develops subplots alongside main plot
+- Has appropriate pacing for ages {{ageRange}}
+- Each chapter is 2500-3500 words
+
+FOR EACH CHAPTER, specify:
+1. Title and events summary
+2. Character focus
+3. Tension level (low/medium/high)
+4. EMOTIONAL ARC: What emotional state does the READER start in? What state do they end in? (e.g., "Start: curious, End: dread" or "Start: hopeful, End: devastated")
+5. KEY DIALOGUE MOMENT: The most important conversation/exchange in this chapter (1 sentence description)
+6. CHAPTER HOOK: What specific moment/question/cliffhanger makes the reader turn to the next chapter?
+7. Key revelations
+8. Word count target
+
+ALSO specify:
+- SUBPLOT TRACKING: Identify 2-3 subplots and note which chapters advance each subplot
+- CHARACTER GROWTH MILESTONES: Map the protagonist's arc to specific chapters (e.g., Ch 3: First taste of confidence, Ch 7: Major failure/setback, Ch 11: Realization of truth)
+- GENRE TECHNIQUE MAP: For each chapter, note which genre-specific technique you're deploying (e.g., Ch 3: "red herring planted", Ch 7: "midpoint twist — suspect pool inverted")
+
+Return ONLY a JSON object in this exact format, with exactly {{totalChapters}} entries in "chapters":
+{
+  "book_length": "{{bookLength}}",
+  "chapter_count": {{totalChapters}},
+  "chapters": [
+    {
+      "chapter_number": 1,
+      "title": "Chapter Title",
+      "events_summary": "2-3 sentence summary of what happens",
+      "character_focus": "Which character(s) are featured",
+      "tension_level": "low/medium/high",
+      "emotional_arc": {
+        "reader_start": "emotion/state reader starts in",
+        "reader_end": "emotion/state reader ends in"
+      },
+      "key_dialogue_moment": "The most important conversation in this chapter",
+      "chapter_hook": "What makes the reader turn to the next chapter",
+      "key_revelations": ["revelation1", "revelation2"],
+      "word_count_target": 3000
+    }
+  ],
+  "pacing_notes": "Overall pacing strategy",
+  "story_threads": {
+    "main_plot": "description",
+    "subplots": [
+      {
+        "name": "Subplot name/description",
+        "chapters": [1, {{acts.quarter}}, {{acts.half}}, {{acts.threeQuarters}}, {{totalChapters}}],
+        "resolution": "How this subplot resolves"
+      }
+    ]
+  },
+  "character_growth_milestones": {
+    "chapter_{{acts.quarter}}": "First milestone in protagonist's arc",
+    "chapter_{{acts.half}}": "Second milestone",
+    "chapter_{{acts.threeQuarters}}": "Major turning point",
+    "chapter_{{totalChapters}}": "Final transformation"
+  }
+}`
+};
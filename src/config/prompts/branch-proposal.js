@@ -0,0 +1,68 @@
+/**
+ * Branch proposal — divergent continuations offered to a choose-your-path reader at a
+ * checkpoint, each outlining every remaining chapter.
+ */
+module.exports = {
+  name: 'branch_proposal',
+  version: 1,
+  description: 'Divergent outline continuations for the rest of a choose-your-path book, offered at a checkpoint',
+  variables: {
+    genre: 'string',
+    finishedChapter: 'number',
+    startChapter: 'number',
+    totalChapters: 'number',
+    branchCount: 'number',
+    bible: 'object',
+    storySoFar: 'string',
+    plannedOutlines: 'string'
+  },
+  template: `You are a story arc editor for an interactive "choose your path" novel. The reader has finished chapter {{finishedChapter}} of {{totalChapters}} and will now choose how the rest of the book goes.
+
+<story_bible_summary>
+  <title>{{bible.title}}</title>
+  <genre>{{genre}}</genre>
+  <protagonist>{{bible.characters.protagonist.name|Protagonist}}: goals — {{bible.characters.protagonist.goals|N/A}}; fears — {{bible.characters.protagonist.fears|N/A}}</protagonist>
+  <antagonist>{{bible.characters.antagonist.name|Antagonist}}: {{bible.characters.antagonist.motivation|N/A}}</antagonist>
+  <central_conflict>{{bible.central_conflict.description|N/A}}</central_conflict>
+  <themes>{{bible.themes}}</themes>
+</story_bible_summary>
+
+<story_so_far>
+{{storySoFar}}
+</story_so_far>
+
+<current_plan_for_remaining_chapters>
+{{plannedOutlines}}
+</current_plan_for_remaining_chapters>
+
+Propose {{branchCount}} genuinely DIVERGENT continuations for chapters {{startChapter}}-{{totalChapters}}. Each one should hinge on a different decision, alliance or revelation at the start of chapter {{startChapter}}, and lead to a different ending. One branch may stay close to the current plan. Every branch must:
+- Follow naturally from the story so far (no retcons of what already happened)
+- Respect the bible's characters, world rules and themes
+- Keep the genre's promises and a satisfying 3-act shape to the end of the book
+- Outline EVERY chapter from {{startChapter}} to {{totalChapters}}
+
+The branch "title" is what the reader taps — a short, intriguing choice in the protagonist's terms ("Trust the smuggler", "Go back for Mira"), not a spoiler. The "summary" is 1-2 sentences teasing where that path leads.
+
+Return ONLY valid JSON in this exact structure:
+{
+  "branches": [
+    {
+      "title": "Short choice label",
+      "summary": "1-2 sentence teaser",
+      "chapters": [
+        {
+          "chapter_number": {{startChapter}},
+          "title": "Chapter Title",
+          "events_summary": "2-3 sentence summary of what happens",
+          "character_focus": "Which character(s) are featured",
+          "tension_level": "low/medium/high",
+          "emotional_arc": { "reader_start": "state", "reader_end": "state" },
+          "key_dialogue_moment": "The most important conversation in this chapter",
+          "chapter_hook": "What makes the reader turn to the next chapter",
+          "key_revelations": ["revelation1"]
+        }
+      ]
+    }
+  ]
+}`
+};
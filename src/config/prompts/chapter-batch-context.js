@@ -0,0 +1,21 @@
+/**
+ * Chapter batch context — prompt sections that only change between batches: facts
+ * established by earlier batches, the style example (editor brief or prose directive)
+ * and learned reader preferences. Second cached prefix of the chapter request.
+ */
+module.exports = {
+  name: 'chapter_batch_context',
+  version: 1,
+  description: 'Batch-level context shared by the chapters of one batch (cached prefix)',
+  variables: {
+    storyDevelopmentsBlock: 'string',
+    styleExample: 'string',
+    learnedPreferencesBlock: 'string'
+  },
+  template: `{{storyDevelopmentsBlock}}
+
+<style_example>
+{{styleExample}}
+</style_example>
+{{learnedPreferencesBlock}}`
+};
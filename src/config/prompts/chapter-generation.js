@@ -0,0 +1,58 @@
+/**
+ * Chapter generation — the chapter-specific task: world state and constraints for this
+ * chapter, its outline, the previous chapters and the return format. It follows the cached
+ * chapter_story_context and chapter_batch_context prefixes in the same user message.
+ * Conditional sections (editor/enrichment notes, rewrite request) are assembled in
+ * generateChapter.
+ */
+module.exports = {
+  name: 'chapter_generation',
+  version: 2,
+  description: 'Writes one chapter from its outline and continuity context (after the cached story context)',
+  variables: {
+    chapterNumber: 'number',
+    title: 'string',
+    worldStateBlock: 'string',
+    constraintsBlock: 'string',
+    outline: 'object',
+    editorNotesBlock: 'string',
+    enrichmentNotesBlock: 'string',
+    rewriteBlock: 'string',
+    previousContext: 'string',
+    characterContinuityBlock: 'string',
+    plannedTitle: 'string?',
+    plotChangedField: 'string'
+  },
+  template: `Write Chapter {{chapterNumber}} of "{{title}}" following this outline and the craft rules above.
+{{worldStateBlock}}
+{{constraintsBlock}}
+<chapter_outline>
+  <chapter_number>{{chapterNumber}}</chapter_number>
+  <title>{{outline.title}}</title>
+  <events_summary>{{outline.events_summary}}</events_summary>
+  <character_focus>{{outline.character_focus}}</character_focus>
+  <tension_level>{{outline.tension_level}}</tension_level>
+  <word_count_target>{{outline.word_count_target}}</word_count_target>
+{{editorNotesBlock}}
+{{enrichmentNotesBlock}}
+</chapter_outline>
+{{rewriteBlock}}
+<previous_chapters>
+{{previousContext}}
+</previous_chapters>
+{{characterContinuityBlock}}
+
+Return ONLY a JSON object in this exact format:
+{
+  "chapter": {
+    "chapter_number": {{chapterNumber}},
+    "title": "{{plannedTitle}}",
+    "content": "The full chapter text here...",
+    "word_count": number,
+    "opening_hook": "First sentence or two",
+    "closing_hook": "Last sentence or two",
+    "key_events": ["event1", "event2"],
+    "character_development": "Brief note on character growth"{{plotChangedField}}
+  }
+}`
+};
@@ -0,0 +1,136 @@
+/**
+ * Chapter quality review — weighted criteria scores and a pass/fail verdict.
+ * voiceCheck and pacingTarget are the prose-directive-specific checklist lines.
+ * The chapter itself is not part of the template: it follows as the uncached tail of the
+ * request, so the standards and rubric are cached across every review of a story.
+ */
+module.exports = {
+  name: 'chapter_review',
+  version: 2,
+  description: 'Scores a generated chapter against the story voice and craft standards',
+  variables: {
+    ageRange: 'string',
+    bible: 'object',
+    reviewStandards: 'string',
+    voiceCheck: 'string',
+    pacingTarget: 'string'
+  },
+  template: `You are an expert editor reviewing a chapter for quality. Your job is to evaluate whether this chapter succeeds ON ITS OWN TERMS — does it deliver on the voice and craft standards this specific story is aiming for? The chapter to review follows these standards.
+
+<story_context>
+Target Age: {{ageRange}} years
+Genre: {{bible.themes}}
+Protagonist: {{bible.characters.protagonist.name}}
+</story_context>
+
+{{reviewStandards}}
+
+<weighted_rubric>
+
+Score each criterion (1-10), provide evidence quotes, and suggest fixes if score < 7.
+
+1. VOICE CONSISTENCY (Weight: 20%)
+   - Does the prose sound like it belongs to THIS story?
+   - Is the voice distinctive and sustained throughout?
+   - Would a reader recognize this as the same narrator from other chapters?
+   {{voiceCheck}}
+
+2. DIALOGUE QUALITY (Weight: 20%)
+   - Do characters sound distinct from each other AND from the narrator?
+   - Are there action beats instead of adverb tags?
+   - Does dialogue advance plot and reveal character?
+   - Quote any generic or flat dialogue
+
+3. PACING & ENGAGEMENT (Weight: 15%)
+   - Does the chapter pull the reader forward?
+   - Strong opening? Compelling ending hook?
+   - Varied sentence rhythm appropriate to this story's voice?
+   {{pacingTarget}}
+
+4. AGE APPROPRIATENESS (Weight: 15%)
+   - Is vocabulary and complexity right for {{ageRange}}?
+   - Natural voice without talking down?
+   - Themes handled appropriately?
+
+5. WORLD CONSISTENCY (Weight: 10%)
+   - Do world systems (magic, technology, politics, social rules) operate consistently with established rules?
+   - Are facts established in earlier chapters honored, not contradicted?
+   - Does geography and spatial logic hold?
+   - Does the timeline progress logically?
+   - Are any world rules violated or bent without narrative justification?
+   - Quote any contradictions or inconsistencies
+
+6. CHARACTER CONSISTENCY (Weight: 10%)
+   - Do character decisions flow from established traits, fears, goals?
+   - Any out-of-character moments?
+   - Does this chapter develop the character arc?
+
+7. AI TELL DETECTION (Weight: 10%)
+   - Count: "something in [body part]" constructions
+   - Count: "the kind of X that Y" constructions
+   - Count: "not X, but Y" constructions
+   - Check for repeated body-part emotions on loop
+   - Check for micro-expression mind-reading
+   - "Letting out a breath they didn't know they were holding" or similar
+   - Does the prose feel machine-generated or human-crafted?
+
+</weighted_rubric>
+
+Calculate weighted_score = sum of (criterion_score × weight).
+
+Pass threshold: weighted_score >= 7.5
+
+Return ONLY a JSON object in this exact format:
+{
+  "quality_review": {
+    "weighted_score": number (calculated sum of score × weight),
+    "criteria_scores": {
+      "voice_consistency": {
+        "score": number (1-10),
+        "weight": 0.20,
+        "quotes": ["quote1 showing issue or strength", "quote2"],
+        "fix": "actionable fix if score < 7, else empty string"
+      },
+      "dialogue_quality": {
+        "score": number (1-10),
+        "weight": 0.20,
+        "quotes": ["quote1", "quote2"],
+        "fix": "actionable fix or empty"
+      },
+      "pacing_engagement": {
+        "score": number (1-10),
+        "weight": 0.15,
+        "quotes": ["quote1", "quote2"],
+        "fix": "actionable fix or empty"
+      },
+      "age_appropriateness": {
+        "score": number (1-10),
+        "weight": 0.15,
+        "quotes": ["quote1", "quote2"],
+        "fix": "actionable fix or empty"
+      },
+      "world_consistency": {
+        "score": number (1-10),
+        "weight": 0.10,
+        "quotes": ["quote1 — any world rule violations or contradictions", "quote2"],
+        "fix": "actionable fix or empty"
+      },
+      "character_consistency": {
+        "score": number (1-10),
+        "weight": 0.10,
+        "quotes": ["quote1", "quote2"],
+        "fix": "actionable fix or empty"
+      },
+      "ai_tell_detection": {
+        "score": number (1-10),
+        "weight": 0.10,
+        "quotes": ["quote1", "quote2"],
+        "fix": "actionable fix or empty"
+      }
+    },
+    "top_strengths": ["strength1 (specific)", "strength2", "strength3"],
+    "priority_fixes": ["fix1 (most important)", "fix2", "fix3"],
+    "pass": true/false (pass if weighted_score >= 7.5)
+  }
+}`
+};
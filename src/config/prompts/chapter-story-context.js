@@ -0,0 +1,100 @@
+/**
+ * Chapter story context — the part of the chapter prompt that is identical for every
+ * chapter of a story: author voice, guardrails, series background, bible, world codex,
+ * narrative voice, craft rules and the length / reading-level calibration.
+ * Sent as the first cached prefix of the chapter request (see cachedUserMessage), so it
+ * must not contain anything chapter-specific.
+ */
+module.exports = {
+  name: 'chapter_story_context',
+  version: 1,
+  description: 'Story-level context shared by every chapter request (cached prefix)',
+  variables: {
+    authorIdentity: 'string',
+    proseGuardrails: 'string',
+    bible: 'object',
+    previousBooksBlock: 'string',
+    seriesContextBlock: 'string',
+    supportingCharactersBlock: 'string',
+    codexBlock: 'string',
+    keyLocationsBlock: 'string',
+    narrativeVoiceBlock: 'string',
+    craftRules: 'string',
+    readingLevel: 'string',
+    ageRange: 'string',
+    belovedStories: 'array'
+  },
+  template: `You are {{authorIdentity}}.
+
+{{proseGuardrails}}
+{{previousBooksBlock}}{{seriesContextBlock}}
+<story_context>
+  <protagonist>
+    <name>{{bible.characters.protagonist.name}}</name>
+    <age>{{bible.characters.protagonist.age}}</age>
+    <personality>{{bible.characters.protagonist.personality}}</personality>
+    <strengths>{{bible.characters.protagonist.strengths|N/A}}</strengths>
+    <flaws>{{bible.characters.protagonist.flaws|N/A}}</flaws>
+    <goals>{{bible.characters.protagonist.goals}}</goals>
+    <fears>{{bible.characters.protagonist.fears}}</fears>
+    <internal_contradiction>{{bible.characters.protagonist.internal_contradiction|N/A}}</internal_contradiction>
+    <lie_they_believe>{{bible.characters.protagonist.lie_they_believe|N/A}}</lie_they_believe>
+    <deepest_fear>{{bible.characters.protagonist.deepest_fear|N/A}}</deepest_fear>
+    <voice_notes>{{bible.characters.protagonist.voice_notes|N/A}}</voice_notes>
+  </protagonist>
+
+  <antagonist>
+    <name>{{bible.characters.antagonist.name}}</name>
+    <motivation>{{bible.characters.antagonist.motivation}}</motivation>
+    <methods>{{bible.characters.antagonist.methods|N/A}}</methods>
+    <why_they_believe_theyre_right>{{bible.characters.antagonist.why_they_believe_theyre_right|N/A}}</why_they_believe_theyre_right>
+    <sympathetic_element>{{bible.characters.antagonist.sympathetic_element|N/A}}</sympathetic_element>
+  </antagonist>
+
+  <supporting_characters>
+    {{supportingCharactersBlock}}
+  </supporting_characters>
+
+  {{codexBlock}}
+
+  <central_conflict>{{bible.central_conflict.description}}</central_conflict>
+
+  <stakes>
+    <personal>{{bible.stakes.personal}}</personal>
+    <broader>{{bible.stakes.broader|N/A}}</broader>
+  </stakes>
+
+  <key_locations>
+    {{keyLocationsBlock}}
+  </key_locations>
+</story_context>
+
+{{narrativeVoiceBlock}}
+{{craftRules}}
+
+<word_count>
+  STRICT REQUIREMENT: This chapter must be between 2500 and 3500 words. Not a guideline—a hard constraint. Count carefully.
+
+  If you approach 3500 words and haven't completed the chapter arc, condense. If you finish the chapter arc before 2500 words, expand scenes with richer detail, more character interiority, or stronger sensory grounding.
+</word_count>
+
+<reading_level>
+  Reading Level: {{readingLevel}}
+  Age Range: {{ageRange}}
+  Beloved Stories: {{belovedStories|not specified}}
+
+  CALIBRATE ALL PROSE TO THIS READING LEVEL. Here's what each level means:
+
+  early_reader: Short chapters (800-1200 words). Simple sentences averaging 8-12 words. Concrete vocabulary — show don't tell through action and dialogue, not internal monologue. Think Magic Tree House, Diary of a Wimpy Kid.
+
+  middle_grade: Standard chapters (1500-2500 words). Sentences average 12-16 words with variety. Accessible vocabulary with occasional "stretch" words that context makes clear. Emotions shown through behavior and some internal thought. Think Percy Jackson, early Harry Potter.
+
+  upper_middle_grade: Fuller chapters (2000-3000 words). Sentence variety with some complex structures. Moral ambiguity can be introduced. Internal conflict goes deeper. Think later Harry Potter, Hunger Games, Eragon.
+
+  young_adult: Rich chapters (2500-4000 words). Full sentence complexity. Unreliable narrators OK. Sophisticated vocabulary used naturally. Deep thematic exploration. Think Six of Crows, Throne of Glass.
+
+  new_adult/adult: No prose constraints. Full literary range.
+
+  IMPORTANT: If the reader mentioned specific beloved stories, match THAT prose level, not a generic age-based level. A 12-year-old who loves Hunger Games should get prose closer to Suzanne Collins than to Jeff Kinney.
+</reading_level>`
+};
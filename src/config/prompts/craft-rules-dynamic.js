@@ -0,0 +1,43 @@
+/**
+ * Craft rules for stories with a prose directive — leanInto/avoid arrive as bullet lists.
+ */
+module.exports = {
+  name: 'craft_rules_dynamic',
+  version: 1,
+  description: 'Chapter craft rules built from the story prose directive',
+  variables: {
+    leanInto: 'string',
+    avoid: 'string',
+    craft: 'object'
+  },
+  template: `<writing_craft_rules>
+  <voice_directives>
+  LEAN INTO — these techniques define this story's voice:
+  {{leanInto|• Show through action and sensation rather than narration}}
+
+  AVOID — these would break this story's voice:
+  {{avoid|• Generic, voiceless prose that could belong to any book}}
+  </voice_directives>
+
+  <dialogue_style>
+  {{craft.dialogue_style|Each character should sound distinct through vocabulary, rhythm, and concerns. No adverb dialogue tags.}}
+  </dialogue_style>
+
+  <pacing>
+  {{craft.pacing_style|Vary sentence length. Open with a hook. End with a hook. Keep transitions crisp.}}
+  </pacing>
+
+  <emotional_register>
+  {{craft.emotional_register|Show emotions through physical sensation, action, and dialogue — not by naming them.}}
+  </emotional_register>
+
+  <universal_standards>
+  These apply to ALL stories regardless of voice:
+  • Show emotions through action/sensation/dialogue — never name them directly ("felt angry", "was scared")
+  • Each character must sound distinct in dialogue
+  • No adverb dialogue tags ("said angrily") — use action beats
+  • Open and close every chapter with hooks
+  • Never use: "letting out a breath they didn't know they were holding", "a mixture of X and Y", "little did they know"
+  </universal_standards>
+</writing_craft_rules>`
+};
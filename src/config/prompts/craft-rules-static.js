@@ -0,0 +1,59 @@
+/**
+ * Craft rules for legacy stories without a prose directive.
+ */
+module.exports = {
+  name: 'craft_rules_static',
+  version: 1,
+  description: 'Chapter craft rules for legacy stories without a prose directive',
+  variables: {},
+  template: `<writing_craft_rules>
+  <show_dont_tell>
+    NEVER name an emotion directly. Show it through physical sensation, action, dialogue, or metaphor.
+
+    If you write a sentence containing "felt", "was", or "seemed" followed by an emotion word, DELETE IT and rewrite.
+
+    EXAMPLES:
+    ❌ "She felt angry"
+    ✅ "Her hands curled into fists, jaw clenched so tight her teeth ached"
+
+    ❌ "The forest was scary"
+    ✅ "Branches clawed at the sky like skeletal fingers, and something rustled in the undergrowth"
+
+    ❌ "He was brave"
+    ✅ "His knees wobbled, but he stepped forward anyway"
+
+    ❌ "They were best friends"
+    ✅ "She shoved him with her shoulder and he shoved back, both grinning"
+  </show_dont_tell>
+
+  <dialogue_quality>
+    • Each character MUST sound distinct through vocabulary, sentence length, speech patterns, and concerns
+    • NO adverb dialogue tags ("said angrily", "whispered softly")—use action beats instead
+    • Dialogue must do double duty: reveal character AND advance plot simultaneously
+    • Include subtext—characters don't always say what they mean, especially in conflict
+    • No more than 3 consecutive lines of dialogue without a beat or action
+  </dialogue_quality>
+
+  <pacing_and_structure>
+    • Vary sentence length: short punchy sentences for tension, longer flowing ones for atmosphere
+    • Open every chapter with action, dialogue, or intrigue—NEVER pure description
+    • End every chapter with a hook that compels the reader forward
+    • Scene transitions should be crisp, not padded with unnecessary "meanwhile" or "later that day"
+  </pacing_and_structure>
+
+  <things_to_avoid>
+    FORBIDDEN CONSTRUCTIONS (AI tells):
+    • Purple prose and flowery over-description
+    • Explaining emotions instead of showing them
+    • "Not X, but Y" sentence structure (e.g., "It wasn't fear, but excitement")
+    • Rhetorical questions as filler
+    • Em dash overuse (max 2 per chapter)
+    • Repeating the same sentence structure more than twice in a row
+    • Starting consecutive paragraphs the same way
+    • Adverbs modifying "said"
+    • "Letting out a breath they didn't know they were holding"
+    • "A mixture of X and Y" emotion descriptions
+    • Any form of "little did they know"
+  </things_to_avoid>
+</writing_craft_rules>`
+};
@@ -0,0 +1,74 @@
+/**
+ * Fork arc — a new course for the rest of a book, from the chapter a WhisperNet reader forked
+ * it at. The chapters before are fixed; only the remaining outlines are written.
+ */
+module.exports = {
+  name: 'fork_arc',
+  version: 1,
+  description: 'Outlines for the remaining chapters of a forked WhisperNet book, diverging from the original',
+  variables: {
+    originalTitle: 'string',
+    genre: 'string',
+    forkedAfterChapter: 'number',
+    startChapter: 'number',
+    totalChapters: 'number',
+    bible: 'object',
+    storySoFar: 'string',
+    originalPlan: 'string',
+    readerDirection: 'string'
+  },
+  template: `You are an expert story structure designer. A reader loved "{{originalTitle}}" up to the end of chapter {{forkedAfterChapter}} and is taking it somewhere new as their own story. Plan chapters {{startChapter}}-{{totalChapters}}.
+
+<story_bible_summary>
+  <title>{{bible.title}}</title>
+  <genre>{{genre}}</genre>
+  <protagonist>{{bible.characters.protagonist.name|Protagonist}}: goals — {{bible.characters.protagonist.goals|N/A}}; fears — {{bible.characters.protagonist.fears|N/A}}</protagonist>
+  <antagonist>{{bible.characters.antagonist.name|Antagonist}}: {{bible.characters.antagonist.motivation|N/A}}</antagonist>
+  <central_conflict>{{bible.central_conflict.description|N/A}}</central_conflict>
+</story_bible_summary>
+
+<story_so_far>
+{{storySoFar}}
+</story_so_far>
+
+<the_original_went_this_way>
+{{originalPlan}}
+</the_original_went_this_way>
+
+<reader_direction>
+{{readerDirection}}
+</reader_direction>
+
+REQUIREMENTS:
+1. Follow naturally from the story so far — chapters 1-{{forkedAfterChapter}} are fixed; no retcons.
+2. DIVERGE from the original's plan from chapter {{startChapter}} onward: a different decision, alliance or revelation early on, leading to a different ending. Echoes of the original are fine; a retelling is not.
+3. Follow the reader's direction when one is given.
+4. Respect the bible's characters, world rules and themes, and finish with a satisfying ending in chapter {{totalChapters}}.
+
+Return ONLY a JSON object in this exact format, with one entry in "chapters" for every chapter from {{startChapter}} to {{totalChapters}}:
+{
+  "chapters": [
+    {
+      "chapter_number": {{startChapter}},
+      "title": "Chapter Title",
+      "events_summary": "2-3 sentence summary of what happens",
+      "character_focus": "Which character(s) are featured",
+      "tension_level": "low/medium/high",
+      "emotional_arc": {
+        "reader_start": "emotion/state reader starts in",
+        "reader_end": "emotion/state reader ends in"
+      },
+      "key_dialogue_moment": "The most important conversation in this chapter",
+      "chapter_hook": "What makes the reader turn to the next chapter",
+      "key_revelations": ["revelation1"]
+    }
+  ],
+  "pacing_notes": "Pacing strategy for the remaining chapters",
+  "story_threads": {
+    "main_plot": "Where the main plot goes from here",
+    "subplots": [
+      { "name": "Subplot name/description", "resolution": "How this subplot resolves" }
+    ]
+  }
+}`
+};
@@ -0,0 +1,35 @@
+/**
+ * Registered prompt templates — see src/services/prompt-registry.js.
+ * Add new templates here; bump a template's version whenever its text or variables change.
+ */
+module.exports = [
+  require('./story-bible'),
+  require('./sequel-bible'),
+  require('./series-plan'),
+  require('./spin-off-bible'),
+  require('./manuscript-analysis'),
+  require('./world-codex'),
+  require('./arc-outline'),
+  require('./fork-arc'),
+  require('./branch-proposal'),
+  require('./prose-directive'),
+  require('./manuscript-voice'),
+  require('./chapter-story-context'),
+  require('./chapter-batch-context'),
+  require('./chapter-generation'),
+  require('./chapter-review'),
+  require('./story-recap'),
+  require('./craft-rules-dynamic'),
+  require('./craft-rules-static'),
+  require('./prose-guardrails-dynamic'),
+  require('./prose-guardrails-static'),
+  require('./review-standards-dynamic'),
+  require('./review-standards-static'),
+  require('./prospero-onboarding'),
+  require('./prospero-returning-user'),
+  require('./prospero-premise-rejection'),
+  require('./prospero-checkpoint'),
+  require('./prospero-book-completion'),
+  require('./peggy-bug-report'),
+  require('./peggy-suggestion')
+];
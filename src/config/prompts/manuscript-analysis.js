@@ -0,0 +1,121 @@
+/**
+ * Manuscript analysis — reverse-engineers a story bible from a reader's own opening chapters,
+ * plus the per-chapter notes (key events, hooks) that generated chapters carry in metadata.
+ * Output is checked against the manuscript_analysis schema; its bible has the story_bible shape.
+ */
+module.exports = {
+  name: 'manuscript_analysis',
+  version: 1,
+  description: 'Story bible and chapter notes inferred from a reader-written manuscript',
+  variables: {
+    titleLine: 'string',
+    genreLine: 'string',
+    chapterCount: 'number',
+    totalChapters: 'number',
+    manuscript: 'string'
+  },
+  template: `You are a developmental editor. A reader has written the opening {{chapterCount}} chapter(s) of a novel and wants it continued — in their voice, true to everything they've established — to {{totalChapters}} chapters in all.
+
+Read their manuscript closely and reverse-engineer the story bible a writer would have had in front of them. Everything in the manuscript is canon: names, ages, places, rules, relationships and events exactly as written. Where the manuscript is silent (the antagonist's backstory, the stakes still to come, the end of the timeline), infer what the opening is clearly setting up — don't contradict it, and don't invent a different story.
+
+{{titleLine}}
+{{genreLine}}
+
+<manuscript>
+{{manuscript}}
+</manuscript>
+
+Return ONLY a JSON object in this exact format:
+{
+  "genre": "the genre a bookseller would shelve this under, e.g. 'fantasy', 'mystery', 'romance'",
+  "bible": {
+    "title": "string",
+    "world_rules": {
+      "magic_system": "description if applicable",
+      "technology_level": "description",
+      "society_structure": "description",
+      "unique_rules": ["rule1", "rule2"]
+    },
+    "characters": {
+      "protagonist": {
+        "name": "string",
+        "age": number,
+        "personality": "string",
+        "strengths": ["strength1", "strength2"],
+        "flaws": ["flaw1", "flaw2"],
+        "goals": "string",
+        "fears": "string",
+        "internal_contradiction": "opposing forces within them",
+        "lie_they_believe": "false belief holding them back",
+        "deepest_fear": "what they're REALLY afraid of (vs. what they say)",
+        "voice_notes": "how they speak—vocabulary, rhythm, quirks, as written"
+      },
+      "antagonist": {
+        "name": "string — if the opening hasn't named one yet, the force the protagonist is up against",
+        "motivation": "string",
+        "methods": "string",
+        "backstory": "string",
+        "why_they_believe_theyre_right": "their moral justification",
+        "sympathetic_element": "what makes them human/wounded",
+        "point_of_no_return": "event that locked them on this path"
+      },
+      "supporting": [
+        {
+          "name": "string",
+          "role": "string",
+          "personality": "string",
+          "relationship_dynamic": "how they interact with the protagonist",
+          "their_own_goal": "what THEY want"
+        }
+      ]
+    },
+    "central_conflict": {
+      "description": "string",
+      "inciting_incident": "string — from the manuscript if it has happened",
+      "complications": ["complication1", "complication2"]
+    },
+    "stakes": {
+      "personal": "string",
+      "broader": "string",
+      "emotional": "string"
+    },
+    "themes": ["theme1", "theme2", "theme3"],
+    "key_locations": [
+      {
+        "name": "string",
+        "description": "string",
+        "significance": "string",
+        "sensory_details": {
+          "sounds": "what you hear here",
+          "smells": "what you smell",
+          "tactile": "temperature, texture, atmospheric feel"
+        }
+      }
+    ],
+    "timeline": {
+      "total_duration": "string",
+      "key_milestones": ["milestone1", "milestone2"]
+    },
+    "narrative_voice": {
+      "pov": "the point of view the manuscript uses",
+      "tonal_register": "where the narrator sits on formal/casual, earnest/wry, lush/spare, warm/cool spectrums",
+      "sentence_rhythm": "the cadence and pacing of the prose",
+      "narrative_personality": "the narrator's distinctive attitude or quality",
+      "signature_techniques": ["technique the author uses", "another"],
+      "never_sounds_like": "what would sound wrong in this author's voice"
+    }
+  },
+  "chapters": [
+    {
+      "chapter_number": 1,
+      "title": "the chapter's title as written, or a fitting one if it has none",
+      "opening_hook": "how the chapter opens",
+      "key_events": ["event1", "event2", "event3"],
+      "character_development": "how the characters changed in this chapter",
+      "closing_hook": "where the chapter leaves the reader"
+    }
+  ]
+}
+
+"chapters" must have one entry for each of the {{chapterCount}} manuscript chapter(s), in order.`
+};
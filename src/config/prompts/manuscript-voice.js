@@ -0,0 +1,51 @@
+/**
+ * Manuscript voice — the prose directive for an imported manuscript, read off the reader's own
+ * prose instead of invented for the story. Same output shape as prose_directive, so chapters
+ * use it exactly like a generated one; the style example is quoted from the manuscript.
+ */
+module.exports = {
+  name: 'manuscript_voice',
+  version: 1,
+  description: 'Prose directive describing how a reader-written manuscript already sounds',
+  variables: {
+    storyTitle: 'string',
+    genre: 'string',
+    narrativeVoiceBlock: 'string',
+    excerpts: 'string'
+  },
+  template: `You are the prose director for a novel that a reader started writing themselves. The rest of the book will be written to continue their chapters, and it must sound like THEY wrote it. Your job is not to invent a voice — it's to describe theirs so precisely that a different writer given your directive would be mistaken for them.
+
+Title: "{{storyTitle}}"
+Genre: {{genre}}
+
+{{narrativeVoiceBlock}}
+
+<their_prose>
+{{excerpts}}
+</their_prose>
+
+Study the prose: sentence length and rhythm, paragraphing, how dialogue is tagged and punctuated, tense and point of view, how much is interior, where humor comes from, the images they reach for, the words they'd never use. Describe what IS there, quirks included — don't correct it into a house style.
+
+Return ONLY a JSON object:
+{
+  "author_identity": "A 1-2 sentence description of the writer behind this manuscript, specific to what you read.",
+
+  "style_example": "A 150-200 word passage copied VERBATIM from <their_prose> — the stretch that best shows how this author sounds. Do not edit, trim mid-sentence or paraphrase it.",
+
+  "craft_rules": {
+    "lean_into": ["3-5 techniques this author uses and the continuation should keep using"],
+    "avoid": ["3-5 things this author never does, that would break the voice if they appeared"],
+    "dialogue_style": "How this author writes dialogue — tagging, length, subtext, how each main character talks. 2-3 sentences.",
+    "pacing_style": "How the manuscript's pacing feels and where it breathes. 2-3 sentences.",
+    "emotional_register": "How this author handles emotion. 1-2 sentences."
+  },
+
+  "prose_guardrails": {
+    "em_dash_tolerance": "one of: 'avoid' (max 2/chapter), 'moderate' (max 6/chapter), 'embrace' (no limit) — match the manuscript",
+    "sentence_length_preference": "one of: 'short_punchy' (avg 8-12 words), 'varied_dynamic' (mix of 5-25 words), 'flowing_literary' (avg 15-25 words with occasional short punches)",
+    "metaphor_density": "one of: 'sparse', 'moderate', 'rich'",
+    "interiority_level": "one of: 'minimal', 'balanced', 'deep'",
+    "humor_level": "one of: 'none', 'dry_wit', 'regular', 'comedic'"
+  }
+}`
+};
@@ -0,0 +1,59 @@
+/**
+ * Prose directive — generated once per story, before chapter 1.
+ * Conditional sections (beloved stories, bible narrative voice, series voice continuity)
+ * arrive pre-built from generateProseDirective.
+ */
+module.exports = {
+  name: 'prose_directive',
+  version: 1,
+  description: 'Defines how a book should sound: author identity, style example, craft rules, guardrails',
+  variables: {
+    storyTitle: 'string',
+    genre: 'string',
+    readingLevel: 'string',
+    protagonist: 'object',
+    themes: 'string',
+    belovedStoriesLine: 'string',
+    narrativeVoiceBlock: 'string',
+    predecessorDirectiveBlock: 'string',
+    belovedStoriesDirective: 'string'
+  },
+  template: `You are the prose director for a novel. Your job: define exactly how this book should SOUND — its voice, rhythm, style, and personality. Every book deserves its own voice. A cozy mystery reads differently than an epic fantasy. A middle-grade adventure sounds nothing like a literary thriller.
+
+STORY DNA:
+Title: "{{storyTitle}}"
+Genre: {{genre}}
+Reading Level: {{readingLevel}}
+Protagonist: {{protagonist.name|Unknown}} — {{protagonist.personality}}
+Themes: {{themes}}
+{{belovedStoriesLine}}
+
+{{narrativeVoiceBlock}}
+{{predecessorDirectiveBlock}}
+YOUR TASK: Create a complete prose directive that will guide every chapter of this novel. Be SPECIFIC and OPINIONATED. Generic advice like "use vivid descriptions" is useless. We need directives so precise that two different AI models given this brief would produce prose that sounds recognizably similar.
+
+{{belovedStoriesDirective}}
+
+Return ONLY a JSON object:
+{
+  "author_identity": "A 1-2 sentence description of what kind of writer is narrating this book. NOT generic ('award-winning author') — specific. Example: 'A wry, warm storyteller who writes like your smartest friend telling you about something incredible that happened — conversational but precise, funny but never at the characters' expense.' Or: 'A poet who wandered into genre fiction — every sentence earns its place, silence is as important as speech, and the prose moves at the pace of candlelight.'",
+
+  "style_example": "Write a 150-200 word ORIGINAL prose passage that demonstrates EXACTLY how this book should sound. NOT a scene from the book — a standalone vignette that captures the voice, rhythm, sentence structure, and emotional register. This passage becomes the north star for every chapter. Make it vivid, specific, and unmistakably in THIS story's voice. If the book is funny, the example should make someone smile. If it's tense, the example should make someone hold their breath. If it's lyrical, the example should be beautiful.",
+
+  "craft_rules": {
+    "lean_into": ["3-5 specific techniques this story should USE HEAVILY — e.g., 'dry humor in narration between tense moments', 'sensory details grounded in taste and smell, not just sight', 'short declarative sentences that land like punches at chapter ends', 'internal monologue that argues with itself', 'long flowing sentences that build momentum like a wave'"],
+    "avoid": ["3-5 specific things this story should NEVER do — tailored to THIS genre and voice, not a generic banned list. e.g., 'never explain a joke — trust the reader to get it', 'avoid introspective pauses during action scenes — save reflection for quiet moments', 'no purple prose in dialogue tags — these characters speak plainly', 'never use more than one metaphor per paragraph — this voice is direct, not ornate'"],
+    "dialogue_style": "How should dialogue work in THIS specific book? Snappy and fast? Measured and subtext-heavy? Peppered with humor? Sparse and loaded? How do the specific characters in THIS story talk? 2-3 sentences.",
+    "pacing_style": "How should this book's pacing FEEL? Not a generic target — the specific rhythm for THIS story. Does it sprint? Breathe? Alternate between sprint and stillness? Where do quiet moments go? 2-3 sentences.",
+    "emotional_register": "How does this book handle emotion? With restraint and implication? With full-throated intensity? Through humor that deflects? Through physical sensation? 1-2 sentences."
+  },
+
+  "prose_guardrails": {
+    "em_dash_tolerance": "one of: 'avoid' (max 2/chapter), 'moderate' (max 6/chapter), 'embrace' (no limit — some literary voices use them freely)",
+    "sentence_length_preference": "one of: 'short_punchy' (avg 8-12 words), 'varied_dynamic' (mix of 5-25 words), 'flowing_literary' (avg 15-25 words with occasional short punches)",
+    "metaphor_density": "one of: 'sparse' (1-2 per scene — this voice is direct), 'moderate' (natural weaving), 'rich' (lyrical and image-heavy)",
+    "interiority_level": "one of: 'minimal' (action-driven, show through behavior), 'balanced' (some internal thought, mostly external), 'deep' (rich internal world, stream of consciousness moments OK)",
+    "humor_level": "one of: 'none' (serious throughout), 'dry_wit' (occasional wry observations), 'regular' (humor is a core part of the voice), 'comedic' (humor drives the narrative)"
+  }
+}`
+};
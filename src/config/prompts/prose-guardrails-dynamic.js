@@ -0,0 +1,34 @@
+/**
+ * Prose guardrails calibrated to the story's voice — the notes are mapped from the
+ * directive's tolerance levels in buildDynamicProseGuardrails.
+ */
+module.exports = {
+  name: 'prose_guardrails_dynamic',
+  version: 1,
+  description: 'Prose guardrails calibrated from the prose directive',
+  variables: {
+    emDashLimit: 'string',
+    sentenceNote: 'string',
+    metaphorNote: 'string',
+    interiorityNote: 'string',
+    humorNote: 'string'
+  },
+  template: `<PROSE_GUARDRAILS>
+These are calibrated for THIS story's voice — not generic rules:
+
+EM DASHES: {{emDashLimit}}
+SENTENCES: {{sentenceNote}}
+METAPHORS: {{metaphorNote}}
+INTERIORITY: {{interiorityNote}}
+HUMOR: {{humorNote}}
+
+UNIVERSAL BANNED CONSTRUCTIONS (these are AI tells regardless of voice):
+• "Something in her chest" / "something in his voice" — name it or show it
+• "The kind of X that Y" — describe it directly
+• "Not X, but Y" / "Not X — Y" as a repeated pattern (1 per chapter max)
+• Micro-expression mind-reading (interpreting every facial twitch)
+• Body-part emotion palette on repeat (throat-tightens, jaw-clenches, hands-shake for every emotion)
+• "Letting out a breath they didn't know they were holding"
+• Any form of "little did they know"
+</PROSE_GUARDRAILS>`
+};
@@ -0,0 +1,25 @@
+/**
+ * Prose rules for legacy stories without a prose directive.
+ */
+module.exports = {
+  name: 'prose_guardrails_static',
+  version: 1,
+  description: 'Fixed prose rules for legacy stories without a prose directive',
+  variables: {},
+  template: `<CRITICAL_PROSE_RULES>
+These rules are NON-NEGOTIABLE. Any chapter that violates them will be rejected and regenerated.
+
+BANNED CONSTRUCTIONS — zero tolerance:
+
+1. EM DASHES: Maximum 3 per chapter. Use periods, commas, or semicolons instead.
+2. "NOT X, BUT Y" / "NOT X — Y": Do NOT define anything by what it isn't. Maximum 1 per chapter.
+3. "SOMETHING IN [X]": Never write "something in her chest," "something in his voice." Name it or show it.
+4. "THE KIND OF X THAT Y": Never write "the kind of silence that meant calculation." Just describe it directly.
+5. MICRO-EXPRESSION MIND-READING: When a face does something, do NOT explain what it means. Let readers interpret.
+6. BODY-PART EMOTION PALETTE: Do NOT default to throat-tightens, hands-shake, chest-seizes, jaw-tightens for every emotion.
+7. ONE-WORD DRAMATIC SENTENCES: Maximum 2 per chapter.
+8. SIMULTANEOUS DIALOGUE + ACTION: Not every line of dialogue needs physical business. Let some dialogue stand alone.
+
+INSTEAD: Write with restraint. Let readers interpret. Vary sentence structure aggressively.
+</CRITICAL_PROSE_RULES>`
+};
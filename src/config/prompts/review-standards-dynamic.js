@@ -0,0 +1,31 @@
+/**
+ * Craft standards the chapter reviewer grades against, from the story's prose directive.
+ */
+module.exports = {
+  name: 'review_standards_dynamic',
+  version: 1,
+  description: 'Review craft standards built from the story prose directive',
+  variables: {
+    leanInto: 'string',
+    avoid: 'string',
+    craft: 'object'
+  },
+  template: `<writing_craft_standards>
+
+THIS STORY'S VOICE TARGETS:
+{{leanInto|• Clean, engaging prose}}
+
+THIS STORY SHOULD AVOID:
+{{avoid|• Generic, voiceless prose}}
+
+DIALOGUE STYLE: {{craft.dialogue_style|Characters should sound distinct.}}
+EMOTIONAL REGISTER: {{craft.emotional_register|Show emotions through action and sensation.}}
+
+UNIVERSAL STANDARDS (all stories):
+• Show emotions through action/sensation/dialogue, not by naming them
+• No adverb dialogue tags
+• Strong opening and closing hooks
+• No AI clichés: "letting out a breath they didn't know they were holding", "little did they know", "a mixture of X and Y"
+
+</writing_craft_standards>`
+};
@@ -0,0 +1,34 @@
+/**
+ * Craft standards the chapter reviewer grades against, for legacy stories.
+ */
+module.exports = {
+  name: 'review_standards_static',
+  version: 1,
+  description: 'Review craft standards for legacy stories',
+  variables: {},
+  template: `<writing_craft_standards>
+
+SHOW DON'T TELL:
+• NEVER name emotions directly ("felt angry", "was scared", "seemed happy")
+• Show through physical sensation, action, dialogue, metaphor
+
+DIALOGUE QUALITY:
+• Each character sounds distinct through vocabulary, rhythm, concerns
+• NO adverb dialogue tags — use action beats instead
+• Dialogue advances plot AND reveals character simultaneously
+
+PACING & STRUCTURE:
+• Vary sentence length (short = tension, longer = atmosphere)
+• Strong opening hook, compelling ending hook
+• Crisp scene transitions
+
+THINGS TO AVOID (AI tells):
+• "Not X, but Y" constructions
+• Em dash overuse
+• Repeating sentence structures 3+ times in a row
+• "Letting out a breath they didn't know they were holding"
+• "A mixture of X and Y" emotion descriptions
+• "Little did they know"
+
+</writing_craft_standards>`
+};
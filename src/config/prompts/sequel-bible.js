@@ -0,0 +1,164 @@
+/**
+ * Sequel bible — the next book's bible, built on the previous book's bible and its
+ * end-of-book state (endState: character_states, relationships, world_state, ...).
+ * seriesPlanBlock is this book's part of the series plan (buildSeriesPlanBlock), or ''
+ * for series planned before series plans existed.
+ */
+module.exports = {
+  name: 'sequel_bible',
+  version: 2,
+  description: 'Bible for the next book in a series, continuing from the previous book end state',
+  variables: {
+    nextBookNumber: 'number',
+    ageRange: 'string',
+    predecessorBookNumber: 'number',
+    previousBible: 'object',
+    endState: 'object',
+    themesJson: 'string',
+    booksPlural: 'string',
+    worldRulesJson: 'string',
+    worldState: 'string',
+    relationshipsJson: 'string',
+    accomplishments: 'string',
+    keyEvents: 'string',
+    cumulativeSeriesHistory: 'string',
+    readerPreferences: 'string',
+    protagonistNextAge: 'string',
+    themeSummary: 'string',
+    seriesPlanBlock: 'string'
+  },
+  template: `You are creating BOOK {{nextBookNumber}} in a series for ages {{ageRange}}.
+
+CRITICAL: This is a SEQUEL. You must preserve continuity with ALL previous books.
+
+═══════════════════════════════════════════════════════
+BOOK {{predecessorBookNumber}} FOUNDATION (IMMEDIATE PREDECESSOR — MUST HONOR):
+═══════════════════════════════════════════════════════
+
+TITLE: "{{previousBible.title}}"
+GENRE: {{previousBible.content.characters.protagonist.name}}'s adventures - {{themesJson}} ← SAME GENRE/THEMES REQUIRED
+
+PROTAGONIST (as they ENDED Book {{predecessorBookNumber}}):
+Name: {{previousBible.content.characters.protagonist.name}}
+Age: {{previousBible.content.characters.protagonist.age}}
+Growth in Book {{predecessorBookNumber}}: {{endState.character_states.protagonist.growth}}
+Skills Gained: {{endState.character_states.protagonist.skills_gained}}
+Emotional State: {{endState.character_states.protagonist.emotional_state}}
+Current Location: {{endState.character_states.protagonist.current_location}}
+
+⚠️ Book {{nextBookNumber}} protagonist MUST:
+- Be the SAME character
+- START more capable than Book {{predecessorBookNumber}} beginning (they've grown across {{predecessorBookNumber}} book{{booksPlural}}!)
+- RETAIN all skills/growth from ALL previous books
+- Remember and reference previous book events naturally
+
+WORLD RULES (MUST PRESERVE):
+{{worldRulesJson}}
+
+World Changes from Book {{predecessorBookNumber}}:
+{{worldState}}
+
+RELATIONSHIPS ESTABLISHED:
+{{relationshipsJson}}
+
+BOOK {{predecessorBookNumber}} ACCOMPLISHMENTS:
+{{accomplishments}}
+
+KEY EVENTS FROM BOOK {{predecessorBookNumber}}:
+{{keyEvents}}
+{{cumulativeSeriesHistory}}
+
+═══════════════════════════════════════════════════════
+READER'S PREFERENCES FOR BOOK 2:
+═══════════════════════════════════════════════════════
+
+{{readerPreferences}}
+{{seriesPlanBlock}}
+═══════════════════════════════════════════════════════
+BOOK {{nextBookNumber}} REQUIREMENTS:
+═══════════════════════════════════════════════════════
+
+Create a NEW adventure that:
+
+1. CONTINUITY:
+   - Takes place 3-6 months after Book {{predecessorBookNumber}}
+   - Character is MORE experienced than Book {{predecessorBookNumber}} start (they've grown across {{predecessorBookNumber}} book{{booksPlural}})
+   - References previous book events naturally
+   - Relationships continue/evolve
+   - World reflects ALL changes from previous books
+
+2. NEW CONFLICT:
+   - DIFFERENT type than Book {{predecessorBookNumber}} main conflict
+   - Bigger stakes (protagonist more capable after {{predecessorBookNumber}} book{{booksPlural}})
+   - Requires NEW skills (not just previous books' skills)
+   - Introduces new locations while honoring established ones
+
+3. EVOLVED THEMES — Each theme MUST evolve from previous books. Show how the sequel explores a NEW dimension or complication of the same core theme. Do NOT copy previous theme descriptions verbatim. The theme's essence stays, but the lens changes.
+4. AGE-APPROPRIATE: {{ageRange}} years old
+5. INCORPORATE reader preferences where appropriate
+6. FOLLOW THE SERIES PLAN (if given above): the conflict fits this book's role, the listed threads advance or resolve here, and nothing contradicts the planned ending
+
+CRITICAL FORMAT INSTRUCTIONS:
+- Return ONLY valid JSON — no markdown, no code blocks, no commentary
+- Keep values CONCISE — 1-3 sentences per field, not paragraphs
+- Supporting characters: MAX 4 entries
+- Key locations: MAX 5 entries
+- Do NOT duplicate previous books' world_rules verbatim — summarize changes/additions only
+
+Return Book {{nextBookNumber}} Bible in this EXACT format:
+{
+  "title": "A standalone creative title for Book {{nextBookNumber}} — NOT a subtitle, NOT 'Book {{nextBookNumber}} of...', just a strong title like previous books had",
+  "world_rules": {
+    "magic_system": "brief summary of magic rules (1-2 sentences)",
+    "technology_level": "brief (1 sentence)",
+    "social_structure": "brief (1 sentence)",
+    "key_rules": ["rule 1", "rule 2", "rule 3"],
+    "changes_from_previous_books": "what changed in the world since previous book(s) (1-2 sentences)"
+  },
+  "characters": {
+    "protagonist": {
+      "name": "{{previousBible.content.characters.protagonist.name}}",
+      "age": {{protagonistNextAge}},
+      "personality": "1-2 sentences",
+      "strengths": ["strength 1", "strength 2", "strength 3"],
+      "flaws": ["flaw 1", "flaw 2"],
+      "goals": "1 sentence",
+      "fears": "1 sentence"
+    },
+    "antagonist": {
+      "name": "name",
+      "role": "1 sentence",
+      "motivation": "1 sentence",
+      "connection_to_previous_books": "1 sentence"
+    },
+    "supporting": [
+      {"name": "name", "role": "1 sentence", "arc": "1 sentence"}
+    ]
+  },
+  "central_conflict": {
+    "description": "2-3 sentences",
+    "connection_to_previous_books": "1 sentence",
+    "escalation": "1 sentence"
+  },
+  "stakes": {
+    "personal": "1 sentence",
+    "world": "1 sentence"
+  },
+  "themes": ["EVOLVE theme 1 from Book 1 — same core idea, new angle/complication", "EVOLVE theme 2...", "etc — one evolved entry per Book 1 theme: {{themeSummary}}"],
+  "key_locations": [
+    {"name": "location", "description": "1 sentence", "new_or_returning": "new/returning"}
+  ],
+  "timeline": {
+    "time_after_previous_book": "e.g. 3 months later",
+    "duration": "e.g. spans 2 weeks",
+    "season": "e.g. early winter"
+  },
+  "narrative_voice": {
+    "pov": "same POV as Book 1 unless there's a compelling reason to shift",
+    "tonal_register": "1 sentence — how has the tone evolved from Book 1?",
+    "sentence_rhythm": "1 sentence",
+    "signature_techniques": ["technique 1", "technique 2"],
+    "continuity_note": "what should feel the SAME as Book 1's voice, and what should evolve?"
+  }
+}`
+};
@@ -0,0 +1,68 @@
+/**
+ * Series plan — the shape of a whole series, written once Book 1 is finished and the
+ * reader asks for a sequel. Every sequel bible is then generated against it.
+ */
+module.exports = {
+  name: 'series_plan',
+  version: 1,
+  description: 'Multi-book plan: overarching arc, each book\'s role, threads carried across books and the ending',
+  variables: {
+    seriesName: 'string',
+    plannedBooks: 'number',
+    genre: 'string',
+    bookTitle: 'string',
+    bibleJson: 'string',
+    endStateJson: 'string',
+    readerPreferences: 'string'
+  },
+  template: `You are a series architect planning "{{seriesName}}", a {{genre}} series of {{plannedBooks}} books. Book 1, "{{bookTitle}}", is written and finished. Plan the whole series from here, so every sequel builds toward a deliberate ending instead of inventing a new adventure each time.
+
+<book_1_bible>
+{{bibleJson}}
+</book_1_bible>
+
+<book_1_end_state>
+{{endStateJson}}
+</book_1_end_state>
+
+<reader_preferences>
+{{readerPreferences}}
+</reader_preferences>
+
+PLAN:
+1. SERIES ARC — the conflict larger than any single book, already latent in Book 1 (a question it raised, a cost it deferred, a power it hinted at), and the protagonist's journey across all {{plannedBooks}} books.
+2. BOOKS — one entry per book, 1 to {{plannedBooks}}. Book 1's entry describes what it already did. Each later book has its own complete conflict AND moves the series arc forward; stakes escalate; the middle books must not stall. Book {{plannedBooks}} resolves the series.
+3. THREADS — 3-6 threads that intentionally carry across books: a mystery, a relationship, a promise, a consequence. Each is introduced in one book and resolved in a later one (or the final book). Prefer threads seeded in Book 1's events.
+4. PLANNED ENDING — how the series resolves, where the protagonist ends up, and the final image.
+
+Keep every value CONCISE (1-2 sentences). Return ONLY valid JSON — no markdown, no commentary:
+{
+  "series_arc": {
+    "overarching_conflict": "the conflict the whole series resolves",
+    "protagonist_journey": "who the protagonist becomes across the series",
+    "escalation": "how the stakes grow book by book"
+  },
+  "books": [
+    {
+      "book_number": 1,
+      "role": "what this book does for the series (e.g. 'inciting book — reveals the threat')",
+      "focus": "this book's own central conflict",
+      "ends_with": "the state the series is left in when this book ends"
+    }
+  ],
+  "threads": [
+    {
+      "id": "thread_1",
+      "thread": "what the thread is",
+      "introduced_in": 1,
+      "resolves_in": {{plannedBooks}},
+      "progression": "how it develops book by book"
+    }
+  ],
+  "planned_ending": {
+    "resolution": "how the overarching conflict resolves",
+    "protagonist_end_state": "where the protagonist ends up",
+    "final_image": "the last image of the series"
+  }
+}`
+};
@@ -0,0 +1,135 @@
+/**
+ * Spin-off bible — a new story in an existing world, with one of the original story's
+ * secondary characters as protagonist. Output has the same shape as story_bible.
+ */
+module.exports = {
+  name: 'spin_off_bible',
+  version: 1,
+  description: 'Story bible for a spin-off centred on a secondary character from the original story',
+  variables: {
+    characterName: 'string',
+    originalTitle: 'string',
+    genre: 'string',
+    ageRange: 'string',
+    totalChapters: 'number',
+    originalBibleJson: 'string',
+    codexJson: 'string',
+    characterProfileJson: 'string',
+    characterArcJson: 'string',
+    endStateJson: 'string',
+    readerNotes: 'string'
+  },
+  template: `You are creating the story bible for a SPIN-OFF of "{{originalTitle}}", a {{genre}} story. The reader fell for one of its secondary characters, {{characterName}}, and wants a story of their own: {{characterName}} is the PROTAGONIST now. It is set in the same world, and everything the original established is canon.
+
+<original_bible>
+{{originalBibleJson}}
+</original_bible>
+
+<world_codex>
+{{codexJson}}
+</world_codex>
+
+<protagonist_in_the_original>
+Bible entry:
+{{characterProfileJson}}
+
+Chapter-by-chapter arc (from the character ledger):
+{{characterArcJson}}
+</protagonist_in_the_original>
+
+<original_end_state>
+{{endStateJson}}
+</original_end_state>
+
+<reader_notes>
+{{readerNotes}}
+</reader_notes>
+
+REQUIREMENTS:
+1. PROTAGONIST — characters.protagonist.name is exactly "{{characterName}}". Build their interior life from what the original showed: the emotional state they were left in, the relationships that shifted, what they know that others don't. Deepen them; don't contradict them.
+2. SHARED CANON — keep world_rules consistent with the original bible and the codex. Reuse established locations where they fit; new ones must belong to the same world.
+3. A STORY OF THEIR OWN — a new central conflict that is about {{characterName}}, not a retelling of the original's plot from their side. It may run before, alongside or after the original's events; say which in timeline.total_duration.
+4. THE ORIGINAL CAST — the original protagonist may appear (supporting, or only referenced), but must not take over. Relationships carry over exactly as the ledger left them.
+5. A DISTINCT VOICE — narrative_voice should sound like {{characterName}}'s story, not the original's.
+
+Create a world that will support a {{totalChapters}}-chapter story for ages {{ageRange}}.
+
+Return ONLY a JSON object in this exact format:
+{
+  "title": "string — a new title for the spin-off",
+  "world_rules": {
+    "magic_system": "description if applicable",
+    "technology_level": "description",
+    "society_structure": "description",
+    "unique_rules": ["rule1", "rule2"]
+  },
+  "characters": {
+    "protagonist": {
+      "name": "{{characterName}}",
+      "age": number,
+      "personality": "string",
+      "strengths": ["strength1", "strength2"],
+      "flaws": ["flaw1", "flaw2"],
+      "goals": "string",
+      "fears": "string",
+      "internal_contradiction": "opposing forces within them",
+      "lie_they_believe": "false belief holding them back",
+      "deepest_fear": "what they're REALLY afraid of (vs. what they say)",
+      "voice_notes": "how they speak—vocabulary, rhythm, quirks"
+    },
+    "antagonist": {
+      "name": "string",
+      "motivation": "string",
+      "methods": "string",
+      "backstory": "string",
+      "why_they_believe_theyre_right": "their moral justification",
+      "sympathetic_element": "what makes them human/wounded",
+      "point_of_no_return": "event that locked them on this path"
+    },
+    "supporting": [
+      {
+        "name": "string",
+        "role": "string",
+        "personality": "string",
+        "relationship_dynamic": "how they interact with the protagonist",
+        "their_own_goal": "what THEY want"
+      }
+    ]
+  },
+  "central_conflict": {
+    "description": "string",
+    "inciting_incident": "string",
+    "complications": ["complication1", "complication2"]
+  },
+  "stakes": {
+    "personal": "string",
+    "broader": "string",
+    "emotional": "string"
+  },
+  "themes": ["theme1", "theme2", "theme3"],
+  "key_locations": [
+    {
+      "name": "string",
+      "description": "string",
+      "significance": "string",
+      "sensory_details": {
+        "sounds": "what you hear here",
+        "smells": "what you smell",
+        "tactile": "temperature, texture, atmospheric feel"
+      }
+    }
+  ],
+  "timeline": {
+    "total_duration": "string",
+    "key_milestones": ["milestone1", "milestone2"]
+  },
+  "narrative_voice": {
+    "pov": "point of view choice and why",
+    "tonal_register": "where the narrator sits on formal/casual, earnest/wry, lush/spare, warm/cool spectrums",
+    "sentence_rhythm": "the cadence and pacing of prose",
+    "narrative_personality": "the narrator's distinctive attitude or quality",
+    "signature_techniques": ["technique 1", "technique 2"],
+    "never_sounds_like": "anti-patterns to avoid in this story's voice"
+  }
+}`
+};
@@ -0,0 +1,176 @@
+/**
+ * Story bible — the foundation every later prompt reads from.
+ * Used for new stories and for stories whose bible is generated after creation.
+ */
+module.exports = {
+  name: 'story_bible',
+  version: 1,
+  description: 'Story bible: world rules, characters, conflict, themes, locations, narrative voice',
+  variables: {
+    premise: 'object',
+    readingLevel: 'string',
+    ageRange: 'string',
+    belovedStories: 'array',
+    totalChapters: 'number'
+  },
+  template: `You are an expert world-builder and story architect creating a foundation for compelling fiction.
+
+Create a comprehensive story bible for this premise:
+
+<premise>
+  <title>{{premise.title}}</title>
+  <description>{{premise.description}}</description>
+  <genre>{{premise.genre}}</genre>
+  <themes>{{premise.themes}}</themes>
+  <reading_level>
+    Reading Level: {{readingLevel}}
+    Age Range: {{ageRange}}
+    Beloved Stories: {{belovedStories|not specified}}
+
+    CALIBRATE ALL PROSE TO THIS READING LEVEL. Here's what each level means:
+
+    early_reader: Short chapters (800-1200 words). Simple sentences averaging 8-12 words. Concrete vocabulary — show don't tell through action and dialogue, not internal monologue. Think Magic Tree House, Diary of a Wimpy Kid.
+
+    middle_grade: Standard chapters (1500-2500 words). Sentences average 12-16 words with variety. Accessible vocabulary with occasional "stretch" words that context makes clear. Emotions shown through behavior and some internal thought. Think Percy Jackson, early Harry Potter.
+
+    upper_middle_grade: Fuller chapters (2000-3000 words). Sentence variety with some complex structures. Moral ambiguity can be introduced. Internal conflict goes deeper. Think later Harry Potter, Hunger Games, Eragon.
+
+    young_adult: Rich chapters (2500-4000 words). Full sentence complexity. Unreliable narrators OK. Sophisticated vocabulary used naturally. Deep thematic exploration. Think Six of Crows, Throne of Glass.
+
+    new_adult/adult: No prose constraints. Full literary range.
+
+    IMPORTANT: If the reader mentioned specific beloved stories, match THAT prose level, not a generic age-based level. A 12-year-old who loves Hunger Games should get prose closer to Suzanne Collins than to Jeff Kinney.
+  </reading_level>
+</premise>
+
+The story bible should include:
+
+1. WORLD RULES: The fundamental rules of this story's world (magic systems, technology, society structure)
+
+2. PROTAGONIST (Deep Psychology Required):
+   - Name, age, personality, strengths, flaws, goals, fears
+   - INTERNAL CONTRADICTION: What opposing forces war inside them? (e.g., "craves independence but fears abandonment")
+   - THE LIE THEY BELIEVE: What false belief about themselves holds them back? (e.g., "I'm not brave enough", "I have to do everything alone")
+   - DEEPEST FEAR vs. STATED FEAR: What they're REALLY afraid of vs. what they say/think they fear
+   - VOICE NOTES: How do they speak? Vocabulary level, sentence rhythm, verbal tics?
+
+3. ANTAGONIST (Sympathetic Depth Required):
+   - Name, motivation, methods, backstory
+   - WHY THEY BELIEVE THEY'RE RIGHT: The antagonist should think they're justified. What's their moral framework?
+   - WHAT WOULD MAKE READERS ALMOST SYMPATHIZE: What wound or belief drives them? What makes them human, not evil?
+   - POINT OF NO RETURN: What event locked them into this path?
+
+4. SUPPORTING CHARACTERS (2-3 key characters):
+   - Name, role, personality
+   - RELATIONSHIP DYNAMIC WITH PROTAGONIST: Not just "friend" or "mentor"—how do they challenge/complement/frustrate the protagonist? What's the emotional texture of their bond?
+   - THEIR OWN GOAL: Supporting characters aren't props. What do THEY want?
+
+5. CENTRAL CONFLICT: The main problem/challenge the protagonist must overcome
+
+6. STAKES: What happens if the protagonist fails? What's at risk?
+
+7. THEMES: Core themes to explore throughout the story
+
+8. KEY LOCATIONS (3-5 settings):
+   - Name, visual description, significance
+   - SENSORY DETAILS: What does this place SOUND like? SMELL like? FEEL like (temperature, texture, atmosphere)?
+   - Not just what it looks like—make it visceral and immersive
+
+9. TIMELINE: Story timeframe and key events
+
+10. NARRATIVE VOICE & PROSE STYLE:
+   This is the DNA of how the story SOUNDS. Not what happens—how it's told.
+
+   - POINT OF VIEW: Which POV best serves this story? (close third, first person, omniscient, etc.) WHY this choice?
+   - TONAL REGISTER: Where does the narrator sit on these spectrums?
+     * Formal ←→ Conversational
+     * Earnest ←→ Wry/Ironic
+     * Lush/Lyrical ←→ Spare/Direct
+     * Warm ←→ Cool/Detached
+   - SENTENCE RHYTHM: Short and punchy? Long and rolling? Musical with varied cadence? Match this to genre—thrillers crack with short sentences, literary fiction breathes with longer ones.
+   - NARRATIVE PERSONALITY: Does the narrator have attitude? Wisdom? Humor? Mystery? A great narrator isn't invisible—they have a VOICE. Think of the difference between the narrators of "A Series of Unfortunate Events" vs. "The Hunger Games" vs. "The Name of the Wind."
+   - SIGNATURE TECHNIQUES: What 2-3 prose techniques should define this story's style?
+     * Examples: vivid sensory anchors, dry wit in description, unreliable narrator hints, poetic chapter openings, cliffhanger endings, internal monologue that argues with itself, second-person asides to the reader
+   - WHAT THIS STORY SHOULD NEVER SOUND LIKE: Anti-patterns to avoid. (e.g., "Never clinical or detached—this story should feel like a campfire tale" or "Never melodramatic—tension comes from restraint, not exclamation marks")
+
+Create a rich, psychologically complex world that will support a {{totalChapters}}-chapter story for ages {{ageRange}}. Every character should feel like they have an interior life. The world should feel tangible and lived-in. The narrative voice should be distinctive enough that a reader could identify this story by its SOUND, not just its plot.
+
+Return ONLY a JSON object in this exact format:
+{
+  "title": "{{premise.title}}",
+  "world_rules": {
+    "magic_system": "description if applicable",
+    "technology_level": "description",
+    "society_structure": "description",
+    "unique_rules": ["rule1", "rule2"]
+  },
+  "characters": {
+    "protagonist": {
+      "name": "string",
+      "age": number,
+      "personality": "string",
+      "strengths": ["strength1", "strength2"],
+      "flaws": ["flaw1", "flaw2"],
+      "goals": "string",
+      "fears": "string",
+      "internal_contradiction": "opposing forces within them",
+      "lie_they_believe": "false belief holding them back",
+      "deepest_fear": "what they're REALLY afraid of (vs. what they say)",
+      "voice_notes": "how they speak—vocabulary, rhythm, quirks"
+    },
+    "antagonist": {
+      "name": "string",
+      "motivation": "string",
+      "methods": "string",
+      "backstory": "string",
+      "why_they_believe_theyre_right": "their moral justification",
+      "sympathetic_element": "what makes them human/wounded",
+      "point_of_no_return": "event that locked them on this path"
+    },
+    "supporting": [
+      {
+        "name": "string",
+        "role": "string",
+        "personality": "string",
+        "relationship_dynamic": "how they interact with protagonist—not just 'friend' but emotional texture",
+        "their_own_goal": "what THEY want (supporting chars aren't props)"
+      }
+    ]
+  },
+  "central_conflict": {
+    "description": "string",
+    "inciting_incident": "string",
+    "complications": ["complication1", "complication2"]
+  },
+  "stakes": {
+    "personal": "string",
+    "broader": "string",
+    "emotional": "string"
+  },
+  "themes": ["theme1", "theme2", "theme3"],
+  "key_locations": [
+    {
+      "name": "string",
+      "description": "string",
+      "significance": "string",
+      "sensory_details": {
+        "sounds": "what you hear here",
+        "smells": "what you smell",
+        "tactile": "temperature, texture, atmospheric feel"
+      }
+    }
+  ],
+  "timeline": {
+    "total_duration": "string",
+    "key_milestones": ["milestone1", "milestone2"]
+  },
+  "narrative_voice": {
+    "pov": "point of view choice and why",
+    "tonal_register": "where the narrator sits on formal/casual, earnest/wry, lush/spare, warm/cool spectrums",
+    "sentence_rhythm": "the cadence and pacing of prose",
+    "narrative_personality": "the narrator's distinctive attitude or quality",
+    "signature_techniques": ["technique 1", "technique 2"],
+    "never_sounds_like": "anti-patterns to avoid in this story's voice"
+  }
+}`
+};
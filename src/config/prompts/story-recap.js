@@ -0,0 +1,44 @@
+/**
+ * Story recap — "Previously on…" for a reader coming back after a break. Built only from the
+ * chapters they've read, so it can't spoil anything; stored in story_recaps per story and chapter.
+ */
+module.exports = {
+  name: 'story_recap',
+  version: 1,
+  description: 'Spoiler-free "story so far" recap at three lengths for a returning reader',
+  variables: {
+    storyTitle: 'string',
+    genre: 'string',
+    throughChapter: 'number',
+    chaptersBlock: 'string',
+    charactersBlock: 'string',
+    endingExcerpt: 'string'
+  },
+  template: `A reader is coming back to "{{storyTitle}}" ({{genre}}) after a long break. They have read up to the end of chapter {{throughChapter}} and have forgotten the details. Write the "Previously on…" that gets them back into the story.
+
+<chapters_read>
+{{chaptersBlock}}
+</chapters_read>
+
+<characters_now>
+{{charactersBlock}}
+</characters_now>
+
+<where_they_stopped>
+{{endingExcerpt}}
+</where_they_stopped>
+
+Rules:
+- Only what happened in the chapters above. Never hint at what comes next, never speculate about mysteries, never reveal anything a character hasn't revealed on the page.
+- Past tense, third person, in the story's own register — a recap, not a review. No "in this chapter" or "the author".
+- Lead with what matters to the reader now: who is where, what they want, what's unresolved. Older events only as far as they explain that.
+- Use character names as the chapters do. Don't introduce anyone the reader hasn't met.
+- End every length on where chapter {{throughChapter}} left off, so the next chapter follows naturally.
+
+Return ONLY a JSON object:
+{
+  "one_line": "One sentence (under 30 words): the situation right now.",
+  "paragraph": "One paragraph (80-120 words): the main thread so far and where it stands.",
+  "full": "300-450 words in 3-5 short paragraphs: the story so far, the key relationships as they stand, the open questions the reader was left with, and the last scene."
+}`
+};
@@ -0,0 +1,75 @@
+/**
+ * World codex — structured rulebook extracted from the story bible.
+ * genreCategories and previousCodexBlock (sequel rule inheritance) come from generateWorldCodex.
+ */
+module.exports = {
+  name: 'world_codex',
+  version: 1,
+  description: 'Converts the bible world_rules narrative into a structured, genre-adaptive rulebook',
+  variables: {
+    worldRulesJson: 'string',
+    charactersJson: 'string',
+    themesJson: 'string',
+    keyLocationsJson: 'string',
+    genreCategories: 'string',
+    previousCodexBlock: 'string'
+  },
+  template: `You are a world-building architect. Your job: convert narrative world descriptions into a STRUCTURED RULEBOOK with explicit, discrete entries.
+
+A story bible describes a world in flowing prose. That's great for inspiration, but terrible for consistency. When Chapter 8 needs to know whether healing magic requires physical contact, a paragraph of flavor text doesn't help. An explicit rule does.
+
+<world_rules_narrative>
+{{worldRulesJson}}
+</world_rules_narrative>
+
+<bible_characters>
+{{charactersJson}}
+</bible_characters>
+
+<bible_themes>
+{{themesJson}}
+</bible_themes>
+
+<key_locations>
+{{keyLocationsJson}}
+</key_locations>
+
+{{genreCategories}}
+{{previousCodexBlock}}
+FOR EVERY GENRE, also extract:
+- ESTABLISHED FACTS: Concrete truths about this world that MUST remain consistent (character capabilities, historical events, physical laws, social rules).
+- TIMELINE ANCHORS: Key events and their temporal relationships.
+- GEOGRAPHY: Locations mentioned, spatial relationships, travel constraints.
+
+RULES FOR YOUR OUTPUT:
+1. Each rule must be EXPLICIT and TESTABLE. "Magic is mysterious" is useless. "Saltblood magic requires physical contact to heal; cost is proportional fatigue" is useful.
+2. Note the SCOPE of each rule (who/what it applies to).
+3. Note COSTS and CONSEQUENCES where applicable.
+4. Note EXCEPTIONS if any are established.
+5. Mark facts as "immutable" (true/false) — can this change during the story, or is it bedrock?
+6. If the narrative is vague about a rule, state what IS established and flag what's ambiguous.
+
+Return ONLY valid JSON:
+{
+  "systems": [
+    {
+      "name": "System name (e.g., 'Tidal Magic', 'Court Procedures', 'Pack Social Hierarchy')",
+      "rules": [
+        { "rule": "Explicit statement", "cost": "What it costs or null", "scope": "Who/what this applies to", "exceptions": "Known exceptions or null", "immutable": true }
+      ]
+    }
+  ],
+  "factions": [
+    { "name": "Faction name", "goals": "What they want", "methods": "How they pursue it", "relationships": { "OtherFaction": "adversarial|allied|neutral|complex" } }
+  ],
+  "geography": [
+    { "name": "Location name", "facts": ["fact1", "fact2"], "connections": ["connected to X", "3 days travel from Y"] }
+  ],
+  "established_facts": [
+    { "fact": "Concrete fact", "category": "character_capability|history|physics|social|biological", "immutable": true }
+  ],
+  "timeline_anchors": [
+    { "event": "Event description", "when": "Temporal reference", "significance": "Why it matters" }
+  ]
+}`
+};
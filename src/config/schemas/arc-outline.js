@@ -0,0 +1,45 @@
+/**
+ * Arc outline (arc_outline prompt), stored in story_arcs. The chapter count is checked by
+ * generateArcOutline against the book plan.
+ */
+const text = { type: 'string', minLength: 1 };
+
+module.exports = {
+  name: 'arc_outline',
+  version: 1,
+  description: 'Chapter-by-chapter arc outline with pacing notes and story threads',
+  schema: {
+    type: 'object',
+    required: ['chapters', 'pacing_notes', 'story_threads'],
+    properties: {
+      chapters: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['chapter_number', 'title', 'events_summary'],
+          properties: {
+            chapter_number: { type: 'integer', minimum: 1 },
+            title: text,
+            events_summary: text,
+            tension_level: { type: 'string' },
+            emotional_arc: { type: ['object', 'string'] },
+            key_revelations: { type: ['array', 'string'] }
+          }
+        }
+      },
+      pacing_notes: { type: 'string' },
+      story_threads: {
+        type: 'object',
+        properties: {
+          main_plot: { type: 'string' },
+          subplots: {
+            type: 'array',
+            items: { type: 'object', required: ['name'], properties: { name: text } }
+          }
+        }
+      },
+      character_growth_milestones: { type: 'object' }
+    }
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Chapter constraints (three-pass pass 1), stored in chapter_validations.validation_result.
+ */
+const constraintList = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'constraint'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      constraint: { type: 'string', minLength: 1 },
+      source: { type: 'string' }
+    }
+  }
+};
+
+module.exports = {
+  name: 'chapter_constraints',
+  version: 1,
+  description: 'MUST / MUST NOT / SHOULD constraints extracted before a chapter is written',
+  schema: {
+    type: 'object',
+    required: ['must', 'must_not', 'should'],
+    properties: {
+      must: { ...constraintList, minItems: 1 },
+      must_not: constraintList,
+      should: constraintList
+    }
+  }
+};
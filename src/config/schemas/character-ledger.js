@@ -0,0 +1,54 @@
+/**
+ * Character ledger entry (extractCharacterLedger), stored in character_ledger_entries.ledger_data.
+ */
+const text = { type: 'string', minLength: 1 };
+
+module.exports = {
+  name: 'character_ledger',
+  version: 1,
+  description: 'Per-chapter character emotional state, knowledge, relationships and callbacks',
+  schema: {
+    type: 'object',
+    required: ['characters'],
+    properties: {
+      chapter: { type: 'integer' },
+      chapter_title: { type: 'string' },
+      characters: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['emotional_state'],
+          properties: {
+            emotional_state: text,
+            chapter_experience: { type: 'string' },
+            new_knowledge: { type: 'array', items: { type: 'string' } },
+            private_thoughts: { type: 'string' },
+            relationship_shifts: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  direction: { enum: ['strengthening', 'deteriorating', 'complicated', 'stable'] },
+                  detail: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      group_dynamics: { type: 'object' },
+      callback_bank: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['source_chapter', 'moment', 'status'],
+          properties: {
+            source_chapter: { type: 'integer' },
+            moment: text,
+            status: { enum: ['ripe', 'used', 'expired'] }
+          }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Constraint validation (three-pass pass 3), stored in chapter_validations.validation_result.
+ */
+const results = (statuses) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'status'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      status: { enum: statuses },
+      evidence: { type: 'string' }
+    }
+  }
+});
+
+module.exports = {
+  name: 'constraint_validation',
+  version: 1,
+  description: 'Verdict on whether a chapter delivered its MUST constraints and avoided its MUST NOTs',
+  schema: {
+    type: 'object',
+    required: ['verdict', 'must_results', 'must_not_results', 'specific_issues'],
+    properties: {
+      verdict: { enum: ['PASS', 'FAIL'] },
+      must_results: results(['DELIVERED', 'NOT_DELIVERED']),
+      must_not_results: results(['CLEAR', 'VIOLATED']),
+      should_results: results(['DELIVERED', 'NOT_DELIVERED']),
+      specific_issues: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Entity validation (chapter-validation.js): consistency issues plus extracted entities.
+ * The validation half is stored in chapter_validations.validation_result, entities in
+ * chapter_entities.
+ */
+const issues = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['description', 'severity'],
+    properties: {
+      description: { type: 'string', minLength: 1 },
+      severity: { enum: ['critical', 'minor'] },
+      quote: { type: 'string' },
+      canonical: { type: 'string' }
+    }
+  }
+};
+
+module.exports = {
+  name: 'entity_validation',
+  version: 1,
+  description: 'Character, world and plot consistency issues and the entities a chapter mentions',
+  schema: {
+    type: 'object',
+    required: ['validation', 'entities'],
+    properties: {
+      validation: {
+        type: 'object',
+        required: ['severity'],
+        properties: {
+          character_issues: issues,
+          world_issues: issues,
+          plot_issues: issues,
+          severity: { enum: ['none', 'minor', 'critical'] }
+        }
+      },
+      entities: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['entity_type', 'entity_name', 'fact'],
+          properties: {
+            entity_type: { enum: ['character', 'location', 'world_rule', 'timeline', 'plot_thread'] },
+            entity_name: { type: 'string', minLength: 1 },
+            fact: { type: 'string', minLength: 1 },
+            is_consistent: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  }
+};
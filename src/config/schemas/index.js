@@ -0,0 +1,17 @@
+/**
+ * JSON Schemas for structured model outputs — see src/services/structured-output.js.
+ * Add new schemas here; bump a schema's version whenever the shape it accepts changes.
+ */
+module.exports = [
+  require('./story-bible'),
+  require('./manuscript-analysis'),
+  require('./arc-outline'),
+  require('./world-codex'),
+  require('./character-ledger'),
+  require('./world-ledger'),
+  require('./chapter-constraints'),
+  require('./constraint-validation'),
+  require('./entity-validation'),
+  require('./series-plan'),
+  require('./story-recap')
+];
@@ -0,0 +1,38 @@
+/**
+ * Manuscript analysis (manuscript_analysis prompt). The bible is stored in story_bibles like any
+ * other; the chapter notes become the imported chapters' metadata. importManuscript checks there
+ * is a note for every chapter.
+ */
+const storyBible = require('./story-bible');
+
+const text = { type: 'string', minLength: 1 };
+
+module.exports = {
+  name: 'manuscript_analysis',
+  version: 1,
+  description: 'Story bible and per-chapter notes reverse-engineered from a reader-written manuscript',
+  schema: {
+    type: 'object',
+    required: ['bible', 'chapters'],
+    properties: {
+      genre: { type: 'string' },
+      bible: storyBible.schema,
+      chapters: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['chapter_number', 'title', 'key_events', 'closing_hook'],
+          properties: {
+            chapter_number: { type: 'integer', minimum: 1 },
+            title: text,
+            opening_hook: { type: 'string' },
+            key_events: { type: 'array', minItems: 1, items: { type: 'string' } },
+            character_development: { type: 'string' },
+            closing_hook: text
+          }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Series plan (series_plan prompt), stored in series_plans. generateSeriesPlan checks the
+ * book count and that every thread's books fall inside the plan.
+ */
+const text = { type: 'string', minLength: 1 };
+const bookNumber = { type: 'integer', minimum: 1 };
+
+module.exports = {
+  name: 'series_plan',
+  version: 1,
+  description: 'Multi-book series plan: overarching arc, per-book roles, cross-book threads and the ending',
+  schema: {
+    type: 'object',
+    required: ['series_arc', 'books', 'threads', 'planned_ending'],
+    properties: {
+      series_arc: {
+        type: 'object',
+        required: ['overarching_conflict', 'protagonist_journey'],
+        properties: {
+          overarching_conflict: text,
+          protagonist_journey: text,
+          escalation: { type: 'string' }
+        }
+      },
+      books: {
+        type: 'array',
+        minItems: 2,
+        items: {
+          type: 'object',
+          required: ['book_number', 'role', 'focus'],
+          properties: {
+            book_number: bookNumber,
+            role: text,
+            focus: text,
+            ends_with: { type: 'string' }
+          }
+        }
+      },
+      threads: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'thread', 'introduced_in', 'resolves_in'],
+          properties: {
+            id: text,
+            thread: text,
+            introduced_in: bookNumber,
+            resolves_in: bookNumber,
+            progression: { type: 'string' }
+          }
+        }
+      },
+      planned_ending: {
+        type: 'object',
+        required: ['resolution'],
+        properties: {
+          resolution: text,
+          protagonist_end_state: { type: 'string' },
+          final_image: { type: 'string' }
+        }
+      }
+    }
+  }
+};
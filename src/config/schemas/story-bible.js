@@ -0,0 +1,66 @@
+/**
+ * Story bible (story_bible and sequel_bible prompts), stored in story_bibles.
+ * Only what later steps read is required; the prompt asks for much more.
+ */
+const text = { type: 'string', minLength: 1 };
+
+module.exports = {
+  name: 'story_bible',
+  version: 1,
+  description: 'Story bible: world, characters, conflict, stakes, themes, locations, timeline',
+  schema: {
+    type: 'object',
+    required: ['title', 'world_rules', 'characters', 'central_conflict', 'stakes', 'themes', 'key_locations', 'timeline'],
+    properties: {
+      title: text,
+      world_rules: { type: 'object' },
+      characters: {
+        type: 'object',
+        required: ['protagonist', 'antagonist'],
+        properties: {
+          protagonist: {
+            type: 'object',
+            required: ['name', 'age', 'personality'],
+            properties: {
+              name: text,
+              age: { type: 'number', minimum: 0 },
+              personality: text,
+              strengths: { type: 'array', items: { type: 'string' } },
+              flaws: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          antagonist: {
+            type: 'object',
+            required: ['name', 'motivation'],
+            properties: { name: text, motivation: text }
+          },
+          supporting: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'role'],
+              properties: { name: text, role: text }
+            }
+          }
+        }
+      },
+      central_conflict: {
+        type: 'object',
+        required: ['description'],
+        properties: { description: text }
+      },
+      stakes: { type: 'object' },
+      themes: { type: 'array', minItems: 1, items: { type: 'string' } },
+      key_locations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'description'],
+          properties: { name: text, description: text }
+        }
+      },
+      timeline: { type: 'object' },
+      narrative_voice: { type: 'object' }
+    }
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Story recap (story_recap prompt), stored in story_recaps.recap.
+ */
+const text = { type: 'string', minLength: 1 };
+
+module.exports = {
+  name: 'story_recap',
+  version: 1,
+  description: '"Previously on…" recap of the chapters a reader has read, at three lengths',
+  schema: {
+    type: 'object',
+    required: ['one_line', 'paragraph', 'full'],
+    properties: {
+      one_line: text,
+      paragraph: text,
+      full: text
+    }
+  }
+};
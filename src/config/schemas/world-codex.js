@@ -0,0 +1,54 @@
+/**
+ * World codex (world_codex prompt), stored in world_codex.codex_data.
+ */
+const text = { type: 'string', minLength: 1 };
+
+module.exports = {
+  name: 'world_codex',
+  version: 1,
+  description: 'Structured world rulebook: systems, factions, geography, facts, timeline anchors',
+  schema: {
+    type: 'object',
+    required: ['systems', 'established_facts'],
+    properties: {
+      systems: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'rules'],
+          properties: {
+            name: text,
+            rules: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['rule'],
+                properties: { rule: text, immutable: { type: 'boolean' } }
+              }
+            }
+          }
+        }
+      },
+      factions: {
+        type: 'array',
+        items: { type: 'object', required: ['name'], properties: { name: text, relationships: { type: 'object' } } }
+      },
+      geography: {
+        type: 'array',
+        items: { type: 'object', required: ['name'], properties: { name: text, facts: { type: 'array', items: { type: 'string' } } } }
+      },
+      established_facts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['fact'],
+          properties: { fact: text, category: { type: 'string' }, immutable: { type: 'boolean' } }
+        }
+      },
+      timeline_anchors: {
+        type: 'array',
+        items: { type: 'object', required: ['event'], properties: { event: text } }
+      }
+    }
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * World state ledger entry (extractWorldStateLedger), stored in world_state_ledger.ledger_data.
+ */
+const text = { type: 'string', minLength: 1 };
+
+module.exports = {
+  name: 'world_ledger',
+  version: 1,
+  description: 'Per-chapter world facts, rules demonstrated, geography, timeline and reader promises',
+  schema: {
+    type: 'object',
+    required: ['facts_established'],
+    properties: {
+      chapter: { type: 'integer' },
+      facts_established: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['fact'],
+          properties: { fact: text, category: { type: 'string' }, immutable: { type: 'boolean' } }
+        }
+      },
+      rules_demonstrated: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['rule'],
+          properties: { rule: text, consistent_with_codex: { type: 'boolean' } }
+        }
+      },
+      geography_revealed: {
+        type: 'array',
+        items: { type: 'object', required: ['location'], properties: { location: text } }
+      },
+      timeline_progression: { type: 'object' },
+      reader_promises: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['promise', 'status'],
+          properties: {
+            promise: text,
+            status: { enum: ['pending', 'advanced', 'fulfilled'] },
+            planted_in: { type: 'integer' }
+          }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,51 @@
+const { assertWithinBudget } = require('../services/ai-budgets');
+
+/**
+ * Soft-limit warnings go out as a header only, so every gated route carries them without
+ * touching its JSON body. X-AI-Budget-Warning lists the budgets past their warning threshold
+ * as "<scope>-<period>", e.g. "user-daily, global-monthly"; clients can nudge the reader
+ * before they hit the hard limit.
+ */
+function attachBudgetWarnings(res, warnings) {
+  if (!warnings.length) return;
+  res.set('X-AI-Budget-Warning', warnings.map(w => `${w.scope}-${w.period}`).join(', '));
+}
+
+async function checkBudgetOrRespond(req, res, next, target) {
+  try {
+    const warnings = await assertWithinBudget(target);
+    attachBudgetWarnings(res, warnings);
+    next();
+  } catch (error) {
+    if (error.code === 'AI_BUDGET_REACHED') {
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        code: 'AI_BUDGET_REACHED',
+        budget: error.budget
+      });
+    }
+    next(error);
+  }
+}
+
+/**
+ * Express middleware for user + global AI budgets
+ * Use: router.post('/endpoint', authenticateUser, requireAIBudgetMiddleware, ...)
+ */
+async function requireAIBudgetMiddleware(req, res, next) {
+  await checkBudgetOrRespond(req, res, next, { userId: req.userId });
+}
+
+/**
+ * Express middleware for story + user + global AI budgets (story from req.params.storyId)
+ * Use: router.post('/:storyId/endpoint', authenticateUser, requireStoryAIBudgetMiddleware, ...)
+ */
+async function requireStoryAIBudgetMiddleware(req, res, next) {
+  await checkBudgetOrRespond(req, res, next, { userId: req.userId, storyId: req.params.storyId });
+}
+
+module.exports = {
+  requireAIBudgetMiddleware,
+  requireStoryAIBudgetMiddleware
+};
@@ -14,131 +14,1094 @@ const {
   computeStoryQualitySnapshot
 } = require('../services/quality-intelligence');
 
+const {
+  SCOPES: BUDGET_SCOPES,
+  PERIODS: BUDGET_PERIODS,
+  checkBudget,
+  clearBudgetCaches
+} = require('../services/ai-budgets');
+const { getBookPlan, DEFAULT_BOOK_LENGTH } = require('../services/book-plan');
+const { reviseChapter } = require('../services/chapter-revisions');
+const {
+  listPrompts,
+  listPromptVersions,
+  diffPromptVersions,
+  promptVersionsFor
+} = require('../services/prompt-registry');
+const { getSchedulerStats } = require('../services/llm-scheduler');
+const {
+  EXPERIMENT_STATUSES,
+  validateExperiment,
+  getExperimentReport
+} = require('../services/experiments');
+const {
+  BUILTIN_RULES,
+  validateRule,
+  lintProse,
+  loadProseLintRules,
+  listProseLintRules,
+  clearProseLintCache
+} = require('../services/prose-lint');
+const { getSchema, listSchemas } = require('../services/structured-output');
+const { ensureSeriesPlan } = require('../services/series-planner');
+const { chapterQueryError, getRelationshipGraph } = require('../services/relationship-graph');
+const { getStoryTimeline } = require('../services/story-timeline');
+
+// A model call queued this long means the scheduler limits can't keep up with demand
+const LLM_QUEUE_DEGRADED_WAIT_MS = 5 * 60 * 1000;
+
 const router = express.Router();
 
 /**
- * GET /admin/costs/:userId
- * Get cost breakdown for a user's AI API usage
+ * GET /admin/costs/:userId
+ * Get cost breakdown for a user's AI API usage
+ */
+router.get('/costs/:userId', authenticateUser, asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  // In production, add admin role check here
+  // For now, users can only see their own costs
+  if (req.userId !== userId) {
+    return res.status(403).json({
+      success: false,
+      error: 'Unauthorized access'
+    });
+  }
+
+  // TODO: Query actual cost tracking table
+  // This should track:
+  // - Claude API usage (tokens, cost)
+  // - OpenAI API usage (tokens, cost)
+  // - Breakdown by story/chapter
+  // - Timestamp and cumulative costs
+
+  const { data: costs, error } = await supabaseAdmin
+    .from('api_costs')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    // If table doesn't exist yet, return mock data
+    return res.json({
+      success: true,
+      costs: [],
+      summary: {
+        totalCost: 0,
+        claudeCost: 0,
+        openaiCost: 0,
+        totalTokens: 0
+      },
+      message: 'Cost tracking not yet implemented'
+    });
+  }
+
+  // Calculate summary
+  const summary = {
+    totalCost: costs.reduce((sum, c) => sum + (c.cost || 0), 0),
+    claudeCost: costs.filter(c => c.provider === 'claude').reduce((sum, c) => sum + (c.cost || 0), 0),
+    openaiCost: costs.filter(c => c.provider === 'openai').reduce((sum, c) => sum + (c.cost || 0), 0),
+    totalTokens: costs.reduce((sum, c) => sum + (c.tokens || 0), 0)
+  };
+
+  res.json({
+    success: true,
+    costs,
+    summary
+  });
+}));
+
+/**
+ * GET /admin/generation-metrics
+ * Track story generation performance metrics
+ */
+router.get('/generation-metrics', authenticateUser, asyncHandler(async (req, res) => {
+  // In production, add admin role check here
+
+  // TODO: Query generation metrics:
+  // - Average generation time per chapter
+  // - Success/failure rates
+  // - Token usage statistics
+  // - User engagement metrics
+
+  const { data: metrics, error } = await supabaseAdmin
+    .from('generation_metrics')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(100);
+
+  if (error) {
+    // If table doesn't exist yet, return mock data
+    return res.json({
+      success: true,
+      metrics: {
+        avgGenerationTime: 0,
+        successRate: 0,
+        totalGenerations: 0,
+        avgTokensPerChapter: 0
+      },
+      message: 'Metrics tracking not yet implemented'
+    });
+  }
+
+  res.json({
+    success: true,
+    metrics: metrics || []
+  });
+}));
+
+/**
+ * GET /admin/health
+ * Health check endpoint for monitoring. llm_queue is this instance's model call
+ * scheduler: running/queued calls per model and priority.
+ */
+router.get('/health', asyncHandler(async (req, res) => {
+  // Check database connectivity
+  const { error: dbError } = await supabaseAdmin
+    .from('stories')
+    .select('id')
+    .limit(1);
+
+  const llmQueue = getSchedulerStats();
+  const llmQueueBacklogged = llmQueue.oldest_wait_ms > LLM_QUEUE_DEGRADED_WAIT_MS;
+
+  const health = {
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    services: {
+      database: dbError ? 'unhealthy' : 'healthy',
+      api: 'healthy',
+      llm_queue: llmQueueBacklogged ? 'backlogged' : 'healthy'
+    },
+    llm_queue: llmQueue
+  };
+
+  if (dbError || llmQueueBacklogged) {
+    health.status = 'degraded';
+  }
+
+  res.json(health);
+}));
+
+/**
+ * GET /admin/jobs
+ * List generation jobs (default: dead-lettered) with this instance's worker status
+ * Query: status (queued|running|succeeded|dead), storyId, limit
+ */
+router.get('/jobs', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { status = 'dead', storyId, limit } = req.query;
+  const { getWorkerStatus } = require('../services/job-queue');
+
+  let query = supabaseAdmin
+    .from('generation_jobs')
+    .select('*')
+    .eq('status', status);
+
+  if (storyId) query = query.eq('story_id', storyId);
+
+  const { data: jobs, error } = await query
+    .order('updated_at', { ascending: false })
+    .limit(parseInt(limit, 10) || 50);
+
+  if (error) {
+    throw new Error(`Failed to fetch jobs: ${error.message}`);
+  }
+
+  res.json({
+    success: true,
+    jobs,
+    worker: getWorkerStatus()
+  });
+}));
+
+/**
+ * POST /admin/jobs/:jobId/retry
+ * Move a dead-lettered job back to the queue with a fresh attempt budget
+ */
+router.post('/jobs/:jobId/retry', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { jobId } = req.params;
+  const { requeueJob } = require('../services/job-queue');
+
+  const job = await requeueJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'No dead-lettered job found with that id'
+    });
+  }
+
+  // Clear the permanent failure — restore the step the job was on when it last heartbeat
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('generation_progress')
+    .eq('id', job.story_id)
+    .maybeSingle();
+
+  if (story) {
+    const lastStep = job.checkpoint?.current_step || '';
+    const resumeStep = lastStep.startsWith('generating_') ? lastStep : `generating_${job.job_type}`;
+
+    await supabaseAdmin
+      .from('stories')
+      .update({
+        status: 'active',
+        error_message: null,
+        generation_progress: {
+          ...(story.generation_progress || {}),
+          current_step: resumeStep,
+          permanently_failed_at: null,
+          last_updated: new Date().toISOString()
+        }
+      })
+      .eq('id', job.story_id);
+  }
+
+  console.log(`📬 [Admin] Requeued ${job.job_type} job ${job.id} for story ${job.story_id}`);
+
+  res.json({
+    success: true,
+    job
+  });
+}));
+
+/**
+ * GET /admin/budgets
+ * AI spend budgets, active overrides and current global spend
+ */
+router.get('/budgets', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+
+  const [budgetsResult, overridesResult, status] = await Promise.all([
+    supabaseAdmin
+      .from('ai_budgets')
+      .select('*')
+      .order('scope')
+      .order('period'),
+    supabaseAdmin
+      .from('ai_budget_overrides')
+      .select('*')
+      .gt('expires_at', new Date().toISOString())
+      .order('expires_at'),
+    checkBudget()
+  ]);
+
+  if (budgetsResult.error) {
+    throw new Error(`Failed to fetch budgets: ${budgetsResult.error.message}`);
+  }
+
+  res.json({
+    success: true,
+    budgets: budgetsResult.data,
+    overrides: overridesResult.data || [],
+    global: status.checks
+  });
+}));
+
+/**
+ * GET /admin/budgets/status
+ * Evaluate the budgets that apply to a user and/or story right now
+ * Query: userId, storyId
+ */
+router.get('/budgets/status', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { userId, storyId } = req.query;
+
+  const status = await checkBudget({ userId, storyId });
+
+  res.json({
+    success: true,
+    ...status
+  });
+}));
+
+/**
+ * PUT /admin/budgets
+ * Create or update a budget
+ * Body: scope ('global'|'user'|'story'), scopeId (omit for the scope default), period ('daily'|'monthly'),
+ *       limitUsd, softLimitRatio (optional, default 0.8), enabled (optional)
+ */
+router.put('/budgets', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { scope, scopeId = null, period, limitUsd, softLimitRatio, enabled } = req.body;
+
+  if (!BUDGET_SCOPES.includes(scope) || !BUDGET_PERIODS.includes(period)) {
+    return res.status(400).json({
+      success: false,
+      error: `scope must be one of ${BUDGET_SCOPES.join(', ')} and period one of ${BUDGET_PERIODS.join(', ')}`
+    });
+  }
+
+  if (scope === 'global' && scopeId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Global budgets do not take a scopeId'
+    });
+  }
+
+  if (typeof limitUsd !== 'number' || limitUsd < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'limitUsd must be a non-negative number'
+    });
+  }
+
+  if (softLimitRatio !== undefined && (typeof softLimitRatio !== 'number' || softLimitRatio <= 0 || softLimitRatio > 1)) {
+    return res.status(400).json({
+      success: false,
+      error: 'softLimitRatio must be between 0 and 1'
+    });
+  }
+
+  const fields = {
+    limit_usd: limitUsd,
+    updated_by: req.userId,
+    updated_at: new Date().toISOString()
+  };
+  if (softLimitRatio !== undefined) fields.soft_limit_ratio = softLimitRatio;
+  if (enabled !== undefined) fields.enabled = !!enabled;
+
+  // NULL scope_id can't be matched by upsert's onConflict, so look the row up explicitly
+  let lookup = supabaseAdmin
+    .from('ai_budgets')
+    .select('id')
+    .eq('scope', scope)
+    .eq('period', period);
+  lookup = scopeId ? lookup.eq('scope_id', scopeId) : lookup.is('scope_id', null);
+
+  const { data: existing } = await lookup.maybeSingle();
+
+  const { data: budget, error } = existing
+    ? await supabaseAdmin
+      .from('ai_budgets')
+      .update(fields)
+      .eq('id', existing.id)
+      .select()
+      .single()
+    : await supabaseAdmin
+      .from('ai_budgets')
+      .insert({ scope, scope_id: scopeId, period, ...fields })
+      .select()
+      .single();
+
+  if (error) {
+    throw new Error(`Failed to save budget: ${error.message}`);
+  }
+
+  clearBudgetCaches();
+  console.log(`💸 [Admin] ${scope}${scopeId ? ` ${scopeId}` : ''} ${period} budget set to $${limitUsd}`);
+
+  res.json({
+    success: true,
+    budget
+  });
+}));
+
+/**
+ * POST /admin/budgets/overrides
+ * Temporarily raise or lift a budget
+ * Body: scope, scopeId (omit for global), extraUsd (omit to lift the limit entirely),
+ *       hours (default 24), reason
+ */
+router.post('/budgets/overrides', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { scope, scopeId = null, extraUsd = null, hours = 24, reason } = req.body;
+
+  if (!BUDGET_SCOPES.includes(scope) || (scope !== 'global' && !scopeId) || (scope === 'global' && scopeId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'scope must be global (no scopeId) or user/story with a scopeId'
+    });
+  }
+
+  if (extraUsd !== null && (typeof extraUsd !== 'number' || extraUsd < 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'extraUsd must be a non-negative number, or omitted to lift the limit'
+    });
+  }
+
+  if (typeof hours !== 'number' || hours <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'hours must be a positive number'
+    });
+  }
+
+  const { data: override, error } = await supabaseAdmin
+    .from('ai_budget_overrides')
+    .insert({
+      scope,
+      scope_id: scopeId,
+      extra_usd: extraUsd,
+      reason: reason || null,
+      created_by: req.userId,
+      expires_at: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create budget override: ${error.message}`);
+  }
+
+  clearBudgetCaches();
+  console.log(`💸 [Admin] ${scope}${scopeId ? ` ${scopeId}` : ''} budget ${extraUsd === null ? 'lifted' : `raised by $${extraUsd}`} for ${hours}h`);
+
+  res.json({
+    success: true,
+    override
+  });
+}));
+
+/**
+ * DELETE /admin/budgets/overrides/:overrideId
+ * End an override early
+ */
+router.delete('/budgets/overrides/:overrideId', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { overrideId } = req.params;
+
+  const { data: override, error } = await supabaseAdmin
+    .from('ai_budget_overrides')
+    .update({ expires_at: new Date().toISOString() })
+    .eq('id', overrideId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to end budget override: ${error.message}`);
+  }
+
+  if (!override) {
+    return res.status(404).json({
+      success: false,
+      error: 'Override not found'
+    });
+  }
+
+  clearBudgetCaches();
+
+  res.json({
+    success: true,
+    override
+  });
+}));
+
+/**
+ * PUT /admin/chapters/:chapterId/content
+ * Manually edit a chapter. Recorded as an 'admin' revision (list/diff/rollback via
+ * /story/:storyId/chapters/:chapterNumber/revisions).
+ *
+ * Body: { content, reason }
+ */
+router.put('/chapters/:chapterId/content', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { chapterId } = req.params;
+  const { content, reason } = req.body;
+
+  if (typeof content !== 'string' || !content.trim() || !reason) {
+    return res.status(400).json({
+      success: false,
+      error: 'content and reason are required'
+    });
+  }
+
+  const { data: chapter } = await supabaseAdmin
+    .from('chapters')
+    .select('id')
+    .eq('id', chapterId)
+    .maybeSingle();
+
+  if (!chapter) {
+    return res.status(404).json({
+      success: false,
+      error: 'Chapter not found'
+    });
+  }
+
+  const revision = await reviseChapter({
+    chapterId,
+    content,
+    source: 'admin',
+    authorId: req.userId,
+    reason
+  });
+
+  res.json({
+    success: true,
+    chapterId,
+    revisionNumber: revision.revisionNumber
+  });
+}));
+
+/**
+ * GET /admin/prompts
+ * Registered prompt templates with their current versions and variables
+ */
+router.get('/prompts', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  res.json({
+    success: true,
+    prompts: listPrompts()
+  });
+}));
+
+/**
+ * GET /admin/prompts/:name/versions
+ * Every recorded version of a prompt, oldest first
+ */
+router.get('/prompts/:name/versions', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const versions = await listPromptVersions(req.params.name);
+
+  if (versions.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Prompt not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    name: req.params.name,
+    versions
+  });
+}));
+
+/**
+ * GET /admin/prompts/:name/diff?from=1&to=2
+ * Word-level diff between two versions of a prompt template.
+ * `to` defaults to the current version.
+ */
+router.get('/prompts/:name/diff', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { name } = req.params;
+  const current = listPrompts().find(p => p.name === name);
+  const from = parseInt(req.query.from, 10);
+  const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : current?.version;
+
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be prompt version numbers'
+    });
+  }
+
+  const diff = await diffPromptVersions(name, from, to);
+
+  if (!diff) {
+    return res.status(404).json({
+      success: false,
+      error: 'Prompt version not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    diff
+  });
+}));
+
+/**
+ * GET /admin/schemas
+ * JSON Schemas that stored model outputs are validated against, with their current versions
+ */
+router.get('/schemas', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  res.json({
+    success: true,
+    schemas: listSchemas()
+  });
+}));
+
+/**
+ * GET /admin/schemas/:name
+ * One output schema in full
+ */
+router.get('/schemas/:name', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  if (!listSchemas().some(s => s.name === req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Schema not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    schema: getSchema(req.params.name)
+  });
+}));
+
+/**
+ * GET /admin/experiments
+ * All experiments, newest first, with story counts per variant
+ */
+router.get('/experiments', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const [experimentsResult, storiesResult] = await Promise.all([
+    supabaseAdmin
+      .from('experiments')
+      .select('*')
+      .order('created_at', { ascending: false }),
+    supabaseAdmin
+      .from('experiment_stories')
+      .select('experiment_id, variant')
+  ]);
+
+  if (experimentsResult.error) {
+    throw new Error(`Failed to load experiments: ${experimentsResult.error.message}`);
+  }
+
+  const counts = {};
+  for (const row of storiesResult.data || []) {
+    counts[row.experiment_id] = counts[row.experiment_id] || {};
+    counts[row.experiment_id][row.variant] = (counts[row.experiment_id][row.variant] || 0) + 1;
+  }
+
+  res.json({
+    success: true,
+    experiments: (experimentsResult.data || []).map(experiment => ({
+      ...experiment,
+      stories_by_variant: counts[experiment.id] || {}
+    }))
+  });
+}));
+
+/**
+ * POST /admin/experiments
+ * Create an experiment
+ * Body: name, description (optional), variants [{ name, weight, config }], the first being the control,
+ *       targeting { percentage, reading_levels, genres } (optional), status ('draft'|'running', default 'draft')
+ */
+router.post('/experiments', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { name, description = null, variants, targeting = {}, status = 'draft' } = req.body;
+
+  const invalid = validateExperiment({ name, variants, targeting });
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  if (!['draft', 'running'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'New experiments start as draft or running'
+    });
+  }
+
+  const { data: experiment, error } = await supabaseAdmin
+    .from('experiments')
+    .insert({
+      name,
+      description,
+      variants,
+      targeting,
+      status,
+      created_by: req.userId,
+      started_at: status === 'running' ? new Date().toISOString() : null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: `An experiment named "${name}" already exists`
+      });
+    }
+    throw new Error(`Failed to create experiment: ${error.message}`);
+  }
+
+  console.log(`🧪 [Admin] Experiment ${name} created (${status})`);
+
+  res.status(201).json({
+    success: true,
+    experiment
+  });
+}));
+
+/**
+ * PATCH /admin/experiments/:id
+ * Update an experiment
+ * Body (all optional): status, description, targeting, variants (draft experiments only —
+ *       changing variants under running stories would muddle the report)
  */
-router.get('/costs/:userId', authenticateUser, asyncHandler(async (req, res) => {
-  const { userId } = req.params;
-
-  // In production, add admin role check here
-  // For now, users can only see their own costs
-  if (req.userId !== userId) {
+router.patch('/experiments/:id', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
     return res.status(403).json({
       success: false,
-      error: 'Unauthorized access'
+      error: 'Admin access required'
     });
   }
 
-  // TODO: Query actual cost tracking table
-  // This should track:
-  // - Claude API usage (tokens, cost)
-  // - OpenAI API usage (tokens, cost)
-  // - Breakdown by story/chapter
-  // - Timestamp and cumulative costs
-
-  const { data: costs, error } = await supabaseAdmin
-    .from('api_costs')
+  const { data: existing } = await supabaseAdmin
+    .from('experiments')
     .select('*')
-    .eq('user_id', userId)
-    .order('created_at', { ascending: false });
+    .eq('id', req.params.id)
+    .maybeSingle();
 
-  if (error) {
-    // If table doesn't exist yet, return mock data
-    return res.json({
-      success: true,
-      costs: [],
-      summary: {
-        totalCost: 0,
-        claudeCost: 0,
-        openaiCost: 0,
-        totalTokens: 0
-      },
-      message: 'Cost tracking not yet implemented'
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Experiment not found'
     });
   }
 
-  // Calculate summary
-  const summary = {
-    totalCost: costs.reduce((sum, c) => sum + (c.cost || 0), 0),
-    claudeCost: costs.filter(c => c.provider === 'claude').reduce((sum, c) => sum + (c.cost || 0), 0),
-    openaiCost: costs.filter(c => c.provider === 'openai').reduce((sum, c) => sum + (c.cost || 0), 0),
-    totalTokens: costs.reduce((sum, c) => sum + (c.tokens || 0), 0)
-  };
+  const { status, description, targeting, variants } = req.body;
+
+  if (status !== undefined && !EXPERIMENT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of ${EXPERIMENT_STATUSES.join(', ')}`
+    });
+  }
+
+  if (existing.status === 'completed' && status !== undefined && status !== 'completed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Completed experiments cannot be restarted — create a new one'
+    });
+  }
+
+  if (variants !== undefined && existing.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      error: 'Variants can only be changed while the experiment is a draft'
+    });
+  }
+
+  const invalid = validateExperiment({
+    name: existing.name,
+    variants: variants ?? existing.variants,
+    targeting: targeting ?? existing.targeting
+  });
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  const now = new Date().toISOString();
+  const fields = { updated_at: now };
+  if (description !== undefined) fields.description = description;
+  if (targeting !== undefined) fields.targeting = targeting;
+  if (variants !== undefined) fields.variants = variants;
+  if (status !== undefined) {
+    fields.status = status;
+    if (status === 'running' && !existing.started_at) fields.started_at = now;
+    if (status === 'completed') fields.ended_at = now;
+  }
+
+  const { data: experiment, error } = await supabaseAdmin
+    .from('experiments')
+    .update(fields)
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update experiment: ${error.message}`);
+  }
+
+  if (status !== undefined && status !== existing.status) {
+    console.log(`🧪 [Admin] Experiment ${existing.name}: ${existing.status} → ${status}`);
+  }
 
   res.json({
     success: true,
-    costs,
-    summary
+    experiment
   });
 }));
 
 /**
- * GET /admin/generation-metrics
- * Track story generation performance metrics
+ * GET /admin/experiments/:id/report
+ * Per-variant quality (latest quality snapshots), engagement (story feedback) and cost (api_costs),
+ * with each variant's difference from the control
  */
-router.get('/generation-metrics', authenticateUser, asyncHandler(async (req, res) => {
-  // In production, add admin role check here
+router.get('/experiments/:id/report', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
 
-  // TODO: Query generation metrics:
-  // - Average generation time per chapter
-  // - Success/failure rates
-  // - Token usage statistics
-  // - User engagement metrics
+  const report = await getExperimentReport(req.params.id);
 
-  const { data: metrics, error } = await supabaseAdmin
-    .from('generation_metrics')
-    .select('*')
-    .order('created_at', { ascending: false })
-    .limit(100);
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: 'Experiment not found'
+    });
+  }
 
-  if (error) {
-    // If table doesn't exist yet, return mock data
-    return res.json({
-      success: true,
-      metrics: {
-        avgGenerationTime: 0,
-        successRate: 0,
-        totalGenerations: 0,
-        avgTokensPerChapter: 0
-      },
-      message: 'Metrics tracking not yet implemented'
+  res.json({
+    success: true,
+    report
+  });
+}));
+
+/**
+ * GET /admin/prose-lint/rules
+ * Every prose-lint rule (built-in, overridden or custom), including disabled ones
+ */
+router.get('/prose-lint/rules', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
     });
   }
 
   res.json({
     success: true,
-    metrics: metrics || []
+    rules: await listProseLintRules()
   });
 }));
 
 /**
- * GET /admin/health
- * Health check endpoint for monitoring
+ * PUT /admin/prose-lint/rules/:id
+ * Create a rule, or override a built-in one with the same id
+ * Body: description, kind ('pattern'|'phrases'), pattern or phrases, severity ('error'|'warning'|'info'),
+ *       thresholdPer1k, readingLevels (optional), genres (optional), directiveThresholds (optional), enabled (optional)
  */
-router.get('/health', asyncHandler(async (req, res) => {
-  // Check database connectivity
-  const { error: dbError } = await supabaseAdmin
-    .from('stories')
-    .select('id')
-    .limit(1);
+router.put('/prose-lint/rules/:id', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
 
-  const health = {
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    services: {
-      database: dbError ? 'unhealthy' : 'healthy',
-      api: 'healthy'
-    }
+  const {
+    description = null,
+    kind,
+    pattern = null,
+    phrases = null,
+    severity,
+    thresholdPer1k,
+    readingLevels = [],
+    genres = [],
+    directiveThresholds = null,
+    enabled = true
+  } = req.body;
+
+  const rule = {
+    id: req.params.id,
+    description,
+    kind,
+    pattern: kind === 'pattern' ? pattern : null,
+    phrases: kind === 'phrases' ? phrases : null,
+    severity,
+    reading_levels: readingLevels,
+    genres,
+    threshold_per_1k: thresholdPer1k,
+    directive_thresholds: directiveThresholds,
+    enabled: !!enabled
   };
 
-  if (dbError) {
-    health.status = 'degraded';
+  const invalid = validateRule(rule);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
   }
 
-  res.json(health);
+  const { data: saved, error } = await supabaseAdmin
+    .from('prose_lint_rules')
+    .upsert({ ...rule, updated_by: req.userId, updated_at: new Date().toISOString() }, { onConflict: 'id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save prose lint rule: ${error.message}`);
+  }
+
+  clearProseLintCache();
+  const builtin = BUILTIN_RULES.some(r => r.id === rule.id);
+  console.log(`🧹 [Admin] Prose lint rule ${rule.id} ${builtin ? 'overridden' : 'saved'} (${rule.enabled ? rule.severity : 'disabled'})`);
+
+  res.json({
+    success: true,
+    rule: saved
+  });
+}));
+
+/**
+ * DELETE /admin/prose-lint/rules/:id
+ * Delete a custom rule, or drop an override so the built-in rule applies again
+ */
+router.delete('/prose-lint/rules/:id', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { data: deleted, error } = await supabaseAdmin
+    .from('prose_lint_rules')
+    .delete()
+    .eq('id', req.params.id)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to delete prose lint rule: ${error.message}`);
+  }
+
+  if (!deleted || deleted.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: BUILTIN_RULES.some(r => r.id === req.params.id)
+        ? 'Built-in rules can only be overridden — disable them with PUT'
+        : 'Prose lint rule not found'
+    });
+  }
+
+  clearProseLintCache();
+  console.log(`🧹 [Admin] Prose lint rule ${req.params.id} removed`);
+
+  res.json({
+    success: true
+  });
+}));
+
+/**
+ * POST /admin/prose-lint/check
+ * Lint a passage with the current rules, to try a rule before it reaches chapters
+ * Body: text, readingLevel (optional), genre (optional), proseDirective (optional)
+ */
+router.post('/prose-lint/check', authenticateUser, asyncHandler(async (req, res) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { text, readingLevel = null, genre = null, proseDirective = null } = req.body;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'text is required'
+    });
+  }
+
+  const lint = lintProse(text, { rules: await loadProseLintRules(), readingLevel, genre, proseDirective });
+
+  res.json({
+    success: true,
+    lint
+  });
 }));
 
 /**
@@ -333,6 +1296,66 @@ router.get('/character-intelligence', authenticateUser, asyncHandler(async (req,
   });
 }));
 
+/**
+ * GET /admin/stories/:storyId/relationships
+ * A story's full character relationship graph for debugging continuity: every chapter (or up
+ * to ?chapter=N), private thoughts and knowledge, and diagnostics (chapters missing a ledger,
+ * names only seen as relationship targets, characters outside the bible)
+ */
+router.get('/stories/:storyId/relationships', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { storyId } = req.params;
+  const { chapter } = req.query;
+
+  const chapterError = chapterQueryError(chapter);
+  if (chapterError) {
+    return res.status(400).json({
+      success: false,
+      error: chapterError
+    });
+  }
+
+  const graph = await getRelationshipGraph(storyId, {
+    throughChapter: chapter === undefined ? null : parseInt(chapter, 10),
+    includePrivate: true
+  });
+
+  res.json({
+    success: true,
+    graph
+  });
+}));
+
+/**
+ * GET /admin/stories/:storyId/timeline
+ * A story's whole timeline, unfiltered, with entries flagged where they contradict the codex
+ * or an earlier entry (reader promises going backwards, fulfilled before they were planted)
+ */
+router.get('/stories/:storyId/timeline', authenticateUser, asyncHandler(async (req, res) => {
+  // Check admin role
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const { storyId } = req.params;
+  const timeline = await getStoryTimeline(storyId, { includeFlags: true });
+
+  res.json({
+    success: true,
+    timeline
+  });
+}));
+
 /**
  * GET /admin/quality/dashboard
  * Compute fleet-level quality metrics across multiple stories
@@ -427,7 +1450,7 @@ router.post('/quality/snapshot', authenticateUser, asyncHandler(async (req, res)
  * is already stored server-side but the sequel was never created.
  *
  * Auth: Requires SUPABASE_SERVICE_KEY in x-admin-key header.
- * Body: { storyId, userId, userPreferences (optional) }
+ * Body: { storyId, userId, userPreferences (optional), plannedBooks (optional, 2-7 — used when the series has no plan yet) }
  */
 router.post('/trigger-sequel', asyncHandler(async (req, res) => {
   // Authenticate with service key (not user JWT)
@@ -439,7 +1462,7 @@ router.post('/trigger-sequel', asyncHandler(async (req, res) => {
     });
   }
 
-  const { storyId, userId, userPreferences } = req.body;
+  const { storyId, userId, userPreferences, plannedBooks } = req.body;
 
   if (!storyId || !userId) {
     return res.status(400).json({
@@ -472,10 +1495,11 @@ router.post('/trigger-sequel', asyncHandler(async (req, res) => {
     .eq('story_id', storyId);
   const chapterCount = new Set(countData?.map(c => c.chapter_number)).size;
 
-  if (chapterCount < 12) {
+  const book1Plan = await getBookPlan(storyId);
+  if (chapterCount < book1Plan.total_chapters) {
     return res.status(400).json({
       success: false,
-      error: `Book 1 only has ${chapterCount} chapters — needs 12 for sequel`
+      error: `Book 1 only has ${chapterCount} chapters — needs ${book1Plan.total_chapters} for sequel`
     });
   }
 
@@ -532,7 +1556,7 @@ router.post('/trigger-sequel', asyncHandler(async (req, res) => {
   }
 
   // Extract Book 1 context
-  const { extractBookContext, generateSequelBible, generateArcOutline, orchestratePreGeneration } = require('../services/generation');
+  const { extractBookContext, generateSequelBible, generateArcOutline } = require('../services/generation');
 
   let book1Context;
   const { data: storedContext } = await supabaseAdmin
@@ -572,6 +1596,26 @@ router.post('/trigger-sequel', asyncHandler(async (req, res) => {
     book1Context = context;
   }
 
+  // Plan the series so Book 2 is written against it (same as the reader's sequel route)
+  try {
+    await ensureSeriesPlan({
+      seriesId,
+      storyId,
+      userId,
+      plannedBooks,
+      endState: {
+        character_states: book1Context.character_states,
+        relationships: book1Context.relationships,
+        world_state: book1Context.world_state,
+        accomplishments: book1Context.accomplishments,
+        key_events: book1Context.key_events
+      },
+      readerPreferences: userPreferences || null
+    });
+  } catch (error) {
+    console.error(`⚠️ [Admin] Series planning failed, continuing without a plan: ${error.message}`);
+  }
+
   console.log('📚 [Admin] Generating Book 2 bible...');
   const book2BibleContent = await generateSequelBible(storyId, userPreferences, userId);
 
@@ -586,6 +1630,7 @@ router.post('/trigger-sequel', asyncHandler(async (req, res) => {
       title: book2BibleContent.title,
       genre: book1Story.genre || null,
       premise_tier: book1Story.premise_tier || null,
+      book_length: book1Story.book_length || DEFAULT_BOOK_LENGTH,
       status: 'generating',
       generation_progress: {
         bible_complete: false,
@@ -617,7 +1662,9 @@ router.post('/trigger-sequel', asyncHandler(async (req, res) => {
       stakes: book2BibleContent.stakes,
       themes: book2BibleContent.themes,
       key_locations: book2BibleContent.key_locations,
-      timeline: book2BibleContent.timeline
+      timeline: book2BibleContent.timeline,
+      prompt_versions: promptVersionsFor('sequel_bible'),
+      schema_version: getSchema('story_bible').version
     })
     .select()
     .single();
@@ -630,9 +1677,8 @@ router.post('/trigger-sequel', asyncHandler(async (req, res) => {
   await generateArcOutline(book2Story.id, userId);
 
   console.log('📝 [Admin] Starting Book 2 chapter generation (1-3 initial batch)...');
-  orchestratePreGeneration(book2Story.id, userId).catch(error => {
-    console.error('[Admin] Book 2 pre-generation failed:', error);
-  });
+  const { enqueuePreGeneration } = require('../services/generation-jobs');
+  await enqueuePreGeneration(book2Story.id, userId);
 
   res.json({
     success: true,
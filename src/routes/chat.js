@@ -2,10 +2,12 @@ const express = require('express');
 const { asyncHandler } = require('../middleware/error-handler');
 const { authenticateUser } = require('../middleware/auth');
 const { requireAIConsentMiddleware } = require('../middleware/consent');
+const { requireAIBudgetMiddleware } = require('../middleware/budget');
 const { createChatSession, sendMessage, getChatSession } = require('../services/chat');
 const prospero = require('../config/prospero');
 const peggy = require('../config/peggy');
 const { supabaseAdmin } = require('../config/supabase');
+const bookPlan = require('../services/book-plan');
 
 const router = express.Router();
 
@@ -21,7 +23,7 @@ const router = express.Router();
  *   - sessionId: UUID of the created session
  *   - openingMessage: Prospero's opening message
  */
-router.post('/start', authenticateUser, requireAIConsentMiddleware, asyncHandler(async (req, res) => {
+router.post('/start', authenticateUser, requireAIConsentMiddleware, requireAIBudgetMiddleware, asyncHandler(async (req, res) => {
   const { interviewType, context } = req.body;
   const userId = req.userId;
 
@@ -76,7 +78,13 @@ router.post('/start', authenticateUser, requireAIConsentMiddleware, asyncHandler
   // Enrich context for checkpoint interviews
   if (interviewType === 'checkpoint' && context?.storyId) {
     const storyId = context.storyId;
-    const checkpointNumber = context.checkpoint || 'chapter_2';
+    const plan = await bookPlan.getBookPlan(storyId);
+    const checkpointNumber = bookPlan.normalizeCheckpoint(plan, context.checkpoint || bookPlan.checkpointNames(plan)[0]);
+    const checkpointInfo = bookPlan.describeCheckpoint(plan, checkpointNumber);
+    enrichedContext.checkpoint = checkpointNumber;
+    enrichedContext.checkpointPosition = checkpointInfo.position;
+    enrichedContext.checkpointOrdinal = checkpointInfo.number;
+    enrichedContext.totalChapters = plan.total_chapters;
 
     // Fetch story bible (character names)
     const { data: bible } = await supabaseAdmin
@@ -105,7 +113,7 @@ router.post('/start', authenticateUser, requireAIConsentMiddleware, asyncHandler
     }
 
     // Fetch chapter titles read so far
-    const maxChapter = checkpointNumber === 'chapter_2' ? 2 : (checkpointNumber === 'chapter_5' ? 5 : 8);
+    const maxChapter = checkpointInfo.chapter || plan.batches[0].end;
     const { data: chapters } = await supabaseAdmin
       .from('chapters')
       .select('chapter_number, title')
@@ -151,7 +159,7 @@ router.post('/start', authenticateUser, requireAIConsentMiddleware, asyncHandler
       .select('checkpoint, checkpoint_corrections, pacing_feedback, tone_feedback, character_feedback')
       .eq('story_id', storyId)
       .eq('user_id', userId)
-      .in('checkpoint', ['chapter_2', 'chapter_5', 'chapter_8'])
+      .in('checkpoint', bookPlan.checkpointNames(plan))
       .order('created_at', { ascending: true });
 
     if (priorFeedback && priorFeedback.length > 0) {
@@ -172,9 +180,9 @@ router.post('/start', authenticateUser, requireAIConsentMiddleware, asyncHandler
       enrichedContext.readerAge = age;
     }
 
-    // Check if this is the user's first book AND first checkpoint (chapter_2)
+    // Check if this is the user's first book AND first checkpoint (chapter_2 in a standard book)
     // If so, Prospero should introduce the Editor feature
-    if (checkpointNumber === 'chapter_2') {
+    if (checkpointInfo.position === 'first') {
       const { hasUsedProsperosEditor } = require('../services/prospero-editor');
       const hasUsedEditor = await hasUsedProsperosEditor(userId);
       if (!hasUsedEditor) {
@@ -205,7 +213,7 @@ router.post('/start', authenticateUser, requireAIConsentMiddleware, asyncHandler
  *   - toolCall: { name, arguments } if Prospero called a function, null otherwise
  *   - sessionComplete: boolean, true if the conversation is complete
  */
-router.post('/send', authenticateUser, requireAIConsentMiddleware, asyncHandler(async (req, res) => {
+router.post('/send', authenticateUser, requireAIConsentMiddleware, requireAIBudgetMiddleware, asyncHandler(async (req, res) => {
   const { sessionId, message } = req.body;
 
   if (!sessionId || !message) {
@@ -359,7 +367,13 @@ router.post('/system-prompt', authenticateUser, requireAIConsentMiddleware, asyn
       // Enrich context for checkpoint voice interviews (same enrichment as /chat/start)
       if (interviewType === 'checkpoint' && context?.storyId) {
         const storyId = context.storyId;
-        const checkpointNumber = context.checkpoint || 'chapter_2';
+        const plan = await bookPlan.getBookPlan(storyId);
+        const checkpointNumber = bookPlan.normalizeCheckpoint(plan, context.checkpoint || bookPlan.checkpointNames(plan)[0]);
+        const checkpointInfo = bookPlan.describeCheckpoint(plan, checkpointNumber);
+        enrichedContext.checkpoint = checkpointNumber;
+        enrichedContext.checkpointPosition = checkpointInfo.position;
+        enrichedContext.checkpointOrdinal = checkpointInfo.number;
+        enrichedContext.totalChapters = plan.total_chapters;
 
         // Fetch story bible (character names)
         const { data: bible } = await supabaseAdmin
@@ -387,7 +401,7 @@ router.post('/system-prompt', authenticateUser, requireAIConsentMiddleware, asyn
         }
 
         // Fetch chapter titles read so far
-        const maxChapter = checkpointNumber === 'chapter_2' ? 2 : (checkpointNumber === 'chapter_5' ? 5 : 8);
+        const maxChapter = checkpointInfo.chapter || plan.batches[0].end;
         const { data: chapters } = await supabaseAdmin
           .from('chapters')
           .select('chapter_number, title')
@@ -430,7 +444,7 @@ router.post('/system-prompt', authenticateUser, requireAIConsentMiddleware, asyn
           .select('checkpoint, checkpoint_corrections, pacing_feedback, tone_feedback, character_feedback')
           .eq('story_id', storyId)
           .eq('user_id', userId)
-          .in('checkpoint', ['chapter_2', 'chapter_5', 'chapter_8'])
+          .in('checkpoint', bookPlan.checkpointNames(plan))
           .order('created_at', { ascending: true });
 
         if (priorFeedback && priorFeedback.length > 0) {
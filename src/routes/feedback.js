@@ -2,6 +2,9 @@ const express = require('express');
 const { supabaseAdmin } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/error-handler');
 const { authenticateUser } = require('../middleware/auth');
+const { requireStoryAIBudgetMiddleware } = require('../middleware/budget');
+const bookPlan = require('../services/book-plan');
+const storyBranches = require('../services/story-branches');
 
 const router = express.Router();
 
@@ -9,24 +12,15 @@ const router = express.Router();
  * Shared function: Trigger batch generation based on checkpoint
  * @param {string} storyId - Story ID
  * @param {string} userId - User ID
- * @param {string} normalizedCheckpoint - Normalized checkpoint name (chapter_2, chapter_5, or chapter_8)
- * @returns {Promise<{ shouldGenerate: boolean, startChapter: number|null, endChapter: number|null }>}
+ * @param {string} normalizedCheckpoint - Normalized checkpoint name from the story's book plan (e.g. chapter_2, chapter_5, chapter_8)
+ * @returns {Promise<{ shouldGenerate: boolean, awaitingChoice: boolean, startChapter: number|null, endChapter: number|null }>}
  */
 async function triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint) {
-  // Determine which batch to generate
-  let startChapter = null;
-  let endChapter = null;
-
-  if (normalizedCheckpoint === 'chapter_2') {
-    startChapter = 4;
-    endChapter = 6;
-  } else if (normalizedCheckpoint === 'chapter_5') {
-    startChapter = 7;
-    endChapter = 9;
-  } else if (normalizedCheckpoint === 'chapter_8') {
-    startChapter = 10;
-    endChapter = 12;
-  }
+  // Determine which batch to generate from the book plan
+  const plan = await bookPlan.getBookPlan(storyId);
+  const batch = bookPlan.batchForCheckpoint(plan, normalizedCheckpoint);
+  const startChapter = batch?.startChapter ?? null;
+  const endChapter = batch?.endChapter ?? null;
 
   let shouldGenerate = startChapter !== null && endChapter !== null;
 
@@ -39,7 +33,7 @@ async function triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint
       .gte('chapter_number', startChapter)
       .lte('chapter_number', endChapter);
 
-    if (count >= 3) {
+    if (count >= endChapter - startChapter + 1) {
       // Chapters already exist, skip generation
       console.log(`📖 Chapters ${startChapter}-${endChapter} already exist for story ${storyId}, skipping generation`);
 
@@ -53,11 +47,7 @@ async function triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint
       const storyTitle = story?.title || 'Unknown';
 
       // Update generation_progress to the next awaiting step without regenerating
-      const nextStep = {
-        4: 'awaiting_chapter_5_feedback',
-        7: 'awaiting_chapter_8_feedback',
-        10: 'chapter_12_complete'
-      };
+      const nextStep = bookPlan.stepAfterBatch(plan, endChapter);
 
       await supabaseAdmin
         .from('stories')
@@ -65,22 +55,35 @@ async function triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint
           generation_progress: {
             ...story.generation_progress,
             chapters_generated: endChapter,
-            current_step: nextStep[startChapter]
+            current_step: nextStep
           }
         })
         .eq('id', storyId);
 
-      console.log(`📖 [${storyTitle}] Updated progress to ${nextStep[startChapter]}`);
+      console.log(`📖 [${storyTitle}] Updated progress to ${nextStep}`);
+
+      return { shouldGenerate: false, awaitingChoice: false, startChapter, endChapter };
+    }
+  }
+
+  // Choose-your-path stories wait for the reader to pick a branch (POST /feedback/choose-path)
+  if (shouldGenerate) {
+    const { data: story } = await supabaseAdmin
+      .from('stories')
+      .select('choose_your_path')
+      .eq('id', storyId)
+      .single();
 
-      return { shouldGenerate: false, startChapter, endChapter };
+    if (story?.choose_your_path && !(await storyBranches.getChosenBranch(storyId, normalizedCheckpoint))) {
+      console.log(`🔀 Story ${storyId}: ${normalizedCheckpoint} feedback recorded, waiting for the reader to choose a path`);
+      return { shouldGenerate: false, awaitingChoice: true, startChapter, endChapter };
     }
   }
 
   if (shouldGenerate) {
     console.log(`🚀 Triggering batch generation: chapters ${startChapter}-${endChapter}`);
-    const { buildCourseCorrections, generateBatch } = require('../services/generation');
 
-    // Update generation_progress BEFORE starting batch (so health check can detect failures)
+    // Update generation_progress BEFORE queueing the batch (so the client sees it immediately)
     const { data: storyForProgress } = await supabaseAdmin
       .from('stories')
       .select('generation_progress')
@@ -106,93 +109,111 @@ async function triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint
 
     console.log(`📖 Updated progress to generating_chapter_${startChapter} before batch start`);
 
-    (async () => {
-      try {
-        // Fetch all previous checkpoint feedback for this story to build accumulated corrections
-        const { data: previousFeedback } = await supabaseAdmin
-          .from('story_feedback')
-          .select('checkpoint, pacing_feedback, tone_feedback, character_feedback, protagonist_name, checkpoint_corrections, created_at')
-          .eq('user_id', userId)
-          .eq('story_id', storyId)
-          .in('checkpoint', ['chapter_2', 'chapter_5', 'chapter_8', 'chapter_3', 'chapter_6', 'chapter_9']) // Include old checkpoint names
-          .order('created_at', { ascending: true });
-
-        const feedbackHistory = previousFeedback || [];
-
-        // Fetch the arc to get chapter outlines for the upcoming batch
-        const { data: arc } = await supabaseAdmin
-          .from('story_arcs')
-          .select('chapters')
-          .eq('story_id', storyId)
-          .order('created_at', { ascending: false })
-          .limit(1)
-          .maybeSingle();
-
-        // Get the outlines for the chapters we're about to generate
-        const batchOutlines = arc?.chapters?.filter(ch =>
-          ch.chapter_number >= startChapter && ch.chapter_number <= endChapter
-        ) || [];
-
-        // Generate editor brief with revised outlines (returns null if no corrections needed)
-        const { generateEditorBrief } = require('../services/generation');
-        let editorBrief = null;
-        try {
-          editorBrief = await generateEditorBrief(storyId, feedbackHistory, batchOutlines);
-          console.log(`📝 Editor brief: ${editorBrief ? 'generated with revised outlines' : 'not needed (all positive feedback)'}`);
-        } catch (err) {
-          console.warn(`⚠️ Editor brief generation failed, proceeding without corrections: ${err.message}`);
-        }
+    // Durable job — survives restarts and is retried with backoff by the job worker
+    const { enqueueCheckpointBatch } = require('../services/generation-jobs');
+    await enqueueCheckpointBatch(storyId, userId, { checkpoint: normalizedCheckpoint, startChapter, endChapter });
+  }
+
+  return { shouldGenerate, awaitingChoice: false, startChapter, endChapter };
+}
+
+/**
+ * Generate a post-checkpoint batch: build the editor brief from accumulated feedback,
+ * generate the chapters, then advance generation_progress to the next awaiting step.
+ * Runs inside a checkpoint_batch job — throws on failure so the queue can retry.
+ * @param {string} storyId - Story ID
+ * @param {string} userId - User ID
+ * @param {number} startChapter - First chapter of the batch
+ * @param {number} endChapter - Last chapter of the batch
+ */
+async function runCheckpointBatch(storyId, userId, startChapter, endChapter) {
+  const { generateBatch, generateEditorBrief } = require('../services/generation');
+
+  const { data: storyForProgress } = await supabaseAdmin
+    .from('stories')
+    .select('generation_progress')
+    .eq('id', storyId)
+    .single();
+
+  const currentProgress = storyForProgress?.generation_progress || {};
+  const plan = await bookPlan.getBookPlan(storyId);
+
+  try {
+    // Fetch all previous checkpoint feedback for this story to build accumulated corrections
+    const { data: previousFeedback } = await supabaseAdmin
+      .from('story_feedback')
+      .select('checkpoint, pacing_feedback, tone_feedback, character_feedback, protagonist_name, checkpoint_corrections, created_at')
+      .eq('user_id', userId)
+      .eq('story_id', storyId)
+      .in('checkpoint', bookPlan.feedbackCheckpointNames(plan)) // Includes old checkpoint names for standard books
+      .order('created_at', { ascending: true });
+
+    const feedbackHistory = previousFeedback || [];
+
+    // Fetch the arc to get chapter outlines for the upcoming batch
+    const { data: arc } = await supabaseAdmin
+      .from('story_arcs')
+      .select('chapters')
+      .eq('story_id', storyId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    // Get the outlines for the chapters we're about to generate
+    const batchOutlines = arc?.chapters?.filter(ch =>
+      ch.chapter_number >= startChapter && ch.chapter_number <= endChapter
+    ) || [];
+
+    // Generate editor brief with revised outlines (returns null if no corrections needed)
+    let editorBrief = null;
+    try {
+      editorBrief = await generateEditorBrief(storyId, feedbackHistory, batchOutlines);
+      console.log(`📝 Editor brief: ${editorBrief ? 'generated with revised outlines' : 'not needed (all positive feedback)'}`);
+    } catch (err) {
+      console.warn(`⚠️ Editor brief generation failed, proceeding without corrections: ${err.message}`);
+    }
 
-        // Generate batch with editor brief (or null for no corrections)
-        await generateBatch(storyId, startChapter, endChapter, userId, editorBrief);
-
-        // Update progress to awaiting next checkpoint after batch completes
-        const nextAwaitingStep = {
-          6: 'awaiting_chapter_5_feedback',
-          9: 'awaiting_chapter_8_feedback',
-          12: 'chapter_12_complete'
-        };
-
-        await supabaseAdmin
-          .from('stories')
-          .update({
-            generation_progress: {
-              ...currentProgress,
-              chapters_generated: endChapter,
-              current_step: nextAwaitingStep[endChapter] || `chapter_${endChapter}_complete`,
-              batch_start: null,
-              batch_end: null,
-              last_updated: new Date().toISOString()
-            }
-          })
-          .eq('id', storyId);
-
-        console.log(`✅ Batch generation complete: chapters ${startChapter}-${endChapter}`);
-      } catch (error) {
-        console.error(`❌ Failed to generate batch: ${error.message}`);
-        // Mark the failure in generation_progress so health check can find it
-        try {
-          await supabaseAdmin
-            .from('stories')
-            .update({
-              generation_progress: {
-                ...currentProgress,
-                current_step: `generating_chapter_${startChapter}`,
-                batch_start: startChapter,
-                batch_end: endChapter,
-                last_error: error.message,
-                last_updated: new Date().toISOString()
-              }
-            })
-            .eq('id', storyId);
-        } catch (progressError) {
-          console.error(`❌ Failed to update progress after batch error: ${progressError.message}`);
+    // Generate batch with editor brief (or null for no corrections)
+    await generateBatch(storyId, startChapter, endChapter, userId, editorBrief);
+
+    // Update progress to awaiting next checkpoint (or book complete) after batch completes
+    await supabaseAdmin
+      .from('stories')
+      .update({
+        generation_progress: {
+          ...currentProgress,
+          chapters_generated: endChapter,
+          current_step: bookPlan.stepAfterBatch(plan, endChapter),
+          batch_start: null,
+          batch_end: null,
+          last_updated: new Date().toISOString()
         }
-      }
-    })();
-  }
+      })
+      .eq('id', storyId);
 
-  return { shouldGenerate, startChapter, endChapter };
+    console.log(`✅ Batch generation complete: chapters ${startChapter}-${endChapter}`);
+  } catch (error) {
+    console.error(`❌ Failed to generate batch: ${error.message}`);
+    // Record the failure in generation_progress so the client can show it while the job retries
+    try {
+      await supabaseAdmin
+        .from('stories')
+        .update({
+          generation_progress: {
+            ...currentProgress,
+            current_step: `generating_chapter_${startChapter}`,
+            batch_start: startChapter,
+            batch_end: endChapter,
+            last_error: error.message,
+            last_updated: new Date().toISOString()
+          }
+        })
+        .eq('id', storyId);
+    } catch (progressError) {
+      console.error(`❌ Failed to update progress after batch error: ${progressError.message}`);
+    }
+    throw error;
+  }
 }
 
 // Export moved to bottom of file (after module.exports = router)
@@ -244,7 +265,7 @@ router.post('/', authenticateUser, asyncHandler(async (req, res) => {
 
 /**
  * POST /feedback/checkpoint
- * Submit reader feedback at chapter checkpoints (2, 5, 8) with dimension-based feedback
+ * Submit reader feedback at chapter checkpoints (2, 5, 8 in a standard book) with dimension-based feedback
  *
  * Accepts both new format (dimension fields) and old format (response field) for backward compatibility
  */
@@ -283,13 +304,9 @@ router.post('/checkpoint', authenticateUser, asyncHandler(async (req, res) => {
     });
   }
 
-  // Map old checkpoint names to new names for backward compatibility
-  const checkpointMap = {
-    'chapter_3': 'chapter_2',   // old name → new name
-    'chapter_6': 'chapter_5',
-    'chapter_9': 'chapter_8'
-  };
-  const normalizedCheckpoint = checkpointMap[checkpoint] || checkpoint;
+  // Map old checkpoint names to new names for backward compatibility (chapter_3 → chapter_2, etc.)
+  const plan = await bookPlan.getBookPlan(storyId);
+  const normalizedCheckpoint = bookPlan.normalizeCheckpoint(plan, checkpoint);
 
   console.log(`📊 Feedback: story=${storyId}, checkpoint=${checkpoint}${checkpoint !== normalizedCheckpoint ? ` (normalized to ${normalizedCheckpoint})` : ''}, ${hasDimensions ? `dimensions={pacing:${pacing}, tone:${tone}, character:${character}}` : `response=${response}`}`);
 
@@ -332,7 +349,17 @@ router.post('/checkpoint', authenticateUser, asyncHandler(async (req, res) => {
   }, storyId);
 
   // Use shared generation trigger function
-  const { shouldGenerate, startChapter, endChapter } = await triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint);
+  const { shouldGenerate, awaitingChoice, startChapter, endChapter } = await triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint);
+
+  // Choose-your-path: generation starts once the reader picks a path
+  if (awaitingChoice) {
+    return res.json({
+      success: true,
+      feedback: data,
+      awaitingChoice: true,
+      generatingChapters: []
+    });
+  }
 
   // If chapters already existed, return early
   if (!shouldGenerate && startChapter && endChapter) {
@@ -390,12 +417,8 @@ router.post('/voice-checkpoint', authenticateUser, asyncHandler(async (req, res)
   }
 
   // Normalize checkpoint name (backward compatibility)
-  const checkpointMap = {
-    'chapter_3': 'chapter_2',
-    'chapter_6': 'chapter_5',
-    'chapter_9': 'chapter_8'
-  };
-  const normalizedCheckpoint = checkpointMap[checkpoint] || checkpoint;
+  const plan = await bookPlan.getBookPlan(storyId);
+  const normalizedCheckpoint = bookPlan.normalizeCheckpoint(plan, checkpoint);
 
   console.log(`🎤 Voice checkpoint feedback: story=${storyId}, checkpoint=${normalizedCheckpoint}`);
   console.log(`   Engagement: ${preferences?.overall_engagement || 'unknown'}`);
@@ -435,13 +458,14 @@ router.post('/voice-checkpoint', authenticateUser, asyncHandler(async (req, res)
   }, storyId);
 
   // Trigger next batch generation (same logic as text checkpoint path)
-  const { shouldGenerate, startChapter, endChapter } = await triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint);
+  const { shouldGenerate, awaitingChoice, startChapter, endChapter } = await triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint);
 
   res.json({
     success: true,
     feedback: data,
+    awaitingChoice,
     generatingChapters: shouldGenerate ? Array.from({ length: endChapter - startChapter + 1 }, (_, i) => startChapter + i) : [],
-    alreadyGenerated: !shouldGenerate && startChapter && endChapter
+    alreadyGenerated: !shouldGenerate && !awaitingChoice && startChapter && endChapter
   });
 }));
 
@@ -462,12 +486,8 @@ router.post('/skip-checkpoint', authenticateUser, asyncHandler(async (req, res)
   }
 
   // Normalize checkpoint name (backward compatibility)
-  const checkpointMap = {
-    'chapter_3': 'chapter_2',
-    'chapter_6': 'chapter_5',
-    'chapter_9': 'chapter_8'
-  };
-  const normalizedCheckpoint = checkpointMap[checkpoint] || checkpoint;
+  const plan = await bookPlan.getBookPlan(storyId);
+  const normalizedCheckpoint = bookPlan.normalizeCheckpoint(plan, checkpoint);
 
   console.log(`⏭️ Checkpoint skipped: story=${storyId}, checkpoint=${normalizedCheckpoint}`);
 
@@ -496,11 +516,120 @@ router.post('/skip-checkpoint', authenticateUser, asyncHandler(async (req, res)
   }, storyId);
 
   // Trigger next batch generation with no course corrections
-  const { shouldGenerate, startChapter, endChapter } = await triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint);
+  const { shouldGenerate, awaitingChoice, startChapter, endChapter } = await triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint);
 
   res.json({
     success: true,
     skipped: true,
+    awaitingChoice,
+    generatingChapters: shouldGenerate ? Array.from({ length: endChapter - startChapter + 1 }, (_, i) => startChapter + i) : [],
+    alreadyGenerated: !shouldGenerate && !awaitingChoice && startChapter && endChapter
+  });
+}));
+
+/**
+ * GET /feedback/choices/:storyId/:checkpoint
+ * Choose-your-path: the 2-3 paths offered at a checkpoint. Proposed on first request
+ * (takes a while — call it when the checkpoint opens), then served from storage.
+ */
+router.get('/choices/:storyId/:checkpoint', authenticateUser, requireStoryAIBudgetMiddleware, asyncHandler(async (req, res) => {
+  const { userId } = req;
+  const { storyId, checkpoint } = req.params;
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id, choose_your_path')
+    .eq('id', storyId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!story) {
+    return res.status(404).json({ success: false, error: 'Story not found' });
+  }
+
+  if (!story.choose_your_path) {
+    return res.status(400).json({ success: false, error: 'Choose-your-path is not enabled for this story' });
+  }
+
+  const plan = await bookPlan.getBookPlan(storyId);
+  const normalizedCheckpoint = bookPlan.normalizeCheckpoint(plan, checkpoint);
+  if (!bookPlan.batchForCheckpoint(plan, normalizedCheckpoint)) {
+    return res.status(400).json({ success: false, error: `${checkpoint} is not a checkpoint in this book` });
+  }
+
+  const branches = await storyBranches.proposeBranches(storyId, normalizedCheckpoint, userId);
+
+  res.json({
+    success: true,
+    checkpoint: normalizedCheckpoint,
+    chosenBranchId: branches.find(b => b.status === 'chosen')?.id || null,
+    branches: branches.map(b => ({
+      id: b.id,
+      title: b.title,
+      summary: b.summary,
+      status: b.status
+    }))
+  });
+}));
+
+/**
+ * POST /feedback/choose-path
+ * Choose-your-path: pick a branch at a checkpoint. The arc follows it from the next
+ * chapter on, and the next batch starts generating (checkpoint feedback, if any, should
+ * be submitted first so the editor brief includes it).
+ *
+ * Body: { storyId, checkpoint, branchId }
+ */
+router.post('/choose-path', authenticateUser, asyncHandler(async (req, res) => {
+  const { userId } = req;
+  const { storyId, checkpoint, branchId } = req.body;
+
+  if (!storyId || !checkpoint || !branchId) {
+    return res.status(400).json({
+      success: false,
+      error: 'storyId, checkpoint and branchId are required'
+    });
+  }
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id')
+    .eq('id', storyId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!story) {
+    return res.status(404).json({ success: false, error: 'Story not found' });
+  }
+
+  const plan = await bookPlan.getBookPlan(storyId);
+  const normalizedCheckpoint = bookPlan.normalizeCheckpoint(plan, checkpoint);
+
+  let branch;
+  try {
+    branch = await storyBranches.chooseBranch(storyId, normalizedCheckpoint, branchId);
+  } catch (error) {
+    if (error.message === 'Branch not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.message.startsWith('A path was already chosen')) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+
+  const { logPreferenceEvent } = require('../services/generation');
+  await logPreferenceEvent(userId, 'choose_path', 'choice_point', {
+    checkpoint: normalizedCheckpoint,
+    branch_id: branch.id,
+    branch_title: branch.title
+  }, storyId);
+
+  const { shouldGenerate, startChapter, endChapter } = await triggerCheckpointGeneration(storyId, userId, normalizedCheckpoint);
+
+  res.json({
+    success: true,
+    branch: { id: branch.id, title: branch.title, summary: branch.summary, status: branch.status },
     generatingChapters: shouldGenerate ? Array.from({ length: endChapter - startChapter + 1 }, (_, i) => startChapter + i) : [],
     alreadyGenerated: !shouldGenerate && startChapter && endChapter
   });
@@ -743,14 +872,15 @@ router.get('/completion-context/:storyId', authenticateUser, asyncHandler(async
     readingBehavior.rereadChapters = reread;
   }
 
-  // Fetch checkpoint feedback (chapters 2, 5, 8)
+  // Fetch checkpoint feedback (chapters 2, 5, 8 in a standard book)
+  const plan = await bookPlan.getBookPlan(storyId);
   const { data: feedbackRows } = await supabaseAdmin
     .from('story_feedback')
     .select('checkpoint, response, follow_up_action, checkpoint_corrections')
     .eq('story_id', storyId)
     .eq('user_id', userId)
-    .in('checkpoint', ['chapter_2', 'chapter_5', 'chapter_8'])
-    .order('checkpoint', { ascending: true });
+    .in('checkpoint', bookPlan.checkpointNames(plan))
+    .order('created_at', { ascending: true });
 
   const checkpointFeedback = (feedbackRows || []).map(f => ({
     checkpoint: f.checkpoint,
@@ -776,9 +906,11 @@ router.get('/completion-context/:storyId', authenticateUser, asyncHandler(async
     bible: bibleData,
     readingBehavior,
     checkpointFeedback,
+    totalChapters: plan.total_chapters,
     readerAge: userPrefs?.reader_age || null
   });
 }));
 
 module.exports = router;
 module.exports.triggerCheckpointGeneration = triggerCheckpointGeneration;
+module.exports.runCheckpointBatch = runCheckpointBatch;
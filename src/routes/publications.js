@@ -10,6 +10,7 @@ const { supabaseAdmin } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/error-handler');
 const { authenticateUser } = require('../middleware/auth');
 const { processWhisperEvent } = require('../services/notifications');
+const { getBookPlan, completionStep } = require('../services/book-plan');
 
 /**
  * Helper: Convert rating to numeric value for comparison
@@ -42,8 +43,7 @@ function generateProsperoAcknowledgment(aiRating, publisherRating, argument) {
  * Helper: Re-evaluate classification with publisher's argument (background task)
  */
 async function reEvaluateClassification(reviewId, review, publisherRating, argument) {
-  const Anthropic = require('@anthropic-ai/sdk');
-  const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  const { callLLM } = require('../services/llm-provider');
 
   // Fetch story chapters
   const { data: chapters, error } = await supabaseAdmin
@@ -109,13 +109,15 @@ Story to re-evaluate:
 
 ${fullStoryText}`;
 
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-5-20250929',
-    max_tokens: 1024,
-    messages: [{ role: 'user', content: reEvalPrompt }]
+  const { text: responseText } = await callLLM({
+    model: 'sonnet',
+    prompt: reEvalPrompt,
+    maxTokens: 1024,
+    operation: 'content_reclassification',
+    storyId: review.story_id,
+    costMetadata: { reviewId, publisherRating }
   });
 
-  const responseText = response.content[0].text;
   const ratingMatch = responseText.match(/RATING:\s*(all_ages|teen_13|mature_17)/i);
   const reasonMatch = responseText.match(/REASON:\s*(.+?)(?=\n\n|$)/is);
 
@@ -219,7 +221,8 @@ router.post('/', authenticateUser, asyncHandler(async (req, res) => {
   }
 
   const currentStep = storyWithProgress?.generation_progress?.current_step;
-  if (currentStep !== 'chapter_12_complete') {
+  const plan = await getBookPlan(story_id);
+  if (currentStep !== completionStep(plan)) {
     return res.status(403).json({
       success: false,
       error: 'Story must be fully complete before publishing to WhisperNet'
@@ -607,7 +610,8 @@ router.post('/classify', authenticateUser, asyncHandler(async (req, res) => {
   }
 
   const currentStep = storyWithProgress?.generation_progress?.current_step;
-  if (currentStep !== 'chapter_12_complete') {
+  const plan = await getBookPlan(story_id);
+  if (currentStep !== completionStep(plan)) {
     return res.status(403).json({
       success: false,
       error: 'Story must be fully complete before classification'
@@ -4,6 +4,20 @@ const { anthropic } = require('../config/ai-clients');
 const { asyncHandler } = require('../middleware/error-handler');
 const { authenticateUser } = require('../middleware/auth');
 const { requireAIConsentMiddleware } = require('../middleware/consent');
+const { requireAIBudgetMiddleware, requireStoryAIBudgetMiddleware } = require('../middleware/budget');
+const bookPlan = require('../services/book-plan');
+const bookExport = require('../services/book-export');
+const chapterRevisions = require('../services/chapter-revisions');
+const { normalizeInstructions, MAX_INSTRUCTIONS_LENGTH } = require('../services/chapter-rewrite');
+const { promptVersionsFor } = require('../services/prompt-registry');
+const { getSchema } = require('../services/structured-output');
+const seriesPlanner = require('../services/series-planner');
+const spinOffs = require('../services/spin-offs');
+const manuscriptImport = require('../services/manuscript-import');
+const { getReaderCodex } = require('../services/reader-codex');
+const { chapterQueryError, getReaderRelationshipGraph } = require('../services/relationship-graph');
+const { getReaderTimeline } = require('../services/story-timeline');
+const { recapLengthError, recapDue, getStoryRecap, refreshStoryRecap, getLastReadAt } = require('../services/story-recaps');
 
 const router = express.Router();
 
@@ -37,11 +51,13 @@ async function verifyStoryAccess(storyId, userId) {
 /**
  * POST /story/select-premise
  * User selects a premise and triggers pre-generation of first chapters
- * FAST RETURN: Creates story record and returns immediately (1-2s), then generates in background
+ * FAST RETURN: Creates story record and returns immediately (1-2s); generation runs as a queued job
+ *
+ * Body: { premiseId, customPremise?, bookLength?: 'novella' | 'standard' | 'epic' (default 'standard') }
  */
-router.post('/select-premise', authenticateUser, requireAIConsentMiddleware, asyncHandler(async (req, res) => {
+router.post('/select-premise', authenticateUser, requireAIConsentMiddleware, requireAIBudgetMiddleware, asyncHandler(async (req, res) => {
   const { userId } = req;
-  const { premiseId, customPremise } = req.body;
+  const { premiseId, customPremise, bookLength, chooseYourPath } = req.body;
 
   if (!premiseId && !customPremise) {
     return res.status(400).json({
@@ -50,6 +66,14 @@ router.post('/select-premise', authenticateUser, requireAIConsentMiddleware, asy
     });
   }
 
+  const resolvedBookLength = bookLength ? bookPlan.resolveBookLength(bookLength) : bookPlan.DEFAULT_BOOK_LENGTH;
+  if (!resolvedBookLength) {
+    return res.status(400).json({
+      success: false,
+      error: `bookLength must be one of: ${Object.keys(bookPlan.BOOK_LENGTHS).join(', ')}`
+    });
+  }
+
   // CRITICAL: Ensure user exists in public.users (for FK constraint)
   console.log('🔧 Ensuring user exists in public.users before story creation...');
 
@@ -114,6 +138,8 @@ router.post('/select-premise', authenticateUser, requireAIConsentMiddleware, asy
       title: selectedPremise.title,
       genre: selectedPremise.genre || null,
       premise_tier: selectedPremise.tier || null,        // NEW: Store comfort/stretch/wildcard tier
+      book_length: resolvedBookLength,
+      choose_your_path: chooseYourPath === true,
       status: 'active',
       generation_progress: {
         bible_complete: false,
@@ -139,37 +165,58 @@ router.post('/select-premise', authenticateUser, requireAIConsentMiddleware, asy
     console.error('Discovery tolerance update failed (non-blocking):', err.message)
   );
 
-  // Step 3: Fire entire generation pipeline async (non-blocking)
-  const { generateStoryBibleForExistingStory, orchestratePreGeneration } = require('../services/generation');
-
-  generateStoryBibleForExistingStory(story.id, premiseId, userId)
-    .then(() => {
-      console.log(`📚 Bible generated for story ${story.id}, starting chapter generation...`);
-      return orchestratePreGeneration(story.id, userId);
-    })
-    .catch(error => {
-      console.error(`❌ Generation pipeline failed for story ${story.id}:`, error);
-      // Update story progress to indicate failure
-      supabaseAdmin
-        .from('stories')
-        .update({
-          generation_progress: {
-            bible_complete: false,
-            arc_complete: false,
-            chapters_generated: 0,
-            current_step: 'generation_failed',
-            last_updated: new Date().toISOString(),
-            error: error.message
-          }
-        })
-        .eq('id', story.id)
-        .then(() => console.log('Updated story with error status'));
-    });
+  // Step 3: Queue the generation pipeline (durable job — survives restarts, retried with backoff)
+  const { enqueuePreGeneration } = require('../services/generation-jobs');
+  await enqueuePreGeneration(story.id, userId, { premiseId });
 
   // Step 4: Return immediately (1-2 seconds total, not 60)
   res.json(story);
 }));
 
+/**
+ * POST /story/import
+ * Continue a story the reader started themselves: their opening chapters are split on chapter
+ * headings, and a queued job reverse-engineers the bible, voice and ledgers from them, plans the
+ * rest of the book and writes on from the last imported chapter. Poll generation-status as usual.
+ *
+ * Body: { manuscript, format?: 'text' | 'markdown' (default 'text'), title?, genre?, bookLength? }
+ */
+router.post('/import', authenticateUser, requireAIConsentMiddleware, requireAIBudgetMiddleware, asyncHandler(async (req, res) => {
+  const { userId } = req;
+  const { manuscript, format, title, genre, bookLength } = req.body;
+
+  const validationError = manuscriptImport.importRequestError({ manuscript, format, title, genre, bookLength });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  const { story, chapters, error } = await manuscriptImport.importManuscript({
+    userId,
+    manuscript,
+    format,
+    title,
+    genre,
+    bookLength
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error,
+      chaptersFound: chapters
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    story,
+    importedChapters: chapters
+  });
+}));
+
 /**
  * GET /story/generation-status/:storyId
  * Check the pre-generation progress
@@ -201,6 +248,10 @@ router.get('/generation-status/:storyId', authenticateUser, asyncHandler(async (
     .eq('story_id', storyId);
   const chapterCount = new Set(countData?.map(c => c.chapter_number)).size;
 
+  // Latest queued job — lets the client tell "retrying in 5 minutes" from "stuck"
+  const { getLatestStoryJob } = require('../services/job-queue');
+  const job = await getLatestStoryJob(storyId);
+
   res.json({
     success: true,
     storyId: fullStory.id,
@@ -208,8 +259,168 @@ router.get('/generation-status/:storyId', authenticateUser, asyncHandler(async (
     status: fullStory.status,
     progress: fullStory.generation_progress || {},
     chaptersAvailable: chapterCount || 0,
-    error: fullStory.error_message || null
+    totalChapters: (await bookPlan.getBookPlan(storyId)).total_chapters,
+    error: fullStory.error_message || null,
+    job: job ? {
+      type: job.job_type,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      nextAttemptAt: job.status === 'queued' ? job.run_after : null
+    } : null
+  });
+}));
+
+/**
+ * GET /story/generation-stream/:storyId
+ * Server-Sent Events stream of generation progress — replaces polling generation-status.
+ *
+ * Events:
+ *   snapshot      — current status/progress/chapter count (always first; authoritative when resync=true)
+ *   progress      — generation_progress transition, with previousStepTiming { step, durationMs }
+ *   log           — storyLog line
+ *   chapter_text  — partial chapter prose { chapterNumber, attempt, offset, text }; offset 0 means start over
+ *
+ * progress/log events carry an SSE id ("<epoch>:<seq>"). Reconnect with Last-Event-ID (header,
+ * or ?lastEventId=) to be replayed what was missed; if the server can't (another instance, a
+ * restart, buffer overflow), nothing is replayed and the snapshot has resync=true.
+ */
+router.get('/generation-stream/:storyId', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+
+  const story = await verifyStoryAccess(storyId, userId);
+  if (!story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const {
+    recordProgress,
+    getEventsSince,
+    getPartialChapter,
+    subscribeToGeneration
+  } = require('../services/generation-events');
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const send = (event) => {
+    if (res.writableEnded) return;
+    let frame = '';
+    if (event.id != null) frame += `id: ${event.id}\n`;
+    frame += `event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+    res.write(frame);
+  };
+
+  // Subscribe before reading state so nothing published in between is lost
+  const pending = [];
+  let live = false;
+  const unsubscribe = subscribeToGeneration(storyId, (event) => {
+    if (live) send(event);
+    else pending.push(event);
   });
+
+  const readStoryState = async () => {
+    const { data: current } = await supabaseAdmin
+      .from('stories')
+      .select('status, error_message, generation_progress')
+      .eq('id', storyId)
+      .maybeSingle();
+    return current;
+  };
+
+  let pollTimer;
+  let heartbeatTimer;
+  let closed = false;
+  const cleanup = () => {
+    closed = true;
+    unsubscribe();
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+  };
+  req.on('close', cleanup);
+
+  try {
+    const current = await readStoryState();
+    const { data: countData } = await supabaseAdmin
+      .from('chapters')
+      .select('chapter_number')
+      .eq('story_id', storyId);
+
+    // Seed the dedupe/timing state with what's in the DB (no-op if this instance wrote it)
+    recordProgress(storyId, current?.generation_progress);
+
+    const { events: missed, gap } = getEventsSince(storyId, lastEventId);
+
+    send({
+      id: null,
+      type: 'snapshot',
+      data: {
+        status: current?.status,
+        progress: current?.generation_progress || {},
+        chaptersAvailable: new Set(countData?.map(c => c.chapter_number)).size,
+        error: current?.error_message || null,
+        resync: gap
+      }
+    });
+
+    const replayedIds = new Set();
+    for (const event of missed) {
+      replayedIds.add(event.id);
+      send(event);
+    }
+
+    const partial = getPartialChapter(storyId);
+    if (partial && partial.text) {
+      send({
+        id: null,
+        type: 'chapter_text',
+        data: { chapterNumber: partial.chapterNumber, attempt: partial.attempt, offset: 0, text: partial.text }
+      });
+    }
+
+    // Flush anything published while we were reading, skipping what the replay already covered
+    // and chapter_text deltas already contained in the partial snapshot
+    live = true;
+    for (const event of pending) {
+      if (event.id != null && replayedIds.has(event.id)) continue;
+      if (event.type === 'chapter_text' && partial) continue;
+      send(event);
+    }
+  } catch (error) {
+    console.error(`❌ Generation stream setup failed for story ${storyId}:`, error.message);
+    cleanup();
+    return res.end();
+  }
+
+  // The client may have gone while we were reading state — cleanup has already run
+  if (closed) return;
+
+  // Fallback for progress written by another instance or outside updateGenerationProgress
+  pollTimer = setInterval(async () => {
+    try {
+      const current = await readStoryState();
+      if (current) recordProgress(storyId, current.generation_progress);
+    } catch (error) {
+      console.error(`⚠️ Generation stream poll failed for story ${storyId}:`, error.message);
+    }
+  }, 5000);
+
+  // Comment frames keep proxies and server.timeout from closing an idle stream
+  heartbeatTimer = setInterval(() => {
+    if (!res.writableEnded) res.write(': keep-alive\n\n');
+  }, 15000);
 }));
 
 /**
@@ -250,23 +461,430 @@ router.get('/:storyId/chapters', authenticateUser, asyncHandler(async (req, res)
     }
   }
 
-  // Fetch synopsis from story_bibles (central_conflict description)
-  let synopsis = null;
-  const { data: bible } = await supabaseAdmin
-    .from('story_bibles')
-    .select('central_conflict')
+  // Fetch synopsis from story_bibles (central_conflict description)
+  let synopsis = null;
+  const { data: bible } = await supabaseAdmin
+    .from('story_bibles')
+    .select('central_conflict')
+    .eq('story_id', storyId)
+    .maybeSingle();
+
+  if (bible?.central_conflict?.description) {
+    synopsis = bible.central_conflict.description;
+  }
+
+  res.json({
+    success: true,
+    storyId,
+    chapters: uniqueChapters || [],
+    synopsis
+  });
+}));
+
+/**
+ * GET /story/:storyId/export.epub
+ * Download a finished book as an EPUB 3 file (cover, title page, contents, chapters, series metadata).
+ * Owners can always export; WhisperNet shelf readers only while the book is still published.
+ */
+router.get('/:storyId/export.epub', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+
+  const story = await verifyStoryAccess(storyId, userId);
+  if (!story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const { book, refusal } = await bookExport.loadExport(storyId, userId);
+  if (refusal) {
+    return res.status(refusal.status).json({
+      success: false,
+      error: refusal.error
+    });
+  }
+
+  const epub = bookExport.buildEpub(book);
+  console.log(`📚 Exported "${book.story.title}" as EPUB (${book.chapters.length} chapters, ${epub.length} bytes)`);
+
+  res.set({
+    'Content-Type': bookExport.EPUB_MIME_TYPE,
+    'Content-Disposition': `attachment; filename="${bookExport.exportFileName(book.story.title, 'epub')}"`,
+    'Content-Length': epub.length
+  });
+  res.send(epub);
+}));
+
+/**
+ * POST /story/:storyId/exports
+ * Queue a download of a finished book: a print-ready PDF, a DOCX or Markdown manuscript, or an EPUB.
+ * Same access rules as the EPUB export.
+ * Body: { format: 'pdf' | 'docx' | 'markdown' | 'epub', trimSize?, largePrint? } (trimSize and largePrint are PDF-only)
+ */
+router.post('/:storyId/exports', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+  const { format, trimSize, largePrint } = req.body;
+
+  const validationError = bookExport.exportRequestError({ format, trimSize, largePrint });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  const story = await verifyStoryAccess(storyId, userId);
+  if (!story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const { refusal } = await bookExport.checkExportAccess(storyId, userId);
+  if (refusal) {
+    return res.status(refusal.status).json({
+      success: false,
+      error: refusal.error
+    });
+  }
+
+  const exportRow = await bookExport.requestBookExport(storyId, userId, { format, trimSize, largePrint });
+
+  res.status(202).json({
+    success: true,
+    export: {
+      id: exportRow.id,
+      format: exportRow.format,
+      options: exportRow.options,
+      status: exportRow.status,
+      created_at: exportRow.created_at
+    }
+  });
+}));
+
+/**
+ * GET /story/:storyId/exports/:exportId
+ * Status of an export the caller requested; includes a download link (valid for an hour) once ready
+ */
+router.get('/:storyId/exports/:exportId', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId, exportId } = req.params;
+  const { userId } = req;
+
+  const exportStatus = await bookExport.getBookExport(storyId, exportId, userId);
+  if (!exportStatus) {
+    return res.status(404).json({
+      success: false,
+      error: 'Export not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    export: exportStatus
+  });
+}));
+
+/**
+ * Find a chapter the caller may see the revision history of (story owner or admin).
+ * Sends the 404 itself and returns null if not found.
+ */
+async function findRevisableChapter(req, res) {
+  const { storyId, chapterNumber } = req.params;
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id, user_id')
+    .eq('id', storyId)
+    .maybeSingle();
+
+  if (!story || (story.user_id !== req.userId && req.user?.role !== 'admin')) {
+    res.status(404).json({ success: false, error: 'Story not found' });
+    return null;
+  }
+
+  const { data: chapter } = await supabaseAdmin
+    .from('chapters')
+    .select('id, chapter_number, title, current_revision')
+    .eq('story_id', storyId)
+    .eq('chapter_number', parseInt(chapterNumber, 10))
+    .maybeSingle();
+
+  if (!chapter) {
+    res.status(404).json({ success: false, error: 'Chapter not found' });
+    return null;
+  }
+
+  return chapter;
+}
+
+/**
+ * GET /story/:storyId/chapters/:chapterNumber/revisions
+ * Revision history for a chapter (oldest first, without content).
+ * Empty until the chapter is first revised — revision 1 is then the original text.
+ */
+router.get('/:storyId/chapters/:chapterNumber/revisions', authenticateUser, asyncHandler(async (req, res) => {
+  const chapter = await findRevisableChapter(req, res);
+  if (!chapter) return;
+
+  const revisions = await chapterRevisions.listRevisions(chapter.id);
+
+  res.json({
+    success: true,
+    chapterId: chapter.id,
+    chapterNumber: chapter.chapter_number,
+    currentRevision: chapter.current_revision || 0,
+    revisions
+  });
+}));
+
+/**
+ * GET /story/:storyId/chapters/:chapterNumber/revisions/diff?from=1&to=3
+ * Word-level diff between two revisions. `to` defaults to the current revision.
+ */
+router.get('/:storyId/chapters/:chapterNumber/revisions/diff', authenticateUser, asyncHandler(async (req, res) => {
+  const chapter = await findRevisableChapter(req, res);
+  if (!chapter) return;
+
+  const from = parseInt(req.query.from, 10);
+  const to = req.query.to ? parseInt(req.query.to, 10) : chapter.current_revision;
+
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be revision numbers (the chapter must have been revised at least once)'
+    });
+  }
+
+  const diff = await chapterRevisions.diffRevisions(chapter.id, from, to);
+  if (!diff) {
+    return res.status(404).json({ success: false, error: 'Revision not found' });
+  }
+
+  res.json({ success: true, chapterId: chapter.id, ...diff });
+}));
+
+/**
+ * POST /story/:storyId/chapters/:chapterNumber/rollback
+ * Restore an earlier revision. History is kept — the restore is itself a new revision.
+ *
+ * Body: { revisionNumber, reason? }
+ */
+router.post('/:storyId/chapters/:chapterNumber/rollback', authenticateUser, asyncHandler(async (req, res) => {
+  const chapter = await findRevisableChapter(req, res);
+  if (!chapter) return;
+
+  const { revisionNumber, reason } = req.body;
+  if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+    return res.status(400).json({ success: false, error: 'revisionNumber must be a positive integer' });
+  }
+
+  if (revisionNumber === chapter.current_revision) {
+    return res.status(409).json({ success: false, error: `Chapter is already at revision ${revisionNumber}` });
+  }
+
+  const revision = await chapterRevisions.rollbackChapter(chapter.id, revisionNumber, {
+    authorId: req.userId,
+    reason
+  });
+
+  if (!revision) {
+    return res.status(404).json({ success: false, error: 'Revision not found' });
+  }
+
+  console.log(`⏪ Ch${chapter.chapter_number} rolled back to revision ${revisionNumber} (now revision ${revision.revisionNumber})`);
+
+  res.json({
+    success: true,
+    chapterId: chapter.id,
+    rolledBackTo: revisionNumber,
+    revisionNumber: revision.revisionNumber
+  });
+}));
+
+/**
+ * POST /story/:storyId/chapters/:chapterNumber/rewrite
+ * Ask for a whole-chapter redo ("less gore", "more banter between Kael and Mira").
+ * Queued as a chapter_rewrite job; the original stays in the revision history.
+ *
+ * Body: { instructions }
+ */
+router.post('/:storyId/chapters/:chapterNumber/rewrite', authenticateUser, requireAIConsentMiddleware, requireStoryAIBudgetMiddleware, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+  const chapterNumber = parseInt(req.params.chapterNumber, 10);
+
+  const instructions = normalizeInstructions(req.body.instructions);
+  if (!instructions) {
+    return res.status(400).json({
+      success: false,
+      error: `instructions must be between 3 and ${MAX_INSTRUCTIONS_LENGTH} characters`
+    });
+  }
+
+  // Only the owner can rewrite their story
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id, status')
+    .eq('id', storyId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!story) {
+    return res.status(404).json({ success: false, error: 'Story not found' });
+  }
+
+  if (story.status === 'generating') {
+    return res.status(400).json({
+      success: false,
+      error: 'Story is still being conjured. Please wait.'
+    });
+  }
+
+  const { data: chapter } = await supabaseAdmin
+    .from('chapters')
+    .select('id')
+    .eq('story_id', storyId)
+    .eq('chapter_number', chapterNumber)
+    .maybeSingle();
+
+  if (!chapter) {
+    return res.status(404).json({ success: false, error: 'Chapter not found' });
+  }
+
+  const { enqueueChapterRewrite } = require('../services/generation-jobs');
+  const { job, deduplicated } = await enqueueChapterRewrite(storyId, userId, { chapterNumber, instructions });
+
+  if (deduplicated) {
+    return res.status(409).json({
+      success: false,
+      error: 'A rewrite is already in progress for this story',
+      jobId: job.id
+    });
+  }
+
+  console.log(`✍️ Ch${chapterNumber} rewrite queued (job ${job.id})`);
+
+  res.status(202).json({
+    success: true,
+    chapterId: chapter.id,
+    chapterNumber,
+    jobId: job.id,
+    status: job.status
+  });
+}));
+
+/**
+ * PUT /story/:storyId/choose-your-path
+ * Turn choice points on or off. Applies from the next checkpoint the reader reaches.
+ *
+ * Body: { enabled }
+ */
+router.put('/:storyId/choose-your-path', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'enabled must be a boolean' });
+  }
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .update({ choose_your_path: enabled })
+    .eq('id', storyId)
+    .eq('user_id', req.userId)
+    .select('id, choose_your_path')
+    .maybeSingle();
+
+  if (!story) {
+    return res.status(404).json({ success: false, error: 'Story not found' });
+  }
+
+  res.json({ success: true, storyId, chooseYourPath: story.choose_your_path });
+}));
+
+/**
+ * GET /story/:storyId/branches
+ * Every path offered at this story's choice points — chosen, not chosen, and any
+ * alternate timelines already forked from them.
+ */
+router.get('/:storyId/branches', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id, forked_from_story_id, forked_from_chapter')
+    .eq('id', storyId)
+    .eq('user_id', req.userId)
+    .maybeSingle();
+
+  if (!story) {
+    return res.status(404).json({ success: false, error: 'Story not found' });
+  }
+
+  const { data: branches, error } = await supabaseAdmin
+    .from('story_branches')
+    .select('id, checkpoint, branch_index, title, summary, status, forked_story_id, chosen_at, created_at')
     .eq('story_id', storyId)
-    .maybeSingle();
+    .order('created_at', { ascending: true })
+    .order('branch_index', { ascending: true });
 
-  if (bible?.central_conflict?.description) {
-    synopsis = bible.central_conflict.description;
+  if (error) {
+    throw new Error(`Failed to load branches: ${error.message}`);
   }
 
   res.json({
     success: true,
     storyId,
-    chapters: uniqueChapters || [],
-    synopsis
+    forkedFrom: story.forked_from_story_id
+      ? { storyId: story.forked_from_story_id, afterChapter: story.forked_from_chapter }
+      : null,
+    branches: branches || []
+  });
+}));
+
+/**
+ * POST /story/:storyId/branches/:branchId/fork
+ * Explore a path not taken: copy the story up to that checkpoint as a new story that
+ * follows the unchosen branch, and start generating it.
+ */
+router.post('/:storyId/branches/:branchId/fork', authenticateUser, requireAIConsentMiddleware, requireAIBudgetMiddleware, asyncHandler(async (req, res) => {
+  const { storyId, branchId } = req.params;
+  const { userId } = req;
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id')
+    .eq('id', storyId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!story) {
+    return res.status(404).json({ success: false, error: 'Story not found' });
+  }
+
+  const { forkBranch } = require('../services/story-branches');
+
+  let result;
+  try {
+    result = await forkBranch(storyId, branchId, userId);
+  } catch (error) {
+    if (error.message === 'Branch not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.message.startsWith('Only a path')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+
+  res.status(result.existing ? 200 : 202).json({
+    success: true,
+    story: result.story,
+    alreadyForked: result.existing
   });
 }));
 
@@ -274,7 +892,7 @@ router.get('/:storyId/chapters', authenticateUser, asyncHandler(async (req, res)
  * POST /story/:storyId/generate-next
  * Generate next chapter(s) in the story
  */
-router.post('/:storyId/generate-next', authenticateUser, asyncHandler(async (req, res) => {
+router.post('/:storyId/generate-next', authenticateUser, requireStoryAIBudgetMiddleware, asyncHandler(async (req, res) => {
   const { storyId } = req.params;
   const { userId } = req;
   const { count = 1 } = req.body; // Number of chapters to generate
@@ -311,10 +929,21 @@ router.post('/:storyId/generate-next', authenticateUser, asyncHandler(async (req
 
   const nextChapterNumber = (chapterCount || 0) + 1;
 
+  // Never write past the end of the book the arc planned
+  const plan = await bookPlan.getBookPlan(storyId);
+  const remaining = plan.total_chapters - (chapterCount || 0);
+  if (remaining <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: `This book is complete (${plan.total_chapters} chapters)`
+    });
+  }
+  const toGenerate = Math.min(count, remaining);
+
   const { generateChapter } = require('../services/generation');
   const generatedChapters = [];
 
-  for (let i = 0; i < count; i++) {
+  for (let i = 0; i < toGenerate; i++) {
     const chapter = await generateChapter(storyId, nextChapterNumber + i, userId);
     generatedChapters.push({
       id: chapter.id,
@@ -326,7 +955,7 @@ router.post('/:storyId/generate-next', authenticateUser, asyncHandler(async (req
 
   res.json({
     success: true,
-    message: `Conjured ${count} chapter(s)`,
+    message: `Conjured ${toGenerate} chapter(s)`,
     chapters: generatedChapters
   });
 }));
@@ -419,17 +1048,155 @@ router.get('/:storyId/current-state', authenticateUser, asyncHandler(async (req,
     .eq('story_id', storyId);
   const chapterCount = new Set(countData?.map(c => c.chapter_number)).size;
 
+  // Back after a long break: bring the "Previously on…" along if it's cached, otherwise
+  // write it in the background for the next request (non-fatal)
+  let recap = null;
+  let recapPending = false;
+  if (progress && recapDue(await getLastReadAt(storyId, userId))) {
+    try {
+      recap = await getStoryRecap(storyId, userId, { generate: false });
+      if (!recap) recapPending = await refreshStoryRecap(storyId, userId);
+    } catch (err) {
+      console.error(`⚠️ Recap failed for story ${storyId}: ${err.message}`);
+    }
+  }
+
   res.json({
     success: true,
     story,
     progress: progress || null,
-    chaptersAvailable: chapterCount || 0
+    chaptersAvailable: chapterCount || 0,
+    recap,
+    recapPending
+  });
+}));
+
+/**
+ * GET /story/:storyId/recap
+ * Spoiler-free "Previously on…" for the chapters the reader has finished, at three lengths
+ * (one_line, paragraph, full), or one of them with ?length=. recap is null until they've
+ * finished chapter 1.
+ */
+router.get('/:storyId/recap', authenticateUser, requireAIConsentMiddleware, requireStoryAIBudgetMiddleware, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+  const { length } = req.query;
+
+  const lengthError = recapLengthError(length);
+  if (lengthError) {
+    return res.status(400).json({
+      success: false,
+      error: lengthError
+    });
+  }
+
+  const story = await verifyStoryAccess(storyId, userId);
+  if (!story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const recap = await getStoryRecap(storyId, userId);
+
+  res.json({
+    success: true,
+    recap: recap && length
+      ? { through_chapter: recap.through_chapter, [length]: recap[length], generated_at: recap.generated_at }
+      : recap
+  });
+}));
+
+/**
+ * GET /story/:storyId/codex
+ * The world codex as a glossary — places, factions, magic/tech rules and other terms — limited to
+ * what the reader has met in the chapters they've finished, and what those chapters said about
+ * it. Each entry links to the chapter it first appeared in.
+ */
+router.get('/:storyId/codex', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+
+  const story = await verifyStoryAccess(storyId, userId);
+  if (!story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const codex = await getReaderCodex(storyId, userId);
+
+  res.json({
+    success: true,
+    codex
+  });
+}));
+
+/**
+ * GET /story/:storyId/relationships
+ * Who's who: characters and their relationships (typed, with sentiment chapter by chapter) as of
+ * the last chapter the reader finished, or an earlier ?chapter=N. Never past what they've read.
+ */
+router.get('/:storyId/relationships', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+  const { chapter } = req.query;
+
+  const chapterError = chapterQueryError(chapter);
+  if (chapterError) {
+    return res.status(400).json({
+      success: false,
+      error: chapterError
+    });
+  }
+
+  const story = await verifyStoryAccess(storyId, userId);
+  if (!story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const graph = await getReaderRelationshipGraph(storyId, userId, chapter === undefined ? null : parseInt(chapter, 10));
+
+  res.json({
+    success: true,
+    graph
+  });
+}));
+
+/**
+ * GET /story/:storyId/timeline
+ * Key events, character beats, world-state changes and reader promises in one chronological
+ * list, up to the last chapter the reader finished
+ */
+router.get('/:storyId/timeline', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+
+  const story = await verifyStoryAccess(storyId, userId);
+  if (!story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const timeline = await getReaderTimeline(storyId, userId);
+
+  res.json({
+    success: true,
+    timeline
   });
 }));
 
 /**
  * GET /:storyId/sequel
- * Get the next book in the series (if exists and has at least 1 chapter)
+ * Get the next book in the series (if exists and has at least 1 chapter).
+ * nextBookPlanned is false once a planned series has reached its last book.
  */
 router.get('/:storyId/sequel', authenticateUser, asyncHandler(async (req, res) => {
   const { storyId } = req.params;
@@ -438,7 +1205,7 @@ router.get('/:storyId/sequel', authenticateUser, asyncHandler(async (req, res) =
   // Get current story with series_id and created_at
   const { data: currentStory, error: storyError } = await supabaseAdmin
     .from('stories')
-    .select('id, series_id, created_at')
+    .select('id, series_id, book_number, created_at')
     .eq('id', storyId)
     .eq('user_id', userId)
     .single();
@@ -450,14 +1217,23 @@ router.get('/:storyId/sequel', authenticateUser, asyncHandler(async (req, res) =
     });
   }
 
-  // If not in a series, no sequel exists
+  // If not in a series, no sequel exists (and one can be started)
   if (!currentStory.series_id) {
     return res.json({
       success: true,
-      sequel: null
+      sequel: null,
+      nextBookPlanned: true
     });
   }
 
+  // A planned series doesn't offer books past its planned last one
+  const seriesPlan = await seriesPlanner.getSeriesPlan(currentStory.series_id);
+  const series = {
+    plannedBooks: seriesPlan?.planned_books || null,
+    bookNumber: currentStory.book_number || 1,
+    nextBookPlanned: seriesPlanner.isBookPlanned(seriesPlan, (currentStory.book_number || 1) + 1)
+  };
+
   // Find next book in series (created after current book, same series_id)
   const { data: sequelStories, error: sequelError } = await supabaseAdmin
     .from('stories')
@@ -476,7 +1252,8 @@ router.get('/:storyId/sequel', authenticateUser, asyncHandler(async (req, res) =
   if (!sequelStories || sequelStories.length === 0) {
     return res.json({
       success: true,
-      sequel: null
+      sequel: null,
+      ...series
     });
   }
 
@@ -497,14 +1274,64 @@ router.get('/:storyId/sequel', authenticateUser, asyncHandler(async (req, res) =
   if (!chapters || chapters.length === 0) {
     return res.json({
       success: true,
-      sequel: null
+      sequel: null,
+      ...series
     });
   }
 
   // Sequel exists and is readable
   res.json({
     success: true,
-    sequel
+    sequel,
+    ...series
+  });
+}));
+
+/**
+ * GET /story/:storyId/series
+ * Where the reader is in the saga: every book in the series (written or still planned)
+ * with reading progress, the series arc, cross-book threads and what comes next
+ */
+router.get('/:storyId/series', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+
+  const { data: story, error: storyError } = await supabaseAdmin
+    .from('stories')
+    .select('id, series_id')
+    .eq('id', storyId)
+    .eq('user_id', userId)
+    .single();
+
+  if (storyError || !story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  if (!story.series_id) {
+    return res.json({
+      success: true,
+      series: null
+    });
+  }
+
+  const { data: seriesRecord } = await supabaseAdmin
+    .from('series')
+    .select('id, name')
+    .eq('id', story.series_id)
+    .maybeSingle();
+
+  const progress = await seriesPlanner.getSeriesProgress(story.series_id, userId);
+
+  res.json({
+    success: true,
+    series: {
+      id: story.series_id,
+      name: seriesRecord?.name || null,
+      ...progress
+    }
   });
 }));
 
@@ -512,10 +1339,17 @@ router.get('/:storyId/sequel', authenticateUser, asyncHandler(async (req, res) =
  * POST /story/:storyId/generate-sequel
  * Generate the next book in a series after completing Book 1
  */
-router.post('/:storyId/generate-sequel', authenticateUser, asyncHandler(async (req, res) => {
+router.post('/:storyId/generate-sequel', authenticateUser, requireAIBudgetMiddleware, asyncHandler(async (req, res) => {
   const { storyId } = req.params;
   const { userId } = req;
-  const { userPreferences } = req.body;
+  const { userPreferences, plannedBooks } = req.body;
+
+  if (plannedBooks !== undefined && !seriesPlanner.resolvePlannedBooks(plannedBooks)) {
+    return res.status(400).json({
+      success: false,
+      error: `plannedBooks must be a whole number from ${seriesPlanner.MIN_PLANNED_BOOKS} to ${seriesPlanner.MAX_PLANNED_BOOKS}`
+    });
+  }
 
   console.log(`📖 Generating sequel for story ${storyId}...`);
 
@@ -542,10 +1376,11 @@ router.post('/:storyId/generate-sequel', authenticateUser, asyncHandler(async (r
     .eq('story_id', storyId);
   const chapterCount = new Set(countData?.map(c => c.chapter_number)).size;
 
-  if (chapterCount < 12) {
+  const book1Plan = await bookPlan.getBookPlan(storyId);
+  if (chapterCount < book1Plan.total_chapters) {
     return res.status(400).json({
       success: false,
-      error: 'Book 1 must be complete (12 chapters) before conjuring a sequel'
+      error: `Book 1 must be complete (${book1Plan.total_chapters} chapters) before conjuring a sequel`
     });
   }
 
@@ -590,7 +1425,7 @@ router.post('/:storyId/generate-sequel', authenticateUser, asyncHandler(async (r
   }
 
   // Determine next book number — query actual max in series (defensive against stale/null book_number)
-  const { extractBookContext, generateSequelBible, generateArcOutline, orchestratePreGeneration } = require('../services/generation');
+  const { extractBookContext, generateSequelBible, generateArcOutline } = require('../services/generation');
 
   const { data: maxBookInSeries } = await supabaseAdmin
     .from('stories')
@@ -604,6 +1439,16 @@ router.post('/:storyId/generate-sequel', authenticateUser, asyncHandler(async (r
   const currentBookNumber = book1Story.book_number || (nextBookNumber - 1);
   console.log(`📚 Creating Book ${nextBookNumber} sequel (predecessor is Book ${currentBookNumber}, max in series: ${maxBookInSeries?.book_number || 'none'})`);
 
+  // A planned series ends at its planned last book
+  let seriesPlan = await seriesPlanner.getSeriesPlan(seriesId);
+  if (!seriesPlanner.isBookPlanned(seriesPlan, nextBookNumber)) {
+    return res.status(409).json({
+      success: false,
+      error: `This series was planned as ${seriesPlan.planned_books} books and Book ${seriesPlan.planned_books} already exists`,
+      plannedBooks: seriesPlan.planned_books
+    });
+  }
+
   // Extract context from the predecessor book if not already stored
   const { data: storedPredecessorCtx } = await supabaseAdmin
     .from('story_series_context')
@@ -612,11 +1457,13 @@ router.post('/:storyId/generate-sequel', authenticateUser, asyncHandler(async (r
     .eq('book_number', currentBookNumber)
     .maybeSingle();
 
+  let predecessorEndState = storedPredecessorCtx;
   if (storedPredecessorCtx) {
     console.log(`✅ Using stored Book ${currentBookNumber} context`);
   } else {
     console.log(`📊 Extracting Book ${currentBookNumber} context...`);
     const context = await extractBookContext(storyId, userId);
+    predecessorEndState = context;
 
     // Get bible_id for the predecessor book
     const { data: predecessorBible } = await supabaseAdmin
@@ -643,6 +1490,30 @@ router.post('/:storyId/generate-sequel', authenticateUser, asyncHandler(async (r
     console.log(`✅ Stored Book ${currentBookNumber} context for series continuity`);
   }
 
+  // The first sequel plans the whole series; Book 2's bible is then written against it.
+  // Series that reached Book 2 before plans existed stay open-ended.
+  if (!seriesPlan && nextBookNumber === 2) {
+    try {
+      seriesPlan = await seriesPlanner.generateSeriesPlan({
+        seriesId,
+        storyId,
+        userId,
+        plannedBooks,
+        endState: {
+          character_states: predecessorEndState.character_states,
+          relationships: predecessorEndState.relationships,
+          world_state: predecessorEndState.world_state,
+          accomplishments: predecessorEndState.accomplishments,
+          key_events: predecessorEndState.key_events
+        },
+        readerPreferences: userPreferences || null
+      });
+    } catch (error) {
+      // The sequel can still be written one book at a time
+      console.error(`⚠️ Series planning failed for ${seriesId}, continuing without a plan: ${error.message}`);
+    }
+  }
+
   console.log(`📚 Generating Book ${nextBookNumber} bible...`);
   const sequelBibleContent = await generateSequelBible(storyId, userPreferences, userId);
 
@@ -657,6 +1528,7 @@ router.post('/:storyId/generate-sequel', authenticateUser, asyncHandler(async (r
       title: sequelBibleContent.title,
       genre: book1Story.genre || null,              // Inherit genre from predecessor
       premise_tier: book1Story.premise_tier || null, // Inherit tier from predecessor (sequels continue the original choice)
+      book_length: book1Story.book_length || bookPlan.DEFAULT_BOOK_LENGTH, // Sequels keep the series' book length
       status: 'generating',
       generation_progress: {
         bible_complete: false,
@@ -688,7 +1560,9 @@ router.post('/:storyId/generate-sequel', authenticateUser, asyncHandler(async (r
       stakes: sequelBibleContent.stakes,
       themes: sequelBibleContent.themes,
       key_locations: sequelBibleContent.key_locations,
-      timeline: sequelBibleContent.timeline
+      timeline: sequelBibleContent.timeline,
+      prompt_versions: promptVersionsFor('sequel_bible'),
+      schema_version: getSchema('story_bible').version
     })
     .select()
     .single();
@@ -702,20 +1576,122 @@ router.post('/:storyId/generate-sequel', authenticateUser, asyncHandler(async (r
 
   console.log(`📝 Starting Book ${nextBookNumber} chapter generation (1-3 initial batch)...`);
 
-  // Start pre-generation in background (3 chapters)
-  orchestratePreGeneration(book2Story.id, userId).catch(error => {
-    console.error(`Book ${nextBookNumber} pre-generation failed:`, error);
-  });
+  // Queue pre-generation (3 chapters) as a durable job
+  const { enqueuePreGeneration } = require('../services/generation-jobs');
+  await enqueuePreGeneration(book2Story.id, userId);
 
   res.json({
     success: true,
     sequel: book2Story,
     bookNumber: nextBookNumber,
     seriesId,
+    plannedBooks: seriesPlan?.planned_books || null,
     message: `Book ${nextBookNumber} is being conjured. Check back soon for the first chapters!`
   });
 }));
 
+/**
+ * GET /story/:storyId/spin-off/candidates
+ * Secondary characters a spin-off of this story can be centred on
+ */
+router.get('/:storyId/spin-off/candidates', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+
+  const { data: story, error: storyError } = await supabaseAdmin
+    .from('stories')
+    .select('id')
+    .eq('id', storyId)
+    .eq('user_id', userId)
+    .single();
+
+  if (storyError || !story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const candidates = await spinOffs.listSpinOffCandidates(storyId);
+
+  res.json({
+    success: true,
+    candidates
+  });
+}));
+
+/**
+ * POST /story/:storyId/spin-off
+ * Start a new story in this story's world with one of its secondary characters as protagonist
+ * Body: { characterName, notes? }
+ */
+router.post('/:storyId/spin-off', authenticateUser, requireAIConsentMiddleware, requireAIBudgetMiddleware, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+  const { characterName, notes } = req.body;
+
+  if (!characterName || typeof characterName !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'characterName is required'
+    });
+  }
+
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'notes must be a string'
+    });
+  }
+
+  const { data: story, error: storyError } = await supabaseAdmin
+    .from('stories')
+    .select('id, title')
+    .eq('id', storyId)
+    .eq('user_id', userId)
+    .single();
+
+  if (storyError || !story) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const candidates = await spinOffs.listSpinOffCandidates(storyId);
+  const candidate = spinOffs.findSpinOffCandidate(candidates, characterName);
+  if (!candidate) {
+    return res.status(400).json({
+      success: false,
+      error: `"${characterName}" is not a secondary character in this story`,
+      candidates: candidates.map(c => c.name)
+    });
+  }
+
+  console.log(`🌱 Creating spin-off of ${storyId} centred on ${candidate.name}...`);
+  const { story: spinOff } = await spinOffs.createSpinOff(storyId, {
+    userId,
+    candidate,
+    notes: notes ? notes.trim().slice(0, 1000) : null
+  });
+
+  console.log(`📐 Generating spin-off arc...`);
+  const { generateArcOutline } = require('../services/generation');
+  await generateArcOutline(spinOff.id, userId);
+
+  // Queue pre-generation (3 chapters) as a durable job
+  const { enqueuePreGeneration } = require('../services/generation-jobs');
+  await enqueuePreGeneration(spinOff.id, userId);
+
+  res.json({
+    success: true,
+    spinOff,
+    character: candidate.name,
+    worldId: spinOff.world_id,
+    message: `${candidate.name}'s story is being conjured. Check back soon for the first chapters!`
+  });
+}));
+
 /**
  * POST /story/investigate-passage
  * Prospero's Editor: Reader highlights a passage and asks Prospero to investigate.
@@ -893,7 +1869,7 @@ router.post('/:storyId/archive', authenticateUser, asyncHandler(async (req, res)
 
 /**
  * GET /stories/:storyId/ledger
- * The Ledger — per-story record showing readers, resonances, and badges
+ * The Ledger — per-story record showing readers, resonances, badges and forks
  */
 router.get('/:storyId/ledger', authenticateUser, asyncHandler(async (req, res) => {
   const { storyId } = req.params;
@@ -989,12 +1965,17 @@ router.get('/:storyId/ledger', authenticateUser, asyncHandler(async (req, res) =
     earned_at: b.earned_at
   })) : [];
 
+  // Readers who continued this story as their own (WhisperNet forks)
+  const { getForkLineage } = require('../services/whispernet-forks');
+  const forks = await getForkLineage(storyId);
+
   res.json({
     success: true,
     total_readers: totalReaders || 0,
     recent_readers: recentReaders,
     resonance_cloud: resonanceCloud,
-    badges: badgeList
+    badges: badgeList,
+    forks
   });
 }));
 
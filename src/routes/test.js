@@ -1,5 +1,5 @@
 const express = require('express');
-const { anthropic } = require('../config/ai-clients');
+const { callLLM, MODELS, calculateModelCost } = require('../services/llm-provider');
 const { asyncHandler } = require('../middleware/error-handler');
 const {
   generatePremises,
@@ -13,8 +13,8 @@ const router = express.Router();
 // Hardcoded test user ID (consistent across test runs)
 const TEST_USER_ID = '00000000-0000-0000-0000-000000000001';
 
-// Read generation model from environment
-const GENERATION_MODEL = process.env.CLAUDE_GENERATION_MODEL || 'claude-opus-4-6';
+// Generation model (read from environment by llm-provider)
+const GENERATION_MODEL = MODELS.generation;
 
 /**
  * GET /test/claude
@@ -25,29 +25,20 @@ router.get('/claude', asyncHandler(async (req, res) => {
 
   try {
     // Call Claude API with a simple prompt
-    const message = await anthropic.messages.create({
-      model: GENERATION_MODEL,
-      max_tokens: 32000,
-      messages: [{
-        role: 'user',
-        content: 'Write a one-sentence premise for a fantasy story.'
-      }]
+    // Single attempt — this endpoint reports whether the provider is reachable right now
+    const { text: generatedPremise, inputTokens, outputTokens, cost: totalCost } = await callLLM({
+      model: 'generation',
+      prompt: 'Write a one-sentence premise for a fantasy story.',
+      maxTokens: 32000,
+      operation: 'test_claude',
+      maxAttempts: 1,
+      logCost: false
     });
 
     const responseTime = Date.now() - startTime;
 
-    // Extract token usage
-    const inputTokens = message.usage.input_tokens;
-    const outputTokens = message.usage.output_tokens;
-
-    // Calculate cost (Claude Opus 4.6 pricing as of 2026)
-    // Input: $5 per million tokens, Output: $25 per million tokens
-    const inputCost = (inputTokens / 1_000_000) * 5;
-    const outputCost = (outputTokens / 1_000_000) * 25;
-    const totalCost = inputCost + outputCost;
-
-    // Extract the generated text
-    const generatedPremise = message.content[0].text;
+    const inputCost = calculateModelCost(GENERATION_MODEL, inputTokens, 0);
+    const outputCost = calculateModelCost(GENERATION_MODEL, 0, outputTokens);
 
     res.json({
       success: true,
@@ -439,23 +430,20 @@ Return ONLY a JSON object in this exact format:
   console.log('✍️  Generating chapter...');
   const genStartTime = Date.now();
 
-  const chapterMessage = await anthropic.messages.create({
-    model: GENERATION_MODEL,
-    max_tokens: 32000,
-    messages: [{ role: 'user', content: generatePrompt }]
+  const {
+    text: chapterText,
+    inputTokens: genInputTokens,
+    outputTokens: genOutputTokens,
+    cost: genTotalCost
+  } = await callLLM({
+    model: 'generation',
+    prompt: generatePrompt,
+    maxTokens: 32000,
+    operation: 'test_generate_chapter',
+    logCost: false
   });
 
   const genTime = Date.now() - genStartTime;
-  const genInputTokens = chapterMessage.usage.input_tokens;
-  const genOutputTokens = chapterMessage.usage.output_tokens;
-
-  // Calculate generation cost
-  const genInputCost = (genInputTokens / 1_000_000) * 5;
-  const genOutputCost = (genOutputTokens / 1_000_000) * 25;
-  const genTotalCost = genInputCost + genOutputCost;
-
-  // Parse chapter
-  const chapterText = chapterMessage.content[0].text;
   let chapter;
   try {
     // Remove markdown code blocks if present
@@ -618,23 +606,20 @@ Return ONLY a JSON object in this exact format:
   }
 }`;
 
-  const reviewMessage = await anthropic.messages.create({
-    model: GENERATION_MODEL,
-    max_tokens: 32000,
-    messages: [{ role: 'user', content: reviewPrompt }]
+  const {
+    text: reviewText,
+    inputTokens: reviewInputTokens,
+    outputTokens: reviewOutputTokens,
+    cost: reviewTotalCost
+  } = await callLLM({
+    model: 'generation',
+    prompt: reviewPrompt,
+    maxTokens: 32000,
+    operation: 'test_quality_review',
+    logCost: false
   });
 
   const reviewTime = Date.now() - reviewStartTime;
-  const reviewInputTokens = reviewMessage.usage.input_tokens;
-  const reviewOutputTokens = reviewMessage.usage.output_tokens;
-
-  // Calculate review cost
-  const reviewInputCost = (reviewInputTokens / 1_000_000) * 5;
-  const reviewOutputCost = (reviewOutputTokens / 1_000_000) * 25;
-  const reviewTotalCost = reviewInputCost + reviewOutputCost;
-
-  // Parse quality review
-  const reviewText = reviewMessage.content[0].text;
   let qualityReview;
   try {
     const jsonText = reviewText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
@@ -722,6 +707,23 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
     generateWritingIntelligenceReport,
     logPromptAdjustment
   } = require('../services/writing-intelligence');
+  const {
+    STANDARD_PLAN,
+    checkpointNames,
+    batchForCheckpoint,
+    stepAfterBatch
+  } = require('../services/book-plan');
+
+  // The test arc is a standard book, so the batches and checkpoints follow the standard plan
+  const chapterRange = (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i);
+  const checkpoints = checkpointNames(STANDARD_PLAN);
+  const [firstCheckpoint, secondCheckpoint] = checkpoints;
+  const initialChapters = chapterRange(1, STANDARD_PLAN.batches[0].end);
+  const initialStep = stepAfterBatch(STANDARD_PLAN, STANDARD_PLAN.batches[0].end);
+  const secondBatch = batchForCheckpoint(STANDARD_PLAN, firstCheckpoint);
+  const secondChapters = chapterRange(secondBatch.startChapter, secondBatch.endChapter);
+  const thirdBatch = batchForCheckpoint(STANDARD_PLAN, secondCheckpoint);
+  const thirdChapters = chapterRange(thirdBatch.startChapter, thirdBatch.endChapter);
 
   const steps = [];
   const warnings = [];
@@ -811,7 +813,7 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
 
       // Create test arc outline (required for orchestratePreGeneration)
       // Note: Table is story_arcs, not arc_outlines
-      const testChapters = Array.from({ length: 12 }, (_, i) => ({
+      const testChapters = Array.from({ length: STANDARD_PLAN.total_chapters }, (_, i) => ({
         chapter_number: i + 1,
         title: `Test Chapter ${i + 1}`,
         events_summary: 'Test events',
@@ -857,16 +859,16 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
         .eq('story_id', testStoryId)
         .single();
 
-      const correctChapterCount = chapterCount === 3;
-      const correctChapterNumbers = JSON.stringify(chapterNumbers) === JSON.stringify([1, 2, 3]);
-      const correctProgress = progress?.current_step === 'awaiting_chapter_2_feedback';
+      const correctChapterCount = chapterCount === initialChapters.length;
+      const correctChapterNumbers = JSON.stringify(chapterNumbers) === JSON.stringify(initialChapters);
+      const correctProgress = progress?.current_step === initialStep;
 
       if (correctChapterCount && correctChapterNumbers && correctProgress) {
         addStep(1, 'orchestratePreGeneration generates 3 chapters', 'PASS',
           `Generated ${chapterCount} chapters [${chapterNumbers.join(', ')}] in ${(preGenTime / 1000).toFixed(1)}s. Progress: ${progress?.current_step}`);
       } else {
         addStep(1, 'orchestratePreGeneration generates 3 chapters', 'FAIL',
-          `Expected 3 chapters [1,2,3] with progress='awaiting_chapter_2_feedback'. Got ${chapterCount} chapters [${chapterNumbers.join(', ')}], progress='${progress?.current_step}'`);
+          `Expected ${initialChapters.length} chapters [${initialChapters.join(',')}] with progress='${initialStep}'. Got ${chapterCount} chapters [${chapterNumbers.join(', ')}], progress='${progress?.current_step}'`);
       }
     } catch (error) {
       addStep(1, 'orchestratePreGeneration generates 3 chapters', 'FAIL', error.message);
@@ -879,7 +881,7 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
       console.log('\n📝 Step 2: Testing buildCourseCorrections (single checkpoint)...');
 
       const singleFeedback = [{
-        checkpoint: 'chapter_2',
+        checkpoint: firstCheckpoint,
         pacing_feedback: 'slow',
         tone_feedback: 'serious',
         character_feedback: 'love',
@@ -920,14 +922,14 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
 
       const multipleFeedback = [
         {
-          checkpoint: 'chapter_2',
+          checkpoint: firstCheckpoint,
           pacing_feedback: 'slow',
           tone_feedback: 'serious',
           character_feedback: 'warming',
           protagonist_name: 'TestHero'
         },
         {
-          checkpoint: 'chapter_5',
+          checkpoint: secondCheckpoint,
           pacing_feedback: 'hooked',
           tone_feedback: 'right',
           character_feedback: 'love',
@@ -938,8 +940,8 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
       const corrections = buildCourseCorrections(multipleFeedback);
 
       // Verify accumulated corrections
-      const hasCheckpoint1 = corrections.includes('CHECKPOINT 1') || corrections.includes('chapter_2');
-      const hasCheckpoint2 = corrections.includes('CHECKPOINT 2') || corrections.includes('chapter_5');
+      const hasCheckpoint1 = corrections.includes('CHECKPOINT 1') || corrections.includes(firstCheckpoint);
+      const hasCheckpoint2 = corrections.includes('CHECKPOINT 2') || corrections.includes(secondCheckpoint);
       const showsProgression = corrections.includes('hooked') || corrections.includes('Correction worked');
       const hasImportantNote = corrections.includes('IMPORTANT:');
 
@@ -965,7 +967,7 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
       }
 
       const courseCorrections = buildCourseCorrections([{
-        checkpoint: 'chapter_2',
+        checkpoint: firstCheckpoint,
         pacing_feedback: 'slow',
         tone_feedback: 'right',
         character_feedback: 'love',
@@ -973,7 +975,7 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
       }]);
 
       const batchStartTime = Date.now();
-      await generateBatch(testStoryId, 4, 6, testUserId, courseCorrections);
+      await generateBatch(testStoryId, secondBatch.startChapter, secondBatch.endChapter, testUserId, courseCorrections);
       const batchTime = Date.now() - batchStartTime;
 
       // Verify 3 new chapters were created
@@ -981,18 +983,18 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
         .from('story_chapters')
         .select('chapter_number')
         .eq('story_id', testStoryId)
-        .in('chapter_number', [4, 5, 6])
+        .in('chapter_number', secondChapters)
         .order('chapter_number', { ascending: true });
 
       const chapterCount = newChapters?.length || 0;
       const chapterNumbers = newChapters?.map(c => c.chapter_number) || [];
 
-      if (chapterCount === 3 && JSON.stringify(chapterNumbers) === JSON.stringify([4, 5, 6])) {
+      if (chapterCount === secondChapters.length && JSON.stringify(chapterNumbers) === JSON.stringify(secondChapters)) {
         addStep(4, 'generateBatch generates 3 chapters with corrections', 'PASS',
-          `Generated chapters [4, 5, 6] in ${(batchTime / 1000).toFixed(1)}s`);
+          `Generated chapters [${secondChapters.join(', ')}] in ${(batchTime / 1000).toFixed(1)}s`);
       } else {
         addStep(4, 'generateBatch generates 3 chapters with corrections', 'FAIL',
-          `Expected 3 chapters [4,5,6]. Got ${chapterCount} chapters [${chapterNumbers.join(', ')}]`);
+          `Expected ${secondChapters.length} chapters [${secondChapters.join(',')}]. Got ${chapterCount} chapters [${chapterNumbers.join(', ')}]`);
       }
     } catch (error) {
       addStep(4, 'generateBatch generates 3 chapters with corrections', 'FAIL', error.message);
@@ -1031,7 +1033,7 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
       const feedbackData = {
         user_id: testUserId,
         story_id: testStoryId,
-        checkpoint: 'chapter_5',
+        checkpoint: secondCheckpoint,
         response: 'test', // NOT NULL column for backward compatibility
         pacing_feedback: 'hooked',
         tone_feedback: 'right',
@@ -1053,19 +1055,19 @@ router.post('/adaptive-engine-smoke', asyncHandler(async (req, res) => {
         .select('checkpoint, pacing_feedback, tone_feedback, character_feedback, protagonist_name, created_at')
         .eq('user_id', testUserId)
         .eq('story_id', testStoryId)
-        .in('checkpoint', ['chapter_2', 'chapter_5', 'chapter_8'])
+        .in('checkpoint', checkpoints)
         .order('created_at', { ascending: true });
 
       const courseCorrections = buildCourseCorrections(previousFeedback || []);
 
-      // This would trigger chapters 7-9, but we'll skip actual generation to save time
+      // This would trigger the third batch, but we'll skip actual generation to save time
       // Just verify the logic would trigger correctly
-      const shouldGenerate = feedbackData.checkpoint === 'chapter_5';
-      const expectedChapters = shouldGenerate ? [7, 8, 9] : [];
+      const shouldGenerate = feedbackData.checkpoint === secondCheckpoint;
+      const expectedChapters = shouldGenerate ? thirdChapters : [];
 
       if (shouldGenerate && courseCorrections.length > 0) {
         addStep(6, 'Checkpoint feedback handler triggers generation', 'PASS',
-          `Feedback stored, course corrections built (${courseCorrections.length} chars), would trigger chapters [7, 8, 9]`);
+          `Feedback stored, course corrections built (${courseCorrections.length} chars), would trigger chapters [${expectedChapters.join(', ')}]`);
       } else {
         addStep(6, 'Checkpoint feedback handler triggers generation', 'FAIL',
           `shouldGenerate:${shouldGenerate}, corrections length:${courseCorrections.length}`);
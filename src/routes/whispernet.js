@@ -2,6 +2,9 @@ const express = require('express');
 const { supabaseAdmin } = require('../config/supabase');
 const { asyncHandler } = require('../middleware/error-handler');
 const { authenticateUser } = require('../middleware/auth');
+const { requireAIConsentMiddleware } = require('../middleware/consent');
+const { requireAIBudgetMiddleware } = require('../middleware/budget');
+const whispernetForks = require('../services/whispernet-forks');
 
 const router = express.Router();
 
@@ -326,4 +329,111 @@ router.delete('/library/:libraryId', authenticateUser, asyncHandler(async (req,
   });
 }));
 
+/**
+ * POST /whispernet/stories/:storyId/fork
+ * Continue a published book from your shelf as your own story, from after the chosen chapter.
+ * The original author is credited; only active (not recalled) publications can be forked.
+ * Body: { chapter_number, direction?, title? }
+ */
+router.post('/stories/:storyId/fork', authenticateUser, requireAIConsentMiddleware, requireAIBudgetMiddleware, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+  const { chapter_number, direction, title } = req.body;
+
+  if (direction !== undefined && direction !== null &&
+      (typeof direction !== 'string' || direction.length > whispernetForks.MAX_DIRECTION_LENGTH)) {
+    return res.status(400).json({
+      success: false,
+      error: `direction must be a string of at most ${whispernetForks.MAX_DIRECTION_LENGTH} characters`
+    });
+  }
+
+  if (title !== undefined && title !== null && (typeof title !== 'string' || !title.trim())) {
+    return res.status(400).json({
+      success: false,
+      error: 'title must be a non-empty string'
+    });
+  }
+
+  const source = await whispernetForks.loadForkSource(storyId, userId);
+  if (!source) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const accessError = whispernetForks.forkAccessError({ ...source, userId });
+  if (accessError) {
+    return res.status(403).json({
+      success: false,
+      error: accessError
+    });
+  }
+
+  const throughChapter = Number(chapter_number);
+  const chapterError = whispernetForks.forkChapterError(throughChapter, source.chaptersAvailable, source.plan.total_chapters);
+  if (chapterError) {
+    return res.status(400).json({
+      success: false,
+      error: chapterError
+    });
+  }
+
+  const { story, credit } = await whispernetForks.forkPublishedStory({
+    source,
+    userId,
+    throughChapter,
+    direction: direction ? direction.trim() : null,
+    title: title ? title.trim() : null
+  });
+
+  res.status(202).json({
+    success: true,
+    story,
+    forked_from: credit
+  });
+}));
+
+/**
+ * GET /whispernet/stories/:storyId/lineage
+ * Where a story came from (the original it was forked from, with the author's credit) and,
+ * for published stories, the forks readers have made of it
+ */
+router.get('/stories/:storyId/lineage', authenticateUser, asyncHandler(async (req, res) => {
+  const { storyId } = req.params;
+  const { userId } = req;
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id, user_id, whispernet_published')
+    .eq('id', storyId)
+    .maybeSingle();
+
+  const { data: shelfEntry } = await supabaseAdmin
+    .from('whispernet_library')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('story_id', storyId)
+    .maybeSingle();
+
+  if (!story || (story.user_id !== userId && !shelfEntry)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+  }
+
+  const [forkedFrom, forks] = await Promise.all([
+    whispernetForks.getForkCredit(storyId),
+    story.whispernet_published ? whispernetForks.getForkLineage(storyId) : null
+  ]);
+
+  res.json({
+    success: true,
+    forked_from: forkedFrom,
+    forks
+  });
+}));
+
 module.exports = router;
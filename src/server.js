@@ -203,36 +203,38 @@ server.timeout = 300000; // 5 minutes
 server.keepAliveTimeout = 310000; // Slightly longer than timeout
 console.log('⏱️  Server timeout set to 5 minutes for AI operations');
 
-// Self-healing: Resume stalled story generations
+// Durable generation queue: claim and run background generation jobs
+const { startJobWorker, stopJobWorker } = require('./services/job-queue');
+const { registerGenerationJobHandlers } = require('./services/generation-jobs');
+
+registerGenerationJobHandlers();
+startJobWorker();
+
+// Record the current prompt template versions so admins can diff them later
+const { syncPromptRegistry } = require('./services/prompt-registry');
+syncPromptRegistry();
+
+// One-time startup backfill for stories that stalled outside the queue
 const { resumeStalledGenerations } = require('./services/generation');
 
-// Run on startup (catches stories interrupted by server restart)
-console.log('\n🔧 Running startup health check for stalled generations...');
+console.log('\n🔧 Running startup check for stalled generations...');
 resumeStalledGenerations().catch(error => {
   console.error('❌ Startup health check failed:', error);
 });
 
-// Run every 5 minutes thereafter
-const FIVE_MINUTES = 5 * 60 * 1000;
-setInterval(() => {
-  console.log('\n🔧 Running scheduled health check for stalled generations...');
-  resumeStalledGenerations().catch(error => {
-    console.error('❌ Scheduled health check failed:', error);
-  });
-}, FIVE_MINUTES);
-
-console.log('🔄 Self-healing enabled: checks every 5 minutes for stalled generations');
+console.log('🔄 Job worker enabled: interrupted generations resume from their last checkpoint');
 console.log('=================================\n');
 
 // Graceful shutdown
+// Running jobs are released back to the queue so another instance resumes them immediately
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
-  process.exit(0);
+  stopJobWorker().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   console.log('\nSIGINT received, shutting down gracefully...');
-  process.exit(0);
+  stopJobWorker().finally(() => process.exit(0));
 });
 
 module.exports = app;
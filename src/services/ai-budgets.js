@@ -0,0 +1,272 @@
+/**
+ * AI BUDGETS — Daily/monthly spend limits per user, per story and globally
+ *
+ * Spend is read back from api_costs (every model, image and voice call is logged there).
+ * Limits live in ai_budgets; a row for a specific user/story beats the scope default
+ * (scope_id NULL). Admins can raise or lift a limit for a while via ai_budget_overrides.
+ *
+ * Checked before the expensive entry points — select-premise, generate-next,
+ * generate-sequel, cover generation and chat turns:
+ *   - hard limit reached → AI_BUDGET_REACHED error (429) with when the budget resets
+ *   - past soft_limit_ratio × limit → allowed, with a warning for the client
+ *
+ * Budget checks fail open: if the budget tables can't be read we log and allow the call,
+ * so a database hiccup never blocks readers.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const SCOPES = ['global', 'user', 'story'];
+const PERIODS = ['daily', 'monthly'];
+const DEFAULT_SOFT_LIMIT_RATIO = 0.8;
+
+const BUDGET_CACHE_TTL_MS = 60 * 1000;
+const SPEND_CACHE_TTL_MS = 15 * 1000;
+
+let budgetCache = null;   // { loadedAt, budgets, overrides }
+const spendCache = new Map(); // key → { loadedAt, spent }
+
+/**
+ * Start of the current budget period (UTC)
+ */
+function periodStart(period, now = new Date()) {
+  if (period === 'daily') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * When the current budget period resets (UTC)
+ */
+function periodReset(period, now = new Date()) {
+  if (period === 'daily') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Compare spend against a limit, applying any active overrides.
+ * An override with extra_usd NULL lifts the limit entirely; otherwise extras add up.
+ *
+ * @returns {{ status: 'ok'|'warning'|'exceeded', limitUsd: number|null, spentUsd: number, remainingUsd: number|null, overridden: boolean }}
+ */
+function assessBudget({ limitUsd, softLimitRatio = DEFAULT_SOFT_LIMIT_RATIO, spentUsd, overrides = [] }) {
+  const spent = Number(spentUsd) || 0;
+
+  if (overrides.some(o => o.extra_usd === null || o.extra_usd === undefined)) {
+    return { status: 'ok', limitUsd: null, spentUsd: spent, remainingUsd: null, overridden: true };
+  }
+
+  const extra = overrides.reduce((sum, o) => sum + Number(o.extra_usd), 0);
+  const limit = Number(limitUsd) + extra;
+  const remaining = Math.max(0, limit - spent);
+
+  let status = 'ok';
+  if (spent >= limit) {
+    status = 'exceeded';
+  } else if (spent >= limit * (Number(softLimitRatio) || DEFAULT_SOFT_LIMIT_RATIO)) {
+    status = 'warning';
+  }
+
+  return { status, limitUsd: limit, spentUsd: spent, remainingUsd: remaining, overridden: overrides.length > 0 };
+}
+
+/**
+ * Pick the budget row for each period: a row for this exact target beats the scope default.
+ */
+function resolveBudgets(budgets, scope, scopeId = null) {
+  const resolved = {};
+
+  for (const period of PERIODS) {
+    const candidates = budgets.filter(b => b.enabled !== false && b.scope === scope && b.period === period);
+    const specific = scopeId ? candidates.find(b => b.scope_id === scopeId) : null;
+    const fallback = candidates.find(b => b.scope_id === null || b.scope_id === undefined);
+    const budget = specific || fallback;
+    if (budget) resolved[period] = budget;
+  }
+
+  return resolved;
+}
+
+/**
+ * Active overrides that apply to a scope target
+ */
+function matchingOverrides(overrides, scope, scopeId = null, now = new Date()) {
+  return overrides.filter(o =>
+    o.scope === scope &&
+    (o.scope_id || null) === (scopeId || null) &&
+    new Date(o.expires_at) > now
+  );
+}
+
+/**
+ * Reader-facing message for a reached budget
+ */
+function budgetMessage(scope, period) {
+  const when = period === 'daily' ? 'today' : 'this month';
+
+  switch (scope) {
+    case 'story':
+      return `This story has reached its AI budget for ${when}. New chapters will be available when it resets.`;
+    case 'user':
+      return `You've reached your AI budget for ${when}. You can keep reading everything already written, and more will be available when it resets.`;
+    default:
+      return 'We\'re taking a short breather to catch up on demand. Please try again a little later.';
+  }
+}
+
+async function loadBudgetConfig() {
+  if (budgetCache && Date.now() - budgetCache.loadedAt < BUDGET_CACHE_TTL_MS) {
+    return budgetCache;
+  }
+
+  const [budgetsResult, overridesResult] = await Promise.all([
+    supabaseAdmin.from('ai_budgets').select('*').eq('enabled', true),
+    supabaseAdmin
+      .from('ai_budget_overrides')
+      .select('*')
+      .gt('expires_at', new Date().toISOString())
+  ]);
+
+  if (budgetsResult.error) throw new Error(`Failed to load AI budgets: ${budgetsResult.error.message}`);
+  if (overridesResult.error) throw new Error(`Failed to load AI budget overrides: ${overridesResult.error.message}`);
+
+  budgetCache = {
+    loadedAt: Date.now(),
+    budgets: budgetsResult.data || [],
+    overrides: overridesResult.data || []
+  };
+  return budgetCache;
+}
+
+/**
+ * Total api_costs spend since a point in time for a scope target
+ */
+async function getSpend(scope, scopeId, since) {
+  const cacheKey = `${scope}:${scopeId || '*'}:${since.toISOString()}`;
+  const cached = spendCache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < SPEND_CACHE_TTL_MS) {
+    return cached.spent;
+  }
+
+  const { data, error } = await supabaseAdmin.rpc('ai_spend_since', {
+    p_since: since.toISOString(),
+    p_user_id: scope === 'user' ? scopeId : null,
+    p_story_id: scope === 'story' ? scopeId : null
+  });
+
+  if (error) throw new Error(`Failed to read AI spend: ${error.message}`);
+
+  const spent = Number(data) || 0;
+  spendCache.set(cacheKey, { loadedAt: Date.now(), spent });
+  return spent;
+}
+
+/**
+ * Drop cached budgets, overrides and spend (after admin changes)
+ */
+function clearBudgetCaches() {
+  budgetCache = null;
+  spendCache.clear();
+}
+
+/**
+ * Evaluate every budget that applies to a request.
+ *
+ * @param {object} target
+ * @param {string} [target.userId]
+ * @param {string} [target.storyId]
+ * @returns {Promise<{ allowed: boolean, exceeded: object|null, warnings: Array, checks: Array }>}
+ *   Each check: { scope, scopeId, period, status, limitUsd, spentUsd, remainingUsd, overridden, resetsAt }
+ */
+async function checkBudget({ userId = null, storyId = null } = {}) {
+  const now = new Date();
+  const targets = [['global', null]];
+  if (userId) targets.push(['user', userId]);
+  if (storyId) targets.push(['story', storyId]);
+
+  let config;
+  try {
+    config = await loadBudgetConfig();
+  } catch (error) {
+    console.error(`⚠️ [Budgets] ${error.message} — allowing request`);
+    return { allowed: true, exceeded: null, warnings: [], checks: [] };
+  }
+
+  const checks = [];
+  for (const [scope, scopeId] of targets) {
+    const budgets = resolveBudgets(config.budgets, scope, scopeId);
+
+    for (const [period, budget] of Object.entries(budgets)) {
+      let spent;
+      try {
+        spent = await getSpend(scope, scopeId, periodStart(period, now));
+      } catch (error) {
+        console.error(`⚠️ [Budgets] ${error.message} — skipping ${scope} ${period} check`);
+        continue;
+      }
+
+      const assessment = assessBudget({
+        limitUsd: budget.limit_usd,
+        softLimitRatio: budget.soft_limit_ratio,
+        spentUsd: spent,
+        overrides: matchingOverrides(config.overrides, scope, scopeId, now)
+      });
+
+      checks.push({
+        scope,
+        scopeId,
+        period,
+        ...assessment,
+        resetsAt: periodReset(period, now).toISOString()
+      });
+    }
+  }
+
+  const exceeded = checks.find(c => c.status === 'exceeded') || null;
+  const warnings = checks.filter(c => c.status === 'warning');
+
+  return { allowed: !exceeded, exceeded, warnings, checks };
+}
+
+/**
+ * Throw AI_BUDGET_REACHED (429) if any applicable budget is exhausted.
+ * Returns soft-limit warnings otherwise.
+ */
+async function assertWithinBudget(target) {
+  const { allowed, exceeded, warnings } = await checkBudget(target);
+
+  if (!allowed) {
+    console.log(`💸 [Budgets] ${exceeded.scope}${exceeded.scopeId ? ` ${exceeded.scopeId}` : ''} ${exceeded.period} budget reached ($${exceeded.spentUsd.toFixed(2)} / $${exceeded.limitUsd.toFixed(2)})`);
+
+    const error = new Error(budgetMessage(exceeded.scope, exceeded.period));
+    error.code = 'AI_BUDGET_REACHED';
+    error.statusCode = 429;
+    error.budget = {
+      scope: exceeded.scope,
+      period: exceeded.period,
+      limitUsd: exceeded.limitUsd,
+      spentUsd: Number(exceeded.spentUsd.toFixed(4)),
+      resetsAt: exceeded.resetsAt
+    };
+    throw error;
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  SCOPES,
+  PERIODS,
+  periodStart,
+  periodReset,
+  assessBudget,
+  resolveBudgets,
+  matchingOverrides,
+  budgetMessage,
+  checkBudget,
+  assertWithinBudget,
+  clearBudgetCaches
+};
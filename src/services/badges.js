@@ -4,8 +4,8 @@ const { processWhisperEvent } = require('./notifications');
 /**
  * Badge System
  *
- * 7 badges total:
- * - Story-level (4): Ember, Current, Worldwalker, Resonant
+ * 8 badges total:
+ * - Story-level (5): Ember, Current, Worldwalker, Resonant, Taproot
  * - User-level (3): Wanderer, Lamplighter, Chainmaker
  *
  * Called after every whisper_event insert.
@@ -34,6 +34,11 @@ const BADGE_DEFINITIONS = {
     tagline: 'Your story echoes with 25 voices',
     level: 'story'
   },
+  taproot: {
+    name: 'Taproot',
+    tagline: 'Your story has taken root in 3 new tales',
+    level: 'story'
+  },
   // User-level badges
   wanderer: {
     name: 'Wanderer',
@@ -85,6 +90,10 @@ async function checkBadgeEligibility(eventType, actorId, storyId) {
       checksToRun.push(checkResonantBadge(storyId));
     }
 
+    if (eventType === 'book_forked' && storyId) {
+      checksToRun.push(checkTaprootBadge(storyId));
+    }
+
     if (eventType === 'book_claimed') {
       checksToRun.push(checkLamplighterBadge(actorId));
     }
@@ -232,6 +241,33 @@ async function checkResonantBadge(storyId) {
   return null;
 }
 
+/**
+ * Taproot Badge: Your story has taken root in 3 new tales
+ * Trigger: Forked by 3+ different readers
+ */
+async function checkTaprootBadge(storyId) {
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('user_id, title')
+    .eq('id', storyId)
+    .maybeSingle();
+
+  if (!story) return null;
+
+  const { data: forks } = await supabaseAdmin
+    .from('whispernet_forks')
+    .select('forked_by')
+    .eq('original_story_id', storyId);
+
+  const uniqueForkers = new Set((forks || []).map(f => f.forked_by));
+
+  if (uniqueForkers.size >= 3) {
+    return await awardBadge('taproot', story.user_id, storyId, story.title);
+  }
+
+  return null;
+}
+
 /**
  * Wanderer Badge: You have explored 10 worlds beyond your own
  * Trigger: 10+ WhisperNet books finished
@@ -1,18 +1,7 @@
-const { anthropic } = require('../config/ai-clients');
 const { supabaseAdmin } = require('../config/supabase');
 const { storyLog } = require('./story-logger');
-
-const HAIKU_MODEL = 'claude-haiku-4-5-20251001';
-
-/**
- * Calculate cost for Haiku API call
- * Haiku pricing: $0.40/M input, $2/M output
- */
-function calculateHaikuCost(inputTokens, outputTokens) {
-  const inputCost = (inputTokens / 1_000_000) * 0.40;
-  const outputCost = (outputTokens / 1_000_000) * 2.00;
-  return inputCost + outputCost;
-}
+const { callLLM } = require('./llm-provider');
+const { stripMarkdownCodeBlocks } = require('./structured-output');
 
 /**
  * Refresh bible after a batch of chapters completes
@@ -148,40 +137,18 @@ Return ONLY valid JSON in this exact structure:
   ]
 }`;
 
-    const response = await anthropic.messages.create({
-      model: HAIKU_MODEL,
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: prompt }]
+    const { text, inputTokens, outputTokens } = await callLLM({
+      model: 'haiku',
+      prompt,
+      maxTokens: 4000,
+      operation: 'bible_refresh',
+      userId,
+      storyId,
+      costMetadata: { batch_number: batchNumber, chapters: batchChapterNumbers }
     });
-
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
     const duration = Date.now() - startTime;
 
-    // Log API cost
-    const cost = calculateHaikuCost(inputTokens, outputTokens);
-    await supabaseAdmin
-      .from('api_costs')
-      .insert({
-        user_id: userId,
-        story_id: storyId,
-        provider: 'claude',
-        model: HAIKU_MODEL,
-        operation: 'bible_refresh',
-        input_tokens: inputTokens,
-        output_tokens: outputTokens,
-        total_tokens: inputTokens + outputTokens,
-        cost,
-        metadata: { batch_number: batchNumber, chapters: batchChapterNumbers }
-      });
-
-    // Parse response
-    let jsonText = response.content[0].text.trim();
-    if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/^```(?:json)?\n/, '').replace(/\n```$/, '');
-    }
-
-    const addendum = JSON.parse(jsonText);
+    const addendum = JSON.parse(stripMarkdownCodeBlocks(text));
 
     // Append to bible
     existingAddenda.push(addendum);
@@ -296,6 +263,15 @@ Character focus: ${ch.character_focus}
 Tension level: ${ch.tension_level}
 `).join('\n\n');
 
+    // Choose-your-path: the upcoming outlines already follow the reader's choices
+    const chosenPaths = arc.outline?.chosen_branches || [];
+    const chosenPathBlock = chosenPaths.length > 0 ? `
+<reader_chosen_path>
+The reader chose how this story continues. The upcoming outlines already follow these choices — keep them on this path and never steer back toward the alternatives:
+${chosenPaths.map(c => `- At ${c.checkpoint}: "${c.title}" — ${c.summary}`).join('\n')}
+</reader_chosen_path>
+` : '';
+
     // Fetch bible for timeline (if exists)
     const { data: bible } = await supabaseAdmin
       .from('story_bibles')
@@ -323,7 +299,7 @@ ${whatActuallyHappened}
 <upcoming_chapter_outlines>
 ${upcomingChapterOutlines}
 </upcoming_chapter_outlines>
-
+${chosenPathBlock}
 <current_bible_timeline>
 ${bibleTimeline}
 </current_bible_timeline>
@@ -349,40 +325,18 @@ Return ONLY valid JSON in this exact structure:
   ]
 }`;
 
-    const response = await anthropic.messages.create({
-      model: HAIKU_MODEL,
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: prompt }]
+    const { text, inputTokens, outputTokens } = await callLLM({
+      model: 'haiku',
+      prompt,
+      maxTokens: 4000,
+      operation: 'arc_enrichment',
+      userId,
+      storyId,
+      costMetadata: { batch_number: batchNumber, chapters: completedBatchChapterNumbers }
     });
-
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
     const duration = Date.now() - startTime;
 
-    // Log API cost
-    const cost = calculateHaikuCost(inputTokens, outputTokens);
-    await supabaseAdmin
-      .from('api_costs')
-      .insert({
-        user_id: userId,
-        story_id: storyId,
-        provider: 'claude',
-        model: HAIKU_MODEL,
-        operation: 'arc_enrichment',
-        input_tokens: inputTokens,
-        output_tokens: outputTokens,
-        total_tokens: inputTokens + outputTokens,
-        cost,
-        metadata: { batch_number: batchNumber, chapters: completedBatchChapterNumbers }
-      });
-
-    // Parse response
-    let jsonText = response.content[0].text.trim();
-    if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/^```(?:json)?\n/, '').replace(/\n```$/, '');
-    }
-
-    const enrichmentResult = JSON.parse(jsonText);
+    const enrichmentResult = JSON.parse(stripMarkdownCodeBlocks(text));
 
     // Update arc outline with enrichment notes
     const updatedChapters = arc.outline.chapters.map(ch => {
@@ -0,0 +1,637 @@
+/**
+ * BOOK EXPORT — Take a finished book out of the app
+ *
+ * buildEpub packages a story as an EPUB 3 file:
+ *   mimetype                      (stored uncompressed, first — required by the spec)
+ *   META-INF/container.xml        → OEBPS/content.opf
+ *   OEBPS/content.opf             metadata (title, author, series via belongs-to-collection), manifest, spine
+ *   OEBPS/nav.xhtml               table of contents
+ *   OEBPS/cover.xhtml + images/   the generated cover from cover-generation.js storage, when there is one
+ *   OEBPS/title.xhtml             title page with the author name (and the original's credit for forks)
+ *   OEBPS/chapter-N.xhtml         one per chapter, paragraphs from blank-line-separated text
+ *
+ * PDF (print-export.js), DOCX and Markdown (manuscript-export.js) exports run as book_export
+ * jobs on the generation queue: requestBookExport records a book_exports row and queues the
+ * story's export job, which renders every pending export of the story and uploads the files to
+ * the private book-exports bucket. getBookExport hands out a short-lived signed download link.
+ *
+ * Who may export follows GET /story/:storyId/chapters (verifyStoryAccess): the owner always,
+ * a WhisperNet shelf reader only while the book is still published — a recall withdraws it.
+ * Shelf readers' copies credit the author by their WhisperNet display name.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const bookPlan = require('./book-plan');
+const { createZip } = require('../utils/zip');
+
+const EPUB_MIME_TYPE = 'application/epub+zip';
+const EXPORT_BUCKET = 'book-exports';
+const DOWNLOAD_LINK_SECONDS = 60 * 60;
+
+const EXPORT_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  epub: { extension: 'epub', contentType: EPUB_MIME_TYPE }
+};
+const SCENE_BREAK = /^\s*(\*\s*\*\s*\*|#|-{3,}|~{3,})\s*$/;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Chapter text → blocks: { type: 'paragraph', lines } (single line breaks kept) or
+ * { type: 'scene_break' } for "* * *" style lines. Paragraphs are separated by blank lines.
+ */
+function chapterBlocks(content) {
+  return String(content || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => (SCENE_BREAK.test(block)
+      ? { type: 'scene_break' }
+      : { type: 'paragraph', lines: block.split('\n').map(line => line.trim()).filter(Boolean) }));
+}
+
+/**
+ * Chapter text → XHTML body content; *text* becomes emphasis
+ */
+function textToXhtml(content) {
+  return chapterBlocks(content)
+    .map(block => {
+      if (block.type === 'scene_break') return '<hr class="scene-break"/>';
+      const html = block.lines
+        .map(line => escapeXml(line)
+          .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+          .replace(/\*([^*\n]+)\*/g, '<em>$1</em>'))
+        .join('<br/>\n');
+      return `<p>${html}</p>`;
+    })
+    .join('\n');
+}
+
+function xhtmlDocument(title, body, { epubType = null } = {}) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body${epubType ? ` epub:type="${epubType}"` : ''}>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * EPUB 3 dcterms:modified value (UTC, no milliseconds)
+ */
+function epubTimestamp(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * One chapter per chapter number (first row wins, as in GET /story/:storyId/chapters), in order
+ */
+function dedupeChapters(chapters) {
+  const byNumber = new Map();
+  for (const chapter of chapters || []) {
+    if (!byNumber.has(chapter.chapter_number)) byNumber.set(chapter.chapter_number, chapter);
+  }
+  return [...byNumber.values()].sort((a, b) => a.chapter_number - b.chapter_number);
+}
+
+/**
+ * Build an EPUB 3 file.
+ *
+ * @param {object} book
+ * @param {object} book.story - { id, title, genre }
+ * @param {Array} book.chapters - [{ chapter_number, title, content }]
+ * @param {string} book.authorName
+ * @param {object|null} [book.series] - { name, book_number }
+ * @param {object|null} [book.cover] - { data: Buffer, contentType }
+ * @param {object|null} [book.forkedFrom] - { original_title, author_display_name } for WhisperNet forks
+ * @param {Date} [book.modified=new Date()]
+ * @returns {Buffer}
+ */
+function buildEpub({ story, chapters, authorName, series = null, cover = null, forkedFrom = null, modified = new Date() }) {
+  const title = story.title || 'Untitled';
+  const ordered = dedupeChapters(chapters);
+  const coverExtension = cover?.contentType === 'image/jpeg' ? 'jpg' : 'png';
+
+  const chapterFiles = ordered.map(ch => ({
+    id: `chapter-${ch.chapter_number}`,
+    href: `chapter-${ch.chapter_number}.xhtml`,
+    heading: ch.title ? `Chapter ${ch.chapter_number}: ${ch.title}` : `Chapter ${ch.chapter_number}`,
+    chapter: ch
+  }));
+
+  const seriesLine = series?.name
+    ? `<p class="series">${escapeXml(series.name)}${series.book_number ? ` — Book ${series.book_number}` : ''}</p>`
+    : '';
+  const forkLine = forkedFrom
+    ? `<p class="credit">Continued from <em>${escapeXml(forkedFrom.original_title)}</em> by ${escapeXml(forkedFrom.author_display_name)}</p>`
+    : '';
+
+  const titlePage = xhtmlDocument(title, `<section class="title-page" epub:type="titlepage">
+  <h1>${escapeXml(title)}</h1>
+  ${seriesLine}
+  <p class="author">${escapeXml(authorName)}</p>
+  ${forkLine}
+</section>`);
+
+  const coverPage = cover ? xhtmlDocument(title, `<section class="cover" epub:type="cover">
+  <img src="images/cover.${coverExtension}" alt="${escapeXml(title)}"/>
+</section>`) : null;
+
+  const nav = xhtmlDocument('Contents', `<nav epub:type="toc" id="toc">
+  <h1>Contents</h1>
+  <ol>
+    <li><a href="title.xhtml">${escapeXml(title)}</a></li>
+${chapterFiles.map(f => `    <li><a href="${f.href}">${escapeXml(f.heading)}</a></li>`).join('\n')}
+  </ol>
+</nav>`);
+
+  const seriesMeta = series?.name ? `
+    <meta property="belongs-to-collection" id="series">${escapeXml(series.name)}</meta>
+    <meta refines="#series" property="collection-type">series</meta>${series.book_number ? `
+    <meta refines="#series" property="group-position">${series.book_number}</meta>` : ''}
+    <meta name="calibre:series" content="${escapeXml(series.name)}"/>${series.book_number ? `
+    <meta name="calibre:series_index" content="${series.book_number}"/>` : ''}` : '';
+
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>',
+    ...(cover ? [
+      `<item id="cover-image" href="images/cover.${coverExtension}" media-type="${cover.contentType === 'image/jpeg' ? 'image/jpeg' : 'image/png'}" properties="cover-image"/>`,
+      '<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>'
+    ] : []),
+    '<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>',
+    ...chapterFiles.map(f => `<item id="${f.id}" href="${f.href}" media-type="application/xhtml+xml"/>`)
+  ];
+
+  const spine = [
+    ...(cover ? ['<itemref idref="cover" linear="no"/>'] : []),
+    '<itemref idref="title"/>',
+    '<itemref idref="nav"/>',
+    ...chapterFiles.map(f => `<itemref idref="${f.id}"/>`)
+  ];
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${escapeXml(story.id)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:creator id="author">${escapeXml(authorName)}</dc:creator>
+    <dc:language>en</dc:language>${story.genre ? `
+    <dc:subject>${escapeXml(story.genre)}</dc:subject>` : ''}
+    <meta property="dcterms:modified">${epubTimestamp(modified)}</meta>${cover ? `
+    <meta name="cover" content="cover-image"/>` : ''}${seriesMeta}
+  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine>
+    ${spine.join('\n    ')}
+  </spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+  const css = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2 { text-align: center; font-weight: normal; }
+p { text-indent: 1.5em; margin: 0; }
+h2 + p, hr + p { text-indent: 0; }
+hr.scene-break { border: none; text-align: center; margin: 1.5em 0; }
+hr.scene-break::after { content: "* * *"; }
+.title-page { text-align: center; margin-top: 30%; }
+.title-page p { text-indent: 0; margin: 0.5em 0; }
+.cover { text-align: center; }
+.cover img { max-width: 100%; max-height: 100%; }
+`;
+
+  return createZip([
+    { name: 'mimetype', data: EPUB_MIME_TYPE, store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/style.css', data: css },
+    ...(cover ? [
+      { name: `OEBPS/images/cover.${coverExtension}`, data: cover.data, store: true },
+      { name: 'OEBPS/cover.xhtml', data: coverPage }
+    ] : []),
+    { name: 'OEBPS/title.xhtml', data: titlePage },
+    ...chapterFiles.map(f => ({
+      name: `OEBPS/${f.href}`,
+      data: xhtmlDocument(f.heading, `<section epub:type="chapter">
+<h2>${escapeXml(f.heading)}</h2>
+${textToXhtml(f.chapter.content)}
+</section>`)
+    }))
+  ], { modified });
+}
+
+/**
+ * Why this user can't export this story, or null if they can
+ *
+ * @param {object} params
+ * @param {object} params.story - { user_id, whispernet_published }
+ * @param {object|null} params.publication - whispernet_publications row ({ is_active })
+ * @param {string} params.userId - Someone verifyStoryAccess already let in
+ * @param {boolean} params.complete - Every chapter of the book is written
+ * @returns {{ status: number, error: string }|null}
+ */
+function exportAccessError({ story, publication, userId, complete }) {
+  if (story.user_id !== userId && (!publication?.is_active || !story.whispernet_published)) {
+    return { status: 403, error: 'This book has been recalled from WhisperNet and can no longer be exported' };
+  }
+  if (!complete) {
+    return { status: 409, error: 'Only finished books can be exported' };
+  }
+  return null;
+}
+
+/**
+ * File name for a download: the title, reduced to safe characters
+ */
+function exportFileName(title, extension) {
+  const base = String(title || 'story')
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 80) || 'story';
+  return `${base}.${extension}`;
+}
+
+/**
+ * The author as shown in an export: the owner's own name for their copy, their WhisperNet
+ * display name for a shelf reader's
+ */
+async function resolveAuthorName(story, userId) {
+  if (story.user_id === userId) {
+    const { data: prefs } = await supabaseAdmin
+      .from('user_preferences')
+      .select('preferences')
+      .eq('user_id', story.user_id)
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    return prefs?.preferences?.name || 'Reader';
+  }
+
+  const { data: prefs } = await supabaseAdmin
+    .from('user_preferences')
+    .select('whispernet_display_name')
+    .eq('user_id', story.user_id)
+    .maybeSingle();
+  return prefs?.whispernet_display_name || 'A Reader';
+}
+
+/**
+ * Whether this user may export this story
+ *
+ * @returns {Promise<{ story: object, refusal: object|null }>} refusal ({ status, error }) is set
+ *   when the user may see the story but not export it
+ */
+async function checkExportAccess(storyId, userId) {
+  const { data: story, error: storyError } = await supabaseAdmin
+    .from('stories')
+    .select('id, user_id, title, genre, series_id, book_number, cover_image_url, whispernet_published, generation_progress')
+    .eq('id', storyId)
+    .single();
+
+  if (storyError || !story) {
+    throw new Error(`Failed to fetch story for export: ${storyError?.message}`);
+  }
+
+  const [{ data: publication }, plan] = await Promise.all([
+    supabaseAdmin.from('whispernet_publications').select('is_active').eq('story_id', storyId).maybeSingle(),
+    bookPlan.getBookPlan(storyId)
+  ]);
+
+  const refusal = exportAccessError({
+    story,
+    publication,
+    userId,
+    complete: story.generation_progress?.current_step === bookPlan.completionStep(plan)
+  });
+
+  return { story, refusal };
+}
+
+/**
+ * Everything an export needs, after access checks
+ *
+ * @returns {Promise<{ book: object|null, refusal: object|null }>} see checkExportAccess
+ */
+async function loadExport(storyId, userId) {
+  const { story, refusal } = await checkExportAccess(storyId, userId);
+  if (refusal) return { book: null, refusal };
+
+  const { downloadBookCover } = require('./cover-generation');
+  const { getForkCredit } = require('./whispernet-forks');
+
+  const [{ data: chapters, error: chaptersError }, { data: series }, { data: bible }, cover, forkedFrom, authorName] = await Promise.all([
+    supabaseAdmin.from('chapters').select('chapter_number, title, content').eq('story_id', storyId)
+      .order('chapter_number', { ascending: true }),
+    story.series_id
+      ? supabaseAdmin.from('series').select('name').eq('id', story.series_id).maybeSingle()
+      : Promise.resolve({ data: null }),
+    supabaseAdmin.from('story_bibles').select('central_conflict').eq('story_id', storyId).maybeSingle(),
+    downloadBookCover(storyId, story.cover_image_url),
+    getForkCredit(storyId),
+    resolveAuthorName(story, userId)
+  ]);
+
+  if (chaptersError) {
+    throw new Error(`Failed to fetch chapters for export: ${chaptersError.message}`);
+  }
+
+  return {
+    book: {
+      story,
+      chapters: chapters || [],
+      authorName,
+      series: series ? { name: series.name, book_number: story.book_number } : null,
+      cover,
+      forkedFrom,
+      synopsis: bible?.central_conflict?.description || null
+    },
+    refusal: null
+  };
+}
+
+/**
+ * Validate POST /story/:storyId/exports. Returns an error string or null.
+ */
+function exportRequestError({ format, trimSize, largePrint } = {}) {
+  const { TRIM_SIZES } = require('./print-export');
+
+  if (!EXPORT_FORMATS[format]) {
+    return `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+  }
+  if (format !== 'pdf' && (trimSize !== undefined || largePrint !== undefined)) {
+    return 'trimSize and largePrint only apply to PDF exports';
+  }
+  if (trimSize !== undefined && !TRIM_SIZES[trimSize]) {
+    return `trimSize must be one of: ${Object.keys(TRIM_SIZES).join(', ')}`;
+  }
+  if (largePrint !== undefined && typeof largePrint !== 'boolean') {
+    return 'largePrint must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Render an export file from a loaded book
+ *
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object} book - loadExport result
+ * @param {object} [options] - PDF: { trimSize, largePrint }
+ * @returns {Buffer}
+ */
+function renderExportFile(format, book, options = {}) {
+  switch (format) {
+    case 'pdf':
+      return require('./print-export').buildPrintPdf(book, options);
+    case 'docx':
+      return require('./manuscript-export').buildDocx(book);
+    case 'markdown':
+      return Buffer.from(require('./manuscript-export').buildMarkdown(book), 'utf8');
+    case 'epub':
+      return buildEpub(book);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Ensure the private book-exports storage bucket exists (idempotent)
+ */
+async function ensureExportBucket() {
+  const { data: buckets } = await supabaseAdmin.storage.listBuckets();
+  if (buckets?.some(b => b.name === EXPORT_BUCKET)) return;
+
+  console.log('📦 Creating book-exports storage bucket...');
+  const { error } = await supabaseAdmin.storage.createBucket(EXPORT_BUCKET, { public: false });
+  if (error && !error.message.includes('already exists')) {
+    throw new Error(`Failed to create book-exports bucket: ${error.message}`);
+  }
+}
+
+/**
+ * Record an export request and queue the story's export job
+ *
+ * @param {string} storyId
+ * @param {string} userId
+ * @param {object} request - { format, trimSize?, largePrint? }, already validated by exportRequestError
+ * @returns {Promise<object>} The book_exports row
+ */
+async function requestBookExport(storyId, userId, { format, trimSize, largePrint }) {
+  const { DEFAULT_TRIM_SIZE } = require('./print-export');
+  const options = format === 'pdf'
+    ? { trimSize: trimSize || DEFAULT_TRIM_SIZE, largePrint: largePrint === true }
+    : {};
+
+  const { data: row, error } = await supabaseAdmin
+    .from('book_exports')
+    .insert({ story_id: storyId, user_id: userId, format, options, status: 'queued' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record export request: ${error.message}`);
+  }
+
+  const { enqueueBookExport } = require('./generation-jobs');
+  await enqueueBookExport(storyId, userId);
+
+  console.log(`📚 Queued ${format} export ${row.id} for story ${storyId}`);
+  return row;
+}
+
+/**
+ * Render one export and upload it. Failures are recorded on the row, not thrown —
+ * the reader can request the export again. Throws only when the row's status can't be
+ * written, so the job retries instead of leaving the export pending.
+ */
+async function renderBookExport(row) {
+  const { error: startError } = await supabaseAdmin
+    .from('book_exports')
+    .update({ status: 'rendering', started_at: new Date().toISOString() })
+    .eq('id', row.id);
+
+  if (startError) {
+    throw new Error(`Failed to mark export ${row.id} rendering: ${startError.message}`);
+  }
+
+  try {
+    const { book, refusal } = await loadExport(row.story_id, row.user_id);
+    if (refusal) throw new Error(refusal.error);
+
+    const format = EXPORT_FORMATS[row.format];
+    const file = renderExportFile(row.format, book, row.options || {});
+    const fileName = exportFileName(book.story.title, format.extension);
+    const storagePath = `${row.user_id}/${row.id}/${fileName}`;
+
+    await ensureExportBucket();
+    const { error: uploadError } = await supabaseAdmin
+      .storage
+      .from(EXPORT_BUCKET)
+      .upload(storagePath, file, { contentType: format.contentType, upsert: true });
+
+    if (uploadError) {
+      throw new Error(`Failed to upload export: ${uploadError.message}`);
+    }
+
+    const { error: readyError } = await supabaseAdmin
+      .from('book_exports')
+      .update({
+        status: 'ready',
+        storage_path: storagePath,
+        file_name: fileName,
+        file_size: file.length,
+        error_message: null,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', row.id);
+
+    if (readyError) {
+      throw new Error(`Failed to mark export ready: ${readyError.message}`);
+    }
+
+    console.log(`✅ [${book.story.title}] ${row.format} export ready (${file.length} bytes)`);
+  } catch (error) {
+    console.error(`❌ Export ${row.id} failed: ${error.message}`);
+    const { error: failError } = await supabaseAdmin
+      .from('book_exports')
+      .update({ status: 'failed', error_message: error.message, completed_at: new Date().toISOString() })
+      .eq('id', row.id);
+
+    if (failError) {
+      throw new Error(`Failed to mark export ${row.id} failed: ${failError.message}`);
+    }
+  }
+}
+
+/**
+ * book_export job: render every pending export of the story, oldest first. Exports left
+ * 'rendering' by an attempt that died are picked up again.
+ */
+async function runPendingExports(storyId) {
+  // Each export is rendered at most once per run; one still pending afterwards means its
+  // status didn't stick, and rendering it again would loop forever
+  const rendered = new Set();
+
+  for (;;) {
+    const { data: pending, error } = await supabaseAdmin
+      .from('book_exports')
+      .select('*')
+      .eq('story_id', storyId)
+      .in('status', ['queued', 'rendering'])
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch pending exports: ${error.message}`);
+    }
+    if (!pending) return;
+    if (rendered.has(pending.id)) {
+      throw new Error(`Export ${pending.id} is still ${pending.status} after rendering`);
+    }
+
+    rendered.add(pending.id);
+    await renderBookExport(pending);
+  }
+}
+
+/**
+ * An export for its requester, with a signed download link once it's ready
+ *
+ * @returns {Promise<object|null>} null if there's no such export for this user and story
+ */
+async function getBookExport(storyId, exportId, userId) {
+  const { data: row } = await supabaseAdmin
+    .from('book_exports')
+    .select('*')
+    .eq('id', exportId)
+    .eq('story_id', storyId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!row) return null;
+
+  // An export requested while the previous job was finishing can miss it — queue it again
+  // (a no-op while the story's export job is live)
+  if (row.status === 'queued') {
+    const { enqueueBookExport } = require('./generation-jobs');
+    await enqueueBookExport(storyId, userId);
+  }
+
+  let download = null;
+  if (row.status === 'ready') {
+    const { data, error } = await supabaseAdmin
+      .storage
+      .from(EXPORT_BUCKET)
+      .createSignedUrl(row.storage_path, DOWNLOAD_LINK_SECONDS, { download: row.file_name });
+
+    if (error) {
+      throw new Error(`Failed to sign export download: ${error.message}`);
+    }
+    download = {
+      url: data.signedUrl,
+      expires_at: new Date(Date.now() + DOWNLOAD_LINK_SECONDS * 1000).toISOString()
+    };
+  }
+
+  return {
+    id: row.id,
+    format: row.format,
+    options: row.options,
+    status: row.status,
+    error: row.error_message,
+    file_name: row.file_name,
+    file_size: row.file_size,
+    created_at: row.created_at,
+    completed_at: row.completed_at,
+    download
+  };
+}
+
+module.exports = {
+  EPUB_MIME_TYPE,
+  EXPORT_FORMATS,
+  escapeXml,
+  chapterBlocks,
+  textToXhtml,
+  dedupeChapters,
+  buildEpub,
+  exportAccessError,
+  exportFileName,
+  exportRequestError,
+  renderExportFile,
+  checkExportAccess,
+  loadExport,
+  requestBookExport,
+  runPendingExports,
+  getBookExport
+};
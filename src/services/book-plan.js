@@ -0,0 +1,278 @@
+/**
+ * BOOK PLAN — Chapter count and checkpoint schedule for a book
+ *
+ * Books are written in batches. The initial batch is generated right after select-premise;
+ * each later batch is unlocked by a reader checkpoint placed one chapter before the end of
+ * the previous batch, so the next chapters are being written while the reader finishes.
+ *
+ * Standard 12-chapter book (the original fixed shape):
+ *   1-3 → chapter_2 checkpoint → 4-6 → chapter_5 → 7-9 → chapter_8 → 10-12 → chapter_12_complete
+ *
+ * The arc declares its length (novella / standard / epic) and the schedule is derived from
+ * the chapter count, then stored on story_arcs.book_plan so in-flight books keep their shape:
+ *   {
+ *     book_length: 'novella',
+ *     total_chapters: 6,
+ *     batches: [
+ *       { start: 1, end: 3, checkpoint: null },          // initial batch
+ *       { start: 4, end: 6, checkpoint: 'chapter_2' }    // unlocked by chapter_2 feedback
+ *     ],
+ *     pre_classify_after_chapter: 3
+ *   }
+ *
+ * Arcs created before book plans existed get the standard plan.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const BOOK_LENGTHS = {
+  novella: { chapters: 6, description: 'a short, bedtime-sized book' },
+  standard: { chapters: 12, description: 'a full-length novel' },
+  epic: { chapters: 24, description: 'a sprawling epic' }
+};
+
+const DEFAULT_BOOK_LENGTH = 'standard';
+const MIN_CHAPTERS = 4;
+const MAX_CHAPTERS = 30;
+const INITIAL_BATCH_SIZE = 3;
+const MAX_CHECKPOINTS = 3;
+
+// Checkpoint names used before the checkpoints moved one chapter earlier (standard books only)
+const LEGACY_CHECKPOINTS = {
+  chapter_3: 'chapter_2',
+  chapter_6: 'chapter_5',
+  chapter_9: 'chapter_8'
+};
+
+/**
+ * Normalize a requested book length. Returns null for anything unrecognized.
+ */
+function resolveBookLength(bookLength) {
+  if (!bookLength) return null;
+  const key = String(bookLength).toLowerCase();
+  return BOOK_LENGTHS[key] ? key : null;
+}
+
+/**
+ * Derive the batch and checkpoint schedule for a chapter count.
+ * Up to three checkpoints, evenly spaced after the initial batch.
+ *
+ * @param {number} totalChapters
+ * @param {string} [bookLength] - Preset name; defaults to the preset with that chapter count, or 'custom'
+ * @returns {object} Book plan (see file header)
+ */
+function buildBookPlan(totalChapters, bookLength = null) {
+  const total = Math.min(MAX_CHAPTERS, Math.max(MIN_CHAPTERS, parseInt(totalChapters, 10) || BOOK_LENGTHS[DEFAULT_BOOK_LENGTH].chapters));
+  const length = resolveBookLength(bookLength) ||
+    Object.keys(BOOK_LENGTHS).find(name => BOOK_LENGTHS[name].chapters === total) ||
+    'custom';
+
+  const initialEnd = Math.min(INITIAL_BATCH_SIZE, total - 1);
+  const remaining = total - initialEnd;
+  const checkpointCount = Math.min(MAX_CHECKPOINTS, Math.max(1, Math.round(remaining / INITIAL_BATCH_SIZE)));
+  const batchSize = Math.ceil(remaining / checkpointCount);
+
+  const batches = [{ start: 1, end: initialEnd, checkpoint: null }];
+  for (let start = initialEnd + 1; start <= total; start += batchSize) {
+    const end = Math.min(total, start + batchSize - 1);
+    // Checkpoint sits one chapter before the end of the previous batch
+    batches.push({ start, end, checkpoint: `chapter_${start - 2}` });
+  }
+
+  // Content classification runs once the penultimate batch is written
+  const preClassifyAfter = batches[batches.length - 2].end;
+
+  return {
+    book_length: length,
+    total_chapters: total,
+    batches,
+    pre_classify_after_chapter: preClassifyAfter
+  };
+}
+
+const STANDARD_PLAN = buildBookPlan(BOOK_LENGTHS.standard.chapters, 'standard');
+
+/**
+ * The plan stored on an arc row, or one derived from its chapter count (older arcs).
+ */
+function planFromArc(arc) {
+  if (arc?.book_plan?.batches?.length) return arc.book_plan;
+  if (Array.isArray(arc?.chapters) && arc.chapters.length > 0) return buildBookPlan(arc.chapters.length);
+  return STANDARD_PLAN;
+}
+
+/**
+ * Load a story's plan from its most recent arc. Falls back to the standard plan
+ * when the story has no arc yet.
+ */
+async function getBookPlan(storyId) {
+  const { data: arc, error } = await supabaseAdmin
+    .from('story_arcs')
+    .select('book_plan, chapters')
+    .eq('story_id', storyId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`⚠️ Could not load book plan for story ${storyId}, using standard plan: ${error.message}`);
+  }
+
+  return planFromArc(arc);
+}
+
+/**
+ * Chapter count for a story's requested length (before its arc exists)
+ */
+function chapterCountForLength(bookLength) {
+  return BOOK_LENGTHS[resolveBookLength(bookLength) || DEFAULT_BOOK_LENGTH].chapters;
+}
+
+function checkpointBatches(plan) {
+  return plan.batches.filter(b => b.checkpoint);
+}
+
+/**
+ * Checkpoint names in reading order, e.g. ['chapter_2', 'chapter_5', 'chapter_8']
+ */
+function checkpointNames(plan) {
+  return checkpointBatches(plan).map(b => b.checkpoint);
+}
+
+/**
+ * Checkpoint names to match in story_feedback, including legacy names for standard books
+ */
+function feedbackCheckpointNames(plan) {
+  const names = checkpointNames(plan);
+  if (plan.total_chapters !== STANDARD_PLAN.total_chapters) return names;
+  return [...names, ...Object.keys(LEGACY_CHECKPOINTS)];
+}
+
+/**
+ * Map old checkpoint names (chapter_3/6/9) to current ones — only where the plan
+ * doesn't use that name itself.
+ */
+function normalizeCheckpoint(plan, checkpoint) {
+  if (checkpointNames(plan).includes(checkpoint)) return checkpoint;
+  if (plan.total_chapters === STANDARD_PLAN.total_chapters && LEGACY_CHECKPOINTS[checkpoint]) {
+    return LEGACY_CHECKPOINTS[checkpoint];
+  }
+  return checkpoint;
+}
+
+/**
+ * The batch a checkpoint unlocks: { startChapter, endChapter }, or null if it isn't in the plan
+ */
+function batchForCheckpoint(plan, checkpoint) {
+  const batch = checkpointBatches(plan).find(b => b.checkpoint === checkpoint);
+  return batch ? { startChapter: batch.start, endChapter: batch.end } : null;
+}
+
+/**
+ * The batch whose last chapter is chapterNumber, or null mid-batch
+ */
+function batchEndingAt(plan, chapterNumber) {
+  return plan.batches.find(b => b.end === chapterNumber) || null;
+}
+
+/**
+ * Where a checkpoint falls in the book: its chapter, 1-based number, and position.
+ * A single-checkpoint book's only checkpoint is 'first'.
+ */
+function describeCheckpoint(plan, checkpoint) {
+  const names = checkpointNames(plan);
+  const index = names.indexOf(checkpoint);
+  const chapter = parseInt(String(checkpoint).replace('chapter_', ''), 10) || null;
+
+  let position = 'middle';
+  if (index <= 0) position = 'first';
+  else if (index === names.length - 1) position = 'final';
+
+  return {
+    chapter,
+    number: index >= 0 ? index + 1 : null,
+    count: names.length,
+    position,
+    label: index >= 0 ? `CHECKPOINT ${index + 1} (after Ch ${chapter})` : checkpoint
+  };
+}
+
+function awaitingStep(checkpoint) {
+  return `awaiting_${checkpoint}_feedback`;
+}
+
+function completionStep(plan) {
+  return `chapter_${plan.total_chapters}_complete`;
+}
+
+/**
+ * generation_progress.current_step once the batch ending at endChapter is written
+ */
+function stepAfterBatch(plan, endChapter) {
+  const next = plan.batches.find(b => b.start === endChapter + 1);
+  if (next?.checkpoint) return awaitingStep(next.checkpoint);
+  if (endChapter >= plan.total_chapters) return completionStep(plan);
+  return `chapter_${endChapter}_complete`;
+}
+
+/**
+ * The checkpoint the reader is heading toward with chaptersGenerated written —
+ * the first checkpoint whose batch hasn't started. Completion once every batch is underway.
+ */
+function awaitingStepForChaptersGenerated(plan, chaptersGenerated) {
+  const next = checkpointBatches(plan).find(b => b.start > chaptersGenerated);
+  return next ? awaitingStep(next.checkpoint) : completionStep(plan);
+}
+
+/**
+ * The latest checkpoint whose preceding batch is fully written, or null before the
+ * initial batch is done.
+ */
+function latestCheckpointForChapterCount(plan, chapterCount) {
+  const reached = checkpointBatches(plan).filter(b => b.start - 1 <= chapterCount);
+  return reached.length ? reached[reached.length - 1].checkpoint : null;
+}
+
+/**
+ * Work out which checkpoint a generation step belongs to:
+ *   awaiting_chapter_N_feedback → chapter_N
+ *   generating_chapter_N (first chapter of a batch) → the checkpoint that unlocked it
+ * Falls back to the first checkpoint.
+ */
+function checkpointForStep(plan, step = '') {
+  const names = checkpointNames(plan);
+
+  const awaiting = step.match(/^awaiting_(chapter_\d+)_feedback$/);
+  if (awaiting && names.includes(awaiting[1])) return awaiting[1];
+
+  const generating = step.match(/generating_chapter_(\d+)/);
+  if (generating) {
+    const batch = checkpointBatches(plan).find(b => b.start === parseInt(generating[1], 10));
+    if (batch) return batch.checkpoint;
+  }
+
+  return names[0];
+}
+
+module.exports = {
+  BOOK_LENGTHS,
+  DEFAULT_BOOK_LENGTH,
+  STANDARD_PLAN,
+  resolveBookLength,
+  chapterCountForLength,
+  buildBookPlan,
+  planFromArc,
+  getBookPlan,
+  checkpointNames,
+  feedbackCheckpointNames,
+  normalizeCheckpoint,
+  batchForCheckpoint,
+  batchEndingAt,
+  describeCheckpoint,
+  awaitingStep,
+  completionStep,
+  stepAfterBatch,
+  awaitingStepForChaptersGenerated,
+  latestCheckpointForChapterCount,
+  checkpointForStep
+};
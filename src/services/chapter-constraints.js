@@ -1,26 +1,10 @@
-const { anthropic } = require('../config/ai-clients');
 const { storyLog } = require('./story-logger');
+const { callLLM, MODELS } = require('./llm-provider');
+const { parseStructured, reaskWithLLM } = require('./structured-output');
 
 // Model constants
-const HAIKU_MODEL = 'claude-haiku-4-5-20251001';
-const SONNET_MODEL = 'claude-sonnet-4-5-20250929';
-
-/**
- * Calculate cost for Claude API call
- * Haiku pricing: $0.40/M input, $2/M output
- * Sonnet pricing: $1.50/M input, $7.50/M output
- */
-function calculateConstraintCost(inputTokens, outputTokens, model) {
-  const pricing = {
-    [HAIKU_MODEL]: { input: 0.40, output: 2.00 },
-    [SONNET_MODEL]: { input: 1.50, output: 7.50 }
-  };
-
-  const rates = pricing[model] || pricing[SONNET_MODEL];
-  const inputCost = (inputTokens / 1_000_000) * rates.input;
-  const outputCost = (outputTokens / 1_000_000) * rates.output;
-  return inputCost + outputCost;
-}
+const HAIKU_MODEL = MODELS.haiku;
+const SONNET_MODEL = MODELS.sonnet;
 
 /**
  * Extract structured constraints from chapter outline and story context
@@ -105,31 +89,24 @@ Respond with valid JSON only, in this exact structure:
 }`;
 
   try {
-    const response = await anthropic.messages.create({
+    // Token counts travel back with the result and are stored alongside the chapter's quality data
+    const extractionCall = {
       model: HAIKU_MODEL,
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: prompt }]
-    });
+      prompt,
+      maxTokens: 4000,
+      operation: 'constraint_extraction',
+      storyTitle,
+      storyId,
+      logCost: false
+    };
+    const { text, inputTokens, outputTokens } = await callLLM(extractionCall);
 
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
+    const { data: constraints, schemaVersion } = await parseStructured('chapter_constraints', text, {
+      reask: reaskWithLLM(extractionCall, text),
+      label: `${storyTitle} Ch${chapterNumber}`
+    });
     const duration = Date.now() - startTime;
 
-    // Parse JSON response
-    let jsonText = response.content[0].text.trim();
-
-    // Strip markdown code fences if present
-    if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/^```(?:json)?\n/, '').replace(/\n```$/, '');
-    }
-
-    const constraints = JSON.parse(jsonText);
-
-    // Validate structure
-    if (!constraints.must || !constraints.must_not || !constraints.should) {
-      throw new Error('Invalid constraint structure: missing must, must_not, or should arrays');
-    }
-
     storyLog(
       storyId,
       storyTitle,
@@ -138,6 +115,7 @@ Respond with valid JSON only, in this exact structure:
 
     return {
       constraints,
+      schemaVersion,
       inputTokens,
       outputTokens,
       duration
@@ -218,31 +196,24 @@ Respond with valid JSON only, in this exact structure:
 }`;
 
   try {
-    const response = await anthropic.messages.create({
+    // Token counts travel back with the result and are stored alongside the chapter's quality data
+    const validationCall = {
       model: SONNET_MODEL,
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: prompt }]
-    });
+      prompt,
+      maxTokens: 4000,
+      operation: 'constraint_validation',
+      storyTitle,
+      storyId,
+      logCost: false
+    };
+    const { text, inputTokens, outputTokens } = await callLLM(validationCall);
 
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
+    const { data: validation, schemaVersion } = await parseStructured('constraint_validation', text, {
+      reask: reaskWithLLM(validationCall, text),
+      label: `${storyTitle} Ch${chapterNumber}`
+    });
     const duration = Date.now() - startTime;
 
-    // Parse JSON response
-    let jsonText = response.content[0].text.trim();
-
-    // Strip markdown code fences if present
-    if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/^```(?:json)?\n/, '').replace(/\n```$/, '');
-    }
-
-    const validation = JSON.parse(jsonText);
-
-    // Validate structure
-    if (!validation.verdict || !validation.must_results || !validation.must_not_results) {
-      throw new Error('Invalid validation structure');
-    }
-
     const statusEmoji = validation.verdict === 'PASS' ? '✅' : '⚠️';
     const mustDelivered = validation.must_results.filter(r => r.status === 'DELIVERED').length;
     const mustNotClear = validation.must_not_results.filter(r => r.status === 'CLEAR').length;
@@ -255,6 +226,7 @@ Respond with valid JSON only, in this exact structure:
 
     return {
       validation,
+      schemaVersion,
       inputTokens,
       outputTokens,
       duration
@@ -0,0 +1,358 @@
+/**
+ * CHAPTER REVISIONS — Immutable history of every change to chapters.content
+ *
+ * Anything that rewrites a chapter after generation goes through reviseChapter():
+ *   - validation        surgicalRevision (chapter-validation.js)
+ *   - voice_review      applyVoiceRevisions (character-intelligence.js)
+ *   - reader_correction Prospero's Editor investigate/pushback (prospero-editor.js)
+ *   - reader_rewrite    whole-chapter rewrite the reader asked for (chapter-rewrite.js)
+ *   - admin             manual edit via PUT /admin/chapters/:chapterId/content
+ *   - rollback          restoring an earlier revision
+ *
+ * apply_chapter_revision (migration 023) numbers the revision, captures the original text
+ * as revision 1 on the first change, and updates the chapter in one transaction.
+ *
+ * Reader positions point into the old text, so after each revision we remap them:
+ *   - reader_corrections.highlight_start/highlight_end (character offsets)
+ *   - reading_progress.paragraph_index (bookmark, paragraphs separated by blank lines)
+ * Remapping is best-effort — a failure is logged and never undoes the revision.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const SOURCES = ['generation', 'validation', 'voice_review', 'reader_correction', 'reader_rewrite', 'admin', 'rollback'];
+
+// Word-level LCS is O(n×m); past this many cells the changed region is treated as one replacement
+const MAX_DIFF_CELLS = 4000000;
+
+function tokenize(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+function pushOp(ops, type, text) {
+  if (!text) return;
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    ops.push({ type, text });
+  }
+}
+
+/**
+ * Word-level diff of two texts.
+ * Returns ops in order: { type: 'equal' | 'delete' | 'insert', text }.
+ * Where a span is replaced, its delete comes before its insert.
+ */
+function diffText(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Trim the common prefix and suffix — revisions are usually small, local edits
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const ops = [];
+  pushOp(ops, 'equal', a.slice(0, prefix).join(''));
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n > 0 && m > 0 && (n + 1) * (m + 1) <= MAX_DIFF_CELLS) {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushOp(ops, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        pushOp(ops, 'delete', midA[i]);
+        i++;
+      } else {
+        pushOp(ops, 'insert', midB[j]);
+        j++;
+      }
+    }
+    pushOp(ops, 'delete', midA.slice(i).join(''));
+    pushOp(ops, 'insert', midB.slice(j).join(''));
+  } else {
+    pushOp(ops, 'delete', midA.join(''));
+    pushOp(ops, 'insert', midB.join(''));
+  }
+
+  pushOp(ops, 'equal', a.slice(a.length - suffix).join(''));
+  return ops;
+}
+
+/**
+ * Word counts added/removed by a diff
+ */
+function diffStats(ops) {
+  const countWords = text => (text.match(/[^\s]+/g) || []).length;
+  return ops.reduce((stats, op) => {
+    if (op.type === 'insert') stats.wordsAdded += countWords(op.text);
+    if (op.type === 'delete') stats.wordsRemoved += countWords(op.text);
+    return stats;
+  }, { wordsAdded: 0, wordsRemoved: 0 });
+}
+
+/**
+ * Map a character offset in the old text to the new text.
+ * An offset inside deleted text moves to where the deletion was.
+ */
+function mapOffset(ops, offset) {
+  let oldPos = 0;
+  let newPos = 0;
+  for (const op of ops) {
+    const length = op.text.length;
+    if (op.type === 'equal') {
+      if (offset < oldPos + length) return newPos + (offset - oldPos);
+      oldPos += length;
+      newPos += length;
+    } else if (op.type === 'delete') {
+      if (offset < oldPos + length) return newPos;
+      oldPos += length;
+    } else {
+      newPos += length;
+    }
+  }
+  return newPos + Math.max(0, offset - oldPos);
+}
+
+/**
+ * Character offsets where each paragraph starts (paragraphs are separated by blank lines)
+ */
+function paragraphStarts(text = '') {
+  const starts = [];
+  const addBlock = (start, end) => {
+    const block = text.slice(start, end);
+    if (block.trim()) starts.push(start + (block.length - block.trimStart().length));
+  };
+
+  const separator = /\n\s*\n/g;
+  let blockStart = 0;
+  let match;
+  while ((match = separator.exec(text)) !== null) {
+    addBlock(blockStart, match.index);
+    blockStart = match.index + match[0].length;
+  }
+  addBlock(blockStart, text.length);
+  return starts;
+}
+
+/**
+ * Map a paragraph index in the old text to the paragraph now holding its first character
+ */
+function remapParagraphIndex(oldText, newText, ops, paragraphIndex) {
+  const oldStarts = paragraphStarts(oldText);
+  if (paragraphIndex == null || paragraphIndex < 0 || paragraphIndex >= oldStarts.length) return paragraphIndex;
+
+  const newOffset = mapOffset(ops, oldStarts[paragraphIndex]);
+  const newStarts = paragraphStarts(newText);
+  let index = 0;
+  while (index + 1 < newStarts.length && newStarts[index + 1] <= newOffset) index++;
+  return index;
+}
+
+/**
+ * Move highlights and bookmarks on this chapter from the old text to the new one
+ */
+async function remapReaderPositions({ chapterId, storyId, chapterNumber, previousContent, content }) {
+  const ops = diffText(previousContent, content);
+
+  const { data: highlights, error: highlightError } = await supabaseAdmin
+    .from('reader_corrections')
+    .select('id, highlight_start, highlight_end')
+    .eq('chapter_id', chapterId);
+
+  if (highlightError) throw new Error(`Failed to load highlights: ${highlightError.message}`);
+
+  let highlightsMoved = 0;
+  for (const highlight of highlights || []) {
+    if (highlight.highlight_start == null || highlight.highlight_end == null) continue;
+    const start = mapOffset(ops, highlight.highlight_start);
+    const end = Math.max(start, mapOffset(ops, highlight.highlight_end));
+    if (start === highlight.highlight_start && end === highlight.highlight_end) continue;
+
+    await supabaseAdmin
+      .from('reader_corrections')
+      .update({ highlight_start: start, highlight_end: end })
+      .eq('id', highlight.id);
+    highlightsMoved++;
+  }
+
+  const { data: bookmarks, error: bookmarkError } = await supabaseAdmin
+    .from('reading_progress')
+    .select('id, paragraph_index')
+    .eq('story_id', storyId)
+    .eq('chapter_number', chapterNumber)
+    .not('paragraph_index', 'is', null);
+
+  if (bookmarkError) throw new Error(`Failed to load bookmarks: ${bookmarkError.message}`);
+
+  let bookmarksMoved = 0;
+  for (const bookmark of bookmarks || []) {
+    const paragraphIndex = remapParagraphIndex(previousContent, content, ops, bookmark.paragraph_index);
+    if (paragraphIndex === bookmark.paragraph_index) continue;
+
+    await supabaseAdmin
+      .from('reading_progress')
+      .update({ paragraph_index: paragraphIndex })
+      .eq('id', bookmark.id);
+    bookmarksMoved++;
+  }
+
+  return { highlightsMoved, bookmarksMoved };
+}
+
+/**
+ * Replace a chapter's content, recording the change as a new revision.
+ *
+ * @param {object} options
+ * @param {string} options.chapterId
+ * @param {string} options.content - The complete new chapter text
+ * @param {string} options.source - One of SOURCES
+ * @param {string} [options.authorId] - User (reader, author or admin) behind the change
+ * @param {number} [options.costUsd] - AI spend that produced the change
+ * @param {string} [options.reason]
+ * @param {object} [options.metadata]
+ * @returns {Promise<{ revisionId: string, revisionNumber: number }>}
+ */
+async function reviseChapter({ chapterId, content, source, authorId = null, costUsd = 0, reason = null, metadata = {} }) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Invalid revision source: ${source}`);
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('Revised chapter content is empty');
+  }
+
+  const { data, error } = await supabaseAdmin.rpc('apply_chapter_revision', {
+    p_chapter_id: chapterId,
+    p_content: content,
+    p_source: source,
+    p_author_id: authorId,
+    p_cost_usd: costUsd || 0,
+    p_reason: reason,
+    p_metadata: metadata
+  });
+
+  if (error) {
+    throw new Error(`Failed to record chapter revision: ${error.message}`);
+  }
+
+  console.log(`📝 Ch${data.chapter_number} revision ${data.revision_number} recorded (${source})`);
+
+  try {
+    const moved = await remapReaderPositions({
+      chapterId,
+      storyId: data.story_id,
+      chapterNumber: data.chapter_number,
+      previousContent: data.previous_content,
+      content
+    });
+    if (moved.highlightsMoved || moved.bookmarksMoved) {
+      console.log(`📝 Ch${data.chapter_number}: remapped ${moved.highlightsMoved} highlight(s), ${moved.bookmarksMoved} bookmark(s)`);
+    }
+  } catch (err) {
+    console.warn(`⚠️ Ch${data.chapter_number}: reader position remap failed (revision kept): ${err.message}`);
+  }
+
+  return { revisionId: data.revision_id, revisionNumber: data.revision_number };
+}
+
+/**
+ * Revision history for a chapter, oldest first (without content).
+ * Empty for a chapter that has never been revised.
+ */
+async function listRevisions(chapterId) {
+  const { data, error } = await supabaseAdmin
+    .from('chapter_revisions')
+    .select('id, revision_number, source, author_id, cost_usd, reason, metadata, word_count, created_at')
+    .eq('chapter_id', chapterId)
+    .order('revision_number', { ascending: true });
+
+  if (error) throw new Error(`Failed to list chapter revisions: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * A single revision including its content, or null
+ */
+async function getRevision(chapterId, revisionNumber) {
+  const { data, error } = await supabaseAdmin
+    .from('chapter_revisions')
+    .select('*')
+    .eq('chapter_id', chapterId)
+    .eq('revision_number', revisionNumber)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load chapter revision: ${error.message}`);
+  return data;
+}
+
+/**
+ * Diff two revisions of a chapter. Returns null if either doesn't exist.
+ */
+async function diffRevisions(chapterId, fromRevision, toRevision) {
+  const [from, to] = await Promise.all([
+    getRevision(chapterId, fromRevision),
+    getRevision(chapterId, toRevision)
+  ]);
+  if (!from || !to) return null;
+
+  const ops = diffText(from.content, to.content);
+  return {
+    from: { revisionNumber: from.revision_number, source: from.source, createdAt: from.created_at },
+    to: { revisionNumber: to.revision_number, source: to.source, createdAt: to.created_at },
+    stats: diffStats(ops),
+    ops
+  };
+}
+
+/**
+ * Restore an earlier revision's content as a new revision. Returns null if it doesn't exist.
+ */
+async function rollbackChapter(chapterId, revisionNumber, { authorId = null, reason = null } = {}) {
+  const target = await getRevision(chapterId, revisionNumber);
+  if (!target) return null;
+
+  return reviseChapter({
+    chapterId,
+    content: target.content,
+    source: 'rollback',
+    authorId,
+    reason: reason || `Rolled back to revision ${revisionNumber}`,
+    metadata: { rolled_back_to: revisionNumber }
+  });
+}
+
+module.exports = {
+  SOURCES,
+  diffText,
+  diffStats,
+  mapOffset,
+  paragraphStarts,
+  remapParagraphIndex,
+  reviseChapter,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  rollbackChapter
+};
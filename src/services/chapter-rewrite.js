@@ -0,0 +1,248 @@
+/**
+ * CHAPTER REWRITE — Reader-requested whole-chapter redo
+ *
+ * Prospero's Editor fixes single passages; this rewrites a whole chapter from the reader's
+ * instructions ("less gore", "more banter between Kael and Mira").
+ *
+ * Runs as a queued chapter_rewrite job (generation-jobs.js):
+ *   1. generateChapter with { rewrite } — same context assembly (bible, arc, ledgers,
+ *      constraints), quality review, entity validation and voice review as a new chapter.
+ *      The new text is stored as a 'reader_rewrite' revision, so the original is kept.
+ *   2. If the rewrite changed the chapter's key events, later chapters' character and world
+ *      ledger entries describe a story that no longer happened — delete and re-extract them.
+ *
+ * A retried job finds the revision its previous attempt stored (metadata.job_id), re-applies
+ * the chapter's new title and metadata kept on that revision (metadata.chapter_update) and
+ * only redoes step 2, so the reader isn't charged for the same rewrite twice.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const MIN_INSTRUCTIONS_LENGTH = 3;
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+
+// Two key events describe the same beat when this share of their significant words overlap
+const SAME_EVENT_SIMILARITY = 0.3;
+
+const STOP_WORDS = new Set(['that', 'this', 'with', 'from', 'into', 'their', 'they', 'them', 'then', 'than', 'when', 'where', 'which', 'while', 'about', 'after', 'before', 'over', 'under', 'there', 'have', 'has', 'had', 'were', 'was', 'been', 'being', 'what', 'finally', 'also']);
+
+/**
+ * Trim and validate a reader's rewrite instructions. Returns null if unusable.
+ */
+function normalizeInstructions(instructions) {
+  if (typeof instructions !== 'string') return null;
+  const trimmed = instructions.trim().replace(/\s+/g, ' ');
+  if (trimmed.length < MIN_INSTRUCTIONS_LENGTH || trimmed.length > MAX_INSTRUCTIONS_LENGTH) return null;
+  return trimmed;
+}
+
+function eventWords(event) {
+  const text = typeof event === 'string' ? event : (event?.event || event?.description || '');
+  return new Set(
+    text.toLowerCase().match(/[a-z']+/g)?.filter(w => w.length > 3 && !STOP_WORDS.has(w)) || []
+  );
+}
+
+function wordSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Whether two key-event lists describe different plots: some event in either list
+ * has no similar event in the other.
+ */
+function keyEventsChanged(previousEvents = [], newEvents = []) {
+  const before = (previousEvents || []).map(eventWords);
+  const after = (newEvents || []).map(eventWords);
+  if (before.length === 0) return false; // Nothing recorded to compare against
+
+  const unmatched = (from, to) => from.some(words => !to.some(other => wordSimilarity(words, other) >= SAME_EVENT_SIMILARITY));
+  return unmatched(before, after) || unmatched(after, before);
+}
+
+/**
+ * Did the rewrite change what happens? The model reports plot_changed; fall back to
+ * comparing key events when it didn't.
+ */
+function rewriteChangedPlot(previousKeyEvents, rewrittenMetadata = {}) {
+  if (typeof rewrittenMetadata.plot_changed === 'boolean') return rewrittenMetadata.plot_changed;
+  return keyEventsChanged(previousKeyEvents, rewrittenMetadata.key_events);
+}
+
+/**
+ * Delete and re-extract character/world ledger entries for every written chapter after
+ * afterChapter (up to throughChapter), in order — each extraction reads the entries before it.
+ *
+ * @returns {Promise<number[]>} Chapter numbers rebuilt
+ */
+async function rebuildDownstreamLedgers(storyId, afterChapter, userId, config = {}, { throughChapter = null } = {}) {
+  const { clearChapterLedgers } = require('./generation');
+  const { extractCharacterLedger } = require('./character-intelligence');
+  const { extractWorldStateLedger } = require('./world-continuity');
+
+  let query = supabaseAdmin
+    .from('chapters')
+    .select('chapter_number, content')
+    .eq('story_id', storyId)
+    .gt('chapter_number', afterChapter);
+  if (throughChapter) query = query.lte('chapter_number', throughChapter);
+
+  const { data: laterChapters, error } = await query.order('chapter_number', { ascending: true });
+
+  if (error) throw new Error(`Failed to load later chapters: ${error.message}`);
+  if (!laterChapters || laterChapters.length === 0) return [];
+
+  const lastChapter = laterChapters[laterChapters.length - 1].chapter_number;
+  await clearChapterLedgers(storyId, afterChapter + 1, lastChapter);
+
+  for (const chapter of laterChapters) {
+    if (config.character_ledger !== false) {
+      await extractCharacterLedger(storyId, chapter.chapter_number, chapter.content, userId);
+    }
+    if (config.world_ledger !== false) {
+      await extractWorldStateLedger(storyId, chapter.chapter_number, chapter.content, userId);
+    }
+  }
+
+  return laterChapters.map(c => c.chapter_number);
+}
+
+/**
+ * Write a rewrite's title, quality review and metadata onto the chapter. The same update is
+ * kept on the rewrite's revision, so a retried job whose previous attempt died after
+ * recording the revision can apply it again.
+ */
+async function applyRewriteFields(chapterId, chapterUpdate) {
+  const { data, error } = await supabaseAdmin
+    .from('chapters')
+    .update(chapterUpdate)
+    .eq('id', chapterId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store rewritten chapter: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * The revision a previous attempt of this job already stored, if any
+ */
+async function findJobRevision(chapterId, jobId) {
+  if (!jobId) return null;
+
+  const { data } = await supabaseAdmin
+    .from('chapter_revisions')
+    .select('revision_number, metadata')
+    .eq('chapter_id', chapterId)
+    .eq('source', 'reader_rewrite')
+    .eq('metadata->>job_id', jobId)
+    .maybeSingle();
+
+  return data || null;
+}
+
+/**
+ * Rewrite a chapter from the reader's instructions.
+ *
+ * @param {string} storyId
+ * @param {number} chapterNumber
+ * @param {string} userId - The reader who asked (story owner)
+ * @param {string} instructions
+ * @param {object} [options]
+ * @param {string} [options.jobId] - Queue job running the rewrite (makes retries idempotent)
+ * @returns {Promise<{ chapterId: string, revisionNumber: number, plotChanged: boolean, ledgersRebuilt: number[] }>}
+ */
+async function rewriteChapter(storyId, chapterNumber, userId, instructions, { jobId = null } = {}) {
+  const { generateChapter } = require('./generation');
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id, title, generation_config')
+    .eq('id', storyId)
+    .single();
+
+  const { data: chapter } = await supabaseAdmin
+    .from('chapters')
+    .select('id, metadata')
+    .eq('story_id', storyId)
+    .eq('chapter_number', chapterNumber)
+    .maybeSingle();
+
+  if (!story || !chapter) {
+    throw new Error(`Chapter ${chapterNumber} of story ${storyId} not found`);
+  }
+
+  const storyTitle = story.title || 'Untitled';
+  let revision = await findJobRevision(chapter.id, jobId);
+  let previousKeyEvents = revision?.metadata?.previous_key_events || [];
+
+  // A previous attempt may have died after storing the rewrite but before re-extracting
+  // this chapter's own ledgers, so a resumed job rebuilds from this chapter
+  const resumed = Boolean(revision);
+
+  if (resumed) {
+    console.log(`✍️ [${storyTitle}] Ch${chapterNumber}: rewrite already stored (revision ${revision.revision_number}), resuming ledger rebuild`);
+    if (revision.metadata?.chapter_update) {
+      await applyRewriteFields(chapter.id, revision.metadata.chapter_update);
+    }
+  } else {
+    previousKeyEvents = chapter.metadata?.key_events || [];
+    console.log(`✍️ [${storyTitle}] Ch${chapterNumber}: rewriting — "${instructions}"`);
+
+    await generateChapter(storyId, chapterNumber, userId, null, {
+      rewrite: {
+        instructions,
+        requestedBy: userId,
+        startedAt: new Date().toISOString(),
+        jobId
+      }
+    });
+
+    revision = await findJobRevision(chapter.id, jobId);
+  }
+
+  const { data: rewritten } = await supabaseAdmin
+    .from('chapters')
+    .select('metadata, current_revision')
+    .eq('id', chapter.id)
+    .single();
+
+  const plotChanged = rewriteChangedPlot(previousKeyEvents, rewritten?.metadata);
+  let ledgersRebuilt = [];
+
+  if (plotChanged || resumed) {
+    ledgersRebuilt = await rebuildDownstreamLedgers(
+      storyId,
+      resumed ? chapterNumber - 1 : chapterNumber,
+      userId,
+      story.generation_config || {},
+      { throughChapter: plotChanged ? null : chapterNumber }
+    );
+    if (ledgersRebuilt.length > 0) {
+      console.log(`✍️ [${storyTitle}] Ch${chapterNumber}: ${plotChanged ? 'key events changed — ' : ''}rebuilt ledgers for chapters ${ledgersRebuilt.join(', ')}`);
+    }
+  }
+
+  return {
+    chapterId: chapter.id,
+    revisionNumber: revision?.revision_number || rewritten?.current_revision,
+    plotChanged,
+    ledgersRebuilt
+  };
+}
+
+module.exports = {
+  MAX_INSTRUCTIONS_LENGTH,
+  normalizeInstructions,
+  keyEventsChanged,
+  rewriteChangedPlot,
+  rebuildDownstreamLedgers,
+  applyRewriteFields,
+  rewriteChapter
+};
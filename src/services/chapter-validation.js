@@ -10,10 +10,12 @@
  * Uses Haiku for all calls (~$0.01/chapter) — structured data tasks, not creative.
  */
 
-const { anthropic } = require('../config/ai-clients');
 const { supabaseAdmin } = require('../config/supabase');
+const { callLLM, logLLMCost, MODELS } = require('./llm-provider');
+const { reviseChapter } = require('./chapter-revisions');
+const { parseStructured, reaskWithLLM } = require('./structured-output');
 
-const VALIDATION_MODEL = 'claude-haiku-4-5-20251001';
+const VALIDATION_MODEL = MODELS.haiku;
 
 /**
  * Run full validation pipeline on a newly generated chapter.
@@ -42,6 +44,9 @@ async function validateChapter(storyId, chapterId, chapterNumber, chapterContent
       .lt('chapter_number', chapterNumber)
       .order('chapter_number', { ascending: true });
 
+    // A spin-off is also checked against everything its original story established
+    const originalEntities = await fetchSpinOffCanonEntities(storyId);
+
     // Fetch world codex for richer world rule validation (if available)
     const { data: worldCodex } = await supabaseAdmin
       .from('world_codex')
@@ -53,15 +58,16 @@ async function validateChapter(storyId, chapterId, chapterNumber, chapterContent
     const canonicalRef = buildCanonicalReference(bible, worldCodex?.codex_data);
 
     // Build prior entity context (what's been established in earlier chapters)
-    const priorEntityContext = buildPriorEntityContext(priorEntities || []);
+    const priorEntityContext = buildPriorEntityContext([...originalEntities, ...(priorEntities || [])]);
 
     // Run validation + entity extraction in a single Haiku call
-    const { validationResult, entities, inputTokens, outputTokens } = await runValidation(
+    const { validationResult, entities, schemaVersion, inputTokens, outputTokens } = await runValidation(
       chapterContent,
       chapterNumber,
       canonicalRef,
       priorEntityContext,
-      storyTitle
+      storyTitle,
+      { userId, storyId }
     );
 
     const validationTime = Date.now() - startTime;
@@ -93,6 +99,7 @@ async function validateChapter(storyId, chapterId, chapterNumber, chapterContent
         story_id: storyId,
         chapter_number: chapterNumber,
         validation_result: validationResult,
+        schema_versions: { entity_validation: schemaVersion },
         severity,
         auto_revised: false,
         model_used: VALIDATION_MODEL,
@@ -103,12 +110,15 @@ async function validateChapter(storyId, chapterId, chapterNumber, chapterContent
       .select()
       .single();
 
-    // Log cost
-    const { logApiCost } = require('./generation');
-    await logApiCost(userId, 'chapter_validation', inputTokens, outputTokens, {
+    // Log cost (after the fact — severity is part of the metadata)
+    await logLLMCost({
+      userId,
       storyId,
-      chapterNumber,
-      severity
+      model: VALIDATION_MODEL,
+      operation: 'chapter_validation',
+      inputTokens,
+      outputTokens,
+      metadata: { storyId, chapterNumber, severity }
     });
 
     // Handle critical severity — surgical revision
@@ -157,6 +167,56 @@ async function validateChapter(storyId, chapterId, chapterNumber, chapterContent
   }
 }
 
+/**
+ * Record a chapter's named entities without judging it — for chapters the reader wrote
+ * themselves (an imported manuscript), which are canon as they stand and are never revised.
+ * Same Haiku call as validateChapter; its consistency verdict is discarded.
+ *
+ * @returns {number} How many entities were stored
+ */
+async function extractChapterEntities(storyId, chapterId, chapterNumber, chapterContent, bible, userId) {
+  const storyTitle = bible?.title || 'Unknown';
+
+  const { data: priorEntities } = await supabaseAdmin
+    .from('chapter_entities')
+    .select('entity_type, entity_name, fact, chapter_number')
+    .eq('story_id', storyId)
+    .lt('chapter_number', chapterNumber)
+    .order('chapter_number', { ascending: true });
+
+  const { data: worldCodex } = await supabaseAdmin
+    .from('world_codex')
+    .select('codex_data')
+    .eq('story_id', storyId)
+    .maybeSingle();
+
+  const { entities, inputTokens, outputTokens } = await runValidation(
+    chapterContent,
+    chapterNumber,
+    buildCanonicalReference(bible, worldCodex?.codex_data),
+    buildPriorEntityContext(priorEntities || []),
+    storyTitle,
+    { userId, storyId }
+  );
+
+  if (entities.length > 0) {
+    await storeEntities(storyId, chapterId, chapterNumber, entities);
+  }
+  console.log(`🔍 [${storyTitle}] Ch${chapterNumber}: ${entities.length} entities recorded`);
+
+  await logLLMCost({
+    userId,
+    storyId,
+    model: VALIDATION_MODEL,
+    operation: 'chapter_entity_extraction',
+    inputTokens,
+    outputTokens,
+    metadata: { storyId, chapterNumber }
+  });
+
+  return entities.length;
+}
+
 /**
  * Build a canonical reference string from the story bible
  * for the validation prompt to check against.
@@ -243,8 +303,31 @@ function buildCanonicalReference(bible, codexData = null) {
   return parts.join('\n\n');
 }
 
+/**
+ * For a spin-off, the entities its original story established (marked from_original);
+ * [] for any other story
+ */
+async function fetchSpinOffCanonEntities(storyId) {
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('spin_off_of_story_id')
+    .eq('id', storyId)
+    .maybeSingle();
+
+  if (!story?.spin_off_of_story_id) return [];
+
+  const { data: entities } = await supabaseAdmin
+    .from('chapter_entities')
+    .select('entity_type, entity_name, fact, chapter_number')
+    .eq('story_id', story.spin_off_of_story_id)
+    .order('chapter_number', { ascending: true });
+
+  return (entities || []).map(e => ({ ...e, from_original: true }));
+}
+
 /**
  * Build prior entity context from previously extracted entities
+ * (entities marked from_original come from a spin-off's original story)
  */
 function buildPriorEntityContext(priorEntities) {
   if (priorEntities.length === 0) return 'This is the first chapter — no prior entities established.';
@@ -256,7 +339,7 @@ function buildPriorEntityContext(priorEntities) {
     if (!grouped[key]) {
       grouped[key] = { type: entity.entity_type, name: entity.entity_name, facts: [] };
     }
-    grouped[key].facts.push(`Ch${entity.chapter_number}: ${entity.fact}`);
+    grouped[key].facts.push(`${entity.from_original ? 'Original story ' : ''}Ch${entity.chapter_number}: ${entity.fact}`);
   }
 
   const lines = Object.values(grouped).map(g =>
@@ -269,7 +352,7 @@ function buildPriorEntityContext(priorEntities) {
 /**
  * Run the actual validation call via Haiku
  */
-async function runValidation(chapterContent, chapterNumber, canonicalRef, priorEntityContext, storyTitle) {
+async function runValidation(chapterContent, chapterNumber, canonicalRef, priorEntityContext, storyTitle, { userId = null, storyId = null } = {}) {
   const prompt = `You are a continuity editor for a serialized novel. Your job is to check this chapter for factual consistency against the story bible and prior chapters.
 
 <story_bible>
@@ -320,26 +403,32 @@ Return ONLY this JSON:
 If no issues found, return empty arrays and severity "none". The overall severity is the highest severity of any individual issue found. Be precise — only flag genuine contradictions, not stylistic choices or ambiguity.`;
 
   const apiStartTime = Date.now();
-  const response = await anthropic.messages.create({
+  const validationCall = {
     model: VALIDATION_MODEL,
-    max_tokens: 4096,
-    messages: [{ role: 'user', content: prompt }]
-  });
+    prompt,
+    maxTokens: 4096,
+    operation: 'chapter_validation',
+    storyTitle,
+    userId,
+    storyId,
+    logCost: false
+  };
+  const { text: responseText, inputTokens, outputTokens } = await callLLM(validationCall);
 
   const apiDuration = ((Date.now() - apiStartTime) / 1000).toFixed(1);
-  const inputTokens = response.usage.input_tokens;
-  const outputTokens = response.usage.output_tokens;
-  const responseText = response.content[0].text;
 
   console.log(`🔍 [${storyTitle}] Ch${chapterNumber}: Haiku validation call (${apiDuration}s, ${inputTokens}+${outputTokens} tokens)`);
 
   // Parse response
-  const { parseAndValidateJSON } = require('./generation');
-  const parsed = parseAndValidateJSON(responseText, ['validation', 'entities']);
+  const { data: parsed, schemaVersion } = await parseStructured('entity_validation', responseText, {
+    reask: reaskWithLLM(validationCall, responseText),
+    label: `${storyTitle} Ch${chapterNumber}`
+  });
 
   return {
     validationResult: parsed.validation,
     entities: parsed.entities || [],
+    schemaVersion,
     inputTokens,
     outputTokens
   };
@@ -412,34 +501,33 @@ Return ONLY a JSON object:
 }`;
 
   try {
-    const response = await anthropic.messages.create({
+    const { text, cost } = await callLLM({
       model: VALIDATION_MODEL,
-      max_tokens: 16000,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
-
-    // Log cost
-    const { logApiCost } = require('./generation');
-    await logApiCost(userId, 'surgical_revision', inputTokens, outputTokens, {
+      prompt,
+      maxTokens: 16000,
+      operation: 'surgical_revision',
+      userId,
       storyId,
-      chapterNumber,
-      issueCount: criticalIssues.length
+      storyTitle,
+      costMetadata: { storyId, chapterNumber, issueCount: criticalIssues.length }
     });
 
     const { parseAndValidateJSON } = require('./generation');
-    const parsed = parseAndValidateJSON(response.content[0].text, ['revised_content']);
+    const parsed = parseAndValidateJSON(text, ['revised_content']);
 
     if (parsed.revised_content) {
-      // Update the chapter content in the database
-      const { error } = await supabaseAdmin
-        .from('chapters')
-        .update({ content: parsed.revised_content })
-        .eq('id', chapterId);
-
-      if (error) {
+      // Update the chapter content in the database (recorded as a revision)
+      try {
+        await reviseChapter({
+          chapterId,
+          content: parsed.revised_content,
+          source: 'validation',
+          authorId: userId,
+          costUsd: cost,
+          reason: `Surgical fix for ${criticalIssues.length} critical continuity issue(s)`,
+          metadata: { changes_made: parsed.changes_made || [], issues: criticalIssues.map(i => i.description) }
+        });
+      } catch (error) {
         console.error(`⚠️ [${storyTitle}] Ch${chapterNumber}: Failed to save surgical revision: ${error.message}`);
         return null;
       }
@@ -470,6 +558,7 @@ function buildRevisionSummary(validationResult) {
 
 module.exports = {
   validateChapter,
+  extractChapterEntities,
   buildCanonicalReference,
   VALIDATION_MODEL
 };
@@ -1,137 +1,61 @@
-const { anthropic } = require('../config/ai-clients');
 const { supabaseAdmin } = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
+const { reviseChapter } = require('./chapter-revisions');
+const { stripMarkdownCodeBlocks, parseStructured, reaskWithLLM } = require('./structured-output');
 
-// Haiku 4.5 pricing for ledger extraction and compression (per million tokens)
-const HAIKU_PRICING = {
-  INPUT_PER_MILLION: 1,    // Claude Haiku 4.5 input pricing
-  OUTPUT_PER_MILLION: 5,   // Claude Haiku 4.5 output pricing
-  MODEL: 'claude-haiku-4-5-20251001'
-};
-
-// Sonnet 4.5 pricing for voice review and revision (per million tokens)
-const SONNET_PRICING = {
-  INPUT_PER_MILLION: 3,    // Claude Sonnet 4.5 input pricing
-  OUTPUT_PER_MILLION: 15,  // Claude Sonnet 4.5 output pricing
-  MODEL: 'claude-sonnet-4-5-20250929'
-};
-
-/**
- * Strip markdown code blocks from Claude response before JSON parsing
- */
-function stripMarkdownCodeBlocks(text) {
-  // Remove ```json ... ``` or ``` ... ``` wrappers if present
-  const stripped = text.trim().replace(/^```(?:json)?\n?/i, '').replace(/\n?```$/i, '');
-  return stripped.trim();
-}
-
-/**
- * Calculate cost in USD for Haiku API calls
- */
-function calculateHaikuCost(inputTokens, outputTokens) {
-  const inputCost = (inputTokens / 1_000_000) * HAIKU_PRICING.INPUT_PER_MILLION;
-  const outputCost = (outputTokens / 1_000_000) * HAIKU_PRICING.OUTPUT_PER_MILLION;
-  return inputCost + outputCost;
-}
-
-/**
- * Calculate cost in USD for Sonnet API calls
- */
-function calculateSonnetCost(inputTokens, outputTokens) {
-  const inputCost = (inputTokens / 1_000_000) * SONNET_PRICING.INPUT_PER_MILLION;
-  const outputCost = (outputTokens / 1_000_000) * SONNET_PRICING.OUTPUT_PER_MILLION;
-  return inputCost + outputCost;
-}
-
-/**
- * Log API cost to database for Haiku operations
- */
-async function logHaikuCost(userId, storyId, operation, inputTokens, outputTokens, metadata = {}) {
-  const totalTokens = inputTokens + outputTokens;
-  const cost = calculateHaikuCost(inputTokens, outputTokens);
-
-  try {
-    await supabaseAdmin
-      .from('api_costs')
-      .insert({
-        user_id: userId,
-        story_id: storyId,
-        provider: 'claude',
-        model: HAIKU_PRICING.MODEL,
-        operation,
-        input_tokens: inputTokens,
-        output_tokens: outputTokens,
-        total_tokens: totalTokens,
-        cost,
-        metadata,
-        created_at: new Date().toISOString()
-      });
-  } catch (error) {
-    // Don't throw on cost logging failures - log to console instead
-    console.error('Failed to log API cost:', error);
-  }
-}
-
-/**
- * Log API cost to database for Sonnet operations
- */
-async function logApiCost(userId, storyId, operation, inputTokens, outputTokens, metadata = {}) {
-  const totalTokens = inputTokens + outputTokens;
-  const cost = calculateSonnetCost(inputTokens, outputTokens);
-
-  try {
-    await supabaseAdmin
-      .from('api_costs')
-      .insert({
-        user_id: userId,
-        story_id: storyId,
-        provider: 'claude',
-        model: SONNET_PRICING.MODEL,
-        operation,
-        input_tokens: inputTokens,
-        output_tokens: outputTokens,
-        total_tokens: totalTokens,
-        cost,
-        metadata,
-        created_at: new Date().toISOString()
-      });
-  } catch (error) {
-    // Don't throw on cost logging failures - log to console instead
-    console.error('Failed to log API cost:', error);
-  }
-}
+// Haiku for ledger extraction and compression; Sonnet for voice review and revision
 
 /**
  * For sequels: fetch the parent book's final character/world ledger state to seed Chapter 1.
  * Without this, Book 2 Chapter 1 generates with zero continuity context — the rich emotional
  * states, relationships, callbacks, and world facts from Book 1's 12 chapters are lost.
  *
+ * For spin-offs: the original story's final ledger state is canon for every chapter, not just
+ * the first — callers pass spinOffOnly once the spin-off has ledger entries of its own.
+ *
  * @param {string} storyId - The CURRENT book's story ID
  * @param {string} type - 'character' or 'world'
- * @returns {string|null} Formatted XML context block, or null if not a sequel
+ * @param {object} [options]
+ * @param {boolean} [options.spinOffOnly=false] - Return null unless the story is a spin-off
+ * @returns {string|null} Formatted XML context block, or null if not a sequel or spin-off
  */
-async function getParentBookFinalLedger(storyId, type) {
+async function getParentBookFinalLedger(storyId, type, { spinOffOnly = false } = {}) {
   try {
-    // Check if this story is a sequel
+    // Check if this story is a sequel or a spin-off
     const { data: story } = await supabaseAdmin
       .from('stories')
-      .select('parent_story_id, book_number, series_id')
+      .select('parent_story_id, book_number, series_id, spin_off_of_story_id')
       .eq('id', storyId)
       .single();
 
-    if (!story || !story.parent_story_id || !story.book_number || story.book_number <= 1) {
+    const isSpinOff = !!story?.spin_off_of_story_id;
+    if (!isSpinOff && (spinOffOnly || !story || !story.parent_story_id || !story.book_number || story.book_number <= 1)) {
       return null; // Not a sequel
     }
 
-    // For Book 3+, walk the full series chain — get ALL previous books' final ledger entries
-    const { data: previousBooks } = await supabaseAdmin
-      .from('stories')
-      .select('id, title, book_number')
-      .eq('series_id', story.series_id)
-      .lt('book_number', story.book_number)
-      .order('book_number', { ascending: true });
+    let previousBooks;
+    if (isSpinOff) {
+      // A spin-off's canon is the story it spun off from
+      const { data: original } = await supabaseAdmin
+        .from('stories')
+        .select('id, title, book_number')
+        .eq('id', story.spin_off_of_story_id)
+        .maybeSingle();
+      previousBooks = original ? [{ ...original, book_number: original.book_number || 1 }] : [];
+    } else {
+      // For Book 3+, walk the full series chain — get ALL previous books' final ledger entries
+      ({ data: previousBooks } = await supabaseAdmin
+        .from('stories')
+        .select('id, title, book_number')
+        .eq('series_id', story.series_id)
+        .lt('book_number', story.book_number)
+        .order('book_number', { ascending: true }));
+    }
 
     if (!previousBooks || previousBooks.length === 0) return null;
 
+    const bookLabel = isSpinOff ? 'spin-off' : `Book ${story.book_number}`;
+
     if (type === 'character') {
       // Fetch the final character ledger entry from each previous book
       const allEntries = [];
@@ -151,14 +75,17 @@ async function getParentBookFinalLedger(storyId, type) {
 
       if (allEntries.length === 0) return null;
 
-      console.log(`📚 Seeding Book ${story.book_number} character state from ${allEntries.length} previous book(s)`);
+      console.log(`📚 Seeding ${bookLabel} character state from ${allEntries.length} previous book(s)`);
 
       // Build a context block from previous books' final character states
       let block = `\n<character_continuity_from_previous_books>
   <instruction>
-    This is a sequel. The following shows where each character LEFT OFF at the end of previous book(s).
+${isSpinOff ? `    This is a spin-off set in the world of "${previousBooks[0].title}", centred on one of its
+    characters. The following shows where each character — including this story's protagonist —
+    LEFT OFF in that story. It is canon: their history, relationships and private knowledge
+    carry over, and nothing in this story may contradict it.` : `    This is a sequel. The following shows where each character LEFT OFF at the end of previous book(s).
     Their emotional states, relationship dynamics, private knowledge, and unresolved tensions
-    MUST carry forward into this book. Characters don't reset between books.
+    MUST carry forward into this book. Characters don't reset between books.`}
   </instruction>\n`;
 
       for (const { book, entry } of allEntries) {
@@ -197,13 +124,15 @@ async function getParentBookFinalLedger(storyId, type) {
 
       if (allEntries.length === 0) return null;
 
-      console.log(`📚 Seeding Book ${story.book_number} world state from ${allEntries.length} previous book(s)`);
+      console.log(`📚 Seeding ${bookLabel} world state from ${allEntries.length} previous book(s)`);
 
       let block = `\n<world_state_from_previous_books>
   <instruction>
-    This is a sequel. The following shows the world state at the END of previous book(s).
+${isSpinOff ? `    This is a spin-off set in the same world as "${previousBooks[0].title}". The following shows
+    the world state at the END of that story. Its facts, geography and timeline are canon and
+    MUST be respected; its unresolved promises belong to that story and need not be fulfilled here.` : `    This is a sequel. The following shows the world state at the END of previous book(s).
     All facts established, geography revealed, timeline events, and reader promises
-    MUST be respected. The world doesn't reset between books.
+    MUST be respected. The world doesn't reset between books.`}
   </instruction>\n`;
 
       for (const { book, entry } of allEntries) {
@@ -280,8 +209,9 @@ ${JSON.stringify(accumulatedCallbacks, null, 2)}
       }
     }
 
-    // Build extraction prompt
-    const extractionPrompt = `You are extracting character relationship data from a chapter of a novel.
+    // Build extraction prompt. Instructions, schema and bible characters are the same for
+    // every chapter of the story and go first as a cached prefix; the chapter follows.
+    const extractionInstructions = `You are extracting character relationship data from a chapter of a novel.
 
 <story_bible>
 <protagonist>
@@ -300,15 +230,10 @@ ${JSON.stringify(accumulatedCallbacks, null, 2)}
 ${bible.characters.supporting?.map(sc => `  <character name="${sc.name}" role="${sc.role}">${sc.personality}</character>`).join('\n') || '  None'}
 </supporting_characters>
 </story_bible>
-${previousCallbacksBlock}
 
-<chapter_content>
-${chapterContent}
-</chapter_content>
+For the chapter that follows, extract a structured ledger entry. For EACH major character who appears or is referenced:
 
-Extract a structured ledger entry for this chapter. For EACH major character who appears or is referenced:
-
-1. emotional_state — How are they feeling RIGHT NOW at the end of this chapter? ${chapterNumber > 1 ? 'Reference how this has changed from previous chapters.' : ''}
+1. emotional_state — How are they feeling RIGHT NOW at the end of this chapter?
 2. chapter_experience — What happened TO them this chapter, from THEIR perspective (not the narrator's).
 3. new_knowledge — What do they now know that they didn't before? Be specific.
 4. private_thoughts — What are they thinking that they haven't said out loud?
@@ -320,7 +245,7 @@ Also identify:
 
 Return ONLY valid JSON matching this structure:
 {
-  "chapter": ${chapterNumber},
+  "chapter": number,
   "chapter_title": "string",
   "characters": {
     "CharacterName": {
@@ -354,25 +279,34 @@ Return ONLY valid JSON matching this structure:
 
 IMPORTANT: Focus on SUBJECTIVE experience, not plot summary. We need to know how characters FEEL, not just what happened.`;
 
-    // Call Claude Haiku for extraction
-    const response = await anthropic.messages.create({
-      model: HAIKU_PRICING.MODEL,
-      max_tokens: 64000,
-      messages: [{ role: 'user', content: extractionPrompt }]
-    });
+    const extractionPrompt = `${previousCallbacksBlock}
 
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
+<chapter_content>
+${chapterContent}
+</chapter_content>
 
-    // Log API cost
-    await logHaikuCost(userId, storyId, 'ledger_extraction', inputTokens, outputTokens, {
-      chapterNumber,
-      characters_extracted: bible.characters.supporting?.length + 2 || 2
-    });
+Extract the ledger entry for Chapter ${chapterNumber}.${chapterNumber > 1 ? ' For emotional_state, reference how this has changed from previous chapters.' : ''}`;
 
-    const responseText = response.content[0].text;
-    const cleanedResponse = stripMarkdownCodeBlocks(responseText);
-    const ledgerData = JSON.parse(cleanedResponse);
+    // Call Claude Haiku for extraction
+    const extractionCall = {
+      model: 'haiku',
+      cachedPrefix: [extractionInstructions],
+      prompt: extractionPrompt,
+      maxTokens: 64000,
+      operation: 'ledger_extraction',
+      userId,
+      storyId,
+      costMetadata: {
+        chapterNumber,
+        characters_extracted: bible.characters.supporting?.length + 2 || 2
+      }
+    };
+    const { text: responseText } = await callLLM(extractionCall);
+
+    const { data: ledgerData, schemaVersion } = await parseStructured('character_ledger', responseText, {
+      reask: reaskWithLLM(extractionCall, responseText),
+      label: `Chapter ${chapterNumber} character ledger`
+    });
 
     // Smart merge: deduplicate by (source_chapter + moment), keeping newest status
     const newCallbacks = ledgerData.callback_bank || [];
@@ -409,7 +343,8 @@ IMPORTANT: Focus on SUBJECTIVE experience, not plot summary. We need to know how
         chapter_number: chapterNumber,
         ledger_data: ledgerData,
         callback_bank: mergedCallbacks,
-        token_count: tokenCount
+        token_count: tokenCount,
+        schema_version: schemaVersion
       })
       .select()
       .single();
@@ -619,6 +554,12 @@ ${JSON.stringify(callbackBank, null, 4)}
 </character_continuity>`;
     }
 
+    // A spin-off keeps the original story's final character states in view throughout
+    const spinOffCanon = await getParentBookFinalLedger(storyId, 'character', { spinOffOnly: true });
+    if (spinOffCanon) {
+      xmlBlock = `${spinOffCanon}${xmlBlock}`;
+    }
+
     return xmlBlock;
   } catch (error) {
     console.error(`⚠️ Failed to build character continuity block: ${error.message}`);
@@ -655,22 +596,19 @@ DROP:
 
 Return ONLY the compressed text summary, no JSON formatting.`;
 
-    const response = await anthropic.messages.create({
-      model: HAIKU_PRICING.MODEL,
-      max_tokens: 64000,
-      messages: [{ role: 'user', content: compressionPrompt }]
+    const { text } = await callLLM({
+      model: 'haiku',
+      prompt: compressionPrompt,
+      maxTokens: 64000,
+      operation: 'ledger_compression',
+      userId,
+      storyId,
+      costMetadata: { chapter: ledgerData.chapter },
+      // Log API cost only if userId and storyId are provided
+      logCost: Boolean(userId && storyId)
     });
 
-    // Log API cost if userId and storyId are provided
-    if (userId && storyId) {
-      const inputTokens = response.usage.input_tokens;
-      const outputTokens = response.usage.output_tokens;
-      await logHaikuCost(userId, storyId, 'ledger_compression', inputTokens, outputTokens, {
-        chapter: ledgerData.chapter
-      });
-    }
-
-    return response.content[0].text.trim();
+    return text.trim();
   } catch (error) {
     console.error(`⚠️ Ledger compression failed: ${error.message}`);
     // Fallback: return a simple summary of the chapter number
@@ -737,14 +675,9 @@ async function reviewCharacterVoices(storyId, chapterNumber, chapterContent, use
 
     ledgerHistoryBlock += '</character_continuity>';
 
-    // Build voice review prompt
-    const reviewPrompt = `You are a character authenticity reviewer for a novel-in-progress.
-
-${ledgerHistoryBlock}
-
-<new_chapter>
-${chapterContent}
-</new_chapter>
+    // Build voice review prompt. Instructions, schema and bible characters are the same for
+    // every chapter and go first as a cached prefix; the ledger history and chapter follow.
+    const reviewInstructions = `You are a character authenticity reviewer for a novel-in-progress. You will be given the character ledger history and a new chapter.
 
 <story_context>
 <protagonist>
@@ -762,7 +695,7 @@ ${bible.characters.supporting?.map(sc => `  <character name="${sc.name}" role="$
 </supporting_characters>
 </story_context>
 
-Review this chapter for character authenticity. For each major character:
+Review the new chapter for character authenticity. For each major character:
 
 1. Does their dialogue match their current emotional state (per the ledger)?
 2. Are there moments where a character acts inconsistently with their established arc?
@@ -775,7 +708,7 @@ Be surgical — only flag things that would genuinely improve the chapter. A sco
 
 Return ONLY valid JSON matching this structure:
 {
-  "chapter_reviewed": ${chapterNumber},
+  "chapter_reviewed": number,
   "voice_checks": [
     {
       "character": "CharacterName",
@@ -803,21 +736,27 @@ Return ONLY valid JSON matching this structure:
   "overall_assessment": "brief summary"
 }`;
 
-    // Call Claude Sonnet for voice review
-    const response = await anthropic.messages.create({
-      model: SONNET_PRICING.MODEL,
-      max_tokens: 64000,
-      messages: [{ role: 'user', content: reviewPrompt }]
-    });
+    const reviewPrompt = `${ledgerHistoryBlock}
+
+<new_chapter>
+${chapterContent}
+</new_chapter>
 
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
-    const responseText = response.content[0].text;
+Review Chapter ${chapterNumber}.`;
 
-    // Log API cost
-    await logApiCost(userId, storyId, 'voice_review', inputTokens, outputTokens, {
-      chapterNumber,
-      characters_reviewed: bible.characters.supporting?.length + 2 || 2
+    // Call Claude Sonnet for voice review
+    const { text: responseText } = await callLLM({
+      model: 'sonnet',
+      cachedPrefix: [reviewInstructions],
+      prompt: reviewPrompt,
+      maxTokens: 64000,
+      operation: 'voice_review',
+      userId,
+      storyId,
+      costMetadata: {
+        chapterNumber,
+        characters_reviewed: bible.characters.supporting?.length + 2 || 2
+      }
     });
 
     // Parse the response
@@ -939,48 +878,56 @@ INSTRUCTIONS:
 Return ONLY the revised chapter text. No JSON, no commentary, just the full chapter content with your surgical fixes applied.`;
 
     // Call Claude Sonnet for surgical revision
-    const response = await anthropic.messages.create({
-      model: SONNET_PRICING.MODEL,
-      max_tokens: 64000,
-      messages: [{ role: 'user', content: revisionPrompt }]
-    });
-
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
-    const revisedContent = response.content[0].text.trim();
-
-    // Log API cost
-    await logApiCost(userId, storyId, 'voice_revision', inputTokens, outputTokens, {
-      chapterNumber,
-      characters_revised: actionableIssues.length,
-      flags_count: actionableIssues.reduce((sum, i) => sum + i.flags.length + i.missed_callbacks.length, 0)
+    const { text, cost } = await callLLM({
+      model: 'sonnet',
+      prompt: revisionPrompt,
+      maxTokens: 64000,
+      operation: 'voice_revision',
+      userId,
+      storyId,
+      costMetadata: {
+        chapterNumber,
+        characters_revised: actionableIssues.length,
+        flags_count: actionableIssues.reduce((sum, i) => sum + i.flags.length + i.missed_callbacks.length, 0)
+      }
     });
+    const revisedContent = text.trim();
 
     // First fetch current metadata
     const { data: currentChapter } = await supabaseAdmin
       .from('chapters')
-      .select('metadata')
+      .select('id, metadata')
       .eq('story_id', storyId)
       .eq('chapter_number', chapterNumber)
       .single();
 
+    if (!currentChapter) {
+      throw new Error(`Chapter ${chapterNumber} not found for voice revision`);
+    }
+
+    // Update chapter with revised content (recorded as a revision)
+    await reviseChapter({
+      chapterId: currentChapter.id,
+      content: revisedContent,
+      source: 'voice_review',
+      authorId: userId,
+      costUsd: cost,
+      reason: `Voice revision for ${actionableIssues.map(i => i.character).join(', ')}`,
+      metadata: { characters_revised: actionableIssues.length }
+    });
+
     const updatedMetadata = {
-      ...(currentChapter?.metadata || {}),
+      ...(currentChapter.metadata || {}),
       voice_revision: true
     };
 
-    // Update chapter with revised content and merged metadata
     const { error: updateError } = await supabaseAdmin
       .from('chapters')
-      .update({
-        content: revisedContent,
-        metadata: updatedMetadata
-      })
-      .eq('story_id', storyId)
-      .eq('chapter_number', chapterNumber);
+      .update({ metadata: updatedMetadata })
+      .eq('id', currentChapter.id);
 
     if (updateError) {
-      throw new Error(`Failed to update chapter with revised content: ${updateError.message}`);
+      throw new Error(`Failed to update chapter metadata after voice revision: ${updateError.message}`);
     }
 
     // Update voice review record to mark revision as applied
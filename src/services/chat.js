@@ -1,7 +1,8 @@
-const { anthropic } = require('../config/ai-clients');
 const { supabaseAdmin } = require('../config/supabase');
 const { assemblePrompt, getGreeting } = require('../config/prospero');
 const peggy = require('../config/peggy');
+const { callLLM } = require('./llm-provider');
+const { getBookPlan, checkpointForStep } = require('./book-plan');
 
 // CHAT TOOLS - Anthropic format for function calling
 const CHAT_TOOLS = {
@@ -308,12 +309,14 @@ async function sendMessage(sessionId, userMessage) {
 
   // Call Claude
   console.log('🤖 Calling Claude Messages API...');
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-5-20250929',
-    max_tokens: 64000,
+  const response = await callLLM({
+    model: 'sonnet',
+    maxTokens: 64000,
     system: session.system_prompt,
-    messages: messages,
-    tools: tools
+    messages,
+    tools,
+    operation: `chat_${session.interview_type}`,
+    userId: session.user_id
   });
 
   console.log(`✅ Claude responded with ${response.content.length} content blocks`);
@@ -393,14 +396,9 @@ async function sendMessage(sessionId, userMessage) {
           .single();
 
         const currentStep = storyForCheckpoint?.generation_progress?.current_step || '';
-        // Map awaiting steps to checkpoint names
-        if (currentStep === 'awaiting_chapter_5_feedback' || currentStep.includes('generating_chapter_7')) {
-          checkpoint = 'chapter_5';
-        } else if (currentStep === 'awaiting_chapter_8_feedback' || currentStep.includes('generating_chapter_10')) {
-          checkpoint = 'chapter_8';
-        } else {
-          checkpoint = 'chapter_2'; // Only default to chapter_2 when we're actually at the first checkpoint
-        }
+        // Map awaiting/generating steps to the book plan's checkpoint names (defaults to the first checkpoint)
+        const plan = await getBookPlan(storyId);
+        checkpoint = checkpointForStep(plan, currentStep);
         console.log(`📊 Derived checkpoint from generation_progress: ${checkpoint} (step was: ${currentStep})`);
       }
 
@@ -466,11 +464,13 @@ async function sendMessage(sessionId, userMessage) {
           { role: 'user', content: farewellPrompt }
         ];
 
-        const farewellResponse = await anthropic.messages.create({
-          model: 'claude-sonnet-4-5-20250929',
-          max_tokens: 64000,
+        const farewellResponse = await callLLM({
+          model: 'sonnet',
+          maxTokens: 64000,
           system: session.system_prompt,
-          messages: farewellMessages
+          messages: farewellMessages,
+          operation: `chat_${session.interview_type}_farewell`,
+          userId: session.user_id
         });
 
         const farewellText = farewellResponse.content.find(block => block.type === 'text')?.text || '';
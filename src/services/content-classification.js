@@ -1,11 +1,7 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const { supabaseAdmin } = require('../config/supabase');
+const { callLLM, MODELS } = require('./llm-provider');
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
-
-const MODEL = 'claude-sonnet-4-5-20250929';
+const MODEL = MODELS.sonnet;
 
 /**
  * Get existing classification for a story if one exists
@@ -51,7 +47,7 @@ async function classifyStoryContent(storyId) {
   // Fetch the story
   const { data: story, error: storyError } = await supabaseAdmin
     .from('stories')
-    .select('id, title')
+    .select('id, title, user_id')
     .eq('id', storyId)
     .single();
 
@@ -128,14 +124,17 @@ ${fullStoryText}`;
   console.log(`🤖 [${story.title}] Calling Claude for content classification...`);
   const apiStartTime = Date.now();
 
-  const response = await anthropic.messages.create({
+  const { text: responseText } = await callLLM({
     model: MODEL,
-    max_tokens: 1024,
-    messages
+    messages,
+    maxTokens: 1024,
+    operation: 'content_classification',
+    userId: story.user_id,
+    storyId,
+    storyTitle: story.title
   });
 
   const apiDuration = ((Date.now() - apiStartTime) / 1000).toFixed(1);
-  const responseText = response.content[0].text;
 
   console.log(`🤖 [${story.title}] Classification complete (${apiDuration}s)`);
 
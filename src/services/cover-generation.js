@@ -1,5 +1,16 @@
-const { openai, anthropic } = require('../config/ai-clients');
+const { openai } = require('../config/ai-clients');
 const { supabaseAdmin } = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
+const { assertWithinBudget } = require('./ai-budgets');
+
+const COVER_BUCKET = 'book-covers';
+
+/**
+ * Storage path of a story's generated cover
+ */
+function coverFileName(storyId) {
+  return `covers/${storyId}.png`;
+}
 
 // OpenAI DALL-E 3 / gpt-image-1 pricing (as of Feb 2026)
 // HD quality, 1024×1536 (similar to 1024×1792): $0.12 per image
@@ -37,11 +48,11 @@ async function logImageCost(userId, storyId, operation, metadata = {}) {
 async function ensureBucketExists() {
   try {
     const { data: buckets } = await supabaseAdmin.storage.listBuckets();
-    const exists = buckets?.some(b => b.name === 'book-covers');
+    const exists = buckets?.some(b => b.name === COVER_BUCKET);
 
     if (!exists) {
       console.log('📦 Creating book-covers storage bucket...');
-      const { error } = await supabaseAdmin.storage.createBucket('book-covers', {
+      const { error } = await supabaseAdmin.storage.createBucket(COVER_BUCKET, {
         public: true,
         fileSizeLimit: 5242880 // 5MB
       });
@@ -64,7 +75,7 @@ async function ensureBucketExists() {
  * for the cover: art style, color palette, composition concept, typography personality.
  * Each brief is unique because each bible is unique.
  */
-async function generateCoverCreativeBrief(title, genre, bible) {
+async function generateCoverCreativeBrief(title, genre, bible, storyId = null) {
   const protagonist = bible?.characters?.protagonist || {};
   const antagonist = bible?.characters?.antagonist || {};
   const locations = bible?.key_locations || [];
@@ -122,14 +133,18 @@ Return ONLY a JSON object:
 
   try {
     const startTime = Date.now();
-    const response = await anthropic.messages.create({
+    // Sonnet is cheap — ~$0.003 per brief; the provider logs the cost
+    const { text } = await callLLM({
       model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      messages: [{ role: 'user', content: briefPrompt }]
+      prompt: briefPrompt,
+      maxTokens: 1000,
+      operation: 'cover_creative_brief',
+      priority: 'background',
+      storyId,
+      storyTitle: title
     });
 
     const elapsed = Date.now() - startTime;
-    const text = response.content[0]?.text || '';
     console.log(`🎨 Art director brief generated in ${elapsed}ms (${text.length} chars)`);
 
     // Parse the JSON response
@@ -141,10 +156,6 @@ Return ONLY a JSON object:
 
     const brief = JSON.parse(jsonMatch[0]);
 
-    // Log the cost (Sonnet is cheap — ~$0.003 per brief)
-    const inputTokens = response.usage?.input_tokens || 0;
-    const outputTokens = response.usage?.output_tokens || 0;
-
     return brief;
   } catch (error) {
     console.warn(`🎨 Art director brief failed (non-fatal): ${error.message}`);
@@ -165,11 +176,20 @@ async function generateBookCover(storyId, storyDetails, authorName) {
 
   console.log(`🎨 Generating cover for "${title}" by ${authorName}`);
 
+  // Fetch the owner up front: covers count against the user's and story's AI budgets
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('user_id')
+    .eq('id', storyId)
+    .single();
+
+  await assertWithinBudget({ userId: story?.user_id, storyId });
+
   // Ensure the storage bucket exists
   await ensureBucketExists();
 
   // Step 0: Get creative brief from Claude art director
-  const creativeBrief = await generateCoverCreativeBrief(title, genre, bible);
+  const creativeBrief = await generateCoverCreativeBrief(title, genre, bible, storyId);
 
   // Step 1: Generate the image with OpenAI using the creative brief
   const prompt = creativeBrief
@@ -193,13 +213,7 @@ async function generateBookCover(storyId, storyDetails, authorName) {
     throw new Error('OpenAI returned no image data');
   }
 
-  // Log cost for image generation (fetch userId from story)
-  const { data: story } = await supabaseAdmin
-    .from('stories')
-    .select('user_id')
-    .eq('id', storyId)
-    .single();
-
+  // Log cost for image generation
   if (story?.user_id) {
     await logImageCost(story.user_id, storyId, 'cover_generation', {
       title,
@@ -213,11 +227,11 @@ async function generateBookCover(storyId, storyDetails, authorName) {
   const imageBuffer = Buffer.from(b64_json, 'base64');
 
   // Step 3: Upload to Supabase Storage
-  const fileName = `covers/${storyId}.png`;
+  const fileName = coverFileName(storyId);
 
   const { data: uploadData, error: uploadError } = await supabaseAdmin
     .storage
-    .from('book-covers')
+    .from(COVER_BUCKET)
     .upload(fileName, imageBuffer, {
       contentType: 'image/png',
       upsert: true // Overwrite if regenerating
@@ -230,7 +244,7 @@ async function generateBookCover(storyId, storyDetails, authorName) {
   // Step 4: Get the public URL
   const { data: urlData } = supabaseAdmin
     .storage
-    .from('book-covers')
+    .from(COVER_BUCKET)
     .getPublicUrl(fileName);
 
   const publicUrl = urlData.publicUrl;
@@ -368,7 +382,43 @@ REQUIREMENTS:
 - Include padding so no text is cut off`;
 }
 
+/**
+ * Download a story's stored cover image, e.g. for exports.
+ * Forks keep their original's cover_image_url, so the path comes from the URL when there is one.
+ *
+ * @param {string} storyId
+ * @param {string|null} coverImageUrl - stories.cover_image_url
+ * @returns {Promise<{ data: Buffer, contentType: string }|null>} null when there's no cover
+ */
+async function downloadBookCover(storyId, coverImageUrl = null) {
+  if (!coverImageUrl) return null;
+
+  const marker = `/${COVER_BUCKET}/`;
+  const index = coverImageUrl.indexOf(marker);
+  const fileName = index >= 0
+    ? decodeURIComponent(coverImageUrl.slice(index + marker.length).split('?')[0])
+    : coverFileName(storyId);
+
+  const { data, error } = await supabaseAdmin
+    .storage
+    .from(COVER_BUCKET)
+    .download(fileName);
+
+  if (error || !data) {
+    console.warn(`⚠️ Could not download cover ${fileName}: ${error?.message || 'no data'}`);
+    return null;
+  }
+
+  return {
+    data: Buffer.from(await data.arrayBuffer()),
+    contentType: data.type || 'image/png'
+  };
+}
+
 module.exports = {
+  COVER_BUCKET,
+  coverFileName,
+  downloadBookCover,
   generateBookCover,
   buildCoverPromptFromBrief,
   buildCoverPromptFallback,
@@ -0,0 +1,489 @@
+/**
+ * EXPERIMENTS — A/B tests on generation_config feature flags
+ *
+ * An experiment splits new stories between weighted variants, each a set of feature flag
+ * values merged into the story's generation_config (the pipeline already reads those flags
+ * with `config.<flag> !== false`):
+ *
+ *   { name: 'voice_review_off', status: 'running',
+ *     variants: [{ name: 'control', weight: 50, config: {} },
+ *                { name: 'no_voice_review', weight: 50, config: { voice_review: false } }],
+ *     targeting: { percentage: 20, reading_levels: ['young_adult'], genres: ['fantasy'] } }
+ *
+ * prose_directive can only be turned off: with the flag on, generation_config.prose_directive
+ * holds the generated directive itself, so a variant may set it to false and nothing else.
+ *
+ * Assignment happens once per story, at the start of orchestratePreGeneration, and only
+ * before its arc or first chapter exists — a story already underway (a resume) is marked
+ * assigned with no experiments, so flags never change partway through a book:
+ *   - cohort: the story's reading level and genre must match the targeting lists (empty
+ *     matches all), and the user must fall in the percentage (a stable hash of user + experiment)
+ *   - variant: sticky per user — the first assignment is stored in experiment_assignments
+ *     and reused for every later story of theirs
+ *   - experiments are applied oldest first; one that sets a flag an earlier experiment
+ *     already set is skipped for that story, so variants never mix
+ * The story records { experimentName: variant } in generation_config.experiments and a row
+ * in experiment_stories, which the reports group by.
+ *
+ * Reports join each variant's stories to their latest quality_snapshots, story_feedback
+ * engagement and api_costs.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+
+const EXPERIMENT_FLAGS = [
+  'character_ledger',
+  'world_ledger',
+  'voice_review',
+  'three_pass_constraints',
+  'prose_directive',
+  'bible_refresh',
+  'arc_enrichment',
+  'entity_validation',
+  'adaptive_preferences'
+];
+
+// Flags whose generation_config key holds generated data when on — variants may only set false
+const OFF_ONLY_FLAGS = ['prose_directive'];
+
+const EXPERIMENT_STATUSES = ['draft', 'running', 'paused', 'completed'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,62}$/;
+const BUCKETS = 10000;
+
+/**
+ * Check one variant flag value. Returns an error message, or null if it's valid.
+ */
+function flagValueError(variantName, flag, value) {
+  if (!EXPERIMENT_FLAGS.includes(flag)) {
+    return `variant "${variantName}" sets unknown flag "${flag}" (expected one of ${EXPERIMENT_FLAGS.join(', ')})`;
+  }
+  if (typeof value !== 'boolean') return `variant "${variantName}" flag "${flag}" must be true or false`;
+  if (value !== false && OFF_ONLY_FLAGS.includes(flag)) {
+    return `variant "${variantName}" flag "${flag}" can only be set to false`;
+  }
+  return null;
+}
+
+/**
+ * Check an experiment definition. Returns an error message, or null if it's valid.
+ */
+function validateExperiment({ name, variants, targeting = {} }) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    return 'name must be a lowercase slug (letters, digits, - and _)';
+  }
+
+  if (!Array.isArray(variants) || variants.length < 2) {
+    return 'variants must list at least two variants';
+  }
+
+  const names = new Set();
+  for (const variant of variants) {
+    if (!variant || typeof variant.name !== 'string' || !variant.name) return 'every variant needs a name';
+    if (names.has(variant.name)) return `duplicate variant "${variant.name}"`;
+    names.add(variant.name);
+
+    if (typeof variant.weight !== 'number' || variant.weight <= 0) {
+      return `variant "${variant.name}" needs a positive weight`;
+    }
+    for (const [flag, value] of Object.entries(variant.config || {})) {
+      const flagError = flagValueError(variant.name, flag, value);
+      if (flagError) return flagError;
+    }
+  }
+
+  if (targeting === null || typeof targeting !== 'object' || Array.isArray(targeting)) {
+    return 'targeting must be an object';
+  }
+  const { percentage = 100, reading_levels: readingLevels = [], genres = [] } = targeting;
+  if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+    return 'targeting.percentage must be between 0 and 100';
+  }
+  if (!Array.isArray(readingLevels) || !Array.isArray(genres)) {
+    return 'targeting.reading_levels and targeting.genres must be lists';
+  }
+
+  return null;
+}
+
+/**
+ * Stable bucket in [0, BUCKETS) for a user within an experiment
+ */
+function hashBucket(...parts) {
+  const hex = crypto.createHash('sha256').update(parts.join(':')).digest('hex').slice(0, 8);
+  return parseInt(hex, 16) % BUCKETS;
+}
+
+/**
+ * Whether a user's story falls in an experiment's cohort
+ */
+function inCohort(experiment, userId, { readingLevel = null, genre = null } = {}) {
+  const { percentage = 100, reading_levels: readingLevels = [], genres = [] } = experiment.targeting || {};
+
+  if (readingLevels.length > 0 && !readingLevels.includes(readingLevel)) return false;
+  if (genres.length > 0 && !genres.map(g => g.toLowerCase()).includes((genre || '').toLowerCase())) return false;
+
+  return hashBucket(experiment.name, 'cohort', userId) < percentage * (BUCKETS / 100);
+}
+
+/**
+ * Weighted, deterministic variant for a user
+ */
+function pickVariant(experiment, userId) {
+  const { variants } = experiment;
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  let point = (hashBucket(experiment.name, 'variant', userId) / BUCKETS) * total;
+
+  for (const variant of variants) {
+    if (point < variant.weight) return variant;
+    point -= variant.weight;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Merge variant flags into a generation_config, oldest experiment first. An experiment
+ * whose variant sets a flag an earlier one already set, or a flag value validateExperiment
+ * wouldn't accept (a row saved before the check existed), is skipped.
+ *
+ * @param {object} config - The story's generation_config
+ * @param {Array<{ experiment, variant }>} assignments
+ * @returns {{ config: object, applied: Array, skipped: Array }}
+ */
+function applyAssignments(config, assignments) {
+  const merged = { ...config, experiments: { ...(config.experiments || {}) } };
+  const setBy = {};
+  const applied = [];
+  const skipped = [];
+
+  for (const assignment of assignments) {
+    const flags = Object.keys(assignment.variant.config || {});
+    const invalid = flags
+      .map(flag => flagValueError(assignment.variant.name, flag, assignment.variant.config[flag]))
+      .find(Boolean);
+    if (invalid) {
+      skipped.push({ ...assignment, reason: invalid });
+      continue;
+    }
+
+    const conflict = flags.find(flag => setBy[flag]);
+    if (conflict) {
+      skipped.push({ ...assignment, reason: `flag "${conflict}" already set by ${setBy[conflict]}` });
+      continue;
+    }
+
+    for (const flag of flags) {
+      merged[flag] = assignment.variant.config[flag];
+      setBy[flag] = assignment.experiment.name;
+    }
+    merged.experiments[assignment.experiment.name] = assignment.variant.name;
+    applied.push(assignment);
+  }
+
+  return { config: merged, applied, skipped };
+}
+
+/**
+ * The user's sticky variant for an experiment, assigning one on first use
+ */
+async function userVariant(experiment, userId) {
+  const { data: existing } = await supabaseAdmin
+    .from('experiment_assignments')
+    .select('variant')
+    .eq('experiment_id', experiment.id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  let variantName = existing?.variant;
+
+  if (!variantName) {
+    const picked = pickVariant(experiment, userId);
+    const { error } = await supabaseAdmin
+      .from('experiment_assignments')
+      .insert({ experiment_id: experiment.id, user_id: userId, variant: picked.name });
+
+    if (error) {
+      // Another story of this user's was assigned concurrently — use that assignment
+      const { data: raced } = await supabaseAdmin
+        .from('experiment_assignments')
+        .select('variant')
+        .eq('experiment_id', experiment.id)
+        .eq('user_id', userId)
+        .maybeSingle();
+      variantName = raced?.variant || picked.name;
+    } else {
+      variantName = picked.name;
+    }
+  }
+
+  // A variant removed since the user was assigned leaves them out of the experiment
+  return experiment.variants.find(v => v.name === variantName) || null;
+}
+
+/**
+ * Whether a story's pipeline has got past the point where experiments can be assigned:
+ * it has an arc or any chapter.
+ *
+ * @param {object} story - stories row: current_arc_id, generation_progress
+ * @param {number} chapterCount - Chapters stored for the story
+ */
+function generationStarted(story, chapterCount = 0) {
+  const progress = story.generation_progress || {};
+  return !!(story.current_arc_id || progress.arc_complete || progress.chapters_generated > 0 || chapterCount > 0);
+}
+
+/**
+ * Enrol a new story in the running experiments it qualifies for. Runs once per story
+ * (generation_config.experiments marks it done); a story whose generation has already
+ * started is marked done with no experiments. Never throws — an experiment problem
+ * must not block generation.
+ *
+ * @returns {Promise<object>} { experimentName: variant } for the story
+ */
+async function assignStoryExperiments(storyId, userId) {
+  try {
+    const { data: story } = await supabaseAdmin
+      .from('stories')
+      .select('title, genre, generation_config, generation_progress, current_arc_id')
+      .eq('id', storyId)
+      .maybeSingle();
+
+    if (!story) return {};
+    const config = story.generation_config || {};
+    if (config.experiments) return config.experiments;
+
+    const { count: chapterCount, error: chapterError } = await supabaseAdmin
+      .from('chapters')
+      .select('id', { count: 'exact', head: true })
+      .eq('story_id', storyId);
+
+    if (chapterError) throw new Error(chapterError.message);
+
+    if (generationStarted(story, chapterCount || 0)) {
+      // Resumed mid-book (e.g. resumeStalledGenerations) — enrolling now would switch flags
+      // partway through the story and blur the reports
+      const { error: markError } = await supabaseAdmin
+        .from('stories')
+        .update({ generation_config: { ...config, experiments: {} } })
+        .eq('id', storyId);
+
+      if (markError) throw new Error(markError.message);
+      return {};
+    }
+
+    const { data: experiments, error } = await supabaseAdmin
+      .from('experiments')
+      .select('*')
+      .eq('status', 'running')
+      .order('started_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    const { data: userPrefs } = await supabaseAdmin
+      .from('user_preferences')
+      .select('reading_level, preferences')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    const cohort = {
+      readingLevel: userPrefs?.reading_level || userPrefs?.preferences?.readingLevel || null,
+      genre: story.genre
+    };
+
+    const assignments = [];
+    for (const experiment of experiments || []) {
+      if (!inCohort(experiment, userId, cohort)) continue;
+      const variant = await userVariant(experiment, userId);
+      if (variant) assignments.push({ experiment, variant });
+    }
+
+    const { config: assigned, applied, skipped } = applyAssignments(config, assignments);
+
+    const { error: updateError } = await supabaseAdmin
+      .from('stories')
+      .update({ generation_config: assigned })
+      .eq('id', storyId);
+
+    if (updateError) throw new Error(updateError.message);
+
+    if (applied.length > 0) {
+      await supabaseAdmin
+        .from('experiment_stories')
+        .upsert(applied.map(({ experiment, variant }) => ({
+          experiment_id: experiment.id,
+          story_id: storyId,
+          user_id: userId,
+          variant: variant.name
+        })), { onConflict: 'experiment_id,story_id', ignoreDuplicates: true });
+
+      console.log(`🧪 [${story.title}] Experiments: ${applied.map(a => `${a.experiment.name}=${a.variant.name}`).join(', ')}`);
+    }
+    for (const { experiment, reason } of skipped) {
+      console.log(`🧪 [${story.title}] Skipped experiment ${experiment.name}: ${reason}`);
+    }
+
+    return assigned.experiments;
+  } catch (error) {
+    console.error(`❌ Experiment assignment failed for story ${storyId}: ${error.message}`);
+    return {};
+  }
+}
+
+function average(values) {
+  const present = values.filter(v => v != null && !Number.isNaN(Number(v))).map(Number);
+  return present.length > 0 ? present.reduce((a, b) => a + b, 0) / present.length : null;
+}
+
+function round(value, places = 4) {
+  return value == null ? null : Math.round(value * 10 ** places) / 10 ** places;
+}
+
+/**
+ * Per-variant quality, engagement and cost for an experiment.
+ *
+ * @param {object} experiment
+ * @param {object} rows
+ * @param {Array} rows.stories - experiment_stories rows
+ * @param {Array} rows.snapshots - quality_snapshots rows (any order; the latest per story is used)
+ * @param {Array} rows.feedback - story_feedback rows: story_id, response, follow_up_action
+ * @param {Array} rows.costs - api_costs rows: story_id, cost
+ * @param {Array} rows.chapters - chapters rows: story_id
+ */
+function summarizeExperiment(experiment, { stories = [], snapshots = [], feedback = [], costs = [], chapters = [] }) {
+  const latestSnapshot = new Map();
+  for (const snapshot of snapshots) {
+    const current = latestSnapshot.get(snapshot.story_id);
+    if (!current || String(snapshot.snapshot_date) > String(current.snapshot_date)) {
+      latestSnapshot.set(snapshot.story_id, snapshot);
+    }
+  }
+
+  const groupByStory = (rows) => {
+    const grouped = new Map();
+    for (const row of rows) {
+      if (!grouped.has(row.story_id)) grouped.set(row.story_id, []);
+      grouped.get(row.story_id).push(row);
+    }
+    return grouped;
+  };
+  const feedbackByStory = groupByStory(feedback);
+  const costsByStory = groupByStory(costs);
+  const chaptersByStory = groupByStory(chapters);
+
+  const variants = experiment.variants.map(variant => {
+    const storyIds = stories.filter(s => s.variant === variant.name).map(s => s.story_id);
+    const storySnapshots = storyIds.map(id => latestSnapshot.get(id)).filter(Boolean);
+    const storyFeedback = storyIds.flatMap(id => feedbackByStory.get(id) || []);
+    const totalCost = storyIds
+      .flatMap(id => costsByStory.get(id) || [])
+      .reduce((sum, c) => sum + (parseFloat(c.cost) || 0), 0);
+    const chapterCount = storyIds.reduce((sum, id) => sum + (chaptersByStory.get(id) || []).length, 0);
+    const answered = storyFeedback.filter(f => f.response && f.response !== 'skipped');
+
+    return {
+      name: variant.name,
+      config: variant.config || {},
+      stories: storyIds.length,
+      users: new Set(stories.filter(s => s.variant === variant.name).map(s => s.user_id)).size,
+      quality: {
+        snapshots: storySnapshots.length,
+        ai_quality_avg: round(average(storySnapshots.map(s => s.ai_quality_avg)), 2),
+        voice_authenticity_avg: round(average(storySnapshots.map(s => s.voice_authenticity_avg))),
+        revision_rate: round(average(storySnapshots.map(s => s.revision_rate))),
+        completion_rate: round(average(storySnapshots.map(s => s.completion_rate)))
+      },
+      engagement: {
+        feedback_responses: answered.length,
+        feedback_per_story: storyIds.length > 0 ? round(answered.length / storyIds.length, 2) : null,
+        skipped_rate: storyFeedback.length > 0
+          ? round(storyFeedback.filter(f => f.response === 'skipped').length / storyFeedback.length)
+          : null,
+        different_story_rate: storyFeedback.length > 0
+          ? round(storyFeedback.filter(f => f.follow_up_action === 'different_story').length / storyFeedback.length)
+          : null
+      },
+      cost: {
+        total_usd: round(totalCost),
+        per_story_usd: storyIds.length > 0 ? round(totalCost / storyIds.length) : null,
+        chapters: chapterCount,
+        per_chapter_usd: chapterCount > 0 ? round(totalCost / chapterCount) : null
+      }
+    };
+  });
+
+  // Differences against the first variant (the control)
+  const [control] = variants;
+  for (const variant of variants.slice(1)) {
+    const diff = (a, b) => (a == null || b == null ? null : round(a - b));
+    variant.vs_control = {
+      ai_quality_avg: diff(variant.quality.ai_quality_avg, control.quality.ai_quality_avg),
+      completion_rate: diff(variant.quality.completion_rate, control.quality.completion_rate),
+      feedback_per_story: diff(variant.engagement.feedback_per_story, control.engagement.feedback_per_story),
+      per_chapter_usd: diff(variant.cost.per_chapter_usd, control.cost.per_chapter_usd)
+    };
+  }
+
+  return {
+    experiment: {
+      id: experiment.id,
+      name: experiment.name,
+      status: experiment.status,
+      started_at: experiment.started_at || null,
+      ended_at: experiment.ended_at || null
+    },
+    total_stories: stories.length,
+    variants
+  };
+}
+
+/**
+ * Load everything an experiment report needs and summarize it.
+ *
+ * @returns {Promise<object|null>} null if the experiment doesn't exist
+ */
+async function getExperimentReport(experimentId) {
+  const { data: experiment } = await supabaseAdmin
+    .from('experiments')
+    .select('*')
+    .eq('id', experimentId)
+    .maybeSingle();
+
+  if (!experiment) return null;
+
+  const { data: stories, error } = await supabaseAdmin
+    .from('experiment_stories')
+    .select('story_id, user_id, variant')
+    .eq('experiment_id', experimentId);
+
+  if (error) throw new Error(`Failed to load experiment stories: ${error.message}`);
+  if (!stories || stories.length === 0) return summarizeExperiment(experiment, {});
+
+  const storyIds = stories.map(s => s.story_id);
+  const [snapshots, feedback, costs, chapters] = await Promise.all([
+    supabaseAdmin.from('quality_snapshots').select('story_id, snapshot_date, ai_quality_avg, voice_authenticity_avg, revision_rate, completion_rate').in('story_id', storyIds),
+    supabaseAdmin.from('story_feedback').select('story_id, response, follow_up_action').in('story_id', storyIds),
+    supabaseAdmin.from('api_costs').select('story_id, cost').in('story_id', storyIds),
+    supabaseAdmin.from('chapters').select('story_id').in('story_id', storyIds)
+  ]);
+
+  return summarizeExperiment(experiment, {
+    stories,
+    snapshots: snapshots.data || [],
+    feedback: feedback.data || [],
+    costs: costs.data || [],
+    chapters: chapters.data || []
+  });
+}
+
+module.exports = {
+  EXPERIMENT_FLAGS,
+  EXPERIMENT_STATUSES,
+  validateExperiment,
+  generationStarted,
+  inCohort,
+  pickVariant,
+  applyAssignments,
+  assignStoryExperiments,
+  summarizeExperiment,
+  getExperimentReport
+};
@@ -10,12 +10,10 @@
  * - Collision handling: regenerate up to 2 times, then append number suffix
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
 const supabase = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const NAME_MODEL = 'claude-sonnet-4-20250514';
 
 /**
  * Generates 3 fantasy name options for a user
@@ -85,17 +83,16 @@ ${personalizedContext ? personalizedContext + '\n' : ''}Generate exactly 3 optio
     }
 
     // 3. Call Claude API
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 200,
+    const { text } = await callLLM({
+      model: NAME_MODEL,
+      prompt: basePrompt,
+      maxTokens: 200,
       temperature: 0.9, // Higher temperature for more creative names
-      messages: [{
-        role: 'user',
-        content: basePrompt
-      }]
+      operation: 'fantasy_name_generation',
+      userId
     });
 
-    const rawNames = response.content[0].text.trim();
+    const rawNames = text.trim();
     console.log('🎭 Raw Claude response:', rawNames);
 
     // Parse the response (one name per line)
@@ -146,14 +143,16 @@ ${personalizedContext ? personalizedContext + '\n' : ''}Generate exactly 3 optio
             // Try regenerating just this one name
             const retryPrompt = `You are Prospero. Generate a single fantasy display name (like "Thornwick" or "Amberly Dusk"). It should be evocative and memorable, NOT a real human name. Just return the name, nothing else.`;
 
-            const retryResponse = await anthropic.messages.create({
-              model: 'claude-sonnet-4-20250514',
-              max_tokens: 50,
+            const { text: retryText } = await callLLM({
+              model: NAME_MODEL,
+              prompt: retryPrompt,
+              maxTokens: 50,
               temperature: 0.9,
-              messages: [{ role: 'user', content: retryPrompt }]
+              operation: 'fantasy_name_regeneration',
+              userId
             });
 
-            name = retryResponse.content[0].text.trim();
+            name = retryText.trim();
             console.log(`🔄 Regenerated name: "${name}"`);
           } else {
             // Max retries reached, append number suffix
@@ -0,0 +1,290 @@
+/**
+ * GENERATION EVENTS — Per-story event bus for live generation progress
+ *
+ * updateGenerationProgress, storyLog and generateChapter publish here; the
+ * GET /story/generation-stream/:storyId SSE endpoint subscribes.
+ *
+ * Event types:
+ *   progress      — generation_progress transition (with timing for the step that just ended)
+ *   log           — a storyLog line
+ *   chapter_text  — partial chapter text while generateChapter is streaming from Claude
+ *
+ * progress and log events get a per-story id and are kept in a ring buffer so a client
+ * reconnecting with Last-Event-ID can be replayed what it missed. Ids are "<epoch>:<seq>":
+ * the epoch names this instance's copy of the stream, so an id handed out by another
+ * instance, a previous process, or a stream that was purged and started over is recognised
+ * as foreign and the client is told to resync from the snapshot instead of being replayed
+ * the wrong events. chapter_text deltas are NOT buffered (a chapter is ~100 deltas);
+ * instead we keep the accumulated text per story and hand a reconnecting client one
+ * catch-up snapshot.
+ *
+ * In-memory and per-instance, like story-logger. The SSE route polls the stories row as a
+ * fallback so progress written by another instance (or a direct generation_progress update)
+ * still reaches the client — recordProgress() dedupes on last_updated.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const MAX_EVENTS_PER_STORY = 200;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+const STALE_THRESHOLD_MS = 30 * 60 * 1000; // 30 minutes
+
+// Distinguishes this process from other instances and from itself before a restart
+const INSTANCE_ID = crypto.randomBytes(4).toString('hex');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open SSE connection
+
+// Map<storyId, { epoch, seq, events, lastActivity, lastProgressUpdate, currentStep, stepStartedAt, partial }>
+const streams = new Map();
+
+function getStream(storyId) {
+  if (!streams.has(storyId)) {
+    streams.set(storyId, {
+      epoch: `${INSTANCE_ID}-${Date.now().toString(36)}`,
+      seq: 0,
+      events: [],
+      lastActivity: Date.now(),
+      lastProgressUpdate: null,
+      currentStep: null,
+      stepStartedAt: null,
+      partial: null
+    });
+  }
+  const stream = streams.get(storyId);
+  stream.lastActivity = Date.now();
+  return stream;
+}
+
+/**
+ * Publish a replayable event (progress, log) for a story.
+ *
+ * @param {string} storyId
+ * @param {string} type - Event type
+ * @param {object} data - Event payload (JSON-serializable)
+ * @returns {{ id: string, seq: number, type: string, data: object }} The published event
+ */
+function publishGenerationEvent(storyId, type, data) {
+  if (!storyId) return null;
+
+  const stream = getStream(storyId);
+  stream.seq++;
+  const event = { id: `${stream.epoch}:${stream.seq}`, seq: stream.seq, type, data: { ...data, at: new Date().toISOString() } };
+
+  stream.events.push(event);
+  if (stream.events.length > MAX_EVENTS_PER_STORY) {
+    stream.events = stream.events.slice(-MAX_EVENTS_PER_STORY);
+  }
+
+  emitter.emit(storyId, event);
+  return event;
+}
+
+/**
+ * Record a generation_progress write. Publishes a progress event unless this exact
+ * write (same last_updated, or same content when unstamped) was already published, and attaches step timings:
+ * when current_step changes, the duration of the step that just ended.
+ *
+ * @param {string} storyId
+ * @param {object} progress - The generation_progress object as written
+ */
+function recordProgress(storyId, progress) {
+  if (!storyId || !progress) return null;
+
+  // Direct generation_progress writes don't stamp last_updated — fall back to the content
+  const version = progress.last_updated || JSON.stringify(progress);
+  const stream = getStream(storyId);
+  if (version === stream.lastProgressUpdate) {
+    return null;
+  }
+  stream.lastProgressUpdate = version;
+
+  const now = Date.now();
+  const step = progress.current_step || null;
+  let timing = null;
+
+  if (step !== stream.currentStep) {
+    if (stream.currentStep && stream.stepStartedAt) {
+      timing = { step: stream.currentStep, durationMs: now - stream.stepStartedAt };
+    }
+    stream.currentStep = step;
+    stream.stepStartedAt = now;
+  }
+
+  // A finished chapter makes its partial text obsolete
+  if (stream.partial && progress.chapters_generated >= stream.partial.chapterNumber) {
+    stream.partial = null;
+  }
+
+  return publishGenerationEvent(storyId, 'progress', {
+    step,
+    progress,
+    previousStepTiming: timing
+  });
+}
+
+/**
+ * Append streamed chapter text. Not buffered as individual events — see header.
+ *
+ * @param {string} storyId
+ * @param {number} chapterNumber
+ * @param {number} attempt - regenerationCount; a new attempt restarts the text
+ * @param {string} delta - Newly generated text
+ * @param {object} [options]
+ * @param {boolean} [options.restart] - A new stream began (API retry) — discard accumulated text
+ */
+function appendChapterText(storyId, chapterNumber, attempt, delta, { restart = false } = {}) {
+  if (!storyId) return;
+
+  const stream = getStream(storyId);
+  if (restart || !stream.partial || stream.partial.chapterNumber !== chapterNumber || stream.partial.attempt !== attempt) {
+    stream.partial = { chapterNumber, attempt, text: '' };
+  }
+
+  if (!delta) return;
+
+  const offset = stream.partial.text.length;
+  stream.partial.text += delta;
+
+  emitter.emit(storyId, {
+    id: null,
+    type: 'chapter_text',
+    data: { chapterNumber, attempt, offset, text: delta }
+  });
+}
+
+/**
+ * Split an event id into its epoch and sequence number.
+ *
+ * @param {string} id - "<epoch>:<seq>"
+ * @returns {{ epoch: string, seq: number }|null} null when the id isn't in that form
+ */
+function parseEventId(id) {
+  const match = /^(.+):(\d+)$/.exec(String(id ?? ''));
+  return match ? { epoch: match[1], seq: Number(match[2]) } : null;
+}
+
+/**
+ * Events a reconnecting client missed.
+ *
+ * @param {string} storyId
+ * @param {string|null} lastEventId - The client's Last-Event-ID (null on first connect)
+ * @returns {{ events: Array, gap: boolean }} gap=true when the ring buffer no longer holds
+ *   everything after lastEventId, or the id came from another instance or an earlier process —
+ *   the client should treat the snapshot as authoritative.
+ */
+function getEventsSince(storyId, lastEventId) {
+  if (lastEventId == null || lastEventId === '') {
+    return { events: [], gap: false };
+  }
+
+  const stream = streams.get(storyId);
+  const last = parseEventId(lastEventId);
+  if (!stream || !last || last.epoch !== stream.epoch) {
+    return { events: [], gap: true };
+  }
+
+  const oldest = stream.events.length > 0 ? stream.events[0].seq : stream.seq + 1;
+  const gap = last.seq > stream.seq || last.seq < oldest - 1;
+
+  return {
+    events: stream.events.filter(e => e.seq > last.seq),
+    gap
+  };
+}
+
+/**
+ * Accumulated text of the chapter currently being generated, if any.
+ */
+function getPartialChapter(storyId) {
+  const stream = streams.get(storyId);
+  return stream?.partial ? { ...stream.partial } : null;
+}
+
+/**
+ * Subscribe to a story's live events.
+ *
+ * @returns {Function} unsubscribe
+ */
+function subscribeToGeneration(storyId, listener) {
+  emitter.on(storyId, listener);
+  return () => emitter.off(storyId, listener);
+}
+
+/**
+ * Incremental extractor for the "content" string of the chapter JSON Claude streams back.
+ * Feed it raw text deltas; it returns the decoded content text that arrived in each delta.
+ */
+function createChapterContentExtractor() {
+  let buffer = '';
+  let state = 'seeking'; // seeking → in_content → done
+  let scanFrom = 0;
+  let pendingEscape = '';
+
+  const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f' };
+
+  return function extract(delta) {
+    buffer += delta;
+    let out = '';
+
+    if (state === 'seeking') {
+      const match = /"content"\s*:\s*"/.exec(buffer);
+      if (!match) return '';
+      state = 'in_content';
+      scanFrom = match.index + match[0].length;
+    }
+
+    if (state !== 'in_content') return '';
+
+    let i = scanFrom;
+    while (i < buffer.length) {
+      const ch = buffer[i];
+
+      if (pendingEscape) {
+        pendingEscape += ch;
+        if (pendingEscape[1] === 'u') {
+          if (pendingEscape.length < 6) { i++; continue; }
+          out += String.fromCharCode(parseInt(pendingEscape.slice(2), 16));
+        } else {
+          out += ESCAPES[pendingEscape[1]] ?? pendingEscape[1];
+        }
+        pendingEscape = '';
+      } else if (ch === '\\') {
+        pendingEscape = '\\';
+      } else if (ch === '"') {
+        state = 'done';
+        i++;
+        break;
+      } else {
+        out += ch;
+      }
+      i++;
+    }
+
+    scanFrom = i;
+    return out;
+  };
+}
+
+// Auto-purge stale streams every 10 minutes (unref'd so it doesn't hold Node/Jest open)
+const purgeTimer = setInterval(() => {
+  const now = Date.now();
+  for (const [storyId, stream] of streams) {
+    if (now - stream.lastActivity > STALE_THRESHOLD_MS && emitter.listenerCount(storyId) === 0) {
+      streams.delete(storyId);
+    }
+  }
+}, PURGE_INTERVAL_MS);
+purgeTimer.unref();
+
+module.exports = {
+  publishGenerationEvent,
+  recordProgress,
+  appendChapterText,
+  parseEventId,
+  getEventsSince,
+  getPartialChapter,
+  subscribeToGeneration,
+  createChapterContentExtractor
+};
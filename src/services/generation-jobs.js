@@ -0,0 +1,239 @@
+/**
+ * GENERATION JOBS — Job types for the durable generation queue
+ *
+ * Maps queue job types onto the existing generation pipeline:
+ *   pre_generation    → bible (if missing) → orchestratePreGeneration (arc + chapters 1-3)
+ *   checkpoint_batch  → editor brief → generateBatch for the next batch after a checkpoint
+ *   chapter_rewrite   → rewriteChapter (reader-requested whole-chapter redo)
+ *   book_export       → runPendingExports (PDF / DOCX / Markdown files for download)
+ *   manuscript_import → continueImportedManuscript (reader's own chapters → bible, arc, next batch)
+ *
+ * All handlers are resumable. orchestratePreGeneration reads generation_progress to skip
+ * finished steps and generateChapter skips chapters that already exist, so a retried or
+ * re-claimed job continues from where the previous attempt stopped.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { registerJobHandler, enqueueJob } = require('./job-queue');
+const { getStoryLogs } = require('./story-logger');
+
+const JOB_TYPES = {
+  PRE_GENERATION: 'pre_generation',
+  CHECKPOINT_BATCH: 'checkpoint_batch',
+  CHAPTER_REWRITE: 'chapter_rewrite',
+  BOOK_EXPORT: 'book_export',
+  MANUSCRIPT_IMPORT: 'manuscript_import'
+};
+
+/**
+ * Before a retry attempt, put an error'd story back into the active state
+ * (the previous attempt's catch handlers set status='error').
+ */
+async function reactivateStoryForRetry(job) {
+  if (job.attempts <= 1) return;
+
+  await supabaseAdmin
+    .from('stories')
+    .update({ status: 'active', error_message: null })
+    .eq('id', job.story_id)
+    .eq('status', 'error');
+}
+
+/**
+ * pre_generation: generate the bible if it doesn't exist yet, then run the
+ * initial pipeline (codex, prose directive, arc, chapters 1-3).
+ */
+async function runPreGeneration(job) {
+  const { story_id: storyId, user_id: userId, payload = {} } = job;
+  const { generateStoryBibleForExistingStory, orchestratePreGeneration } = require('./generation');
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id, title, bible_id, premise_id, status')
+    .eq('id', storyId)
+    .maybeSingle();
+
+  if (!story) {
+    console.log(`📬 Story ${storyId} no longer exists — nothing to generate`);
+    return;
+  }
+
+  if (story.status === 'archived') {
+    console.log(`📬 [${story.title}] Story archived — skipping pre-generation`);
+    return;
+  }
+
+  await reactivateStoryForRetry(job);
+
+  // Sequels insert their bible directly without setting stories.bible_id, so check the table
+  const { data: existingBible } = await supabaseAdmin
+    .from('story_bibles')
+    .select('id')
+    .eq('story_id', storyId)
+    .maybeSingle();
+
+  if (!story.bible_id && !existingBible) {
+    const premiseId = payload.premiseId || story.premise_id;
+    if (!premiseId) {
+      throw new Error('Cannot generate bible: story has no premise');
+    }
+    await generateStoryBibleForExistingStory(storyId, premiseId, userId);
+    console.log(`📚 Bible generated for story ${storyId}, starting chapter generation...`);
+  }
+
+  await orchestratePreGeneration(storyId, userId);
+}
+
+/**
+ * checkpoint_batch: generate the chapters that follow a reader checkpoint.
+ */
+async function runCheckpointBatchJob(job) {
+  const { story_id: storyId, user_id: userId, payload = {} } = job;
+  const { runCheckpointBatch } = require('../routes/feedback');
+
+  await reactivateStoryForRetry(job);
+  await runCheckpointBatch(storyId, userId, payload.startChapter, payload.endChapter);
+}
+
+/**
+ * chapter_rewrite: regenerate one chapter from the reader's instructions.
+ * A retry skips the generation if the previous attempt already stored the rewrite.
+ */
+async function runChapterRewriteJob(job) {
+  const { story_id: storyId, user_id: userId, payload = {} } = job;
+  const { rewriteChapter } = require('./chapter-rewrite');
+
+  await rewriteChapter(storyId, payload.chapterNumber, userId, payload.instructions, { jobId: job.id });
+}
+
+/**
+ * book_export: render the story's pending export requests.
+ */
+async function runBookExportJob(job) {
+  const { runPendingExports } = require('./book-export');
+
+  await runPendingExports(job.story_id);
+}
+
+/**
+ * manuscript_import: continue a story from the reader's imported chapters.
+ */
+async function runManuscriptImportJob(job) {
+  const { continueImportedManuscript } = require('./manuscript-import');
+
+  await reactivateStoryForRetry(job);
+  await continueImportedManuscript(job.story_id, job.user_id);
+}
+
+/**
+ * Once a job is dead-lettered, surface it on the story so the client stops waiting.
+ */
+async function markStoryPermanentlyFailed(job, error) {
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('generation_progress')
+    .eq('id', job.story_id)
+    .maybeSingle();
+
+  if (!story) return;
+
+  await supabaseAdmin
+    .from('stories')
+    .update({
+      status: 'error',
+      error_message: `Generation failed permanently after ${job.attempts} attempts. Last error: ${error.message}. Needs manual investigation.`,
+      generation_progress: {
+        ...(story.generation_progress || {}),
+        current_step: 'permanently_failed',
+        permanently_failed_at: new Date().toISOString(),
+        last_error: error.message,
+        error_logs: getStoryLogs(job.story_id)
+      }
+    })
+    .eq('id', job.story_id);
+}
+
+/**
+ * Queue the initial pipeline for a story.
+ *
+ * @param {string} storyId
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.premiseId] - Needed when the bible hasn't been generated yet
+ */
+async function enqueuePreGeneration(storyId, userId, { premiseId = null } = {}) {
+  return enqueueJob(JOB_TYPES.PRE_GENERATION, {
+    storyId,
+    userId,
+    payload: premiseId ? { premiseId } : {}
+  });
+}
+
+/**
+ * Queue the chapter batch that follows a checkpoint.
+ */
+async function enqueueCheckpointBatch(storyId, userId, { checkpoint, startChapter, endChapter }) {
+  return enqueueJob(JOB_TYPES.CHECKPOINT_BATCH, {
+    storyId,
+    userId,
+    payload: { checkpoint, startChapter, endChapter }
+  });
+}
+
+/**
+ * Queue a reader-requested chapter rewrite. One rewrite per story at a time —
+ * deduplicated is true if one is already queued or running.
+ */
+async function enqueueChapterRewrite(storyId, userId, { chapterNumber, instructions }) {
+  return enqueueJob(JOB_TYPES.CHAPTER_REWRITE, {
+    storyId,
+    userId,
+    payload: { chapterNumber, instructions },
+    maxAttempts: 3
+  });
+}
+
+/**
+ * Queue the story's export job. One per story at a time — it renders every export
+ * requested for the story, including ones requested while it runs.
+ */
+async function enqueueBookExport(storyId, userId) {
+  return enqueueJob(JOB_TYPES.BOOK_EXPORT, {
+    storyId,
+    userId,
+    maxAttempts: 3
+  });
+}
+
+/**
+ * Queue the import of a reader's manuscript (see manuscript-import.js).
+ */
+async function enqueueManuscriptImport(storyId, userId) {
+  return enqueueJob(JOB_TYPES.MANUSCRIPT_IMPORT, {
+    storyId,
+    userId
+  });
+}
+
+/**
+ * Register all generation handlers with the queue. Call once before startJobWorker().
+ */
+function registerGenerationJobHandlers() {
+  registerJobHandler(JOB_TYPES.PRE_GENERATION, runPreGeneration, { onDeadLetter: markStoryPermanentlyFailed });
+  registerJobHandler(JOB_TYPES.CHECKPOINT_BATCH, runCheckpointBatchJob, { onDeadLetter: markStoryPermanentlyFailed });
+  // A failed rewrite leaves the original chapter in place — nothing to mark on the story
+  registerJobHandler(JOB_TYPES.CHAPTER_REWRITE, runChapterRewriteJob);
+  // Failed exports are recorded on their book_exports rows
+  registerJobHandler(JOB_TYPES.BOOK_EXPORT, runBookExportJob);
+  registerJobHandler(JOB_TYPES.MANUSCRIPT_IMPORT, runManuscriptImportJob, { onDeadLetter: markStoryPermanentlyFailed });
+}
+
+module.exports = {
+  JOB_TYPES,
+  registerGenerationJobHandlers,
+  enqueuePreGeneration,
+  enqueueCheckpointBatch,
+  enqueueChapterRewrite,
+  enqueueBookExport,
+  enqueueManuscriptImport
+};
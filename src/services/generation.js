@@ -1,8 +1,14 @@
-const { anthropic } = require('../config/ai-clients');
 const { supabaseAdmin } = require('../config/supabase');
 const { reportToPeggy } = require('../middleware/peggy-error-reporter');
 const { storyLog, getStoryLogs, clearStoryLogs } = require('./story-logger');
+const { callLLM, MODELS, getModelPricing, calculateModelCost, logLLMCost, cachedUserMessage } = require('./llm-provider');
+const { recordProgress, appendChapterText, createChapterContentExtractor } = require('./generation-events');
 const { extractChapterConstraints, validateChapterConstraints, buildConstraintsBlock } = require('./chapter-constraints');
+const bookPlan = require('./book-plan');
+const { runWithPriority } = require('./llm-scheduler');
+const { renderPrompt } = require('./prompt-registry');
+const { parseJSON, attemptJsonRepair, parseStructured, reaskWithLLM } = require('./structured-output');
+const { lintProse, describeViolation, buildProseRevisionNotes, loadProseLintRules, saveChapterProseLint } = require('./prose-lint');
 const crypto = require('crypto');
 
 /**
@@ -34,242 +40,68 @@ function mapAgeRange(ageCategory) {
 }
 
 /**
- * Scan chapter content for prose craft violations
+ * Scan chapter content for prose craft violations (rule engine in prose-lint.js)
  * @param {string} chapterContent - The generated chapter text
- * @returns {object} { passed: boolean, violations: string[] }
+ * @param {object} [proseDirective] - Story prose directive; its guardrails retune some rules
+ * @param {object} [options] - { rules, readingLevel, genre } — rules default to the built-ins
+ * @returns {object} { passed: boolean, violations: string[], lint } — passed is false only for
+ *   'error' rules; lint holds every finding with excerpts
  */
-function scanForProseViolations(chapterContent, proseDirective = null) {
-  const violations = [];
-  const guardrails = proseDirective?.prose_guardrails || {};
-
-  // 1. Count em dashes (—) — limit depends on story voice
-  const emDashCount = (chapterContent.match(/—/g) || []).length;
-  const emDashTolerance = guardrails.em_dash_tolerance || 'avoid';
-  const emDashLimit = emDashTolerance === 'embrace' ? 999
-    : emDashTolerance === 'moderate' ? 20
-    : 15; // 'avoid' — still generous for the scanner, prompt handles the tighter guidance
-  if (emDashCount > emDashLimit) {
-    violations.push(`Em dashes: ${emDashCount} (limit: ${emDashLimit})`);
-  }
-
-  // 2. Count "Not X, but Y" and "Not X — Y" patterns (universal AI tell)
-  const notButPattern = /Not [a-zA-Z]+(?:,| —) (?:but|just) /gi;
-  const notButMatches = (chapterContent.match(notButPattern) || []).length;
-  if (notButMatches > 3) {
-    violations.push(`"Not X, but Y" constructions: ${notButMatches} (limit: 3)`);
-  }
-
-  // 3. Count "something in" (universal AI tell)
-  const somethingInPattern = /something in (?:his|her|their|my|your) /gi;
-  const somethingInMatches = (chapterContent.match(somethingInPattern) || []).length;
-  if (somethingInMatches > 2) {
-    violations.push(`"Something in [X]" constructions: ${somethingInMatches} (limit: 2)`);
-  }
-
-  // 4. Count "the kind of" (universal AI tell)
-  const kindOfPattern = /the kind of/gi;
-  const kindOfMatches = (chapterContent.match(kindOfPattern) || []).length;
-  if (kindOfMatches > 2) {
-    violations.push(`"The kind of" constructions: ${kindOfMatches} (limit: 2)`);
-  }
+function scanForProseViolations(chapterContent, proseDirective = null, options = {}) {
+  const lint = lintProse(chapterContent, { ...options, proseDirective });
+  const blocking = lint.violations.filter(v => v.severity === 'error');
 
   return {
-    passed: violations.length === 0,
-    violations
+    passed: lint.passed,
+    violations: blocking.map(describeViolation),
+    lint
   };
 }
 
-// Model and pricing configuration
-// Model is read from environment so it can be changed without redeployment
-const GENERATION_MODEL = process.env.CLAUDE_GENERATION_MODEL || 'claude-opus-4-6';
+// Model and pricing configuration lives in llm-provider (model roles + per-model pricing).
+// The generation model is read from environment so it can be changed without redeployment.
+const GENERATION_MODEL = MODELS.generation;
+const GENERATION_PRICING = getModelPricing(GENERATION_MODEL);
 
-// Claude Opus 4.6 pricing (per million tokens) — as of Feb 2026
-// IMPORTANT: Update these if you change the model
 const PRICING = {
-  INPUT_PER_MILLION: 5,    // was 15 (WRONG — that was Opus 4.5 pricing)
-  OUTPUT_PER_MILLION: 25,  // was 75 (WRONG — that was Opus 4.5 pricing)
+  INPUT_PER_MILLION: GENERATION_PRICING.INPUT_PER_MILLION,
+  OUTPUT_PER_MILLION: GENERATION_PRICING.OUTPUT_PER_MILLION,
   MODEL: GENERATION_MODEL
 };
 
 /**
- * Calculate cost in USD for Claude API call
+ * Calculate cost in USD for a generation-model call
  */
 function calculateCost(inputTokens, outputTokens) {
-  const inputCost = (inputTokens / 1_000_000) * PRICING.INPUT_PER_MILLION;
-  const outputCost = (outputTokens / 1_000_000) * PRICING.OUTPUT_PER_MILLION;
-  return inputCost + outputCost;
+  return calculateModelCost(GENERATION_MODEL, inputTokens, outputTokens);
 }
 
 /**
- * Log API cost to database
+ * Log generation-model API cost to database.
+ * cacheUsage is { cacheWriteTokens, cacheReadTokens } from callClaudeWithRetry, for
+ * calls that send cached prompt sections.
  */
-async function logApiCost(userId, operation, inputTokens, outputTokens, metadata = {}) {
-  const totalTokens = inputTokens + outputTokens;
-  const cost = calculateCost(inputTokens, outputTokens);
-
-  try {
-    await supabaseAdmin
-      .from('api_costs')
-      .insert({
-        user_id: userId,
-        story_id: metadata.storyId || null,
-        provider: 'claude',
-        model: PRICING.MODEL,
-        operation,
-        input_tokens: inputTokens,
-        output_tokens: outputTokens,
-        total_tokens: totalTokens,
-        cost,
-        metadata,
-        created_at: new Date().toISOString()
-      });
-  } catch (error) {
-    // Don't throw on cost logging failures - log to console instead
-    console.error('Failed to log API cost:', error);
-  }
+async function logApiCost(userId, operation, inputTokens, outputTokens, metadata = {}, cacheUsage = {}) {
+  await logLLMCost({
+    userId,
+    storyId: metadata.storyId || null,
+    model: GENERATION_MODEL,
+    operation,
+    inputTokens,
+    outputTokens,
+    cacheWriteTokens: cacheUsage.cacheWriteTokens || 0,
+    cacheReadTokens: cacheUsage.cacheReadTokens || 0,
+    metadata
+  });
 }
 
 /**
- * Parse and validate JSON response from Claude
- * Handles both raw JSON and markdown-wrapped JSON (```json ... ```)
- */
-/**
- * Attempt to repair common JSON issues (truncation, unclosed strings, etc.)
+ * Parse a JSON response from Claude (raw, markdown-wrapped or truncated — see
+ * parseJSON in structured-output.js) and check top-level required fields.
+ * Prefer parseStructured with a schema for anything that gets stored.
  */
-function attemptJsonRepair(jsonString) {
-  let repaired = jsonString;
-
-  // 1. Remove any trailing content after the last complete top-level closing brace
-  // Find the last } that could be the root object close
-  let braceDepth = 0;
-  let lastValidClose = -1;
-  let inString = false;
-  let escapeNext = false;
-
-  for (let i = 0; i < repaired.length; i++) {
-    if (escapeNext) { escapeNext = false; continue; }
-    if (repaired[i] === '\\') { escapeNext = true; continue; }
-    if (repaired[i] === '"') { inString = !inString; continue; }
-    if (inString) continue;
-    if (repaired[i] === '{') braceDepth++;
-    if (repaired[i] === '}') {
-      braceDepth--;
-      if (braceDepth === 0) { lastValidClose = i; break; }
-    }
-  }
-
-  if (lastValidClose > 0 && lastValidClose < repaired.length - 1) {
-    console.log(`🔧 JSON repair: Truncating ${repaired.length - lastValidClose - 1} chars after root close`);
-    repaired = repaired.substring(0, lastValidClose + 1);
-  }
-
-  // 2. If braces never balanced, try to close open structures
-  if (lastValidClose === -1) {
-    // Count unclosed braces and brackets
-    braceDepth = 0;
-    let bracketDepth = 0;
-    inString = false;
-    escapeNext = false;
-
-    for (let i = 0; i < repaired.length; i++) {
-      if (escapeNext) { escapeNext = false; continue; }
-      if (repaired[i] === '\\') { escapeNext = true; continue; }
-      if (repaired[i] === '"') { inString = !inString; continue; }
-      if (inString) continue;
-      if (repaired[i] === '{') braceDepth++;
-      if (repaired[i] === '}') braceDepth--;
-      if (repaired[i] === '[') bracketDepth++;
-      if (repaired[i] === ']') bracketDepth--;
-    }
-
-    // If we're inside a string, close it
-    if (inString) {
-      console.log('🔧 JSON repair: Closing unclosed string');
-      repaired += '"';
-    }
-
-    // Close any open brackets and braces
-    for (let i = 0; i < bracketDepth; i++) repaired += ']';
-    for (let i = 0; i < braceDepth; i++) repaired += '}';
-
-    if (braceDepth > 0 || bracketDepth > 0) {
-      console.log(`🔧 JSON repair: Closed ${bracketDepth} brackets and ${braceDepth} braces`);
-    }
-  }
-
-  // 3. Fix trailing commas before } or ]
-  repaired = repaired.replace(/,\s*([}\]])/g, '$1');
-
-  return repaired;
-}
-
 function parseAndValidateJSON(jsonString, requiredFields = []) {
-  let parsed;
-  let extractedContent = null;
-  let originalError = null;
-
-  // DEBUG: Log raw input details
-  console.log('🔍 DEBUG parseAndValidateJSON:');
-  console.log(`   Input length: ${jsonString.length} chars`);
-  console.log(`   First 100 chars: "${jsonString.substring(0, 100)}"`);
-  console.log(`   Last 50 chars: "${jsonString.substring(Math.max(0, jsonString.length - 50))}"`);
-
-  // Step 1: Trim input to remove leading/trailing whitespace
-  const trimmed = jsonString.trim();
-  console.log(`   After trim length: ${trimmed.length} chars`);
-
-  // Step 2: Try direct JSON.parse() first (handles raw JSON)
-  try {
-    parsed = JSON.parse(trimmed);
-    console.log('   ✅ Direct JSON.parse() succeeded');
-  } catch (e) {
-    originalError = e;
-    console.log(`   ❌ Direct JSON.parse() failed: ${e.message}`);
-
-    // Step 3: Try to extract JSON from markdown code blocks
-    // Matches: ```json\n{...}\n``` or ```{...}``` or incomplete blocks like ```json\n{...}
-    // The closing ``` is optional (?:\n?```)? and anchored to end of string with $
-    const codeBlockMatch = trimmed.match(/```(?:json)?\s*\n?([\s\S]*?)(?:\n?```)?$/);
-
-    console.log(`   Markdown regex match: ${codeBlockMatch ? 'SUCCESS' : 'FAILED'}`);
-    if (codeBlockMatch) {
-      console.log(`   Captured groups: ${codeBlockMatch.length}`);
-      console.log(`   Group[1] length: ${codeBlockMatch[1]?.length || 0} chars`);
-      console.log(`   Group[1] first 100: "${codeBlockMatch[1]?.substring(0, 100)}"`);
-    }
-
-    if (codeBlockMatch && codeBlockMatch[1]) {
-      // Step 4: Parse the extracted JSON content
-      extractedContent = codeBlockMatch[1].trim();
-      console.log(`   Attempting to parse extracted content (${extractedContent.length} chars)...`);
-
-      try {
-        parsed = JSON.parse(extractedContent);
-        console.log('   ✅ Markdown extraction and parse succeeded');
-      } catch (e2) {
-        console.log(`   ❌ Failed to parse extracted JSON: ${e2.message}`);
-        // Don't throw yet - will try repair next
-      }
-    }
-
-    // Step 5: If both attempts failed, try JSON repair
-    if (!parsed) {
-      const contentToRepair = extractedContent || trimmed;
-      console.log('🔧 Attempting JSON repair...');
-      const repaired = attemptJsonRepair(contentToRepair);
-
-      try {
-        parsed = JSON.parse(repaired);
-        console.log('✅ JSON repair succeeded!');
-      } catch (repairError) {
-        console.error('❌ JSON repair also failed:', repairError.message);
-        // NOW throw the original error
-        throw new Error(`Failed to parse JSON even after repair: ${originalError.message}`);
-      }
-    }
-  }
-
-  console.log('   ✅ Parsing complete, validating required fields...');
+  const parsed = parseJSON(jsonString);
 
   // Validate required fields if specified
   for (const field of requiredFields) {
@@ -278,95 +110,55 @@ function parseAndValidateJSON(jsonString, requiredFields = []) {
     }
   }
 
-  console.log('   ✅ Validation complete\n');
   return parsed;
 }
 
 /**
- * Call Claude API with retry logic
+ * Call the generation model with retry logic.
+ * Cost is logged by the caller (logApiCost) so it can attach step-specific metadata.
  */
 async function callClaudeWithRetry(messages, maxTokens, metadata = {}) {
-  const maxAttempts = 4;
-  let lastError;
-  const delays = [2000, 10000, 30000]; // More aggressive backoff: 2s, 10s, 30s
-  const storyTitle = metadata.storyTitle || 'Unknown';
-
-  for (let i = 0; i < maxAttempts; i++) {
-    try {
-      // Wait before retry (except first attempt)
-      if (i > 0 && delays[i - 1]) {
-        const waitSeconds = (delays[i - 1] / 1000).toFixed(0);
-        if (error.status === 429 || error.type === 'rate_limit_error') {
-          console.log(`⏳ [${storyTitle}] Rate limited, waiting ${waitSeconds}s before retry...`);
-        }
-        await new Promise(resolve => setTimeout(resolve, delays[i - 1]));
-      }
-
-      // Calculate prompt length
-      const promptLength = JSON.stringify(messages).length;
-      console.log(`🤖 [${storyTitle}] Claude API call → (${promptLength.toLocaleString()} chars)`);
-
-      const apiStartTime = Date.now();
-      const response = await anthropic.messages.create({
-        model: PRICING.MODEL,
-        max_tokens: maxTokens,
-        messages
-      });
-
-      const apiDuration = ((Date.now() - apiStartTime) / 1000).toFixed(1);
-      const inputTokens = response.usage.input_tokens;
-      const outputTokens = response.usage.output_tokens;
-      const cost = calculateCost(inputTokens, outputTokens);
-      const responseLength = response.content[0].text.length;
-
-      console.log(`🤖 [${storyTitle}] Claude API responded ← (${responseLength.toLocaleString()} chars, ${apiDuration}s)`);
-
-      return {
-        response: response.content[0].text,
-        inputTokens,
-        outputTokens,
-        cost
-      };
-    } catch (error) {
-      lastError = error;
-
-      // Retry on rate limits, overloaded errors, or network timeouts
-      const shouldRetry =
-        error.status === 529 ||
-        error.status === 429 ||
-        error.type === 'overloaded_error' ||
-        error.type === 'rate_limit_error' ||
-        error.code === 'ETIMEDOUT' ||
-        error.code === 'ECONNRESET';
-
-      if (!shouldRetry || i === maxAttempts - 1) {
-        throw error;
-      }
-
-      console.log(`⚠️ [${storyTitle}] Claude API retry ${i + 1}/${maxAttempts} — reason: ${error.message}`);
-    }
-  }
+  const { text, inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, cost } = await callLLM({
+    model: 'generation',
+    messages,
+    maxTokens,
+    operation: metadata.operation,
+    storyTitle: metadata.storyTitle,
+    onText: metadata.onText,
+    logCost: false
+  });
 
-  throw lastError;
+  return {
+    response: text,
+    inputTokens,
+    outputTokens,
+    cacheUsage: { cacheWriteTokens, cacheReadTokens },
+    cost
+  };
 }
 
 /**
  * Update story generation progress
  */
 async function updateGenerationProgress(storyId, progressData) {
+  require('./job-queue').throwIfLeaseLost();
+
+  const progress = {
+    ...progressData,
+    last_updated: new Date().toISOString()
+  };
+
   const { error } = await supabaseAdmin
     .from('stories')
-    .update({
-      generation_progress: {
-        ...progressData,
-        last_updated: new Date().toISOString()
-      }
-    })
+    .update({ generation_progress: progress })
     .eq('id', storyId);
 
   if (error) {
     console.error('Failed to update generation progress:', error);
+    return;
   }
+
+  recordProgress(storyId, progress);
 }
 
 /**
@@ -1010,171 +802,19 @@ async function generateStoryBible(premiseId, userId) {
   const belovedStories = preferencesUsed?.belovedStories || [];
   console.log(`📊 Bible generation - Reading Level: ${readingLevel}, Age Range (compat): ${ageRange}`);
 
-  const prompt = `You are an expert world-builder and story architect creating a foundation for compelling fiction.
-
-Create a comprehensive story bible for this premise:
-
-<premise>
-  <title>${premise.title}</title>
-  <description>${premise.description}</description>
-  <genre>${premise.genre}</genre>
-  <themes>${premise.themes.join(', ')}</themes>
-  <reading_level>
-    Reading Level: ${readingLevel}
-    Age Range: ${ageRange}
-    Beloved Stories: ${belovedStories.join(', ') || 'not specified'}
-
-    CALIBRATE ALL PROSE TO THIS READING LEVEL. Here's what each level means:
-
-    early_reader: Short chapters (800-1200 words). Simple sentences averaging 8-12 words. Concrete vocabulary — show don't tell through action and dialogue, not internal monologue. Think Magic Tree House, Diary of a Wimpy Kid.
-
-    middle_grade: Standard chapters (1500-2500 words). Sentences average 12-16 words with variety. Accessible vocabulary with occasional "stretch" words that context makes clear. Emotions shown through behavior and some internal thought. Think Percy Jackson, early Harry Potter.
-
-    upper_middle_grade: Fuller chapters (2000-3000 words). Sentence variety with some complex structures. Moral ambiguity can be introduced. Internal conflict goes deeper. Think later Harry Potter, Hunger Games, Eragon.
-
-    young_adult: Rich chapters (2500-4000 words). Full sentence complexity. Unreliable narrators OK. Sophisticated vocabulary used naturally. Deep thematic exploration. Think Six of Crows, Throne of Glass.
-
-    new_adult/adult: No prose constraints. Full literary range.
-
-    IMPORTANT: If the reader mentioned specific beloved stories, match THAT prose level, not a generic age-based level. A 12-year-old who loves Hunger Games should get prose closer to Suzanne Collins than to Jeff Kinney.
-  </reading_level>
-</premise>
-
-The story bible should include:
-
-1. WORLD RULES: The fundamental rules of this story's world (magic systems, technology, society structure)
-
-2. PROTAGONIST (Deep Psychology Required):
-   - Name, age, personality, strengths, flaws, goals, fears
-   - INTERNAL CONTRADICTION: What opposing forces war inside them? (e.g., "craves independence but fears abandonment")
-   - THE LIE THEY BELIEVE: What false belief about themselves holds them back? (e.g., "I'm not brave enough", "I have to do everything alone")
-   - DEEPEST FEAR vs. STATED FEAR: What they're REALLY afraid of vs. what they say/think they fear
-   - VOICE NOTES: How do they speak? Vocabulary level, sentence rhythm, verbal tics?
-
-3. ANTAGONIST (Sympathetic Depth Required):
-   - Name, motivation, methods, backstory
-   - WHY THEY BELIEVE THEY'RE RIGHT: The antagonist should think they're justified. What's their moral framework?
-   - WHAT WOULD MAKE READERS ALMOST SYMPATHIZE: What wound or belief drives them? What makes them human, not evil?
-   - POINT OF NO RETURN: What event locked them into this path?
-
-4. SUPPORTING CHARACTERS (2-3 key characters):
-   - Name, role, personality
-   - RELATIONSHIP DYNAMIC WITH PROTAGONIST: Not just "friend" or "mentor"—how do they challenge/complement/frustrate the protagonist? What's the emotional texture of their bond?
-   - THEIR OWN GOAL: Supporting characters aren't props. What do THEY want?
-
-5. CENTRAL CONFLICT: The main problem/challenge the protagonist must overcome
-
-6. STAKES: What happens if the protagonist fails? What's at risk?
-
-7. THEMES: Core themes to explore throughout the story
-
-8. KEY LOCATIONS (3-5 settings):
-   - Name, visual description, significance
-   - SENSORY DETAILS: What does this place SOUND like? SMELL like? FEEL like (temperature, texture, atmosphere)?
-   - Not just what it looks like—make it visceral and immersive
-
-9. TIMELINE: Story timeframe and key events
-
-10. NARRATIVE VOICE & PROSE STYLE:
-   This is the DNA of how the story SOUNDS. Not what happens—how it's told.
-
-   - POINT OF VIEW: Which POV best serves this story? (close third, first person, omniscient, etc.) WHY this choice?
-   - TONAL REGISTER: Where does the narrator sit on these spectrums?
-     * Formal ←→ Conversational
-     * Earnest ←→ Wry/Ironic
-     * Lush/Lyrical ←→ Spare/Direct
-     * Warm ←→ Cool/Detached
-   - SENTENCE RHYTHM: Short and punchy? Long and rolling? Musical with varied cadence? Match this to genre—thrillers crack with short sentences, literary fiction breathes with longer ones.
-   - NARRATIVE PERSONALITY: Does the narrator have attitude? Wisdom? Humor? Mystery? A great narrator isn't invisible—they have a VOICE. Think of the difference between the narrators of "A Series of Unfortunate Events" vs. "The Hunger Games" vs. "The Name of the Wind."
-   - SIGNATURE TECHNIQUES: What 2-3 prose techniques should define this story's style?
-     * Examples: vivid sensory anchors, dry wit in description, unreliable narrator hints, poetic chapter openings, cliffhanger endings, internal monologue that argues with itself, second-person asides to the reader
-   - WHAT THIS STORY SHOULD NEVER SOUND LIKE: Anti-patterns to avoid. (e.g., "Never clinical or detached—this story should feel like a campfire tale" or "Never melodramatic—tension comes from restraint, not exclamation marks")
-
-Create a rich, psychologically complex world that will support a 12-chapter story for ages ${ageRange}. Every character should feel like they have an interior life. The world should feel tangible and lived-in. The narrative voice should be distinctive enough that a reader could identify this story by its SOUND, not just its plot.
-
-Return ONLY a JSON object in this exact format:
-{
-  "title": "${premise.title}",
-  "world_rules": {
-    "magic_system": "description if applicable",
-    "technology_level": "description",
-    "society_structure": "description",
-    "unique_rules": ["rule1", "rule2"]
-  },
-  "characters": {
-    "protagonist": {
-      "name": "string",
-      "age": number,
-      "personality": "string",
-      "strengths": ["strength1", "strength2"],
-      "flaws": ["flaw1", "flaw2"],
-      "goals": "string",
-      "fears": "string",
-      "internal_contradiction": "opposing forces within them",
-      "lie_they_believe": "false belief holding them back",
-      "deepest_fear": "what they're REALLY afraid of (vs. what they say)",
-      "voice_notes": "how they speak—vocabulary, rhythm, quirks"
-    },
-    "antagonist": {
-      "name": "string",
-      "motivation": "string",
-      "methods": "string",
-      "backstory": "string",
-      "why_they_believe_theyre_right": "their moral justification",
-      "sympathetic_element": "what makes them human/wounded",
-      "point_of_no_return": "event that locked them on this path"
-    },
-    "supporting": [
-      {
-        "name": "string",
-        "role": "string",
-        "personality": "string",
-        "relationship_dynamic": "how they interact with protagonist—not just 'friend' but emotional texture",
-        "their_own_goal": "what THEY want (supporting chars aren't props)"
-      }
-    ]
-  },
-  "central_conflict": {
-    "description": "string",
-    "inciting_incident": "string",
-    "complications": ["complication1", "complication2"]
-  },
-  "stakes": {
-    "personal": "string",
-    "broader": "string",
-    "emotional": "string"
-  },
-  "themes": ["theme1", "theme2", "theme3"],
-  "key_locations": [
-    {
-      "name": "string",
-      "description": "string",
-      "significance": "string",
-      "sensory_details": {
-        "sounds": "what you hear here",
-        "smells": "what you smell",
-        "tactile": "temperature, texture, atmospheric feel"
-      }
-    }
-  ],
-  "timeline": {
-    "total_duration": "string",
-    "key_milestones": ["milestone1", "milestone2"]
-  },
-  "narrative_voice": {
-    "pov": "point of view choice and why",
-    "tonal_register": "where the narrator sits on formal/casual, earnest/wry, lush/spare, warm/cool spectrums",
-    "sentence_rhythm": "the cadence and pacing of prose",
-    "narrative_personality": "the narrator's distinctive attitude or quality",
-    "signature_techniques": ["technique 1", "technique 2"],
-    "never_sounds_like": "anti-patterns to avoid in this story's voice"
-  }
-}`;
+  // The legacy path always plans a 12-chapter book
+  const { text: prompt, versions: promptVersions } = renderPrompt('story_bible', {
+    premise,
+    readingLevel,
+    ageRange,
+    belovedStories,
+    totalChapters: 12
+  });
 
   const messages = [{ role: 'user', content: prompt }];
 
   // Wrap Claude API call in try-catch to handle failures gracefully
-  let response, inputTokens, outputTokens, parsed;
+  let response, inputTokens, outputTokens, parsed, schemaVersion;
   try {
     const apiResult = await callClaudeWithRetry(
       messages,
@@ -1185,10 +825,9 @@ Return ONLY a JSON object in this exact format:
     inputTokens = apiResult.inputTokens;
     outputTokens = apiResult.outputTokens;
 
-    parsed = parseAndValidateJSON(response, [
-      'title', 'world_rules', 'characters', 'central_conflict',
-      'stakes', 'themes', 'key_locations', 'timeline'
-    ]);
+    ({ data: parsed, schemaVersion } = await parseStructured('story_bible', response, {
+      reask: reaskWithLLM({ model: 'generation', messages, maxTokens: 32000, operation: 'generate_bible', userId, storyId, costMetadata: { premiseId } }, response)
+    }));
   } catch (apiError) {
     // If Claude API fails, update story record with error and re-throw
     console.error(`❌ Bible generation failed for story ${storyId}:`, apiError);
@@ -1236,7 +875,9 @@ Return ONLY a JSON object in this exact format:
       stakes: parsed.stakes,
       themes: parsed.themes,
       key_locations: parsed.key_locations,
-      timeline: parsed.timeline
+      timeline: parsed.timeline,
+      prompt_versions: promptVersions,
+      schema_version: schemaVersion
     })
     .select()
     .single();
@@ -1281,14 +922,15 @@ Return ONLY a JSON object in this exact format:
  * This allows the API to return immediately while generation happens in background
  */
 async function generateStoryBibleForExistingStory(storyId, premiseId, userId) {
-  // Fetch story title first for logging
+  // Fetch story title first for logging (and requested length for the bible's scope)
   const { data: storyData } = await supabaseAdmin
     .from('stories')
-    .select('title')
+    .select('title, book_length')
     .eq('id', storyId)
     .single();
 
   const storyTitle = storyData?.title || 'Unknown';
+  const totalChapters = bookPlan.chapterCountForLength(storyData?.book_length);
   storyLog(storyId, storyTitle, `📖 [${storyTitle}] Bible: calling Claude API...`);
 
   // Fetch all premise records for this user (premises are stored as arrays)
@@ -1359,166 +1001,13 @@ async function generateStoryBibleForExistingStory(storyId, premiseId, userId) {
   const belovedStories = preferencesUsed?.belovedStories || [];
   console.log(`📊 Bible generation - Reading Level: ${readingLevel}, Age Range (compat): ${ageRange}`);
 
-  const prompt = `You are an expert world-builder and story architect creating a foundation for compelling fiction.
-
-Create a comprehensive story bible for this premise:
-
-<premise>
-  <title>${premise.title}</title>
-  <description>${premise.description}</description>
-  <genre>${premise.genre}</genre>
-  <themes>${premise.themes.join(', ')}</themes>
-  <reading_level>
-    Reading Level: ${readingLevel}
-    Age Range: ${ageRange}
-    Beloved Stories: ${belovedStories.join(', ') || 'not specified'}
-
-    CALIBRATE ALL PROSE TO THIS READING LEVEL. Here's what each level means:
-
-    early_reader: Short chapters (800-1200 words). Simple sentences averaging 8-12 words. Concrete vocabulary — show don't tell through action and dialogue, not internal monologue. Think Magic Tree House, Diary of a Wimpy Kid.
-
-    middle_grade: Standard chapters (1500-2500 words). Sentences average 12-16 words with variety. Accessible vocabulary with occasional "stretch" words that context makes clear. Emotions shown through behavior and some internal thought. Think Percy Jackson, early Harry Potter.
-
-    upper_middle_grade: Fuller chapters (2000-3000 words). Sentence variety with some complex structures. Moral ambiguity can be introduced. Internal conflict goes deeper. Think later Harry Potter, Hunger Games, Eragon.
-
-    young_adult: Rich chapters (2500-4000 words). Full sentence complexity. Unreliable narrators OK. Sophisticated vocabulary used naturally. Deep thematic exploration. Think Six of Crows, Throne of Glass.
-
-    new_adult/adult: No prose constraints. Full literary range.
-
-    IMPORTANT: If the reader mentioned specific beloved stories, match THAT prose level, not a generic age-based level. A 12-year-old who loves Hunger Games should get prose closer to Suzanne Collins than to Jeff Kinney.
-  </reading_level>
-</premise>
-
-The story bible should include:
-
-1. WORLD RULES: The fundamental rules of this story's world (magic systems, technology, society structure)
-
-2. PROTAGONIST (Deep Psychology Required):
-   - Name, age, personality, strengths, flaws, goals, fears
-   - INTERNAL CONTRADICTION: What opposing forces war inside them? (e.g., "craves independence but fears abandonment")
-   - THE LIE THEY BELIEVE: What false belief about themselves holds them back? (e.g., "I'm not brave enough", "I have to do everything alone")
-   - DEEPEST FEAR vs. STATED FEAR: What they're REALLY afraid of vs. what they say/think they fear
-   - VOICE NOTES: How do they speak? Vocabulary level, sentence rhythm, verbal tics?
-
-3. ANTAGONIST (Sympathetic Depth Required):
-   - Name, motivation, methods, backstory
-   - WHY THEY BELIEVE THEY'RE RIGHT: The antagonist should think they're justified. What's their moral framework?
-   - WHAT WOULD MAKE READERS ALMOST SYMPATHIZE: What wound or belief drives them? What makes them human, not evil?
-   - POINT OF NO RETURN: What event locked them into this path?
-
-4. SUPPORTING CHARACTERS (2-3 key characters):
-   - Name, role, personality
-   - RELATIONSHIP DYNAMIC WITH PROTAGONIST: Not just "friend" or "mentor"—how do they challenge/complement/frustrate the protagonist? What's the emotional texture of their bond?
-   - THEIR OWN GOAL: Supporting characters aren't props. What do THEY want?
-
-5. CENTRAL CONFLICT: The main problem/challenge the protagonist must overcome
-
-6. STAKES: What happens if the protagonist fails? What's at risk?
-
-7. THEMES: Core themes to explore throughout the story
-
-8. KEY LOCATIONS (3-5 settings):
-   - Name, visual description, significance
-   - SENSORY DETAILS: What does this place SOUND like? SMELL like? FEEL like (temperature, texture, atmosphere)?
-   - Not just what it looks like—make it visceral and immersive
-
-9. TIMELINE: Story timeframe and key events
-
-10. NARRATIVE VOICE & PROSE STYLE:
-   This is the DNA of how the story SOUNDS. Not what happens—how it's told.
-
-   - POINT OF VIEW: Which POV best serves this story? (close third, first person, omniscient, etc.) WHY this choice?
-   - TONAL REGISTER: Where does the narrator sit on these spectrums?
-     * Formal ←→ Conversational
-     * Earnest ←→ Wry/Ironic
-     * Lush/Lyrical ←→ Spare/Direct
-     * Warm ←→ Cool/Detached
-   - SENTENCE RHYTHM: Short and punchy? Long and rolling? Musical with varied cadence? Match this to genre—thrillers crack with short sentences, literary fiction breathes with longer ones.
-   - NARRATIVE PERSONALITY: Does the narrator have attitude? Wisdom? Humor? Mystery? A great narrator isn't invisible—they have a VOICE. Think of the difference between the narrators of "A Series of Unfortunate Events" vs. "The Hunger Games" vs. "The Name of the Wind."
-   - SIGNATURE TECHNIQUES: What 2-3 prose techniques should define this story's style?
-     * Examples: vivid sensory anchors, dry wit in description, unreliable narrator hints, poetic chapter openings, cliffhanger endings, internal monologue that argues with itself, second-person asides to the reader
-   - WHAT THIS STORY SHOULD NEVER SOUND LIKE: Anti-patterns to avoid. (e.g., "Never clinical or detached—this story should feel like a campfire tale" or "Never melodramatic—tension comes from restraint, not exclamation marks")
-
-Create a rich, psychologically complex world that will support a 12-chapter story for ages ${ageRange}. Every character should feel like they have an interior life. The world should feel tangible and lived-in. The narrative voice should be distinctive enough that a reader could identify this story by its SOUND, not just its plot.
-
-Return ONLY a JSON object in this exact format:
-{
-  "title": "${premise.title}",
-  "world_rules": {
-    "magic_system": "description if applicable",
-    "technology_level": "description",
-    "society_structure": "description",
-    "unique_rules": ["rule1", "rule2"]
-  },
-  "characters": {
-    "protagonist": {
-      "name": "string",
-      "age": number,
-      "personality": "string",
-      "strengths": ["strength1", "strength2"],
-      "flaws": ["flaw1", "flaw2"],
-      "goals": "string",
-      "fears": "string",
-      "internal_contradiction": "opposing forces within them",
-      "lie_they_believe": "false belief holding them back",
-      "deepest_fear": "what they're REALLY afraid of (vs. what they say)",
-      "voice_notes": "how they speak—vocabulary, rhythm, quirks"
-    },
-    "antagonist": {
-      "name": "string",
-      "motivation": "string",
-      "methods": "string",
-      "backstory": "string",
-      "why_they_believe_theyre_right": "their moral justification",
-      "sympathetic_element": "what makes them human/wounded",
-      "point_of_no_return": "event that locked them on this path"
-    },
-    "supporting": [
-      {
-        "name": "string",
-        "role": "string",
-        "personality": "string",
-        "relationship_dynamic": "how they interact with protagonist—not just 'friend' but emotional texture",
-        "their_own_goal": "what THEY want (supporting chars aren't props)"
-      }
-    ]
-  },
-  "central_conflict": {
-    "description": "string",
-    "inciting_incident": "string",
-    "complications": ["complication1", "complication2"]
-  },
-  "stakes": {
-    "personal": "string",
-    "broader": "string",
-    "emotional": "string"
-  },
-  "themes": ["theme1", "theme2", "theme3"],
-  "key_locations": [
-    {
-      "name": "string",
-      "description": "string",
-      "significance": "string",
-      "sensory_details": {
-        "sounds": "what you hear here",
-        "smells": "what you smell",
-        "tactile": "temperature, texture, atmospheric feel"
-      }
-    }
-  ],
-  "timeline": {
-    "total_duration": "string",
-    "key_milestones": ["milestone1", "milestone2"]
-  },
-  "narrative_voice": {
-    "pov": "point of view choice and why",
-    "tonal_register": "where the narrator sits on formal/casual, earnest/wry, lush/spare, warm/cool spectrums",
-    "sentence_rhythm": "the cadence and pacing of prose",
-    "narrative_personality": "the narrator's distinctive attitude or quality",
-    "signature_techniques": ["technique 1", "technique 2"],
-    "never_sounds_like": "anti-patterns to avoid in this story's voice"
-  }
-}`;
+  const { text: prompt, versions: promptVersions } = renderPrompt('story_bible', {
+    premise,
+    readingLevel,
+    ageRange,
+    belovedStories,
+    totalChapters
+  });
 
   const messages = [{ role: 'user', content: prompt }];
 
@@ -1532,10 +1021,10 @@ Return ONLY a JSON object in this exact format:
       { operation: 'generate_bible', userId, premiseId, storyTitle }
     );
 
-    const parsed = parseAndValidateJSON(apiResult.response, [
-      'title', 'world_rules', 'characters', 'central_conflict',
-      'stakes', 'themes', 'key_locations', 'timeline'
-    ]);
+    const { data: parsed, schemaVersion } = await parseStructured('story_bible', apiResult.response, {
+      reask: reaskWithLLM({ model: 'generation', messages, maxTokens: 32000, operation: 'generate_bible', userId, storyId, storyTitle, costMetadata: { premiseId } }, apiResult.response),
+      label: storyTitle
+    });
 
     // Store bible in database with story_id (story record already exists)
     const { data: bible, error: bibleError } = await supabaseAdmin
@@ -1551,7 +1040,9 @@ Return ONLY a JSON object in this exact format:
         stakes: parsed.stakes,
         themes: parsed.themes,
         key_locations: parsed.key_locations,
-        timeline: parsed.timeline
+        timeline: parsed.timeline,
+        prompt_versions: promptVersions,
+        schema_version: schemaVersion
       })
       .select()
       .single();
@@ -1847,7 +1338,8 @@ function buildSeriesContextBlock(seriesContexts) {
 }
 
 /**
- * Generate 12-chapter arc outline
+ * Generate the arc outline. Chapter count comes from the story's book_length
+ * (novella / standard / epic); the derived checkpoint schedule is stored as story_arcs.book_plan.
  */
 async function generateArcOutline(storyId, userId) {
   // Fetch story
@@ -1912,125 +1404,43 @@ async function generateArcOutline(storyId, userId) {
   const seriesContexts = await fetchSeriesContext(storyId, story);
   const seriesContextBlock = buildSeriesContextBlock(seriesContexts);
 
-  const prompt = `You are an expert story structure designer creating a detailed roadmap for compelling fiction.
-
-Using this story bible, create a detailed 12-chapter outline following a classic 3-act structure:
-
-<story_bible_summary>
-  <title>${bible.title}</title>
-  <genre>${storyGenre}</genre>
-
-  <protagonist>
-    <name>${bible.characters.protagonist.name}</name>
-    <age>${bible.characters.protagonist.age}</age>
-    <goals>${bible.characters.protagonist.goals}</goals>
-    <fears>${bible.characters.protagonist.fears}</fears>
-    <internal_contradiction>${bible.characters.protagonist.internal_contradiction || 'N/A'}</internal_contradiction>
-    <lie_they_believe>${bible.characters.protagonist.lie_they_believe || 'N/A'}</lie_they_believe>
-  </protagonist>
-
-  <antagonist>
-    <name>${bible.characters.antagonist.name}</name>
-    <motivation>${bible.characters.antagonist.motivation}</motivation>
-  </antagonist>
-
-  <central_conflict>${bible.central_conflict.description}</central_conflict>
-
-  <stakes>${bible.stakes.personal}</stakes>
-
-  <themes>${bible.themes.join(', ')}</themes>
-
-  <target_age>${ageRange}</target_age>
-</story_bible_summary>
-${previousBooksBlock}${seriesContextBlock}
-<world_rules>
-${worldRulesForArc}
-</world_rules>
-
-Your arc MUST respect these world rules. If a chapter involves the world's systems (magic, technology, politics, etc.), the outline should reflect their costs and constraints. If a chapter involves travel, it should respect established geography. Do NOT plan plot beats that violate established world rules — readers will notice.
-
-GENRE-SPECIFIC STORYTELLING — this is a ${storyGenre} story. Your arc must use the conventions readers of this genre EXPECT:
-
-- MYSTERY/THRILLER/LEGAL: Plant clues and red herrings early. Use information asymmetry — the reader should sometimes know more than the protagonist, sometimes less. Reversals should recontextualize earlier scenes. Chapter endings should raise NEW questions, not just escalate danger. The midpoint twist (Ch 6-7) should flip the reader's assumption about who/what the real threat is.
-
-- FANTASY/EPIC: Worldbuilding reveals should be earned through plot, not exposition dumps. Magic systems need cost and consequence shown early. The "crossing the threshold" moment (leaving the familiar world) should happen by Ch 2-3. Political/factional complexity should layer in gradually. The protagonist's power growth should have setbacks, not a straight line up.
-
-- SCI-FI/SPACE OPERA: The central "what if" should be tested from multiple angles across the arc. Technology should create moral dilemmas, not just cool set pieces. Ensure the human story stays central even when the worldbuilding is vast. Hard choices > easy solutions.
-
-- LITRPG/GAMELIT: Progression milestones should map to plot milestones (level-up = story beat). System rules introduced in Act 1 should be cleverly exploited or broken in Act 3. Include at least one moment where game mechanics create an ethical dilemma. Party dynamics should evolve — the team at Ch 12 should function differently than at Ch 1.
-
-- ROMANCE: Emotional beats follow the genre arc: meet → attraction → first barrier → growing closer → dark moment/breakup → grand gesture → resolution. Ensure the love interest has their OWN arc independent of the protagonist. The "dark moment" (Ch 8-9) should stem from character flaws established early, not manufactured misunderstanding.
-
-- HORROR/DARK: Escalate dread, not just danger. The scariest chapter should NOT be the climax — the scariest moment should be the midpoint revelation that changes what the reader thought was happening. Use normalcy as contrast. Quiet chapters between intense ones make the intense ones hit harder.
-
-- LITERARY/CHARACTER-DRIVEN: Privilege internal transformation over external plot. Subtext should do more work than text. At least one chapter should be a "small moment, big meaning" — an ordinary scene that carries enormous emotional weight. The ending should be resonant, not necessarily resolved.
-
-- ADVENTURE/ACTION: Variety of set-piece types (chase, heist, puzzle, confrontation, escape). Each action sequence should force a character choice, not just test physical ability. Downtime chapters between action should deepen character bonds. The final confrontation should require everything they've learned.
-
-- HUMOR/COMEDY: Running jokes should evolve and pay off. Comedic escalation follows a rhythm — don't put two equally big laughs adjacent. The emotional core underneath the humor should surface at the midpoint and climax. Supporting characters should each have a distinct comedic function.
-
-Adapt the 3-act structure to serve THIS genre. A mystery's Act 1 looks nothing like a romance's Act 1 — structure the arc accordingly.
-
-Create a 12-chapter outline that:
-- Follows 3-act structure adapted for ${storyGenre} conventions (generally: Setup Ch 1-4, Confrontation Ch 5-9, Resolution Ch 10-12)
-- Each chapter builds tension and advances the plot using genre-appropriate techniques
-- Tracks character growth milestones across chapters
-- Develops subplots alongside main plot
-- Has appropriate pacing for ages ${ageRange}
-- Each chapter is 2500-3500 words
-
-FOR EACH CHAPTER, specify:
-1. Title and events summary
-2. Character focus
-3. Tension level (low/medium/high)
-4. EMOTIONAL ARC: What emotional state does the READER start in? What state do they end in? (e.g., "Start: curious, End: dread" or "Start: hopeful, End: devastated")
-5. KEY DIALOGUE MOMENT: The most important conversation/exchange in this chapter (1 sentence description)
-6. CHAPTER HOOK: What specific moment/question/cliffhanger makes the reader turn to the next chapter?
-7. Key revelations
-8. Word count target
-
-ALSO specify:
-- SUBPLOT TRACKING: Identify 2-3 subplots and note which chapters advance each subplot
-- CHARACTER GROWTH MILESTONES: Map the protagonist's arc to specific chapters (e.g., Ch 3: First taste of confidence, Ch 7: Major failure/setback, Ch 11: Realization of truth)
-- GENRE TECHNIQUE MAP: For each chapter, note which genre-specific technique you're deploying (e.g., Ch 3: "red herring planted", Ch 7: "midpoint twist — suspect pool inverted")
-
-Return ONLY a JSON object in this exact format:
-{
-  "chapters": [
-    {
-      "chapter_number": 1,
-      "title": "Chapter Title",
-      "events_summary": "2-3 sentence summary of what happens",
-      "character_focus": "Which character(s) are featured",
-      "tension_level": "low/medium/high",
-      "emotional_arc": {
-        "reader_start": "emotion/state reader starts in",
-        "reader_end": "emotion/state reader ends in"
-      },
-      "key_dialogue_moment": "The most important conversation in this chapter",
-      "chapter_hook": "What makes the reader turn to the next chapter",
-      "key_revelations": ["revelation1", "revelation2"],
-      "word_count_target": 3000
+  // An imported manuscript's chapters are already written — the outline starts from them
+  const { getEstablishedChapters, buildEstablishedChaptersBlock } = require('./manuscript-import');
+  const establishedChaptersBlock = buildEstablishedChaptersBlock(await getEstablishedChapters(storyId));
+
+  // Book length → chapter count and act breakpoints (12 chapters: Setup 1-4, Confrontation 5-9, Resolution 10-12)
+  const bookLength = bookPlan.resolveBookLength(story.book_length) || bookPlan.DEFAULT_BOOK_LENGTH;
+  const plan = bookPlan.buildBookPlan(bookPlan.chapterCountForLength(bookLength), bookLength);
+  const totalChapters = plan.total_chapters;
+  const actOneEnd = Math.round(totalChapters / 3);
+  const actTwoEnd = Math.round(totalChapters * 0.75);
+  const midpoint = Math.floor(totalChapters / 2);
+  const quarter = Math.max(1, Math.round(totalChapters / 4));
+
+  const { text: prompt, versions: promptVersions } = renderPrompt('arc_outline', {
+    bookLength,
+    bookLengthDescription: bookPlan.BOOK_LENGTHS[bookLength].description,
+    totalChapters,
+    bible,
+    genre: storyGenre,
+    ageRange,
+    previousBooksBlock,
+    seriesContextBlock,
+    establishedChaptersBlock,
+    worldRules: worldRulesForArc,
+    acts: {
+      actOneEnd,
+      actTwoStart: actOneEnd + 1,
+      midpoint,
+      afterMidpoint: midpoint + 1,
+      beforeActTwoEnd: actTwoEnd - 1,
+      actTwoEnd,
+      actThreeStart: actTwoEnd + 1,
+      quarter,
+      half: quarter * 2,
+      threeQuarters: quarter * 3
     }
-  ],
-  "pacing_notes": "Overall pacing strategy",
-  "story_threads": {
-    "main_plot": "description",
-    "subplots": [
-      {
-        "name": "Subplot name/description",
-        "chapters": [1, 3, 5, 8, 12],
-        "resolution": "How this subplot resolves"
-      }
-    ]
-  },
-  "character_growth_milestones": {
-    "chapter_3": "First milestone in protagonist's arc",
-    "chapter_6": "Second milestone",
-    "chapter_9": "Major turning point",
-    "chapter_12": "Final transformation"
-  }
-}`;
+  });
 
   const messages = [{ role: 'user', content: prompt }];
 
@@ -2041,10 +1451,13 @@ Return ONLY a JSON object in this exact format:
     { operation: 'generate_arc', userId, storyId, storyTitle }
   );
 
-  const parsed = parseAndValidateJSON(response, ['chapters', 'pacing_notes', 'story_threads']);
+  const { data: parsed, schemaVersion } = await parseStructured('arc_outline', response, {
+    reask: reaskWithLLM({ model: 'generation', messages, maxTokens: 32000, operation: 'generate_arc', userId, storyId, storyTitle }, response),
+    label: storyTitle
+  });
 
-  if (!Array.isArray(parsed.chapters) || parsed.chapters.length !== 12) {
-    throw new Error('Expected exactly 12 chapters in arc outline');
+  if (!Array.isArray(parsed.chapters) || parsed.chapters.length !== totalChapters) {
+    throw new Error(`Expected exactly ${totalChapters} chapters in arc outline (${bookLength}), got ${parsed.chapters?.length || 0}`);
   }
 
   // Check if arc already exists for this story (prevents duplicates on recovery)
@@ -2077,7 +1490,10 @@ Return ONLY a JSON object in this exact format:
       bible_id: bible.id,
       chapters: parsed.chapters,
       pacing_notes: parsed.pacing_notes,
-      story_threads: parsed.story_threads
+      story_threads: parsed.story_threads,
+      book_plan: plan,
+      prompt_versions: promptVersions,
+      schema_version: schemaVersion
     })
     .select()
     .single();
@@ -2104,7 +1520,7 @@ Return ONLY a JSON object in this exact format:
  * Requires at least 2 completed stories to run analysis
  */
 async function analyzeUserPreferences(userId) {
-  // Step 1: Count completed stories (stories with 12 chapters)
+  // Step 1: Count completed stories (every chapter in the book plan written)
   const { data: stories } = await supabaseAdmin
     .from('stories')
     .select('id, title, premise_tier')
@@ -2114,7 +1530,7 @@ async function analyzeUserPreferences(userId) {
     return { ready: false, reason: 'No stories found' };
   }
 
-  // Check which stories have 12 chapters
+  // Check which stories have all their chapters
   const completedStories = [];
   for (const story of stories) {
     const { count } = await supabaseAdmin
@@ -2122,7 +1538,8 @@ async function analyzeUserPreferences(userId) {
       .select('*', { count: 'exact', head: true })
       .eq('story_id', story.id);
 
-    if (count === 12) {
+    const plan = await bookPlan.getBookPlan(story.id);
+    if (count >= plan.total_chapters) {
       completedStories.push(story);
     }
   }
@@ -2296,20 +1713,18 @@ Return ONLY a JSON object:
 
   // Step 6: Call Claude to analyze
   const startTime = Date.now();
-  const response = await anthropic.messages.create({
-    model: GENERATION_MODEL,
-    max_tokens: 32000,
-    messages: [{ role: 'user', content: analysisPrompt }]
-  });
+  const { response, inputTokens, outputTokens } = await callClaudeWithRetry(
+    [{ role: 'user', content: analysisPrompt }],
+    32000,
+    { operation: 'analyze_preferences', userId }
+  );
 
   const duration = Date.now() - startTime;
-  const inputTokens = response.usage.input_tokens;
-  const outputTokens = response.usage.output_tokens;
 
   console.log(`✅ Preference analysis complete (${duration}ms, ${inputTokens + outputTokens} tokens)`);
 
   // Step 7: Parse response
-  const parsed = parseAndValidateJSON(response.content[0].text, [
+  const parsed = parseAndValidateJSON(response, [
     'preferred_pacing',
     'preferred_dialogue_style',
     'preferred_complexity',
@@ -2589,7 +2004,7 @@ async function updateDiscoveryTolerance(userId) {
  *
  * @param {string} storyId
  * @param {Array} feedbackHistory - checkpoint feedback records
- * @param {Array} chapterOutlines - the 3 chapter outlines for this batch (from story_arcs)
+ * @param {Array} chapterOutlines - the chapter outlines for this batch (from story_arcs)
  * @returns {Promise<Object|null>} { revisedOutlines: [{...}], styleExample: string } or null
  */
 async function generateEditorBrief(storyId, feedbackHistory, chapterOutlines) {
@@ -2669,13 +2084,35 @@ async function generateEditorBrief(storyId, feedbackHistory, chapterOutlines) {
       feedbackDesc.push(`CHARACTER: Reader says "${latestFeedback.character_feedback}" — ${latestFeedback.character_feedback === 'warming' ? 'reader is starting to connect but wants more vulnerability, interior thought, and relatable human moments from the protagonist' : 'reader is not connecting at all — protagonist needs more agency, a more distinctive voice, and moments that make the reader root for them'}`);
     }
 
-    const editorPrompt = `You are a senior fiction editor reviewing chapter outlines for a novel-in-progress. A reader has finished chapters 1-3 and given feedback. Your job is to ANNOTATE the chapter outlines for chapters 4-6 with specific micro-beats that address the feedback — and write one short example passage showing the target prose style.
+    // Batch size follows the book plan (3 chapters for a standard book, more for an epic)
+    const batchNumbers = chapterOutlines.map(ch => ch.chapter_number);
+    const firstBatchChapter = batchNumbers.length > 0 ? Math.min(...batchNumbers) : 1;
+    const batchRange = batchNumbers.length > 1
+      ? `${firstBatchChapter}-${Math.max(...batchNumbers)}`
+      : `${firstBatchChapter}`;
+    const revisedOutlineTemplate = batchNumbers.map((num, i) => i === 0
+      ? `  <revised_outline chapter="${num}">
+    <title>[original title]</title>
+    <events_summary>[original events]</events_summary>
+    <character_focus>[original focus]</character_focus>
+    <tension_level>[original level]</tension_level>
+    <word_count_target>[original target]</word_count_target>
+    <editor_notes>
+      [2-3 specific beat annotations, each on its own line]
+    </editor_notes>
+  </revised_outline>`
+      : `  <revised_outline chapter="${num}">
+    [same structure]
+  </revised_outline>`
+    ).join('\n');
+
+    const editorPrompt = `You are a senior fiction editor reviewing chapter outlines for a novel-in-progress. A reader has finished chapters 1-${firstBatchChapter - 1} and given feedback. Your job is to ANNOTATE the chapter outlines for chapters ${batchRange} with specific micro-beats that address the feedback — and write one short example passage showing the target prose style.
 
 CRITICAL RULES:
 - You are making SUBTLE adjustments, not overhauling the story. The reader should feel the story warming up, not lurching into a different book.
 - Add 2-3 specific beats per chapter. A "beat" is a concrete moment: "When [character] does [action], add [specific adjustment]."
 - Do NOT change what happens in the plot. Only change HOW scenes are written.
-- The evolution should be GRADUAL. Chapter 4 shifts 10-15% from the established tone. Not 50%.
+- The evolution should be GRADUAL. Chapter ${firstBatchChapter} shifts 10-15% from the established tone. Not 50%.
 
 <story_context>
 Title: ${story.title}
@@ -2709,7 +2146,7 @@ ${outlineText}
 Now produce TWO things:
 
 PART 1 — REVISED OUTLINES
-For each chapter (4, 5, 6), return the original outline PLUS an "editor_notes" field with 2-3 specific beat annotations. Each annotation should:
+For each chapter (${batchNumbers.join(', ')}), return the original outline PLUS an "editor_notes" field with 2-3 specific beat annotations. Each annotation should:
 - Name a character
 - Describe a specific moment or scene type
 - Say exactly what the adjustment looks like
@@ -2724,22 +2161,7 @@ Write an original 80-120 word passage that demonstrates how this story should so
 Return as XML (NOT JSON — avoid quote escaping issues):
 
 <editor_brief>
-  <revised_outline chapter="4">
-    <title>[original title]</title>
-    <events_summary>[original events]</events_summary>
-    <character_focus>[original focus]</character_focus>
-    <tension_level>[original level]</tension_level>
-    <word_count_target>[original target]</word_count_target>
-    <editor_notes>
-      [2-3 specific beat annotations, each on its own line]
-    </editor_notes>
-  </revised_outline>
-  <revised_outline chapter="5">
-    [same structure]
-  </revised_outline>
-  <revised_outline chapter="6">
-    [same structure]
-  </revised_outline>
+${revisedOutlineTemplate}
   <style_example>
     [80-120 word original passage demonstrating corrected tone with actual character names]
   </style_example>
@@ -2749,7 +2171,7 @@ Return as XML (NOT JSON — avoid quote escaping issues):
 
     const { response, inputTokens, outputTokens } = await callClaudeWithRetry(
       [{ role: 'user', content: editorPrompt }],
-      6000,
+      Math.max(6000, batchNumbers.length * 2000),
       { operation: 'generate_editor_brief', storyId, storyTitle: story.title }
     );
 
@@ -2803,9 +2225,10 @@ Return as XML (NOT JSON — avoid quote escaping issues):
 /**
  * Build course correction XML block from checkpoint feedback history
  * @param {Array} feedbackHistory - Array of checkpoint feedback objects with dimension fields OR checkpoint_corrections JSONB
+ * @param {object} [plan] - Book plan, for checkpoint labels (default: standard 12-chapter plan)
  * @returns {string} Formatted course correction text for prompt injection
  */
-function buildCourseCorrections(feedbackHistory) {
+function buildCourseCorrections(feedbackHistory, plan = bookPlan.STANDARD_PLAN) {
   if (!feedbackHistory || feedbackHistory.length === 0) {
     return '';
   }
@@ -2816,16 +2239,10 @@ function buildCourseCorrections(feedbackHistory) {
 
   // NEW FORMAT: Structured interview feedback from Prospero checkpoint conversations
   if (hasNewFormat) {
-    const checkpointLabels = {
-      'chapter_2': 'CHECKPOINT 1 (after Ch 2)',
-      'chapter_5': 'CHECKPOINT 2 (after Ch 5)',
-      'chapter_8': 'CHECKPOINT 3 (after Ch 8)'
-    };
-
     let feedbackSections = feedbackHistory
       .filter(fb => fb.checkpoint_corrections)
       .map(fb => {
-        const label = checkpointLabels[fb.checkpoint] || fb.checkpoint;
+        const label = bookPlan.describeCheckpoint(plan, fb.checkpoint).label;
         const corrections = fb.checkpoint_corrections;
 
         let section = `${label}:\n`;
@@ -2915,14 +2332,8 @@ Only the craft of the telling changes.`;
   }
 
   // Multiple checkpoints case - show trajectory and accumulated corrections
-  const checkpointLabels = {
-    'chapter_2': 'CHECKPOINT 1 (after Ch 2)',
-    'chapter_5': 'CHECKPOINT 2 (after Ch 5)',
-    'chapter_8': 'CHECKPOINT 3 (after Ch 8)'
-  };
-
   let history = feedbackHistory.map(fb => {
-    const label = checkpointLabels[fb.checkpoint] || fb.checkpoint;
+    const label = bookPlan.describeCheckpoint(plan, fb.checkpoint).label;
     const pacing = fb.pacing_feedback ? `Pacing: ${fb.pacing_feedback}` : null;
     const tone = fb.tone_feedback ? `Tone: ${fb.tone_feedback}` : null;
     const character = fb.character_feedback ? `Character: ${fb.character_feedback}` : null;
@@ -2963,7 +2374,7 @@ Only the craft of the telling changes.`;
 }
 
 /**
- * Generate a batch of chapters (3 at a time) with optional course corrections
+ * Generate a batch of chapters (size set by the book plan) with optional course corrections
  * @param {string} storyId - The story ID
  * @param {number} startChapter - First chapter number to generate
  * @param {number} endChapter - Last chapter number to generate (inclusive)
@@ -2999,9 +2410,11 @@ async function generateBatch(storyId, startChapter, endChapter, userId, editorBr
 
   storyLog(storyId, storyTitle, `✅ [${storyTitle}] Batch complete: chapters ${startChapter}-${endChapter}`);
 
-  // If chapter 9 was just generated, trigger pre-classification (fire-and-forget)
-  if (endChapter >= 9 && startChapter <= 9) {
-    storyLog(storyId, storyTitle, `📋 [${storyTitle}] Pre-classification triggered after chapter 9`);
+  // Once the penultimate batch is written, trigger pre-classification (fire-and-forget)
+  const plan = await bookPlan.getBookPlan(storyId);
+  const classifyAfter = plan.pre_classify_after_chapter;
+  if (endChapter >= classifyAfter && startChapter <= classifyAfter) {
+    storyLog(storyId, storyTitle, `📋 [${storyTitle}] Pre-classification triggered after chapter ${classifyAfter}`);
     const { classifyStoryContent } = require('./content-classification');
     classifyStoryContent(storyId)
       .catch(err => {
@@ -3012,98 +2425,22 @@ async function generateBatch(storyId, startChapter, endChapter, userId, editorBr
 
 /**
  * Build dynamic craft rules from a prose directive (story-specific voice).
+ * Like the other craft/guardrail/review builders, returns a rendered prompt:
+ * use .text, and merge .versions into the chapter's prompt_versions.
  */
 function buildDynamicCraftRules(proseDirective) {
   const craft = proseDirective.craft_rules || {};
   const leanInto = (craft.lean_into || []).map(t => `• ${t}`).join('\n  ');
   const avoid = (craft.avoid || []).map(t => `• ${t}`).join('\n  ');
 
-  return `<writing_craft_rules>
-  <voice_directives>
-  LEAN INTO — these techniques define this story's voice:
-  ${leanInto || '• Show through action and sensation rather than narration'}
-
-  AVOID — these would break this story's voice:
-  ${avoid || '• Generic, voiceless prose that could belong to any book'}
-  </voice_directives>
-
-  <dialogue_style>
-  ${craft.dialogue_style || 'Each character should sound distinct through vocabulary, rhythm, and concerns. No adverb dialogue tags.'}
-  </dialogue_style>
-
-  <pacing>
-  ${craft.pacing_style || 'Vary sentence length. Open with a hook. End with a hook. Keep transitions crisp.'}
-  </pacing>
-
-  <emotional_register>
-  ${craft.emotional_register || 'Show emotions through physical sensation, action, and dialogue — not by naming them.'}
-  </emotional_register>
-
-  <universal_standards>
-  These apply to ALL stories regardless of voice:
-  • Show emotions through action/sensation/dialogue — never name them directly ("felt angry", "was scared")
-  • Each character must sound distinct in dialogue
-  • No adverb dialogue tags ("said angrily") — use action beats
-  • Open and close every chapter with hooks
-  • Never use: "letting out a breath they didn't know they were holding", "a mixture of X and Y", "little did they know"
-  </universal_standards>
-</writing_craft_rules>`;
+  return renderPrompt('craft_rules_dynamic', { leanInto, avoid, craft });
 }
 
 /**
  * Build static craft rules for legacy stories without a prose directive.
  */
 function buildStaticCraftRules() {
-  return `<writing_craft_rules>
-  <show_dont_tell>
-    NEVER name an emotion directly. Show it through physical sensation, action, dialogue, or metaphor.
-
-    If you write a sentence containing "felt", "was", or "seemed" followed by an emotion word, DELETE IT and rewrite.
-
-    EXAMPLES:
-    ❌ "She felt angry"
-    ✅ "Her hands curled into fists, jaw clenched so tight her teeth ached"
-
-    ❌ "The forest was scary"
-    ✅ "Branches clawed at the sky like skeletal fingers, and something rustled in the undergrowth"
-
-    ❌ "He was brave"
-    ✅ "His knees wobbled, but he stepped forward anyway"
-
-    ❌ "They were best friends"
-    ✅ "She shoved him with her shoulder and he shoved back, both grinning"
-  </show_dont_tell>
-
-  <dialogue_quality>
-    • Each character MUST sound distinct through vocabulary, sentence length, speech patterns, and concerns
-    • NO adverb dialogue tags ("said angrily", "whispered softly")—use action beats instead
-    • Dialogue must do double duty: reveal character AND advance plot simultaneously
-    • Include subtext—characters don't always say what they mean, especially in conflict
-    • No more than 3 consecutive lines of dialogue without a beat or action
-  </dialogue_quality>
-
-  <pacing_and_structure>
-    • Vary sentence length: short punchy sentences for tension, longer flowing ones for atmosphere
-    • Open every chapter with action, dialogue, or intrigue—NEVER pure description
-    • End every chapter with a hook that compels the reader forward
-    • Scene transitions should be crisp, not padded with unnecessary "meanwhile" or "later that day"
-  </pacing_and_structure>
-
-  <things_to_avoid>
-    FORBIDDEN CONSTRUCTIONS (AI tells):
-    • Purple prose and flowery over-description
-    • Explaining emotions instead of showing them
-    • "Not X, but Y" sentence structure (e.g., "It wasn't fear, but excitement")
-    • Rhetorical questions as filler
-    • Em dash overuse (max 2 per chapter)
-    • Repeating the same sentence structure more than twice in a row
-    • Starting consecutive paragraphs the same way
-    • Adverbs modifying "said"
-    • "Letting out a breath they didn't know they were holding"
-    • "A mixture of X and Y" emotion descriptions
-    • Any form of "little did they know"
-  </things_to_avoid>
-</writing_craft_rules>`;
+  return renderPrompt('craft_rules_static');
 }
 
 /**
@@ -3143,46 +2480,14 @@ function buildDynamicProseGuardrails(proseDirective) {
     ? 'Humor is a core part of this story\'s voice. The narrative should make readers smile, laugh, or groan regularly.'
     : 'Humor is part of the voice. Use it where it feels natural to the characters and situation.';
 
-  return `<PROSE_GUARDRAILS>
-These are calibrated for THIS story's voice — not generic rules:
-
-EM DASHES: ${emDashLimit}
-SENTENCES: ${sentenceNote}
-METAPHORS: ${metaphorNote}
-INTERIORITY: ${interiorityNote}
-HUMOR: ${humorNote}
-
-UNIVERSAL BANNED CONSTRUCTIONS (these are AI tells regardless of voice):
-• "Something in her chest" / "something in his voice" — name it or show it
-• "The kind of X that Y" — describe it directly
-• "Not X, but Y" / "Not X — Y" as a repeated pattern (1 per chapter max)
-• Micro-expression mind-reading (interpreting every facial twitch)
-• Body-part emotion palette on repeat (throat-tightens, jaw-clenches, hands-shake for every emotion)
-• "Letting out a breath they didn't know they were holding"
-• Any form of "little did they know"
-</PROSE_GUARDRAILS>`;
+  return renderPrompt('prose_guardrails_dynamic', { emDashLimit, sentenceNote, metaphorNote, interiorityNote, humorNote });
 }
 
 /**
  * Build static prose guardrails for legacy stories without a prose directive.
  */
 function buildStaticProseGuardrails() {
-  return `<CRITICAL_PROSE_RULES>
-These rules are NON-NEGOTIABLE. Any chapter that violates them will be rejected and regenerated.
-
-BANNED CONSTRUCTIONS — zero tolerance:
-
-1. EM DASHES: Maximum 3 per chapter. Use periods, commas, or semicolons instead.
-2. "NOT X, BUT Y" / "NOT X — Y": Do NOT define anything by what it isn't. Maximum 1 per chapter.
-3. "SOMETHING IN [X]": Never write "something in her chest," "something in his voice." Name it or show it.
-4. "THE KIND OF X THAT Y": Never write "the kind of silence that meant calculation." Just describe it directly.
-5. MICRO-EXPRESSION MIND-READING: When a face does something, do NOT explain what it means. Let readers interpret.
-6. BODY-PART EMOTION PALETTE: Do NOT default to throat-tightens, hands-shake, chest-seizes, jaw-tightens for every emotion.
-7. ONE-WORD DRAMATIC SENTENCES: Maximum 2 per chapter.
-8. SIMULTANEOUS DIALOGUE + ACTION: Not every line of dialogue needs physical business. Let some dialogue stand alone.
-
-INSTEAD: Write with restraint. Let readers interpret. Vary sentence structure aggressively.
-</CRITICAL_PROSE_RULES>`;
+  return renderPrompt('prose_guardrails_static');
 }
 
 /**
@@ -3193,55 +2498,14 @@ function buildDynamicReviewStandards(proseDirective) {
   const leanInto = (craft.lean_into || []).map(t => `• ${t}`).join('\n');
   const avoid = (craft.avoid || []).map(t => `• ${t}`).join('\n');
 
-  return `<writing_craft_standards>
-
-THIS STORY'S VOICE TARGETS:
-${leanInto || '• Clean, engaging prose'}
-
-THIS STORY SHOULD AVOID:
-${avoid || '• Generic, voiceless prose'}
-
-DIALOGUE STYLE: ${craft.dialogue_style || 'Characters should sound distinct.'}
-EMOTIONAL REGISTER: ${craft.emotional_register || 'Show emotions through action and sensation.'}
-
-UNIVERSAL STANDARDS (all stories):
-• Show emotions through action/sensation/dialogue, not by naming them
-• No adverb dialogue tags
-• Strong opening and closing hooks
-• No AI clichés: "letting out a breath they didn't know they were holding", "little did they know", "a mixture of X and Y"
-
-</writing_craft_standards>`;
+  return renderPrompt('review_standards_dynamic', { leanInto, avoid, craft });
 }
 
 /**
  * Build static review standards for legacy stories.
  */
 function buildStaticReviewStandards() {
-  return `<writing_craft_standards>
-
-SHOW DON'T TELL:
-• NEVER name emotions directly ("felt angry", "was scared", "seemed happy")
-• Show through physical sensation, action, dialogue, metaphor
-
-DIALOGUE QUALITY:
-• Each character sounds distinct through vocabulary, rhythm, concerns
-• NO adverb dialogue tags — use action beats instead
-• Dialogue advances plot AND reveals character simultaneously
-
-PACING & STRUCTURE:
-• Vary sentence length (short = tension, longer = atmosphere)
-• Strong opening hook, compelling ending hook
-• Crisp scene transitions
-
-THINGS TO AVOID (AI tells):
-• "Not X, but Y" constructions
-• Em dash overuse
-• Repeating sentence structures 3+ times in a row
-• "Letting out a breath they didn't know they were holding"
-• "A mixture of X and Y" emotion descriptions
-• "Little did they know"
-
-</writing_craft_standards>`;
+  return renderPrompt('review_standards_static');
 }
 
 /**
@@ -3345,50 +2609,26 @@ IMPORTANT: This is the SAME SERIES. The voice should EVOLVE, not reset. Keep the
   console.log(`✏️ [${storyTitle}] Generating prose directive...`);
   const startTime = Date.now();
 
-  const prompt = `You are the prose director for a novel. Your job: define exactly how this book should SOUND — its voice, rhythm, style, and personality. Every book deserves its own voice. A cozy mystery reads differently than an epic fantasy. A middle-grade adventure sounds nothing like a literary thriller.
-
-STORY DNA:
-Title: "${storyTitle}"
-Genre: ${genre}
-Reading Level: ${readingLevel}
-Protagonist: ${protagonist.name || 'Unknown'} — ${protagonist.personality || ''}
-Themes: ${themeStr}
-${belovedStories.length > 0 ? `Reader's Beloved Stories: ${belovedStories.join(', ')}` : ''}
-
-${narrativeVoice.pov ? `NARRATIVE VOICE (from story bible):
+  const belovedList = belovedStories.join(', ');
+  const narrativeVoiceBlock = narrativeVoice.pov ? `NARRATIVE VOICE (from story bible):
 POV: ${narrativeVoice.pov}
 Tonal Register: ${narrativeVoice.tonal_register || 'Not specified'}
 Sentence Rhythm: ${narrativeVoice.sentence_rhythm || 'Not specified'}
 Narrator Personality: ${narrativeVoice.narrative_personality || 'Not specified'}
 Signature Techniques: ${(narrativeVoice.signature_techniques || []).join(', ') || 'Not specified'}
-Never Sounds Like: ${narrativeVoice.never_sounds_like || 'Not specified'}` : 'No narrative voice defined yet — create one from scratch based on genre and story DNA.'}
-${predecessorDirectiveBlock}
-YOUR TASK: Create a complete prose directive that will guide every chapter of this novel. Be SPECIFIC and OPINIONATED. Generic advice like "use vivid descriptions" is useless. We need directives so precise that two different AI models given this brief would produce prose that sounds recognizably similar.
-
-${belovedStories.length > 0 ? `CRITICAL: The reader loves ${belovedStories.join(', ')}. The prose should feel like it belongs on the same shelf as these books — not imitation, but a kindred voice that would appeal to the same reader. Study what makes those authors' prose distinctive and channel similar energy.` : ''}
-
-Return ONLY a JSON object:
-{
-  "author_identity": "A 1-2 sentence description of what kind of writer is narrating this book. NOT generic ('award-winning author') — specific. Example: 'A wry, warm storyteller who writes like your smartest friend telling you about something incredible that happened — conversational but precise, funny but never at the characters' expense.' Or: 'A poet who wandered into genre fiction — every sentence earns its place, silence is as important as speech, and the prose moves at the pace of candlelight.'",
-
-  "style_example": "Write a 150-200 word ORIGINAL prose passage that demonstrates EXACTLY how this book should sound. NOT a scene from the book — a standalone vignette that captures the voice, rhythm, sentence structure, and emotional register. This passage becomes the north star for every chapter. Make it vivid, specific, and unmistakably in THIS story's voice. If the book is funny, the example should make someone smile. If it's tense, the example should make someone hold their breath. If it's lyrical, the example should be beautiful.",
-
-  "craft_rules": {
-    "lean_into": ["3-5 specific techniques this story should USE HEAVILY — e.g., 'dry humor in narration between tense moments', 'sensory details grounded in taste and smell, not just sight', 'short declarative sentences that land like punches at chapter ends', 'internal monologue that argues with itself', 'long flowing sentences that build momentum like a wave'"],
-    "avoid": ["3-5 specific things this story should NEVER do — tailored to THIS genre and voice, not a generic banned list. e.g., 'never explain a joke — trust the reader to get it', 'avoid introspective pauses during action scenes — save reflection for quiet moments', 'no purple prose in dialogue tags — these characters speak plainly', 'never use more than one metaphor per paragraph — this voice is direct, not ornate'"],
-    "dialogue_style": "How should dialogue work in THIS specific book? Snappy and fast? Measured and subtext-heavy? Peppered with humor? Sparse and loaded? How do the specific characters in THIS story talk? 2-3 sentences.",
-    "pacing_style": "How should this book's pacing FEEL? Not a generic target — the specific rhythm for THIS story. Does it sprint? Breathe? Alternate between sprint and stillness? Where do quiet moments go? 2-3 sentences.",
-    "emotional_register": "How does this book handle emotion? With restraint and implication? With full-throated intensity? Through humor that deflects? Through physical sensation? 1-2 sentences."
-  },
-
-  "prose_guardrails": {
-    "em_dash_tolerance": "one of: 'avoid' (max 2/chapter), 'moderate' (max 6/chapter), 'embrace' (no limit — some literary voices use them freely)",
-    "sentence_length_preference": "one of: 'short_punchy' (avg 8-12 words), 'varied_dynamic' (mix of 5-25 words), 'flowing_literary' (avg 15-25 words with occasional short punches)",
-    "metaphor_density": "one of: 'sparse' (1-2 per scene — this voice is direct), 'moderate' (natural weaving), 'rich' (lyrical and image-heavy)",
-    "interiority_level": "one of: 'minimal' (action-driven, show through behavior), 'balanced' (some internal thought, mostly external), 'deep' (rich internal world, stream of consciousness moments OK)",
-    "humor_level": "one of: 'none' (serious throughout), 'dry_wit' (occasional wry observations), 'regular' (humor is a core part of the voice), 'comedic' (humor drives the narrative)"
-  }
-}`;
+Never Sounds Like: ${narrativeVoice.never_sounds_like || 'Not specified'}` : 'No narrative voice defined yet — create one from scratch based on genre and story DNA.';
+
+  const { text: prompt, versions: promptVersions } = renderPrompt('prose_directive', {
+    storyTitle,
+    genre,
+    readingLevel,
+    protagonist,
+    themes: String(themeStr || ''),
+    belovedStoriesLine: belovedStories.length > 0 ? `Reader's Beloved Stories: ${belovedList}` : '',
+    narrativeVoiceBlock,
+    predecessorDirectiveBlock,
+    belovedStoriesDirective: belovedStories.length > 0 ? `CRITICAL: The reader loves ${belovedList}. The prose should feel like it belongs on the same shelf as these books — not imitation, but a kindred voice that would appeal to the same reader. Study what makes those authors' prose distinctive and channel similar energy.` : ''
+  });
 
   try {
     const { response, inputTokens, outputTokens } = await callClaudeWithRetry(
@@ -3420,7 +2660,8 @@ Return ONLY a JSON object:
       .update({
         generation_config: {
           ...currentConfig,
-          prose_directive: parsed
+          prose_directive: parsed,
+          prompt_versions: { ...(currentConfig.prompt_versions || {}), ...promptVersions }
         }
       })
       .eq('id', storyId);
@@ -3532,64 +2773,14 @@ ${codexParts.join('\n\n')}
     genreCategories = `This is a ${genre} story. Extract all world constraints that a reader would notice if violated — social norms, physical setting rules, character capabilities, timeline constraints, established facts about the world.`;
   }
 
-  const prompt = `You are a world-building architect. Your job: convert narrative world descriptions into a STRUCTURED RULEBOOK with explicit, discrete entries.
-
-A story bible describes a world in flowing prose. That's great for inspiration, but terrible for consistency. When Chapter 8 needs to know whether healing magic requires physical contact, a paragraph of flavor text doesn't help. An explicit rule does.
-
-<world_rules_narrative>
-${JSON.stringify(worldRules, null, 2)}
-</world_rules_narrative>
-
-<bible_characters>
-${JSON.stringify(bible?.characters || {}, null, 2)}
-</bible_characters>
-
-<bible_themes>
-${JSON.stringify(bible?.themes || [], null, 2)}
-</bible_themes>
-
-<key_locations>
-${JSON.stringify(bible?.key_locations || [], null, 2)}
-</key_locations>
-
-${genreCategories}
-${previousCodexBlock}
-FOR EVERY GENRE, also extract:
-- ESTABLISHED FACTS: Concrete truths about this world that MUST remain consistent (character capabilities, historical events, physical laws, social rules).
-- TIMELINE ANCHORS: Key events and their temporal relationships.
-- GEOGRAPHY: Locations mentioned, spatial relationships, travel constraints.
-
-RULES FOR YOUR OUTPUT:
-1. Each rule must be EXPLICIT and TESTABLE. "Magic is mysterious" is useless. "Saltblood magic requires physical contact to heal; cost is proportional fatigue" is useful.
-2. Note the SCOPE of each rule (who/what it applies to).
-3. Note COSTS and CONSEQUENCES where applicable.
-4. Note EXCEPTIONS if any are established.
-5. Mark facts as "immutable" (true/false) — can this change during the story, or is it bedrock?
-6. If the narrative is vague about a rule, state what IS established and flag what's ambiguous.
-
-Return ONLY valid JSON:
-{
-  "systems": [
-    {
-      "name": "System name (e.g., 'Tidal Magic', 'Court Procedures', 'Pack Social Hierarchy')",
-      "rules": [
-        { "rule": "Explicit statement", "cost": "What it costs or null", "scope": "Who/what this applies to", "exceptions": "Known exceptions or null", "immutable": true }
-      ]
-    }
-  ],
-  "factions": [
-    { "name": "Faction name", "goals": "What they want", "methods": "How they pursue it", "relationships": { "OtherFaction": "adversarial|allied|neutral|complex" } }
-  ],
-  "geography": [
-    { "name": "Location name", "facts": ["fact1", "fact2"], "connections": ["connected to X", "3 days travel from Y"] }
-  ],
-  "established_facts": [
-    { "fact": "Concrete fact", "category": "character_capability|history|physics|social|biological", "immutable": true }
-  ],
-  "timeline_anchors": [
-    { "event": "Event description", "when": "Temporal reference", "significance": "Why it matters" }
-  ]
-}`;
+  const { text: prompt } = renderPrompt('world_codex', {
+    worldRulesJson: JSON.stringify(worldRules, null, 2),
+    charactersJson: JSON.stringify(bible?.characters || {}, null, 2),
+    themesJson: JSON.stringify(bible?.themes || [], null, 2),
+    keyLocationsJson: JSON.stringify(bible?.key_locations || [], null, 2),
+    genreCategories,
+    previousCodexBlock
+  });
 
   try {
     const messages = [{ role: 'user', content: prompt }];
@@ -3600,11 +2791,10 @@ Return ONLY valid JSON:
       { storyTitle, operation: 'world_codex_generation', userId }
     );
 
-    const parsed = parseAndValidateJSON(response, ['systems', 'established_facts']);
-    if (!parsed) {
-      console.warn(`🌍 [${storyTitle}] World codex: failed to parse response, skipping`);
-      return null;
-    }
+    const { data: parsed, schemaVersion } = await parseStructured('world_codex', response, {
+      reask: reaskWithLLM({ model: 'generation', messages, maxTokens: 16000, operation: 'world_codex_generation', userId, storyId, storyTitle }, response),
+      label: storyTitle
+    });
 
     // Estimate token count
     const codexStr = JSON.stringify(parsed);
@@ -3617,7 +2807,8 @@ Return ONLY valid JSON:
         story_id: storyId,
         genre: genre || 'fiction',
         codex_data: parsed,
-        token_count: tokenEstimate
+        token_count: tokenEstimate,
+        schema_version: schemaVersion
       }, { onConflict: 'story_id' });
 
     if (insertError) {
@@ -3644,27 +2835,136 @@ Return ONLY valid JSON:
   }
 }
 
+/**
+ * Delete character and world ledger entries for a range of chapters so they can be re-extracted
+ * (after a chapter rewrite changes what happened).
+ */
+async function clearChapterLedgers(storyId, fromChapter, toChapter) {
+  for (const table of ['character_ledger_entries', 'world_state_ledger']) {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .delete()
+      .eq('story_id', storyId)
+      .gte('chapter_number', fromChapter)
+      .lte('chapter_number', toChapter);
+
+    if (error) {
+      throw new Error(`Failed to clear ${table} for chapters ${fromChapter}-${toChapter}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Save a reader-requested rewrite over an existing chapter. The new text goes through
+ * reviseChapter (so the version the reader read is kept as a revision); the rewrite's
+ * cost is the story's AI spend since the rewrite started. The chapter's new title and
+ * metadata are kept on the revision too, for a retried job to re-apply.
+ */
+async function storeRewrittenChapter(storyId, existingChapter, chapter, chapterFields, rewrite, userId) {
+  const { reviseChapter } = require('./chapter-revisions');
+  const { applyRewriteFields } = require('./chapter-rewrite');
+
+  const chapterUpdate = {
+    ...chapterFields,
+    metadata: {
+      ...(existingChapter.metadata || {}),
+      ...chapterFields.metadata,
+      plot_changed: typeof chapter.plot_changed === 'boolean' ? chapter.plot_changed : null,
+      rewrite_instructions: rewrite.instructions
+    }
+  };
+
+  const { data: spent } = await supabaseAdmin.rpc('ai_spend_since', {
+    p_since: rewrite.startedAt,
+    p_user_id: null,
+    p_story_id: storyId
+  });
+
+  await reviseChapter({
+    chapterId: existingChapter.id,
+    content: chapter.content,
+    source: 'reader_rewrite',
+    authorId: rewrite.requestedBy || userId,
+    costUsd: parseFloat(spent) || 0,
+    reason: rewrite.instructions,
+    metadata: {
+      job_id: rewrite.jobId || null,
+      previous_title: existingChapter.title,
+      previous_key_events: existingChapter.metadata?.key_events || [],
+      chapter_update: chapterUpdate
+    }
+  });
+
+  return applyRewriteFields(existingChapter.id, chapterUpdate);
+}
+
 /**
  * Generate a single chapter with quality review
  * @param {string} storyId - The story ID
  * @param {number} chapterNumber - The chapter number to generate
  * @param {string} userId - User ID for cost tracking
  * @param {Object} editorBrief - Optional editor brief with revised outlines and style example (default: null)
+ * @param {Object} [options]
+ * @param {Object} [options.rewrite] - Rewrite an existing chapter instead (see chapter-rewrite.js):
+ *   { instructions, requestedBy, startedAt, jobId }. The new text is stored as a 'reader_rewrite'
+ *   revision, this chapter's ledgers are re-extracted, and story progress is left alone.
+ *
+ * Model calls run at 'urgent' priority when a reader is waiting on this chapter (see
+ * chapterPriority), otherwise 'normal'; between-batch maintenance runs at 'background'.
+ */
+async function generateChapter(storyId, chapterNumber, userId, editorBrief = null, options = {}) {
+  const priority = await chapterPriority(storyId, userId, chapterNumber, options);
+  return runWithPriority(priority, () => writeChapter(storyId, chapterNumber, userId, editorBrief, options));
+}
+
+/**
+ * Scheduling priority for a chapter: 'urgent' if it's the reader's next unread chapter
+ * (or one they asked to have rewritten), 'normal' otherwise.
+ */
+async function chapterPriority(storyId, userId, chapterNumber, { rewrite = null } = {}) {
+  if (rewrite) return 'urgent';
+
+  const { data: progress, error } = await supabaseAdmin
+    .from('reading_progress')
+    .select('chapter_number')
+    .eq('story_id', storyId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`⚠️ Could not read reading progress for chapter ${chapterNumber} priority, using 'normal': ${error.message}`);
+    return 'normal';
+  }
+
+  return isNextUnreadChapter(chapterNumber, progress?.chapter_number) ? 'urgent' : 'normal';
+}
+
+/**
+ * A reader on chapter N needs N+1 next; with no reading progress yet, chapter 1.
+ * Anything at or before their current chapter is needed now too (a regeneration).
  */
-async function generateChapter(storyId, chapterNumber, userId, editorBrief = null) {
+function isNextUnreadChapter(chapterNumber, currentChapterNumber) {
+  return chapterNumber <= (currentChapterNumber || 0) + 1;
+}
+
+async function writeChapter(storyId, chapterNumber, userId, editorBrief = null, { rewrite = null } = {}) {
   // Check if chapter already exists (prevents duplicate generation for legacy stories or recovery loops)
   const { data: existingChapter } = await supabaseAdmin
     .from('chapters')
-    .select('id, title, content')
+    .select('id, title, content, metadata')
     .eq('story_id', storyId)
     .eq('chapter_number', chapterNumber)
     .maybeSingle();
 
-  if (existingChapter) {
+  if (existingChapter && !rewrite) {
     console.log(`📖 Chapter ${chapterNumber} already exists for story ${storyId}, skipping generation`);
     return existingChapter;
   }
 
+  if (rewrite && !existingChapter) {
+    throw new Error(`Cannot rewrite chapter ${chapterNumber}: it hasn't been written yet`);
+  }
+
   // Fetch story
   const { data: story, error: storyError } = await supabaseAdmin
     .from('stories')
@@ -3809,11 +3109,16 @@ async function generateChapter(storyId, chapterNumber, userId, editorBrief = nul
     console.log(`⚙️ [${storyTitle}] Character ledger DISABLED by generation_config`);
   }
 
-  // Build world continuity context block (replaces old JSON.stringify world_rules dump)
-  const { buildWorldContextBlock } = require('./world-continuity');
-  const worldContextBlock = config.world_ledger !== false
-    ? await buildWorldContextBlock(storyId, chapterNumber, effectiveOutline)
+  // World continuity: the codex is story-stable and goes in the cached story context;
+  // world state and reader promises for this chapter go in the chapter task
+  const { buildWorldContextBlock, buildCodexContextBlock } = require('./world-continuity');
+  const codexContextBlock = config.world_ledger !== false
+    ? await buildCodexContextBlock(storyId)
+    : '';
+  const worldStateBlock = codexContextBlock
+    ? await buildWorldContextBlock(storyId, chapterNumber, effectiveOutline, { includeCodex: false })
     : '';
+  const worldContextBlock = [codexContextBlock, worldStateBlock].filter(Boolean).join('\n\n');
 
   if (config.world_ledger === false) {
     console.log(`⚙️ [${storyTitle}] World ledger DISABLED by generation_config`);
@@ -3846,6 +3151,7 @@ async function generateChapter(storyId, chapterNumber, userId, editorBrief = nul
 
       constraintsData = {
         constraints: extractResult.constraints,
+        schema_version: extractResult.schemaVersion,
         extraction_tokens: {
           input: extractResult.inputTokens,
           output: extractResult.outputTokens
@@ -3896,61 +3202,33 @@ Notice: no em dashes. Short sentences for tension. Physical sensation instead of
     || 'an award-winning fiction author known for prose that shows instead of tells, vivid character work, and compulsive page-turning narratives';
 
   // Craft rules: prose directive or static
-  const craftRulesBlock = proseDirective ? buildDynamicCraftRules(proseDirective) : buildStaticCraftRules();
+  const craftRules = proseDirective ? buildDynamicCraftRules(proseDirective) : buildStaticCraftRules();
 
   // Prose guardrails: prose directive or static
-  const proseGuardrailsBlock = proseDirective ? buildDynamicProseGuardrails(proseDirective) : buildStaticProseGuardrails();
-
-  const generatePrompt = `You are ${authorIdentity}.
+  const proseGuardrails = proseDirective ? buildDynamicProseGuardrails(proseDirective) : buildStaticProseGuardrails();
+
+  // Reader-requested rewrite: the whole chapter again, steered by the reader's instructions
+  const rewriteBlock = rewrite ? `
+<reader_rewrite_request>
+  The reader has read this chapter and asked for it to be rewritten:
+  "${rewrite.instructions}"
+
+  Write the WHOLE chapter again with this request honored throughout — not a light edit of the old version.
+  Keep the outlined plot events and the chapter's ending unless the request genuinely requires changing them; later chapters build on them.
+  Key events of the version the reader read: ${(existingChapter.metadata?.key_events || []).join('; ') || 'N/A'}
+</reader_rewrite_request>
+` : '';
 
-${proseGuardrailsBlock}
+  // Bible and outline sections assembled here; the template holds the fixed prose
+  const supportingCharactersBlock = bible.characters.supporting?.map(sc => `<character name="${sc.name}" role="${sc.role}" relationship="${sc.relationship_dynamic || 'N/A'}">${sc.personality}</character>`).join('\n    ') || 'None';
 
-Write Chapter ${chapterNumber} of "${bible.title}" following this outline and craft rules.
-${previousBooksBlock}${seriesContextBlock}
-<story_context>
-  <protagonist>
-    <name>${bible.characters.protagonist.name}</name>
-    <age>${bible.characters.protagonist.age}</age>
-    <personality>${bible.characters.protagonist.personality}</personality>
-    <strengths>${bible.characters.protagonist.strengths?.join(', ') || 'N/A'}</strengths>
-    <flaws>${bible.characters.protagonist.flaws?.join(', ') || 'N/A'}</flaws>
-    <goals>${bible.characters.protagonist.goals}</goals>
-    <fears>${bible.characters.protagonist.fears}</fears>
-    <internal_contradiction>${bible.characters.protagonist.internal_contradiction || 'N/A'}</internal_contradiction>
-    <lie_they_believe>${bible.characters.protagonist.lie_they_believe || 'N/A'}</lie_they_believe>
-    <deepest_fear>${bible.characters.protagonist.deepest_fear || 'N/A'}</deepest_fear>
-    <voice_notes>${bible.characters.protagonist.voice_notes || 'N/A'}</voice_notes>
-  </protagonist>
-
-  <antagonist>
-    <name>${bible.characters.antagonist.name}</name>
-    <motivation>${bible.characters.antagonist.motivation}</motivation>
-    <methods>${bible.characters.antagonist.methods || 'N/A'}</methods>
-    <why_they_believe_theyre_right>${bible.characters.antagonist.why_they_believe_theyre_right || 'N/A'}</why_they_believe_theyre_right>
-    <sympathetic_element>${bible.characters.antagonist.sympathetic_element || 'N/A'}</sympathetic_element>
-  </antagonist>
-
-  <supporting_characters>
-    ${bible.characters.supporting?.map(sc => `<character name="${sc.name}" role="${sc.role}" relationship="${sc.relationship_dynamic || 'N/A'}">${sc.personality}</character>`).join('\n    ') || 'None'}
-  </supporting_characters>
-
-  ${worldContextBlock ? worldContextBlock : `<world_rules>
+  const codexBlock = codexContextBlock ? codexContextBlock : `<world_rules>
     ${JSON.stringify(bible.world_rules)}
-  </world_rules>`}
-
-  <central_conflict>${bible.central_conflict.description}</central_conflict>
+  </world_rules>`;
 
-  <stakes>
-    <personal>${bible.stakes.personal}</personal>
-    <broader>${bible.stakes.broader || 'N/A'}</broader>
-  </stakes>
+  const keyLocationsBlock = bible.key_locations?.map(loc => `<location name="${loc.name}">${loc.description}</location>`).join('\n    ') || 'None';
 
-  <key_locations>
-    ${bible.key_locations?.map(loc => `<location name="${loc.name}">${loc.description}</location>`).join('\n    ') || 'None'}
-  </key_locations>
-</story_context>
-
-${bible.content?.batch_addenda?.length > 0 ? `
+  const storyDevelopmentsBlock = bible.content?.batch_addenda?.length > 0 ? `
 <story_developments>
   Facts established during earlier chapters that supplement the original bible:
   ${bible.content.batch_addenda.map(addendum => `
@@ -3965,9 +3243,9 @@ ${bible.content?.batch_addenda?.length > 0 ? `
     ${addendum.promises_made?.length ? `
     Open threads: ${addendum.promises_made.map(p => p.thread || p.description || p).join('; ')}` : ''}
   </batch>`).join('\n')}
-</story_developments>` : ''}
+</story_developments>` : '';
 
-${bible.narrative_voice ? `<narrative_voice>
+  const narrativeVoiceBlock = bible.narrative_voice ? `<narrative_voice>
   This story's narrative DNA — follow these voice directives throughout:
 
   POV: ${bible.narrative_voice.pov || 'Not specified'}
@@ -3979,77 +3257,73 @@ ${bible.narrative_voice ? `<narrative_voice>
 
   These voice directives are AS IMPORTANT as plot — a chapter with correct events but wrong voice is a failed chapter.
 </narrative_voice>
-` : ''}
-${constraintsBlock}
-<chapter_outline>
-  <chapter_number>${chapterNumber}</chapter_number>
-  <title>${effectiveOutline.title}</title>
-  <events_summary>${effectiveOutline.events_summary}</events_summary>
-  <character_focus>${effectiveOutline.character_focus}</character_focus>
-  <tension_level>${effectiveOutline.tension_level}</tension_level>
-  <word_count_target>${effectiveOutline.word_count_target}</word_count_target>
-${editorNotes ? `  <editor_notes>
+` : '';
+
+  const editorNotesBlock = editorNotes ? `  <editor_notes>
   These notes from the story editor describe specific beats to include in this chapter.
   Weave them naturally into the scenes — they are part of the chapter plan, not afterthoughts.
 
   ${editorNotes}
-  </editor_notes>` : ''}
-${effectiveOutline.enrichment_notes ? `  <enrichment_notes>
+  </editor_notes>` : '';
+
+  const enrichmentNotesBlock = effectiveOutline.enrichment_notes ? `  <enrichment_notes>
   Context from previous chapters that affects this chapter's plan. Integrate these adjustments naturally:
   ${effectiveOutline.enrichment_notes}
-  </enrichment_notes>` : ''}
-</chapter_outline>
-
-<previous_chapters>
-${previousContext}
-</previous_chapters>
-
-${craftRulesBlock}
-
-<style_example>
-${styleExampleContent}
-</style_example>
-
-<word_count>
-  STRICT REQUIREMENT: This chapter must be between 2500 and 3500 words. Not a guideline—a hard constraint. Count carefully.
-
-  If you approach 3500 words and haven't completed the chapter arc, condense. If you finish the chapter arc before 2500 words, expand scenes with richer detail, more character interiority, or stronger sensory grounding.
-</word_count>
-
-<reading_level>
-  Reading Level: ${readingLevel}
-  Age Range: ${ageRange}
-  Beloved Stories: ${belovedStories.join(', ') || 'not specified'}
-
-  CALIBRATE ALL PROSE TO THIS READING LEVEL. Here's what each level means:
-
-  early_reader: Short chapters (800-1200 words). Simple sentences averaging 8-12 words. Concrete vocabulary — show don't tell through action and dialogue, not internal monologue. Think Magic Tree House, Diary of a Wimpy Kid.
-
-  middle_grade: Standard chapters (1500-2500 words). Sentences average 12-16 words with variety. Accessible vocabulary with occasional "stretch" words that context makes clear. Emotions shown through behavior and some internal thought. Think Percy Jackson, early Harry Potter.
-
-  upper_middle_grade: Fuller chapters (2000-3000 words). Sentence variety with some complex structures. Moral ambiguity can be introduced. Internal conflict goes deeper. Think later Harry Potter, Hunger Games, Eragon.
-
-  young_adult: Rich chapters (2500-4000 words). Full sentence complexity. Unreliable narrators OK. Sophisticated vocabulary used naturally. Deep thematic exploration. Think Six of Crows, Throne of Glass.
-
-  new_adult/adult: No prose constraints. Full literary range.
-
-  IMPORTANT: If the reader mentioned specific beloved stories, match THAT prose level, not a generic age-based level. A 12-year-old who loves Hunger Games should get prose closer to Suzanne Collins than to Jeff Kinney.
-</reading_level>
-${learnedPreferencesBlock}${characterContinuityBlock}
+  </enrichment_notes>` : '';
+
+  const plotChangedField = rewrite ? `,
+    "plot_changed": true/false (did the key events change from the version the reader read?)` : '';
+
+  // Ordered most-stable first so the prompt cache is reused: story context (same for every
+  // chapter), then batch context (same within a batch), then this chapter's task
+  const storyContext = renderPrompt('chapter_story_context', {
+    authorIdentity,
+    proseGuardrails: proseGuardrails.text,
+    bible,
+    previousBooksBlock,
+    seriesContextBlock,
+    supportingCharactersBlock,
+    codexBlock,
+    keyLocationsBlock,
+    narrativeVoiceBlock,
+    craftRules: craftRules.text,
+    readingLevel,
+    ageRange,
+    belovedStories
+  });
+  const batchContext = renderPrompt('chapter_batch_context', {
+    storyDevelopmentsBlock,
+    styleExample: styleExampleContent,
+    learnedPreferencesBlock
+  });
+  const renderedPrompt = renderPrompt('chapter_generation', {
+    chapterNumber,
+    title: bible.title,
+    worldStateBlock,
+    constraintsBlock,
+    outline: effectiveOutline,
+    editorNotesBlock,
+    enrichmentNotesBlock,
+    rewriteBlock,
+    previousContext,
+    characterContinuityBlock,
+    plannedTitle: chapterOutline.title,
+    plotChangedField
+  });
+  const chapterMessage = cachedUserMessage([storyContext.text, batchContext.text], renderedPrompt.text);
+
+  // Every registry prompt that shaped this chapter, recorded on the chapter row
+  const promptVersions = {
+    ...storyContext.versions,
+    ...batchContext.versions,
+    ...renderedPrompt.versions,
+    ...craftRules.versions,
+    ...proseGuardrails.versions,
+    ...(config.prompt_versions?.prose_directive ? { prose_directive: config.prompt_versions.prose_directive } : {})
+  };
 
-Return ONLY a JSON object in this exact format:
-{
-  "chapter": {
-    "chapter_number": ${chapterNumber},
-    "title": "${chapterOutline.title}",
-    "content": "The full chapter text here...",
-    "word_count": number,
-    "opening_hook": "First sentence or two",
-    "closing_hook": "Last sentence or two",
-    "key_events": ["event1", "event2"],
-    "character_development": "Brief note on character growth"
-  }
-}`;
+  // Prose-lint rules for this chapter (built-ins plus admin rules, scoped by reading level and genre)
+  const lintOptions = { rules: await loadProseLintRules(), readingLevel, genre: story.genre };
 
   let regenerationCount = 0;
   let chapter;
@@ -4059,36 +3333,45 @@ Return ONLY a JSON object in this exact format:
   // Generation with quality review loop (max 3 attempts)
   while (!passedQuality && regenerationCount < 3) {
     const messages = regenerationCount === 0
-      ? [{ role: 'user', content: generatePrompt }]
+      ? [chapterMessage]
       : [
-          { role: 'user', content: generatePrompt },
+          chapterMessage,
           { role: 'assistant', content: JSON.stringify({ chapter }) },
           { role: 'user', content: `This chapter needs revision based on the following quality review:\n\n${JSON.stringify(qualityReview, null, 2)}\n\nPlease revise the chapter to address all issues while maintaining the plot events. Return the complete revised chapter in the same JSON format.` }
         ];
 
-    const { response, inputTokens, outputTokens } = await callClaudeWithRetry(
+    // Push the chapter prose to live stream listeners as it's written
+    let extractContent;
+    const onText = (delta, snapshot) => {
+      const restart = snapshot.length === delta.length;
+      if (restart) extractContent = createChapterContentExtractor();
+      appendChapterText(storyId, chapterNumber, regenerationCount, extractContent(delta), { restart });
+    };
+
+    const { response, inputTokens, outputTokens, cacheUsage } = await callClaudeWithRetry(
       messages,
       32000,
-      { operation: 'generate_chapter', userId, storyId, chapterNumber, regenerationCount, storyTitle }
+      { operation: 'generate_chapter', userId, storyId, chapterNumber, regenerationCount, storyTitle, onText }
     );
 
     await logApiCost(userId, 'generate_chapter', inputTokens, outputTokens, {
       storyId,
       chapterNumber,
       regenerationCount
-    });
+    }, cacheUsage);
 
     const parsed = parseAndValidateJSON(response, ['chapter']);
     chapter = parsed.chapter;
 
     // Prose violations scan (before quality review)
-    const proseScan = scanForProseViolations(chapter.content, proseDirective);
+    const proseScan = scanForProseViolations(chapter.content, proseDirective, lintOptions);
     if (!proseScan.passed) {
       storyLog(storyId, storyTitle, `⚠️ [${storyTitle}] Chapter ${chapterNumber} failed prose scan (attempt ${regenerationCount + 1}/3)`);
       storyLog(storyId, storyTitle, `   Violations: ${proseScan.violations.join(', ')}`);
 
       if (regenerationCount < 2) {
         regenerationCount++;
+        const blocking = proseScan.lint.violations.filter(v => v.severity === 'error');
         qualityReview = {
           weighted_score: 5.0,
           priority_fixes: proseScan.violations,
@@ -4097,8 +3380,8 @@ Return ONLY a JSON object in this exact format:
             prose_quality: {
               score: 3,
               weight: 0.25,
-              quotes: proseScan.violations,
-              fix: `CRITICAL PROSE VIOLATIONS: ${proseScan.violations.join('; ')}. Rewrite to eliminate these patterns completely.`
+              quotes: blocking.flatMap(v => v.excerpts),
+              fix: buildProseRevisionNotes(blocking)
             }
           }
         };
@@ -4123,6 +3406,7 @@ Return ONLY a JSON object in this exact format:
 
         constraintValidationData = {
           validation: validationResult.validation,
+          schema_version: validationResult.schemaVersion,
           validation_tokens: {
             input: validationResult.inputTokens,
             output: validationResult.outputTokens
@@ -4211,132 +3495,22 @@ Return ONLY a JSON object with the revised chapter:
     // Quality review pass — uses story-specific voice standards when available
     const reviewStandards = proseDirective ? buildDynamicReviewStandards(proseDirective) : buildStaticReviewStandards();
 
-    const reviewPrompt = `You are an expert editor reviewing a chapter for quality. Your job is to evaluate whether this chapter succeeds ON ITS OWN TERMS — does it deliver on the voice and craft standards this specific story is aiming for?
+    const renderedReview = renderPrompt('chapter_review', {
+      ageRange,
+      bible,
+      reviewStandards: reviewStandards.text,
+      voiceCheck: proseDirective ? `- Compare against this story's voice: "${proseDirective.author_identity}"` : '- Is the prose clean and professional?',
+      pacingTarget: proseDirective?.craft_rules?.pacing_style ? `- This story's pacing target: "${proseDirective.craft_rules.pacing_style}"` : ''
+    });
+    Object.assign(promptVersions, renderedReview.versions, reviewStandards.versions);
 
-<chapter_to_review>
+    // Standards and rubric are the same for every review of this story — cache them,
+    // the chapter follows
+    const reviewMessages = [cachedUserMessage([renderedReview.text], `<chapter_to_review>
 ${JSON.stringify(chapter, null, 2)}
-</chapter_to_review>
-
-<story_context>
-Target Age: ${ageRange} years
-Genre: ${bible.themes.join(', ')}
-Protagonist: ${bible.characters.protagonist.name}
-</story_context>
-
-${reviewStandards}
-
-<weighted_rubric>
-
-Score each criterion (1-10), provide evidence quotes, and suggest fixes if score < 7.
-
-1. VOICE CONSISTENCY (Weight: 20%)
-   - Does the prose sound like it belongs to THIS story?
-   - Is the voice distinctive and sustained throughout?
-   - Would a reader recognize this as the same narrator from other chapters?
-   ${proseDirective ? `- Compare against this story's voice: "${proseDirective.author_identity}"` : '- Is the prose clean and professional?'}
-
-2. DIALOGUE QUALITY (Weight: 20%)
-   - Do characters sound distinct from each other AND from the narrator?
-   - Are there action beats instead of adverb tags?
-   - Does dialogue advance plot and reveal character?
-   - Quote any generic or flat dialogue
-
-3. PACING & ENGAGEMENT (Weight: 15%)
-   - Does the chapter pull the reader forward?
-   - Strong opening? Compelling ending hook?
-   - Varied sentence rhythm appropriate to this story's voice?
-   ${proseDirective?.craft_rules?.pacing_style ? `- This story's pacing target: "${proseDirective.craft_rules.pacing_style}"` : ''}
-
-4. AGE APPROPRIATENESS (Weight: 15%)
-   - Is vocabulary and complexity right for ${ageRange}?
-   - Natural voice without talking down?
-   - Themes handled appropriately?
-
-5. WORLD CONSISTENCY (Weight: 10%)
-   - Do world systems (magic, technology, politics, social rules) operate consistently with established rules?
-   - Are facts established in earlier chapters honored, not contradicted?
-   - Does geography and spatial logic hold?
-   - Does the timeline progress logically?
-   - Are any world rules violated or bent without narrative justification?
-   - Quote any contradictions or inconsistencies
-
-6. CHARACTER CONSISTENCY (Weight: 10%)
-   - Do character decisions flow from established traits, fears, goals?
-   - Any out-of-character moments?
-   - Does this chapter develop the character arc?
-
-7. AI TELL DETECTION (Weight: 10%)
-   - Count: "something in [body part]" constructions
-   - Count: "the kind of X that Y" constructions
-   - Count: "not X, but Y" constructions
-   - Check for repeated body-part emotions on loop
-   - Check for micro-expression mind-reading
-   - "Letting out a breath they didn't know they were holding" or similar
-   - Does the prose feel machine-generated or human-crafted?
-
-</weighted_rubric>
-
-Calculate weighted_score = sum of (criterion_score × weight).
-
-Pass threshold: weighted_score >= 7.5
-
-Return ONLY a JSON object in this exact format:
-{
-  "quality_review": {
-    "weighted_score": number (calculated sum of score × weight),
-    "criteria_scores": {
-      "voice_consistency": {
-        "score": number (1-10),
-        "weight": 0.20,
-        "quotes": ["quote1 showing issue or strength", "quote2"],
-        "fix": "actionable fix if score < 7, else empty string"
-      },
-      "dialogue_quality": {
-        "score": number (1-10),
-        "weight": 0.20,
-        "quotes": ["quote1", "quote2"],
-        "fix": "actionable fix or empty"
-      },
-      "pacing_engagement": {
-        "score": number (1-10),
-        "weight": 0.15,
-        "quotes": ["quote1", "quote2"],
-        "fix": "actionable fix or empty"
-      },
-      "age_appropriateness": {
-        "score": number (1-10),
-        "weight": 0.15,
-        "quotes": ["quote1", "quote2"],
-        "fix": "actionable fix or empty"
-      },
-      "world_consistency": {
-        "score": number (1-10),
-        "weight": 0.10,
-        "quotes": ["quote1 — any world rule violations or contradictions", "quote2"],
-        "fix": "actionable fix or empty"
-      },
-      "character_consistency": {
-        "score": number (1-10),
-        "weight": 0.10,
-        "quotes": ["quote1", "quote2"],
-        "fix": "actionable fix or empty"
-      },
-      "ai_tell_detection": {
-        "score": number (1-10),
-        "weight": 0.10,
-        "quotes": ["quote1", "quote2"],
-        "fix": "actionable fix or empty"
-      }
-    },
-    "top_strengths": ["strength1 (specific)", "strength2", "strength3"],
-    "priority_fixes": ["fix1 (most important)", "fix2", "fix3"],
-    "pass": true/false (pass if weighted_score >= 7.5)
-  }
-}`;
+</chapter_to_review>`)];
 
-    const reviewMessages = [{ role: 'user', content: reviewPrompt }];
-
-    const { response: reviewResponse, inputTokens: reviewInputTokens, outputTokens: reviewOutputTokens } = await callClaudeWithRetry(
+    const { response: reviewResponse, inputTokens: reviewInputTokens, outputTokens: reviewOutputTokens, cacheUsage: reviewCacheUsage } = await callClaudeWithRetry(
       reviewMessages,
       32000,
       { operation: 'quality_review', userId, storyId, chapterNumber, regenerationCount, storyTitle }
@@ -4346,7 +3520,7 @@ Return ONLY a JSON object in this exact format:
       storyId,
       chapterNumber,
       regenerationCount
-    });
+    }, reviewCacheUsage);
 
     const reviewParsed = parseAndValidateJSON(reviewResponse, ['quality_review']);
     qualityReview = reviewParsed.quality_review;
@@ -4363,31 +3537,52 @@ Return ONLY a JSON object in this exact format:
 
   // Store chapter in database
   const finalScore = qualityReview.weighted_score !== undefined ? qualityReview.weighted_score : qualityReview.score;
-  const { data: storedChapter, error: chapterError } = await supabaseAdmin
-    .from('chapters')
-    .insert({
-      story_id: storyId,
-      arc_id: arc.id,  // REQUIRED: Link to parent arc
-      chapter_number: chapterNumber,
-      title: chapter.title,
-      content: chapter.content,
-      word_count: chapter.word_count,
-      quality_score: Math.round(finalScore * 10) / 10,  // Store with 1 decimal place
-      quality_review: qualityReview,
-      quality_pass_completed: true,
-      regeneration_count: regenerationCount,
-      metadata: {
-        opening_hook: chapter.opening_hook,
-        closing_hook: chapter.closing_hook,
-        key_events: chapter.key_events,
-        character_development: chapter.character_development
-      }
-    })
-    .select()
-    .single();
+  const chapterFields = {
+    title: chapter.title,
+    quality_score: Math.round(finalScore * 10) / 10,  // Store with 1 decimal place
+    quality_review: qualityReview,
+    quality_pass_completed: true,
+    regeneration_count: regenerationCount,
+    prompt_versions: promptVersions,
+    metadata: {
+      opening_hook: chapter.opening_hook,
+      closing_hook: chapter.closing_hook,
+      key_events: chapter.key_events,
+      character_development: chapter.character_development
+    }
+  };
+
+  require('./job-queue').throwIfLeaseLost();
+
+  let storedChapter;
+  if (rewrite) {
+    storedChapter = await storeRewrittenChapter(storyId, existingChapter, chapter, chapterFields, rewrite, userId);
+    storyLog(storyId, storyTitle, `✍️ [${storyTitle}] Ch${chapterNumber}: rewrite stored as revision ${storedChapter.current_revision}`);
+  } else {
+    const { data: insertedChapter, error: chapterError } = await supabaseAdmin
+      .from('chapters')
+      .insert({
+        story_id: storyId,
+        arc_id: arc.id,  // REQUIRED: Link to parent arc
+        chapter_number: chapterNumber,
+        content: chapter.content,
+        word_count: chapter.word_count,
+        ...chapterFields
+      })
+      .select()
+      .single();
+
+    if (chapterError) {
+      throw new Error(`Failed to store chapter: ${chapterError.message}`);
+    }
+    storedChapter = insertedChapter;
+  }
 
-  if (chapterError) {
-    throw new Error(`Failed to store chapter: ${chapterError.message}`);
+  // Store prose-lint results for the final text (constraint revisions may have changed it)
+  try {
+    await saveChapterProseLint(storedChapter, lintProse(chapter.content, { ...lintOptions, proseDirective }));
+  } catch (error) {
+    storyLog(storyId, storyTitle, `⚠️ [${storyTitle}] Ch${chapterNumber}: Failed to store prose lint results — ${error.message}`);
   }
 
   // Store constraint validation results if available
@@ -4412,6 +3607,10 @@ Return ONLY a JSON object in this exact format:
           story_id: storyId,
           chapter_number: chapterNumber,
           validation_result: validationRecord,
+          schema_versions: {
+            chapter_constraints: constraintsData?.schema_version || null,
+            constraint_validation: constraintValidationData?.schema_version || null
+          },
           severity: constraintValidationData?.validation?.verdict === 'FAIL' ? 'warning' : 'info',
           auto_revised: constraintValidationData?.revision_attempted || false,
           revision_diff: null,  // Not tracking diff for constraint revisions
@@ -4429,13 +3628,18 @@ Return ONLY a JSON object in this exact format:
     }
   }
 
-  // Update story progress
-  const currentProgress = story.generation_progress || {};
-  await updateGenerationProgress(storyId, {
-    ...currentProgress,
-    chapters_generated: chapterNumber,
-    current_step: `generating_chapter_${chapterNumber}_postprocessing`
-  });
+  // Update story progress (a rewrite doesn't move the story forward)
+  if (!rewrite) {
+    const currentProgress = story.generation_progress || {};
+    await updateGenerationProgress(storyId, {
+      ...currentProgress,
+      chapters_generated: chapterNumber,
+      current_step: `generating_chapter_${chapterNumber}_postprocessing`
+    });
+  } else {
+    // The old text's ledger entries no longer describe this chapter — re-extract below
+    await clearChapterLedgers(storyId, chapterNumber, chapterNumber);
+  }
 
   // Extract character ledger (wait for completion to ensure intra-batch continuity)
   const { extractCharacterLedger, reviewCharacterVoices, applyVoiceRevisions } = require('./character-intelligence');
@@ -4502,11 +3706,14 @@ Return ONLY a JSON object in this exact format:
   }
 
   // --- BETWEEN-BATCH MAINTENANCE (Bible Refresh + Arc Enrichment) ---
-  const batchEndChapters = [3, 6, 9, 12];
-  if (batchEndChapters.includes(chapterNumber)) {
-    const batchStart = chapterNumber - 2;
-    const batchChapters = [batchStart, batchStart + 1, batchStart + 2];
-    const batchNumber = Math.ceil(chapterNumber / 3);
+  // Rewrites skip this: the batch it belongs to was already maintained when first written
+  const plan = bookPlan.planFromArc(arc);
+  const completedBatch = rewrite ? null : bookPlan.batchEndingAt(plan, chapterNumber);
+  if (completedBatch) {
+    const batchChapters = [];
+    for (let n = completedBatch.start; n <= completedBatch.end; n++) batchChapters.push(n);
+    const batchNumber = plan.batches.indexOf(completedBatch) + 1;
+    const isFinalBatch = chapterNumber >= plan.total_chapters;
 
     const useBibleRefresh = config.bible_refresh !== false;
     const useArcEnrichment = config.arc_enrichment !== false;
@@ -4515,7 +3722,7 @@ Return ONLY a JSON object in this exact format:
     try {
       if (useBibleRefresh) {
         const { refreshBible } = require('./bible-arc-maintenance');
-        await refreshBible(storyId, batchChapters, userId);
+        await runWithPriority('background', () => refreshBible(storyId, batchChapters, userId));
       } else {
         console.log(`⚙️ [${storyTitle}] Bible refresh DISABLED by generation_config`);
       }
@@ -4526,12 +3733,12 @@ Return ONLY a JSON object in this exact format:
 
     // Arc enrichment (independent — skip for final batch, no upcoming chapters to enrich)
     try {
-      if (useArcEnrichment && chapterNumber < 12) {
+      if (useArcEnrichment && !isFinalBatch) {
         const { enrichArc } = require('./bible-arc-maintenance');
-        await enrichArc(storyId, batchChapters, userId);
+        await runWithPriority('background', () => enrichArc(storyId, batchChapters, userId));
       } else if (!useArcEnrichment) {
         console.log(`⚙️ [${storyTitle}] Arc enrichment DISABLED by generation_config`);
-      } else if (chapterNumber === 12) {
+      } else if (isFinalBatch) {
         console.log(`⚙️ [${storyTitle}] Skipping arc enrichment for final batch (no upcoming chapters)`);
       }
     } catch (error) {
@@ -4544,18 +3751,23 @@ Return ONLY a JSON object in this exact format:
 }
 
 /**
- * Orchestrate complete pre-generation: Bible -> Arc -> Chapters 1-3 (initial batch)
- * (Chapters 4-6, 7-9, and 10-12 are generated based on reader feedback after checkpoints)
+ * Orchestrate complete pre-generation: Bible -> Arc -> initial batch (chapters 1-3)
+ * (Later batches are generated after reader checkpoints, per the arc's book plan)
  */
 async function orchestratePreGeneration(storyId, userId) {
   const pipelineStartTime = Date.now();
   let storyTitle = 'Unknown';
 
   try {
+    // Step 0: Enrol a new story in running A/B experiments (once, before its arc or first
+    // chapter — a resumed story keeps the flags it started with)
+    const { assignStoryExperiments } = require('./experiments');
+    await assignStoryExperiments(storyId, userId);
+
     // Step 1: Check current progress to determine where to resume
     const { data: story } = await supabaseAdmin
       .from('stories')
-      .select('title, generation_progress, bible_id, current_arc_id')
+      .select('title, generation_progress, bible_id, current_arc_id, generation_config')
       .eq('id', storyId)
       .single();
 
@@ -4569,7 +3781,7 @@ async function orchestratePreGeneration(storyId, userId) {
     const arcComplete = !!progress.arc_complete;
     const bibleComplete = !!progress.bible_complete;
 
-    storyLog(storyId, storyTitle, `📖 [${storyTitle}] Pipeline started (chapters=${chaptersAlreadyGenerated}/3, arc=${arcComplete}, bible=${bibleComplete})`);
+    storyLog(storyId, storyTitle, `📖 [${storyTitle}] Pipeline started (chapters=${chaptersAlreadyGenerated}, arc=${arcComplete}, bible=${bibleComplete})`);
 
     // Verify bible exists
     const { data: bible } = await supabaseAdmin
@@ -4639,7 +3851,9 @@ async function orchestratePreGeneration(storyId, userId) {
     // Step 1.6: Generate prose directive (blocking — chapters need it before they start)
     // Fast call (~2-3s via Sonnet), but critical for voice consistency across all chapters
     const currentConfig = story.generation_config || {};
-    if (!currentConfig.prose_directive) {
+    if (currentConfig.prose_directive === false) {
+      storyLog(storyId, storyTitle, `✏️ [${storyTitle}] Prose directive: disabled, chapters will use static rules`);
+    } else if (!currentConfig.prose_directive) {
       storyLog(storyId, storyTitle, `✏️ [${storyTitle}] Prose directive: generating...`);
       try {
         const directive = await generateProseDirective(storyId, userId);
@@ -4695,8 +3909,11 @@ async function orchestratePreGeneration(storyId, userId) {
       storyLog(storyId, storyTitle, `📖 [${storyTitle}] Arc: already exists, skipping`);
     }
 
-    // Step 3: Generate Chapters (resume from where we left off)
-    for (let i = chaptersAlreadyGenerated + 1; i <= 3; i++) {
+    // Step 3: Generate the initial batch (resume from where we left off)
+    const plan = await bookPlan.getBookPlan(storyId);
+    const initialBatchEnd = plan.batches[0].end;
+
+    for (let i = chaptersAlreadyGenerated + 1; i <= initialBatchEnd; i++) {
       await updateGenerationProgress(storyId, {
         bible_complete: true,
         arc_complete: true,
@@ -4704,7 +3921,7 @@ async function orchestratePreGeneration(storyId, userId) {
         current_step: `generating_chapter_${i}`
       });
 
-      storyLog(storyId, storyTitle, `📖 [${storyTitle}] Chapter ${i}/3: starting generation...`);
+      storyLog(storyId, storyTitle, `📖 [${storyTitle}] Chapter ${i}/${initialBatchEnd}: starting generation...`);
       const chapterStartTime = Date.now();
 
       const chapter = await retryGenerationStep(`Chapter ${i} generation`, storyId, storyTitle, async () => {
@@ -4713,15 +3930,15 @@ async function orchestratePreGeneration(storyId, userId) {
 
       const chapterDuration = ((Date.now() - chapterStartTime) / 1000).toFixed(1);
       const charCount = chapter?.content?.length || 0;
-      storyLog(storyId, storyTitle, `📖 [${storyTitle}] Chapter ${i}/3: saved ✅ (${charCount.toLocaleString()} chars, ${chapterDuration}s)`);
+      storyLog(storyId, storyTitle, `📖 [${storyTitle}] Chapter ${i}/${initialBatchEnd}: saved ✅ (${charCount.toLocaleString()} chars, ${chapterDuration}s)`);
 
       // 1-second pause between chapters to avoid rate limits
-      if (i < 3) {
+      if (i < initialBatchEnd) {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
     }
 
-    // Mark story as active (with 3 chapters ready)
+    // Mark story as active (initial batch ready, waiting on the first checkpoint)
     await supabaseAdmin
       .from('stories')
       .update({
@@ -4729,13 +3946,23 @@ async function orchestratePreGeneration(storyId, userId) {
         generation_progress: {
           bible_complete: true,
           arc_complete: true,
-          chapters_generated: 3,
-          current_step: 'awaiting_chapter_2_feedback',
+          chapters_generated: initialBatchEnd,
+          current_step: bookPlan.stepAfterBatch(plan, initialBatchEnd),
           last_updated: new Date().toISOString()
         }
       })
       .eq('id', storyId);
 
+    // Short books reach the pre-classification point in the initial batch
+    if (plan.pre_classify_after_chapter <= initialBatchEnd) {
+      storyLog(storyId, storyTitle, `📋 [${storyTitle}] Pre-classification triggered after chapter ${plan.pre_classify_after_chapter}`);
+      const { classifyStoryContent } = require('./content-classification');
+      classifyStoryContent(storyId)
+        .catch(err => {
+          console.error(`❌ [${storyTitle}] Pre-classification failed (non-blocking):`, err.message);
+        });
+    }
+
     // Clear recovery lock on success
     await clearRecoveryLock(storyId);
 
@@ -4797,13 +4024,15 @@ async function orchestratePreGeneration(storyId, userId) {
 async function extractBookContext(storyId, userId) {
   console.log(`📊 Extracting context from Book ${storyId} for sequel generation...`);
 
-  // Get final chapters (10-12) to understand ending state
+  // Get the final batch (chapters 10-12 in a standard book) to understand ending state
+  const plan = await bookPlan.getBookPlan(storyId);
+  const finalBatch = plan.batches[plan.batches.length - 1];
   const { data: finalChapters, error: chaptersError } = await supabaseAdmin
     .from('chapters')
     .select('*')
     .eq('story_id', storyId)
-    .gte('chapter_number', 10)
-    .lte('chapter_number', 12)
+    .gte('chapter_number', finalBatch.start)
+    .lte('chapter_number', finalBatch.end)
     .order('chapter_number', { ascending: true });
 
   if (chaptersError || !finalChapters || finalChapters.length === 0) {
@@ -4827,7 +4056,7 @@ async function extractBookContext(storyId, userId) {
 BOOK BIBLE (Original Setup):
 ${JSON.stringify(bible, null, 2)}
 
-FINAL CHAPTERS (10-12):
+FINAL CHAPTERS (${finalBatch.start}-${finalBatch.end}):
 ${finalChapters.map(ch => `
 CHAPTER ${ch.chapter_number}: ${ch.title}
 ${ch.content}
@@ -5001,143 +4230,37 @@ async function generateSequelBible(predecessorStoryId, userPreferences, userId)
     }
   }
 
-  // Generate sequel bible with strong continuity
-  const sequelPrompt = `You are creating BOOK ${nextBookNumber} in a series for ages ${ageRange}.
-
-CRITICAL: This is a SEQUEL. You must preserve continuity with ALL previous books.
-
-═══════════════════════════════════════════════════════
-BOOK ${predecessorBookNumber} FOUNDATION (IMMEDIATE PREDECESSOR — MUST HONOR):
-═══════════════════════════════════════════════════════
-
-TITLE: "${book1Bible.title}"
-GENRE: ${book1Bible.content.characters.protagonist.name}'s adventures - ${JSON.stringify(book1Bible.themes)} ← SAME GENRE/THEMES REQUIRED
-
-PROTAGONIST (as they ENDED Book ${predecessorBookNumber}):
-Name: ${book1Bible.content.characters.protagonist.name}
-Age: ${book1Bible.content.characters.protagonist.age}
-Growth in Book ${predecessorBookNumber}: ${book1Context.character_states.protagonist.growth}
-Skills Gained: ${(book1Context.character_states.protagonist.skills_gained || []).join(', ')}
-Emotional State: ${book1Context.character_states.protagonist.emotional_state}
-Current Location: ${book1Context.character_states.protagonist.current_location}
-
-⚠️ Book ${nextBookNumber} protagonist MUST:
-- Be the SAME character
-- START more capable than Book ${predecessorBookNumber} beginning (they've grown across ${predecessorBookNumber} book${predecessorBookNumber > 1 ? 's' : ''}!)
-- RETAIN all skills/growth from ALL previous books
-- Remember and reference previous book events naturally
-
-WORLD RULES (MUST PRESERVE):
-${JSON.stringify(book1Bible.world_rules, null, 2)}
-
-World Changes from Book ${predecessorBookNumber}:
-${(book1Context.world_state || []).join('\n- ')}
-
-RELATIONSHIPS ESTABLISHED:
-${JSON.stringify(book1Context.relationships, null, 2)}
-
-BOOK ${predecessorBookNumber} ACCOMPLISHMENTS:
-${(book1Context.accomplishments || []).join('\n- ')}
-
-KEY EVENTS FROM BOOK ${predecessorBookNumber}:
-${(book1Context.key_events || []).join('\n- ')}
-${cumulativeSeriesHistory}
-
-═══════════════════════════════════════════════════════
-READER'S PREFERENCES FOR BOOK 2:
-═══════════════════════════════════════════════════════
-
-${userPreferences ? JSON.stringify(userPreferences, null, 2) : 'Continue the adventure naturally'}
-
-═══════════════════════════════════════════════════════
-BOOK ${nextBookNumber} REQUIREMENTS:
-═══════════════════════════════════════════════════════
-
-Create a NEW adventure that:
-
-1. CONTINUITY:
-   - Takes place 3-6 months after Book ${predecessorBookNumber}
-   - Character is MORE experienced than Book ${predecessorBookNumber} start (they've grown across ${predecessorBookNumber} book${predecessorBookNumber > 1 ? 's' : ''})
-   - References previous book events naturally
-   - Relationships continue/evolve
-   - World reflects ALL changes from previous books
-
-2. NEW CONFLICT:
-   - DIFFERENT type than Book ${predecessorBookNumber} main conflict
-   - Bigger stakes (protagonist more capable after ${predecessorBookNumber} book${predecessorBookNumber > 1 ? 's' : ''})
-   - Requires NEW skills (not just previous books' skills)
-   - Introduces new locations while honoring established ones
-
-3. EVOLVED THEMES — Each theme MUST evolve from previous books. Show how the sequel explores a NEW dimension or complication of the same core theme. Do NOT copy previous theme descriptions verbatim. The theme's essence stays, but the lens changes.
-4. AGE-APPROPRIATE: ${ageRange} years old
-5. INCORPORATE reader preferences where appropriate
-
-CRITICAL FORMAT INSTRUCTIONS:
-- Return ONLY valid JSON — no markdown, no code blocks, no commentary
-- Keep values CONCISE — 1-3 sentences per field, not paragraphs
-- Supporting characters: MAX 4 entries
-- Key locations: MAX 5 entries
-- Do NOT duplicate previous books' world_rules verbatim — summarize changes/additions only
-
-Return Book ${nextBookNumber} Bible in this EXACT format:
-{
-  "title": "A standalone creative title for Book ${nextBookNumber} — NOT a subtitle, NOT 'Book ${nextBookNumber} of...', just a strong title like previous books had",
-  "world_rules": {
-    "magic_system": "brief summary of magic rules (1-2 sentences)",
-    "technology_level": "brief (1 sentence)",
-    "social_structure": "brief (1 sentence)",
-    "key_rules": ["rule 1", "rule 2", "rule 3"],
-    "changes_from_previous_books": "what changed in the world since previous book(s) (1-2 sentences)"
-  },
-  "characters": {
-    "protagonist": {
-      "name": "${book1Bible.content.characters.protagonist.name}",
-      "age": ${book1Bible.content.characters.protagonist.age + 1},
-      "personality": "1-2 sentences",
-      "strengths": ["strength 1", "strength 2", "strength 3"],
-      "flaws": ["flaw 1", "flaw 2"],
-      "goals": "1 sentence",
-      "fears": "1 sentence"
-    },
-    "antagonist": {
-      "name": "name",
-      "role": "1 sentence",
-      "motivation": "1 sentence",
-      "connection_to_previous_books": "1 sentence"
-    },
-    "supporting": [
-      {"name": "name", "role": "1 sentence", "arc": "1 sentence"}
-    ]
-  },
-  "central_conflict": {
-    "description": "2-3 sentences",
-    "connection_to_previous_books": "1 sentence",
-    "escalation": "1 sentence"
-  },
-  "stakes": {
-    "personal": "1 sentence",
-    "world": "1 sentence"
-  },
-  "themes": ["EVOLVE theme 1 from Book 1 — same core idea, new angle/complication", "EVOLVE theme 2...", "etc — one evolved entry per Book 1 theme: ${book1Bible.themes.map(t => typeof t === 'string' ? t.substring(0, 40) : JSON.stringify(t).substring(0, 40)).join('; ')}"],
-  "key_locations": [
-    {"name": "location", "description": "1 sentence", "new_or_returning": "new/returning"}
-  ],
-  "timeline": {
-    "time_after_previous_book": "e.g. 3 months later",
-    "duration": "e.g. spans 2 weeks",
-    "season": "e.g. early winter"
-  },
-  "narrative_voice": {
-    "pov": "same POV as Book 1 unless there's a compelling reason to shift",
-    "tonal_register": "1 sentence — how has the tone evolved from Book 1?",
-    "sentence_rhythm": "1 sentence",
-    "signature_techniques": ["technique 1", "technique 2"],
-    "continuity_note": "what should feel the SAME as Book 1's voice, and what should evolve?"
+  // Generate the sequel against the series plan, when the series has one
+  const { getSeriesPlan, buildSeriesPlanBlock } = require('./series-planner');
+  const seriesPlan = await getSeriesPlan(predecessorStory?.series_id);
+  if (seriesPlan) {
+    console.log(`🗺️ Sequel bible follows the series plan: Book ${nextBookNumber} of ${seriesPlan.planned_books}`);
   }
-}`;
 
+  // Generate sequel bible with strong continuity
+  const sequelPrompt = renderPrompt('sequel_bible', {
+    nextBookNumber,
+    ageRange,
+    predecessorBookNumber,
+    previousBible: book1Bible,
+    endState: book1Context,
+    themesJson: JSON.stringify(book1Bible.themes || []),
+    booksPlural: predecessorBookNumber > 1 ? 's' : '',
+    worldRulesJson: JSON.stringify(book1Bible.world_rules, null, 2) || '',
+    worldState: (book1Context.world_state || []).join('\n- '),
+    relationshipsJson: JSON.stringify(book1Context.relationships, null, 2) || '',
+    accomplishments: (book1Context.accomplishments || []).join('\n- '),
+    keyEvents: (book1Context.key_events || []).join('\n- '),
+    cumulativeSeriesHistory,
+    readerPreferences: userPreferences ? JSON.stringify(userPreferences, null, 2) : 'Continue the adventure naturally',
+    protagonistNextAge: String(book1Bible.content.characters.protagonist.age + 1),
+    themeSummary: (book1Bible.themes || []).map(t => typeof t === 'string' ? t.substring(0, 40) : JSON.stringify(t).substring(0, 40)).join('; '),
+    seriesPlanBlock: buildSeriesPlanBlock(seriesPlan, nextBookNumber)
+  }).text;
+
+  const messages = [{ role: 'user', content: sequelPrompt }];
   const { response: bibleJson, inputTokens, outputTokens } = await callClaudeWithRetry(
-    [{ role: 'user', content: sequelPrompt }],
+    messages,
     8000  // Reduced from 32000 — constrained format keeps response compact, prevents JSON corruption on long outputs
   );
 
@@ -5145,16 +4268,10 @@ Return Book ${nextBookNumber} Bible in this EXACT format:
     parentStoryId: predecessorStoryId
   });
 
-  const parsed = parseAndValidateJSON(bibleJson, [
-    'title',
-    'world_rules',
-    'characters',
-    'central_conflict',
-    'stakes',
-    'themes',
-    'key_locations',
-    'timeline'
-  ]);
+  // Callers store this with schema_version getSchema('story_bible').version
+  const { data: parsed } = await parseStructured('story_bible', bibleJson, {
+    reask: reaskWithLLM({ model: 'generation', messages, maxTokens: 8000, operation: 'generate_sequel_bible', userId, costMetadata: { parentStoryId: predecessorStoryId } }, bibleJson)
+  });
 
   console.log(`✅ Generated sequel bible: "${parsed.title}"`);
 
@@ -5232,17 +4349,23 @@ function isTransientError(errorMessage) {
 }
 
 /**
- * Self-healing health check: Resume stalled story generations
- * Runs on server startup and every 30 minutes thereafter
+ * Startup backfill: queue recovery for story generations that stalled outside the job queue
+ * Runs once on server startup. Ongoing recovery (crashes, restarts, transient failures) is
+ * handled by generation_jobs leases and retries — this only catches stories whose work was
+ * never queued (e.g. in flight before the queue existed). Enqueueing is deduplicated per
+ * story, so stories that already have a live job are left alone.
  *
  * Retry strategy:
- * - Transient errors (529, 503, timeouts): unlimited retries on 5-min intervals.
+ * - Transient errors (529, 503, timeouts): re-queued on each startup.
  *   These are infrastructure issues that resolve on their own.
  * - Code errors (400, parse failures, constraint violations): max 2 retries then
  *   circuit breaker trips. These won't fix themselves.
+ * - permanently_failed stories (dead-lettered jobs) are never re-queued here;
+ *   an admin requeues them via POST /admin/jobs/:jobId/retry.
  */
 async function resumeStalledGenerations() {
   console.log('\n🏥 Health check running...');
+  const { enqueuePreGeneration, enqueueCheckpointBatch } = require('./generation-jobs');
 
   const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
 
@@ -5262,28 +4385,32 @@ async function resumeStalledGenerations() {
       .not('generation_progress', 'is', null);
 
     // Query 3: Fix orphaned chapter_X_complete states (from before realtime push migration)
-    // Note: chapter_12_complete is a VALID state (triggers book completion interview in iOS).
-    // Only match intermediate chapter_X_complete states (e.g. chapter_3_complete, chapter_6_complete)
-    // that were artifacts of an older pipeline version.
-    const { data: orphanedStories, error: orphanedError } = await supabaseAdmin
+    // Note: the book's final chapter_N_complete (chapter_12_complete for a standard book) is a
+    // VALID state (triggers book completion interview in iOS). Only intermediate
+    // chapter_X_complete states (e.g. chapter_3_complete, chapter_6_complete) are artifacts
+    // of an older pipeline version.
+    const { data: completeStepStories, error: orphanedError } = await supabaseAdmin
       .from('stories')
       .select('id, title, generation_progress')
       .eq('status', 'active')
-      .filter('generation_progress->>current_step', 'like', 'chapter_%_complete')
-      .filter('generation_progress->>current_step', 'neq', 'chapter_12_complete');
+      .filter('generation_progress->>current_step', 'like', 'chapter_%_complete');
 
-    if (orphanedStories && orphanedStories.length > 0) {
+    const orphanedStories = [];
+    for (const story of completeStepStories || []) {
+      const plan = await bookPlan.getBookPlan(story.id);
+      if (story.generation_progress?.current_step !== bookPlan.completionStep(plan)) {
+        orphanedStories.push({ ...story, plan });
+      }
+    }
+
+    if (orphanedStories.length > 0) {
       console.log(`🏥 Fixing ${orphanedStories.length} orphaned chapter_X_complete states`);
       for (const story of orphanedStories) {
         const step = story.generation_progress?.current_step;
         const chaptersGenerated = story.generation_progress?.chapters_generated || 0;
 
         // Determine correct awaiting state based on chapters generated
-        let correctStep;
-        if (chaptersGenerated <= 3) correctStep = 'awaiting_chapter_2_feedback';
-        else if (chaptersGenerated <= 6) correctStep = 'awaiting_chapter_5_feedback';
-        else if (chaptersGenerated <= 9) correctStep = 'awaiting_chapter_8_feedback';
-        else correctStep = 'chapter_12_complete';
+        const correctStep = bookPlan.awaitingStepForChaptersGenerated(story.plan, chaptersGenerated);
 
         console.log(`🏥 Fixing orphaned state: "${story.title}" ${step} → ${correctStep}`);
 
@@ -5311,6 +4438,9 @@ async function resumeStalledGenerations() {
       const progress = story.generation_progress;
       if (!progress) return false;
 
+      // Dead-lettered by the job queue — needs an admin, not another automatic retry
+      if (progress.current_step === 'permanently_failed') return false;
+
       // CONCURRENCY LOCK: Skip if recovery already in progress
       // (recovery_started within last 20 minutes)
       if (progress.recovery_started) {
@@ -5446,6 +4576,17 @@ async function resumeStalledGenerations() {
           })
           .eq('id', story.id);
 
+        // Imported manuscripts resume through their own job — their chapters exist before
+        // generation_progress counts them, which would look like drift below
+        const { hasUnfinishedImport } = require('./manuscript-import');
+        if (await hasUnfinishedImport(story.id)) {
+          console.log('   📥 Manuscript import unfinished, re-queueing it');
+          const { enqueueManuscriptImport } = require('./generation-jobs');
+          await enqueueManuscriptImport(story.id, story.user_id);
+          await clearRecoveryLock(story.id);
+          continue;
+        }
+
         // STATE DRIFT CHECK: Before attempting any recovery, verify that the actual
         // database state matches what generation_progress claims. If all expected chapters
         // exist but the progress tracker is stuck (e.g. "generating_chapter_10" when ch10
@@ -5457,20 +4598,18 @@ async function resumeStalledGenerations() {
           .order('chapter_number', { ascending: true });
 
         const actualChapterCount = actualChapters?.length || 0;
+        const plan = await bookPlan.getBookPlan(story.id);
 
         if (actualChapterCount > chaptersGenerated) {
           console.log(`🏥 [${story.title}] State drift detected: progress says ${chaptersGenerated} chapters, DB has ${actualChapterCount}`);
 
           // Determine the correct state based on actual chapter count
+          const reachedCheckpoint = bookPlan.latestCheckpointForChapterCount(plan, actualChapterCount);
           let correctStep;
-          if (actualChapterCount >= 12) {
+          if (actualChapterCount >= plan.total_chapters) {
             correctStep = 'completed';
-          } else if (actualChapterCount >= 9) {
-            correctStep = 'awaiting_chapter_8_feedback';
-          } else if (actualChapterCount >= 6) {
-            correctStep = 'awaiting_chapter_5_feedback';
-          } else if (actualChapterCount >= 3) {
-            correctStep = 'awaiting_chapter_2_feedback';
+          } else if (reachedCheckpoint) {
+            correctStep = bookPlan.awaitingStep(reachedCheckpoint);
           } else {
             correctStep = `generating_chapter_${actualChapterCount + 1}`;
           }
@@ -5522,12 +4661,9 @@ async function resumeStalledGenerations() {
               })
               .eq('id', story.id);
 
-            // Run orchestratePreGeneration — it should detect bible exists and skip to arc
-            orchestratePreGeneration(story.id, story.user_id)
-              .catch(err => {
-                console.error(`   ❌ Recovery failed for ${story.id}:`, err.message);
-              })
-              .finally(() => clearRecoveryLock(story.id));
+            // Queue orchestratePreGeneration — it detects the bible exists and skips to arc
+            await enqueuePreGeneration(story.id, story.user_id);
+            await clearRecoveryLock(story.id);
           } else {
             console.log('   📖 Bible missing — restarting full generation');
             // Need full re-generation — call the existing pipeline
@@ -5538,61 +4674,47 @@ async function resumeStalledGenerations() {
               .single();
 
             if (storyFull?.premise_id) {
-              generateStoryBibleForExistingStory(story.id, storyFull.premise_id, story.user_id)
-                .catch(err => {
-                  console.error(`   ❌ Bible re-generation failed for ${story.id}:`, err.message);
-                })
-                .finally(() => clearRecoveryLock(story.id));
+              await enqueuePreGeneration(story.id, story.user_id, { premiseId: storyFull.premise_id });
             }
+            await clearRecoveryLock(story.id);
           }
         } else if (!hasArc) {
           console.log('   🗺️ Bible complete, retrying arc generation');
           // Re-run from arc generation onward
-          orchestratePreGeneration(story.id, story.user_id)
-            .catch(err => {
-              console.error(`   ❌ Arc recovery failed for ${story.id}:`, err.message);
-            })
-            .finally(() => clearRecoveryLock(story.id));
-        } else if (chaptersGenerated < 3) {
+          await enqueuePreGeneration(story.id, story.user_id);
+          await clearRecoveryLock(story.id);
+        } else if (chaptersGenerated < plan.batches[0].end) {
           console.log(`   📝 Arc complete, resuming initial batch from chapter ${chaptersGenerated + 1}`);
           // Resume initial chapter generation (chapters 1-3)
-          orchestratePreGeneration(story.id, story.user_id)
-            .catch(err => {
-              console.error(`   ❌ Chapter recovery failed for ${story.id}:`, err.message);
-            })
-            .finally(() => clearRecoveryLock(story.id));
+          await enqueuePreGeneration(story.id, story.user_id);
+          await clearRecoveryLock(story.id);
         } else if (progress.batch_start && progress.batch_end) {
-          // Recovery for checkpoint-triggered batch generation (chapters 4-6, 7-9, 10-12)
+          // Recovery for checkpoint-triggered batch generation (chapters 4-6, 7-9, 10-12 in a standard book)
           const batchStart = progress.batch_start;
           const batchEnd = progress.batch_end;
           console.log(`   📝 Resuming batch generation: chapters ${batchStart}-${batchEnd}`);
 
-          // Use triggerCheckpointGeneration logic to regenerate the batch
-          const { triggerCheckpointGeneration } = require('../routes/feedback');
-          const checkpointMap = { 4: 'chapter_2', 7: 'chapter_5', 10: 'chapter_8' };
-          const checkpoint = checkpointMap[batchStart];
+          // Queue the batch directly — the checkpoint feedback that started it is already stored
+          const checkpoint = plan.batches.find(b => b.start === batchStart)?.checkpoint;
 
           if (checkpoint) {
-            triggerCheckpointGeneration(story.id, story.user_id, checkpoint)
-              .catch(err => {
-                console.error(`   ❌ Batch recovery failed for ${story.id}:`, err.message);
-              })
-              .finally(() => clearRecoveryLock(story.id));
+            await enqueueCheckpointBatch(story.id, story.user_id, { checkpoint, startChapter: batchStart, endChapter: batchEnd });
+            await clearRecoveryLock(story.id);
           } else {
             console.log(`   ⚠️ Unknown batch start ${batchStart}, skipping`);
             await clearRecoveryLock(story.id);
           }
-        } else if (chaptersGenerated >= 3 && currentStep.startsWith('generating_')) {
-          // Story has 3+ chapters and is stuck generating — likely a batch generation that didn't set batch_start/batch_end
+        } else if (chaptersGenerated >= plan.batches[0].end && currentStep.startsWith('generating_')) {
+          // Initial batch done and stuck generating — likely a batch generation that didn't set batch_start/batch_end
           // Determine which batch based on chapter count
-          const batchMap = { 3: { start: 4, end: 6, cp: 'chapter_2' }, 6: { start: 7, end: 9, cp: 'chapter_5' }, 9: { start: 10, end: 12, cp: 'chapter_8' } };
-          const batch = batchMap[chaptersGenerated];
+          const nextBatch = plan.batches.find(b => b.checkpoint && b.start === chaptersGenerated + 1);
+          const batch = nextBatch ? { start: nextBatch.start, end: nextBatch.end, cp: nextBatch.checkpoint } : null;
 
           if (batch) {
             // GUARD: Only trigger batch generation if the prerequisite checkpoint feedback actually exists.
             // Without this check, the health check can fire during the brief window between
             // "chapter 3 generated" and "pipeline sets awaiting_chapter_2_feedback", causing
-            // runaway generation of chapters 4-6 without the reader ever giving feedback.
+            // runaway generation of the next batch without the reader ever giving feedback.
             const { data: feedbackExists } = await supabaseAdmin
               .from('story_feedback')
               .select('id')
@@ -5602,17 +4724,13 @@ async function resumeStalledGenerations() {
 
             if (feedbackExists && feedbackExists.length > 0) {
               console.log(`   📝 Inferring batch from chapter count (${chaptersGenerated}): chapters ${batch.start}-${batch.end} (feedback verified)`);
-              const { triggerCheckpointGeneration } = require('../routes/feedback');
-              triggerCheckpointGeneration(story.id, story.user_id, batch.cp)
-                .catch(err => {
-                  console.error(`   ❌ Inferred batch recovery failed for ${story.id}:`, err.message);
-                })
-                .finally(() => clearRecoveryLock(story.id));
+              await enqueueCheckpointBatch(story.id, story.user_id, { checkpoint: batch.cp, startChapter: batch.start, endChapter: batch.end });
+              await clearRecoveryLock(story.id);
             } else {
               // No feedback found — this is a race condition. The initial batch just finished
               // but the pipeline hasn't set the awaiting state yet. DON'T trigger the next batch.
               // Instead, just set the correct awaiting state.
-              const awaitingStep = `awaiting_${batch.cp}_feedback`;
+              const awaitingStep = bookPlan.awaitingStep(batch.cp);
               console.log(`   ⚠️ No feedback for checkpoint "${batch.cp}" — race condition detected. Setting ${awaitingStep} instead of triggering batch.`);
               await supabaseAdmin
                 .from('stories')
@@ -5636,7 +4754,7 @@ async function resumeStalledGenerations() {
           await clearRecoveryLock(story.id);
         }
 
-        console.log(`   ✅ Recovery initiated for "${story.title}"`);
+        console.log(`   ✅ Recovery queued for "${story.title}"`);
       } catch (error) {
         console.error(`   ❌ Failed to initiate recovery for ${story.id}:`, error.message);
 
@@ -5669,7 +4787,8 @@ async function resumeStalledGenerations() {
     if (unclassifiedStories?.length) {
       for (const story of unclassifiedStories) {
         const chaptersGenerated = story.generation_progress?.chapters_generated || 0;
-        if (chaptersGenerated >= 9) {
+        const plan = await bookPlan.getBookPlan(story.id);
+        if (chaptersGenerated >= plan.pre_classify_after_chapter) {
           const existing = await getExistingClassification(story.id);
           if (!existing) {
             console.log(`📋 [${story.title}] Missed pre-classification — triggering now`);
@@ -5699,6 +4818,7 @@ module.exports = {
   generateStoryBibleForExistingStory,
   generateArcOutline,
   generateChapter,
+  clearChapterLedgers,
   orchestratePreGeneration,
   extractBookContext,
   generateSequelBible,
@@ -5717,5 +4837,9 @@ module.exports = {
   attemptJsonRepair,
   mapAgeRange,
   logApiCost,
-  logPreferenceEvent
+  logPreferenceEvent,
+  isTransientError,
+  chapterPriority,
+  isNextUnreadChapter,
+  scanForProseViolations
 };
@@ -0,0 +1,536 @@
+/**
+ * JOB QUEUE — Durable, lease-based queue for background generation
+ *
+ * Background work (the initial pipeline, checkpoint batches) is persisted as rows in
+ * generation_jobs instead of being kicked off as un-awaited promises. A worker loop in
+ * every server instance claims jobs through claim_generation_job() (FOR UPDATE SKIP LOCKED),
+ * holds a lease while the job runs and renews it with a heartbeat.
+ *
+ * Lifecycle:
+ *   queued → running → succeeded
+ *                    → queued (retry with backoff)
+ *                    → dead   (max attempts reached — dead-lettered for admin review)
+ *
+ * If an instance dies mid-job, its lease expires and any worker re-claims the job. A worker
+ * whose heartbeat finds the lease gone aborts its handler: the job's AbortSignal fires and
+ * throwIfLeaseLost() — checked before every model call, progress update and chapter insert —
+ * throws, so two workers never write the same generation. Handlers must be resumable: they
+ * pick up from stories.generation_progress, and generateChapter skips chapters that already
+ * exist.
+ *
+ * Usage:
+ *   registerJobHandler('pre_generation', async (job) => { ... });
+ *   await enqueueJob('pre_generation', { storyId, userId, payload: { premiseId } });
+ *   startJobWorker();
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { supabaseAdmin } = require('../config/supabase');
+const { reportToPeggy } = require('../middleware/peggy-error-reporter');
+
+const LEASE_SECONDS = 120;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+const MAX_CONCURRENT_JOBS = parseInt(process.env.GENERATION_WORKER_CONCURRENCY || '3', 10);
+const DEFAULT_MAX_ATTEMPTS = 5; // generation_jobs.max_attempts default
+
+// Code errors (parse failures, constraint violations) won't fix themselves —
+// dead-letter them after this many attempts. Transient errors get the full max_attempts.
+const NON_TRANSIENT_MAX_ATTEMPTS = 3;
+
+// Backoff between attempts: 1m, 5m, 15m, 30m (then 30m for anything beyond)
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 30 * 60 * 1000];
+
+// Unique per process so leases are fenced: a worker can only renew/complete jobs it holds
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Map<jobType, { run: Function, onDeadLetter: Function|null }>
+const handlers = new Map();
+
+// Map<jobId, { job, heartbeatTimer, startedAt }>
+const activeJobs = new Map();
+
+// The running job's lease signal, visible to everything its handler calls (awaited or not)
+const jobLease = new AsyncLocalStorage();
+
+let pollTimer = null;
+let polling = false;
+
+class LeaseLostError extends Error {
+  constructor(job) {
+    super(`Lost lease on job ${job.id} (${job.job_type}) — stopping so the new owner can resume it`);
+    this.name = 'LeaseLostError';
+  }
+}
+
+/**
+ * Throw if the job this code is running under has lost its lease. A no-op outside a job.
+ * Call before anything that writes results (model calls, progress, chapters).
+ */
+function throwIfLeaseLost() {
+  const signal = jobLease.getStore();
+  if (signal?.aborted) throw signal.reason;
+}
+
+/**
+ * Register the function that executes a job type.
+ *
+ * @param {string} jobType - e.g. 'pre_generation'
+ * @param {Function} run - async (job, { signal }) => any. Throwing marks the attempt failed;
+ *   signal aborts if the lease is lost (throwIfLeaseLost checks it for code the handler calls)
+ * @param {object} [options]
+ * @param {Function} [options.onDeadLetter] - async (job, error) called once when the job is dead-lettered
+ */
+function registerJobHandler(jobType, run, { onDeadLetter = null } = {}) {
+  handlers.set(jobType, { run, onDeadLetter });
+}
+
+/**
+ * Persist a job. If a live (queued/running) job of the same type already exists
+ * for the story, that job is returned instead of creating a duplicate.
+ *
+ * @param {string} jobType
+ * @param {object} options
+ * @param {string} options.storyId
+ * @param {string} options.userId
+ * @param {object} [options.payload] - Handler-specific parameters
+ * @param {number} [options.priority] - Higher runs first
+ * @param {number} [options.maxAttempts]
+ * @returns {Promise<{ job: object, deduplicated: boolean }>}
+ */
+async function enqueueJob(jobType, { storyId, userId, payload = {}, priority = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const { data: job, error } = await supabaseAdmin
+    .from('generation_jobs')
+    .insert({
+      story_id: storyId,
+      user_id: userId,
+      job_type: jobType,
+      payload,
+      priority,
+      max_attempts: maxAttempts,
+      status: 'queued',
+      run_after: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // 23505 = unique_violation on unique_live_generation_job — work is already queued
+    if (error.code === '23505') {
+      const existing = await getLiveJob(storyId, jobType);
+      if (existing) {
+        console.log(`📬 Job ${jobType} already live for story ${storyId} (${existing.status}), not enqueueing duplicate`);
+        return { job: existing, deduplicated: true };
+      }
+    }
+    throw new Error(`Failed to enqueue ${jobType} job: ${error.message}`);
+  }
+
+  console.log(`📬 Enqueued ${jobType} job ${job.id} for story ${storyId}`);
+
+  // Don't wait for the next poll tick if this instance has capacity
+  if (pollTimer) {
+    setImmediate(() => pollOnce().catch(() => {}));
+  }
+
+  return { job, deduplicated: false };
+}
+
+/**
+ * Get the live (queued or running) job of a type for a story, if any.
+ */
+async function getLiveJob(storyId, jobType) {
+  const { data } = await supabaseAdmin
+    .from('generation_jobs')
+    .select('*')
+    .eq('story_id', storyId)
+    .eq('job_type', jobType)
+    .in('status', ['queued', 'running'])
+    .maybeSingle();
+
+  return data || null;
+}
+
+/**
+ * Get the most recent job for a story (any type, any status).
+ */
+async function getLatestStoryJob(storyId) {
+  const { data } = await supabaseAdmin
+    .from('generation_jobs')
+    .select('id, job_type, status, attempts, max_attempts, run_after, last_error, checkpoint, updated_at')
+    .eq('story_id', storyId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return data || null;
+}
+
+/**
+ * Backoff before the next attempt, based on how many attempts have run.
+ *
+ * @param {number} attempts - Attempts completed so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+function computeRetryDelay(attempts) {
+  const index = Math.min(Math.max(attempts, 1) - 1, RETRY_DELAYS_MS.length - 1);
+  return RETRY_DELAYS_MS[index];
+}
+
+/**
+ * Decide whether a failed attempt should be retried or dead-lettered.
+ *
+ * @param {object} job - Job row (attempts already incremented by the claim)
+ * @param {boolean} transient - Whether the error is an infrastructure hiccup
+ * @returns {boolean} true if the job should be dead-lettered
+ */
+function shouldDeadLetter(job, transient) {
+  const limit = transient
+    ? job.max_attempts
+    : Math.min(job.max_attempts, NON_TRANSIENT_MAX_ATTEMPTS);
+  return job.attempts >= limit;
+}
+
+/**
+ * Atomically claim the next runnable job for this worker.
+ */
+async function claimNextJob() {
+  const { data, error } = await supabaseAdmin.rpc('claim_generation_job', {
+    p_worker_id: WORKER_ID,
+    p_lease_seconds: LEASE_SECONDS
+  });
+
+  if (error) {
+    throw new Error(`Job claim failed: ${error.message}`);
+  }
+
+  return (data && data[0]) || null;
+}
+
+/**
+ * Renew the lease and record the story's current generation_progress as the job checkpoint.
+ * Returns false if this worker no longer holds the lease.
+ */
+async function heartbeatJob(job) {
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('generation_progress')
+    .eq('id', job.story_id)
+    .maybeSingle();
+
+  const now = new Date();
+  const { data, error } = await supabaseAdmin
+    .from('generation_jobs')
+    .update({
+      locked_until: new Date(now.getTime() + LEASE_SECONDS * 1000).toISOString(),
+      heartbeat_at: now.toISOString(),
+      checkpoint: story?.generation_progress || job.checkpoint || null,
+      updated_at: now.toISOString()
+    })
+    .eq('id', job.id)
+    .eq('locked_by', WORKER_ID)
+    .eq('status', 'running')
+    .select('id');
+
+  if (error) {
+    console.error(`⚠️ Heartbeat failed for job ${job.id}: ${error.message}`);
+    return true; // Transient DB error — keep running, next beat may succeed
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Mark a job succeeded (only if this worker still holds it).
+ */
+async function completeJob(job) {
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('generation_progress')
+    .eq('id', job.story_id)
+    .maybeSingle();
+
+  const { data } = await supabaseAdmin
+    .from('generation_jobs')
+    .update({
+      status: 'succeeded',
+      completed_at: new Date().toISOString(),
+      locked_by: null,
+      locked_until: null,
+      checkpoint: story?.generation_progress || job.checkpoint || null,
+      last_error: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+    .eq('locked_by', WORKER_ID)
+    .select('id');
+
+  if (!data || data.length === 0) {
+    console.warn(`⚠️ Job ${job.id} completed but lease was lost to another worker`);
+  }
+}
+
+/**
+ * Record a failed attempt: requeue with backoff, or dead-letter.
+ */
+async function failJob(job, error) {
+  const { isTransientError } = require('./generation');
+  const transient = isTransientError(error.message);
+  const dead = shouldDeadLetter(job, transient);
+  const now = new Date();
+
+  const errorHistory = [
+    ...(job.error_history || []),
+    { attempt: job.attempts, error: (error.message || 'unknown').substring(0, 500), transient, at: now.toISOString(), worker: WORKER_ID }
+  ].slice(-20);
+
+  const update = dead
+    ? {
+        status: 'dead',
+        completed_at: now.toISOString()
+      }
+    : {
+        status: 'queued',
+        run_after: new Date(now.getTime() + computeRetryDelay(job.attempts)).toISOString()
+      };
+
+  const { data } = await supabaseAdmin
+    .from('generation_jobs')
+    .update({
+      ...update,
+      locked_by: null,
+      locked_until: null,
+      last_error: error.message,
+      error_history: errorHistory,
+      updated_at: now.toISOString()
+    })
+    .eq('id', job.id)
+    .eq('locked_by', WORKER_ID)
+    .select('id');
+
+  if (!data || data.length === 0) {
+    console.warn(`⚠️ Job ${job.id} failed but lease was lost to another worker — leaving it to the new owner`);
+    return;
+  }
+
+  if (!dead) {
+    console.log(`🔁 Job ${job.job_type} ${job.id} attempt ${job.attempts}/${job.max_attempts} failed (${transient ? 'transient' : 'code error'}) — retrying at ${update.run_after}`);
+    return;
+  }
+
+  console.error(`☠️ Job ${job.job_type} ${job.id} dead-lettered after ${job.attempts} attempts: ${error.message}`);
+
+  reportToPeggy({
+    source: `job-queue:${job.job_type}`,
+    category: 'generation',
+    severity: 'critical',
+    errorMessage: `Job dead-lettered after ${job.attempts} attempts (${transient ? 'transient' : 'code error'}): ${error.message}`,
+    stackTrace: error.stack,
+    storyId: job.story_id,
+    affectedUserId: job.user_id,
+    context: { job_id: job.id, job_type: job.job_type, checkpoint: job.checkpoint }
+  }).catch(() => {});
+
+  const handler = handlers.get(job.job_type);
+  if (handler?.onDeadLetter) {
+    try {
+      await handler.onDeadLetter(job, error);
+    } catch (hookError) {
+      console.error(`❌ Dead-letter hook failed for job ${job.id}: ${hookError.message}`);
+    }
+  }
+}
+
+/**
+ * Execute a claimed job with a heartbeat running alongside it. If the heartbeat finds the lease
+ * gone, the handler's signal aborts and the job is left to the worker that now holds it.
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.job_type);
+
+  const lease = new AbortController();
+
+  const heartbeatTimer = setInterval(() => {
+    heartbeatJob(job).then(stillHeld => {
+      if (!stillHeld && !lease.signal.aborted) {
+        console.warn(`⚠️ Lost lease on job ${job.id} (${job.job_type}) — aborting, another worker may resume it`);
+        lease.abort(new LeaseLostError(job));
+      }
+    }).catch(() => {});
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+
+  activeJobs.set(job.id, { job, heartbeatTimer, startedAt: Date.now() });
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.job_type}"`);
+    }
+
+    // A lease-expired job can be re-claimed past its limit (the claim increments attempts)
+    if (job.attempts > job.max_attempts) {
+      throw new Error(`Job exceeded max attempts (${job.max_attempts}) after lease expiry`);
+    }
+
+    console.log(`🛠️ Running ${job.job_type} job ${job.id} (story ${job.story_id}, attempt ${job.attempts}/${job.max_attempts})`);
+    await jobLease.run(lease.signal, () => handler.run(job, { signal: lease.signal }));
+    if (lease.signal.aborted) throw lease.signal.reason;
+    await completeJob(job);
+
+    const duration = ((Date.now() - activeJobs.get(job.id).startedAt) / 1000).toFixed(1);
+    console.log(`✅ Job ${job.job_type} ${job.id} succeeded (${duration}s)`);
+  } catch (error) {
+    // The new owner records this attempt's outcome — don't fail or retry it from here
+    if (lease.signal.aborted) {
+      console.warn(`⚠️ Job ${job.job_type} ${job.id} stopped after losing its lease`);
+      return;
+    }
+    await failJob(job, error).catch(err => {
+      console.error(`❌ Failed to record failure for job ${job.id}: ${err.message}`);
+    });
+  } finally {
+    clearInterval(heartbeatTimer);
+    activeJobs.delete(job.id);
+  }
+}
+
+/**
+ * Claim and start jobs until this worker is at capacity or the queue is empty.
+ */
+async function pollOnce() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    while (activeJobs.size < MAX_CONCURRENT_JOBS) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      runJob(job).catch(err => {
+        console.error(`❌ Unhandled error running job ${job.id}: ${err.message}`);
+      });
+    }
+  } catch (error) {
+    console.error(`❌ Job worker poll failed: ${error.message}`);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling for jobs. Safe to call once per process.
+ */
+function startJobWorker() {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    pollOnce().catch(() => {});
+  }, POLL_INTERVAL_MS);
+  pollTimer.unref();
+
+  console.log(`🛠️ Job worker ${WORKER_ID} started (concurrency ${MAX_CONCURRENT_JOBS}, lease ${LEASE_SECONDS}s)`);
+  pollOnce().catch(() => {});
+}
+
+/**
+ * Stop polling and hand running jobs back to the queue so another instance
+ * can pick them up immediately instead of waiting for the lease to expire.
+ * The interrupted attempt is not counted against the job.
+ */
+async function stopJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  for (const [jobId, { job, heartbeatTimer }] of activeJobs) {
+    clearInterval(heartbeatTimer);
+    try {
+      await supabaseAdmin
+        .from('generation_jobs')
+        .update({
+          status: 'queued',
+          attempts: Math.max(job.attempts - 1, 0),
+          run_after: new Date().toISOString(),
+          locked_by: null,
+          locked_until: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', jobId)
+        .eq('locked_by', WORKER_ID);
+      console.log(`📬 Released job ${jobId} (${job.job_type}) back to the queue`);
+    } catch (error) {
+      console.error(`❌ Failed to release job ${jobId}: ${error.message}`);
+    }
+  }
+  activeJobs.clear();
+}
+
+/**
+ * Move a dead (or failed) job back to the queue with a fresh attempt budget.
+ *
+ * @param {string} jobId
+ * @returns {Promise<object|null>} The requeued job, or null if not found / not dead
+ */
+async function requeueJob(jobId) {
+  const { data, error } = await supabaseAdmin
+    .from('generation_jobs')
+    .update({
+      status: 'queued',
+      attempts: 0,
+      run_after: new Date().toISOString(),
+      completed_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', jobId)
+    .in('status', ['dead', 'failed'])
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to requeue job: ${error.message}`);
+  }
+
+  return data || null;
+}
+
+/**
+ * In-process worker stats for monitoring.
+ *
+ * @returns {{ workerId: string, running: boolean, activeJobs: Array }}
+ */
+function getWorkerStatus() {
+  return {
+    workerId: WORKER_ID,
+    running: !!pollTimer,
+    concurrency: MAX_CONCURRENT_JOBS,
+    activeJobs: Array.from(activeJobs.values()).map(({ job, startedAt }) => ({
+      id: job.id,
+      job_type: job.job_type,
+      story_id: job.story_id,
+      attempt: job.attempts,
+      running_seconds: Math.round((Date.now() - startedAt) / 1000)
+    }))
+  };
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getLiveJob,
+  getLatestStoryJob,
+  requeueJob,
+  startJobWorker,
+  stopJobWorker,
+  getWorkerStatus,
+  throwIfLeaseLost,
+  LeaseLostError,
+  DEFAULT_MAX_ATTEMPTS,
+  // Exported for testing
+  runJob,
+  computeRetryDelay,
+  shouldDeadLetter,
+  RETRY_DELAYS_MS
+};
@@ -0,0 +1,53 @@
+/**
+ * LLM ANTHROPIC ADAPTER — Real Claude API transport for llm-provider
+ *
+ * Translates provider requests into anthropic.messages.create / .stream calls.
+ * Retry, pricing and cost logging live in llm-provider, not here.
+ */
+
+const { anthropic } = require('../config/ai-clients');
+
+/**
+ * @returns {{ name: string, complete: Function }}
+ */
+function createAnthropicAdapter(client = anthropic) {
+  async function complete({ model, messages, system, maxTokens, temperature, tools, onText }) {
+    const params = {
+      model,
+      max_tokens: maxTokens,
+      messages
+    };
+    if (system) params.system = system;
+    if (temperature !== undefined) params.temperature = temperature;
+    if (tools && tools.length > 0) params.tools = tools;
+
+    let response;
+    if (onText) {
+      // Stream so callers can surface partial text; onText(delta, snapshot)
+      const stream = client.messages.stream(params);
+      stream.on('text', onText);
+      response = await stream.finalMessage();
+    } else {
+      response = await client.messages.create(params);
+    }
+
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      text,
+      content: response.content,
+      inputTokens: response.usage.input_tokens,
+      outputTokens: response.usage.output_tokens,
+      cacheWriteTokens: response.usage.cache_creation_input_tokens || 0,
+      cacheReadTokens: response.usage.cache_read_input_tokens || 0,
+      stopReason: response.stop_reason
+    };
+  }
+
+  return { name: 'anthropic', complete };
+}
+
+module.exports = { createAnthropicAdapter };
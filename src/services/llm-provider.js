@@ -0,0 +1,366 @@
+/**
+ * LLM PROVIDER — One entry point for every model call
+ *
+ * Services call callLLM() instead of anthropic.messages.create(). The provider owns:
+ *   - model selection (roles like 'generation' / 'sonnet' / 'haiku', or an explicit model id)
+ *   - retry with backoff on rate limits, overloads and network errors
+ *   - scheduling: per-model concurrency / token-rate limits and priority (llm-scheduler.js)
+ *   - pricing per model and cost logging to api_costs
+ *   - prompt caching: stable leading sections (bible, codex, craft rules) are marked
+ *     cacheable so repeated calls for the same story re-read them at a tenth of the price
+ *
+ * The actual transport is an adapter:
+ *   anthropic — the real API (src/services/llm-anthropic-adapter.js)
+ *   stub      — replays recorded fixtures, no network (src/services/llm-stub-adapter.js)
+ *
+ * Selected by LLM_PROVIDER (default 'anthropic'); tests can swap adapters with setLLMAdapter().
+ *
+ * Usage:
+ *   const { callLLM } = require('./llm-provider');
+ *   const { text, inputTokens, outputTokens, cost } = await callLLM({
+ *     model: 'haiku',
+ *     messages: [{ role: 'user', content: prompt }],
+ *     maxTokens: 64000,
+ *     operation: 'ledger_extraction',
+ *     userId, storyId,
+ *     costMetadata: { chapterNumber }
+ *   });
+ *
+ * Prompt caching — pass the parts of the prompt that repeat across calls as cachedPrefix,
+ * most stable first (each section ends a cache breakpoint; at most 4):
+ *   await callLLM({ model: 'haiku', cachedPrefix: [storyContext], prompt: chapterSpecific, ... });
+ * Cache write/read tokens are priced and recorded in api_costs alongside input/output.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { acquireModelSlot } = require('./llm-scheduler');
+
+// Model roles → model ids. The generation model is read from environment so it can be
+// changed without redeployment.
+const MODELS = {
+  generation: process.env.CLAUDE_GENERATION_MODEL || 'claude-opus-4-6',
+  sonnet: 'claude-sonnet-4-5-20250929',
+  haiku: 'claude-haiku-4-5-20251001'
+};
+
+// Per-million-token pricing (USD) — as of Feb 2026
+// IMPORTANT: add an entry here when introducing a new model
+const MODEL_PRICING = {
+  'claude-opus-4-6': { INPUT_PER_MILLION: 5, OUTPUT_PER_MILLION: 25 },
+  'claude-sonnet-4-5-20250929': { INPUT_PER_MILLION: 3, OUTPUT_PER_MILLION: 15 },
+  'claude-sonnet-4-20250514': { INPUT_PER_MILLION: 3, OUTPUT_PER_MILLION: 15 },
+  'claude-haiku-4-5-20251001': { INPUT_PER_MILLION: 1, OUTPUT_PER_MILLION: 5 }
+};
+
+// Prompt caching prices, relative to the model's input price (5-minute cache)
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+const MAX_CACHE_BREAKPOINTS = 4;
+
+const DEFAULT_MAX_ATTEMPTS = 4;
+const RETRY_DELAYS_MS = [2000, 10000, 30000]; // 2s, 10s, 30s
+
+let activeAdapter = null;
+
+/**
+ * Resolve a model role ('generation', 'sonnet', 'haiku') or explicit id to a model id.
+ */
+function resolveModel(model) {
+  if (!model) return MODELS.generation;
+  return MODELS[model] || model;
+}
+
+/**
+ * Pricing for a model. Unknown models fall back to generation-model pricing
+ * (the most expensive tier) so spend is over- rather than under-reported.
+ */
+function getModelPricing(model) {
+  const modelId = resolveModel(model);
+  if (MODEL_PRICING[modelId]) return MODEL_PRICING[modelId];
+
+  console.warn(`⚠️ No pricing configured for model ${modelId} — using ${MODELS.generation} pricing`);
+  return MODEL_PRICING[MODELS.generation] || MODEL_PRICING['claude-opus-4-6'];
+}
+
+/**
+ * Calculate cost in USD for a model call. inputTokens excludes cached tokens, which are
+ * billed separately: writes at 1.25x and reads at 0.1x the input price.
+ */
+function calculateModelCost(model, inputTokens, outputTokens, { cacheWriteTokens = 0, cacheReadTokens = 0 } = {}) {
+  const pricing = getModelPricing(model);
+  const inputCost = (inputTokens / 1_000_000) * pricing.INPUT_PER_MILLION;
+  const outputCost = (outputTokens / 1_000_000) * pricing.OUTPUT_PER_MILLION;
+  const cacheWriteCost = (cacheWriteTokens / 1_000_000) * pricing.INPUT_PER_MILLION * CACHE_WRITE_MULTIPLIER;
+  const cacheReadCost = (cacheReadTokens / 1_000_000) * pricing.INPUT_PER_MILLION * CACHE_READ_MULTIPLIER;
+  return inputCost + outputCost + cacheWriteCost + cacheReadCost;
+}
+
+/**
+ * What prompt caching saved on a call, in USD, against sending every token uncached:
+ * reads save 90% of the input price, writes cost an extra 25%. Negative when a cache
+ * was written but never re-read.
+ */
+function calculateCacheSavings(model, { cacheWriteTokens = 0, cacheReadTokens = 0 } = {}) {
+  const pricePerToken = getModelPricing(model).INPUT_PER_MILLION / 1_000_000;
+  return cacheReadTokens * pricePerToken * (1 - CACHE_READ_MULTIPLIER)
+    - cacheWriteTokens * pricePerToken * (CACHE_WRITE_MULTIPLIER - 1);
+}
+
+/**
+ * First user message with cacheable leading sections. Each non-empty prefix becomes a
+ * text block ending a cache breakpoint; the prompt follows uncached. Order prefixes from
+ * most to least stable — a change in one invalidates the cache for everything after it.
+ *
+ * @param {string|string[]} prefixes
+ * @param {string} prompt
+ * @returns {{ role: 'user', content: Array }}
+ */
+function cachedUserMessage(prefixes, prompt) {
+  const sections = (Array.isArray(prefixes) ? prefixes : [prefixes]).filter(Boolean);
+  if (sections.length > MAX_CACHE_BREAKPOINTS) {
+    throw new Error(`At most ${MAX_CACHE_BREAKPOINTS} cached prompt sections are allowed`);
+  }
+
+  const content = sections.map(text => ({ type: 'text', text, cache_control: { type: 'ephemeral' } }));
+  if (prompt) content.push({ type: 'text', text: prompt });
+  return { role: 'user', content };
+}
+
+/**
+ * Log a model call's cost to api_costs. Never throws.
+ */
+async function logLLMCost({
+  userId = null,
+  storyId = null,
+  model,
+  operation,
+  inputTokens,
+  outputTokens,
+  cacheWriteTokens = 0,
+  cacheReadTokens = 0,
+  metadata = {}
+}) {
+  const modelId = resolveModel(model);
+  const cache = { cacheWriteTokens, cacheReadTokens };
+
+  try {
+    await supabaseAdmin
+      .from('api_costs')
+      .insert({
+        user_id: userId,
+        story_id: storyId,
+        provider: 'claude',
+        model: modelId,
+        operation,
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        cache_write_tokens: cacheWriteTokens,
+        cache_read_tokens: cacheReadTokens,
+        total_tokens: inputTokens + outputTokens + cacheWriteTokens + cacheReadTokens,
+        cost: calculateModelCost(modelId, inputTokens, outputTokens, cache),
+        cache_savings: calculateCacheSavings(modelId, cache),
+        metadata,
+        created_at: new Date().toISOString()
+      });
+  } catch (error) {
+    // Don't throw on cost logging failures - log to console instead
+    console.error('Failed to log API cost:', error);
+  }
+}
+
+/**
+ * Rate limits, overloads and network timeouts are worth retrying; everything else is not.
+ */
+function isRetryableError(error) {
+  return error.status === 529 ||
+    error.status === 429 ||
+    error.type === 'overloaded_error' ||
+    error.type === 'rate_limit_error' ||
+    error.code === 'ETIMEDOUT' ||
+    error.code === 'ECONNRESET';
+}
+
+function createAdapter(name) {
+  switch (name) {
+    case 'stub': {
+      const { createStubAdapter } = require('./llm-stub-adapter');
+      return createStubAdapter();
+    }
+    case 'anthropic':
+    case undefined:
+    case '': {
+      const { createAnthropicAdapter } = require('./llm-anthropic-adapter');
+      return createAnthropicAdapter();
+    }
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+  }
+}
+
+/**
+ * The adapter in use (created from LLM_PROVIDER on first call).
+ */
+function getLLMAdapter() {
+  if (!activeAdapter) {
+    activeAdapter = createAdapter(process.env.LLM_PROVIDER);
+  }
+  return activeAdapter;
+}
+
+/**
+ * Swap the adapter (tests). Pass null to go back to the LLM_PROVIDER default.
+ */
+function setLLMAdapter(adapter) {
+  activeAdapter = adapter;
+}
+
+/**
+ * Make a model call through the active adapter.
+ *
+ * @param {object} options
+ * @param {string} [options.model] - Model role or id (default: 'generation')
+ * @param {Array} [options.messages] - Anthropic-style messages
+ * @param {string} [options.prompt] - Shorthand for a single user message
+ * @param {string|string[]} [options.cachedPrefix] - Stable sections sent before `prompt`, marked cacheable
+ * @param {string} [options.system] - System prompt
+ * @param {number} options.maxTokens
+ * @param {number} [options.temperature]
+ * @param {Array} [options.tools] - Anthropic tool definitions; tool_use blocks come back in `content`
+ * @param {string} options.operation - api_costs.operation, also the stub fixture key
+ * @param {string} [options.userId]
+ * @param {string} [options.storyId]
+ * @param {object} [options.costMetadata] - api_costs.metadata
+ * @param {boolean} [options.logCost=true] - false when the caller logs cost itself
+ * @param {number} [options.maxAttempts=4] - 1 disables retry
+ * @param {number[]} [options.retryDelaysMs] - Backoff before each retry (default 2s, 10s, 30s)
+ * @param {string} [options.storyTitle] - Log prefix
+ * @param {string} [options.priority] - 'urgent' | 'normal' | 'background' (default: the
+ *   surrounding runWithPriority, else 'normal')
+ * @param {Function} [options.onText] - (delta, snapshot) — streams the response as it's written
+ * @returns {Promise<{text: string, content: Array, inputTokens: number, outputTokens: number,
+ *   cacheWriteTokens: number, cacheReadTokens: number, cost: number, model: string, stopReason: string}>}
+ */
+async function callLLM(options) {
+  const {
+    prompt,
+    cachedPrefix,
+    system,
+    maxTokens,
+    temperature,
+    tools,
+    operation,
+    userId = null,
+    storyId = null,
+    costMetadata = {},
+    logCost = true,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryDelaysMs = RETRY_DELAYS_MS,
+    storyTitle = 'Unknown',
+    priority,
+    onText
+  } = options;
+
+  const model = resolveModel(options.model);
+  const messages = options.messages || [
+    cachedPrefix ? cachedUserMessage(cachedPrefix, prompt) : { role: 'user', content: prompt }
+  ];
+  const request = { model, messages, system, maxTokens, temperature, tools, operation, onText };
+  const adapter = getLLMAdapter();
+
+  let lastError;
+  for (let i = 0; i < maxAttempts; i++) {
+    // A job that lost its lease must not keep generating (another worker now owns it)
+    require('./job-queue').throwIfLeaseLost();
+
+    try {
+      // Wait before retry (except first attempt)
+      if (i > 0 && retryDelaysMs[i - 1]) {
+        const waitSeconds = (retryDelaysMs[i - 1] / 1000).toFixed(0);
+        if (lastError.status === 429 || lastError.type === 'rate_limit_error') {
+          console.log(`⏳ [${storyTitle}] Rate limited, waiting ${waitSeconds}s before retry...`);
+        }
+        await new Promise(resolve => setTimeout(resolve, retryDelaysMs[i - 1]));
+      }
+
+      const promptLength = JSON.stringify(messages).length + (system ? system.length : 0);
+
+      // Wait for a slot under the model's concurrency and token-rate limits
+      const queuedAt = Date.now();
+      const release = await acquireModelSlot({ model, priority, tokens: Math.ceil(promptLength / 4) });
+      const queuedSeconds = (Date.now() - queuedAt) / 1000;
+      if (queuedSeconds >= 1) {
+        console.log(`⏳ [${storyTitle}] ${operation || 'unlabeled'} waited ${queuedSeconds.toFixed(1)}s for a ${model} slot`);
+      }
+
+      console.log(`🤖 [${storyTitle}] ${adapter.name} ${model} call → ${operation || 'unlabeled'} (${promptLength.toLocaleString()} chars)`);
+
+      const apiStartTime = Date.now();
+      let result;
+      try {
+        result = await adapter.complete(request);
+      } catch (error) {
+        release();
+        throw error;
+      }
+      release({ tokens: result.inputTokens + result.outputTokens + (result.cacheWriteTokens || 0) });
+      const apiDuration = ((Date.now() - apiStartTime) / 1000).toFixed(1);
+
+      console.log(`🤖 [${storyTitle}] ${adapter.name} responded ← (${result.text.length.toLocaleString()} chars, ${apiDuration}s)`);
+
+      const cache = {
+        cacheWriteTokens: result.cacheWriteTokens || 0,
+        cacheReadTokens: result.cacheReadTokens || 0
+      };
+      const cost = calculateModelCost(model, result.inputTokens, result.outputTokens, cache);
+
+      if (logCost && operation) {
+        await logLLMCost({
+          userId,
+          storyId,
+          model,
+          operation,
+          inputTokens: result.inputTokens,
+          outputTokens: result.outputTokens,
+          ...cache,
+          metadata: costMetadata
+        });
+      }
+
+      return {
+        text: result.text,
+        content: result.content,
+        inputTokens: result.inputTokens,
+        outputTokens: result.outputTokens,
+        ...cache,
+        cost,
+        model,
+        stopReason: result.stopReason
+      };
+    } catch (error) {
+      lastError = error;
+
+      if (!isRetryableError(error) || i === maxAttempts - 1) {
+        throw error;
+      }
+
+      console.log(`⚠️ [${storyTitle}] ${adapter.name} retry ${i + 1}/${maxAttempts} — reason: ${error.message}`);
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  MODELS,
+  MODEL_PRICING,
+  callLLM,
+  resolveModel,
+  getModelPricing,
+  calculateModelCost,
+  calculateCacheSavings,
+  cachedUserMessage,
+  logLLMCost,
+  isRetryableError,
+  getLLMAdapter,
+  setLLMAdapter
+};
@@ -0,0 +1,239 @@
+/**
+ * LLM SCHEDULER — Process-wide concurrency, token-rate limits and priority for model calls
+ *
+ * Every callLLM attempt takes a slot here before it reaches the adapter, so a burst of
+ * checkpoint batches queues up instead of all hitting the API at once and backing off.
+ *
+ * Priorities (highest first):
+ *   urgent     — a chapter a reader is about to need (their next unread chapter, a rewrite
+ *                they asked for)
+ *   normal     — the rest of the foreground pipeline (later chapters of a batch, bibles, arcs)
+ *   background — work nobody is waiting on (refreshBible, enrichArc, cover briefs)
+ * Within a priority, calls run in arrival order.
+ *
+ * Priority is ambient: everything called inside runWithPriority('background', fn) runs at
+ * that priority (AsyncLocalStorage), so it doesn't have to be threaded through the pipeline.
+ * callLLM({ priority }) overrides it for a single call.
+ *
+ * Limits are per model (role name or model id) and can be overridden with
+ * LLM_SCHEDULER_LIMITS, e.g. '{"generation":{"concurrency":4,"tokensPerMinute":200000}}'.
+ * Tokens per minute counts uncached input + cache writes + output over a sliding minute.
+ * A call reserves its estimated input when it starts; the actual usage replaces the estimate
+ * when it finishes. A call bigger than the whole budget still runs once the window is empty.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = ['urgent', 'normal', 'background'];
+const DEFAULT_PRIORITY = 'normal';
+const WINDOW_MS = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  generation: { concurrency: 4, tokensPerMinute: 400000 },
+  sonnet: { concurrency: 8, tokensPerMinute: 800000 },
+  haiku: { concurrency: 16, tokensPerMinute: 2000000 },
+  default: { concurrency: 4, tokensPerMinute: 400000 }
+};
+
+const priorityContext = new AsyncLocalStorage();
+
+function checkPriority(priority) {
+  if (!PRIORITIES.includes(priority)) {
+    throw new Error(`Unknown model call priority "${priority}" (expected ${PRIORITIES.join(', ')})`);
+  }
+}
+
+/**
+ * Run fn with every model call inside it (awaited or not) scheduled at `priority`
+ */
+function runWithPriority(priority, fn) {
+  checkPriority(priority);
+  return priorityContext.run(priority, fn);
+}
+
+/**
+ * Priority of the surrounding runWithPriority, or 'normal'
+ */
+function currentPriority() {
+  return priorityContext.getStore() || DEFAULT_PRIORITY;
+}
+
+function parseLimitsEnv() {
+  if (!process.env.LLM_SCHEDULER_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.LLM_SCHEDULER_LIMITS);
+  } catch (err) {
+    console.error(`⚠️ LLM_SCHEDULER_LIMITS is not valid JSON, using defaults: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.limits] - { [role or model id]: { concurrency, tokensPerMinute } }
+ * @param {Function} [options.resolveRole] - model id → role name (generation/sonnet/haiku), for role-keyed limits
+ * @param {Function} [options.now]
+ */
+function createScheduler({ limits = {}, resolveRole = () => null, now = Date.now } = {}) {
+  // Map<model, { limits, running, queue: [{ priority, seq, tokens, enqueuedAt, start }], usage: [{ at, tokens }] }>
+  const models = new Map();
+  let sequence = 0;
+  let wakeTimer = null;
+
+  function limitsFor(model) {
+    const role = resolveRole(model);
+    return {
+      ...DEFAULT_LIMITS.default,
+      ...(role && DEFAULT_LIMITS[role]),
+      ...limits.default,
+      ...(role && limits[role]),
+      ...limits[model]
+    };
+  }
+
+  function stateFor(model) {
+    if (!models.has(model)) {
+      models.set(model, { limits: limitsFor(model), running: 0, queue: [], usage: [] });
+    }
+    return models.get(model);
+  }
+
+  function tokensInWindow(state, at) {
+    state.usage = state.usage.filter(u => u.running || at - u.at < WINDOW_MS);
+    return state.usage.reduce((sum, u) => sum + u.tokens, 0);
+  }
+
+  function canStart(state, tokens, at) {
+    if (state.running >= state.limits.concurrency) return false;
+    const used = tokensInWindow(state, at);
+    return used === 0 || used + tokens <= state.limits.tokensPerMinute;
+  }
+
+  // Re-check queues when the oldest token usage leaves the window
+  function scheduleWake() {
+    if (wakeTimer) return;
+
+    let soonest = null;
+    for (const state of models.values()) {
+      if (state.queue.length === 0 || state.running >= state.limits.concurrency) continue;
+      for (const u of state.usage) {
+        if (u.running) continue;
+        const expiresIn = u.at + WINDOW_MS - now();
+        if (soonest === null || expiresIn < soonest) soonest = expiresIn;
+      }
+    }
+    if (soonest === null) return;
+
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      for (const model of models.keys()) dispatch(model);
+      scheduleWake();
+    }, Math.max(soonest, 10));
+    if (wakeTimer.unref) wakeTimer.unref();
+  }
+
+  function dispatch(model) {
+    const state = stateFor(model);
+    while (state.queue.length > 0 && canStart(state, state.queue[0].tokens, now())) {
+      state.queue.shift().start();
+    }
+    if (state.queue.length > 0) scheduleWake();
+  }
+
+  /**
+   * Wait for a slot. Resolves with release({ tokens }) — call it exactly once when the
+   * call finishes, with the actual tokens used (omit on failure to keep the estimate).
+   *
+   * @param {object} request
+   * @param {string} request.model
+   * @param {string} [request.priority] - defaults to the ambient priority
+   * @param {number} [request.tokens=0] - estimated tokens
+   * @returns {Promise<Function>}
+   */
+  function acquire({ model, priority = currentPriority(), tokens = 0 }) {
+    checkPriority(priority);
+    const state = stateFor(model);
+
+    return new Promise(resolve => {
+      const entry = {
+        priority,
+        rank: PRIORITIES.indexOf(priority),
+        seq: sequence++,
+        tokens,
+        enqueuedAt: now(),
+        start: () => {
+          const usage = { at: now(), tokens, running: true };
+          state.usage.push(usage);
+          state.running++;
+
+          let released = false;
+          resolve(({ tokens: actualTokens } = {}) => {
+            if (released) return;
+            released = true;
+            usage.running = false;
+            usage.at = now();
+            if (actualTokens !== undefined) usage.tokens = actualTokens;
+            state.running--;
+            dispatch(model);
+          });
+        }
+      };
+
+      const index = state.queue.findIndex(e => e.rank > entry.rank);
+      state.queue.splice(index === -1 ? state.queue.length : index, 0, entry);
+      dispatch(model);
+    });
+  }
+
+  /**
+   * Queue depth and load per model, for /admin/health
+   */
+  function stats() {
+    const at = now();
+    const byModel = {};
+    let queued = 0;
+    let running = 0;
+    let oldestWaitMs = 0;
+
+    for (const [model, state] of models) {
+      const queuedByPriority = Object.fromEntries(PRIORITIES.map(p => [p, 0]));
+      for (const entry of state.queue) queuedByPriority[entry.priority]++;
+      const waitMs = state.queue.length > 0 ? at - Math.min(...state.queue.map(e => e.enqueuedAt)) : 0;
+
+      byModel[model] = {
+        running: state.running,
+        queued: state.queue.length,
+        queued_by_priority: queuedByPriority,
+        oldest_wait_ms: waitMs,
+        tokens_last_minute: tokensInWindow(state, at),
+        limits: state.limits
+      };
+      queued += state.queue.length;
+      running += state.running;
+      oldestWaitMs = Math.max(oldestWaitMs, waitMs);
+    }
+
+    return { running, queued, oldest_wait_ms: oldestWaitMs, models: byModel };
+  }
+
+  return { acquire, stats };
+}
+
+// The process-wide scheduler used by callLLM. Roles resolve lazily — llm-provider requires us.
+const scheduler = createScheduler({
+  limits: parseLimitsEnv(),
+  resolveRole: (model) => {
+    const { MODELS } = require('./llm-provider');
+    return Object.keys(MODELS).find(role => MODELS[role] === model) || null;
+  }
+});
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_LIMITS,
+  createScheduler,
+  runWithPriority,
+  currentPriority,
+  acquireModelSlot: scheduler.acquire,
+  getSchedulerStats: scheduler.stats
+};
@@ -0,0 +1,186 @@
+/**
+ * LLM STUB ADAPTER — Deterministic, offline transport for llm-provider
+ *
+ * Replays recorded responses so the pipeline (premise → bible → arc → chapters →
+ * validation → ledgers) can run in tests with no network.
+ *
+ * Responses are looked up per operation, in order:
+ *   1. handlers[operation](request) — programmatic responses registered by a test
+ *   2. fixture entry whose `key` equals requestKey(request) — an exact recorded request
+ *   3. fixture entry whose `match` substrings all appear in the prompt
+ *   4. fixture entry with neither `key` nor `match` — the operation's default
+ *
+ * Fixtures live in <fixturesDir>/<operation>.json (LLM_FIXTURES_DIR, default tests/fixtures/llm):
+ *   {
+ *     "responses": [
+ *       { "key": "3f2a…", "text": "…", "usage": { "input_tokens": 1200, "output_tokens": 900, "cache_read_input_tokens": 4000 } },
+ *       { "match": ["chapter 3"], "text": "…" },
+ *       { "match": ["submit"], "content": [{ "type": "tool_use", "name": "…", "input": {} }] },
+ *       { "text": "…default…" }
+ *     ]
+ *   }
+ *
+ * A request with no matching response throws LLMFixtureMissingError naming the operation
+ * and request key, so the missing fixture is easy to add.
+ *
+ * Sequential mode (replaying a recorded run, see pipeline-recorder.js): each response is
+ * used once. A request takes the unused response with its exact key, or else the next
+ * unused response for its operation in recorded order — so a run whose prompts have since
+ * changed still replays, and `calls[].matchedBy === 'sequence'` shows where they drifted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'llm');
+const STREAM_CHUNK_SIZE = 200;
+
+class LLMFixtureMissingError extends Error {
+  constructor(operation, key) {
+    super(`No stub response for operation "${operation}" (request key ${key})`);
+    this.name = 'LLMFixtureMissingError';
+    this.operation = operation;
+    this.key = key;
+  }
+}
+
+/**
+ * Stable identity for a request: model + system + messages. Two identical prompts
+ * always get the same key, so recorded fixtures replay exactly.
+ */
+function requestKey({ model, system, messages }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ model, system: system || null, messages }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function promptText({ system, messages }) {
+  const parts = typeof system === 'string' ? [system] : [];
+  for (const message of messages || []) {
+    if (typeof message.content === 'string') {
+      parts.push(message.content);
+    } else if (Array.isArray(message.content)) {
+      parts.push(...message.content.filter(b => b.type === 'text').map(b => b.text));
+    }
+  }
+  return parts.join('\n');
+}
+
+// Rough token estimate for fixtures recorded without usage
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.fixturesDir] - Directory of <operation>.json fixture files
+ * @param {object} [options.fixtures] - In-memory fixtures: { [operation]: { responses: [...] } }
+ * @param {object} [options.handlers] - { [operation]: (request) => string | { text, content, usage } }
+ * @param {boolean} [options.sequential=false] - Use each response once, in recorded order
+ * @returns {{ name: string, complete: Function, register: Function, calls: Array }}
+ */
+function createStubAdapter({
+  fixturesDir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+  fixtures = {},
+  handlers = {},
+  sequential = false
+} = {}) {
+  const fixtureCache = new Map(Object.entries(fixtures));
+  const used = new Set();
+  const calls = [];
+
+  function loadFixture(operation) {
+    if (fixtureCache.has(operation)) return fixtureCache.get(operation);
+
+    const file = path.join(fixturesDir, `${operation}.json`);
+    const fixture = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    fixtureCache.set(operation, fixture);
+    return fixture;
+  }
+
+  function takeInOrder(responses, key) {
+    const unused = responses.filter(r => !used.has(r));
+    const exact = unused.find(r => r.key === key);
+    const response = exact || unused[0];
+    if (!response) return null;
+
+    used.add(response);
+    return { response, matchedBy: exact ? 'key' : 'sequence' };
+  }
+
+  function findResponse(request, key) {
+    const handler = handlers[request.operation];
+    if (handler) {
+      const result = handler(request);
+      return { response: typeof result === 'string' ? { text: result } : result, matchedBy: 'handler' };
+    }
+
+    const responses = loadFixture(request.operation)?.responses || [];
+    if (sequential) return takeInOrder(responses, key);
+
+    const prompt = promptText(request);
+    const byKey = responses.find(r => r.key === key);
+    if (byKey) return { response: byKey, matchedBy: 'key' };
+
+    const byMatch = responses.find(r => !r.key && Array.isArray(r.match) && r.match.every(m => prompt.includes(m)));
+    if (byMatch) return { response: byMatch, matchedBy: 'match' };
+
+    const byDefault = responses.find(r => !r.key && !r.match);
+    return byDefault ? { response: byDefault, matchedBy: 'default' } : null;
+  }
+
+  async function complete(request) {
+    const key = requestKey(request);
+    const operation = request.operation || 'unlabeled';
+    const found = findResponse({ ...request, operation }, key);
+    const response = found?.response;
+
+    calls.push({ operation, key, model: request.model, matchedBy: found?.matchedBy || null });
+
+    if (!response) {
+      throw new LLMFixtureMissingError(operation, key);
+    }
+
+    // Fixtures hold either plain text or full content blocks (tool_use responses)
+    const content = response.content || [{ type: 'text', text: response.text }];
+    const text = response.text ?? content.filter(b => b.type === 'text').map(b => b.text).join('');
+
+    // Replay as a stream in fixed-size chunks so onText consumers see the same shape as live
+    if (request.onText) {
+      let snapshot = '';
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+        const delta = text.slice(i, i + STREAM_CHUNK_SIZE);
+        snapshot += delta;
+        request.onText(delta, snapshot);
+      }
+    }
+
+    return {
+      text,
+      content,
+      inputTokens: response.usage?.input_tokens ?? estimateTokens(promptText(request)),
+      outputTokens: response.usage?.output_tokens ?? estimateTokens(text),
+      cacheWriteTokens: response.usage?.cache_creation_input_tokens || 0,
+      cacheReadTokens: response.usage?.cache_read_input_tokens || 0,
+      stopReason: response.stop_reason || 'end_turn'
+    };
+  }
+
+  /**
+   * Register a programmatic response for an operation.
+   */
+  function register(operation, handler) {
+    handlers[operation] = typeof handler === 'function' ? handler : () => handler;
+  }
+
+  return { name: 'stub', complete, register, calls };
+}
+
+module.exports = {
+  createStubAdapter,
+  requestKey,
+  LLMFixtureMissingError
+};
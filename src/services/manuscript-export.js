@@ -0,0 +1,209 @@
+/**
+ * MANUSCRIPT EXPORT — A finished book as an editable manuscript (DOCX or Markdown)
+ *
+ * The DOCX follows standard manuscript format: Times New Roman 12pt, double-spaced, half-inch
+ * paragraph indents, 1" margins, a "Author / TITLE / page" header, a title page with the
+ * word count and synopsis (from the bible's central conflict), and each chapter on a new page.
+ * The Markdown keeps the chapters' own *emphasis* markers.
+ */
+
+const { createZip } = require('../utils/zip');
+const { escapeXml, chapterBlocks, dedupeChapters } = require('./book-export');
+
+/**
+ * Words across all chapters
+ */
+function countWords(chapters) {
+  return dedupeChapters(chapters)
+    .reduce((total, ch) => total + (String(ch.content || '').match(/\S+/g) || []).length, 0);
+}
+
+/**
+ * Manuscripts round the word count to the nearest hundred (nearest thousand above 10,000)
+ */
+function approximateWordCount(words) {
+  const step = words > 10000 ? 1000 : 100;
+  return Math.max(step, Math.round(words / step) * step);
+}
+
+function chapterHeading(chapter) {
+  return chapter.title ? `Chapter ${chapter.chapter_number}: ${chapter.title}` : `Chapter ${chapter.chapter_number}`;
+}
+
+function seriesLine(series) {
+  if (!series?.name) return null;
+  return series.book_number ? `${series.name}, Book ${series.book_number}` : series.name;
+}
+
+/**
+ * Render the book as Markdown
+ *
+ * @param {object} book - loadExport result (story, chapters, authorName, series, forkedFrom, synopsis)
+ * @returns {string}
+ */
+function buildMarkdown(book) {
+  const out = [`# ${book.story.title || 'Untitled'}`, '', `*by ${book.authorName}*`];
+  const series = seriesLine(book.series);
+  if (series) out.push('', series);
+  if (book.forkedFrom) {
+    out.push('', `Continued from *${book.forkedFrom.original_title}* by ${book.forkedFrom.author_display_name}`);
+  }
+  if (book.synopsis) out.push('', `> ${book.synopsis.replace(/\n+/g, ' ')}`);
+
+  for (const chapter of dedupeChapters(book.chapters)) {
+    out.push('', '', `## ${chapterHeading(chapter)}`);
+    for (const block of chapterBlocks(chapter.content)) {
+      // Two trailing spaces keep single line breaks inside a paragraph
+      out.push('', block.type === 'scene_break' ? '* * *' : block.lines.join('  \n'));
+    }
+  }
+
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * One Word paragraph; *text* runs become italics
+ */
+function docxParagraph(text, { style = null, pageBreakBefore = false } = {}) {
+  const props = [
+    style && `<w:pStyle w:val="${style}"/>`,
+    pageBreakBefore && '<w:pageBreakBefore/>'
+  ].filter(Boolean).join('');
+  const runs = String(text).split(/(\*[^*\n]+\*)/).filter(Boolean).map(part => {
+    const italic = /^\*[^*\n]+\*$/.test(part);
+    const value = escapeXml(italic ? part.slice(1, -1) : part.replace(/\*\*/g, ''));
+    return `<w:r>${italic ? '<w:rPr><w:i/></w:rPr>' : ''}<w:t xml:space="preserve">${value}</w:t></w:r>`;
+  }).join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+/**
+ * Render the book as a DOCX manuscript
+ *
+ * @param {object} book - loadExport result
+ * @param {object} [options]
+ * @param {Date} [options.created=new Date()]
+ * @returns {Buffer}
+ */
+function buildDocx(book, { created = new Date() } = {}) {
+  const title = book.story.title || 'Untitled';
+  const chapters = dedupeChapters(book.chapters);
+  const words = countWords(chapters);
+
+  const body = [
+    docxParagraph(book.authorName, { style: 'Contact' }),
+    docxParagraph(`About ${approximateWordCount(words).toLocaleString('en-US')} words`, { style: 'Contact' }),
+    docxParagraph(title, { style: 'Title' }),
+    ...(seriesLine(book.series) ? [docxParagraph(seriesLine(book.series), { style: 'Byline' })] : []),
+    docxParagraph(`by ${book.authorName}`, { style: 'Byline' }),
+    ...(book.forkedFrom
+      ? [docxParagraph(`Continued from *${book.forkedFrom.original_title}* by ${book.forkedFrom.author_display_name}`, { style: 'Byline' })]
+      : []),
+    ...(book.synopsis
+      ? [docxParagraph('Synopsis', { style: 'Heading1', pageBreakBefore: true }), docxParagraph(book.synopsis, { style: 'FirstParagraph' })]
+      : [])
+  ];
+
+  for (const chapter of chapters) {
+    body.push(docxParagraph(chapterHeading(chapter), { style: 'Heading1', pageBreakBefore: true }));
+    let first = true;
+    for (const block of chapterBlocks(chapter.content)) {
+      if (block.type === 'scene_break') {
+        body.push(docxParagraph('#', { style: 'SceneBreak' }));
+        first = true;
+        continue;
+      }
+      block.lines.forEach((line, i) => {
+        body.push(docxParagraph(line, { style: first || i > 0 ? 'FirstParagraph' : null }));
+      });
+      first = false;
+    }
+  }
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>
+${body.join('\n')}
+<w:sectPr>
+<w:headerReference w:type="default" r:id="rIdHeader"/>
+<w:pgSz w:w="12240" w:h="15840"/>
+<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>
+<w:titlePg/>
+</w:sectPr>
+</w:body>
+</w:document>
+`;
+
+  const surname = String(book.authorName).trim().split(/\s+/).pop();
+  const header = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:p><w:pPr><w:jc w:val="right"/></w:pPr><w:r><w:t xml:space="preserve">${escapeXml(surname)} / ${escapeXml(title.toUpperCase())} / </w:t></w:r><w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r></w:p>
+</w:hdr>
+`;
+
+  const styles = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman"/><w:sz w:val="24"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:before="0" w:after="0" w:line="480" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:pPr><w:ind w:firstLine="720"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="FirstParagraph"><w:name w:val="First Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Contact"><w:name w:val="Contact"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Byline"/><w:pPr><w:spacing w:before="4320"/><w:ind w:firstLine="0"/><w:jc w:val="center"/></w:pPr><w:rPr><w:caps/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Byline"><w:name w:val="Byline"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:firstLine="0"/><w:jc w:val="center"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="FirstParagraph"/><w:pPr><w:keepNext/><w:spacing w:before="2880" w:after="480"/><w:ind w:firstLine="0"/><w:jc w:val="center"/><w:outlineLvl w:val="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="SceneBreak"><w:name w:val="Scene Break"/><w:basedOn w:val="Normal"/><w:next w:val="FirstParagraph"/><w:pPr><w:ind w:firstLine="0"/><w:jc w:val="center"/></w:pPr></w:style>
+</w:styles>
+`;
+
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>
+`;
+
+  const rootRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>
+`;
+
+  const documentRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rIdHeader" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>
+</Relationships>
+`;
+
+  const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:creator>${escapeXml(book.authorName)}</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${created.toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>
+`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'docProps/core.xml', data: core },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/styles.xml', data: styles },
+    { name: 'word/header1.xml', data: header },
+    { name: 'word/_rels/document.xml.rels', data: documentRels }
+  ], { modified: created });
+}
+
+module.exports = {
+  countWords,
+  approximateWordCount,
+  buildMarkdown,
+  buildDocx
+};
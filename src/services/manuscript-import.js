@@ -0,0 +1,809 @@
+/**
+ * MANUSCRIPT IMPORT — Continue a story the reader started writing themselves
+ *
+ * Everything else starts from a generated premise. Here the reader pastes their own opening
+ * chapters (plain text or Markdown) and the pipeline works backwards from them:
+ *   1. splitManuscript finds the chapters; POST /story/import creates the story and a
+ *      manuscript_imports row holding them, and queues a manuscript_import job
+ *   2. manuscript_analysis reverse-engineers a story bible (narrative_voice included) and the
+ *      per-chapter notes generated chapters keep in metadata
+ *   3. manuscript_voice reads the prose directive off the reader's prose — its style example is
+ *      their own writing — so every later chapter is written in their voice
+ *   4. generateWorldCodex builds the codex from the inferred bible, and generateArcOutline plans
+ *      the whole book with the imported chapters fixed as its opening
+ *   5. The imported chapters are stored as written, then the character and world ledgers and
+ *      chapter entities are extracted from them exactly as for generated chapters
+ *   6. generateBatch writes the rest of the imported chapters' batch; checkpoints take over
+ *      from there like any other book
+ *
+ * The reader's chapters are canon: they are never reviewed, validated against the bible or
+ * revised. Every step is resumable — a retried job skips what the last attempt finished.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
+const { renderPrompt } = require('./prompt-registry');
+const { parseStructured, reaskWithLLM } = require('./structured-output');
+const bookPlan = require('./book-plan');
+
+const MANUSCRIPT_FORMATS = ['text', 'markdown'];
+const MAX_MANUSCRIPT_LENGTH = 300000;
+const MAX_TITLE_LENGTH = 200;
+const MIN_CHAPTER_WORDS = 300;
+const MAX_CHAPTER_WORDS = 20000;
+const VOICE_EXCERPT_LENGTH = 3000;
+
+// "Chapter 3", "CHAPTER THREE: The Bell", "Ch. 12 — Tides", "Prologue"
+const CHAPTER_LABEL = /^(?:chapter|ch\.)\s+(?:\d+|[a-z]+(?:-[a-z]+)?)(?:\s*[:.\-–—]\s*(.*?))?\s*$/i;
+const PROLOGUE_LABEL = /^(prologue)(?:\s*[:.\-–—]\s*(.*?))?\s*$/i;
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+function wordCount(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * The title a chapter heading gives its chapter: "Chapter 3: The Bell" → "The Bell",
+ * "Chapter Three" → null, "The Bell" → "The Bell"
+ */
+function chapterHeadingTitle(heading) {
+  const label = heading.match(CHAPTER_LABEL);
+  if (label) return label[1] || null;
+  const prologue = heading.match(PROLOGUE_LABEL);
+  if (prologue) return prologue[2] ? `Prologue: ${prologue[2]}` : 'Prologue';
+  return heading;
+}
+
+function isChapterLabel(line) {
+  const trimmed = line.trim();
+  return trimmed.length <= 120 && (CHAPTER_LABEL.test(trimmed) || PROLOGUE_LABEL.test(trimmed));
+}
+
+/**
+ * Where the chapters start: [{ line, title }] for each chapter heading, plus the book title if
+ * the manuscript has one above them.
+ *
+ * Markdown chapters are the shallowest heading level used more than once (so "# Title" over
+ * "## Chapter" headings works), or the deepest level present when there's only one chapter.
+ * Plain text chapters start at "Chapter N" / "Prologue" lines, as does Markdown without headings.
+ */
+function findChapterHeadings(lines, format) {
+  if (format === 'markdown') {
+    const headings = [];
+    lines.forEach((line, index) => {
+      const match = line.match(MARKDOWN_HEADING);
+      if (match) headings.push({ index, level: match[1].length, text: match[2] });
+    });
+
+    if (headings.length > 0) {
+      const counts = {};
+      headings.forEach(h => { counts[h.level] = (counts[h.level] || 0) + 1; });
+      const levels = Object.keys(counts).map(Number).sort((a, b) => a - b);
+      const chapterLevel = levels.find(level => counts[level] > 1) || levels[levels.length - 1];
+
+      const chapterHeadings = headings.filter(h => h.level === chapterLevel);
+      const bookHeading = headings.find(h => h.level < chapterLevel && h.index < chapterHeadings[0].index);
+      return {
+        bookTitle: bookHeading ? bookHeading.text : null,
+        bookTitleLine: bookHeading ? bookHeading.index : null,
+        headings: chapterHeadings.map(h => ({ line: h.index, title: chapterHeadingTitle(h.text) })),
+        // Other headings are section titles, not text — drop their markers
+        strip: new Set(headings.filter(h => h.level !== chapterLevel).map(h => h.index))
+      };
+    }
+  }
+
+  return {
+    bookTitle: null,
+    bookTitleLine: null,
+    headings: lines
+      .map((line, index) => ({ line: index, text: line.trim() }))
+      .filter(({ line, text }) => isChapterLabel(text) && (line === 0 || lines[line - 1].trim() === ''))
+      .map(({ line, text }) => ({ line, title: chapterHeadingTitle(text) })),
+    strip: new Set()
+  };
+}
+
+function cleanChapterText(lines) {
+  return lines
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Split a manuscript into chapters, numbered from 1 in order.
+ * Text before the first chapter heading is front matter (title, byline, epigraph) when it's
+ * shorter than a chapter, and an untitled first chapter otherwise. Without any chapter headings
+ * the whole manuscript is one chapter.
+ *
+ * @param {string} manuscript
+ * @param {string} format - 'text' or 'markdown'
+ * @returns {{ title: string|null, chapters: Array<{ chapter_number, title, content }> }}
+ */
+function splitManuscript(manuscript, format = 'text') {
+  const lines = String(manuscript || '').replace(/\r\n?/g, '\n').split('\n');
+  const { bookTitle, bookTitleLine, headings, strip } = findChapterHeadings(lines, format);
+  const body = lines.map((line, index) => strip.has(index) ? line.replace(MARKDOWN_HEADING, '$2') : line);
+
+  const sections = [];
+  const firstHeading = headings.length > 0 ? headings[0].line : body.length;
+  const preamble = cleanChapterText(body.slice(0, firstHeading).filter((_, index) => index !== bookTitleLine));
+  let title = bookTitle;
+
+  if (headings.length === 0 || wordCount(preamble) >= MIN_CHAPTER_WORDS) {
+    sections.push({ title: null, content: preamble });
+  } else if (!title && preamble) {
+    title = preamble.split('\n')[0].replace(/^#+\s*/, '').trim() || null;
+  }
+
+  headings.forEach((heading, i) => {
+    const end = i + 1 < headings.length ? headings[i + 1].line : body.length;
+    sections.push({ title: heading.title, content: cleanChapterText(body.slice(heading.line + 1, end)) });
+  });
+
+  return {
+    title,
+    chapters: sections
+      .filter(section => section.content)
+      .map((section, i) => ({ chapter_number: i + 1, title: section.title, content: section.content }))
+  };
+}
+
+/**
+ * What's wrong with an import request, or null if nothing is
+ */
+function importRequestError({ manuscript, format, title, bookLength, genre }) {
+  if (typeof manuscript !== 'string' || !manuscript.trim()) {
+    return 'manuscript is required';
+  }
+  if (manuscript.length > MAX_MANUSCRIPT_LENGTH) {
+    return `manuscript must be at most ${MAX_MANUSCRIPT_LENGTH.toLocaleString('en-US')} characters`;
+  }
+  if (format !== undefined && !MANUSCRIPT_FORMATS.includes(format)) {
+    return `format must be one of: ${MANUSCRIPT_FORMATS.join(', ')}`;
+  }
+  if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+    return `title must be a string of at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (genre !== undefined && genre !== null && typeof genre !== 'string') {
+    return 'genre must be a string';
+  }
+  if (bookLength !== undefined && !bookPlan.resolveBookLength(bookLength)) {
+    return `bookLength must be one of: ${Object.keys(bookPlan.BOOK_LENGTHS).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Why these chapters can't be continued as a book of totalChapters, or null if they can.
+ * Every chapter needs enough prose to learn the voice from, and the book needs at least one
+ * chapter left to write.
+ */
+function manuscriptChaptersError(chapters, totalChapters) {
+  if (chapters.length === 0) {
+    return 'No chapters found in the manuscript';
+  }
+  for (const chapter of chapters) {
+    const words = wordCount(chapter.content);
+    if (words < MIN_CHAPTER_WORDS) {
+      return `Chapter ${chapter.chapter_number} is too short to continue from (${words} words; at least ${MIN_CHAPTER_WORDS})`;
+    }
+    if (words > MAX_CHAPTER_WORDS) {
+      return `Chapter ${chapter.chapter_number} is ${words.toLocaleString('en-US')} words — add chapter headings ("Chapter 2", or Markdown "## " headings) so it can be split`;
+    }
+  }
+  if (chapters.length >= totalChapters) {
+    return `This book is ${totalChapters} chapters long — import at most ${totalChapters - 1} so there is something left to write, or choose a longer book`;
+  }
+  return null;
+}
+
+/**
+ * Pair each imported chapter with the analysis notes for it; the notes become chapter metadata
+ *
+ * @throws if the analysis skipped a chapter
+ */
+function matchChapterNotes(chapters, notes) {
+  const byNumber = new Map((notes || []).map(note => [parseInt(note.chapter_number, 10), note]));
+  const missing = chapters.filter(ch => !byNumber.has(ch.chapter_number)).map(ch => ch.chapter_number);
+  if (missing.length > 0) {
+    throw new Error(`Manuscript analysis is missing chapter(s) ${missing.join(', ')}`);
+  }
+
+  return chapters.map(chapter => {
+    const note = byNumber.get(chapter.chapter_number);
+    return {
+      chapter_number: chapter.chapter_number,
+      title: chapter.title || note.title,
+      opening_hook: note.opening_hook || null,
+      key_events: note.key_events,
+      character_development: note.character_development || null,
+      closing_hook: note.closing_hook
+    };
+  });
+}
+
+/**
+ * arc_outline's established chapters block: '' for a story that starts from nothing
+ */
+function buildEstablishedChaptersBlock(notes) {
+  if (!notes || notes.length === 0) return '';
+
+  const last = notes[notes.length - 1].chapter_number;
+  const summaries = notes.map(note =>
+    `Chapter ${note.chapter_number}: ${note.title}
+Key events: ${(note.key_events || []).join('; ')}
+Ends on: ${note.closing_hook}`
+  ).join('\n\n');
+
+  return `
+<established_chapters>
+The reader wrote chapters 1-${last} themselves. They are finished and canon. Outline them exactly as they happened — same titles, same events — and plan the remaining chapters to continue from where chapter ${last} ends. The setup is theirs: pay off what they planted rather than replacing it.
+
+${summaries}
+</established_chapters>
+`;
+}
+
+/**
+ * Paragraphs from the start of text up to about maxLength characters (at least one)
+ */
+function leadingParagraphs(text, maxLength) {
+  const taken = [];
+  let length = 0;
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (taken.length > 0 && length + paragraph.length > maxLength) break;
+    taken.push(paragraph);
+    length += paragraph.length;
+  }
+  return taken.join('\n\n');
+}
+
+/**
+ * The prose manuscript_voice studies: how the manuscript opens, and how its last chapter ends
+ */
+function voiceExcerpts(chapters) {
+  const first = chapters[0];
+  const excerpts = [`[Opening of chapter ${first.chapter_number}]\n${leadingParagraphs(first.content, VOICE_EXCERPT_LENGTH)}`];
+
+  if (chapters.length > 1) {
+    const last = chapters[chapters.length - 1];
+    const reversed = last.content.split(/\n\s*\n/).reverse().join('\n\n');
+    const ending = leadingParagraphs(reversed, VOICE_EXCERPT_LENGTH).split('\n\n').reverse().join('\n\n');
+    excerpts.push(`[End of chapter ${last.chapter_number}]\n${ending}`);
+  }
+
+  return excerpts.join('\n\n');
+}
+
+/**
+ * A style example that really is the reader's prose. The directive's own is kept if it was
+ * quoted faithfully; otherwise the opening paragraphs stand in (about 150-200 words).
+ */
+function styleExampleFrom(chapters, proposed) {
+  const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+  const proposedText = normalize(proposed);
+  if (proposedText && chapters.some(ch => normalize(ch.content).includes(proposedText))) {
+    return proposed;
+  }
+
+  const taken = [];
+  for (const paragraph of chapters[0].content.split(/\n\s*\n/)) {
+    taken.push(paragraph.trim());
+    if (wordCount(taken.join(' ')) >= 150) break;
+  }
+  return taken.join('\n\n');
+}
+
+async function loadImport(storyId) {
+  const { data } = await supabaseAdmin
+    .from('manuscript_imports')
+    .select('*')
+    .eq('story_id', storyId)
+    .maybeSingle();
+
+  return data || null;
+}
+
+/**
+ * The imported chapters' notes for arc planning — [] unless the story was imported and
+ * its manuscript has been analysed
+ */
+async function getEstablishedChapters(storyId) {
+  const manuscript = await loadImport(storyId);
+  return manuscript?.chapter_notes || [];
+}
+
+/**
+ * Whether a story still has an import job's work to do (the health check re-queues it)
+ */
+async function hasUnfinishedImport(storyId) {
+  const manuscript = await loadImport(storyId);
+  return !!manuscript && manuscript.status !== 'complete';
+}
+
+async function updateImport(importId, fields) {
+  const { error } = await supabaseAdmin
+    .from('manuscript_imports')
+    .update(fields)
+    .eq('id', importId);
+
+  if (error) {
+    throw new Error(`Failed to update manuscript import: ${error.message}`);
+  }
+}
+
+async function setImportProgress(storyId, progress, storyFields = {}) {
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('generation_progress')
+    .eq('id', storyId)
+    .single();
+
+  await supabaseAdmin
+    .from('stories')
+    .update({
+      ...storyFields,
+      generation_progress: {
+        ...(story?.generation_progress || {}),
+        ...progress,
+        last_updated: new Date().toISOString()
+      }
+    })
+    .eq('id', storyId);
+}
+
+/**
+ * Create a story from a reader's manuscript and queue its import job.
+ * The caller checks importRequestError first.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.manuscript
+ * @param {string} [params.format] - 'text' (default) or 'markdown'
+ * @param {string} [params.title] - Overrides the manuscript's own title
+ * @param {string} [params.bookLength]
+ * @param {string} [params.genre] - Inferred from the manuscript if not given
+ * @returns {Promise<{ story: object|null, chapters: number, error: string|null }>}
+ *   error says why the manuscript can't be continued (no story is created)
+ */
+async function importManuscript({ userId, manuscript, format = 'text', title = null, bookLength, genre = null }) {
+  const resolvedBookLength = bookLength ? bookPlan.resolveBookLength(bookLength) : bookPlan.DEFAULT_BOOK_LENGTH;
+  const totalChapters = bookPlan.chapterCountForLength(resolvedBookLength);
+
+  const parsed = splitManuscript(manuscript, format);
+  const chaptersError = manuscriptChaptersError(parsed.chapters, totalChapters);
+  if (chaptersError) {
+    return { story: null, chapters: parsed.chapters.length, error: chaptersError };
+  }
+
+  const storyTitle = (title && title.trim()) || parsed.title || 'Untitled';
+
+  const { data: story, error: storyError } = await supabaseAdmin
+    .from('stories')
+    .insert({
+      user_id: userId,
+      title: storyTitle.slice(0, MAX_TITLE_LENGTH),
+      genre: genre ? genre.trim() : null,
+      book_length: resolvedBookLength,
+      status: 'active',
+      generation_progress: {
+        bible_complete: false,
+        arc_complete: false,
+        chapters_generated: 0,
+        current_step: 'importing_manuscript',
+        last_updated: new Date().toISOString()
+      }
+    })
+    .select()
+    .single();
+
+  if (storyError) {
+    throw new Error(`Failed to create story record: ${storyError.message}`);
+  }
+
+  const { error: importError } = await supabaseAdmin
+    .from('manuscript_imports')
+    .insert({
+      story_id: story.id,
+      user_id: userId,
+      source_format: format,
+      title_given: !!(title && title.trim()),
+      chapters: parsed.chapters,
+      chapter_count: parsed.chapters.length,
+      word_count: parsed.chapters.reduce((sum, ch) => sum + wordCount(ch.content), 0)
+    });
+
+  if (importError) {
+    await supabaseAdmin.from('stories').delete().eq('id', story.id);
+    throw new Error(`Failed to record manuscript import: ${importError.message}`);
+  }
+
+  console.log(`📥 [${story.title}] Manuscript imported: ${parsed.chapters.length} chapters (${format})`);
+
+  const { enqueueManuscriptImport } = require('./generation-jobs');
+  await enqueueManuscriptImport(story.id, userId);
+
+  return { story, chapters: parsed.chapters.length, error: null };
+}
+
+/**
+ * Step 2: story bible and chapter notes from the manuscript
+ */
+async function analyzeManuscript(story, manuscript, userId) {
+  const totalChapters = bookPlan.chapterCountForLength(story.book_length || bookPlan.DEFAULT_BOOK_LENGTH);
+
+  const { text: prompt, versions: promptVersions } = renderPrompt('manuscript_analysis', {
+    titleLine: manuscript.title_given
+      ? `Title: "${story.title}" (the reader's title — keep it exactly)`
+      : `Working title: "${story.title}" (keep it if the manuscript gives it; otherwise choose a fitting one)`,
+    genreLine: story.genre ? `Genre: ${story.genre}` : 'Genre: not given — infer it from the manuscript',
+    chapterCount: manuscript.chapters.length,
+    totalChapters,
+    manuscript: manuscript.chapters.map(ch =>
+      `<chapter number="${ch.chapter_number}"${ch.title ? ` title="${ch.title.replace(/"/g, '&quot;')}"` : ''}>\n${ch.content}\n</chapter>`
+    ).join('\n\n')
+  });
+
+  const analysisCall = {
+    model: 'generation',
+    prompt,
+    maxTokens: 12000,
+    operation: 'analyze_manuscript',
+    userId,
+    storyId: story.id,
+    storyTitle: story.title,
+    costMetadata: { importedChapters: manuscript.chapters.length }
+  };
+  const { text } = await callLLM(analysisCall);
+
+  const { data: analysis, schemaVersion } = await parseStructured('manuscript_analysis', text, {
+    reask: reaskWithLLM(analysisCall, text),
+    label: story.title
+  });
+
+  const chapterNotes = matchChapterNotes(manuscript.chapters, analysis.chapters);
+  const bible = analysis.bible;
+  const genre = story.genre || analysis.genre || null;
+
+  const { data: storedBible, error: bibleError } = await supabaseAdmin
+    .from('story_bibles')
+    .insert({
+      user_id: userId,
+      story_id: story.id,
+      content: bible,
+      title: bible.title,
+      world_rules: bible.world_rules,
+      characters: bible.characters,
+      central_conflict: bible.central_conflict,
+      stakes: bible.stakes,
+      themes: bible.themes,
+      key_locations: bible.key_locations,
+      timeline: bible.timeline,
+      prompt_versions: promptVersions,
+      schema_version: schemaVersion
+    })
+    .select()
+    .single();
+
+  if (bibleError) {
+    throw new Error(`Failed to store manuscript bible: ${bibleError.message}`);
+  }
+
+  await supabaseAdmin
+    .from('stories')
+    .update({
+      title: manuscript.title_given ? story.title : bible.title,
+      genre,
+      bible_id: storedBible.id
+    })
+    .eq('id', story.id);
+
+  await updateImport(manuscript.id, { chapter_notes: chapterNotes });
+
+  return { bible: storedBible, chapterNotes, genre };
+}
+
+/**
+ * Step 3: the prose directive, read off the reader's prose
+ */
+async function captureManuscriptVoice(story, manuscript, bible, userId) {
+  const { parseAndValidateJSON } = require('./generation');
+  const narrativeVoice = bible.content?.narrative_voice || {};
+
+  const { text: prompt, versions: promptVersions } = renderPrompt('manuscript_voice', {
+    storyTitle: story.title,
+    genre: story.genre || 'fiction',
+    narrativeVoiceBlock: narrativeVoice.pov ? `NARRATIVE VOICE (as analysed from the manuscript):
+POV: ${narrativeVoice.pov}
+Tonal Register: ${narrativeVoice.tonal_register || 'Not specified'}
+Sentence Rhythm: ${narrativeVoice.sentence_rhythm || 'Not specified'}
+Narrator Personality: ${narrativeVoice.narrative_personality || 'Not specified'}
+Signature Techniques: ${(narrativeVoice.signature_techniques || []).join(', ') || 'Not specified'}` : '',
+    excerpts: voiceExcerpts(manuscript.chapters)
+  });
+
+  const { text } = await callLLM({
+    model: 'sonnet',
+    prompt,
+    maxTokens: 4000,
+    operation: 'generate_prose_directive',
+    userId,
+    storyId: story.id,
+    storyTitle: story.title,
+    costMetadata: { source: 'manuscript_import' }
+  });
+
+  const directive = parseAndValidateJSON(text, ['author_identity', 'style_example', 'craft_rules', 'prose_guardrails']);
+  directive.style_example = styleExampleFrom(manuscript.chapters, directive.style_example);
+
+  const currentConfig = story.generation_config || {};
+  await supabaseAdmin
+    .from('stories')
+    .update({
+      generation_config: {
+        ...currentConfig,
+        prose_directive: directive,
+        prompt_versions: { ...(currentConfig.prompt_versions || {}), ...promptVersions }
+      }
+    })
+    .eq('id', story.id);
+
+  return directive;
+}
+
+/**
+ * Step 5: store the reader's chapters under the arc, as written
+ */
+async function storeImportedChapters(story, manuscript, arcId) {
+  const { data: existing } = await supabaseAdmin
+    .from('chapters')
+    .select('chapter_number')
+    .eq('story_id', story.id)
+    .lte('chapter_number', manuscript.chapter_count);
+
+  const stored = new Set((existing || []).map(ch => ch.chapter_number));
+  const notes = new Map((manuscript.chapter_notes || []).map(note => [note.chapter_number, note]));
+
+  const rows = manuscript.chapters
+    .filter(ch => !stored.has(ch.chapter_number))
+    .map(ch => {
+      const note = notes.get(ch.chapter_number) || {};
+      return {
+        story_id: story.id,
+        arc_id: arcId,
+        chapter_number: ch.chapter_number,
+        title: note.title || ch.title || `Chapter ${ch.chapter_number}`,
+        content: ch.content,
+        word_count: wordCount(ch.content),
+        metadata: {
+          opening_hook: note.opening_hook || null,
+          closing_hook: note.closing_hook || null,
+          key_events: note.key_events || [],
+          character_development: note.character_development || null,
+          imported: true
+        }
+      };
+    });
+
+  if (rows.length === 0) return;
+
+  const { error } = await supabaseAdmin.from('chapters').insert(rows);
+  if (error) {
+    throw new Error(`Failed to store imported chapters: ${error.message}`);
+  }
+}
+
+/**
+ * Step 5, continued: ledgers and entities for each imported chapter, in order (each chapter's
+ * extraction builds on the previous ones). Failures are logged and skipped, as for generated
+ * chapters.
+ */
+async function extractImportedChapterLedgers(story, manuscript, bible, userId) {
+  const { clearChapterLedgers } = require('./generation');
+  const { extractCharacterLedger } = require('./character-intelligence');
+  const { extractWorldStateLedger } = require('./world-continuity');
+  const { extractChapterEntities } = require('./chapter-validation');
+  const config = story.generation_config || {};
+
+  const { data: chapterRows } = await supabaseAdmin
+    .from('chapters')
+    .select('id, chapter_number, content')
+    .eq('story_id', story.id)
+    .lte('chapter_number', manuscript.chapter_count)
+    .order('chapter_number', { ascending: true });
+
+  for (const chapter of chapterRows || []) {
+    const n = chapter.chapter_number;
+    if (n <= (manuscript.ledgers_through_chapter || 0)) continue;
+
+    // A previous attempt may have stopped partway through this chapter
+    await clearChapterLedgers(story.id, n, n);
+    await supabaseAdmin.from('chapter_entities').delete().eq('story_id', story.id).eq('chapter_number', n);
+
+    if (config.character_ledger !== false) {
+      try {
+        await extractCharacterLedger(story.id, n, chapter.content, userId);
+        console.log(`📚 [${story.title}] Character ledger extracted for imported chapter ${n}`);
+      } catch (err) {
+        console.warn(`⚠️ [${story.title}] Character ledger extraction failed for imported chapter ${n}: ${err.message}`);
+      }
+    }
+
+    if (config.world_ledger !== false) {
+      try {
+        await extractWorldStateLedger(story.id, n, chapter.content, userId);
+        console.log(`🌍 [${story.title}] World ledger extracted for imported chapter ${n}`);
+      } catch (err) {
+        console.warn(`⚠️ [${story.title}] World ledger extraction failed for imported chapter ${n}: ${err.message}`);
+      }
+    }
+
+    if (config.entity_validation !== false) {
+      try {
+        await extractChapterEntities(story.id, chapter.id, n, chapter.content, bible, userId);
+      } catch (err) {
+        console.warn(`⚠️ [${story.title}] Entity extraction failed for imported chapter ${n}: ${err.message}`);
+      }
+    }
+
+    await updateImport(manuscript.id, { ledgers_through_chapter: n });
+    await setImportProgress(story.id, { current_step: 'importing_manuscript' });
+  }
+}
+
+/**
+ * The manuscript_import job: analyse the manuscript, plan the book around it and write the
+ * chapters that follow, through the end of the imported chapters' batch.
+ */
+async function continueImportedManuscript(storyId, userId) {
+  const generation = require('./generation');
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id, title, genre, book_length, status, generation_config')
+    .eq('id', storyId)
+    .maybeSingle();
+
+  if (!story) {
+    console.log(`📥 Story ${storyId} no longer exists — nothing to import`);
+    return;
+  }
+
+  if (story.status === 'archived') {
+    console.log(`📥 [${story.title}] Story archived — skipping manuscript import`);
+    return;
+  }
+
+  let manuscript = await loadImport(storyId);
+  if (!manuscript) {
+    throw new Error(`No manuscript import found for story ${storyId}`);
+  }
+  if (manuscript.status === 'complete') {
+    console.log(`📥 [${story.title}] Manuscript import already complete`);
+    return;
+  }
+
+  await updateImport(manuscript.id, { status: 'running', error_message: null });
+
+  try {
+    // 2. Bible and chapter notes
+    let { data: bible } = await supabaseAdmin
+      .from('story_bibles')
+      .select('*')
+      .eq('story_id', storyId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!bible) {
+      console.log(`📥 [${story.title}] Analysing ${manuscript.chapter_count} imported chapters...`);
+      const analysed = await analyzeManuscript(story, manuscript, userId);
+      bible = analysed.bible;
+      story.genre = analysed.genre;
+      story.title = manuscript.title_given ? story.title : bible.title;
+      manuscript = { ...manuscript, chapter_notes: analysed.chapterNotes };
+      await setImportProgress(storyId, { bible_complete: true, current_step: 'importing_manuscript' });
+    }
+
+    // 3. The reader's voice
+    if (!story.generation_config?.prose_directive) {
+      console.log(`✏️ [${story.title}] Reading the manuscript's voice...`);
+      await captureManuscriptVoice(story, manuscript, bible, userId);
+    }
+
+    // 4. World codex, then the arc around the imported chapters
+    const { data: existingCodex } = await supabaseAdmin
+      .from('world_codex')
+      .select('id')
+      .eq('story_id', storyId)
+      .maybeSingle();
+
+    if (!existingCodex) {
+      try {
+        await generation.generateWorldCodex(storyId, userId, bible, story.genre || 'fiction');
+      } catch (err) {
+        console.warn(`⚠️ [${story.title}] World codex failed (non-fatal, chapters will use the bible): ${err.message}`);
+      }
+    }
+
+    let { data: arc } = await supabaseAdmin
+      .from('story_arcs')
+      .select('id')
+      .eq('story_id', storyId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!arc) {
+      await setImportProgress(storyId, { current_step: 'generating_arc' });
+      await generation.generateArcOutline(storyId, userId);
+      ({ data: arc } = await supabaseAdmin
+        .from('story_arcs')
+        .select('id')
+        .eq('story_id', storyId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .single());
+    }
+
+    // 5. The reader's chapters, and the ledgers built from them
+    await storeImportedChapters(story, manuscript, arc.id);
+    await extractImportedChapterLedgers(story, manuscript, bible, userId);
+
+    // 6. Carry on from the chapter after the manuscript, through the end of its batch
+    const plan = await bookPlan.getBookPlan(storyId);
+    const startChapter = manuscript.chapter_count + 1;
+    const batch = plan.batches.find(b => b.start <= startChapter && b.end >= startChapter);
+
+    await setImportProgress(storyId, {
+      bible_complete: true,
+      arc_complete: true,
+      chapters_generated: manuscript.chapter_count,
+      current_step: `generating_chapter_${startChapter}`,
+      batch_start: startChapter,
+      batch_end: batch.end
+    });
+
+    await generation.generateBatch(storyId, startChapter, batch.end, userId);
+
+    // Clears the error a failed earlier attempt left on the story
+    await setImportProgress(storyId, {
+      chapters_generated: batch.end,
+      current_step: bookPlan.stepAfterBatch(plan, batch.end),
+      batch_start: null,
+      batch_end: null
+    }, { status: 'active', error_message: null });
+
+    await updateImport(manuscript.id, { status: 'complete', completed_at: new Date().toISOString() });
+    console.log(`✅ [${story.title}] Manuscript import complete: continued through chapter ${batch.end}`);
+  } catch (error) {
+    console.error(`❌ [${story.title}] Manuscript import failed: ${error.message}`);
+    await updateImport(manuscript.id, { status: 'failed', error_message: error.message }).catch(() => {});
+    await supabaseAdmin
+      .from('stories')
+      .update({ status: 'error', error_message: error.message })
+      .eq('id', storyId);
+    await setImportProgress(storyId, { last_error: error.message, last_error_at: new Date().toISOString() });
+    throw error;
+  }
+}
+
+module.exports = {
+  MANUSCRIPT_FORMATS,
+  MAX_MANUSCRIPT_LENGTH,
+  MIN_CHAPTER_WORDS,
+  splitManuscript,
+  importRequestError,
+  manuscriptChaptersError,
+  matchChapterNotes,
+  buildEstablishedChaptersBlock,
+  voiceExcerpts,
+  styleExampleFrom,
+  getEstablishedChapters,
+  hasUnfinishedImport,
+  importManuscript,
+  continueImportedManuscript
+};
@@ -38,7 +38,8 @@ const EVENT_PRIORITY = {
   'whisper_back': 3,
   'book_gifted': 4,
   'book_claimed': 5,
-  'reading_started': 6
+  'reading_started': 6,
+  'book_forked': 7
 };
 
 /**
@@ -192,6 +193,9 @@ function buildPushPayload(event) {
     case 'book_claimed':
       alert = `Someone started reading ${storyTitle}`;
       break;
+    case 'book_forked':
+      alert = `${displayName} is continuing ${storyTitle} as a story of their own`;
+      break;
     default:
       alert = `New activity on ${storyTitle}`;
   }
@@ -0,0 +1,388 @@
+/**
+ * PIPELINE RECORDER — Record a real story run, replay it offline
+ *
+ * Record mode wraps the live LLM adapter and the Supabase client, runs one pipeline entry
+ * point (orchestratePreGeneration, generateBatch, a ledger service…) and captures every
+ * model request/response and every Supabase query/result into a fixture bundle.
+ *
+ * Replay mode re-runs the same entry point against the bundle with no network: model
+ * calls are served by the stub adapter in sequential mode, Supabase queries from the
+ * recorded results. The report says where the run drifted from the recording, which is
+ * the point — replay a corpus of real stories to see what a prompt or parsing change does.
+ *
+ * Usage:
+ *   const bundle = await recordRun('generateBatch', [storyId, 4, 6, userId], { label: 'dragon-book' });
+ *   saveBundle(bundle, 'tests/fixtures/replay/dragon-book.json');
+ *
+ *   const report = await replayRun(loadBundle('tests/fixtures/replay/dragon-book.json'));
+ *   report.llm.drifted     — model calls whose prompt changed since recording (served in order)
+ *   report.supabase.misses — queries with no recorded result (resolved with a REPLAY_MISS error)
+ *   report.supabase.writes — everything the replayed run inserted/updated/upserted/deleted
+ *
+ * Bundle format (version 1):
+ *   {
+ *     version, label, recorded_at,
+ *     entry: { name, args },
+ *     settle_ms,                                — how long recording waited for fire-and-forget work
+ *     outcome: { error },                       — what the recorded run threw, if anything
+ *     llm: { [operation]: { responses: [...] } } — llm-stub-adapter fixtures, plus the request
+ *     supabase: [{ table, chain, signature, result: { data, error, count } }]
+ *   }
+ *
+ * Fire-and-forget work the entry starts (pre-classification, ledgers…) outlives it. Record with
+ * settleMs to capture it; replay waits the same settle window before restoring the live client
+ * and adapter, so that work is served from the bundle too rather than reaching the network.
+ *
+ * tests/fixtures/replay/ is the corpus: tests/pipeline-replay-corpus.test.js replays every
+ * bundle there, and so does `node scripts/pipeline-replay.js replay tests/fixtures/replay`.
+ *
+ * Storage, auth and other HTTP clients (cover images, OpenAI) are not captured — record
+ * stories that already have a cover, or whose reader name isn't confirmed yet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { supabaseAdmin } = require('../config/supabase');
+const { getLLMAdapter, setLLMAdapter } = require('./llm-provider');
+const { createStubAdapter, requestKey } = require('./llm-stub-adapter');
+
+const BUNDLE_VERSION = 1;
+
+// Entry points a bundle can record and replay, resolved lazily (generation requires us back)
+const ENTRY_POINTS = {
+  orchestratePreGeneration: () => require('./generation').orchestratePreGeneration,
+  generateBatch: () => require('./generation').generateBatch,
+  generateChapter: () => require('./generation').generateChapter,
+  extractCharacterLedger: () => require('./character-intelligence').extractCharacterLedger,
+  reviewCharacterVoices: () => require('./character-intelligence').reviewCharacterVoices,
+  extractWorldStateLedger: () => require('./world-continuity').extractWorldStateLedger
+};
+
+// Query methods whose first argument is a row payload — left out of the signature, since
+// payloads carry timestamps and generated text that differ between runs
+const WRITE_METHODS = ['insert', 'update', 'upsert'];
+const MUTATING_METHODS = [...WRITE_METHODS, 'delete'];
+
+function getEntryPoint(name) {
+  const resolve = ENTRY_POINTS[name];
+  if (!resolve) {
+    throw new Error(`Unknown pipeline entry point "${name}" (expected one of: ${Object.keys(ENTRY_POINTS).join(', ')})`);
+  }
+  return resolve();
+}
+
+function toJSON(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Identity of a query for matching on replay: table + method chain with arguments,
+ * ignoring write payloads
+ */
+function querySignature(table, chain) {
+  return JSON.stringify([
+    table,
+    chain.map(([method, args]) => [method, WRITE_METHODS.includes(method) ? ['…'] : args])
+  ]);
+}
+
+/**
+ * Replace client methods for the duration of a run. Services hold the same client object
+ * (destructured at require time), so patching it in place reaches all of them.
+ *
+ * @returns {Function} restore
+ */
+function patchClient(client, methods) {
+  const saved = Object.keys(methods).map(name => ({
+    name,
+    own: Object.prototype.hasOwnProperty.call(client, name),
+    value: client[name]
+  }));
+
+  Object.assign(client, methods);
+
+  return () => {
+    for (const { name, own, value } of saved) {
+      if (own) client[name] = value;
+      else delete client[name];
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+/**
+ * Wrap a Supabase query builder so the chain of calls is tracked and the result is
+ * logged when the query is awaited.
+ */
+function recordingQuery(builder, table, chain, log) {
+  return new Proxy(builder, {
+    get(target, prop) {
+      const value = target[prop];
+
+      if (prop === 'then') {
+        if (typeof value !== 'function') return value;
+        return (onFulfilled, onRejected) => new Promise((resolve, reject) => value.call(target, resolve, reject))
+          .then(result => {
+            log.push({
+              table,
+              chain: toJSON(chain),
+              signature: querySignature(table, chain),
+              result: toJSON({ data: result?.data ?? null, error: result?.error ?? null, count: result?.count ?? null })
+            });
+            return result;
+          })
+          .then(onFulfilled, onRejected);
+      }
+
+      if (typeof value !== 'function' || typeof prop === 'symbol') return value;
+
+      return (...args) => {
+        const next = value.apply(target, args);
+        return next && typeof next === 'object'
+          ? recordingQuery(next, table, [...chain, [prop, toJSON(args)]], log)
+          : next;
+      };
+    }
+  });
+}
+
+/**
+ * LLM adapter that passes requests to `inner` and logs each response as a stub fixture
+ */
+function createRecordingAdapter(inner, llmLog) {
+  async function complete(request) {
+    const result = await inner.complete(request);
+    const operation = request.operation || 'unlabeled';
+
+    if (!llmLog[operation]) llmLog[operation] = { responses: [] };
+    llmLog[operation].responses.push({
+      key: requestKey(request),
+      request: toJSON({ model: request.model, system: request.system || null, messages: request.messages }),
+      text: result.text,
+      ...((result.content || []).some(b => b.type !== 'text') ? { content: toJSON(result.content) } : {}),
+      usage: {
+        input_tokens: result.inputTokens,
+        output_tokens: result.outputTokens,
+        cache_creation_input_tokens: result.cacheWriteTokens || 0,
+        cache_read_input_tokens: result.cacheReadTokens || 0
+      },
+      stop_reason: result.stopReason || 'end_turn'
+    });
+
+    return result;
+  }
+
+  return { name: `recording:${inner.name}`, complete };
+}
+
+/**
+ * Run a pipeline entry point against live services, capturing every model and Supabase
+ * call into a bundle. The entry's own error is recorded in outcome, not thrown.
+ *
+ * @param {string} entryName - Key of ENTRY_POINTS
+ * @param {Array} args - Arguments for the entry point
+ * @param {object} [options]
+ * @param {string} [options.label]
+ * @param {object} [options.client=supabaseAdmin]
+ * @param {number} [options.settleMs=0] - Keep recording this long after the entry returns,
+ *   for fire-and-forget work (e.g. pre-classification)
+ * @returns {Promise<object>} bundle
+ */
+async function recordRun(entryName, args = [], { label = null, client = supabaseAdmin, settleMs = 0 } = {}) {
+  const entry = getEntryPoint(entryName);
+  const supabaseLog = [];
+  const llmLog = {};
+
+  const originalFrom = client.from;
+  const originalRpc = client.rpc;
+  const restoreClient = patchClient(client, {
+    from: (table) => recordingQuery(originalFrom.call(client, table), table, [], supabaseLog),
+    ...(typeof originalRpc === 'function' ? {
+      rpc: (fn, params, options) => recordingQuery(
+        originalRpc.call(client, fn, params, options), `rpc:${fn}`, [['rpc', toJSON([params ?? null])]], supabaseLog
+      )
+    } : {})
+  });
+
+  const liveAdapter = getLLMAdapter();
+  setLLMAdapter(createRecordingAdapter(liveAdapter, llmLog));
+
+  console.log(`🎙️ Recording ${entryName}${label ? ` (${label})` : ''}...`);
+
+  let error = null;
+  try {
+    await entry(...args);
+    if (settleMs > 0) await new Promise(resolve => setTimeout(resolve, settleMs));
+  } catch (err) {
+    error = err.message;
+  } finally {
+    setLLMAdapter(liveAdapter);
+    restoreClient();
+  }
+
+  const llmCalls = Object.values(llmLog).reduce((sum, op) => sum + op.responses.length, 0);
+  console.log(`🎙️ Recorded ${entryName}: ${llmCalls} model calls, ${supabaseLog.length} queries${error ? ` (run failed: ${error})` : ''}`);
+
+  return {
+    version: BUNDLE_VERSION,
+    label,
+    recorded_at: new Date().toISOString(),
+    entry: { name: entryName, args: toJSON(args) },
+    settle_ms: settleMs,
+    outcome: { error },
+    llm: llmLog,
+    supabase: supabaseLog
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Replay
+// ---------------------------------------------------------------------------
+
+/**
+ * Chainable stand-in for a Supabase query builder. Every method call extends the chain;
+ * awaiting it resolves through `resolve(table, chain)`.
+ */
+function replayQuery(table, chain, resolve) {
+  const settle = () => Promise.resolve().then(() => resolve(table, chain));
+
+  return new Proxy({}, {
+    get(_, prop) {
+      if (typeof prop === 'symbol') return undefined;
+      if (prop === 'then') return (onFulfilled, onRejected) => settle().then(onFulfilled, onRejected);
+      if (prop === 'catch') return (onRejected) => settle().catch(onRejected);
+      return (...args) => replayQuery(table, [...chain, [prop, toJSON(args)]], resolve);
+    }
+  });
+}
+
+/**
+ * Serves recorded query results: the first unused entry with the same signature, else
+ * the first unused entry for the same table and operation, else a REPLAY_MISS error
+ * result (Supabase reports errors in the result rather than throwing).
+ */
+function createQueryResolver(recorded, report) {
+  const used = new Set();
+
+  return (table, chain) => {
+    const signature = querySignature(table, chain);
+    const operation = chain[0]?.[0] || null;
+    report.queries++;
+
+    if (MUTATING_METHODS.includes(operation)) {
+      report.writes.push({ table, operation, payload: chain[0][1]?.[0] ?? null, chain });
+    }
+
+    const unused = recorded.filter(entry => !used.has(entry));
+    const match = unused.find(entry => entry.signature === signature) ||
+      unused.find(entry => entry.table === table && entry.chain[0]?.[0] === operation);
+
+    if (!match) {
+      report.misses.push({ table, operation, signature });
+      return {
+        data: null,
+        error: { message: `No recorded result for ${operation || 'query'} on ${table}`, code: 'REPLAY_MISS' },
+        count: null
+      };
+    }
+
+    used.add(match);
+    if (match.signature !== signature) report.drifted.push({ table, operation, signature, recorded: match.signature });
+    return toJSON(match.result);
+  };
+}
+
+/**
+ * Re-run a recorded bundle's entry point with no network.
+ *
+ * @param {object} bundle - From recordRun / loadBundle
+ * @param {object} [options]
+ * @param {object} [options.client=supabaseAdmin]
+ * @param {Array} [options.args] - Override the recorded entry arguments
+ * @param {number} [options.settleMs] - Keep serving from the bundle this long after the entry
+ *   returns, for fire-and-forget work; defaults to the settle window it was recorded with
+ * @returns {Promise<object>} report: { entry, result, error, recordedError, llm, supabase }
+ */
+async function replayRun(bundle, { client = supabaseAdmin, args = bundle.entry.args, settleMs = bundle.settle_ms || 0 } = {}) {
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported replay bundle version ${bundle.version} (expected ${BUNDLE_VERSION})`);
+  }
+
+  const entry = getEntryPoint(bundle.entry.name);
+  const supabaseReport = { queries: 0, misses: [], drifted: [], writes: [] };
+  const resolve = createQueryResolver(bundle.supabase || [], supabaseReport);
+
+  const restoreClient = patchClient(client, {
+    from: (table) => replayQuery(table, [], resolve),
+    rpc: (fn, params) => replayQuery(`rpc:${fn}`, [['rpc', toJSON([params ?? null])]], resolve)
+  });
+
+  const replayAdapter = createStubAdapter({ fixtures: toJSON(bundle.llm || {}), sequential: true });
+  const previousAdapter = getLLMAdapter();
+  setLLMAdapter(replayAdapter);
+
+  console.log(`▶️ Replaying ${bundle.entry.name}${bundle.label ? ` (${bundle.label})` : ''}...`);
+
+  let result;
+  let error = null;
+  try {
+    result = await entry(...args);
+  } catch (err) {
+    error = err.message;
+  }
+
+  try {
+    if (settleMs > 0) await new Promise(resolve => setTimeout(resolve, settleMs));
+  } finally {
+    setLLMAdapter(previousAdapter);
+    restoreClient();
+  }
+
+  const calls = replayAdapter.calls;
+  const unused = {};
+  for (const [operation, fixture] of Object.entries(bundle.llm || {})) {
+    const remaining = fixture.responses.length - calls.filter(c => c.operation === operation && c.matchedBy).length;
+    if (remaining > 0) unused[operation] = remaining;
+  }
+
+  const report = {
+    entry: bundle.entry.name,
+    result,
+    error,
+    recordedError: bundle.outcome?.error || null,
+    llm: {
+      calls: calls.length,
+      exact: calls.filter(c => c.matchedBy === 'key').length,
+      drifted: calls.filter(c => c.matchedBy === 'sequence').map(({ operation, key }) => ({ operation, key })),
+      missing: calls.filter(c => !c.matchedBy).map(({ operation, key }) => ({ operation, key })),
+      unused
+    },
+    supabase: supabaseReport
+  };
+
+  console.log(`▶️ Replayed ${bundle.entry.name}: ${report.llm.exact}/${report.llm.calls} model calls exact, ${report.llm.drifted.length} drifted, ${supabaseReport.misses.length} query misses`);
+  return report;
+}
+
+function saveBundle(bundle, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(bundle, null, 2));
+}
+
+function loadBundle(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+  BUNDLE_VERSION,
+  ENTRY_POINTS,
+  querySignature,
+  createRecordingAdapter,
+  recordRun,
+  replayRun,
+  saveBundle,
+  loadBundle
+};
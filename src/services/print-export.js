@@ -0,0 +1,284 @@
+/**
+ * PRINT EXPORT — Typeset a finished book as a print-ready PDF
+ *
+ * Rendered offline from the stored chapters by src/utils/pdf.js — no rendering service.
+ * Page order follows a printed book: the cover (and its blank inside), a title page on a
+ * right-hand page, then each chapter opening on a right-hand page, a third of the way down.
+ * Margins are mirrored (wider on the spine side). Text pages carry running headers — the book
+ * title on left-hand pages, the chapter on right-hand pages — and page numbers at the foot.
+ *
+ * The large-print layout follows the British Dyslexia Association style guide: sans serif at
+ * 16pt, 1.5 line spacing, left-aligned, extra letter and word spacing, and space between
+ * paragraphs instead of indents.
+ */
+
+const { textWidth, pdfString, imageFromPng, imageFromJpeg, createPdf } = require('../utils/pdf');
+const { chapterBlocks, dedupeChapters } = require('./book-export');
+
+const TRIM_SIZES = {
+  pocket: { label: 'Pocket paperback (4.25 × 6.87 in)', width: 306, height: 495 },
+  digest: { label: 'Digest (5.5 × 8.5 in)', width: 396, height: 612 },
+  trade: { label: 'Trade paperback (6 × 9 in)', width: 432, height: 648 },
+  a5: { label: 'A5 (148 × 210 mm)', width: 420, height: 595 },
+  letter: { label: 'US Letter (8.5 × 11 in)', width: 612, height: 792 }
+};
+
+const DEFAULT_TRIM_SIZE = 'trade';
+
+// indent, paragraphGap, charSpacing and wordSpacing are in ems
+const LAYOUTS = {
+  standard: { font: 'Times-Roman', size: 11, leading: 1.4, justify: true, indent: 1.5, paragraphGap: 0, charSpacing: 0, wordSpacing: 0 },
+  large_print: { font: 'Helvetica', size: 16, leading: 1.5, justify: false, indent: 0, paragraphGap: 0.75, charSpacing: 0.04, wordSpacing: 0.16 }
+};
+
+const num = value => Number(value.toFixed(2)).toString();
+
+/**
+ * Chapter text for print: *emphasis* markers dropped (one font, no italics)
+ */
+function plainLine(line) {
+  return line.replace(/\*\*([^*]+)\*\*/g, '$1').replace(/\*([^*]+)\*/g, '$1');
+}
+
+/**
+ * Greedy line breaking. Words wider than the measure are split.
+ *
+ * @returns {Array<{ text: string, width: number, spaces: number }>}
+ */
+function wrapText(text, { font, size, width, firstLineIndent = 0, charSpacing = 0, wordSpacing = 0 }) {
+  const measure = str => textWidth(str, font, size, { charSpacing, wordSpacing });
+  const lines = [];
+  let current = '';
+  const available = () => width - (lines.length === 0 ? firstLineIndent : 0);
+  const push = () => {
+    lines.push({ text: current, width: measure(current), spaces: (current.match(/ /g) || []).length });
+    current = '';
+  };
+
+  for (let word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measure(candidate) <= available()) {
+      current = candidate;
+      continue;
+    }
+    if (current) push();
+    while (measure(word) > available()) {
+      let cut = word.length - 1;
+      while (cut > 1 && measure(word.slice(0, cut)) > available()) cut--;
+      current = word.slice(0, cut);
+      push();
+      word = word.slice(cut);
+    }
+    current = word;
+  }
+  if (current) push();
+  return lines;
+}
+
+/**
+ * Lay out the book page by page.
+ *
+ * @param {object} book - loadExport result (story, chapters, authorName, series, cover, forkedFrom)
+ * @param {object} [options]
+ * @param {string} [options.trimSize=DEFAULT_TRIM_SIZE] - Key of TRIM_SIZES
+ * @param {boolean} [options.largePrint=false]
+ * @returns {{ pageSize: object, font: string, coverImage: object|null,
+ *   pages: Array<{ number: number, kind: string, header: string|null, folio: number|null, ops: string[] }> }}
+ *   kind: cover, blank, title, opener or text
+ */
+function layoutPrintBook(book, { trimSize = DEFAULT_TRIM_SIZE, largePrint = false } = {}) {
+  const pageSize = TRIM_SIZES[trimSize];
+  if (!pageSize) throw new Error(`Unknown trim size: ${trimSize}`);
+
+  const style = LAYOUTS[largePrint ? 'large_print' : 'standard'];
+  const { font, size } = style;
+  const lineHeight = size * style.leading;
+  const spacing = { charSpacing: style.charSpacing * size, wordSpacing: style.wordSpacing * size };
+  const margin = {
+    inner: Math.round(pageSize.width * 0.125),
+    outer: Math.round(pageSize.width * 0.09),
+    top: Math.round(pageSize.height * 0.09),
+    bottom: Math.round(pageSize.height * 0.09)
+  };
+  const measure = pageSize.width - margin.inner - margin.outer;
+  const bookTitle = book.story.title || 'Untitled';
+
+  const pages = [];
+  const leftEdge = page => (page.number % 2 === 1 ? margin.inner : margin.outer);
+
+  const drawText = (page, text, x, y, { fontSize = size, wordSpacing = spacing.wordSpacing } = {}) => {
+    page.ops.push(`BT /F1 ${num(fontSize)} Tf ${num(spacing.charSpacing)} Tc ${num(wordSpacing)} Tw 1 0 0 1 ${num(x)} ${num(y)} Tm ${pdfString(text)} Tj ET`);
+  };
+  const drawCentered = (page, text, y, fontSize = size) => {
+    const width = textWidth(text, font, fontSize, spacing);
+    drawText(page, text, leftEdge(page) + (measure - width) / 2, y, { fontSize });
+  };
+  const fitToMeasure = (text, fontSize) => {
+    if (textWidth(text, font, fontSize, spacing) <= measure) return text;
+    let cut = text.length;
+    while (cut > 1 && textWidth(`${text.slice(0, cut).trimEnd()}…`, font, fontSize, spacing) > measure) cut--;
+    return `${text.slice(0, cut).trimEnd()}…`;
+  };
+
+  const addPage = (kind) => {
+    const page = { number: pages.length + 1, kind, header: null, folio: null, ops: [] };
+    pages.push(page);
+    return page;
+  };
+  // The next page is a right-hand (odd) page
+  const startOnRecto = () => {
+    if (pages.length % 2 === 1) addPage('blank');
+  };
+  const addFolio = (page) => {
+    page.folio = page.number;
+    drawCentered(page, String(page.number), margin.bottom * 0.45, size * 0.8);
+  };
+
+  // Cover, filling the page (cropped to the trim)
+  const coverImage = book.cover
+    ? (book.cover.contentType === 'image/jpeg' ? imageFromJpeg(book.cover.data) : imageFromPng(book.cover.data))
+    : null;
+  if (book.cover && !coverImage) {
+    console.warn(`⚠️ [${bookTitle}] Cover image format not supported for print — exporting without it`);
+  }
+  if (coverImage) {
+    const page = addPage('cover');
+    const scale = Math.max(pageSize.width / coverImage.width, pageSize.height / coverImage.height);
+    const w = coverImage.width * scale;
+    const h = coverImage.height * scale;
+    page.ops.push(`q ${num(w)} 0 0 ${num(h)} ${num((pageSize.width - w) / 2)} ${num((pageSize.height - h) / 2)} cm /Cover Do Q`);
+    addPage('blank');
+  }
+
+  // Title page
+  startOnRecto();
+  const titlePage = addPage('title');
+  const titleSize = size * 2.2;
+  let y = pageSize.height - margin.top - (pageSize.height - margin.top - margin.bottom) * 0.25;
+  for (const line of wrapText(bookTitle, { font, size: titleSize, width: measure, ...spacing })) {
+    drawCentered(titlePage, line.text, y, titleSize);
+    y -= titleSize * 1.25;
+  }
+  if (book.series?.name) {
+    y -= size;
+    drawCentered(titlePage, fitToMeasure(`${book.series.name}${book.series.book_number ? ` — Book ${book.series.book_number}` : ''}`, size * 1.1), y, size * 1.1);
+    y -= size * 1.1 * 1.4;
+  }
+  y -= size * 2;
+  drawCentered(titlePage, fitToMeasure(book.authorName, size * 1.3), y, size * 1.3);
+  if (book.forkedFrom) {
+    y -= size * 3;
+    for (const line of wrapText(`Continued from ${book.forkedFrom.original_title} by ${book.forkedFrom.author_display_name}`, { font, size: size * 0.9, width: measure, ...spacing })) {
+      drawCentered(titlePage, line.text, y, size * 0.9);
+      y -= size * 0.9 * style.leading;
+    }
+  }
+
+  // Chapters
+  for (const chapter of dedupeChapters(book.chapters)) {
+    const heading = `Chapter ${chapter.chapter_number}`;
+    const runningHead = chapter.title || heading;
+
+    startOnRecto();
+    let page = addPage('opener');
+    addFolio(page);
+    y = pageSize.height - margin.top - (pageSize.height - margin.top - margin.bottom) * 0.2;
+    drawCentered(page, heading, y, size * 1.1);
+    y -= size * 2.4;
+    if (chapter.title) {
+      const chapterTitleSize = size * 1.6;
+      for (const line of wrapText(chapter.title, { font, size: chapterTitleSize, width: measure, ...spacing })) {
+        drawCentered(page, line.text, y, chapterTitleSize);
+        y -= chapterTitleSize * 1.25;
+      }
+    }
+    y -= lineHeight * 2;
+
+    const nextTextPage = () => {
+      page = addPage('text');
+      page.header = page.number % 2 === 0 ? bookTitle : runningHead;
+      drawCentered(page, fitToMeasure(page.header, size * 0.8), pageSize.height - margin.top * 0.55, size * 0.8);
+      addFolio(page);
+      y = pageSize.height - margin.top - size;
+    };
+    const linesThatFit = () => (y >= margin.bottom ? Math.floor((y - margin.bottom) / lineHeight) + 1 : 0);
+    const atTopOfPage = () => y === pageSize.height - margin.top - size;
+
+    let indentNext = false;
+    for (const block of chapterBlocks(chapter.content)) {
+      if (block.type === 'scene_break') {
+        if (!atTopOfPage()) y -= lineHeight * 0.5;
+        if (linesThatFit() < 2) nextTextPage();
+        drawCentered(page, '* * *', y);
+        y -= lineHeight * 1.5;
+        indentNext = false;
+        continue;
+      }
+
+      const indent = indentNext ? style.indent * size : 0;
+      const lines = [];
+      block.lines.forEach((text, i) => {
+        const wrapped = wrapText(plainLine(text), { font, size, width: measure, firstLineIndent: i === 0 ? indent : 0, ...spacing });
+        wrapped.forEach((line, j) => lines.push({ ...line, indent: i === 0 && j === 0 ? indent : 0, last: j === wrapped.length - 1 }));
+      });
+
+      if (style.paragraphGap && !atTopOfPage()) y -= style.paragraphGap * size;
+
+      let placed = 0;
+      while (placed < lines.length) {
+        const remaining = lines.length - placed;
+        let take = Math.min(linesThatFit(), remaining);
+        if (take < remaining) {
+          if (placed === 0 && take === 1) take = 0;                 // no orphaned first line
+          else if (remaining - take === 1 && take >= 2) take -= 1;  // no widowed last line
+        }
+        for (const line of lines.slice(placed, placed + take)) {
+          const slack = measure - line.indent - line.width;
+          const justify = style.justify && !line.last && line.spaces > 0 && slack / line.spaces < size * 0.5;
+          drawText(page, line.text, leftEdge(page) + line.indent, y, {
+            wordSpacing: spacing.wordSpacing + (justify ? slack / line.spaces : 0)
+          });
+          y -= lineHeight;
+        }
+        placed += take;
+        if (placed < lines.length) nextTextPage();
+      }
+      indentNext = true;
+    }
+  }
+
+  return { pageSize, font, coverImage, pages };
+}
+
+/**
+ * Render the book as a print-ready PDF
+ *
+ * @param {object} book - loadExport result
+ * @param {object} [options] - { trimSize, largePrint, created }
+ * @returns {Buffer}
+ */
+function buildPrintPdf(book, { trimSize = DEFAULT_TRIM_SIZE, largePrint = false, created = new Date() } = {}) {
+  const { pageSize, font, coverImage, pages } = layoutPrintBook(book, { trimSize, largePrint });
+
+  return createPdf({
+    pageSize: { width: pageSize.width, height: pageSize.height },
+    pages: pages.map(page => ({ ops: page.ops.join('\n') })),
+    fonts: { F1: font },
+    images: coverImage ? { Cover: coverImage } : {},
+    info: {
+      title: book.story.title,
+      author: book.authorName,
+      subject: book.series?.name ? `${book.series.name}${book.series.book_number ? `, Book ${book.series.book_number}` : ''}` : null
+    },
+    created
+  });
+}
+
+module.exports = {
+  TRIM_SIZES,
+  DEFAULT_TRIM_SIZE,
+  LAYOUTS,
+  wrapText,
+  layoutPrintBook,
+  buildPrintPdf
+};
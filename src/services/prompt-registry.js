@@ -0,0 +1,342 @@
+/**
+ * PROMPT REGISTRY — Named, versioned prompt templates with typed variables
+ *
+ * The large generation prompts (bible, arc, chapter, review, sequel bible, world codex,
+ * prose directive, craft rules / guardrails) and the Prospero / Peggy interview instructions
+ * live in src/config/prompts/, one module each:
+ *
+ *   module.exports = {
+ *     name: 'chapter_review',
+ *     version: 2,
+ *     description: 'Quality review of a generated chapter',
+ *     variables: { chapterJson: 'string', ageRange: 'string', bible: 'object', notes: 'string?' },
+ *     template: `... {{ageRange}} ... {{bible.characters.protagonist.name}} ... {{notes|None}} ...`
+ *   };
+ *
+ * Placeholders:
+ *   {{name}} / {{object.path}}  — arrays render joined with ", ", objects as JSON
+ *   {{name|fallback}}           — fallback when the value is missing, '' or []
+ * Logic (loops, conditional sections) stays in the caller, which passes the finished block
+ * as a string variable.
+ *
+ * Variable types: string, number, boolean, object, array — suffix '?' for optional.
+ * Rendering throws PromptVariableError on a missing or mistyped variable.
+ *
+ * Versions: bump `version` whenever a template's text or variables change. On startup
+ * syncPromptRegistry() records every version in prompt_templates, so old versions stay
+ * diffable after the code moves on. Rows produced by a prompt record { name: version } in
+ * their prompt_versions column (story_bibles, story_arcs, chapters), which quality
+ * snapshots aggregate to compare quality across prompt changes.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const definitions = require('../config/prompts');
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'object', 'array'];
+const PLACEHOLDER = /\{\{\s*([A-Za-z_$][\w$]*(?:\.[\w$]+)*)\s*(?:\|([^}]*))?\}\}/g;
+
+class PromptVariableError extends Error {
+  constructor(promptName, message) {
+    super(`Prompt "${promptName}": ${message}`);
+    this.name = 'PromptVariableError';
+    this.promptName = promptName;
+  }
+}
+
+function parseVariableType(spec) {
+  const optional = spec.endsWith('?');
+  return { type: optional ? spec.slice(0, -1) : spec, optional };
+}
+
+/**
+ * Every placeholder in a template: { path, root, fallback }
+ */
+function placeholders(template) {
+  const found = [];
+  for (const match of template.matchAll(PLACEHOLDER)) {
+    found.push({ path: match[1], root: match[1].split('.')[0], fallback: match[2] });
+  }
+  return found;
+}
+
+/**
+ * Check a template definition is well-formed: name, positive integer version, known
+ * variable types, and no placeholder that isn't a declared variable.
+ */
+function validateDefinition(definition) {
+  const { name, version, variables = {}, template } = definition;
+
+  if (!name || typeof name !== 'string') throw new Error('Prompt definition is missing a name');
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Prompt "${name}": version must be a positive integer`);
+  if (typeof template !== 'string') throw new Error(`Prompt "${name}": template must be a string`);
+
+  for (const [variable, spec] of Object.entries(variables)) {
+    if (!VARIABLE_TYPES.includes(parseVariableType(spec).type)) {
+      throw new Error(`Prompt "${name}": variable "${variable}" has unknown type "${spec}"`);
+    }
+  }
+
+  const undeclared = [...new Set(placeholders(template).map(p => p.root))].filter(root => !(root in variables));
+  if (undeclared.length > 0) {
+    throw new Error(`Prompt "${name}": undeclared variable(s) ${undeclared.join(', ')}`);
+  }
+
+  return definition;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function checkVariables(definition, vars) {
+  for (const [variable, spec] of Object.entries(definition.variables || {})) {
+    const { type, optional } = parseVariableType(spec);
+    const value = vars[variable];
+
+    if (value === undefined || value === null) {
+      if (!optional) throw new PromptVariableError(definition.name, `missing required variable "${variable}"`);
+      continue;
+    }
+    if (typeOf(value) !== type) {
+      throw new PromptVariableError(definition.name, `variable "${variable}" should be ${type}, got ${typeOf(value)}`);
+    }
+  }
+}
+
+function lookup(vars, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(v => (typeof v === 'object' && v !== null ? JSON.stringify(v) : String(v))).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+/**
+ * Fill a template's placeholders. Values are inserted once — placeholder syntax inside a
+ * value is not expanded.
+ */
+function renderTemplate(template, vars = {}) {
+  return template.replace(PLACEHOLDER, (_, path, fallback) => {
+    const value = lookup(vars, path);
+    if (fallback !== undefined && isEmpty(value)) return fallback;
+    return formatValue(value);
+  });
+}
+
+/**
+ * Fingerprint of a template version — changes whenever its text or variables do
+ */
+function templateHash(definition) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ template: definition.template, variables: definition.variables || {} }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+const registry = new Map();
+for (const definition of definitions) {
+  validateDefinition(definition);
+  if (registry.has(definition.name)) throw new Error(`Duplicate prompt "${definition.name}"`);
+  registry.set(definition.name, definition);
+}
+
+function getPrompt(name) {
+  const definition = registry.get(name);
+  if (!definition) throw new Error(`Unknown prompt "${name}"`);
+  return definition;
+}
+
+/**
+ * Render a registered prompt.
+ *
+ * @param {string} name
+ * @param {object} vars
+ * @returns {{ text: string, name: string, version: number, versions: object }}
+ *   versions is { [name]: version }, ready to merge into a row's prompt_versions
+ */
+function renderPrompt(name, vars = {}) {
+  const definition = getPrompt(name);
+  checkVariables(definition, vars);
+
+  return {
+    text: renderTemplate(definition.template, vars),
+    name,
+    version: definition.version,
+    versions: { [name]: definition.version }
+  };
+}
+
+/**
+ * Current version of every registered prompt: { [name]: version }
+ */
+function currentPromptVersions() {
+  const versions = {};
+  for (const [name, definition] of registry) versions[name] = definition.version;
+  return versions;
+}
+
+/**
+ * Current versions of the named prompts, for rows whose prompt was rendered elsewhere
+ * (e.g. a sequel bible stored by the route that requested it)
+ */
+function promptVersionsFor(...names) {
+  const versions = {};
+  for (const name of names) versions[name] = getPrompt(name).version;
+  return versions;
+}
+
+function listPrompts() {
+  return [...registry.values()].map(d => ({
+    name: d.name,
+    version: d.version,
+    description: d.description || null,
+    variables: d.variables || {},
+    hash: templateHash(d)
+  }));
+}
+
+/**
+ * Record every registered prompt version in prompt_templates. A version already recorded
+ * with different text means someone edited a template without bumping its version — the
+ * stored text is kept (it's what older rows were produced by) and a warning is logged.
+ * Never throws.
+ */
+async function syncPromptRegistry() {
+  try {
+    const { data: stored, error } = await supabaseAdmin
+      .from('prompt_templates')
+      .select('name, version, hash');
+
+    if (error) throw new Error(error.message);
+
+    const storedHashes = new Map((stored || []).map(row => [`${row.name}@${row.version}`, row.hash]));
+    const missing = [];
+
+    for (const definition of registry.values()) {
+      const hash = templateHash(definition);
+      const storedHash = storedHashes.get(`${definition.name}@${definition.version}`);
+
+      if (!storedHash) {
+        missing.push({
+          name: definition.name,
+          version: definition.version,
+          description: definition.description || null,
+          variables: definition.variables || {},
+          template: definition.template,
+          hash
+        });
+      } else if (storedHash !== hash) {
+        console.warn(`⚠️ Prompt "${definition.name}" v${definition.version} changed without a version bump — bump its version`);
+      }
+    }
+
+    if (missing.length > 0) {
+      const { error: insertError } = await supabaseAdmin
+        .from('prompt_templates')
+        .upsert(missing, { onConflict: 'name,version', ignoreDuplicates: true });
+      if (insertError) throw new Error(insertError.message);
+      console.log(`📝 Prompt registry: recorded ${missing.map(p => `${p.name}@${p.version}`).join(', ')}`);
+    }
+  } catch (error) {
+    console.error(`❌ Prompt registry sync failed: ${error.message}`);
+  }
+}
+
+/**
+ * Recorded versions of a prompt, oldest first (without template text)
+ */
+async function listPromptVersions(name) {
+  const { data, error } = await supabaseAdmin
+    .from('prompt_templates')
+    .select('name, version, description, variables, hash, created_at')
+    .eq('name', name)
+    .order('version', { ascending: true });
+
+  if (error) throw new Error(`Failed to load prompt versions: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * One version of a prompt: from prompt_templates, or the registry for the current
+ * version if it hasn't been synced yet.
+ */
+async function getPromptVersion(name, version) {
+  const { data } = await supabaseAdmin
+    .from('prompt_templates')
+    .select('*')
+    .eq('name', name)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (data) return data;
+
+  const definition = registry.get(name);
+  if (definition && definition.version === version) {
+    return {
+      name,
+      version,
+      description: definition.description || null,
+      variables: definition.variables || {},
+      template: definition.template,
+      hash: templateHash(definition)
+    };
+  }
+  return null;
+}
+
+/**
+ * Word-level diff between two versions of a prompt's template.
+ *
+ * @returns {Promise<object|null>} null if either version is unknown
+ */
+async function diffPromptVersions(name, fromVersion, toVersion) {
+  const { diffText, diffStats } = require('./chapter-revisions');
+
+  const [from, to] = await Promise.all([
+    getPromptVersion(name, fromVersion),
+    getPromptVersion(name, toVersion)
+  ]);
+  if (!from || !to) return null;
+
+  const ops = diffText(from.template, to.template);
+  const fromVars = Object.keys(from.variables || {});
+  const toVars = Object.keys(to.variables || {});
+
+  return {
+    name,
+    from: fromVersion,
+    to: toVersion,
+    ...diffStats(ops),
+    variablesAdded: toVars.filter(v => !fromVars.includes(v)),
+    variablesRemoved: fromVars.filter(v => !toVars.includes(v)),
+    ops
+  };
+}
+
+module.exports = {
+  PromptVariableError,
+  placeholders,
+  validateDefinition,
+  renderTemplate,
+  templateHash,
+  getPrompt,
+  renderPrompt,
+  currentPromptVersions,
+  promptVersionsFor,
+  listPrompts,
+  syncPromptRegistry,
+  listPromptVersions,
+  getPromptVersion,
+  diffPromptVersions
+};
@@ -0,0 +1,383 @@
+/**
+ * PROSE LINT — Rule engine behind the chapter prose scan
+ *
+ * A rule counts occurrences of a regex (kind 'pattern') or of banned phrases matched as
+ * whole words (kind 'phrases') and compares the count against a threshold per 1,000 words:
+ *
+ *   { id: 'not_x_but_y', description: '"Not X, but Y" constructions', kind: 'pattern',
+ *     pattern: 'Not [a-zA-Z]+(?:,| —) (?:but|just) ', severity: 'error',
+ *     reading_levels: [], genres: [], threshold_per_1k: 1 }
+ *
+ *   - severity 'error' fails the scan, which sends the chapter back for a targeted revision;
+ *     'warning' and 'info' are only recorded
+ *   - reading_levels / genres scope a rule (empty = everywhere)
+ *   - directive_thresholds lets the story's prose directive retune a rule, e.g. the em dash
+ *     limit follows prose_guardrails.em_dash_tolerance (null turns the rule off)
+ *   - chapters under 3,000 words (a typical chapter) are judged as 3,000 words, so a short
+ *     chapter gets the same allowance as a typical one rather than failing on one stray phrase
+ *
+ * Built-in rules live here; admins add or override rules in prose_lint_rules (a row with a
+ * built-in id replaces it). Results for each stored chapter go to chapter_prose_violations,
+ * which quality snapshots trend.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const RULE_KINDS = ['pattern', 'phrases'];
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,62}$/;
+const MIN_WORD_BASIS = 3000;
+const MAX_EXCERPTS = 3;
+const EXCERPT_CONTEXT_CHARS = 60;
+const RULE_CACHE_TTL_MS = 60 * 1000;
+
+// Tuned so a chapter of up to 3,000 words gets the limits the scan has always used (15 em dashes, 3 "not X but Y", 2 of the others)
+const BUILTIN_RULES = [
+  {
+    id: 'em_dashes',
+    description: 'Em dashes',
+    kind: 'pattern',
+    pattern: '—',
+    severity: 'error',
+    reading_levels: [],
+    genres: [],
+    threshold_per_1k: 5,
+    directive_thresholds: { em_dash_tolerance: { avoid: 5, moderate: 6.7, embrace: null } }
+  },
+  {
+    id: 'not_x_but_y',
+    description: '"Not X, but Y" constructions',
+    kind: 'pattern',
+    pattern: 'Not [a-zA-Z]+(?:,| —) (?:but|just) ',
+    severity: 'error',
+    reading_levels: [],
+    genres: [],
+    threshold_per_1k: 1
+  },
+  {
+    id: 'something_in',
+    description: '"Something in [X]" constructions',
+    kind: 'pattern',
+    pattern: 'something in (?:his|her|their|my|your) ',
+    severity: 'error',
+    reading_levels: [],
+    genres: [],
+    threshold_per_1k: 0.7
+  },
+  {
+    id: 'the_kind_of',
+    description: '"The kind of" constructions',
+    kind: 'pattern',
+    pattern: 'the kind of',
+    severity: 'error',
+    reading_levels: [],
+    genres: [],
+    threshold_per_1k: 0.7
+  }
+];
+
+let ruleCache = null; // { loadedAt, rules }
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex a rule matches with (global, case-insensitive)
+ */
+function ruleRegex(rule) {
+  if (rule.kind === 'phrases') {
+    const alternatives = rule.phrases.map(p => escapeRegex(p.trim()).replace(/\s+/g, '\\s+'));
+    return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'gi');
+  }
+  return new RegExp(rule.pattern, 'gi');
+}
+
+/**
+ * Check a rule definition. Returns an error message, or null if it's valid.
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+    return 'id must be a lowercase slug (letters, digits, - and _)';
+  }
+  if (!RULE_KINDS.includes(rule.kind)) return `kind must be one of ${RULE_KINDS.join(', ')}`;
+  if (!SEVERITIES.includes(rule.severity)) return `severity must be one of ${SEVERITIES.join(', ')}`;
+
+  if (rule.kind === 'pattern') {
+    if (typeof rule.pattern !== 'string' || !rule.pattern) return 'pattern rules need a pattern';
+    try {
+      ruleRegex(rule);
+    } catch (err) {
+      return `pattern is not a valid regular expression: ${err.message}`;
+    }
+  } else if (!Array.isArray(rule.phrases) || rule.phrases.length === 0
+    || rule.phrases.some(p => typeof p !== 'string' || !p.trim())) {
+    return 'phrases rules need a non-empty list of phrases';
+  }
+
+  if (typeof rule.threshold_per_1k !== 'number' || rule.threshold_per_1k < 0) {
+    return 'threshold_per_1k must be a non-negative number';
+  }
+  for (const field of ['reading_levels', 'genres']) {
+    if (rule[field] !== undefined && !Array.isArray(rule[field])) return `${field} must be a list`;
+  }
+
+  return null;
+}
+
+/**
+ * Built-in rules overlaid with database rows. Every rule comes back, disabled ones included,
+ * with its source: 'builtin', 'override' (a row replacing a built-in) or 'custom'.
+ */
+function mergeRules(builtins, rows = []) {
+  const merged = new Map(builtins.map(rule => [rule.id, { ...rule, enabled: true, source: 'builtin' }]));
+
+  for (const row of rows) {
+    const rule = {
+      id: row.id,
+      description: row.description || row.id,
+      kind: row.kind,
+      pattern: row.pattern || null,
+      phrases: row.phrases || null,
+      severity: row.severity,
+      reading_levels: row.reading_levels || [],
+      genres: row.genres || [],
+      threshold_per_1k: Number(row.threshold_per_1k) || 0,
+      directive_thresholds: row.directive_thresholds || merged.get(row.id)?.directive_thresholds || null,
+      enabled: row.enabled !== false,
+      source: merged.has(row.id) ? 'override' : 'custom'
+    };
+
+    // A broken row (bad regex saved straight to the table) is skipped rather than failing every scan
+    const invalid = validateRule(rule);
+    if (invalid) {
+      console.warn(`⚠️ Prose lint rule ${row.id} ignored: ${invalid}`);
+      continue;
+    }
+    merged.set(rule.id, rule);
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Effective threshold for a rule under a prose directive (null = rule off for this story)
+ */
+function effectiveThreshold(rule, proseDirective = null) {
+  const guardrails = proseDirective?.prose_guardrails || {};
+  for (const [guardrail, thresholds] of Object.entries(rule.directive_thresholds || {})) {
+    const value = guardrails[guardrail];
+    if (value && Object.prototype.hasOwnProperty.call(thresholds, value)) {
+      return thresholds[value];
+    }
+  }
+  return rule.threshold_per_1k;
+}
+
+function ruleApplies(rule, { readingLevel = null, genre = null }) {
+  if (rule.reading_levels?.length > 0 && !rule.reading_levels.includes(readingLevel)) return false;
+  if (rule.genres?.length > 0 && !rule.genres.map(g => g.toLowerCase()).includes((genre || '').toLowerCase())) return false;
+  return true;
+}
+
+function excerptAt(text, index, length) {
+  const start = Math.max(0, index - EXCERPT_CONTEXT_CHARS);
+  const end = Math.min(text.length, index + length + EXCERPT_CONTEXT_CHARS);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Run rules over a text.
+ *
+ * @param {string} text
+ * @param {object} options
+ * @param {Array} options.rules - enabled rules (see loadProseLintRules)
+ * @param {string} [options.readingLevel]
+ * @param {string} [options.genre]
+ * @param {object} [options.proseDirective] - the story's prose directive, for directive_thresholds
+ * @returns {{ wordCount: number, findings: Array, violations: Array, passed: boolean }}
+ *   findings: every rule that matched; violations: findings over their limit;
+ *   passed: no 'error' violations
+ */
+function lintProse(text, { rules = BUILTIN_RULES, readingLevel = null, genre = null, proseDirective = null } = {}) {
+  const content = text || '';
+  const wordCount = countWords(content);
+  const basis = Math.max(wordCount, MIN_WORD_BASIS);
+  const findings = [];
+
+  for (const rule of rules) {
+    if (rule.enabled === false || !ruleApplies(rule, { readingLevel, genre })) continue;
+
+    const threshold = effectiveThreshold(rule, proseDirective);
+    if (threshold === null) continue;
+
+    const matches = [...content.matchAll(ruleRegex(rule))];
+    if (matches.length === 0) continue;
+
+    const limit = (threshold * basis) / 1000;
+    findings.push({
+      rule_id: rule.id,
+      description: rule.description,
+      severity: rule.severity,
+      count: matches.length,
+      per_1k: Math.round((matches.length / basis) * 1000 * 100) / 100,
+      threshold_per_1k: threshold,
+      limit: Math.floor(limit),
+      violated: matches.length > limit,
+      excerpts: matches.slice(0, MAX_EXCERPTS).map(m => excerptAt(content, m.index, m[0].length))
+    });
+  }
+
+  const violations = findings.filter(f => f.violated);
+  return {
+    wordCount,
+    findings,
+    violations,
+    passed: !violations.some(v => v.severity === 'error')
+  };
+}
+
+/**
+ * One-line summary of a violation, e.g. 'Em dashes: 22 (limit: 15)'
+ */
+function describeViolation(violation) {
+  return `${violation.description}: ${violation.count} (limit: ${violation.limit})`;
+}
+
+/**
+ * Revision instructions that point the model at the offending passages only
+ */
+function buildProseRevisionNotes(violations) {
+  const lines = violations.map(v => {
+    const examples = v.excerpts.map(e => `    "${e}"`).join('\n');
+    return `- ${describeViolation(v)}${examples ? `. For example:\n${examples}` : ''}`;
+  });
+
+  return `CRITICAL PROSE VIOLATIONS — rework the passages that use these patterns until each is under its limit. Leave every other sentence as it is.\n${lines.join('\n')}`;
+}
+
+/**
+ * Enabled rules (built-ins + prose_lint_rules), cached for a minute. Falls back to the
+ * built-ins if the table can't be read, so a database hiccup never blocks generation.
+ */
+async function loadProseLintRules() {
+  if (ruleCache && Date.now() - ruleCache.loadedAt < RULE_CACHE_TTL_MS) {
+    return ruleCache.rules;
+  }
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('prose_lint_rules')
+    .select('*');
+
+  if (error) {
+    console.error(`⚠️ Could not load prose lint rules, using built-ins: ${error.message}`);
+    return BUILTIN_RULES;
+  }
+
+  const rules = mergeRules(BUILTIN_RULES, rows || []).filter(rule => rule.enabled);
+  ruleCache = { loadedAt: Date.now(), rules };
+  return rules;
+}
+
+/**
+ * Every rule with its source and enabled state, for admins
+ */
+async function listProseLintRules() {
+  const { data: rows, error } = await supabaseAdmin
+    .from('prose_lint_rules')
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to load prose lint rules: ${error.message}`);
+  }
+
+  return mergeRules(BUILTIN_RULES, rows || []);
+}
+
+/**
+ * Drop cached rules (after admin changes)
+ */
+function clearProseLintCache() {
+  ruleCache = null;
+}
+
+/**
+ * Replace a chapter's stored lint results with a fresh lint of its text
+ *
+ * @param {object} chapter - { id, story_id, chapter_number }
+ * @param {object} result - lintProse result
+ */
+async function saveChapterProseLint(chapter, result) {
+  const { error: deleteError } = await supabaseAdmin
+    .from('chapter_prose_violations')
+    .delete()
+    .eq('chapter_id', chapter.id);
+
+  if (deleteError) {
+    throw new Error(`Failed to clear prose lint results: ${deleteError.message}`);
+  }
+
+  if (result.findings.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from('chapter_prose_violations')
+    .insert(result.findings.map(f => ({
+      chapter_id: chapter.id,
+      story_id: chapter.story_id,
+      chapter_number: chapter.chapter_number,
+      rule_id: f.rule_id,
+      severity: f.severity,
+      match_count: f.count,
+      per_1k: f.per_1k,
+      threshold_per_1k: f.threshold_per_1k,
+      violated: f.violated,
+      excerpts: f.excerpts,
+      word_count: result.wordCount
+    })));
+
+  if (error) {
+    throw new Error(`Failed to store prose lint results: ${error.message}`);
+  }
+}
+
+/**
+ * Violation counts for a story's chapters, from chapter_prose_violations rows
+ *
+ * @returns {{ by_chapter: object, by_rule: object, total: number }}
+ *   by_chapter: { chapterNumber: violations }, by_rule: { ruleId: chapters violated }
+ */
+function summarizeProseViolations(rows = []) {
+  const byChapter = {};
+  const byRule = {};
+  let total = 0;
+
+  for (const row of rows) {
+    if (!row.violated) continue;
+    byChapter[row.chapter_number] = (byChapter[row.chapter_number] || 0) + 1;
+    byRule[row.rule_id] = (byRule[row.rule_id] || 0) + 1;
+    total++;
+  }
+
+  return { by_chapter: byChapter, by_rule: byRule, total };
+}
+
+module.exports = {
+  BUILTIN_RULES,
+  SEVERITIES,
+  RULE_KINDS,
+  validateRule,
+  mergeRules,
+  lintProse,
+  describeViolation,
+  buildProseRevisionNotes,
+  loadProseLintRules,
+  listProseLintRules,
+  clearProseLintCache,
+  saveChapterProseLint,
+  summarizeProseViolations
+};
@@ -11,11 +11,11 @@
  * Uses Haiku for speed (~2-4 seconds target response time).
  */
 
-const { anthropic } = require('../config/ai-clients');
 const { supabaseAdmin } = require('../config/supabase');
-const { logApiCost } = require('./generation');
+const { callLLM, logLLMCost, MODELS } = require('./llm-provider');
+const { reviseChapter } = require('./chapter-revisions');
 
-const EDITOR_MODEL = 'claude-sonnet-4-5-20250929';
+const EDITOR_MODEL = MODELS.sonnet;
 
 /**
  * Investigate a reader-flagged passage.
@@ -131,16 +131,15 @@ async function investigatePassage(params) {
     chapterTitle: chapter.title
   });
 
-  const response = await anthropic.messages.create({
+  // Cost is logged once the outcome is known (it's part of the metadata)
+  const { text: rawResponse, inputTokens, outputTokens, cost } = await callLLM({
     model: EDITOR_MODEL,
-    max_tokens: 2048,
-    messages: [{ role: 'user', content: prompt }]
+    prompt,
+    maxTokens: 2048,
+    operation: 'prospero_editor_investigation',
+    logCost: false
   });
 
-  const inputTokens = response.usage?.input_tokens || 0;
-  const outputTokens = response.usage?.output_tokens || 0;
-  const rawResponse = response.content[0]?.text || '';
-
   // Parse the structured response
   let investigation;
   try {
@@ -165,20 +164,15 @@ async function investigatePassage(params) {
   const wasCorrection = investigation.is_genuine_issue === true && isAuthor;
   let correctedText = null;
   let originalText = null;
+  let updatedContent = null;
 
   if (wasCorrection && investigation.corrected_text) {
     correctedText = investigation.corrected_text;
     originalText = highlightedText;
 
-    // Apply the correction to the chapter content
-    const updatedContent = chapter.content.substring(0, highlightStart)
+    updatedContent = chapter.content.substring(0, highlightStart)
       + correctedText
       + chapter.content.substring(highlightEnd);
-
-    await supabaseAdmin
-      .from('chapters')
-      .update({ content: updatedContent })
-      .eq('id', chapterId);
   }
 
   // Log the correction
@@ -211,16 +205,38 @@ async function investigatePassage(params) {
     .select('id')
     .single();
 
+  // Apply the correction to the chapter content — after logging it, so the revision
+  // remaps this correction's highlight onto the corrected text
+  if (updatedContent) {
+    await applyCorrectionRevision({
+      chapterId,
+      content: updatedContent,
+      userId,
+      cost,
+      reason: readerDescription,
+      correctionId: correctionRecord?.id,
+      category: investigation.category
+    });
+  }
+
   // Update contribution stats
   await updateContributionStats(userId, storyId, wasCorrection, !investigation.is_genuine_issue, investigation.category);
 
   // Log API cost
-  await logApiCost(userId, 'prospero_editor_investigation', inputTokens, outputTokens, {
+  await logLLMCost({
+    userId,
     storyId,
-    chapterNumber,
-    wasCorrection,
-    category: investigation.category,
-    investigationTimeMs
+    model: EDITOR_MODEL,
+    operation: 'prospero_editor_investigation',
+    inputTokens,
+    outputTokens,
+    metadata: {
+      storyId,
+      chapterNumber,
+      wasCorrection,
+      category: investigation.category,
+      investigationTimeMs
+    }
   });
 
   console.log(`🔍 [Prospero Editor] Investigation complete: ${wasCorrection ? 'CORRECTED' : investigation.is_genuine_issue ? 'FLAGGED (non-author)' : 'NO ISSUE'} in ${investigationTimeMs}ms (${inputTokens}/${outputTokens} tokens)`);
@@ -238,6 +254,26 @@ async function investigatePassage(params) {
   };
 }
 
+/**
+ * Save a reader correction to the chapter as a revision.
+ * Failures are logged, not thrown — the reader still gets Prospero's response.
+ */
+async function applyCorrectionRevision({ chapterId, content, userId, cost, reason, correctionId, category, pushback = false }) {
+  try {
+    await reviseChapter({
+      chapterId,
+      content,
+      source: 'reader_correction',
+      authorId: userId,
+      costUsd: cost,
+      reason,
+      metadata: { correction_id: correctionId || null, category: category || 'other', pushback }
+    });
+  } catch (err) {
+    console.error(`❌ [Prospero Editor] Failed to apply correction to chapter ${chapterId}: ${err.message}`);
+  }
+}
+
 /**
  * Extract ~500 chars of surrounding context around the highlighted passage.
  */
@@ -730,16 +766,15 @@ Return ONLY valid JSON:
   "reasoning": "Brief internal reasoning (not shown to reader)"
 }`;
 
-  const response = await anthropic.messages.create({
+  // Cost is logged once the outcome is known (it's part of the metadata)
+  const { text: rawResponse, inputTokens, outputTokens, cost } = await callLLM({
     model: EDITOR_MODEL,
-    max_tokens: 2048,
-    messages: [{ role: 'user', content: prompt }]
+    prompt,
+    maxTokens: 2048,
+    operation: 'prospero_editor_pushback',
+    logCost: false
   });
 
-  const inputTokens = response.usage?.input_tokens || 0;
-  const outputTokens = response.usage?.output_tokens || 0;
-  const rawResponse = response.content[0]?.text || '';
-
   let reconsideration;
   try {
     const jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
@@ -768,10 +803,16 @@ Return ONLY valid JSON:
       + reconsideration.corrected_text
       + chapter.content.substring(original.highlight_end);
 
-    await supabaseAdmin
-      .from('chapters')
-      .update({ content: updatedContent })
-      .eq('id', original.chapter_id);
+    await applyCorrectionRevision({
+      chapterId: original.chapter_id,
+      content: updatedContent,
+      userId,
+      cost,
+      reason: pushbackText,
+      correctionId,
+      category: reconsideration.category,
+      pushback: true
+    });
   }
 
   // Update the original correction record with pushback info
@@ -790,11 +831,19 @@ Return ONLY valid JSON:
     .eq('id', correctionId);
 
   // Log API cost
-  await logApiCost(userId, 'prospero_editor_pushback', inputTokens, outputTokens, {
+  await logLLMCost({
+    userId,
     storyId: original.story_id,
-    chapterNumber: original.chapter_number,
-    reconsidered: reconsideration.reconsidered,
-    investigationTimeMs
+    model: EDITOR_MODEL,
+    operation: 'prospero_editor_pushback',
+    inputTokens,
+    outputTokens,
+    metadata: {
+      storyId: original.story_id,
+      chapterNumber: original.chapter_number,
+      reconsidered: reconsideration.reconsidered,
+      investigationTimeMs
+    }
   });
 
   console.log(`🔍 [Prospero Editor] Pushback handled: ${reconsideration.reconsidered ? 'RECONSIDERED' : 'STOOD FIRM'} in ${investigationTimeMs}ms`);
@@ -1,4 +1,67 @@
 const supabase = require('../config/supabase');
+const { summarizeProseViolations } = require('./prose-lint');
+
+/**
+ * Prompt versions used across a story's chapters: { [prompt]: [versions, ascending] }
+ */
+function promptVersionsUsed(chapters) {
+  const used = {};
+  for (const chapter of chapters) {
+    for (const [name, version] of Object.entries(chapter.prompt_versions || {})) {
+      if (!used[name]) used[name] = [];
+      if (!used[name].includes(version)) used[name].push(version);
+    }
+  }
+  for (const name in used) used[name].sort((a, b) => a - b);
+  return used;
+}
+
+/**
+ * Chapter quality grouped by the prompt versions that produced it.
+ * Keys are 'name@version'; chapters from before prompt versioning are left out.
+ *
+ * @returns {Object<string, { chapters: number, scored: number, quality_sum: number, quality_avg: number|null }>}
+ */
+function qualityByPromptVersion(chapters) {
+  const groups = {};
+  for (const chapter of chapters) {
+    const score = chapter.quality_score != null ? parseFloat(chapter.quality_score) : null;
+    for (const [name, version] of Object.entries(chapter.prompt_versions || {})) {
+      const key = `${name}@${version}`;
+      if (!groups[key]) groups[key] = { chapters: 0, scored: 0, quality_sum: 0 };
+      groups[key].chapters++;
+      if (score != null) {
+        groups[key].scored++;
+        groups[key].quality_sum += score;
+      }
+    }
+  }
+  return finishQualityGroups(groups);
+}
+
+/**
+ * Merge per-story prompt-version groups into fleet-level groups
+ */
+function mergeQualityByPromptVersion(groupSets) {
+  const merged = {};
+  for (const groups of groupSets) {
+    for (const [key, group] of Object.entries(groups || {})) {
+      if (!merged[key]) merged[key] = { chapters: 0, scored: 0, quality_sum: 0 };
+      merged[key].chapters += group.chapters;
+      merged[key].scored += group.scored;
+      merged[key].quality_sum += group.quality_sum;
+    }
+  }
+  return finishQualityGroups(merged);
+}
+
+function finishQualityGroups(groups) {
+  for (const key in groups) {
+    const group = groups[key];
+    group.quality_avg = group.scored > 0 ? group.quality_sum / group.scored : null;
+  }
+  return groups;
+}
 
 /**
  * Compute a quality snapshot for a single story by aggregating data from multiple tables.
@@ -24,7 +87,7 @@ async function computeStoryQualitySnapshot(storyId) {
   // Fetch all chapters for this story
   const { data: chapters, error: chaptersError } = await supabase
     .from('chapters')
-    .select('chapter_number, quality_score, quality_review, regeneration_count')
+    .select('chapter_number, quality_score, quality_review, regeneration_count, prompt_versions')
     .eq('story_id', storyId)
     .order('chapter_number');
 
@@ -209,16 +272,18 @@ async function computeStoryQualitySnapshot(storyId) {
   // Cost data from api_costs
   const { data: costs, error: costsError } = await supabase
     .from('api_costs')
-    .select('cost, operation')
+    .select('cost, operation, cache_savings')
     .eq('story_id', storyId);
 
   let total_generation_cost = 0;
+  let cache_savings = 0;
   let costByOperation = {};
 
   if (!costsError && costs) {
     for (const cost of costs) {
       const amount = parseFloat(cost.cost) || 0;
       total_generation_cost += amount;
+      cache_savings += parseFloat(cost.cache_savings) || 0;
       if (cost.operation) {
         costByOperation[cost.operation] = (costByOperation[cost.operation] || 0) + amount;
       }
@@ -227,6 +292,15 @@ async function computeStoryQualitySnapshot(storyId) {
 
   const cost_per_chapter = chapters.length > 0 ? (total_generation_cost / chapters.length) : null;
 
+  // Prose-lint violations from chapter_prose_violations
+  const { data: lintRows, error: lintError } = await supabase
+    .from('chapter_prose_violations')
+    .select('chapter_number, rule_id, violated')
+    .eq('story_id', storyId);
+
+  const proseViolations = summarizeProseViolations(!lintError && lintRows ? lintRows : []);
+  const prose_violations_per_chapter = chapters.length > 0 ? (proseViolations.total / chapters.length) : null;
+
   // Build the snapshot object
   const snapshot = {
     snapshot_date: today,
@@ -242,8 +316,12 @@ async function computeStoryQualitySnapshot(storyId) {
     avg_reading_time_per_chapter,
     abandonment_chapter,
     generation_config: story.generation_config,
+    prompt_versions: promptVersionsUsed(chapters),
     total_generation_cost,
-    cost_per_chapter
+    cost_per_chapter,
+    cache_savings,
+    prose_violations_per_chapter,
+    prose_violations_by_rule: proseViolations.by_rule
   };
 
   // Insert into quality_snapshots
@@ -264,6 +342,8 @@ async function computeStoryQualitySnapshot(storyId) {
     avg_regeneration_count,
     follow_up_feedback_count: followUpCount,
     cost_by_operation: costByOperation,
+    quality_by_prompt_version: qualityByPromptVersion(chapters),
+    prose_violations_by_chapter: proseViolations.by_chapter,
     chapter_count: chapters.length
   };
 }
@@ -308,12 +388,15 @@ async function computeDashboard(options = {}) {
       fleet_callback_utilization: null,
       fleet_completion_rate: null,
       fleet_cost_per_chapter: null,
+      fleet_prose_violations_per_chapter: null,
       total_stories_analyzed: 0,
       total_chapters_analyzed: 0,
       dimension_averages: {},
       weakest_dimension: null,
       cost_by_system: {},
-      feature_flag_distribution: {}
+      feature_flag_distribution: {},
+      prose_violations_by_rule: {},
+      quality_by_prompt_version: {}
     };
   }
 
@@ -339,12 +422,15 @@ async function computeDashboard(options = {}) {
       fleet_callback_utilization: null,
       fleet_completion_rate: null,
       fleet_cost_per_chapter: null,
+      fleet_prose_violations_per_chapter: null,
       total_stories_analyzed: 0,
       total_chapters_analyzed: 0,
       dimension_averages: {},
       weakest_dimension: null,
       cost_by_system: {},
-      feature_flag_distribution: {}
+      feature_flag_distribution: {},
+      prose_violations_by_rule: {},
+      quality_by_prompt_version: {}
     };
   }
 
@@ -368,6 +454,8 @@ async function computeDashboard(options = {}) {
   let callbackRates = [];
   let completionRates = [];
   let costPerChapter = [];
+  let proseViolationRates = [];
+  let proseViolationsByRule = {};
   let totalChapters = 0;
   let dimensionAggregates = {};
   let costBySystem = {};
@@ -386,6 +474,10 @@ async function computeDashboard(options = {}) {
     if (snapshot.completion_rate != null) completionRates.push(snapshot.completion_rate);
     if (snapshot.cost_per_chapter != null) costPerChapter.push(snapshot.cost_per_chapter);
     if (snapshot.chapter_count) totalChapters += snapshot.chapter_count;
+    if (snapshot.prose_violations_per_chapter != null) proseViolationRates.push(snapshot.prose_violations_per_chapter);
+    for (const rule in snapshot.prose_violations_by_rule || {}) {
+      proseViolationsByRule[rule] = (proseViolationsByRule[rule] || 0) + snapshot.prose_violations_by_rule[rule];
+    }
 
     // Aggregate dimensions
     if (snapshot.dimension_scores) {
@@ -423,6 +515,7 @@ async function computeDashboard(options = {}) {
   const fleet_callback_utilization = avg(callbackRates);
   const fleet_completion_rate = avg(completionRates);
   const fleet_cost_per_chapter = avg(costPerChapter);
+  const fleet_prose_violations_per_chapter = avg(proseViolationRates);
 
   // Compute dimension averages and find weakest
   const dimension_averages = {};
@@ -453,12 +546,17 @@ async function computeDashboard(options = {}) {
     fleet_callback_utilization,
     fleet_completion_rate,
     fleet_cost_per_chapter,
+    fleet_prose_violations_per_chapter,
     total_stories_analyzed: snapshots.length,
     total_chapters_analyzed: totalChapters,
     dimension_averages,
     weakest_dimension,
     cost_by_system: cost_by_system_avg,
     feature_flag_distribution: featureFlagCounts,
+    // Chapters violating each prose-lint rule, across the fleet
+    prose_violations_by_rule: proseViolationsByRule,
+    // Compare chapter quality before and after a prompt change
+    quality_by_prompt_version: mergeQualityByPromptVersion(snapshots.map(s => s.quality_by_prompt_version)),
     stories: snapshots.map(s => ({
       story_id: s.story_id,
       quality: s.ai_quality_avg,
@@ -467,6 +565,7 @@ async function computeDashboard(options = {}) {
       callback_utilization: s.callback_utilization,
       completion_rate: s.completion_rate,
       cost_per_chapter: s.cost_per_chapter,
+      prose_violations_per_chapter: s.prose_violations_per_chapter,
       chapter_count: s.chapter_count
     }))
   };
@@ -547,7 +646,8 @@ async function getStoryQualityDetail(storyId) {
       quality_score: ch.quality_score,
       voice_authenticity: voiceAvg,
       had_revision: voiceData ? voiceData.had_revision : false,
-      has_ledger_entry: ledgerByChapter.has(ch.chapter_number)
+      has_ledger_entry: ledgerByChapter.has(ch.chapter_number),
+      prose_violations: snapshot.prose_violations_by_chapter[ch.chapter_number] || 0
     };
   });
 
@@ -582,6 +682,9 @@ async function getStoryQualityDetail(storyId) {
 }
 
 module.exports = {
+  promptVersionsUsed,
+  qualityByPromptVersion,
+  mergeQualityByPromptVersion,
   computeStoryQualitySnapshot,
   computeDashboard,
   getStoryQualityDetail
@@ -0,0 +1,187 @@
+/**
+ * READER CODEX — The world codex as a reader-facing glossary, without spoilers
+ *
+ * generateWorldCodex builds the rulebook every chapter is written against, but it describes the
+ * whole book. Here it's cut down to what the reader has met:
+ *   - chapter_entities records every named thing each chapter mentions, so the first chapter an
+ *     entity appears in is when it was introduced
+ *   - a codex place, faction or system is shown once an entity of the same name has appeared in
+ *     a chapter the reader has finished (reader-progress); anything never mentioned stays hidden
+ *   - locations and world rules the codex doesn't cover become glossary terms
+ *
+ * The codex only decides which entries and names exist. What an entry says comes from the
+ * chapter_entities facts of the chapters read so far — a codex place's facts, a faction's goals
+ * or a system's rules describe the whole book and can give away what later chapters reveal.
+ * Every entry links to the chapter it first appeared in. Characters and plot threads are left
+ * out — they're not world-building.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { getFinishedThroughChapter } = require('./reader-progress');
+
+const GLOSSARY_ENTITY_TYPES = ['location', 'world_rule'];
+const MAX_FACTS_PER_ENTRY = 10;
+const MIN_PARTIAL_MATCH_LENGTH = 4;
+
+/**
+ * Lowercase words only, without a leading "the" — "The Salt Court" and "salt-court" match
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Whether an entity name refers to a codex entry: the same name, or one contains the other as
+ * whole words ("Port Halloran" / "Halloran"), as long as the shorter isn't too short to mean much
+ */
+function namesMatch(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return false;
+  if (x === y) return true;
+
+  const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x];
+  return shorter.length >= MIN_PARTIAL_MATCH_LENGTH && ` ${longer} `.includes(` ${shorter} `);
+}
+
+/**
+ * Entities the reader has seen, grouped by name in order of first appearance
+ *
+ * @param {Array} entities - chapter_entities rows
+ * @param {number} throughChapter - Last chapter the reader has finished
+ * @returns {Array<{ name, type, firstChapter, facts: Array<{ chapter_number, fact }> }>}
+ */
+function groupSeenEntities(entities, throughChapter) {
+  const groups = new Map();
+  const seen = (entities || [])
+    .filter(e => e.chapter_number <= throughChapter && e.entity_name)
+    .sort((a, b) => a.chapter_number - b.chapter_number);
+
+  for (const entity of seen) {
+    const key = normalizeName(entity.entity_name);
+    if (!key) continue;
+    if (!groups.has(key)) {
+      groups.set(key, { name: entity.entity_name, type: entity.entity_type, firstChapter: entity.chapter_number, facts: [] });
+    }
+    const group = groups.get(key);
+    if (entity.fact && !group.facts.some(f => f.fact === entity.fact)) {
+      group.facts.push({ chapter_number: entity.chapter_number, fact: entity.fact });
+    }
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Build the reader's codex from the story's codex and entities.
+ *
+ * @param {object} params
+ * @param {object|null} params.codexData - world_codex.codex_data (null for stories without one)
+ * @param {Array} params.entities - chapter_entities rows ({ entity_type, entity_name, fact, chapter_number })
+ * @param {Array} params.chapters - { chapter_number, title } for linking entries to chapters
+ * @param {number} params.throughChapter - Last chapter the reader has finished
+ * @returns {{ through_chapter, places, factions, rules, glossary }} Entries are
+ *   { name, facts, first_appeared }
+ */
+function buildReaderCodex({ codexData, entities, chapters, throughChapter }) {
+  const seen = groupSeenEntities(entities, throughChapter);
+  const titles = new Map((chapters || []).map(ch => [ch.chapter_number, ch.title || null]));
+  const claimed = new Set();
+
+  const chapterLink = chapterNumber => ({ chapter_number: chapterNumber, title: titles.get(chapterNumber) || null });
+
+  // The earliest-seen entities naming this entry (an entry can be mentioned under a short form)
+  const introduce = (name, types = null) => {
+    const matches = seen.filter(group => (!types || types.includes(group.type)) && namesMatch(group.name, name));
+    if (matches.length === 0) return null;
+    matches.forEach(group => claimed.add(group));
+    const facts = matches
+      .flatMap(group => group.facts)
+      .sort((a, b) => a.chapter_number - b.chapter_number)
+      .slice(0, MAX_FACTS_PER_ENTRY);
+    return { firstChapter: Math.min(...matches.map(group => group.firstChapter)), facts };
+  };
+
+  const entry = (name, introduction) => ({
+    name,
+    facts: introduction.facts,
+    first_appeared: chapterLink(introduction.firstChapter)
+  });
+
+  const byAppearance = (a, b) =>
+    a.first_appeared.chapter_number - b.first_appeared.chapter_number || a.name.localeCompare(b.name);
+
+  const places = [];
+  for (const place of codexData?.geography || []) {
+    const introduction = introduce(place.name);
+    if (introduction) places.push(entry(place.name, introduction));
+  }
+
+  const factions = [];
+  for (const faction of codexData?.factions || []) {
+    const introduction = introduce(faction.name);
+    if (introduction) factions.push(entry(faction.name, introduction));
+  }
+
+  const rules = [];
+  for (const system of codexData?.systems || []) {
+    const introduction = introduce(system.name);
+    if (introduction) rules.push(entry(system.name, introduction));
+  }
+
+  // Short and full forms of the same term are one entry, under the fuller name
+  const terms = [];
+  for (const group of seen.filter(g => !claimed.has(g) && GLOSSARY_ENTITY_TYPES.includes(g.type))) {
+    const term = terms.find(t => namesMatch(t.name, group.name));
+    if (!term) {
+      terms.push({ ...group, facts: [...group.facts] });
+      continue;
+    }
+    if (group.name.length > term.name.length) term.name = group.name;
+    term.facts.push(...group.facts);
+  }
+  const glossary = terms.map(term => entry(term.name, {
+    firstChapter: term.firstChapter,
+    facts: term.facts.sort((a, b) => a.chapter_number - b.chapter_number).slice(0, MAX_FACTS_PER_ENTRY)
+  }));
+
+  return {
+    through_chapter: throughChapter,
+    places: places.sort(byAppearance),
+    factions: factions.sort(byAppearance),
+    rules: rules.sort(byAppearance),
+    glossary: glossary.sort(byAppearance)
+  };
+}
+
+/**
+ * The codex for a reader, up to the last chapter they've finished. A reader who hasn't finished
+ * a chapter sees an empty codex. The caller checks story access first.
+ */
+async function getReaderCodex(storyId, userId) {
+  const [throughChapter, { data: codex }, { data: entities }, { data: chapters }] = await Promise.all([
+    getFinishedThroughChapter(storyId, userId),
+    supabaseAdmin.from('world_codex').select('codex_data').eq('story_id', storyId).maybeSingle(),
+    supabaseAdmin.from('chapter_entities').select('entity_type, entity_name, fact, chapter_number')
+      .eq('story_id', storyId).order('chapter_number', { ascending: true }),
+    supabaseAdmin.from('chapters').select('chapter_number, title').eq('story_id', storyId)
+  ]);
+
+  return buildReaderCodex({
+    codexData: codex?.codex_data || null,
+    entities: entities || [],
+    chapters: chapters || [],
+    throughChapter
+  });
+}
+
+module.exports = {
+  normalizeName,
+  namesMatch,
+  buildReaderCodex,
+  getReaderCodex
+};
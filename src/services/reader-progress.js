@@ -0,0 +1,44 @@
+/**
+ * READER PROGRESS — The last chapter a reader has finished, for spoiler gating
+ *
+ * reading_progress.chapter_number is the chapter the reader is in right now (it sits next to
+ * scroll_position), not one they've finished — anything built from it would give away the rest
+ * of that chapter. The reader-facing codex, relationship graph, timeline and recaps go through
+ * the chapter before it, or further when chapter_reading_stats marks a later chapter completed
+ * (the last chapter of a book, which the reader never moves past).
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Last finished chapter from the reader's current chapter and their completed chapters.
+ * 0 for a reader still in (or before) chapter 1.
+ *
+ * @param {number|null} currentChapter - reading_progress.chapter_number
+ * @param {Array<number>} completedChapters - chapter_reading_stats chapters with completed = true
+ */
+function finishedThroughChapter(currentChapter, completedChapters = []) {
+  return Math.max(0, (currentChapter || 0) - 1, ...completedChapters);
+}
+
+/**
+ * The last chapter this reader has finished in a story
+ */
+async function getFinishedThroughChapter(storyId, userId) {
+  const [{ data: progress, error }, { data: completed, error: statsError }] = await Promise.all([
+    supabaseAdmin.from('reading_progress').select('chapter_number').eq('story_id', storyId).eq('user_id', userId).maybeSingle(),
+    supabaseAdmin.from('chapter_reading_stats').select('chapter_number')
+      .eq('story_id', storyId).eq('user_id', userId).eq('completed', true)
+  ]);
+
+  if (error || statsError) {
+    throw new Error(`Failed to fetch reading progress: ${(error || statsError).message}`);
+  }
+
+  return finishedThroughChapter(progress?.chapter_number, (completed || []).map(row => row.chapter_number));
+}
+
+module.exports = {
+  finishedThroughChapter,
+  getFinishedThroughChapter
+};
@@ -0,0 +1,215 @@
+/**
+ * RELATIONSHIP GRAPH — Characters and their relationships as of a chapter
+ *
+ * extractCharacterLedger records, per chapter, each character's emotional state and how each of
+ * their relationships shifted (strengthening / deteriorating / complicated / stable).
+ * buildCharacterContinuityBlock only ever sees that as prompt text; here it becomes a graph:
+ *   - nodes are characters, named as the bible names them where a ledger uses a short form
+ *   - edges are directed (how A sees B), with the shift history chapter by chapter and a running
+ *     sentiment score (+1 strengthening, -1 deteriorating) that gives the edge its type
+ *
+ * Readers get the graph up to the last chapter they've finished (reader-progress), without
+ * private thoughts or knowledge. Admins get every chapter, the private fields, and diagnostics
+ * for continuity failures: chapters with no ledger, names only ever seen as someone else's
+ * relationship, and characters the bible doesn't know.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { normalizeName, namesMatch } = require('./reader-codex');
+const { getFinishedThroughChapter } = require('./reader-progress');
+
+const DIRECTION_SENTIMENT = {
+  strengthening: 1,
+  stable: 0,
+  complicated: 0,
+  deteriorating: -1
+};
+
+/**
+ * Validate a ?chapter= query value. Returns an error string, or null when absent or valid.
+ */
+function chapterQueryError(chapter) {
+  if (chapter === undefined) return null;
+  if (!/^\d+$/.test(String(chapter)) || parseInt(chapter, 10) < 1) {
+    return 'chapter must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Edge type from where the relationship stands now: a relationship that just turned complicated
+ * is complicated whatever came before it; otherwise the sign of the running sentiment decides.
+ */
+function edgeType(direction, sentiment) {
+  if (direction === 'complicated') return 'complicated';
+  if (sentiment > 0) return 'ally';
+  if (sentiment < 0) return 'adversary';
+  return 'neutral';
+}
+
+/**
+ * The bible's characters with their roles, for naming and labelling nodes
+ */
+function bibleCharacters(bible) {
+  const characters = bible?.characters || {};
+  return [
+    characters.protagonist?.name && { name: characters.protagonist.name, role: 'protagonist' },
+    characters.antagonist?.name && { name: characters.antagonist.name, role: 'antagonist' },
+    ...(characters.supporting || []).filter(c => c?.name).map(c => ({ name: c.name, role: c.role || 'supporting' }))
+  ].filter(Boolean);
+}
+
+/**
+ * Build the graph from ledger entries.
+ *
+ * @param {object} params
+ * @param {Array} params.ledgerEntries - character_ledger_entries rows ({ chapter_number, ledger_data })
+ * @param {object|null} params.bible - story_bibles row (for canonical names and roles)
+ * @param {number|null} params.throughChapter - Last chapter to include (null for all)
+ * @param {boolean} [params.includePrivate] - Include private thoughts, knowledge and diagnostics (admin)
+ * @param {Array<number>} [params.chapterNumbers] - Written chapters, for the missing-ledger diagnostic
+ * @returns {{ through_chapter, nodes, edges, diagnostics? }}
+ */
+function buildRelationshipGraph({ ledgerEntries, bible, throughChapter = null, includePrivate = false, chapterNumbers = [] }) {
+  const entries = (ledgerEntries || [])
+    .filter(e => e.ledger_data?.characters && (throughChapter === null || e.chapter_number <= throughChapter))
+    .sort((a, b) => a.chapter_number - b.chapter_number);
+  const known = bibleCharacters(bible);
+  const nodes = new Map();
+  const edges = new Map();
+  const tracked = new Set();
+
+  // Node for a ledger name, keyed by the bible character it refers to where there is one
+  const nodeFor = (name, chapterNumber) => {
+    const canonical = known.find(c => namesMatch(c.name, name));
+    const id = normalizeName(canonical?.name || name);
+    if (!id) return null;
+    if (!nodes.has(id)) {
+      nodes.set(id, {
+        id,
+        name: canonical?.name || name,
+        role: canonical?.role || null,
+        first_chapter: chapterNumber,
+        last_chapter: chapterNumber,
+        emotional_state: null,
+        ...(includePrivate && { private_thoughts: null, new_knowledge: [], in_bible: Boolean(canonical) })
+      });
+    }
+    const node = nodes.get(id);
+    node.last_chapter = chapterNumber;
+    return node;
+  };
+
+  for (const entry of entries) {
+    const chapterNumber = entry.chapter_number;
+    for (const [name, state] of Object.entries(entry.ledger_data.characters)) {
+      const node = nodeFor(name, chapterNumber);
+      if (!node) continue;
+      tracked.add(node.id);
+      if (state?.emotional_state) node.emotional_state = state.emotional_state;
+      if (includePrivate) {
+        if (state?.private_thoughts) node.private_thoughts = state.private_thoughts;
+        for (const fact of state?.new_knowledge || []) {
+          node.new_knowledge.push({ chapter_number: chapterNumber, fact });
+        }
+      }
+
+      for (const [otherName, shift] of Object.entries(state?.relationship_shifts || {})) {
+        const other = nodeFor(otherName, chapterNumber);
+        if (!other || other.id === node.id) continue;
+
+        const key = `${node.id}->${other.id}`;
+        if (!edges.has(key)) {
+          edges.set(key, { source: node.id, target: other.id, type: 'neutral', direction: null, sentiment: 0, history: [] });
+        }
+        const edge = edges.get(key);
+        const direction = DIRECTION_SENTIMENT[shift?.direction] !== undefined ? shift.direction : 'stable';
+        edge.sentiment += DIRECTION_SENTIMENT[direction];
+        edge.direction = direction;
+        edge.type = edgeType(direction, edge.sentiment);
+        edge.history.push({
+          chapter_number: chapterNumber,
+          direction,
+          sentiment: edge.sentiment,
+          detail: shift?.detail || null,
+          unresolved: shift?.unresolved || null
+        });
+      }
+    }
+  }
+
+  const graph = {
+    through_chapter: throughChapter ?? (entries.length ? entries[entries.length - 1].chapter_number : 0),
+    nodes: [...nodes.values()].sort((a, b) => a.first_chapter - b.first_chapter || a.name.localeCompare(b.name)),
+    edges: [...edges.values()].sort((a, b) => a.source.localeCompare(b.source) || a.target.localeCompare(b.target))
+  };
+
+  if (includePrivate) {
+    const ledgered = new Set(entries.map(e => e.chapter_number));
+    const targets = new Set(graph.edges.map(e => e.target));
+    graph.diagnostics = {
+      chapters_without_ledger: chapterNumbers
+        .filter(n => (throughChapter === null || n <= throughChapter) && !ledgered.has(n))
+        .sort((a, b) => a - b),
+      // Named in someone's relationships but never tracked themselves — usually a name drifting
+      // between chapters ("Dr. Vale" / "Elena"), which splits one character's continuity in two
+      untracked_targets: graph.nodes.filter(n => targets.has(n.id) && !tracked.has(n.id)).map(n => n.name),
+      characters_outside_bible: graph.nodes.filter(n => !n.in_bible).map(n => n.name)
+    };
+  }
+
+  return graph;
+}
+
+/**
+ * The full graph for a story, through a chapter or to the end (admin)
+ */
+async function getRelationshipGraph(storyId, { throughChapter = null, includePrivate = false } = {}) {
+  let ledgerQuery = supabaseAdmin
+    .from('character_ledger_entries')
+    .select('chapter_number, ledger_data')
+    .eq('story_id', storyId)
+    .order('chapter_number', { ascending: true });
+  if (throughChapter !== null) ledgerQuery = ledgerQuery.lte('chapter_number', throughChapter);
+
+  const [{ data: ledgerEntries, error }, { data: bible }, { data: chapters }] = await Promise.all([
+    ledgerQuery,
+    supabaseAdmin.from('story_bibles').select('characters').eq('story_id', storyId).maybeSingle(),
+    supabaseAdmin.from('chapters').select('chapter_number').eq('story_id', storyId)
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to fetch character ledger: ${error.message}`);
+  }
+
+  return buildRelationshipGraph({
+    ledgerEntries: ledgerEntries || [],
+    bible,
+    throughChapter,
+    includePrivate,
+    chapterNumbers: (chapters || []).map(c => c.chapter_number)
+  });
+}
+
+/**
+ * The graph a reader may see: up to the requested chapter, but never past the last chapter
+ * they've finished. The caller checks story access first.
+ */
+async function getReaderRelationshipGraph(storyId, userId, requestedChapter = null) {
+  const readThrough = await getFinishedThroughChapter(storyId, userId);
+  const throughChapter = requestedChapter === null ? readThrough : Math.min(requestedChapter, readThrough);
+  if (throughChapter === 0) {
+    return { through_chapter: 0, nodes: [], edges: [] };
+  }
+
+  return getRelationshipGraph(storyId, { throughChapter });
+}
+
+module.exports = {
+  DIRECTION_SENTIMENT,
+  chapterQueryError,
+  edgeType,
+  buildRelationshipGraph,
+  getRelationshipGraph,
+  getReaderRelationshipGraph
+};
@@ -0,0 +1,365 @@
+/**
+ * SERIES PLANNER — A multi-book plan that every sequel is written against
+ *
+ * Sequels used to be planned one book at a time from the predecessor's end state. When a
+ * reader asks for the first sequel, the series now gets a plan (series_plans):
+ *
+ *   {
+ *     planned_books: 3,
+ *     series_arc: { overarching_conflict, protagonist_journey, escalation },
+ *     books: [{ book_number: 1, role, focus, ends_with }, ...],      // one per planned book
+ *     threads: [{ id, thread, introduced_in: 1, resolves_in: 3, progression }],
+ *     planned_ending: { resolution, protagonist_end_state, final_image }
+ *   }
+ *
+ * generateSequelBible renders the next book's part of the plan into the sequel_bible prompt
+ * (buildSeriesPlanBlock): its role, the threads it must advance or resolve, and — for the
+ * last book — the planned ending. The sequel route stops offering books past planned_books.
+ *
+ * Series whose sequels predate plans have no plan and stay open-ended.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
+const { renderPrompt } = require('./prompt-registry');
+const { parseStructured, reaskWithLLM } = require('./structured-output');
+const bookPlan = require('./book-plan');
+
+const DEFAULT_PLANNED_BOOKS = 3;
+const MIN_PLANNED_BOOKS = 2;
+const MAX_PLANNED_BOOKS = 7;
+
+/**
+ * Normalize a requested book count. Returns null for anything outside 2-7.
+ */
+function resolvePlannedBooks(plannedBooks) {
+  const count = Number(plannedBooks);
+  if (!Number.isInteger(count) || count < MIN_PLANNED_BOOKS || count > MAX_PLANNED_BOOKS) return null;
+  return count;
+}
+
+/**
+ * Check a generated plan against the book count it was asked for.
+ * Returns an error string or null.
+ */
+function validateSeriesPlan(plan, plannedBooks) {
+  const bookNumbers = (plan.books || []).map(b => b.book_number).sort((a, b) => a - b);
+  const expected = Array.from({ length: plannedBooks }, (_, i) => i + 1);
+  if (bookNumbers.join(',') !== expected.join(',')) {
+    return `Expected one entry for each of books 1-${plannedBooks}, got books ${bookNumbers.join(', ') || 'none'}`;
+  }
+
+  for (const thread of plan.threads || []) {
+    if (thread.resolves_in > plannedBooks || thread.introduced_in > thread.resolves_in) {
+      return `Thread "${thread.id}" runs from book ${thread.introduced_in} to book ${thread.resolves_in}, outside a ${plannedBooks}-book series`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The stored plan for a series, or null
+ */
+async function getSeriesPlan(seriesId) {
+  if (!seriesId) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('series_plans')
+    .select('*')
+    .eq('series_id', seriesId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch series plan: ${error.message}`);
+  }
+
+  return data || null;
+}
+
+/**
+ * Plan a series from its finished first book.
+ *
+ * @param {object} params
+ * @param {string} params.seriesId
+ * @param {string} params.storyId - Book 1
+ * @param {string} params.userId - For cost tracking
+ * @param {number} [params.plannedBooks] - 2-7, default 3
+ * @param {object} [params.endState] - Book 1's extracted context (character_states, key_events, ...)
+ * @param {object} [params.readerPreferences]
+ * @returns {Promise<object>} The stored series_plans row
+ */
+async function generateSeriesPlan({ seriesId, storyId, userId, plannedBooks, endState = {}, readerPreferences = null }) {
+  const bookCount = resolvePlannedBooks(plannedBooks) || DEFAULT_PLANNED_BOOKS;
+
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('title, genre')
+    .eq('id', storyId)
+    .single();
+
+  const { data: series } = await supabaseAdmin
+    .from('series')
+    .select('name')
+    .eq('id', seriesId)
+    .maybeSingle();
+
+  const { data: bible, error: bibleError } = await supabaseAdmin
+    .from('story_bibles')
+    .select('title, characters, central_conflict, stakes, themes, world_rules')
+    .eq('story_id', storyId)
+    .single();
+
+  if (bibleError || !bible) {
+    throw new Error(`Failed to fetch Book 1 bible for series plan: ${bibleError?.message}`);
+  }
+
+  const { text: prompt, versions: promptVersions } = renderPrompt('series_plan', {
+    seriesName: series?.name || story?.title || 'Untitled Series',
+    plannedBooks: bookCount,
+    genre: story?.genre || 'fiction',
+    bookTitle: story?.title || bible.title,
+    bibleJson: JSON.stringify(bible, null, 2),
+    endStateJson: JSON.stringify(endState, null, 2),
+    readerPreferences: readerPreferences ? JSON.stringify(readerPreferences, null, 2) : 'None given'
+  });
+
+  const planCall = {
+    model: 'generation',
+    prompt,
+    maxTokens: 8000,
+    operation: 'generate_series_plan',
+    userId,
+    storyId,
+    storyTitle: story?.title,
+    costMetadata: { seriesId, plannedBooks: bookCount }
+  };
+  const { text } = await callLLM(planCall);
+
+  const { data: plan, schemaVersion } = await parseStructured('series_plan', text, {
+    reask: reaskWithLLM(planCall, text),
+    label: story?.title
+  });
+
+  const planError = validateSeriesPlan(plan, bookCount);
+  if (planError) {
+    throw new Error(`Invalid series plan: ${planError}`);
+  }
+
+  const { data: stored, error } = await supabaseAdmin
+    .from('series_plans')
+    .upsert({
+      series_id: seriesId,
+      planned_books: bookCount,
+      series_arc: plan.series_arc,
+      books: [...plan.books].sort((a, b) => a.book_number - b.book_number),
+      threads: plan.threads,
+      planned_ending: plan.planned_ending,
+      prompt_versions: promptVersions,
+      schema_version: schemaVersion,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'series_id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store series plan: ${error.message}`);
+  }
+
+  console.log(`🗺️ Planned series ${seriesId}: ${bookCount} books, ${plan.threads.length} cross-book threads`);
+  return stored;
+}
+
+/**
+ * The series' plan, generating it first if it doesn't have one
+ */
+async function ensureSeriesPlan(params) {
+  return (await getSeriesPlan(params.seriesId)) || generateSeriesPlan(params);
+}
+
+/**
+ * Whether the plan has room for another book. Unplanned series are open-ended.
+ */
+function isBookPlanned(plan, bookNumber) {
+  return !plan || bookNumber <= plan.planned_books;
+}
+
+/**
+ * Where a thread stands when a given book is being written or read
+ */
+function threadStatus(thread, bookNumber) {
+  if (thread.resolves_in < bookNumber) return 'resolved';
+  if (thread.introduced_in > bookNumber) return 'upcoming';
+  return thread.resolves_in === bookNumber ? 'resolves_now' : 'active';
+}
+
+/**
+ * This book's part of the series plan, for the sequel_bible prompt ('' without a plan)
+ */
+function buildSeriesPlanBlock(plan, bookNumber) {
+  if (!plan) return '';
+
+  const book = (plan.books || []).find(b => b.book_number === bookNumber);
+  const isFinal = bookNumber === plan.planned_books;
+  const threads = (plan.threads || []).map(t => ({ ...t, status: threadStatus(t, bookNumber) }));
+  const resolving = threads.filter(t => t.status === 'resolves_now');
+  const advancing = threads.filter(t => t.status === 'active');
+  const introducing = advancing.filter(t => t.introduced_in === bookNumber);
+  const list = items => items.map(t => `- ${t.thread}${t.progression ? ` (${t.progression})` : ''}`).join('\n');
+
+  let block = `
+═══════════════════════════════════════════════════════
+SERIES PLAN — BOOK ${bookNumber} OF ${plan.planned_books}${isFinal ? ' (FINAL BOOK)' : ''}:
+═══════════════════════════════════════════════════════
+
+SERIES ARC: ${plan.series_arc?.overarching_conflict || ''}
+PROTAGONIST'S JOURNEY: ${plan.series_arc?.protagonist_journey || ''}
+${plan.series_arc?.escalation ? `ESCALATION: ${plan.series_arc.escalation}\n` : ''}`;
+
+  if (book) {
+    block += `
+THIS BOOK'S ROLE: ${book.role}
+THIS BOOK'S FOCUS: ${book.focus}
+${book.ends_with ? `THIS BOOK ENDS WITH: ${book.ends_with}\n` : ''}`;
+  }
+
+  if (resolving.length > 0) block += `\nTHREADS TO RESOLVE IN THIS BOOK:\n${list(resolving)}\n`;
+  if (introducing.length > 0) block += `\nTHREADS TO INTRODUCE IN THIS BOOK:\n${list(introducing)}\n`;
+  const carried = advancing.filter(t => t.introduced_in < bookNumber);
+  if (carried.length > 0) block += `\nTHREADS TO ADVANCE (NOT RESOLVE) IN THIS BOOK:\n${list(carried)}\n`;
+
+  block += isFinal
+    ? `\nTHIS IS THE LAST BOOK. It must deliver the planned ending:
+Resolution: ${plan.planned_ending?.resolution || ''}
+Protagonist ends: ${plan.planned_ending?.protagonist_end_state || ''}
+Final image: ${plan.planned_ending?.final_image || ''}
+`
+    : `\nPLANNED SERIES ENDING (book ${plan.planned_books} — build toward it, do NOT reach it yet): ${plan.planned_ending?.resolution || ''}
+`;
+
+  return block;
+}
+
+/**
+ * Where the reader is in the saga.
+ *
+ * @param {object|null} plan - series_plans row
+ * @param {Array} books - [{ story_id, book_number, title, status, total_chapters, chapters_available, chapters_read }]
+ */
+function summarizeSeriesProgress(plan, books) {
+  const byNumber = new Map(books.map(b => [b.book_number, b]));
+  const lastWritten = books.reduce((max, b) => Math.max(max, b.book_number), 0);
+  const bookCount = plan ? Math.max(plan.planned_books, lastWritten) : lastWritten;
+
+  const entries = Array.from({ length: bookCount }, (_, i) => {
+    const bookNumber = i + 1;
+    const book = byNumber.get(bookNumber);
+    const planned = plan?.books?.find(b => b.book_number === bookNumber) || null;
+
+    let readingStatus = 'planned';
+    if (book) {
+      if (book.total_chapters > 0 && book.chapters_read >= book.total_chapters) readingStatus = 'finished';
+      else if (book.chapters_read > 0) readingStatus = 'reading';
+      else readingStatus = 'not_started';
+    }
+
+    return {
+      book_number: bookNumber,
+      story_id: book?.story_id || null,
+      title: book?.title || null,
+      story_status: book?.status || null,
+      reading_status: readingStatus,
+      chapters_read: book?.chapters_read || 0,
+      chapters_available: book?.chapters_available || 0,
+      total_chapters: book?.total_chapters || null,
+      role: planned?.role || null,
+      focus: planned?.focus || null
+    };
+  });
+
+  const current = entries.find(e => e.story_id && e.reading_status !== 'finished')
+    || [...entries].reverse().find(e => e.story_id)
+    || null;
+  const currentBook = current?.book_number || 1;
+  const nextBookNumber = lastWritten + 1;
+
+  return {
+    planned: !!plan,
+    planned_books: plan?.planned_books || null,
+    books_written: books.length,
+    books_finished: entries.filter(e => e.reading_status === 'finished').length,
+    current_book: currentBook,
+    books: entries,
+    series_arc: plan?.series_arc || null,
+    threads: (plan?.threads || []).map(t => ({ ...t, status: threadStatus(t, currentBook) })),
+    planned_ending: plan && currentBook === plan.planned_books ? plan.planned_ending : null,
+    next_book: {
+      book_number: nextBookNumber,
+      planned: isBookPlanned(plan, nextBookNumber),
+      role: plan?.books?.find(b => b.book_number === nextBookNumber)?.role || null
+    },
+    complete: !!plan && lastWritten >= plan.planned_books && entries.every(e => e.reading_status === 'finished')
+  };
+}
+
+/**
+ * The reader's position in a series: every book (written or planned) with reading progress
+ */
+async function getSeriesProgress(seriesId, userId) {
+  const plan = await getSeriesPlan(seriesId);
+
+  const { data: stories, error } = await supabaseAdmin
+    .from('stories')
+    .select('id, title, book_number, status')
+    .eq('series_id', seriesId)
+    .eq('user_id', userId)
+    .order('book_number', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch series books: ${error.message}`);
+  }
+
+  const storyIds = (stories || []).map(s => s.id);
+  const [{ data: progress }, { data: chapters }] = await Promise.all([
+    supabaseAdmin
+      .from('reading_progress')
+      .select('story_id, chapter_number')
+      .eq('user_id', userId)
+      .in('story_id', storyIds),
+    supabaseAdmin
+      .from('chapters')
+      .select('story_id, chapter_number')
+      .in('story_id', storyIds)
+  ]);
+
+  const books = [];
+  for (const story of stories || []) {
+    const plannedShape = await bookPlan.getBookPlan(story.id);
+    books.push({
+      story_id: story.id,
+      book_number: story.book_number || 1,
+      title: story.title,
+      status: story.status,
+      total_chapters: plannedShape.total_chapters,
+      chapters_available: new Set((chapters || []).filter(c => c.story_id === story.id).map(c => c.chapter_number)).size,
+      chapters_read: (progress || []).find(p => p.story_id === story.id)?.chapter_number || 0
+    });
+  }
+
+  return summarizeSeriesProgress(plan, books);
+}
+
+module.exports = {
+  DEFAULT_PLANNED_BOOKS,
+  MIN_PLANNED_BOOKS,
+  MAX_PLANNED_BOOKS,
+  resolvePlannedBooks,
+  validateSeriesPlan,
+  getSeriesPlan,
+  generateSeriesPlan,
+  ensureSeriesPlan,
+  isBookPlanned,
+  buildSeriesPlanBlock,
+  summarizeSeriesProgress,
+  getSeriesProgress
+};
@@ -0,0 +1,332 @@
+/**
+ * SPIN-OFFS — A new story in the same world, centred on a secondary character
+ *
+ * Readers often fall for a side character. The character ledger already follows every major
+ * character chapter by chapter, so a reader can pick one and get a story of their own:
+ *
+ *   1. collectSpinOffCandidates — the original's supporting cast and antagonist, plus anyone the
+ *      ledger tracked, with how many chapters they appeared in
+ *   2. createSpinOff — renders spin_off_bible from the original bible, world codex and the
+ *      character's ledger arc; the result is a story_bible with that character as protagonist
+ *   3. The new story shares the original's world: its world codex is copied, stories in the same
+ *      world share a world_id, and spin_off_of_story_id links back to the original
+ *
+ * Continuity then draws on both books: getParentBookFinalLedger feeds the original's final
+ * character and world ledgers into every spin-off chapter, and chapter validation checks
+ * against the entities the original established.
+ *
+ * Spin-offs are not books in the original's series — they have no series_id or book_number.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
+const { renderPrompt } = require('./prompt-registry');
+const { parseStructured, reaskWithLLM } = require('./structured-output');
+const bookPlan = require('./book-plan');
+
+/**
+ * Look up a character in a ledger entry's characters map, ignoring case
+ */
+function ledgerCharacter(ledgerData, name) {
+  const characters = ledgerData?.characters || {};
+  const key = Object.keys(characters).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? characters[key] : null;
+}
+
+/**
+ * Characters a spin-off can be centred on: the original's supporting cast and antagonist, and
+ * anyone else the character ledger tracked. The original protagonist is excluded.
+ *
+ * @param {object} bible - The original story's bible content
+ * @param {Array} ledgerEntries - [{ chapter_number, ledger_data }] in chapter order
+ * @returns {Array} [{ name, role, description, chapters_present, latest_emotional_state }],
+ *   most-present first
+ */
+function collectSpinOffCandidates(bible, ledgerEntries = []) {
+  const protagonist = (bible?.characters?.protagonist?.name || '').toLowerCase();
+  const candidates = new Map();
+
+  const add = (name, role, description) => {
+    if (!name || name.toLowerCase() === protagonist) return;
+    const key = name.toLowerCase();
+    if (!candidates.has(key)) {
+      candidates.set(key, { name, role, description: description || null, chapters_present: 0, latest_emotional_state: null });
+    }
+  };
+
+  for (const sc of bible?.characters?.supporting || []) {
+    add(sc.name, sc.role || 'supporting', sc.personality);
+  }
+  const antagonist = bible?.characters?.antagonist;
+  if (antagonist?.name) add(antagonist.name, 'antagonist', antagonist.motivation);
+
+  for (const entry of ledgerEntries) {
+    for (const name of Object.keys(entry.ledger_data?.characters || {})) {
+      add(name, null, null);
+      const candidate = candidates.get(name.toLowerCase());
+      if (!candidate) continue;
+      candidate.chapters_present += 1;
+      candidate.latest_emotional_state = entry.ledger_data.characters[name]?.emotional_state || candidate.latest_emotional_state;
+    }
+  }
+
+  return [...candidates.values()].sort((a, b) => b.chapters_present - a.chapters_present);
+}
+
+/**
+ * Find a candidate by name, ignoring case and surrounding whitespace
+ */
+function findSpinOffCandidate(candidates, characterName) {
+  const name = String(characterName || '').trim().toLowerCase();
+  if (!name) return null;
+  return candidates.find(c => c.name.toLowerCase() === name) || null;
+}
+
+/**
+ * A character's arc through the original, chapter by chapter, from the character ledger
+ *
+ * @returns {Array} [{ chapter, emotional_state, chapter_experience, new_knowledge,
+ *   private_thoughts, relationship_shifts }] for the chapters they appear in
+ */
+function buildCharacterArc(name, ledgerEntries = []) {
+  const arc = [];
+  for (const entry of ledgerEntries) {
+    const state = ledgerCharacter(entry.ledger_data, name);
+    if (!state) continue;
+    arc.push({
+      chapter: entry.chapter_number,
+      emotional_state: state.emotional_state || null,
+      chapter_experience: state.chapter_experience || null,
+      new_knowledge: state.new_knowledge || [],
+      private_thoughts: state.private_thoughts || null,
+      relationship_shifts: state.relationship_shifts || {}
+    });
+  }
+  return arc;
+}
+
+/**
+ * Whether the generated protagonist is the chosen character (the model may add a surname)
+ */
+function isSameCharacter(generatedName, characterName) {
+  const a = String(generatedName || '').trim().toLowerCase();
+  const b = String(characterName || '').trim().toLowerCase();
+  if (!a || !b) return false;
+  return a === b || a.split(/\s+/).includes(b) || b.split(/\s+/).includes(a);
+}
+
+/**
+ * The original story, its bible content and its character ledger
+ */
+async function fetchOriginal(storyId) {
+  const { data: story, error: storyError } = await supabaseAdmin
+    .from('stories')
+    .select('id, user_id, title, genre, premise_id, premise_tier, book_length, world_id')
+    .eq('id', storyId)
+    .single();
+
+  if (storyError || !story) {
+    throw new Error(`Failed to fetch original story: ${storyError?.message}`);
+  }
+
+  const { data: bible, error: bibleError } = await supabaseAdmin
+    .from('story_bibles')
+    .select('content')
+    .eq('story_id', storyId)
+    .single();
+
+  if (bibleError || !bible) {
+    throw new Error(`Failed to fetch original bible: ${bibleError?.message}`);
+  }
+
+  const { data: ledgerEntries } = await supabaseAdmin
+    .from('character_ledger_entries')
+    .select('chapter_number, ledger_data')
+    .eq('story_id', storyId)
+    .order('chapter_number', { ascending: true });
+
+  return { story, bible: bible.content, ledgerEntries: ledgerEntries || [] };
+}
+
+/**
+ * Characters the reader can pick for a spin-off of this story
+ */
+async function listSpinOffCandidates(storyId) {
+  const { bible, ledgerEntries } = await fetchOriginal(storyId);
+  return collectSpinOffCandidates(bible, ledgerEntries);
+}
+
+/**
+ * Create a spin-off story centred on one of the original's secondary characters: generate its
+ * bible, create the story linked to the original's world and copy the world codex across.
+ * The caller generates the arc and queues the first chapters, as for a sequel.
+ *
+ * @param {string} storyId - The original story
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {object} params.candidate - From listSpinOffCandidates
+ * @param {string} [params.notes] - What the reader hopes the spin-off explores
+ * @returns {Promise<{story: object, bible: object}>}
+ */
+async function createSpinOff(storyId, { userId, candidate, notes = null }) {
+  const { story: original, bible, ledgerEntries } = await fetchOriginal(storyId);
+  const characterName = candidate.name;
+
+  const { data: codex } = await supabaseAdmin
+    .from('world_codex')
+    .select('genre, codex_data, token_count, schema_version')
+    .eq('story_id', storyId)
+    .maybeSingle();
+
+  const { data: finalWorldEntry } = await supabaseAdmin
+    .from('world_state_ledger')
+    .select('chapter_number, ledger_data')
+    .eq('story_id', storyId)
+    .order('chapter_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  // Reuse the original's reader age range (same lookup as sequels)
+  const { mapAgeRange } = require('./generation');
+  let ageRange = mapAgeRange(null);
+  if (original.premise_id) {
+    const { data: premiseRecord } = await supabaseAdmin
+      .from('story_premises')
+      .select('preferences_used')
+      .eq('id', original.premise_id)
+      .maybeSingle();
+    ageRange = mapAgeRange(premiseRecord?.preferences_used?.ageRange);
+  }
+
+  const finalLedger = ledgerEntries[ledgerEntries.length - 1]?.ledger_data || null;
+  const bookLength = original.book_length || bookPlan.DEFAULT_BOOK_LENGTH;
+  const profile = [...(bible.characters?.supporting || []), bible.characters?.antagonist]
+    .find(c => c?.name && c.name.toLowerCase() === characterName.toLowerCase()) || { name: characterName };
+
+  const { text: prompt, versions: promptVersions } = renderPrompt('spin_off_bible', {
+    characterName,
+    originalTitle: original.title,
+    genre: original.genre || 'fiction',
+    ageRange,
+    totalChapters: bookPlan.chapterCountForLength(bookLength),
+    originalBibleJson: JSON.stringify(bible, null, 2),
+    codexJson: codex ? JSON.stringify(codex.codex_data, null, 2) : 'No world codex — use the bible\'s world_rules.',
+    characterProfileJson: JSON.stringify(profile, null, 2),
+    characterArcJson: JSON.stringify(buildCharacterArc(characterName, ledgerEntries), null, 2),
+    endStateJson: JSON.stringify({
+      characters: finalLedger?.characters || {},
+      world: finalWorldEntry?.ledger_data || null
+    }, null, 2),
+    readerNotes: notes || 'None given'
+  });
+
+  console.log(`🌱 Generating spin-off of "${original.title}" centred on ${characterName}...`);
+
+  const bibleCall = {
+    model: 'generation',
+    prompt,
+    maxTokens: 8000,
+    operation: 'generate_spin_off_bible',
+    userId,
+    storyId,
+    storyTitle: original.title,
+    costMetadata: { originalStoryId: storyId, character: characterName }
+  };
+  const { text } = await callLLM(bibleCall);
+
+  const { data: spinOffBible, schemaVersion } = await parseStructured('story_bible', text, {
+    reask: reaskWithLLM(bibleCall, text),
+    label: original.title
+  });
+
+  if (!isSameCharacter(spinOffBible.characters.protagonist.name, characterName)) {
+    throw new Error(`Spin-off bible made ${spinOffBible.characters.protagonist.name} the protagonist instead of ${characterName}`);
+  }
+
+  // Stories in the same world share the root story's id as world_id
+  const worldId = original.world_id || original.id;
+  if (!original.world_id) {
+    await supabaseAdmin
+      .from('stories')
+      .update({ world_id: worldId })
+      .eq('id', original.id);
+  }
+
+  const { data: spinOff, error: storyError } = await supabaseAdmin
+    .from('stories')
+    .insert({
+      user_id: userId,
+      title: spinOffBible.title,
+      genre: original.genre || null,
+      premise_tier: original.premise_tier || null,
+      book_length: bookLength,
+      spin_off_of_story_id: original.id,
+      spin_off_character: characterName,
+      world_id: worldId,
+      status: 'generating',
+      generation_progress: {
+        bible_complete: true,
+        arc_complete: false,
+        chapters_generated: 0,
+        current_step: 'generating_arc'
+      }
+    })
+    .select()
+    .single();
+
+  if (storyError) {
+    throw new Error(`Failed to create spin-off story: ${storyError.message}`);
+  }
+
+  const { error: bibleError } = await supabaseAdmin
+    .from('story_bibles')
+    .insert({
+      user_id: userId,
+      story_id: spinOff.id,
+      content: spinOffBible,
+      title: spinOffBible.title,
+      world_rules: spinOffBible.world_rules,
+      characters: spinOffBible.characters,
+      central_conflict: spinOffBible.central_conflict,
+      stakes: spinOffBible.stakes,
+      themes: spinOffBible.themes,
+      key_locations: spinOffBible.key_locations,
+      timeline: spinOffBible.timeline,
+      prompt_versions: promptVersions,
+      schema_version: schemaVersion
+    });
+
+  if (bibleError) {
+    throw new Error(`Failed to store spin-off bible: ${bibleError.message}`);
+  }
+
+  // Same world, same rulebook — chapter generation skips codex generation when one exists
+  if (codex) {
+    const { error: codexError } = await supabaseAdmin
+      .from('world_codex')
+      .insert({
+        story_id: spinOff.id,
+        genre: codex.genre,
+        codex_data: codex.codex_data,
+        token_count: codex.token_count,
+        schema_version: codex.schema_version
+      });
+
+    if (codexError) {
+      // Generation falls back to building a codex from the spin-off bible
+      console.error(`⚠️ Failed to copy world codex to spin-off ${spinOff.id}: ${codexError.message}`);
+    }
+  }
+
+  console.log(`✅ Created spin-off "${spinOffBible.title}" (${spinOff.id}) centred on ${characterName}`);
+  return { story: spinOff, bible: spinOffBible };
+}
+
+module.exports = {
+  collectSpinOffCandidates,
+  findSpinOffCandidate,
+  buildCharacterArc,
+  isSameCharacter,
+  listSpinOffCandidates,
+  createSpinOff
+};
@@ -0,0 +1,384 @@
+/**
+ * STORY BRANCHES — Choose-your-path choice points at feedback checkpoints
+ *
+ * For stories with choose_your_path on, each checkpoint offers 2-3 divergent continuations
+ * of the arc from the next batch to the end of the book:
+ *   1. proposeBranches — the arc editor writes the alternatives (once per checkpoint, cached)
+ *   2. chooseBranch — the reader's pick replaces the arc's remaining outlines, so generateBatch
+ *      and enrichArc follow it; the other branches are marked 'unchosen'
+ *   3. forkBranch — an unchosen branch becomes its own story (an alternate timeline that shares
+ *      every chapter up to the checkpoint), via story-fork.js
+ *
+ * The next batch doesn't start until a branch is chosen — see triggerCheckpointGeneration
+ * (routes/feedback.js).
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
+const { stripMarkdownCodeBlocks } = require('./structured-output');
+const { renderPrompt } = require('./prompt-registry');
+const bookPlan = require('./book-plan');
+
+const MIN_BRANCHES = 2;
+const MAX_BRANCHES = 3;
+
+// Outline fields a branch may replace (matches generateArcOutline's chapter shape)
+const OUTLINE_FIELDS = [
+  'title', 'events_summary', 'character_focus', 'tension_level', 'emotional_arc',
+  'key_dialogue_moment', 'chapter_hook', 'key_revelations'
+];
+
+/**
+ * Validate and normalize the model's proposal. Every branch must outline each chapter from
+ * startChapter to totalChapters exactly once.
+ *
+ * @returns {Array<{ title: string, summary: string, chapters: object[] }>}
+ * @throws if fewer than MIN_BRANCHES usable branches were proposed
+ */
+function normalizeBranchProposal(parsed, startChapter, totalChapters) {
+  const expected = totalChapters - startChapter + 1;
+
+  const branches = (Array.isArray(parsed?.branches) ? parsed.branches : [])
+    .filter(b => b && typeof b.title === 'string' && b.title.trim() && typeof b.summary === 'string' && Array.isArray(b.chapters))
+    .map(b => {
+      const byNumber = new Map();
+      for (const ch of b.chapters) {
+        const n = parseInt(ch?.chapter_number, 10);
+        if (n >= startChapter && n <= totalChapters && ch.events_summary) {
+          const outline = { chapter_number: n };
+          for (const field of OUTLINE_FIELDS) {
+            if (ch[field] !== undefined) outline[field] = ch[field];
+          }
+          byNumber.set(n, outline);
+        }
+      }
+      return {
+        title: b.title.trim(),
+        summary: b.summary.trim(),
+        chapters: [...byNumber.values()].sort((a, c) => a.chapter_number - c.chapter_number)
+      };
+    })
+    .filter(b => b.chapters.length === expected)
+    .slice(0, MAX_BRANCHES);
+
+  if (branches.length < MIN_BRANCHES) {
+    throw new Error(`Expected at least ${MIN_BRANCHES} complete branches for chapters ${startChapter}-${totalChapters}, got ${branches.length}`);
+  }
+
+  return branches;
+}
+
+/**
+ * Replace the arc's outlines with a branch's from its first chapter on. Outline fields the
+ * branch doesn't set (word count targets etc.) are kept; enrichment notes are dropped because
+ * they were written for the path not taken.
+ */
+function applyBranchToArc(arcChapters, branchChapters) {
+  const byNumber = new Map(branchChapters.map(ch => [ch.chapter_number, ch]));
+
+  return arcChapters.map(ch => {
+    const branchOutline = byNumber.get(ch.chapter_number);
+    if (!branchOutline) return ch;
+
+    const merged = { ...ch, ...branchOutline };
+    delete merged.enrichment_notes;
+    return merged;
+  });
+}
+
+async function getBranches(storyId, checkpoint) {
+  const { data, error } = await supabaseAdmin
+    .from('story_branches')
+    .select('*')
+    .eq('story_id', storyId)
+    .eq('checkpoint', checkpoint)
+    .order('branch_index', { ascending: true });
+
+  if (error) throw new Error(`Failed to load branches: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * The branch the reader chose at a checkpoint, if any
+ */
+async function getChosenBranch(storyId, checkpoint) {
+  const { data } = await supabaseAdmin
+    .from('story_branches')
+    .select('*')
+    .eq('story_id', storyId)
+    .eq('checkpoint', checkpoint)
+    .eq('status', 'chosen')
+    .maybeSingle();
+
+  return data || null;
+}
+
+/**
+ * Propose divergent continuations at a checkpoint. Returns the stored branches if they
+ * were already proposed.
+ *
+ * @param {string} storyId
+ * @param {string} checkpoint - Normalized checkpoint name (e.g. 'chapter_5')
+ * @param {string} userId - For cost tracking
+ * @returns {Promise<object[]>} story_branches rows, in offer order
+ */
+async function proposeBranches(storyId, checkpoint, userId) {
+  const existing = await getBranches(storyId, checkpoint);
+  if (existing.length > 0) return existing;
+
+  const plan = await bookPlan.getBookPlan(storyId);
+  const batch = bookPlan.batchForCheckpoint(plan, checkpoint);
+  if (!batch) {
+    throw new Error(`${checkpoint} is not a checkpoint in this book`);
+  }
+  const { startChapter } = batch;
+  const totalChapters = plan.total_chapters;
+
+  const [{ data: story }, { data: bible }, { data: arc }, { data: written }] = await Promise.all([
+    supabaseAdmin.from('stories').select('title, genre').eq('id', storyId).single(),
+    supabaseAdmin.from('story_bibles').select('*').eq('story_id', storyId)
+      .order('created_at', { ascending: false }).limit(1).maybeSingle(),
+    supabaseAdmin.from('story_arcs').select('chapters').eq('story_id', storyId)
+      .order('created_at', { ascending: false }).limit(1).maybeSingle(),
+    supabaseAdmin.from('chapters').select('chapter_number, title, metadata').eq('story_id', storyId)
+      .lt('chapter_number', startChapter).order('chapter_number', { ascending: true })
+  ]);
+
+  if (!bible || !arc) {
+    throw new Error(`Story ${storyId} has no bible or arc to branch from`);
+  }
+
+  const storyTitle = story?.title || 'Untitled';
+
+  const storySoFar = (written || []).map(ch =>
+    `Chapter ${ch.chapter_number}: ${ch.title}
+Key events: ${(ch.metadata?.key_events || []).join('; ') || 'N/A'}
+Ends on: ${ch.metadata?.closing_hook || 'N/A'}`
+  ).join('\n\n');
+
+  const plannedOutlines = arc.chapters
+    .filter(ch => ch.chapter_number >= startChapter)
+    .map(ch => `Chapter ${ch.chapter_number}: ${ch.title}
+Events planned: ${ch.events_summary}
+Character focus: ${ch.character_focus}
+Tension level: ${ch.tension_level}`)
+    .join('\n\n');
+
+  const { text: prompt } = renderPrompt('branch_proposal', {
+    genre: story?.genre || bible.genre || 'general fiction',
+    finishedChapter: startChapter - 1,
+    startChapter,
+    totalChapters,
+    branchCount: MAX_BRANCHES,
+    bible,
+    storySoFar,
+    plannedOutlines
+  });
+
+  const { text } = await callLLM({
+    model: 'sonnet',
+    prompt,
+    maxTokens: Math.max(8000, (totalChapters - startChapter + 1) * MAX_BRANCHES * 400),
+    operation: 'propose_branches',
+    userId,
+    storyId,
+    storyTitle,
+    costMetadata: { checkpoint }
+  });
+
+  const branches = normalizeBranchProposal(JSON.parse(stripMarkdownCodeBlocks(text)), startChapter, totalChapters);
+
+  const { data: stored, error } = await supabaseAdmin
+    .from('story_branches')
+    .insert(branches.map((b, i) => ({
+      story_id: storyId,
+      checkpoint,
+      branch_index: i + 1,
+      title: b.title,
+      summary: b.summary,
+      chapters: b.chapters
+    })))
+    .select('*');
+
+  if (error) {
+    // A concurrent request proposed first — theirs stands
+    const raced = await getBranches(storyId, checkpoint);
+    if (raced.length > 0) return raced;
+    throw new Error(`Failed to store branches: ${error.message}`);
+  }
+
+  console.log(`🔀 [${storyTitle}] ${branches.length} paths proposed at ${checkpoint}: ${branches.map(b => `"${b.title}"`).join(', ')}`);
+
+  return stored.sort((a, b) => a.branch_index - b.branch_index);
+}
+
+/**
+ * Choose a branch: rewrite the arc's remaining outlines and mark the others unchosen, atomically
+ * (choose_story_branch). Choosing the already-chosen branch again is a no-op.
+ *
+ * @returns {Promise<object>} The chosen story_branches row
+ * @throws if the branch doesn't exist or another branch was already chosen
+ */
+async function chooseBranch(storyId, checkpoint, branchId) {
+  const branches = await getBranches(storyId, checkpoint);
+  const branch = branches.find(b => b.id === branchId);
+
+  if (!branch) {
+    throw new Error('Branch not found');
+  }
+  if (branch.status === 'chosen') {
+    return branch;
+  }
+  if (branches.some(b => b.status === 'chosen')) {
+    throw new Error(`A path was already chosen at ${checkpoint}`);
+  }
+
+  const { data: arc, error: arcError } = await supabaseAdmin
+    .from('story_arcs')
+    .select('id, chapters, outline')
+    .eq('story_id', storyId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (arcError || !arc) {
+    throw new Error(`Arc not found: ${arcError?.message || 'No arc returned'}`);
+  }
+
+  const chosenAt = new Date().toISOString();
+  const chapters = applyBranchToArc(arc.chapters, branch.chapters);
+
+  // The arc rewrite and the status changes happen in one transaction, which re-checks
+  // that no other branch was chosen in the meantime
+  const { data: chosen, error: chooseError } = await supabaseAdmin.rpc('choose_story_branch', {
+    p_branch_id: branch.id,
+    p_arc_id: arc.id,
+    p_chapters: chapters,
+    p_outline: {
+      ...(arc.outline || {}),
+      chapters,
+      chosen_branches: [
+        ...(arc.outline?.chosen_branches || []),
+        { checkpoint, branch_id: branch.id, title: branch.title, summary: branch.summary, chosen_at: chosenAt }
+      ]
+    },
+    p_chosen_at: chosenAt
+  });
+
+  if (chooseError) {
+    if (chooseError.message?.startsWith('A path was already chosen')) {
+      throw new Error(chooseError.message);
+    }
+    throw new Error(`Failed to choose branch: ${chooseError.message}`);
+  }
+
+  console.log(`🔀 Story ${storyId}: reader chose "${branch.title}" at ${checkpoint}`);
+
+  return chosen;
+}
+
+/**
+ * Explore a path not taken: fork the story at the checkpoint with the unchosen branch's
+ * outlines and queue the fork's next batch. Forking the same branch twice returns the
+ * existing fork.
+ *
+ * @returns {Promise<{ story: object, existing: boolean }>} The forked story
+ */
+async function forkBranch(storyId, branchId, userId) {
+  const { forkStory } = require('./story-fork');
+
+  const { data: branch } = await supabaseAdmin
+    .from('story_branches')
+    .select('*')
+    .eq('id', branchId)
+    .eq('story_id', storyId)
+    .maybeSingle();
+
+  if (!branch) {
+    throw new Error('Branch not found');
+  }
+  if (branch.status !== 'unchosen') {
+    throw new Error('Only a path you didn\'t choose can be explored as a fork');
+  }
+
+  if (branch.forked_story_id) {
+    const { data: existingFork } = await supabaseAdmin
+      .from('stories')
+      .select('*')
+      .eq('id', branch.forked_story_id)
+      .maybeSingle();
+    if (existingFork) return { story: existingFork, existing: true };
+  }
+
+  const plan = await bookPlan.getBookPlan(storyId);
+  const { startChapter, endChapter } = bookPlan.batchForCheckpoint(plan, branch.checkpoint);
+
+  const { data: source } = await supabaseAdmin
+    .from('stories')
+    .select('title')
+    .eq('id', storyId)
+    .single();
+
+  const { data: arc } = await supabaseAdmin
+    .from('story_arcs')
+    .select('chapters, outline')
+    .eq('story_id', storyId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  // The fork's history: the choices made before this checkpoint, then this branch
+  const checkpoints = bookPlan.checkpointNames(plan);
+  const earlierChoices = (arc?.outline?.chosen_branches || [])
+    .filter(c => checkpoints.indexOf(c.checkpoint) < checkpoints.indexOf(branch.checkpoint));
+
+  const fork = await forkStory(storyId, {
+    userId,
+    throughChapter: startChapter - 1,
+    arcChapters: applyBranchToArc(arc?.chapters || [], branch.chapters),
+    arcOutlineExtras: {
+      chosen_branches: [
+        ...earlierChoices,
+        { checkpoint: branch.checkpoint, branch_id: branch.id, title: branch.title, summary: branch.summary, chosen_at: new Date().toISOString() }
+      ]
+    },
+    storyOverrides: { title: `${source?.title || 'Untitled'}: ${branch.title}` },
+    copyFeedback: true
+  });
+
+  await supabaseAdmin
+    .from('story_branches')
+    .update({ forked_story_id: fork.id })
+    .eq('id', branch.id);
+
+  // The fork picks up exactly where the original stood at this checkpoint
+  await supabaseAdmin
+    .from('stories')
+    .update({
+      generation_progress: {
+        ...fork.generation_progress,
+        current_step: `generating_chapter_${startChapter}`,
+        batch_start: startChapter,
+        batch_end: endChapter,
+        last_updated: new Date().toISOString()
+      }
+    })
+    .eq('id', fork.id);
+
+  const { enqueueCheckpointBatch } = require('./generation-jobs');
+  await enqueueCheckpointBatch(fork.id, userId, { checkpoint: branch.checkpoint, startChapter, endChapter });
+
+  return { story: fork, existing: false };
+}
+
+module.exports = {
+  MIN_BRANCHES,
+  MAX_BRANCHES,
+  normalizeBranchProposal,
+  applyBranchToArc,
+  getBranches,
+  getChosenBranch,
+  proposeBranches,
+  chooseBranch,
+  forkBranch
+};
@@ -0,0 +1,197 @@
+/**
+ * STORY FORK — Copy a story up to a chapter as a new, independent story
+ *
+ * The fork gets its own copies of everything generation reads for continuity:
+ *   - story row (new id, lineage in forked_from_story_id / forked_from_chapter)
+ *   - latest story bible and world codex
+ *   - latest arc (optionally with replacement outlines, e.g. an unchosen branch)
+ *   - chapters 1..throughChapter, with their character and world ledger entries
+ *   - optionally the reader's checkpoint feedback up to that chapter
+ *
+ * Chapter revision history is not copied — the fork starts from the current text.
+ * Nothing is generated here; callers queue whatever comes next.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+
+// Story columns that describe one particular run of generation, not the story itself
+const STORY_RESET_COLUMNS = [
+  'id', 'created_at', 'updated_at', 'status', 'generation_progress', 'error_message',
+  'current_chapter_number', 'total_chapters_generated',
+  'content_classification_status', 'forked_from_story_id', 'forked_from_chapter'
+];
+
+/**
+ * Strip ids so copied rows get fresh primary keys, and point them at the fork
+ */
+function copyRows(rows, overrides) {
+  return (rows || []).map(row => {
+    const copy = { ...row, ...overrides };
+    delete copy.id;
+    return copy;
+  });
+}
+
+/**
+ * Checkpoint names are 'chapter_N' — the chapter the feedback was given after
+ */
+function checkpointChapter(checkpoint) {
+  const match = /^chapter_(\d+)$/.exec(checkpoint || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+async function insertCopies(table, rows) {
+  if (rows.length === 0) return;
+  const { error } = await supabaseAdmin.from(table).insert(rows);
+  if (error) throw new Error(`Failed to copy ${table}: ${error.message}`);
+}
+
+/**
+ * Fork a story after a given chapter.
+ *
+ * @param {string} sourceStoryId
+ * @param {object} options
+ * @param {string} options.userId - Owner of the fork
+ * @param {number} options.throughChapter - Last chapter copied into the fork
+ * @param {object[]} [options.arcChapters] - Replacement arc chapter outlines (default: the source arc's)
+ * @param {object} [options.arcOutlineExtras] - Merged into the copied arc's outline JSON
+ * @param {object} [options.storyOverrides] - Merged into the new story row (title, series_id, ...)
+ * @param {boolean} [options.copyFeedback=false] - Copy the owner's checkpoint feedback up to throughChapter
+ * @returns {Promise<object>} The new story row
+ */
+async function forkStory(sourceStoryId, {
+  userId,
+  throughChapter,
+  arcChapters = null,
+  arcOutlineExtras = {},
+  storyOverrides = {},
+  copyFeedback = false
+}) {
+  const { data: source, error: sourceError } = await supabaseAdmin
+    .from('stories')
+    .select('*')
+    .eq('id', sourceStoryId)
+    .single();
+
+  if (sourceError || !source) {
+    throw new Error(`Story not found: ${sourceError?.message || sourceStoryId}`);
+  }
+
+  const sourceTitle = source.title || 'Untitled';
+
+  const [{ data: bible }, { data: arc }, { data: codex }] = await Promise.all([
+    supabaseAdmin.from('story_bibles').select('*').eq('story_id', sourceStoryId)
+      .order('created_at', { ascending: false }).limit(1).maybeSingle(),
+    supabaseAdmin.from('story_arcs').select('*').eq('story_id', sourceStoryId)
+      .order('created_at', { ascending: false }).limit(1).maybeSingle(),
+    supabaseAdmin.from('world_codex').select('*').eq('story_id', sourceStoryId).maybeSingle()
+  ]);
+
+  if (!bible || !arc) {
+    throw new Error(`Cannot fork "${sourceTitle}": it has no bible or arc yet`);
+  }
+
+  // 1. Story row
+  const storyRow = { ...source };
+  for (const column of STORY_RESET_COLUMNS) delete storyRow[column];
+
+  const { data: fork, error: forkError } = await supabaseAdmin
+    .from('stories')
+    .insert({
+      ...storyRow,
+      user_id: userId,
+      bible_id: null,
+      status: 'active',
+      forked_from_story_id: sourceStoryId,
+      forked_from_chapter: throughChapter,
+      generation_progress: {
+        bible_complete: true,
+        arc_complete: true,
+        chapters_generated: throughChapter,
+        current_step: 'fork_created',
+        last_updated: new Date().toISOString()
+      },
+      ...storyOverrides,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (forkError) {
+    throw new Error(`Failed to create fork of "${sourceTitle}": ${forkError.message}`);
+  }
+
+  try {
+    // 2. Bible + codex
+    const [bibleCopy] = copyRows([bible], { story_id: fork.id, user_id: userId });
+    const { data: newBible, error: bibleError } = await supabaseAdmin
+      .from('story_bibles')
+      .insert(bibleCopy)
+      .select('id')
+      .single();
+    if (bibleError) throw new Error(`Failed to copy story_bibles: ${bibleError.message}`);
+
+    await supabaseAdmin.from('stories').update({ bible_id: newBible.id }).eq('id', fork.id);
+
+    if (codex) {
+      await insertCopies('world_codex', copyRows([codex], { story_id: fork.id }));
+    }
+
+    // 3. Arc
+    const chapters = arcChapters || arc.chapters;
+    const [arcCopy] = copyRows([arc], {
+      story_id: fork.id,
+      bible_id: newBible.id,
+      chapters,
+      outline: { ...(arc.outline || {}), ...arcOutlineExtras, chapters }
+    });
+    const { data: newArc, error: arcError } = await supabaseAdmin
+      .from('story_arcs')
+      .insert(arcCopy)
+      .select('id')
+      .single();
+    if (arcError) throw new Error(`Failed to copy story_arcs: ${arcError.message}`);
+
+    // 4. Chapters and their ledgers
+    const [{ data: sourceChapters }, { data: characterLedger }, { data: worldLedger }] = await Promise.all([
+      supabaseAdmin.from('chapters').select('*').eq('story_id', sourceStoryId)
+        .lte('chapter_number', throughChapter).order('chapter_number', { ascending: true }),
+      supabaseAdmin.from('character_ledger_entries').select('*').eq('story_id', sourceStoryId)
+        .lte('chapter_number', throughChapter),
+      supabaseAdmin.from('world_state_ledger').select('*').eq('story_id', sourceStoryId)
+        .lte('chapter_number', throughChapter)
+    ]);
+
+    await insertCopies('chapters', copyRows(sourceChapters, { story_id: fork.id, arc_id: newArc.id, current_revision: 0 }));
+    await insertCopies('character_ledger_entries', copyRows(characterLedger, { story_id: fork.id }));
+    await insertCopies('world_state_ledger', copyRows(worldLedger, { story_id: fork.id }));
+
+    // 5. Feedback that shaped the copied chapters
+    if (copyFeedback) {
+      const { data: feedback } = await supabaseAdmin
+        .from('story_feedback')
+        .select('*')
+        .eq('story_id', sourceStoryId)
+        .eq('user_id', userId);
+
+      const earlier = (feedback || []).filter(f => {
+        const chapter = checkpointChapter(f.checkpoint);
+        return chapter !== null && chapter <= throughChapter;
+      });
+      await insertCopies('story_feedback', copyRows(earlier, { story_id: fork.id }));
+    }
+  } catch (error) {
+    // Don't leave a half-copied story in the reader's library (children cascade)
+    await supabaseAdmin.from('stories').delete().eq('id', fork.id);
+    throw error;
+  }
+
+  console.log(`🍴 [${sourceTitle}] Forked after chapter ${throughChapter} → story ${fork.id}`);
+
+  return fork;
+}
+
+module.exports = {
+  checkpointChapter,
+  forkStory
+};
@@ -12,8 +12,11 @@
  *   // Store logs in generation_progress.error_logs
  *
  * Buffer auto-purges stories that haven't logged in 30 minutes.
+ * Each line is also published as a 'log' event for the live generation stream.
  */
 
+const { publishGenerationEvent } = require('./generation-events');
+
 const MAX_LINES_PER_STORY = 75;
 const PURGE_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
 const STALE_THRESHOLD_MS = 30 * 60 * 1000; // 30 minutes
@@ -49,6 +52,8 @@ function storyLog(storyId, storyTitle, message) {
   if (buffer.lines.length > MAX_LINES_PER_STORY) {
     buffer.lines = buffer.lines.slice(-MAX_LINES_PER_STORY);
   }
+
+  publishGenerationEvent(storyId, 'log', { message });
 }
 
 /**
@@ -0,0 +1,289 @@
+/**
+ * STORY RECAPS — "Previously on…" for readers coming back after a break
+ *
+ * A recap is written from the chapters the reader has finished (reader-progress) and nothing
+ * later — not even the chapter they're partway through — so it can't spoil:
+ *   - every chapter's title and key events (chapters.metadata)
+ *   - where each character stands — mood and latest relationship shifts — from the character
+ *     ledger, as of that chapter (buildRelationshipGraph; private thoughts are left out)
+ *   - the end of the last chapter read, so the recap finishes where they stopped
+ *
+ * The story_recap prompt returns three lengths at once (one line, a paragraph, the full story so
+ * far). Recaps are the same for every reader at a chapter, so they're cached in story_recaps per
+ * story and chapter, keyed by a hash of the rendered prompt: a revised chapter, a new ledger or
+ * a new template version changes the prompt and the recap is written again.
+ *
+ * GET /story/:storyId/current-state attaches the recap on its own when reading_sessions shows the
+ * reader hasn't opened the book for RECAP_GAP_DAYS — only a cached one, since that request is on
+ * the reading hot path. On a miss it calls refreshStoryRecap, which writes the recap in the
+ * background (once per reader at a time, with the same consent and budget checks as
+ * GET /story/:storyId/recap), ready for the next request.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
+const { renderPrompt } = require('./prompt-registry');
+const { parseStructured, reaskWithLLM } = require('./structured-output');
+const { buildRelationshipGraph } = require('./relationship-graph');
+const { getFinishedThroughChapter } = require('./reader-progress');
+const { requireAIConsent } = require('../middleware/consent');
+const { assertWithinBudget } = require('./ai-budgets');
+
+const RECAP_LENGTHS = ['one_line', 'paragraph', 'full'];
+const RECAP_GAP_DAYS = 14;
+const ENDING_EXCERPT_LENGTH = 2500;
+
+// "storyId:userId" of recaps being written by refreshStoryRecap
+const refreshing = new Set();
+
+/**
+ * Validate a ?length= query value. Returns an error string, or null when absent or valid.
+ */
+function recapLengthError(length) {
+  if (length === undefined || RECAP_LENGTHS.includes(length)) return null;
+  return `length must be one of: ${RECAP_LENGTHS.join(', ')}`;
+}
+
+/**
+ * Whether a reader's last session was long enough ago to need a recap. A reader with no
+ * sessions hasn't started reading, so there's nothing to recap.
+ *
+ * @param {string|Date|null} lastReadAt - End (or start) of their most recent reading session
+ */
+function recapDue(lastReadAt, now = new Date()) {
+  if (!lastReadAt) return false;
+  const gapMs = new Date(now).getTime() - new Date(lastReadAt).getTime();
+  return gapMs >= RECAP_GAP_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Chapter titles and key events, one block per chapter
+ */
+function buildChaptersBlock(chapters) {
+  return chapters
+    .map(ch => {
+      const events = ch.metadata?.key_events || [];
+      return `Chapter ${ch.chapter_number}: ${ch.title || 'Untitled'}\nKey events: ${events.length ? events.join('; ') : 'Not recorded'}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Where each character stands at the end of the graph's chapter: mood, then their latest shift
+ * in each relationship
+ */
+function buildCharactersBlock(graph) {
+  const names = new Map(graph.nodes.map(node => [node.id, node.name]));
+
+  return graph.nodes
+    .filter(node => node.emotional_state)
+    .map(node => {
+      const lines = [`${node.name} (as of chapter ${node.last_chapter}): ${node.emotional_state}`];
+      for (const edge of graph.edges.filter(e => e.source === node.id)) {
+        const latest = edge.history[edge.history.length - 1];
+        const detail = [latest.detail, latest.unresolved && `unresolved: ${latest.unresolved}`].filter(Boolean).join('; ');
+        lines.push(`  - ${names.get(edge.target)}: ${latest.direction}${detail ? ` (${detail})` : ''}`);
+      }
+      return lines.join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * The last paragraphs of a chapter, up to about ENDING_EXCERPT_LENGTH characters
+ */
+function endingExcerpt(content) {
+  const taken = [];
+  let length = 0;
+  for (const paragraph of String(content || '').split(/\n\s*\n/).reverse()) {
+    const text = paragraph.trim();
+    if (!text) continue;
+    if (taken.length > 0 && length + text.length > ENDING_EXCERPT_LENGTH) break;
+    taken.unshift(text);
+    length += text.length;
+  }
+  return taken.join('\n\n');
+}
+
+/**
+ * The story_recap prompt for a reader at throughChapter, and the hash recaps are cached under
+ *
+ * @param {object} params
+ * @param {object} params.story - { title, genre }
+ * @param {Array} params.chapters - { chapter_number, title, metadata, content } rows up to throughChapter
+ * @param {Array} params.ledgerEntries - character_ledger_entries rows
+ * @param {object|null} params.bible - story_bibles row (character names and roles)
+ * @param {number} params.throughChapter - Last chapter the reader has finished
+ * @returns {{ prompt, versions, sourceHash }}
+ */
+function buildRecapPrompt({ story, chapters, ledgerEntries, bible, throughChapter }) {
+  const read = (chapters || [])
+    .filter(ch => ch.chapter_number <= throughChapter)
+    .sort((a, b) => a.chapter_number - b.chapter_number);
+  const graph = buildRelationshipGraph({ ledgerEntries, bible, throughChapter });
+  const last = read[read.length - 1];
+
+  const { text: prompt, versions } = renderPrompt('story_recap', {
+    storyTitle: story.title || 'Untitled',
+    genre: story.genre || 'fiction',
+    throughChapter,
+    chaptersBlock: buildChaptersBlock(read),
+    charactersBlock: buildCharactersBlock(graph) || 'No character notes yet.',
+    endingExcerpt: last ? `[End of chapter ${last.chapter_number}]\n${endingExcerpt(last.content)}` : ''
+  });
+
+  const sourceHash = crypto.createHash('sha256').update(prompt).digest('hex');
+  return { prompt, versions, sourceHash };
+}
+
+/**
+ * The recap for the last chapter a reader has finished, from the cache or written now.
+ * Returns null for a reader who hasn't finished a chapter. The caller checks story access
+ * (and, when generating, AI consent and budget) first.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.generate=true] - Write the recap on a cache miss; false returns null instead
+ * @param {string} [options.priority='urgent'] - Model call priority — 'urgent' when the reader is waiting
+ * @returns {Promise<{ through_chapter, one_line, paragraph, full, generated_at }|null>}
+ */
+async function getStoryRecap(storyId, userId, { generate = true, priority = 'urgent' } = {}) {
+  const throughChapter = await getFinishedThroughChapter(storyId, userId);
+  if (throughChapter === 0) return null;
+
+  const [{ data: story }, { data: chapters, error }, { data: ledgerEntries }, { data: bible }, { data: cached }] = await Promise.all([
+    supabaseAdmin.from('stories').select('id, title, genre').eq('id', storyId).single(),
+    supabaseAdmin.from('chapters').select('chapter_number, title, metadata, content')
+      .eq('story_id', storyId).lte('chapter_number', throughChapter).order('chapter_number', { ascending: true }),
+    supabaseAdmin.from('character_ledger_entries').select('chapter_number, ledger_data')
+      .eq('story_id', storyId).lte('chapter_number', throughChapter),
+    supabaseAdmin.from('story_bibles').select('characters').eq('story_id', storyId).maybeSingle(),
+    supabaseAdmin.from('story_recaps').select('*').eq('story_id', storyId).eq('chapter_number', throughChapter).maybeSingle()
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to fetch chapters: ${error.message}`);
+  }
+  if (!chapters || chapters.length === 0) return null;
+
+  const { prompt, versions, sourceHash } = buildRecapPrompt({
+    story,
+    chapters,
+    ledgerEntries: ledgerEntries || [],
+    bible,
+    throughChapter
+  });
+
+  if (cached?.source_hash === sourceHash) {
+    return { through_chapter: throughChapter, ...cached.recap, generated_at: cached.updated_at };
+  }
+  if (!generate) return null;
+
+  console.log(`📜 Writing recap for "${story.title}" through chapter ${throughChapter}`);
+
+  const recapCall = {
+    model: 'haiku',
+    prompt,
+    maxTokens: 2000,
+    operation: 'story_recap',
+    userId,
+    storyId,
+    storyTitle: story.title,
+    priority,
+    costMetadata: { throughChapter }
+  };
+  const { text } = await callLLM(recapCall);
+  const { data: recap, schemaVersion } = await parseStructured('story_recap', text, {
+    reask: reaskWithLLM(recapCall, text),
+    label: `Recap through chapter ${throughChapter}`
+  });
+
+  const generatedAt = new Date().toISOString();
+  const { error: upsertError } = await supabaseAdmin
+    .from('story_recaps')
+    .upsert({
+      story_id: storyId,
+      chapter_number: throughChapter,
+      recap: { one_line: recap.one_line, paragraph: recap.paragraph, full: recap.full },
+      source_hash: sourceHash,
+      prompt_versions: versions,
+      schema_version: schemaVersion,
+      updated_at: generatedAt
+    }, { onConflict: 'story_id,chapter_number' });
+
+  if (upsertError) {
+    // Non-fatal — the reader still gets this recap; the next request writes it again
+    console.error(`⚠️ Failed to cache recap for chapter ${throughChapter}: ${upsertError.message}`);
+  }
+
+  return {
+    through_chapter: throughChapter,
+    one_line: recap.one_line,
+    paragraph: recap.paragraph,
+    full: recap.full,
+    generated_at: generatedAt
+  };
+}
+
+/**
+ * Write a reader's recap in the background so the next request finds it cached. Nothing is
+ * started when the reader hasn't finished a chapter yet, hasn't given AI consent, or is over
+ * budget.
+ *
+ * @returns {Promise<boolean>} Whether a recap is being written for them (just started, or
+ *   already under way)
+ */
+async function refreshStoryRecap(storyId, userId) {
+  const key = `${storyId}:${userId}`;
+  if (refreshing.has(key)) return true;
+  refreshing.add(key);
+
+  try {
+    if (await getFinishedThroughChapter(storyId, userId) === 0) {
+      refreshing.delete(key);
+      return false;
+    }
+    await requireAIConsent(userId);
+    await assertWithinBudget({ userId, storyId });
+  } catch (error) {
+    refreshing.delete(key);
+    if (error.code === 'AI_CONSENT_REQUIRED' || error.code === 'AI_BUDGET_REACHED') return false;
+    throw error;
+  }
+
+  getStoryRecap(storyId, userId, { priority: 'normal' })
+    .catch(error => console.error(`⚠️ Background recap failed for story ${storyId}: ${error.message}`))
+    .finally(() => refreshing.delete(key));
+
+  return true;
+}
+
+/**
+ * When the reader last read this story, from their most recent reading session
+ */
+async function getLastReadAt(storyId, userId) {
+  const { data: session } = await supabaseAdmin
+    .from('reading_sessions')
+    .select('session_start, session_end')
+    .eq('story_id', storyId)
+    .eq('user_id', userId)
+    .order('session_start', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return session ? (session.session_end || session.session_start) : null;
+}
+
+module.exports = {
+  RECAP_LENGTHS,
+  RECAP_GAP_DAYS,
+  recapLengthError,
+  recapDue,
+  buildChaptersBlock,
+  buildCharactersBlock,
+  endingExcerpt,
+  buildRecapPrompt,
+  getStoryRecap,
+  refreshStoryRecap,
+  getLastReadAt
+};
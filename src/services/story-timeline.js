@@ -0,0 +1,175 @@
+/**
+ * STORY TIMELINE — Everything that happened, in one chronological list
+ *
+ * What happened in a book is spread over several places: each chapter's key events and
+ * character development (chapters.metadata), and the world state ledger's facts, rules shown,
+ * geography and reader promises (extractWorldStateLedger / mergeReaderPromises). The timeline
+ * merges them, chapter by chapter:
+ *   event → character_beat → world_change → promise
+ *
+ * Each ledger entry carries the whole merged promise list as of that chapter, so promises are
+ * read as changes: planted where first seen, then advanced / fulfilled where the status moves.
+ *
+ * Readers get the timeline up to the last chapter they've finished (reader-progress). Admins get
+ * all of it, with flags on entries that contradict the codex or an earlier entry.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { getFinishedThroughChapter } = require('./reader-progress');
+
+const PROMISE_STATUS_ORDER = { pending: 0, advanced: 1, fulfilled: 2 };
+const PROMISE_EVENT = { pending: 'planted', advanced: 'advanced', fulfilled: 'fulfilled' };
+
+const asList = value => (Array.isArray(value) ? value : value ? [value] : []).filter(v => typeof v === 'string' && v.trim());
+
+/**
+ * World-state changes a ledger entry records, flagged where the ledger saw a rule break the codex
+ */
+function worldChanges(ledgerData) {
+  return [
+    ...(ledgerData.facts_established || []).filter(f => f?.fact).map(f => ({
+      kind: 'world_change',
+      category: f.category || 'other',
+      text: f.fact,
+      immutable: f.immutable === true
+    })),
+    ...(ledgerData.rules_demonstrated || []).filter(r => r?.rule).map(r => ({
+      kind: 'world_change',
+      category: 'rule',
+      text: [r.rule, r.outcome || r.how].filter(Boolean).join(': '),
+      flags: r.consistent_with_codex === false
+        ? [{ type: 'codex_contradiction', message: 'The world ledger marked this rule demonstration as inconsistent with the codex' }]
+        : []
+    })),
+    ...(ledgerData.geography_revealed || []).filter(g => g?.location).map(g => ({
+      kind: 'world_change',
+      category: 'geography',
+      text: [g.location, g.details].filter(Boolean).join(': ')
+    }))
+  ];
+}
+
+/**
+ * Build the timeline.
+ *
+ * @param {object} params
+ * @param {Array} params.chapters - { chapter_number, title, metadata } rows
+ * @param {Array} params.worldLedger - world_state_ledger rows ({ chapter_number, ledger_data })
+ * @param {number|null} params.throughChapter - Last chapter to include (null for all)
+ * @param {boolean} [params.includeFlags] - Flag contradictions between entries (admin)
+ * @returns {{ through_chapter, entries, contradiction_count? }}
+ */
+function buildStoryTimeline({ chapters, worldLedger, throughChapter = null, includeFlags = false }) {
+  const within = n => throughChapter === null || n <= throughChapter;
+  const ledgerByChapter = new Map((worldLedger || [])
+    .filter(e => e.ledger_data && within(e.chapter_number))
+    .map(e => [e.chapter_number, e.ledger_data]));
+  const chapterByNumber = new Map((chapters || [])
+    .filter(ch => within(ch.chapter_number))
+    .map(ch => [ch.chapter_number, ch]));
+  const chapterNumbers = [...new Set([...chapterByNumber.keys(), ...ledgerByChapter.keys()])].sort((a, b) => a - b);
+
+  const entries = [];
+  const promiseStatus = new Map();
+
+  for (const chapterNumber of chapterNumbers) {
+    const chapter = chapterByNumber.get(chapterNumber);
+    const ledger = ledgerByChapter.get(chapterNumber);
+    const chapterEntries = [];
+
+    for (const event of asList(chapter?.metadata?.key_events)) {
+      chapterEntries.push({ kind: 'event', text: event });
+    }
+    for (const beat of asList(chapter?.metadata?.character_development)) {
+      chapterEntries.push({ kind: 'character_beat', text: beat });
+    }
+
+    if (ledger) {
+      chapterEntries.push(...worldChanges(ledger));
+
+      for (const promise of ledger.reader_promises || []) {
+        if (!promise?.promise || PROMISE_STATUS_ORDER[promise.status] === undefined) continue;
+        const previous = promiseStatus.get(promise.promise);
+        if (previous === promise.status) continue;
+        promiseStatus.set(promise.promise, promise.status);
+
+        const flags = [];
+        if (previous === undefined && promise.status !== 'pending') {
+          flags.push({ type: 'promise_never_planted', message: `First seen already ${promise.status}` });
+        }
+        if (previous !== undefined && PROMISE_STATUS_ORDER[promise.status] < PROMISE_STATUS_ORDER[previous]) {
+          flags.push({ type: 'promise_regressed', message: `Was ${previous}, now ${promise.status}` });
+        }
+        if (promise.planted_in > chapterNumber) {
+          flags.push({ type: 'promise_planted_later', message: `Seen in chapter ${chapterNumber} but recorded as planted in chapter ${promise.planted_in}` });
+        }
+        chapterEntries.push({ kind: 'promise', status: PROMISE_EVENT[promise.status], text: promise.promise, flags });
+      }
+    }
+
+    for (const entry of chapterEntries) {
+      const { flags = [], ...rest } = entry;
+      entries.push({
+        chapter_number: chapterNumber,
+        chapter_title: chapter?.title || null,
+        story_time: ledger?.timeline_progression?.current_position || null,
+        ...rest,
+        ...(includeFlags && { flags })
+      });
+    }
+  }
+
+  const timeline = {
+    through_chapter: throughChapter ?? (chapterNumbers.length ? chapterNumbers[chapterNumbers.length - 1] : 0),
+    entries
+  };
+  if (includeFlags) {
+    timeline.contradiction_count = entries.reduce((sum, e) => sum + e.flags.length, 0);
+  }
+  return timeline;
+}
+
+/**
+ * The timeline for a story, through a chapter or to the end
+ */
+async function getStoryTimeline(storyId, { throughChapter = null, includeFlags = false } = {}) {
+  let chaptersQuery = supabaseAdmin
+    .from('chapters')
+    .select('chapter_number, title, metadata')
+    .eq('story_id', storyId);
+  let ledgerQuery = supabaseAdmin
+    .from('world_state_ledger')
+    .select('chapter_number, ledger_data')
+    .eq('story_id', storyId);
+  if (throughChapter !== null) {
+    chaptersQuery = chaptersQuery.lte('chapter_number', throughChapter);
+    ledgerQuery = ledgerQuery.lte('chapter_number', throughChapter);
+  }
+
+  const [{ data: chapters, error }, { data: worldLedger }] = await Promise.all([chaptersQuery, ledgerQuery]);
+
+  if (error) {
+    throw new Error(`Failed to fetch chapters: ${error.message}`);
+  }
+
+  return buildStoryTimeline({ chapters: chapters || [], worldLedger: worldLedger || [], throughChapter, includeFlags });
+}
+
+/**
+ * The timeline up to the last chapter the reader has finished. A reader who hasn't finished a
+ * chapter gets an empty timeline. The caller checks story access first.
+ */
+async function getReaderTimeline(storyId, userId) {
+  const throughChapter = await getFinishedThroughChapter(storyId, userId);
+  if (throughChapter === 0) {
+    return { through_chapter: 0, entries: [] };
+  }
+
+  return getStoryTimeline(storyId, { throughChapter });
+}
+
+module.exports = {
+  buildStoryTimeline,
+  getStoryTimeline,
+  getReaderTimeline
+};
@@ -0,0 +1,396 @@
+/**
+ * STRUCTURED OUTPUT — Parse and schema-validate JSON from the model
+ *
+ * Stored model outputs (story bible, arc outline, world codex, character and world ledgers,
+ * chapter constraints and validation results) have JSON Schemas in src/config/schemas/:
+ *
+ *   module.exports = {
+ *     name: 'world_codex',
+ *     version: 1,
+ *     description: '...',
+ *     schema: { type: 'object', required: ['systems'], properties: { systems: { type: 'array', ... } } }
+ *   };
+ *
+ * parseStructured(name, responseText, { reask }) parses the response (markdown fences and
+ * truncation tolerated), validates it and, when fields are invalid, calls reask(prompt) with a
+ * prompt that lists the field-level errors and asks again for only the broken top-level
+ * fields. The corrected fields are merged into the original output. Still invalid after
+ * maxReasks → SchemaValidationError with every field error. reaskWithLLM(callOptions, responseText)
+ * builds that callback for a callLLM request: the re-ask continues the same conversation (so
+ * cached prefixes stay warm) and is logged as `<operation>_reask`.
+ *
+ * Supported schema keywords: type (string, number, integer, boolean, object, array, null, or
+ * a list), enum, required, properties, additionalProperties (a schema), items, minItems,
+ * maxItems, minLength, minimum, maximum. Unlisted properties are allowed.
+ *
+ * Versions: bump a schema's version whenever the shape it accepts changes. Rows record the
+ * version that produced them in schema_version (NULL = written before schemas), so old
+ * stories stay readable after a shape change — readers can tell which shape they hold.
+ */
+
+const definitions = require('../config/schemas');
+const { callLLM, cachedUserMessage } = require('./llm-provider');
+
+const DEFAULT_MAX_REASKS = 1;
+const MAX_ERRORS_IN_MESSAGE = 5;
+
+class SchemaValidationError extends Error {
+  constructor(schemaName, errors) {
+    const shown = errors.slice(0, MAX_ERRORS_IN_MESSAGE).map(formatError).join('; ');
+    const more = errors.length > MAX_ERRORS_IN_MESSAGE ? ` (+${errors.length - MAX_ERRORS_IN_MESSAGE} more)` : '';
+    super(`Schema "${schemaName}": ${errors.length} invalid field(s) — ${shown}${more}`);
+    this.name = 'SchemaValidationError';
+    this.schemaName = schemaName;
+    this.errors = errors;
+  }
+}
+
+const registry = new Map(definitions.map(definition => [definition.name, definition]));
+
+/**
+ * A registered schema definition ({ name, version, description, schema })
+ */
+function getSchema(name) {
+  const definition = registry.get(name);
+  if (!definition) {
+    throw new Error(`Unknown output schema "${name}"`);
+  }
+  return definition;
+}
+
+/**
+ * Registered schemas with their current versions
+ */
+function listSchemas() {
+  return definitions.map(({ name, version, description }) => ({ name, version, description }));
+}
+
+/**
+ * Remove a ```json ... ``` (or bare ```) wrapper around a model response
+ */
+function stripMarkdownCodeBlocks(text) {
+  return text.trim().replace(/^```(?:json)?\n?/i, '').replace(/\n?```$/i, '').trim();
+}
+
+/**
+ * Attempt to repair common JSON issues (truncation, unclosed strings, etc.)
+ */
+function attemptJsonRepair(jsonString) {
+  let repaired = jsonString;
+
+  // 1. Remove any trailing content after the last complete top-level closing brace
+  // Find the last } that could be the root object close
+  let braceDepth = 0;
+  let lastValidClose = -1;
+  let inString = false;
+  let escapeNext = false;
+
+  for (let i = 0; i < repaired.length; i++) {
+    if (escapeNext) { escapeNext = false; continue; }
+    if (repaired[i] === '\\') { escapeNext = true; continue; }
+    if (repaired[i] === '"') { inString = !inString; continue; }
+    if (inString) continue;
+    if (repaired[i] === '{') braceDepth++;
+    if (repaired[i] === '}') {
+      braceDepth--;
+      if (braceDepth === 0) { lastValidClose = i; break; }
+    }
+  }
+
+  if (lastValidClose > 0 && lastValidClose < repaired.length - 1) {
+    console.log(`🔧 JSON repair: Truncating ${repaired.length - lastValidClose - 1} chars after root close`);
+    repaired = repaired.substring(0, lastValidClose + 1);
+  }
+
+  // 2. If braces never balanced, try to close open structures
+  if (lastValidClose === -1) {
+    // Count unclosed braces and brackets
+    braceDepth = 0;
+    let bracketDepth = 0;
+    inString = false;
+    escapeNext = false;
+
+    for (let i = 0; i < repaired.length; i++) {
+      if (escapeNext) { escapeNext = false; continue; }
+      if (repaired[i] === '\\') { escapeNext = true; continue; }
+      if (repaired[i] === '"') { inString = !inString; continue; }
+      if (inString) continue;
+      if (repaired[i] === '{') braceDepth++;
+      if (repaired[i] === '}') braceDepth--;
+      if (repaired[i] === '[') bracketDepth++;
+      if (repaired[i] === ']') bracketDepth--;
+    }
+
+    // If we're inside a string, close it
+    if (inString) {
+      console.log('🔧 JSON repair: Closing unclosed string');
+      repaired += '"';
+    }
+
+    // Close any open brackets and braces
+    for (let i = 0; i < bracketDepth; i++) repaired += ']';
+    for (let i = 0; i < braceDepth; i++) repaired += '}';
+
+    if (braceDepth > 0 || bracketDepth > 0) {
+      console.log(`🔧 JSON repair: Closed ${bracketDepth} brackets and ${braceDepth} braces`);
+    }
+  }
+
+  // 3. Fix trailing commas before } or ]
+  repaired = repaired.replace(/,\s*([}\]])/g, '$1');
+
+  return repaired;
+}
+
+/**
+ * Parse a model response as JSON: raw, wrapped in a markdown code block, or truncated
+ * (closed up by attemptJsonRepair). Throws if none of those parse.
+ */
+function parseJSON(text) {
+  const trimmed = text.trim();
+  let extracted = null;
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (originalError) {
+    // Matches ```json\n{...}\n```, ```{...}``` and blocks cut off before the closing fence
+    const codeBlockMatch = trimmed.match(/```(?:json)?\s*\n?([\s\S]*?)(?:\n?```)?$/);
+    if (codeBlockMatch && codeBlockMatch[1]) {
+      extracted = codeBlockMatch[1].trim();
+      try {
+        return JSON.parse(extracted);
+      } catch (e) {
+        // Fall through to repair
+      }
+    }
+
+    console.log('🔧 Attempting JSON repair...');
+    try {
+      const parsed = JSON.parse(attemptJsonRepair(extracted || trimmed));
+      console.log('✅ JSON repair succeeded!');
+      return parsed;
+    } catch (repairError) {
+      console.error('❌ JSON repair also failed:', repairError.message);
+      throw new Error(`Failed to parse JSON even after repair: ${originalError.message}`);
+    }
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @returns {Array<{ path: string, message: string }>} empty when valid; path '' is the root
+ */
+function validateSchema(value, schema, path = '') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `should be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+    return errors;
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: schema.minLength === 1 ? 'should not be empty' : `should be at least ${schema.minLength} characters` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `should be at least ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `should be at most ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `should have at least ${schema.minItems} item(s)` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `should have at most ${schema.maxItems} item(s)` });
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, childPath(path, index))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: childPath(path, key), message: 'is required' });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], childPath(path, key)));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(child, schema.additionalProperties, childPath(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function formatError({ path, message }) {
+  return `${path || '(root)'} ${message}`;
+}
+
+/**
+ * Validate a value against a registered schema
+ */
+function validateStructured(name, value) {
+  return validateSchema(value, getSchema(name).schema);
+}
+
+/**
+ * The top-level fields an error list touches ('' when the root itself is wrong)
+ */
+function invalidFields(errors) {
+  return [...new Set(errors.map(e => e.path.split(/[.[]/)[0]))];
+}
+
+/**
+ * Prompt asking the model to resend only the broken top-level fields (or everything, when
+ * the response wasn't a usable JSON object)
+ */
+function buildReaskPrompt(name, errors) {
+  const { schema } = getSchema(name);
+  const fields = invalidFields(errors);
+  const problems = errors.slice(0, 20).map(e => `- ${formatError(e)}`).join('\n');
+
+  if (fields.includes('')) {
+    return `Your previous response could not be used:
+${problems}
+
+Return the complete JSON object again, matching this JSON Schema. Return ONLY the JSON.
+
+${JSON.stringify(schema, null, 2)}`;
+  }
+
+  const fieldSchemas = {
+    type: 'object',
+    required: fields,
+    properties: Object.fromEntries(fields.map(field => [field, schema.properties?.[field] || {}]))
+  };
+
+  return `Your previous JSON response has invalid fields:
+${problems}
+
+Return ONLY a JSON object containing corrected values for these top-level fields: ${fields.map(f => `"${f}"`).join(', ')}. Keep what was already right inside them, fix only the problems listed, and leave every other field out.
+
+Those fields must match this JSON Schema:
+${JSON.stringify(fieldSchemas, null, 2)}`;
+}
+
+function parseOrError(text) {
+  try {
+    const value = parseJSON(text);
+    return typeOf(value) === 'object'
+      ? { value, errors: [] }
+      : { value: null, errors: [{ path: '', message: `should be object, got ${typeOf(value)}` }] };
+  } catch (err) {
+    return { value: null, errors: [{ path: '', message: `is not valid JSON (${err.message})` }] };
+  }
+}
+
+/**
+ * Re-ask callback for parseStructured that continues a callLLM conversation.
+ *
+ * @param {object} callOptions - The options the original callLLM call was made with
+ * @param {string} responseText - What that call returned
+ */
+function reaskWithLLM(callOptions, responseText) {
+  const { messages, cachedPrefix, prompt, operation, onText, ...rest } = callOptions;
+  const conversation = messages || [
+    cachedPrefix ? cachedUserMessage(cachedPrefix, prompt) : { role: 'user', content: prompt }
+  ];
+
+  return async (reaskPrompt) => {
+    const { text } = await callLLM({
+      ...rest,
+      operation: `${operation}_reask`,
+      messages: [...conversation, { role: 'assistant', content: responseText }, { role: 'user', content: reaskPrompt }],
+      logCost: true
+    });
+    return text;
+  };
+}
+
+/**
+ * Parse a model response, validate it against a schema and re-ask for invalid fields.
+ *
+ * @param {string} name - Registered schema name
+ * @param {string} responseText - The model's response
+ * @param {object} [options]
+ * @param {Function} [options.reask] - async (prompt) => responseText; continue the conversation
+ *   that produced responseText with this user turn. Without it, invalid output throws at once.
+ * @param {number} [options.maxReasks=1]
+ * @param {string} [options.label] - For logs (usually the story title)
+ * @returns {Promise<{ data: object, schemaVersion: number, reasks: number }>}
+ * @throws {SchemaValidationError}
+ */
+async function parseStructured(name, responseText, { reask = null, maxReasks = DEFAULT_MAX_REASKS, label = null } = {}) {
+  const { version, schema } = getSchema(name);
+  const prefix = label ? `[${label}] ` : '';
+
+  let { value: data, errors } = parseOrError(responseText);
+  if (data) errors = validateSchema(data, schema);
+
+  let reasks = 0;
+  while (errors.length > 0 && reask && reasks < maxReasks) {
+    reasks++;
+    const fields = invalidFields(errors);
+    console.log(`🧩 ${prefix}${name}: ${errors.length} invalid field(s) (${errors.slice(0, 3).map(formatError).join('; ')}) — re-asking for ${fields.includes('') ? 'the whole output' : fields.join(', ')}`);
+
+    const reply = parseOrError(await reask(buildReaskPrompt(name, errors)));
+    if (reply.value) {
+      data = fields.includes('') || !data
+        ? reply.value
+        : { ...data, ...Object.fromEntries(fields.filter(f => reply.value[f] !== undefined).map(f => [f, reply.value[f]])) };
+      errors = validateSchema(data, schema);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new SchemaValidationError(name, errors);
+  }
+
+  if (reasks > 0) {
+    console.log(`🧩 ${prefix}${name}: valid after ${reasks} re-ask(s)`);
+  }
+
+  return { data, schemaVersion: version, reasks };
+}
+
+module.exports = {
+  SchemaValidationError,
+  getSchema,
+  listSchemas,
+  stripMarkdownCodeBlocks,
+  attemptJsonRepair,
+  parseJSON,
+  validateSchema,
+  validateStructured,
+  buildReaskPrompt,
+  reaskWithLLM,
+  parseStructured
+};
@@ -0,0 +1,396 @@
+/**
+ * WHISPERNET FORKS — Continue someone else's published book as your own story
+ *
+ * A reader with a published book on their WhisperNet shelf picks a chapter and forks it:
+ *   1. The remaining chapters are re-planned from there (fork_arc prompt), diverging from the
+ *      original's course, optionally following the reader's direction
+ *   2. story-fork.js copies the bible, codex, chapters and ledgers up to that chapter into a new
+ *      story owned by the reader, with the new outlines in its arc
+ *   3. whispernet_forks records the lineage and credits the original author; the author gets a
+ *      book_forked event (and the Taproot badge at 3 readers), and the fork is listed on the
+ *      original's ledger
+ *   4. The batch containing the next chapter is queued; the book carries on from there like any
+ *      other, checkpoints included
+ *
+ * Only active publications can be forked — a recalled book can't be, and forking your own book
+ * goes through choice points instead. Existing forks stay with their readers after a recall.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
+const { renderPrompt } = require('./prompt-registry');
+const { parseStructured, reaskWithLLM } = require('./structured-output');
+const bookPlan = require('./book-plan');
+
+const MAX_DIRECTION_LENGTH = 1000;
+const RECENT_FORKS_SHOWN = 10;
+
+/**
+ * Why this reader can't fork this book, or null if they can
+ *
+ * @param {object} params
+ * @param {object} params.story - { user_id, whispernet_published }
+ * @param {object|null} params.publication - whispernet_publications row ({ is_active })
+ * @param {boolean} params.onShelf - The book is on the reader's WhisperNet shelf
+ * @param {string} params.userId
+ * @returns {string|null}
+ */
+function forkAccessError({ story, publication, onShelf, userId }) {
+  if (story.user_id === userId) {
+    return 'This is your own story — use a choice point to explore another path';
+  }
+  if (!publication || !publication.is_active || !story.whispernet_published) {
+    return 'This story is no longer published to WhisperNet';
+  }
+  if (!onShelf) {
+    return 'Add this book to your WhisperNet shelf before forking it';
+  }
+  return null;
+}
+
+/**
+ * Why the book can't be forked after this chapter, or null if it can. The fork needs at least
+ * one chapter of its own, and can only start from chapters that exist.
+ */
+function forkChapterError(chapterNumber, chaptersAvailable, totalChapters) {
+  if (!Number.isInteger(chapterNumber) || chapterNumber < 1) {
+    return 'chapter_number must be a whole number of at least 1';
+  }
+  if (chapterNumber > chaptersAvailable) {
+    return `This book only has ${chaptersAvailable} chapters to fork from`;
+  }
+  if (chapterNumber >= totalChapters) {
+    return 'Fork before the final chapter so there is something left to write';
+  }
+  return null;
+}
+
+/**
+ * The fork's arc: the original's outlines up to the fork, the new outlines after it
+ *
+ * @throws if newChapters doesn't outline every chapter from startChapter to totalChapters
+ */
+function mergeForkArc(arcChapters, newChapters, startChapter, totalChapters) {
+  const byNumber = new Map();
+  for (const ch of newChapters || []) {
+    const n = parseInt(ch?.chapter_number, 10);
+    if (n >= startChapter && n <= totalChapters) byNumber.set(n, { ...ch, chapter_number: n });
+  }
+
+  const missing = [];
+  for (let n = startChapter; n <= totalChapters; n++) {
+    if (!byNumber.has(n)) missing.push(n);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Fork arc is missing chapter(s) ${missing.join(', ')}`);
+  }
+
+  return [
+    ...(arcChapters || []).filter(ch => ch.chapter_number < startChapter),
+    ...[...byNumber.values()].sort((a, b) => a.chapter_number - b.chapter_number)
+  ];
+}
+
+/**
+ * The lineage shown on the original's ledger: how many forks, by how many readers, the latest few
+ *
+ * @param {Array} forks - whispernet_forks rows, newest first
+ */
+function summarizeForkLineage(forks = []) {
+  return {
+    total: forks.length,
+    readers: new Set(forks.map(f => f.forked_by)).size,
+    recent: forks.slice(0, RECENT_FORKS_SHOWN).map(f => ({
+      display_name: f.forker_display_name,
+      forked_after_chapter: f.forked_from_chapter,
+      forked_at: f.created_at
+    }))
+  };
+}
+
+async function getDisplayName(userId) {
+  const { data: prefs } = await supabaseAdmin
+    .from('user_preferences')
+    .select('whispernet_display_name')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return prefs?.whispernet_display_name || 'A Reader';
+}
+
+/**
+ * Forks of a story, for its ledger
+ */
+async function getForkLineage(storyId) {
+  const { data: forks } = await supabaseAdmin
+    .from('whispernet_forks')
+    .select('forked_by, forked_from_chapter, forker_display_name, created_at')
+    .eq('original_story_id', storyId)
+    .order('created_at', { ascending: false });
+
+  return summarizeForkLineage(forks || []);
+}
+
+/**
+ * The original a fork came from, with its author credit (null for anything else)
+ */
+async function getForkCredit(forkStoryId) {
+  const { data: fork } = await supabaseAdmin
+    .from('whispernet_forks')
+    .select('original_story_id, original_title, author_display_name, forked_from_chapter, created_at')
+    .eq('fork_story_id', forkStoryId)
+    .maybeSingle();
+
+  return fork || null;
+}
+
+/**
+ * Everything the route needs to decide whether a reader may fork a book
+ *
+ * @returns {Promise<object|null>} { story, publication, onShelf, chaptersAvailable, plan },
+ *   or null if the story doesn't exist
+ */
+async function loadForkSource(storyId, userId) {
+  const { data: story } = await supabaseAdmin
+    .from('stories')
+    .select('id, user_id, title, genre, whispernet_published')
+    .eq('id', storyId)
+    .maybeSingle();
+
+  if (!story) return null;
+
+  const [{ data: publication }, { data: shelfEntry }, { data: chapters }, plan] = await Promise.all([
+    supabaseAdmin.from('whispernet_publications').select('id, is_active').eq('story_id', storyId).maybeSingle(),
+    supabaseAdmin.from('whispernet_library').select('id').eq('user_id', userId).eq('story_id', storyId).maybeSingle(),
+    supabaseAdmin.from('chapters').select('chapter_number').eq('story_id', storyId),
+    bookPlan.getBookPlan(storyId)
+  ]);
+
+  return {
+    story,
+    publication: publication || null,
+    onShelf: !!shelfEntry,
+    chaptersAvailable: new Set((chapters || []).map(c => c.chapter_number)).size,
+    plan
+  };
+}
+
+/**
+ * Re-plan the original's remaining chapters as the fork's own
+ */
+async function planForkArc({ story, throughChapter, totalChapters, userId, direction }) {
+  const startChapter = throughChapter + 1;
+
+  const [{ data: bible }, { data: arc }, { data: written }] = await Promise.all([
+    supabaseAdmin.from('story_bibles').select('*').eq('story_id', story.id)
+      .order('created_at', { ascending: false }).limit(1).maybeSingle(),
+    supabaseAdmin.from('story_arcs').select('chapters').eq('story_id', story.id)
+      .order('created_at', { ascending: false }).limit(1).maybeSingle(),
+    supabaseAdmin.from('chapters').select('chapter_number, title, metadata').eq('story_id', story.id)
+      .lte('chapter_number', throughChapter).order('chapter_number', { ascending: true })
+  ]);
+
+  if (!bible || !arc) {
+    throw new Error(`Cannot fork "${story.title}": it has no bible or arc`);
+  }
+
+  const storySoFar = (written || []).map(ch =>
+    `Chapter ${ch.chapter_number}: ${ch.title}
+Key events: ${(ch.metadata?.key_events || []).join('; ') || 'N/A'}
+Ends on: ${ch.metadata?.closing_hook || 'N/A'}`
+  ).join('\n\n');
+
+  const originalPlan = (arc.chapters || [])
+    .filter(ch => ch.chapter_number >= startChapter)
+    .map(ch => `Chapter ${ch.chapter_number}: ${ch.title} — ${ch.events_summary}`)
+    .join('\n');
+
+  const { text: prompt, versions: promptVersions } = renderPrompt('fork_arc', {
+    originalTitle: story.title,
+    genre: story.genre || bible.genre || 'general fiction',
+    forkedAfterChapter: throughChapter,
+    startChapter,
+    totalChapters,
+    bible,
+    storySoFar,
+    originalPlan,
+    readerDirection: direction || 'None given — take it somewhere the original didn\'t go'
+  });
+
+  const arcCall = {
+    model: 'sonnet',
+    prompt,
+    maxTokens: Math.max(4000, (totalChapters - throughChapter) * 600),
+    operation: 'plan_whispernet_fork',
+    userId,
+    storyId: story.id,
+    storyTitle: story.title,
+    costMetadata: { forkedAfterChapter: throughChapter }
+  };
+  const { text } = await callLLM(arcCall);
+
+  const { data: forkArc, schemaVersion } = await parseStructured('arc_outline', text, {
+    reask: reaskWithLLM(arcCall, text),
+    label: story.title
+  });
+
+  return {
+    chapters: mergeForkArc(arc.chapters, forkArc.chapters, startChapter, totalChapters),
+    pacingNotes: forkArc.pacing_notes,
+    storyThreads: forkArc.story_threads,
+    promptVersions,
+    schemaVersion
+  };
+}
+
+/**
+ * Fork a published book after a chapter as the reader's own story, and queue its next batch.
+ * The caller checks forkAccessError and forkChapterError first (see loadForkSource).
+ *
+ * @param {object} params
+ * @param {object} params.source - From loadForkSource
+ * @param {string} params.userId - The reader forking the book
+ * @param {number} params.throughChapter - Last chapter copied from the original
+ * @param {string} [params.direction] - Where the reader wants to take it
+ * @param {string} [params.title] - Title for the fork (default: the original's)
+ * @returns {Promise<{ story: object, credit: object }>}
+ */
+async function forkPublishedStory({ source, userId, throughChapter, direction = null, title = null }) {
+  const { forkStory } = require('./story-fork');
+  const { story } = source;
+  const totalChapters = source.plan.total_chapters;
+  const startChapter = throughChapter + 1;
+
+  console.log(`🍴 [${story.title}] WhisperNet fork after chapter ${throughChapter} requested by ${userId}`);
+
+  const forkArc = await planForkArc({ story, throughChapter, totalChapters, userId, direction });
+
+  const [authorDisplayName, forkerDisplayName] = await Promise.all([
+    getDisplayName(story.user_id),
+    getDisplayName(userId)
+  ]);
+
+  const credit = {
+    original_story_id: story.id,
+    original_title: story.title,
+    author_display_name: authorDisplayName,
+    forked_from_chapter: throughChapter
+  };
+
+  const fork = await forkStory(story.id, {
+    userId,
+    throughChapter,
+    arcChapters: forkArc.chapters,
+    arcOutlineExtras: {
+      pacing_notes: forkArc.pacingNotes,
+      story_threads: forkArc.storyThreads,
+      whispernet_fork: { ...credit, prompt_versions: forkArc.promptVersions, schema_version: forkArc.schemaVersion }
+    },
+    // The fork is the reader's own, unpublished book — nothing of the author's library carries over
+    storyOverrides: {
+      title: title || story.title,
+      whispernet_published: false,
+      premise_id: null,
+      series_id: null,
+      book_number: null,
+      parent_story_id: null,
+      spin_off_of_story_id: null,
+      spin_off_character: null,
+      world_id: null,
+      choose_your_path: false,
+      archived_at: null,
+      archived_from_user_id: null,
+      archive_reason: null
+    }
+  });
+
+  const { error: lineageError } = await supabaseAdmin
+    .from('whispernet_forks')
+    .insert({
+      original_story_id: story.id,
+      fork_story_id: fork.id,
+      forked_by: userId,
+      original_author_id: story.user_id,
+      forked_from_chapter: throughChapter,
+      original_title: story.title,
+      author_display_name: authorDisplayName,
+      forker_display_name: forkerDisplayName
+    });
+
+  if (lineageError) {
+    // Without the credit the fork can't stay
+    await supabaseAdmin.from('stories').delete().eq('id', fork.id);
+    throw new Error(`Failed to record fork lineage: ${lineageError.message}`);
+  }
+
+  // Carry on from the chapter after the fork, through the end of its batch
+  const batch = source.plan.batches.find(b => b.start <= startChapter && b.end >= startChapter);
+  const endChapter = batch.end;
+
+  await supabaseAdmin
+    .from('stories')
+    .update({
+      generation_progress: {
+        ...fork.generation_progress,
+        current_step: `generating_chapter_${startChapter}`,
+        batch_start: startChapter,
+        batch_end: endChapter,
+        last_updated: new Date().toISOString()
+      }
+    })
+    .eq('id', fork.id);
+
+  const { enqueueCheckpointBatch } = require('./generation-jobs');
+  await enqueueCheckpointBatch(fork.id, userId, { checkpoint: batch.checkpoint, startChapter, endChapter });
+
+  await recordForkEvent({ story, userId, forkerDisplayName, throughChapter });
+
+  return { story: fork, credit };
+}
+
+/**
+ * Tell the author (book_forked event) and check the Taproot badge
+ */
+async function recordForkEvent({ story, userId, forkerDisplayName, throughChapter }) {
+  const metadata = {
+    display_name: forkerDisplayName,
+    story_title: story.title,
+    forked_after_chapter: throughChapter
+  };
+
+  const { error: eventError } = await supabaseAdmin
+    .from('whisper_events')
+    .insert({
+      event_type: 'book_forked',
+      actor_id: userId,
+      story_id: story.id,
+      metadata,
+      is_public: true
+    });
+
+  if (eventError) {
+    console.error('Error creating whisper_event:', eventError);
+  } else {
+    const { processWhisperEvent } = require('./notifications');
+    processWhisperEvent({ event_type: 'book_forked', actor_id: userId, story_id: story.id, metadata }).catch(err => {
+      console.error('Notification processing failed:', err.message);
+    });
+  }
+
+  const { checkBadgeEligibility } = require('./badges');
+  checkBadgeEligibility('book_forked', userId, story.id).catch(err => {
+    console.error('Badge check failed (non-blocking):', err.message);
+  });
+}
+
+module.exports = {
+  MAX_DIRECTION_LENGTH,
+  forkAccessError,
+  forkChapterError,
+  mergeForkArc,
+  summarizeForkLineage,
+  getForkLineage,
+  getForkCredit,
+  loadForkSource,
+  forkPublishedStory
+};
@@ -11,29 +11,9 @@
  * 3. compressWorldLedgerEntry() — token budget management
  */
 
-const { anthropic } = require('../config/ai-clients');
 const { supabaseAdmin } = require('../config/supabase');
-
-const HAIKU_PRICING = {
-  INPUT_PER_MILLION: 1,
-  OUTPUT_PER_MILLION: 5,
-  MODEL: 'claude-haiku-4-5-20251001'
-};
-
-/**
- * Strip markdown code blocks from Claude response before JSON parsing
- */
-function stripMarkdownCodeBlocks(text) {
-  const stripped = text.trim().replace(/^```(?:json)?\n?/i, '').replace(/\n?```$/i, '');
-  return stripped.trim();
-}
-
-/**
- * Calculate cost in USD for Haiku API calls
- */
-function calculateHaikuCost(inputTokens, outputTokens) {
-  return ((inputTokens * HAIKU_PRICING.INPUT_PER_MILLION) + (outputTokens * HAIKU_PRICING.OUTPUT_PER_MILLION)) / 1000000;
-}
+const { callLLM, calculateModelCost, logLLMCost } = require('./llm-provider');
+const { parseStructured, reaskWithLLM } = require('./structured-output');
 
 /**
  * Extract world state from a newly generated chapter.
@@ -71,22 +51,15 @@ async function extractWorldStateLedger(storyId, chapterNumber, chapterContent, u
       }).join('\n')
     : 'No previous world facts established yet.';
 
-  const prompt = `You are tracking world-state consistency for a serialized novel. Your job: extract what THIS chapter reveals or demonstrates about the world.
+  // The codex and instructions are the same for every chapter of the story — cached
+  const extractionInstructions = `You are tracking world-state consistency for a serialized novel. Your job: extract what each chapter you're given reveals or demonstrates about the world.
 
 ${codex ? `<world_codex>
 The structured rules of this world:
 ${JSON.stringify(codex.codex_data, null, 2)}
 </world_codex>` : ''}
 
-<previously_established>
-${previousFactsSummary}
-</previously_established>
-
-<chapter_${chapterNumber}>
-${chapterContent}
-</chapter_${chapterNumber}>
-
-Extract what this chapter adds to the reader's understanding of the world:
+For the chapter, extract what it adds to the reader's understanding of the world:
 
 1. FACTS ESTABLISHED — New things the reader now knows about this world that weren't explicitly stated before.
    - Only include facts DEMONSTRATED or STATED in the text, not assumptions.
@@ -109,7 +82,7 @@ Be PRECISE. Only extract what the TEXT actually establishes. Do not infer or spe
 
 Return ONLY valid JSON:
 {
-  "chapter": ${chapterNumber},
+  "chapter": number,
   "facts_established": [
     { "fact": "specific fact", "category": "category", "immutable": true }
   ],
@@ -124,25 +97,41 @@ Return ONLY valid JSON:
     "current_position": "rough position in overall timeline"
   },
   "reader_promises": [
-    { "promise": "what was promised", "status": "pending", "planted_in": ${chapterNumber} }
+    { "promise": "what was promised", "status": "pending", "planted_in": number }
   ]
 }`;
 
-  try {
-    const response = await anthropic.messages.create({
-      model: HAIKU_PRICING.MODEL,
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: prompt }]
-    });
+  const prompt = `<previously_established>
+${previousFactsSummary}
+</previously_established>
 
-    const responseText = response.content[0].text;
-    const inputTokens = response.usage?.input_tokens || 0;
-    const outputTokens = response.usage?.output_tokens || 0;
+<chapter_${chapterNumber}>
+${chapterContent}
+</chapter_${chapterNumber}>
 
-    // Parse response
-    let parsed;
+Extract the world-state ledger entry for Chapter ${chapterNumber}. "chapter" is ${chapterNumber}; a new promise's "planted_in" is ${chapterNumber}.`;
+
+  try {
+    // Cost is logged below, once the extraction stats are known
+    const extractionCall = {
+      model: 'haiku',
+      cachedPrefix: [extractionInstructions],
+      prompt,
+      maxTokens: 4000,
+      operation: 'world_ledger_extraction',
+      userId,
+      storyId,
+      logCost: false
+    };
+    const { text: responseText, inputTokens, outputTokens } = await callLLM(extractionCall);
+
+    // Parse and validate response (a re-ask for invalid fields logs its own cost)
+    let parsed, schemaVersion;
     try {
-      parsed = JSON.parse(stripMarkdownCodeBlocks(responseText));
+      ({ data: parsed, schemaVersion } = await parseStructured('world_ledger', responseText, {
+        reask: reaskWithLLM(extractionCall, responseText),
+        label: `Chapter ${chapterNumber} world ledger`
+      }));
     } catch (parseErr) {
       console.error(`🌍 World ledger parse error for ch${chapterNumber}: ${parseErr.message}`);
       return null;
@@ -167,7 +156,8 @@ Return ONLY valid JSON:
         story_id: storyId,
         chapter_number: chapterNumber,
         ledger_data: parsed,
-        token_count: tokenEstimate
+        token_count: tokenEstimate,
+        schema_version: schemaVersion
       }, { onConflict: 'story_id,chapter_number' });
 
     if (upsertError) {
@@ -176,32 +166,25 @@ Return ONLY valid JSON:
     }
 
     const elapsed = Date.now() - startTime;
-    const cost = calculateHaikuCost(inputTokens, outputTokens);
+    const cost = calculateModelCost('haiku', inputTokens, outputTokens);
     console.log(`🌍 World ledger extracted for ch${chapterNumber}: ${parsed.facts_established?.length || 0} facts, ${parsed.rules_demonstrated?.length || 0} rules demonstrated, ${mergedPromises.filter(p => p.status === 'pending').length} pending promises (${elapsed}ms, $${cost.toFixed(4)})`);
 
-    // Log cost
-    try {
-      await supabaseAdmin.from('api_costs').insert({
-        user_id: userId,
-        story_id: storyId,
-        provider: 'anthropic',
-        model: HAIKU_PRICING.MODEL,
-        operation: 'world_ledger_extraction',
-        input_tokens: inputTokens,
-        output_tokens: outputTokens,
-        total_tokens: inputTokens + outputTokens,
-        cost: cost,
-        metadata: {
-          chapterNumber,
-          facts_count: parsed.facts_established?.length || 0,
-          rules_count: parsed.rules_demonstrated?.length || 0,
-          promises_pending: mergedPromises.filter(p => p.status === 'pending').length,
-          duration_ms: elapsed
-        }
-      });
-    } catch (costErr) {
-      // Non-fatal
-    }
+    // Log cost (non-fatal)
+    await logLLMCost({
+      userId,
+      storyId,
+      model: 'haiku',
+      operation: 'world_ledger_extraction',
+      inputTokens,
+      outputTokens,
+      metadata: {
+        chapterNumber,
+        facts_count: parsed.facts_established?.length || 0,
+        rules_count: parsed.rules_demonstrated?.length || 0,
+        promises_pending: mergedPromises.filter(p => p.status === 'pending').length,
+        duration_ms: elapsed
+      }
+    });
 
     return parsed;
   } catch (err) {
@@ -283,9 +266,12 @@ function compressWorldLedgerEntry(ledgerData) {
  * @param {string} storyId
  * @param {number} targetChapterNumber - The chapter about to be generated
  * @param {Object} chapterOutline - The outline for this chapter (title, events_summary, etc.)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCodex=true] - false when the caller sends the codex
+ *   separately (buildCodexContextBlock) as part of a cached prompt prefix
  * @returns {string} XML block for injection into chapter prompt, or empty string
  */
-async function buildWorldContextBlock(storyId, targetChapterNumber, chapterOutline) {
+async function buildWorldContextBlock(storyId, targetChapterNumber, chapterOutline, { includeCodex = true } = {}) {
   try {
     // Fetch world codex
     const { data: codex } = await supabaseAdmin
@@ -310,12 +296,11 @@ async function buildWorldContextBlock(storyId, targetChapterNumber, chapterOutli
     const codexData = codex.codex_data;
     const codexXml = buildCodexXml(codexData);
 
-    // If no ledger entries yet (Book 2+ Chapter 1), seed from parent book's final world state
-    let parentWorldBlock = '';
-    if (!ledgerEntries || ledgerEntries.length === 0) {
-      const { getParentBookFinalLedger } = require('./character-intelligence');
-      parentWorldBlock = await getParentBookFinalLedger(storyId, 'world') || '';
-    }
+    // If no ledger entries yet (Book 2+ Chapter 1), seed from parent book's final world state.
+    // A spin-off keeps the original story's final world state in every chapter.
+    const { getParentBookFinalLedger } = require('./character-intelligence');
+    const hasLedger = ledgerEntries && ledgerEntries.length > 0;
+    const parentWorldBlock = await getParentBookFinalLedger(storyId, 'world', { spinOffOnly: hasLedger }) || '';
 
     // Build world state progression (with compression)
     let worldStateXml = '';
@@ -393,13 +378,13 @@ ${entry.summary}
     3. Timeline progresses logically
     4. Facts established in earlier chapters are honored, not contradicted
     5. Reader promises are advanced toward fulfillment, not forgotten
-  </instruction>
+  </instruction>${includeCodex ? `
 
   <world_codex>
 ${codexXml}
-  </world_codex>`;
+  </world_codex>` : ''}`;
 
-    // Inject parent book world state for sequel Chapter 1
+    // Inject parent book world state (sequel Chapter 1, or any spin-off chapter)
     if (parentWorldBlock) {
       block += `\n${parentWorldBlock}`;
     }
@@ -432,7 +417,7 @@ ${pendingPromises.map(p => `    - ${p.promise} (planted ch${p.planted_in}, statu
     if (estimatedTokens > MAX_WORLD_TOKENS) {
       console.log(`⚠️ World context block exceeds budget (${estimatedTokens} est. tokens > ${MAX_WORLD_TOKENS}). Compressing older entries.`);
       // Rebuild with tighter compression: only keep last 2 chapters as full
-      return await buildWorldContextBlockTight(storyId, targetChapterNumber, codex, ledgerEntries, pendingPromises);
+      return await buildWorldContextBlockTight(storyId, targetChapterNumber, codex, ledgerEntries, pendingPromises, includeCodex);
     }
 
     return block;
@@ -446,7 +431,7 @@ ${pendingPromises.map(p => `    - ${p.promise} (planted ch${p.planted_in}, statu
  * Tighter version of buildWorldContextBlock — only keeps last 2 chapters full.
  * Called when the standard version exceeds token budget.
  */
-async function buildWorldContextBlockTight(storyId, targetChapterNumber, codex, ledgerEntries, pendingPromises) {
+async function buildWorldContextBlockTight(storyId, targetChapterNumber, codex, ledgerEntries, pendingPromises, includeCodex = true) {
   const codexXml = buildCodexXml(codex.codex_data);
 
   const worldStateXml = (ledgerEntries || []).map(entry => {
@@ -468,11 +453,11 @@ ${summary}
   <instruction>
     These are the RULES and ESTABLISHED FACTS of this story's world. NON-NEGOTIABLE.
     A chapter that contradicts an established world rule or fact is a FAILED chapter.
-  </instruction>
+  </instruction>${includeCodex ? `
 
   <world_codex>
 ${codexXml}
-  </world_codex>
+  </world_codex>` : ''}
 
   <world_state_progression>
 ${worldStateXml}
@@ -492,6 +477,37 @@ ${pendingPromises.map(p => `    - ${p.promise} (planted ch${p.planted_in}, statu
   return block;
 }
 
+/**
+ * The story's world codex on its own, for the cached story-level prefix of the chapter
+ * prompt. It only changes when the codex is regenerated, so it is cached across every
+ * chapter; the chapter-specific world state stays in buildWorldContextBlock.
+ *
+ * @param {string} storyId
+ * @returns {Promise<string>} XML block, or empty string when the story has no codex
+ */
+async function buildCodexContextBlock(storyId) {
+  try {
+    const { data: codex } = await supabaseAdmin
+      .from('world_codex')
+      .select('codex_data')
+      .eq('story_id', storyId)
+      .maybeSingle();
+
+    if (!codex) return '';
+
+    return `<world_codex>
+  <instruction>
+    These are the RULES of this story's world. They are NON-NEGOTIABLE unless the plot
+    explicitly establishes a rule change. A chapter that contradicts one is a FAILED chapter.
+  </instruction>
+${buildCodexXml(codex.codex_data)}
+</world_codex>`;
+  } catch (err) {
+    console.error(`🌍 buildCodexContextBlock failed: ${err.message}`);
+    return '';
+  }
+}
+
 /**
  * Format codex data as readable XML for prompt injection.
  */
@@ -563,6 +579,7 @@ function buildCodexXml(codexData) {
 module.exports = {
   extractWorldStateLedger,
   buildWorldContextBlock,
+  buildCodexContextBlock,
   compressWorldLedgerEntry,
   mergeReaderPromises,
   buildCodexXml
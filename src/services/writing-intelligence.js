@@ -1,5 +1,5 @@
-const { anthropic } = require('../config/ai-clients');
 const { supabaseAdmin } = require('../config/supabase');
+const { callLLM } = require('./llm-provider');
 
 /**
  * Generate a writing intelligence snapshot from all dimension feedback data
@@ -97,24 +97,18 @@ async function generateWritingIntelligenceSnapshot() {
 
     // Calculate correction success rate
     // Logic: When reader said "slow" at checkpoint N, did they say "hooked" at checkpoint N+1?
-    // For chapter_2 → chapter_5, chapter_5 → chapter_8
+    // For chapter_2 → chapter_5, chapter_5 → chapter_8 in a standard book; the next checkpoint is
+    // whichever later checkpoint the same story has, so variable-length books work too
     let successfulCorrections = 0;
     let totalCorrections = 0;
 
-    // Map checkpoint names to next checkpoint
-    const checkpointSequence = {
-      'chapter_2': 'chapter_5',
-      'chapter_5': 'chapter_8'
-    };
+    const checkpointChapter = checkpoint => parseInt(String(checkpoint).replace('chapter_', ''), 10) || 0;
 
     group.rows.forEach(row => {
-      const nextCheckpoint = checkpointSequence[row.checkpoint];
-      if (!nextCheckpoint) return;
-
-      // Find if there's a next checkpoint for the same story
-      const nextFeedback = enrichedFeedback.find(
-        r => r.story_id === row.story_id && r.checkpoint === nextCheckpoint
-      );
+      // Find the next checkpoint for the same story
+      const nextFeedback = enrichedFeedback
+        .filter(r => r.story_id === row.story_id && checkpointChapter(r.checkpoint) > checkpointChapter(row.checkpoint))
+        .sort((a, b) => checkpointChapter(a.checkpoint) - checkpointChapter(b.checkpoint))[0];
 
       if (nextFeedback) {
         // Check if pacing correction worked
@@ -227,16 +221,13 @@ Example format:
 ["High 'too serious' rate (55%) suggests fantasy base prompts need more humor", "Strong correction success rate (78%) indicates course correction system is working", "Low abandonment (8%) at chapter_2 indicates strong initial engagement"]`;
 
     try {
-      const insightsResponse = await anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 64000,
-        messages: [{
-          role: 'user',
-          content: insightsPrompt
-        }]
+      const { text: insightsText } = await callLLM({
+        model: 'sonnet',
+        prompt: insightsPrompt,
+        maxTokens: 64000,
+        operation: 'writing_intelligence_insights',
+        costMetadata: { genre: group.genre, age_range: group.age_range, checkpoint: group.checkpoint }
       });
-
-      const insightsText = insightsResponse.content[0].text;
       let insights = [];
 
       try {
@@ -377,17 +368,13 @@ IMPORTANT:
 - Focus on actionable changes to generation prompts, not vague observations`;
 
   try {
-    const reportResponse = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 64000,
-      messages: [{
-        role: 'user',
-        content: reportPrompt
-      }]
+    const { text: reportText } = await callLLM({
+      model: 'sonnet',
+      prompt: reportPrompt,
+      maxTokens: 64000,
+      operation: 'writing_intelligence_report'
     });
 
-    const reportText = reportResponse.content[0].text;
-
     // Parse JSON from response
     let report;
     try {
@@ -0,0 +1,341 @@
+/**
+ * Minimal PDF writer
+ * Builds a PDF 1.4 file in memory for print exports: standard Type 1 fonts (no embedding) in
+ * WinAnsiEncoding, Flate-compressed content streams and PNG/JPEG image XObjects.
+ * Layout is up to the caller — pages are raw content-stream operators.
+ */
+
+const zlib = require('zlib');
+
+// Advance widths (1/1000 em) of character codes 32-126 in WinAnsiEncoding, from the Adobe AFMs
+const ASCII_WIDTHS = {
+  'Times-Roman': [
+    250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+    500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+    921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+    556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+    333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+    500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+  ],
+  'Helvetica': [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ]
+};
+
+// Typographic punctuation outside ASCII: WinAnsi code and width per font
+const PUNCTUATION = {
+  '‘': { code: 0x91, 'Times-Roman': 333, 'Helvetica': 222 },
+  '’': { code: 0x92, 'Times-Roman': 333, 'Helvetica': 222 },
+  '‚': { code: 0x82, 'Times-Roman': 333, 'Helvetica': 222 },
+  '“': { code: 0x93, 'Times-Roman': 444, 'Helvetica': 333 },
+  '”': { code: 0x94, 'Times-Roman': 444, 'Helvetica': 333 },
+  '„': { code: 0x84, 'Times-Roman': 444, 'Helvetica': 333 },
+  '•': { code: 0x95, 'Times-Roman': 350, 'Helvetica': 350 },
+  '–': { code: 0x96, 'Times-Roman': 500, 'Helvetica': 556 },
+  '—': { code: 0x97, 'Times-Roman': 1000, 'Helvetica': 1000 },
+  '…': { code: 0x85, 'Times-Roman': 1000, 'Helvetica': 1000 },
+  ' ': { code: 0xA0, 'Times-Roman': 250, 'Helvetica': 278 }
+};
+
+const FALLBACK_CHAR = '?';
+
+/**
+ * The character a font can actually draw: WinAnsi punctuation and Latin-1 letters as-is,
+ * other accented letters as their base letter, anything else as '?'
+ */
+function printableChar(ch) {
+  const code = ch.codePointAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF) || PUNCTUATION[ch]) return ch;
+  const base = ch.normalize('NFD')[0];
+  return base && base.codePointAt(0) >= 32 && base.codePointAt(0) <= 126 ? base : FALLBACK_CHAR;
+}
+
+/**
+ * Width of one character in 1/1000 em. Latin-1 letters take their base letter's width.
+ */
+function charWidth(ch, font) {
+  const widths = ASCII_WIDTHS[font];
+  const c = printableChar(ch);
+  const code = c.codePointAt(0);
+  if (code >= 32 && code <= 126) return widths[code - 32];
+  if (PUNCTUATION[c]) return PUNCTUATION[c][font];
+  const base = c.normalize('NFD')[0].codePointAt(0);
+  return base >= 32 && base <= 126 ? widths[base - 32] : widths['?'.codePointAt(0) - 32];
+}
+
+/**
+ * Width of a run of text in points
+ *
+ * @param {string} text
+ * @param {string} font - 'Times-Roman' or 'Helvetica'
+ * @param {number} size - Font size in points
+ * @param {object} [spacing] - Extra points per character (Tc) and per space (Tw), as drawn
+ */
+function textWidth(text, font, size, { charSpacing = 0, wordSpacing = 0 } = {}) {
+  let width = 0;
+  for (const ch of String(text)) {
+    width += charWidth(ch, font) * size / 1000 + charSpacing;
+    if (ch === ' ') width += wordSpacing;
+  }
+  return width;
+}
+
+/**
+ * Text as a PDF literal string in WinAnsiEncoding, e.g. (It\222s)
+ */
+function pdfString(text) {
+  let out = '(';
+  for (const ch of String(text)) {
+    const c = printableChar(ch);
+    const code = PUNCTUATION[c] ? PUNCTUATION[c].code : c.codePointAt(0);
+    if (c === '(' || c === ')' || c === '\\') out += `\\${c}`;
+    else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += c;
+  }
+  return `${out})`;
+}
+
+/**
+ * Text for the document information dictionary (UTF-16BE, so any title survives)
+ */
+function pdfTextString(text) {
+  const utf16 = Buffer.from(String(text), 'utf16le').swap16();
+  return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+}
+
+function pdfDate(date) {
+  return `(D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z)`;
+}
+
+/**
+ * Image XObject for a PNG (8-bit greyscale or RGB, with or without alpha, not interlaced).
+ * Alpha becomes a soft mask. Returns null for PNGs this writer can't place.
+ */
+function imageFromPng(buffer) {
+  if (buffer.length < 8 || buffer.readUInt32BE(0) !== 0x89504E47) return null;
+
+  let offset = 8;
+  let header = null;
+  const idat = [];
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || ![0, 2, 4, 6].includes(header.colorType)) {
+    return null;
+  }
+
+  const { width, height, colorType } = header;
+  const colors = colorType === 0 || colorType === 4 ? 1 : 3;
+  const colorSpace = colors === 1 ? '/DeviceGray' : '/DeviceRGB';
+  const compressed = Buffer.concat(idat);
+
+  // No alpha: the IDAT stream is already a Flate stream with PNG predictors
+  if (colorType === 0 || colorType === 2) {
+    return {
+      width,
+      height,
+      colorSpace,
+      filter: '/FlateDecode',
+      decodeParms: `<< /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+      data: compressed,
+      smask: null
+    };
+  }
+
+  // With alpha: undo the row filters and split colour from alpha
+  const bpp = colors + 1;
+  const stride = width * bpp;
+  const raw = zlib.inflateSync(compressed);
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bpp ? out[i - bpp] : 0;
+      const up = prev ? prev[i] : 0;
+      const upLeft = prev && i >= bpp ? prev[i - bpp] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[i] = (row[i] + predictor) & 0xFF;
+    }
+  }
+
+  const color = Buffer.alloc(width * height * colors);
+  const alpha = Buffer.alloc(width * height);
+  for (let p = 0; p < width * height; p++) {
+    pixels.copy(color, p * colors, p * bpp, p * bpp + colors);
+    alpha[p] = pixels[p * bpp + colors];
+  }
+
+  return {
+    width,
+    height,
+    colorSpace,
+    filter: '/FlateDecode',
+    decodeParms: null,
+    data: zlib.deflateSync(color),
+    smask: { width, height, data: zlib.deflateSync(alpha) }
+  };
+}
+
+/**
+ * Image XObject for a baseline or progressive JPEG (greyscale or RGB). Null otherwise.
+ */
+function imageFromJpeg(buffer) {
+  if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xFFD8) return null;
+
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      const components = buffer[offset + 9];
+      if (components !== 1 && components !== 3) return null;
+      return {
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+        colorSpace: components === 1 ? '/DeviceGray' : '/DeviceRGB',
+        filter: '/DCTDecode',
+        decodeParms: null,
+        data: buffer,
+        smask: null
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Build a PDF.
+ *
+ * @param {object} doc
+ * @param {{ width: number, height: number }} doc.pageSize - Points
+ * @param {Array<{ ops: string }>} doc.pages - Content stream operators per page
+ * @param {object} doc.fonts - Resource name → standard font, e.g. { F1: 'Times-Roman' }
+ * @param {object} [doc.images] - Resource name → imageFromPng/imageFromJpeg result
+ * @param {object} [doc.info] - { title, author, subject }
+ * @param {Date} [doc.created=new Date()]
+ * @returns {Buffer}
+ */
+function createPdf({ pageSize, pages, fonts, images = {}, info = {}, created = new Date() }) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const stream = (dict, data) => [Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'), data, Buffer.from('\nendstream', 'latin1')];
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+
+  const fontRefs = Object.entries(fonts).map(([name, baseFont]) =>
+    `/${name} ${addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`)} 0 R`);
+
+  const imageRefs = Object.entries(images).map(([name, image]) => {
+    const smaskId = image.smask
+      ? addObject(stream(`/Type /XObject /Subtype /Image /Width ${image.smask.width} /Height ${image.smask.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, image.smask.data))
+      : null;
+    const id = addObject(stream(
+      `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${image.colorSpace} /BitsPerComponent 8 /Filter ${image.filter}`
+        + (image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : '')
+        + (smaskId ? ` /SMask ${smaskId} 0 R` : ''),
+      image.data
+    ));
+    return `/${name} ${id} 0 R`;
+  });
+
+  const resourcesId = addObject(`<< /Font << ${fontRefs.join(' ')} >>${imageRefs.length ? ` /XObject << ${imageRefs.join(' ')} >>` : ''} >>`);
+
+  const pageIds = pages.map(page => {
+    const contentId = addObject(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.ops, 'latin1'))));
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${pageSize.width} ${pageSize.height}] /Resources ${resourcesId} 0 R /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const infoEntries = [
+    info.title && `/Title ${pdfTextString(info.title)}`,
+    info.author && `/Author ${pdfTextString(info.author)}`,
+    info.subject && `/Subject ${pdfTextString(info.subject)}`,
+    `/CreationDate ${pdfDate(created)}`
+  ].filter(Boolean);
+  const infoId = addObject(`<< ${infoEntries.join(' ')} >>`);
+
+  const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  let length = parts[0].length;
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(length);
+    const chunks = [
+      Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+      ...(Array.isArray(body) ? body : [Buffer.from(body, 'latin1')]),
+      Buffer.from('\nendobj\n', 'latin1')
+    ];
+    for (const chunk of chunks) {
+      parts.push(chunk);
+      length += chunk.length;
+    }
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+  parts.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  charWidth,
+  textWidth,
+  pdfString,
+  imageFromPng,
+  imageFromJpeg,
+  createPdf
+};
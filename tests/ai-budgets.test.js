@@ -0,0 +1,100 @@
+const {
+  periodStart,
+  periodReset,
+  assessBudget,
+  resolveBudgets,
+  matchingOverrides
+} = require('../src/services/ai-budgets');
+
+describe('AI Budgets', () => {
+  const now = new Date('2026-03-15T18:30:00Z');
+
+  describe('periods', () => {
+    test('daily budgets run from UTC midnight to the next', () => {
+      expect(periodStart('daily', now).toISOString()).toBe('2026-03-15T00:00:00.000Z');
+      expect(periodReset('daily', now).toISOString()).toBe('2026-03-16T00:00:00.000Z');
+    });
+
+    test('monthly budgets run from the 1st to the next 1st', () => {
+      expect(periodStart('monthly', now).toISOString()).toBe('2026-03-01T00:00:00.000Z');
+      expect(periodReset('monthly', now).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+    });
+
+    test('monthly reset rolls over the year', () => {
+      expect(periodReset('monthly', new Date('2026-12-20T00:00:00Z')).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('assessBudget', () => {
+    test('ok below the soft limit', () => {
+      const result = assessBudget({ limitUsd: 10, softLimitRatio: 0.8, spentUsd: 5 });
+      expect(result.status).toBe('ok');
+      expect(result.remainingUsd).toBe(5);
+    });
+
+    test('warns past the soft limit', () => {
+      expect(assessBudget({ limitUsd: 10, softLimitRatio: 0.8, spentUsd: 8 }).status).toBe('warning');
+    });
+
+    test('exceeded at the hard limit', () => {
+      const result = assessBudget({ limitUsd: 10, spentUsd: 10.5 });
+      expect(result.status).toBe('exceeded');
+      expect(result.remainingUsd).toBe(0);
+    });
+
+    test('Postgres DECIMAL strings are handled', () => {
+      expect(assessBudget({ limitUsd: '10.00', softLimitRatio: '0.80', spentUsd: '9.1' }).status).toBe('warning');
+    });
+
+    test('overrides raise the limit', () => {
+      const result = assessBudget({ limitUsd: 10, spentUsd: 12, overrides: [{ extra_usd: 5 }] });
+      expect(result.status).toBe('warning');
+      expect(result.limitUsd).toBe(15);
+      expect(result.overridden).toBe(true);
+    });
+
+    test('an override without extra_usd lifts the limit', () => {
+      const result = assessBudget({ limitUsd: 10, spentUsd: 500, overrides: [{ extra_usd: 5 }, { extra_usd: null }] });
+      expect(result.status).toBe('ok');
+      expect(result.limitUsd).toBeNull();
+    });
+  });
+
+  describe('resolveBudgets', () => {
+    const budgets = [
+      { scope: 'user', scope_id: null, period: 'daily', limit_usd: 25 },
+      { scope: 'user', scope_id: null, period: 'monthly', limit_usd: 150 },
+      { scope: 'user', scope_id: 'user-1', period: 'monthly', limit_usd: 500 },
+      { scope: 'story', scope_id: 'story-1', period: 'daily', limit_usd: 5, enabled: false }
+    ];
+
+    test('a budget for the exact target beats the scope default', () => {
+      const resolved = resolveBudgets(budgets, 'user', 'user-1');
+      expect(resolved.monthly.limit_usd).toBe(500);
+      expect(resolved.daily.limit_usd).toBe(25);
+    });
+
+    test('other targets fall back to the default', () => {
+      expect(resolveBudgets(budgets, 'user', 'user-2').monthly.limit_usd).toBe(150);
+    });
+
+    test('disabled budgets are ignored', () => {
+      expect(resolveBudgets(budgets, 'story', 'story-1')).toEqual({});
+    });
+  });
+
+  describe('matchingOverrides', () => {
+    const overrides = [
+      { scope: 'user', scope_id: 'user-1', extra_usd: 10, expires_at: '2026-03-16T00:00:00Z' },
+      { scope: 'user', scope_id: 'user-1', extra_usd: 10, expires_at: '2026-03-15T00:00:00Z' },
+      { scope: 'user', scope_id: 'user-2', extra_usd: 10, expires_at: '2026-03-16T00:00:00Z' },
+      { scope: 'global', scope_id: null, extra_usd: null, expires_at: '2026-03-16T00:00:00Z' }
+    ];
+
+    test('only unexpired overrides for the same target apply', () => {
+      expect(matchingOverrides(overrides, 'user', 'user-1', now)).toHaveLength(1);
+      expect(matchingOverrides(overrides, 'global', null, now)).toHaveLength(1);
+      expect(matchingOverrides(overrides, 'story', 'story-1', now)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+// book_exports stand-in: the pending row never leaves 'queued'; updates return mockExports.updateError
+const mockExports = { row: null, updateError: null, updates: [] };
+jest.mock('../src/config/supabase', () => {
+  const builder = (table) => {
+    const query = {};
+    let update = null;
+    for (const method of ['select', 'eq', 'in', 'order', 'limit']) query[method] = () => query;
+    query.update = (values) => { update = values; return query; };
+    query.single = () => query;
+    query.maybeSingle = () => query;
+    query.then = (resolve) => {
+      if (update) {
+        mockExports.updates.push(update.status);
+        return resolve({ data: null, error: mockExports.updateError });
+      }
+      return resolve({ data: table === 'book_exports' ? mockExports.row : null, error: null });
+    };
+    return query;
+  };
+  return { supabaseAdmin: { from: builder } };
+});
+
+const { crc32, createZip, readZip } = require('../src/utils/zip');
+const {
+  EPUB_MIME_TYPE,
+  escapeXml,
+  textToXhtml,
+  dedupeChapters,
+  buildEpub,
+  exportAccessError,
+  exportFileName,
+  exportRequestError,
+  renderExportFile,
+  runPendingExports
+} = require('../src/services/book-export');
+
+describe('Book Export', () => {
+  describe('zip', () => {
+    test('crc32 matches the standard check value', () => {
+      expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+      expect(crc32(Buffer.alloc(0))).toBe(0);
+    });
+
+    test('entries round-trip, stored or deflated', () => {
+      const zip = createZip([
+        { name: 'a.txt', data: 'plain', store: true },
+        { name: 'dir/b.txt', data: 'squeeze '.repeat(50) },
+        { name: 'ü.bin', data: Buffer.from([0, 1, 2, 255]) }
+      ]);
+      const files = readZip(zip);
+      expect(Object.keys(files)).toEqual(['a.txt', 'dir/b.txt', 'ü.bin']);
+      expect(files['a.txt'].toString()).toBe('plain');
+      expect(files['dir/b.txt'].toString()).toBe('squeeze '.repeat(50));
+      expect([...files['ü.bin']]).toEqual([0, 1, 2, 255]);
+      // End of central directory record
+      expect(zip.readUInt32LE(zip.length - 22)).toBe(0x06054B50);
+      expect(zip.readUInt16LE(zip.length - 12)).toBe(3);
+    });
+  });
+
+  test('textToXhtml makes paragraphs, scene breaks and emphasis safe for XHTML', () => {
+    const html = textToXhtml('Mara ran.\nThe <bell> rang & rang.\n\n* * *\n\nShe *knew*.');
+    expect(html).toBe([
+      '<p>Mara ran.<br/>\nThe &lt;bell&gt; rang &amp; rang.</p>',
+      '<hr class="scene-break"/>',
+      '<p>She <em>knew</em>.</p>'
+    ].join('\n'));
+    expect(textToXhtml(null)).toBe('');
+    expect(escapeXml(`"it's"`)).toBe('&quot;it&apos;s&quot;');
+  });
+
+  test('dedupeChapters keeps the first row per chapter number, in order', () => {
+    const chapters = dedupeChapters([
+      { chapter_number: 2, title: 'Two' },
+      { chapter_number: 1, title: 'One' },
+      { chapter_number: 2, title: 'Two again' }
+    ]);
+    expect(chapters.map(c => c.title)).toEqual(['One', 'Two']);
+  });
+
+  describe('buildEpub', () => {
+    const book = {
+      story: { id: '0b7c6a5e-1111-2222-3333-444455556666', title: 'Bells & Tides', genre: 'fantasy' },
+      chapters: [
+        { chapter_number: 2, title: 'The Tide Turns', content: 'Second.' },
+        { chapter_number: 1, title: 'Salt', content: 'First paragraph.\n\nSecond paragraph.' }
+      ],
+      authorName: 'Mara Quill',
+      series: { name: 'The Drowned Bells', book_number: 2 },
+      cover: { data: Buffer.from([0x89, 0x50, 0x4E, 0x47]), contentType: 'image/png' },
+      forkedFrom: null,
+      modified: new Date('2026-03-04T05:06:07.890Z')
+    };
+
+    test('starts with the stored mimetype and points at the package document', () => {
+      const epub = buildEpub(book);
+      expect(epub.toString('latin1', 30, 38)).toBe('mimetype');
+      expect(epub.readUInt16LE(8)).toBe(0);
+      const files = readZip(epub);
+      expect(Object.keys(files)[0]).toBe('mimetype');
+      expect(files.mimetype.toString()).toBe(EPUB_MIME_TYPE);
+      expect(files['META-INF/container.xml'].toString()).toContain('full-path="OEBPS/content.opf"');
+    });
+
+    test('package document carries metadata, series, cover and reading order', () => {
+      const opf = readZip(buildEpub(book))['OEBPS/content.opf'].toString();
+      expect(opf).toContain('<dc:identifier id="book-id">urn:uuid:0b7c6a5e-1111-2222-3333-444455556666</dc:identifier>');
+      expect(opf).toContain('<dc:title>Bells &amp; Tides</dc:title>');
+      expect(opf).toContain('<dc:creator id="author">Mara Quill</dc:creator>');
+      expect(opf).toContain('<meta property="dcterms:modified">2026-03-04T05:06:07Z</meta>');
+      expect(opf).toContain('<meta property="belongs-to-collection" id="series">The Drowned Bells</meta>');
+      expect(opf).toContain('<meta refines="#series" property="group-position">2</meta>');
+      expect(opf).toContain('properties="cover-image"');
+      const spine = opf.slice(opf.indexOf('<spine>'));
+      expect(spine.indexOf('idref="chapter-1"')).toBeLessThan(spine.indexOf('idref="chapter-2"'));
+    });
+
+    test('title page, contents and chapters are XHTML', () => {
+      const files = readZip(buildEpub(book));
+      expect(files['OEBPS/images/cover.png']).toBeDefined();
+      expect(files['OEBPS/title.xhtml'].toString()).toContain('<p class="author">Mara Quill</p>');
+      expect(files['OEBPS/title.xhtml'].toString()).toContain('The Drowned Bells — Book 2');
+      const nav = files['OEBPS/nav.xhtml'].toString();
+      expect(nav).toContain('epub:type="toc"');
+      expect(nav).toContain('<a href="chapter-1.xhtml">Chapter 1: Salt</a>');
+      const chapter = files['OEBPS/chapter-1.xhtml'].toString();
+      expect(chapter).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+      expect(chapter).toContain('<p>First paragraph.</p>\n<p>Second paragraph.</p>');
+    });
+
+    test('works without a cover or series, and credits a fork\'s original', () => {
+      const files = readZip(buildEpub({
+        ...book,
+        cover: null,
+        series: null,
+        forkedFrom: { original_title: 'Bells', author_display_name: 'Quiet Heron' }
+      }));
+      expect(files['OEBPS/cover.xhtml']).toBeUndefined();
+      expect(files['OEBPS/content.opf'].toString()).not.toContain('belongs-to-collection');
+      expect(files['OEBPS/title.xhtml'].toString()).toContain('Continued from <em>Bells</em> by Quiet Heron');
+    });
+  });
+
+  test('exportAccessError: owners export finished books, shelf readers only while published', () => {
+    const story = { user_id: 'author', whispernet_published: true };
+    const active = { is_active: true };
+    expect(exportAccessError({ story, publication: null, userId: 'author', complete: true })).toBeNull();
+    expect(exportAccessError({ story, publication: active, userId: 'reader', complete: true })).toBeNull();
+    expect(exportAccessError({ story, publication: { is_active: false }, userId: 'reader', complete: true }).status).toBe(403);
+    expect(exportAccessError({ story, publication: active, userId: 'author', complete: false }).status).toBe(409);
+  });
+
+  test('exportFileName keeps a readable, header-safe title', () => {
+    expect(exportFileName('Bells & Tides: "Book" Two', 'epub')).toBe('Bells-Tides-Book-Two.epub');
+    expect(exportFileName('Café', 'epub')).toBe('Cafe.epub');
+    expect(exportFileName('', 'epub')).toBe('story.epub');
+  });
+
+  test('exportRequestError checks the format and PDF-only options', () => {
+    expect(exportRequestError({ format: 'pdf' })).toBeNull();
+    expect(exportRequestError({ format: 'pdf', trimSize: 'digest', largePrint: true })).toBeNull();
+    expect(exportRequestError({ format: 'docx' })).toBeNull();
+    expect(exportRequestError({ format: 'rtf' })).toMatch(/format must be one of: pdf, docx, markdown, epub/);
+    expect(exportRequestError({ format: 'markdown', largePrint: true })).toMatch(/only apply to PDF/);
+    expect(exportRequestError({ format: 'pdf', trimSize: 'poster' })).toMatch(/trimSize must be one of/);
+    expect(exportRequestError({ format: 'pdf', largePrint: 'yes' })).toMatch(/true or false/);
+  });
+
+  test('renderExportFile renders each format', () => {
+    const book = {
+      story: { id: 'story-1', title: 'Bells' },
+      chapters: [{ chapter_number: 1, title: 'Salt', content: 'Mara rang the bell.' }],
+      authorName: 'Mara Quill'
+    };
+    expect(renderExportFile('pdf', book).toString('latin1', 0, 5)).toBe('%PDF-');
+    expect(readZip(renderExportFile('docx', book))['word/document.xml']).toBeDefined();
+    expect(renderExportFile('markdown', book).toString()).toContain('## Chapter 1: Salt');
+    expect(readZip(renderExportFile('epub', book)).mimetype.toString()).toBe(EPUB_MIME_TYPE);
+    expect(() => renderExportFile('rtf', book)).toThrow('Unknown export format');
+  });
+
+  describe('runPendingExports', () => {
+    beforeEach(() => {
+      mockExports.row = { id: 'export-1', story_id: 'story-1', user_id: 'user-1', format: 'pdf', status: 'queued' };
+      mockExports.updates = [];
+    });
+
+    test('stops when an export\'s status can\'t be written', async () => {
+      mockExports.updateError = { message: 'connection reset' };
+      await expect(runPendingExports('story-1')).rejects.toThrow('Failed to mark export export-1 rendering: connection reset');
+      expect(mockExports.updates).toEqual(['rendering']);
+    });
+
+    test('renders each export once per run even if it stays pending', async () => {
+      mockExports.updateError = null;
+      await expect(runPendingExports('story-1')).rejects.toThrow('Export export-1 is still queued after rendering');
+      expect(mockExports.updates).toEqual(['rendering', 'failed']);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const {
+  STANDARD_PLAN,
+  resolveBookLength,
+  chapterCountForLength,
+  buildBookPlan,
+  planFromArc,
+  checkpointNames,
+  feedbackCheckpointNames,
+  normalizeCheckpoint,
+  batchForCheckpoint,
+  batchEndingAt,
+  describeCheckpoint,
+  completionStep,
+  stepAfterBatch,
+  awaitingStepForChaptersGenerated,
+  latestCheckpointForChapterCount,
+  checkpointForStep
+} = require('../src/services/book-plan');
+
+describe('Book Plan', () => {
+  const novella = buildBookPlan(6);
+  const epic = buildBookPlan(24);
+
+  describe('buildBookPlan', () => {
+    test('standard plan keeps the original 12-chapter schedule', () => {
+      expect(STANDARD_PLAN.book_length).toBe('standard');
+      expect(STANDARD_PLAN.batches).toEqual([
+        { start: 1, end: 3, checkpoint: null },
+        { start: 4, end: 6, checkpoint: 'chapter_2' },
+        { start: 7, end: 9, checkpoint: 'chapter_5' },
+        { start: 10, end: 12, checkpoint: 'chapter_8' }
+      ]);
+      expect(STANDARD_PLAN.pre_classify_after_chapter).toBe(9);
+    });
+
+    test('novella has a single checkpoint', () => {
+      expect(novella.book_length).toBe('novella');
+      expect(checkpointNames(novella)).toEqual(['chapter_2']);
+      expect(novella.pre_classify_after_chapter).toBe(3);
+    });
+
+    test('epic spreads three checkpoints across longer batches', () => {
+      expect(epic.batches.map(b => [b.start, b.end])).toEqual([[1, 3], [4, 10], [11, 17], [18, 24]]);
+      expect(checkpointNames(epic)).toEqual(['chapter_2', 'chapter_9', 'chapter_16']);
+    });
+
+    test('chapter counts are clamped', () => {
+      expect(buildBookPlan(1).total_chapters).toBe(4);
+      expect(buildBookPlan(100).total_chapters).toBe(30);
+      expect(buildBookPlan(9).book_length).toBe('custom');
+    });
+  });
+
+  describe('book lengths', () => {
+    test('unknown lengths are rejected', () => {
+      expect(resolveBookLength('EPIC')).toBe('epic');
+      expect(resolveBookLength('trilogy')).toBeNull();
+      expect(chapterCountForLength('trilogy')).toBe(12);
+    });
+
+    test('arcs without a stored plan use their chapter count', () => {
+      expect(planFromArc(null)).toBe(STANDARD_PLAN);
+      expect(planFromArc({ chapters: new Array(6).fill({}) }).total_chapters).toBe(6);
+      expect(planFromArc({ book_plan: epic, chapters: [] })).toBe(epic);
+    });
+  });
+
+  describe('checkpoints', () => {
+    test('legacy names only map in standard books', () => {
+      expect(normalizeCheckpoint(STANDARD_PLAN, 'chapter_9')).toBe('chapter_8');
+      expect(normalizeCheckpoint(epic, 'chapter_9')).toBe('chapter_9');
+      expect(feedbackCheckpointNames(STANDARD_PLAN)).toContain('chapter_6');
+      expect(feedbackCheckpointNames(epic)).toEqual(['chapter_2', 'chapter_9', 'chapter_16']);
+    });
+
+    test('each checkpoint unlocks its batch', () => {
+      expect(batchForCheckpoint(STANDARD_PLAN, 'chapter_5')).toEqual({ startChapter: 7, endChapter: 9 });
+      expect(batchForCheckpoint(epic, 'chapter_9')).toEqual({ startChapter: 11, endChapter: 17 });
+      expect(batchForCheckpoint(novella, 'chapter_5')).toBeNull();
+      expect(batchEndingAt(epic, 10).start).toBe(4);
+      expect(batchEndingAt(epic, 11)).toBeNull();
+    });
+
+    test('describeCheckpoint reports position in the book', () => {
+      expect(describeCheckpoint(STANDARD_PLAN, 'chapter_5')).toMatchObject({ chapter: 5, number: 2, position: 'middle' });
+      expect(describeCheckpoint(STANDARD_PLAN, 'chapter_8').label).toBe('CHECKPOINT 3 (after Ch 8)');
+      expect(describeCheckpoint(novella, 'chapter_2').position).toBe('first');
+    });
+  });
+
+  describe('generation steps', () => {
+    test('stepAfterBatch awaits the next checkpoint, then completes', () => {
+      expect(stepAfterBatch(STANDARD_PLAN, 3)).toBe('awaiting_chapter_2_feedback');
+      expect(stepAfterBatch(STANDARD_PLAN, 9)).toBe('awaiting_chapter_8_feedback');
+      expect(stepAfterBatch(STANDARD_PLAN, 12)).toBe('chapter_12_complete');
+      expect(stepAfterBatch(novella, 6)).toBe(completionStep(novella));
+    });
+
+    test('chapter counts map to the checkpoint being awaited', () => {
+      expect(awaitingStepForChaptersGenerated(epic, 10)).toBe('awaiting_chapter_9_feedback');
+      expect(awaitingStepForChaptersGenerated(epic, 18)).toBe('chapter_24_complete');
+      expect(latestCheckpointForChapterCount(STANDARD_PLAN, 2)).toBeNull();
+      expect(latestCheckpointForChapterCount(STANDARD_PLAN, 7)).toBe('chapter_5');
+    });
+
+    test('checkpointForStep reads awaiting and generating steps', () => {
+      expect(checkpointForStep(STANDARD_PLAN, 'awaiting_chapter_8_feedback')).toBe('chapter_8');
+      expect(checkpointForStep(STANDARD_PLAN, 'generating_chapter_7')).toBe('chapter_5');
+      expect(checkpointForStep(epic, 'generating_chapter_18')).toBe('chapter_16');
+      expect(checkpointForStep(STANDARD_PLAN, '')).toBe('chapter_2');
+    });
+  });
+});
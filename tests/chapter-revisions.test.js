@@ -0,0 +1,65 @@
+const {
+  diffText,
+  diffStats,
+  mapOffset,
+  paragraphStarts,
+  remapParagraphIndex
+} = require('../src/services/chapter-revisions');
+
+describe('Chapter Revisions', () => {
+  const before = 'The fox ran.\n\nMara had blue eyes and a red coat.\n\nThe end came.';
+  const after = 'The fox ran.\n\nMara had green eyes and a red coat.\n\nA new paragraph.\n\nThe end came.';
+
+  describe('diffText', () => {
+    test('identical texts are one equal op', () => {
+      expect(diffText(before, before)).toEqual([{ type: 'equal', text: before }]);
+    });
+
+    test('a replaced word is a delete followed by an insert', () => {
+      const ops = diffText(before, after);
+      expect(ops.slice(0, 3)).toEqual([
+        { type: 'equal', text: 'The fox ran.\n\nMara had ' },
+        { type: 'delete', text: 'blue' },
+        { type: 'insert', text: 'green' }
+      ]);
+      expect(diffStats(ops)).toEqual({ wordsAdded: 4, wordsRemoved: 1 });
+    });
+
+    test('ops rebuild both texts', () => {
+      const ops = diffText(before, after);
+      expect(ops.filter(o => o.type !== 'insert').map(o => o.text).join('')).toBe(before);
+      expect(ops.filter(o => o.type !== 'delete').map(o => o.text).join('')).toBe(after);
+    });
+  });
+
+  describe('mapOffset', () => {
+    const ops = diffText(before, after);
+
+    test('a highlight on replaced text covers the replacement', () => {
+      const start = before.indexOf('blue');
+      expect(after.slice(mapOffset(ops, start), mapOffset(ops, start + 4))).toBe('green');
+    });
+
+    test('offsets after an edit shift by the length change', () => {
+      const start = before.indexOf('red coat');
+      expect(mapOffset(ops, start)).toBe(after.indexOf('red coat'));
+      expect(mapOffset(ops, before.indexOf('The end'))).toBe(after.indexOf('The end'));
+    });
+  });
+
+  describe('paragraphs', () => {
+    test('paragraph starts skip blank lines', () => {
+      expect(paragraphStarts('One.\n\n\n  Two.\n\nThree.')).toEqual([0, 9, 15]);
+    });
+
+    test('a bookmark follows its paragraph past an inserted one', () => {
+      const ops = diffText(before, after);
+      expect(remapParagraphIndex(before, after, ops, 1)).toBe(1);
+      expect(remapParagraphIndex(before, after, ops, 2)).toBe(3);
+    });
+
+    test('out-of-range bookmarks are left alone', () => {
+      expect(remapParagraphIndex(before, after, diffText(before, after), 7)).toBe(7);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// A retried rewrite job: its previous attempt stored the revision, then died
+const mockDb = { updates: [], revision: null };
+jest.mock('../src/config/supabase', () => {
+  const rows = {
+    stories: () => ({ id: 'story-1', title: 'The Drowned Bells', generation_config: {} }),
+    chapter_revisions: () => mockDb.revision,
+    chapters: (columns) => columns === 'id, metadata'
+      ? { id: 'chapter-4', metadata: { key_events: ['Kael finds the vault'] } }
+      : columns === 'metadata, current_revision'
+        ? { metadata: mockDb.updates[0]?.payload.metadata || {}, current_revision: 3 }
+        : []
+  };
+  return {
+    supabaseAdmin: {
+      from: (table) => {
+        let columns = null;
+        let payload = null;
+        const query = {};
+        for (const method of ['eq', 'gt', 'lte', 'order', 'single', 'maybeSingle']) query[method] = () => query;
+        query.select = (cols) => { columns = columns || cols; return query; };
+        query.update = (row) => { payload = row; columns = 'updated'; return query; };
+        query.then = (resolve) => {
+          if (payload) {
+            mockDb.updates.push({ table, payload });
+            return resolve({ data: { id: 'chapter-4', ...payload }, error: null });
+          }
+          return resolve({ data: rows[table](columns), error: null });
+        };
+        return query;
+      }
+    }
+  };
+});
+jest.mock('../src/services/generation', () => ({
+  generateChapter: jest.fn(),
+  clearChapterLedgers: jest.fn()
+}));
+
+const {
+  MAX_INSTRUCTIONS_LENGTH,
+  normalizeInstructions,
+  keyEventsChanged,
+  rewriteChangedPlot,
+  rewriteChapter
+} = require('../src/services/chapter-rewrite');
+const { generateChapter } = require('../src/services/generation');
+
+describe('Chapter Rewrite', () => {
+  describe('normalizeInstructions', () => {
+    test('collapses whitespace', () => {
+      expect(normalizeInstructions('  less   gore,\n more banter ')).toBe('less gore, more banter');
+    });
+
+    test('rejects empty, too short and too long instructions', () => {
+      expect(normalizeInstructions(undefined)).toBeNull();
+      expect(normalizeInstructions('   ')).toBeNull();
+      expect(normalizeInstructions('no')).toBeNull();
+      expect(normalizeInstructions('a'.repeat(MAX_INSTRUCTIONS_LENGTH + 1))).toBeNull();
+    });
+  });
+
+  describe('keyEventsChanged', () => {
+    const events = [
+      'Kael discovers the hidden vault beneath the library',
+      { event: 'Mira betrays the council to save her brother' }
+    ];
+
+    test('reworded events are the same plot', () => {
+      expect(keyEventsChanged(events, [
+        'Beneath the library, Kael discovers a hidden vault',
+        'To save her brother, Mira betrays the council'
+      ])).toBe(false);
+    });
+
+    test('a replaced or dropped event is a plot change', () => {
+      expect(keyEventsChanged(events, [
+        'Kael discovers the hidden vault beneath the library',
+        'Mira refuses the council and flees the city'
+      ])).toBe(true);
+      expect(keyEventsChanged(events, [events[0]])).toBe(true);
+    });
+
+    test('nothing recorded before means nothing to invalidate', () => {
+      expect(keyEventsChanged([], ['Anything at all happens'])).toBe(false);
+    });
+  });
+
+  describe('rewriteChangedPlot', () => {
+    test("the model's own answer wins", () => {
+      expect(rewriteChangedPlot(['Kael finds the vault'], { plot_changed: false, key_events: ['Something else'] })).toBe(false);
+      expect(rewriteChangedPlot(['Kael finds the vault'], { plot_changed: true, key_events: ['Kael finds the vault'] })).toBe(true);
+    });
+
+    test('falls back to comparing key events', () => {
+      expect(rewriteChangedPlot(['Kael finds the vault'], { key_events: ['Mira burns the ship'] })).toBe(true);
+    });
+  });
+
+  describe('rewriteChapter', () => {
+    beforeEach(() => {
+      mockDb.updates = [];
+    });
+
+    test('a retried job re-applies the stored title and metadata without rewriting again', async () => {
+      const chapterUpdate = {
+        title: 'The Other Vault',
+        quality_score: 8.2,
+        metadata: { key_events: ['Kael finds the vault'], plot_changed: false, rewrite_instructions: 'less gore' }
+      };
+      mockDb.revision = {
+        revision_number: 3,
+        metadata: { job_id: 'job-1', previous_key_events: ['Kael finds the vault'], chapter_update: chapterUpdate }
+      };
+
+      const result = await rewriteChapter('story-1', 4, 'user-1', 'less gore', { jobId: 'job-1' });
+
+      expect(generateChapter).not.toHaveBeenCalled();
+      expect(mockDb.updates).toEqual([{ table: 'chapters', payload: chapterUpdate }]);
+      expect(result).toMatchObject({ chapterId: 'chapter-4', revisionNumber: 3, plotChanged: false });
+    });
+
+    test('revisions stored before chapter_update was kept are resumed as before', async () => {
+      mockDb.revision = { revision_number: 2, metadata: { job_id: 'job-2' } };
+
+      await rewriteChapter('story-1', 4, 'user-1', 'less gore', { jobId: 'job-2' });
+
+      expect(generateChapter).not.toHaveBeenCalled();
+      expect(mockDb.updates).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const {
+  validateExperiment,
+  generationStarted,
+  inCohort,
+  pickVariant,
+  applyAssignments,
+  summarizeExperiment
+} = require('../src/services/experiments');
+
+describe('Experiments', () => {
+  const experiment = (overrides = {}) => ({
+    id: 'exp-1',
+    name: 'voice_review_off',
+    status: 'running',
+    variants: [
+      { name: 'control', weight: 50, config: {} },
+      { name: 'no_voice_review', weight: 50, config: { voice_review: false } }
+    ],
+    targeting: {},
+    ...overrides
+  });
+
+  describe('validateExperiment', () => {
+    test('accepts a well-formed experiment', () => {
+      expect(validateExperiment(experiment({ targeting: { percentage: 20, genres: ['fantasy'] } }))).toBeNull();
+    });
+
+    test('rejects bad names, too few variants and bad weights', () => {
+      expect(validateExperiment(experiment({ name: 'Voice Review' }))).toMatch(/slug/);
+      expect(validateExperiment(experiment({ variants: [{ name: 'control', weight: 1 }] }))).toMatch(/two variants/);
+      expect(validateExperiment(experiment({
+        variants: [{ name: 'a', weight: 1 }, { name: 'b', weight: 0 }]
+      }))).toMatch(/positive weight/);
+      expect(validateExperiment(experiment({
+        variants: [{ name: 'a', weight: 1 }, { name: 'a', weight: 1 }]
+      }))).toMatch(/duplicate/);
+    });
+
+    test('only allows known flags with boolean values', () => {
+      expect(validateExperiment(experiment({
+        variants: [{ name: 'a', weight: 1 }, { name: 'b', weight: 1, config: { model: 'haiku' } }]
+      }))).toMatch(/unknown flag "model"/);
+      expect(validateExperiment(experiment({
+        variants: [{ name: 'a', weight: 1 }, { name: 'b', weight: 1, config: { voice_review: 'off' } }]
+      }))).toMatch(/true or false/);
+    });
+
+    test('prose_directive can only be turned off', () => {
+      const withDirective = (value) => experiment({
+        variants: [{ name: 'a', weight: 1 }, { name: 'b', weight: 1, config: { prose_directive: value } }]
+      });
+      expect(validateExperiment(withDirective(false))).toBeNull();
+      expect(validateExperiment(withDirective(true))).toMatch(/"prose_directive" can only be set to false/);
+    });
+
+    test('checks the targeting percentage', () => {
+      expect(validateExperiment(experiment({ targeting: { percentage: 120 } }))).toMatch(/percentage/);
+    });
+  });
+
+  describe('cohorts and variants', () => {
+    const users = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+
+    test('targeting lists must match, case-insensitively for genre', () => {
+      const targeted = experiment({ targeting: { reading_levels: ['young_adult'], genres: ['Fantasy'] } });
+      expect(inCohort(targeted, 'u', { readingLevel: 'young_adult', genre: 'fantasy' })).toBe(true);
+      expect(inCohort(targeted, 'u', { readingLevel: 'adult', genre: 'fantasy' })).toBe(false);
+      expect(inCohort(targeted, 'u', { readingLevel: 'young_adult', genre: null })).toBe(false);
+    });
+
+    test('percentage admits roughly that share of users, stably', () => {
+      const partial = experiment({ targeting: { percentage: 25 } });
+      const admitted = users.filter(u => inCohort(partial, u)).length;
+      expect(admitted / users.length).toBeGreaterThan(0.2);
+      expect(admitted / users.length).toBeLessThan(0.3);
+      expect(users.filter(u => inCohort(partial, u)).length).toBe(admitted);
+      expect(inCohort(experiment({ targeting: { percentage: 0 } }), 'user-1')).toBe(false);
+    });
+
+    test('variants split by weight and the same user always gets the same one', () => {
+      const weighted = experiment({
+        variants: [{ name: 'control', weight: 3, config: {} }, { name: 'treatment', weight: 1, config: { voice_review: false } }]
+      });
+      const treated = users.filter(u => pickVariant(weighted, u).name === 'treatment').length;
+      expect(treated / users.length).toBeGreaterThan(0.2);
+      expect(treated / users.length).toBeLessThan(0.3);
+      expect(pickVariant(weighted, 'user-7')).toBe(pickVariant(weighted, 'user-7'));
+    });
+  });
+
+  describe('applyAssignments', () => {
+    test('merges flags and records the variant per experiment', () => {
+      const exp = experiment();
+      const { config, applied } = applyAssignments({ prompt_versions: { x: 1 } }, [
+        { experiment: exp, variant: exp.variants[1] }
+      ]);
+      expect(config).toEqual({
+        prompt_versions: { x: 1 },
+        voice_review: false,
+        experiments: { voice_review_off: 'no_voice_review' }
+      });
+      expect(applied).toHaveLength(1);
+    });
+
+    test('skips a later experiment that sets a flag an earlier one already set', () => {
+      const first = experiment();
+      const second = experiment({
+        name: 'lean_pipeline',
+        variants: [{ name: 'lean', weight: 1, config: { voice_review: true, world_ledger: false } }, { name: 'control', weight: 1, config: {} }]
+      });
+      const { config, skipped } = applyAssignments({}, [
+        { experiment: first, variant: first.variants[1] },
+        { experiment: second, variant: second.variants[0] }
+      ]);
+      expect(config.voice_review).toBe(false);
+      expect(config.world_ledger).toBeUndefined();
+      expect(config.experiments).toEqual({ voice_review_off: 'no_voice_review' });
+      expect(skipped[0].reason).toMatch(/voice_review/);
+    });
+
+    test('never writes true over the prose directive', () => {
+      const saved = experiment({
+        name: 'directive_on',
+        variants: [{ name: 'on', weight: 1, config: { prose_directive: true } }, { name: 'control', weight: 1, config: {} }]
+      });
+      const directive = { author_identity: 'A salt-stained chronicler' };
+      const { config, applied, skipped } = applyAssignments({ prose_directive: directive }, [
+        { experiment: saved, variant: saved.variants[0] }
+      ]);
+      expect(config.prose_directive).toBe(directive);
+      expect(config.experiments).toEqual({});
+      expect(applied).toHaveLength(0);
+      expect(skipped[0].reason).toMatch(/can only be set to false/);
+    });
+  });
+
+  describe('generationStarted', () => {
+    test('only a story with no arc and no chapters can still be enrolled', () => {
+      expect(generationStarted({ generation_progress: { bible_complete: true } }, 0)).toBe(false);
+      expect(generationStarted({ generation_progress: null })).toBe(false);
+      expect(generationStarted({ current_arc_id: 'arc-1' }, 0)).toBe(true);
+      expect(generationStarted({ generation_progress: { arc_complete: true } }, 0)).toBe(true);
+      expect(generationStarted({ generation_progress: { chapters_generated: 2 } }, 0)).toBe(true);
+      expect(generationStarted({ generation_progress: {} }, 1)).toBe(true);
+    });
+  });
+
+  describe('summarizeExperiment', () => {
+    test('aggregates quality, engagement and cost per variant against the control', () => {
+      const report = summarizeExperiment(experiment(), {
+        stories: [
+          { story_id: 's1', user_id: 'u1', variant: 'control' },
+          { story_id: 's2', user_id: 'u2', variant: 'control' },
+          { story_id: 's3', user_id: 'u3', variant: 'no_voice_review' }
+        ],
+        snapshots: [
+          { story_id: 's1', snapshot_date: '2026-01-01', ai_quality_avg: 6, completion_rate: 0.5 },
+          { story_id: 's1', snapshot_date: '2026-02-01', ai_quality_avg: 8, completion_rate: 1 },
+          { story_id: 's2', snapshot_date: '2026-02-01', ai_quality_avg: 7, completion_rate: 0.5 },
+          { story_id: 's3', snapshot_date: '2026-02-01', ai_quality_avg: 7, completion_rate: 0.25 }
+        ],
+        feedback: [
+          { story_id: 's1', response: 'Fantastic', follow_up_action: null },
+          { story_id: 's2', response: 'skipped', follow_up_action: null },
+          { story_id: 's3', response: 'Meh', follow_up_action: 'different_story' }
+        ],
+        costs: [
+          { story_id: 's1', cost: '0.40' },
+          { story_id: 's2', cost: 0.2 },
+          { story_id: 's3', cost: 0.1 }
+        ],
+        chapters: [{ story_id: 's1' }, { story_id: 's1' }, { story_id: 's2' }, { story_id: 's3' }]
+      });
+
+      const [control, treatment] = report.variants;
+      expect(report.total_stories).toBe(3);
+      expect(control).toMatchObject({
+        stories: 2,
+        users: 2,
+        quality: { snapshots: 2, ai_quality_avg: 7.5, completion_rate: 0.75 },
+        engagement: { feedback_responses: 1, feedback_per_story: 0.5, skipped_rate: 0.5 },
+        cost: { total_usd: 0.6, per_story_usd: 0.3, chapters: 3, per_chapter_usd: 0.2 }
+      });
+      expect(control.vs_control).toBeUndefined();
+      expect(treatment.engagement.different_story_rate).toBe(1);
+      expect(treatment.vs_control).toEqual({
+        ai_quality_avg: -0.5,
+        completion_rate: -0.5,
+        feedback_per_story: 0.5,
+        per_chapter_usd: -0.1
+      });
+    });
+
+    test('reports empty variants without dividing by zero', () => {
+      const report = summarizeExperiment(experiment(), {});
+      expect(report.variants[1]).toMatchObject({
+        stories: 0,
+        quality: { ai_quality_avg: null },
+        engagement: { feedback_per_story: null, skipped_rate: null },
+        cost: { total_usd: 0, per_chapter_usd: null },
+        vs_control: { ai_quality_avg: null }
+      });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const {
+  publishGenerationEvent,
+  recordProgress,
+  appendChapterText,
+  parseEventId,
+  getEventsSince,
+  getPartialChapter,
+  subscribeToGeneration,
+  createChapterContentExtractor
+} = require('../src/services/generation-events');
+
+describe('Generation Events', () => {
+  describe('createChapterContentExtractor', () => {
+    test('extracts content text split across deltas', () => {
+      const extract = createChapterContentExtractor();
+      const deltas = ['{"chapter": {"chapter_number": 1, "title": "Dawn", "con', 'tent": "The sun ', 'rose.', '", "word_count": 3}}'];
+      const out = deltas.map(d => extract(d)).join('');
+      expect(out).toBe('The sun rose.');
+    });
+
+    test('decodes escapes, including ones split across deltas', () => {
+      const extract = createChapterContentExtractor();
+      const out = [
+        '{"chapter": {"content": "\\"Hi,\\" she said.\\',
+        'nNext line \\u00',
+        'e9"}}'
+      ].map(d => extract(d)).join('');
+      expect(out).toBe('"Hi," she said.\nNext line é');
+    });
+
+    test('ignores text after the content string closes', () => {
+      const extract = createChapterContentExtractor();
+      expect(extract('{"chapter": {"content": "A"')).toBe('A');
+      expect(extract(', "closing_hook": "not content"}}')).toBe('');
+    });
+  });
+
+  describe('getEventsSince', () => {
+    test('replays events after Last-Event-ID', () => {
+      const storyId = 'story-replay';
+      publishGenerationEvent(storyId, 'log', { message: 'one' });
+      const second = publishGenerationEvent(storyId, 'log', { message: 'two' });
+      publishGenerationEvent(storyId, 'log', { message: 'three' });
+
+      const first = parseEventId(second.id);
+      const { events, gap } = getEventsSince(storyId, `${first.epoch}:${first.seq - 1}`);
+      expect(gap).toBe(false);
+      expect(events.map(e => e.data.message)).toEqual(['two', 'three']);
+    });
+
+    test('reports a gap when the ring buffer no longer has the missed events', () => {
+      const storyId = 'story-overflow';
+      for (let i = 0; i < 250; i++) {
+        publishGenerationEvent(storyId, 'log', { message: `line ${i}` });
+      }
+      const last = publishGenerationEvent(storyId, 'log', { message: 'last' });
+      const { epoch } = parseEventId(last.id);
+      expect(getEventsSince(storyId, `${epoch}:5`).gap).toBe(true);
+      expect(getEventsSince(storyId, `${epoch}:240`).gap).toBe(false);
+    });
+
+    test('reports a gap for an unknown story when the client had an id (server restarted)', () => {
+      expect(getEventsSince('story-unknown', 'abc-1:12').gap).toBe(true);
+      expect(getEventsSince('story-unknown', null).gap).toBe(false);
+    });
+
+    test('resyncs instead of replaying when the id came from another instance or an old process', () => {
+      const storyId = 'story-foreign-id';
+      publishGenerationEvent(storyId, 'log', { message: 'one' });
+      publishGenerationEvent(storyId, 'log', { message: 'two' });
+
+      expect(getEventsSince(storyId, 'other-instance:1')).toEqual({ events: [], gap: true });
+      expect(getEventsSince(storyId, '1')).toEqual({ events: [], gap: true });
+    });
+  });
+
+  describe('recordProgress', () => {
+    test('dedupes the same write and reports the previous step timing on transitions', () => {
+      const storyId = 'story-progress';
+      const received = [];
+      const unsubscribe = subscribeToGeneration(storyId, e => received.push(e));
+
+      const first = { current_step: 'generating_bible', last_updated: '2026-01-01T00:00:00.000Z' };
+      recordProgress(storyId, first);
+      recordProgress(storyId, first); // same write seen again via the poll fallback
+      recordProgress(storyId, { current_step: 'generating_arc', last_updated: '2026-01-01T00:01:00.000Z' });
+      unsubscribe();
+
+      expect(received).toHaveLength(2);
+      expect(received[0].data.previousStepTiming).toBeNull();
+      expect(received[1].data.step).toBe('generating_arc');
+      expect(received[1].data.previousStepTiming.step).toBe('generating_bible');
+      expect(received[1].data.previousStepTiming.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    test('clears partial chapter text once the chapter is generated', () => {
+      const storyId = 'story-partial';
+      appendChapterText(storyId, 2, 0, 'Once upon');
+      appendChapterText(storyId, 2, 0, ' a time');
+      expect(getPartialChapter(storyId).text).toBe('Once upon a time');
+
+      recordProgress(storyId, { current_step: 'generating_chapter_3', chapters_generated: 2 });
+      expect(getPartialChapter(storyId)).toBeNull();
+    });
+  });
+
+  describe('appendChapterText', () => {
+    test('restarts the accumulated text on a new attempt or stream restart', () => {
+      const storyId = 'story-restart';
+      const received = [];
+      const unsubscribe = subscribeToGeneration(storyId, e => received.push(e));
+
+      appendChapterText(storyId, 1, 0, 'First draft');
+      appendChapterText(storyId, 1, 1, 'Revised');
+      appendChapterText(storyId, 1, 1, '', { restart: true });
+      appendChapterText(storyId, 1, 1, 'Again');
+      unsubscribe();
+
+      expect(received.map(e => e.data.offset)).toEqual([0, 0, 0]);
+      expect(received.every(e => e.id === null)).toBe(true);
+      expect(getPartialChapter(storyId).text).toBe('Again');
+    });
+  });
+});
@@ -285,8 +285,9 @@ describe('Health Check - Circuit Breaker Logic', () => {
 });
 
 describe('Health Check - Integration Points', () => {
-  test('should run automatically every 5 minutes', () => {
-    // setInterval(resumeStalledGenerations, 5 * 60 * 1000);
+  test('should run once on startup (generation_jobs leases handle ongoing recovery)', () => {
+    // resumeStalledGenerations() — startup backfill only; it enqueues jobs instead of
+    // firing pipelines, and enqueueJob dedupes against live jobs for the same story.
 
     expect(true).toBe(true);
   });
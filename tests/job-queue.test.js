@@ -0,0 +1,110 @@
+// Every generation_jobs update matches no row — as if another worker had re-claimed the job
+const mockUpdates = [];
+jest.mock('../src/config/supabase', () => {
+  const query = () => {
+    const q = {
+      select: () => q,
+      eq: () => q,
+      update: values => { mockUpdates.push(values); return q; },
+      maybeSingle: async () => ({ data: null, error: null }),
+      then: (resolve, reject) => Promise.resolve({ data: [], error: null }).then(resolve, reject)
+    };
+    return q;
+  };
+  return { supabaseAdmin: { from: query } };
+});
+
+const {
+  computeRetryDelay,
+  shouldDeadLetter,
+  RETRY_DELAYS_MS,
+  DEFAULT_MAX_ATTEMPTS,
+  registerJobHandler,
+  runJob,
+  throwIfLeaseLost
+} = require('../src/services/job-queue');
+
+describe('Job Queue', () => {
+  describe('computeRetryDelay', () => {
+    test('backs off 1 minute after the first failed attempt', () => {
+      expect(computeRetryDelay(1)).toBe(60 * 1000);
+    });
+
+    test('grows with each attempt', () => {
+      expect(computeRetryDelay(2)).toBeGreaterThan(computeRetryDelay(1));
+      expect(computeRetryDelay(3)).toBeGreaterThan(computeRetryDelay(2));
+    });
+
+    test('caps at the last configured delay', () => {
+      const maxDelay = RETRY_DELAYS_MS[RETRY_DELAYS_MS.length - 1];
+      expect(computeRetryDelay(RETRY_DELAYS_MS.length)).toBe(maxDelay);
+      expect(computeRetryDelay(50)).toBe(maxDelay);
+    });
+
+    test('treats 0 attempts like the first attempt', () => {
+      expect(computeRetryDelay(0)).toBe(RETRY_DELAYS_MS[0]);
+    });
+  });
+
+  test('the default attempt limit matches the generation_jobs.max_attempts column default', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const migration = fs.readFileSync(path.join(__dirname, '../database/migrations/020_generation_jobs.sql'), 'utf8');
+    expect(migration).toMatch(new RegExp(`max_attempts INTEGER NOT NULL DEFAULT ${DEFAULT_MAX_ATTEMPTS}\\b`));
+  });
+
+  describe('lease loss', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+      mockUpdates.length = 0;
+    });
+
+    test('throwIfLeaseLost is a no-op outside a job', () => {
+      expect(() => throwIfLeaseLost()).not.toThrow();
+    });
+
+    test('a handler that loses its lease is aborted and its attempt is left to the new owner', async () => {
+      jest.useFakeTimers();
+      let releaseHandler;
+      let signalSeen;
+      const afterLoss = jest.fn();
+
+      registerJobHandler('lease_test', async (job, { signal }) => {
+        signalSeen = signal;
+        await new Promise(resolve => { releaseHandler = resolve; });
+        throwIfLeaseLost();
+        afterLoss();
+      });
+
+      const running = runJob({ id: 'job-1', job_type: 'lease_test', story_id: 'story-1', attempts: 1, max_attempts: 5 });
+      await jest.advanceTimersByTimeAsync(30 * 1000); // first heartbeat finds the lease gone
+
+      expect(signalSeen.aborted).toBe(true);
+      expect(signalSeen.reason.name).toBe('LeaseLostError');
+
+      releaseHandler();
+      await running;
+
+      expect(afterLoss).not.toHaveBeenCalled();
+      // Only the heartbeat touched the row: no succeeded/queued/dead write from this worker
+      expect(mockUpdates.every(update => update.status === undefined)).toBe(true);
+    });
+  });
+
+  describe('shouldDeadLetter', () => {
+    test('retries transient errors up to max_attempts', () => {
+      expect(shouldDeadLetter({ attempts: 3, max_attempts: 6 }, true)).toBe(false);
+      expect(shouldDeadLetter({ attempts: 5, max_attempts: 6 }, true)).toBe(false);
+      expect(shouldDeadLetter({ attempts: 6, max_attempts: 6 }, true)).toBe(true);
+    });
+
+    test('dead-letters code errors after 3 attempts (they will not fix themselves)', () => {
+      expect(shouldDeadLetter({ attempts: 2, max_attempts: 6 }, false)).toBe(false);
+      expect(shouldDeadLetter({ attempts: 3, max_attempts: 6 }, false)).toBe(true);
+    });
+
+    test('never exceeds max_attempts for code errors when max is lower', () => {
+      expect(shouldDeadLetter({ attempts: 2, max_attempts: 2 }, false)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+const mockInserts = [];
+
+// Chainable Supabase stand-in: reads resolve to mockTableData[table], inserts to mockInsertResults[table]
+const mockTableData = {};
+const mockInsertResults = {};
+jest.mock('../src/config/supabase', () => {
+  const builder = (table) => {
+    const chain = {};
+    let inserted = false;
+    for (const method of ['select', 'eq', 'order', 'limit', 'update', 'upsert', 'in', 'not']) {
+      chain[method] = () => chain;
+    }
+    chain.insert = (row) => {
+      mockInserts.push({ table, row });
+      inserted = true;
+      return chain;
+    };
+    chain.single = () => chain;
+    chain.maybeSingle = () => chain;
+    chain.then = (resolve) => resolve({
+      data: (inserted ? mockInsertResults[table] : mockTableData[table]) ?? null,
+      error: null
+    });
+    return chain;
+  };
+  return { supabaseAdmin: { from: builder } };
+});
+
+const {
+  callLLM,
+  resolveModel,
+  calculateModelCost,
+  calculateCacheSavings,
+  cachedUserMessage,
+  setLLMAdapter,
+  MODELS
+} = require('../src/services/llm-provider');
+const { createStubAdapter, requestKey, LLMFixtureMissingError } = require('../src/services/llm-stub-adapter');
+
+describe('LLM Provider', () => {
+  beforeEach(() => {
+    mockInserts.length = 0;
+  });
+
+  afterAll(() => {
+    setLLMAdapter(null);
+  });
+
+  describe('model selection and pricing', () => {
+    test('resolves model roles to ids and passes explicit ids through', () => {
+      expect(resolveModel('haiku')).toBe('claude-haiku-4-5-20251001');
+      expect(resolveModel('sonnet')).toBe('claude-sonnet-4-5-20250929');
+      expect(resolveModel(undefined)).toBe(MODELS.generation);
+      expect(resolveModel('claude-sonnet-4-20250514')).toBe('claude-sonnet-4-20250514');
+    });
+
+    test('prices each model at its own rate', () => {
+      expect(calculateModelCost('haiku', 1_000_000, 1_000_000)).toBeCloseTo(6);
+      expect(calculateModelCost('sonnet', 1_000_000, 1_000_000)).toBeCloseTo(18);
+      expect(calculateModelCost('claude-opus-4-6', 1_000_000, 1_000_000)).toBeCloseTo(30);
+    });
+  });
+
+  describe('callLLM', () => {
+    test('returns adapter text and logs cost against the actual model', async () => {
+      setLLMAdapter(createStubAdapter({
+        handlers: { ledger_extraction: () => ({ text: '{"ok": true}', usage: { input_tokens: 1000, output_tokens: 200 } }) }
+      }));
+
+      const result = await callLLM({
+        model: 'haiku',
+        prompt: 'Extract the ledger',
+        maxTokens: 4000,
+        operation: 'ledger_extraction',
+        userId: 'user-1',
+        storyId: 'story-1',
+        costMetadata: { chapterNumber: 3 }
+      });
+
+      expect(result.text).toBe('{"ok": true}');
+      expect(result.model).toBe('claude-haiku-4-5-20251001');
+      expect(mockInserts).toHaveLength(1);
+      expect(mockInserts[0].table).toBe('api_costs');
+      expect(mockInserts[0].row).toMatchObject({
+        user_id: 'user-1',
+        story_id: 'story-1',
+        model: 'claude-haiku-4-5-20251001',
+        operation: 'ledger_extraction',
+        input_tokens: 1000,
+        output_tokens: 200,
+        metadata: { chapterNumber: 3 }
+      });
+      expect(mockInserts[0].row.cost).toBeCloseTo(0.002);
+    });
+
+    test('sends cachedPrefix as cacheable blocks and records cache tokens', async () => {
+      let sent;
+      setLLMAdapter(createStubAdapter({
+        handlers: {
+          voice_review: (request) => {
+            sent = request.messages;
+            return {
+              text: '{}',
+              usage: { input_tokens: 500, output_tokens: 100, cache_creation_input_tokens: 0, cache_read_input_tokens: 10_000 }
+            };
+          }
+        }
+      }));
+
+      const result = await callLLM({
+        model: 'sonnet',
+        cachedPrefix: ['Story bible'],
+        prompt: 'Chapter 4',
+        maxTokens: 4000,
+        operation: 'voice_review',
+        storyId: 'story-1'
+      });
+
+      expect(sent[0].content).toEqual([
+        { type: 'text', text: 'Story bible', cache_control: { type: 'ephemeral' } },
+        { type: 'text', text: 'Chapter 4' }
+      ]);
+      expect(result.cacheReadTokens).toBe(10_000);
+      expect(mockInserts[0].row).toMatchObject({
+        input_tokens: 500,
+        cache_read_tokens: 10_000,
+        cache_write_tokens: 0,
+        total_tokens: 10_600
+      });
+      expect(mockInserts[0].row.cost).toBeCloseTo(0.0045);
+      expect(mockInserts[0].row.cache_savings).toBeCloseTo(0.027);
+    });
+
+    test('skips cost logging when logCost is false', async () => {
+      setLLMAdapter(createStubAdapter({ handlers: { quiet: () => 'hi' } }));
+      await callLLM({ prompt: 'x', maxTokens: 10, operation: 'quiet', logCost: false });
+      expect(mockInserts).toHaveLength(0);
+    });
+
+    test('retries retryable errors, then succeeds', async () => {
+      let calls = 0;
+      setLLMAdapter({
+        name: 'flaky',
+        complete: async () => {
+          calls++;
+          if (calls === 1) {
+            const error = new Error('Overloaded');
+            error.status = 529;
+            throw error;
+          }
+          return { text: 'done', inputTokens: 1, outputTokens: 1 };
+        }
+      });
+
+      const result = await callLLM({ prompt: 'x', maxTokens: 10, operation: 'flaky', logCost: false, retryDelaysMs: [0] });
+      expect(result.text).toBe('done');
+      expect(calls).toBe(2);
+    });
+
+    test('does not retry non-retryable errors', async () => {
+      let calls = 0;
+      setLLMAdapter({
+        name: 'broken',
+        complete: async () => {
+          calls++;
+          const error = new Error('Bad request');
+          error.status = 400;
+          throw error;
+        }
+      });
+
+      await expect(callLLM({ prompt: 'x', maxTokens: 10, operation: 'broken', retryDelaysMs: [0] }))
+        .rejects.toThrow('Bad request');
+      expect(calls).toBe(1);
+    });
+  });
+
+  describe('prompt caching', () => {
+    test('prices cache writes at 1.25x and reads at 0.1x the input rate', () => {
+      expect(calculateModelCost('haiku', 0, 0, { cacheWriteTokens: 1_000_000 })).toBeCloseTo(1.25);
+      expect(calculateModelCost('haiku', 0, 0, { cacheReadTokens: 1_000_000 })).toBeCloseTo(0.1);
+    });
+
+    test('savings are negative until the cache is read', () => {
+      expect(calculateCacheSavings('haiku', { cacheWriteTokens: 1_000_000 })).toBeCloseTo(-0.25);
+      expect(calculateCacheSavings('haiku', { cacheWriteTokens: 1_000_000, cacheReadTokens: 1_000_000 })).toBeCloseTo(0.65);
+    });
+
+    test('cachedUserMessage skips empty sections and caps breakpoints', () => {
+      expect(cachedUserMessage(['story', '', 'batch'], 'chapter').content.map(b => !!b.cache_control))
+        .toEqual([true, true, false]);
+      expect(cachedUserMessage('story', 'chapter').content).toHaveLength(2);
+      expect(() => cachedUserMessage(['a', 'b', 'c', 'd', 'e'], 'x')).toThrow(/At most 4/);
+    });
+  });
+
+  describe('stub adapter', () => {
+    test('prefers an exact request key, then a match, then the default', async () => {
+      const request = { model: 'm', messages: [{ role: 'user', content: 'Write chapter 3 please' }], operation: 'op' };
+      const stub = createStubAdapter({
+        fixtures: {
+          op: {
+            responses: [
+              { text: 'default' },
+              { match: ['chapter 3'], text: 'matched' },
+              { key: requestKey(request), text: 'exact' }
+            ]
+          }
+        }
+      });
+
+      expect((await stub.complete(request)).text).toBe('exact');
+      expect((await stub.complete({ ...request, model: 'other' })).text).toBe('matched');
+      expect((await stub.complete({ ...request, messages: [{ role: 'user', content: 'chapter 4' }] })).text).toBe('default');
+    });
+
+    test('throws LLMFixtureMissingError when nothing matches', async () => {
+      const stub = createStubAdapter({ fixtures: {} });
+      await expect(stub.complete({ model: 'm', messages: [], operation: 'nothing_recorded' }))
+        .rejects.toBeInstanceOf(LLMFixtureMissingError);
+    });
+
+    test('sequential mode uses each response once, exact key first, then recorded order', async () => {
+      const request = (content) => ({ model: 'm', messages: [{ role: 'user', content }], operation: 'op' });
+      const stub = createStubAdapter({
+        sequential: true,
+        fixtures: {
+          op: {
+            responses: [
+              { key: requestKey(request('first')), text: 'one' },
+              { key: requestKey(request('second')), text: 'two' }
+            ]
+          }
+        }
+      });
+
+      expect((await stub.complete(request('second'))).text).toBe('two');
+      expect((await stub.complete(request('first, reworded'))).text).toBe('one');
+      await expect(stub.complete(request('third'))).rejects.toBeInstanceOf(LLMFixtureMissingError);
+      expect(stub.calls.map(c => c.matchedBy)).toEqual(['key', 'sequence', null]);
+    });
+
+    test('replays text to onText in chunks, starting with snapshot === delta', async () => {
+      const text = 'x'.repeat(450);
+      const stub = createStubAdapter({ handlers: { stream: () => text } });
+      const seen = [];
+      await stub.complete({ model: 'm', messages: [], operation: 'stream', onText: (delta, snapshot) => seen.push([delta.length, snapshot.length]) });
+      expect(seen).toEqual([[200, 200], [200, 400], [50, 450]]);
+    });
+
+    test('returns tool_use content blocks from fixtures', async () => {
+      const stub = createStubAdapter({
+        handlers: { chat_onboarding: () => ({ content: [{ type: 'text', text: 'Wonderful!' }, { type: 'tool_use', name: 'submit_story_preferences', input: { name: 'Ada' } }] }) }
+      });
+      const result = await stub.complete({ model: 'm', messages: [], operation: 'chat_onboarding' });
+      expect(result.text).toBe('Wonderful!');
+      expect(result.content[1]).toMatchObject({ type: 'tool_use', name: 'submit_story_preferences' });
+    });
+  });
+
+  describe('pipeline with no network', () => {
+    test('generatePremises runs end-to-end against recorded fixtures', async () => {
+      setLLMAdapter(createStubAdapter());
+      mockInsertResults.story_premises = { id: 'premises-1' };
+
+      const { generatePremises } = require('../src/services/generation');
+      const result = await generatePremises('user-1', { genres: ['fantasy'], name: 'Ada' });
+
+      expect(result.premisesId).toBe('premises-1');
+      expect(result.premises.map(p => p.tier)).toEqual(['comfort', 'stretch', 'wildcard']);
+      expect(mockInserts.find(i => i.table === 'api_costs').row).toMatchObject({
+        operation: 'generate_premises',
+        input_tokens: 2400,
+        output_tokens: 380
+      });
+    });
+
+    test('ledger compression runs through the stub adapter', async () => {
+      setLLMAdapter(createStubAdapter({
+        handlers: { ledger_compression: () => '  Mara trusts Tobin again; the lighthouse callback is ripe.  ' }
+      }));
+
+      const { compressLedgerEntry } = require('../src/services/character-intelligence');
+      const summary = await compressLedgerEntry({ chapter: 4, characters: {} }, 'user-1', 'story-1');
+
+      expect(summary).toBe('Mara trusts Tobin again; the lighthouse callback is ripe.');
+    });
+  });
+});
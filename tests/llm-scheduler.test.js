@@ -0,0 +1,113 @@
+// reading_progress stand-in for chapterPriority: records the selected columns
+const mockProgressQuery = { columns: null, result: { data: null, error: null } };
+jest.mock('../src/config/supabase', () => {
+  const query = {
+    select: (columns) => { mockProgressQuery.columns = columns; return query; },
+    eq: () => query,
+    maybeSingle: () => Promise.resolve(mockProgressQuery.result)
+  };
+  return { supabaseAdmin: { from: () => query } };
+});
+
+const { createScheduler, runWithPriority, currentPriority } = require('../src/services/llm-scheduler');
+const { chapterPriority, isNextUnreadChapter } = require('../src/services/generation');
+
+describe('LLM Scheduler', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('runs queued calls by priority, then arrival order', async () => {
+    const scheduler = createScheduler({ limits: { m: { concurrency: 1 } } });
+    const order = [];
+
+    const releaseFirst = await scheduler.acquire({ model: 'm' });
+    const queued = [
+      ['background', 'cover brief'],
+      ['normal', 'chapter 5'],
+      ['urgent', 'chapter 4'],
+      ['normal', 'chapter 6']
+    ].map(([priority, name]) => scheduler.acquire({ model: 'm', priority }).then(release => {
+      order.push(name);
+      release();
+    }));
+
+    expect(scheduler.stats().models.m.queued_by_priority).toEqual({ urgent: 1, normal: 2, background: 1 });
+
+    releaseFirst();
+    await Promise.all(queued);
+    expect(order).toEqual(['chapter 4', 'chapter 5', 'chapter 6', 'cover brief']);
+  });
+
+  test('limits concurrency per model independently', async () => {
+    const scheduler = createScheduler({ limits: { a: { concurrency: 2 }, b: { concurrency: 1 } } });
+
+    await scheduler.acquire({ model: 'a' });
+    await scheduler.acquire({ model: 'a' });
+    await scheduler.acquire({ model: 'b' });
+    scheduler.acquire({ model: 'a' });
+
+    const stats = scheduler.stats();
+    expect(stats.models.a).toMatchObject({ running: 2, queued: 1 });
+    expect(stats.models.b).toMatchObject({ running: 1, queued: 0 });
+    expect(stats).toMatchObject({ running: 3, queued: 1 });
+  });
+
+  test('holds calls over the token-per-minute budget until usage leaves the window', async () => {
+    jest.useFakeTimers();
+    const scheduler = createScheduler({ limits: { m: { concurrency: 5, tokensPerMinute: 1000 } } });
+
+    const release = await scheduler.acquire({ model: 'm', tokens: 200 });
+    release({ tokens: 900 });
+
+    let started = false;
+    const waiting = scheduler.acquire({ model: 'm', tokens: 200 }).then(() => { started = true; });
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(started).toBe(false);
+    expect(scheduler.stats().models.m.tokens_last_minute).toBe(900);
+
+    await jest.advanceTimersByTimeAsync(31 * 1000);
+    await waiting;
+    expect(started).toBe(true);
+  });
+
+  test('resolves role limits for model ids', async () => {
+    const scheduler = createScheduler({
+      limits: { haiku: { concurrency: 1 } },
+      resolveRole: model => (model === 'claude-haiku' ? 'haiku' : null)
+    });
+
+    await scheduler.acquire({ model: 'claude-haiku' });
+    expect(scheduler.stats().models['claude-haiku'].limits).toMatchObject({ concurrency: 1, tokensPerMinute: 2000000 });
+  });
+
+  test('priority is ambient inside runWithPriority', async () => {
+    expect(currentPriority()).toBe('normal');
+    await runWithPriority('background', async () => {
+      await Promise.resolve();
+      expect(currentPriority()).toBe('background');
+      await runWithPriority('urgent', async () => expect(currentPriority()).toBe('urgent'));
+    });
+    expect(() => runWithPriority('asap', () => {})).toThrow(/Unknown model call priority/);
+  });
+
+  test('the next unread chapter is urgent', () => {
+    expect(isNextUnreadChapter(1, null)).toBe(true);
+    expect(isNextUnreadChapter(4, 3)).toBe(true);
+    expect(isNextUnreadChapter(5, 3)).toBe(false);
+    expect(isNextUnreadChapter(2, null)).toBe(false);
+  });
+
+  test('chapterPriority reads the reader\'s chapter from reading_progress', async () => {
+    mockProgressQuery.result = { data: { chapter_number: 3 }, error: null };
+    expect(await chapterPriority('story-1', 'user-1', 4)).toBe('urgent');
+    expect(await chapterPriority('story-1', 'user-1', 5)).toBe('normal');
+    expect(mockProgressQuery.columns).toBe('chapter_number');
+
+    expect(await chapterPriority('story-1', 'user-1', 9, { rewrite: { reason: 'reader request' } })).toBe('urgent');
+
+    mockProgressQuery.result = { data: null, error: { message: 'column does not exist' } };
+    expect(await chapterPriority('story-1', 'user-1', 1)).toBe('normal');
+  });
+});
@@ -0,0 +1,186 @@
+const {
+  MIN_CHAPTER_WORDS,
+  splitManuscript,
+  importRequestError,
+  manuscriptChaptersError,
+  matchChapterNotes,
+  buildEstablishedChaptersBlock,
+  voiceExcerpts,
+  styleExampleFrom
+} = require('../src/services/manuscript-import');
+const { renderPrompt } = require('../src/services/prompt-registry');
+const { validateStructured } = require('../src/services/structured-output');
+
+const prose = words => Array.from({ length: words }, (_, i) => `word${i}`).join(' ');
+
+describe('Manuscript Import', () => {
+  describe('splitManuscript', () => {
+    test('plain text splits on chapter lines and keeps their titles', () => {
+      const { title, chapters } = splitManuscript([
+        'The Drowned Bells',
+        'by Mara Quill',
+        '',
+        'CHAPTER ONE: Salt',
+        '',
+        'Mara rang the bell.',
+        '',
+        'Chapter 2',
+        'The tide turned.',
+        '',
+        'Chapter and verse were all she had.',
+        '',
+        'Ch. 3 — Tides',
+        'Done.'
+      ].join('\r\n'), 'text');
+
+      expect(title).toBe('The Drowned Bells');
+      expect(chapters).toEqual([
+        { chapter_number: 1, title: 'Salt', content: 'Mara rang the bell.' },
+        { chapter_number: 2, title: null, content: 'The tide turned.\n\nChapter and verse were all she had.' },
+        { chapter_number: 3, title: 'Tides', content: 'Done.' }
+      ]);
+    });
+
+    test('Markdown chapters are the repeated heading level under the book title', () => {
+      const { title, chapters } = splitManuscript([
+        '# The Drowned Bells',
+        '',
+        '## Prologue',
+        'Before.',
+        '',
+        '## Chapter 1: Salt',
+        'Mara *rang* the bell.',
+        '',
+        '### Later',
+        '',
+        '',
+        '',
+        'Much later.'
+      ].join('\n'), 'markdown');
+
+      expect(title).toBe('The Drowned Bells');
+      expect(chapters.map(c => c.title)).toEqual(['Prologue', 'Salt']);
+      expect(chapters[1].content).toBe('Mara *rang* the bell.\n\nLater\n\nMuch later.');
+    });
+
+    test('a single Markdown chapter under a title, and Markdown without headings', () => {
+      expect(splitManuscript('# Bells\n\n## The Tide\n\nText.', 'markdown').chapters)
+        .toEqual([{ chapter_number: 1, title: 'The Tide', content: 'Text.' }]);
+      expect(splitManuscript('Chapter 1\n\nText.\n\nChapter 2\n\nMore.', 'markdown').chapters).toHaveLength(2);
+    });
+
+    test('a long opening before the first heading is a chapter, and no headings is one chapter', () => {
+      const opening = prose(MIN_CHAPTER_WORDS);
+      const { title, chapters } = splitManuscript(`${opening}\n\nChapter 2\n\nMore.`);
+      expect(title).toBeNull();
+      expect(chapters.map(c => [c.chapter_number, c.title])).toEqual([[1, null], [2, null]]);
+
+      expect(splitManuscript('Just one long stretch of prose.').chapters).toEqual([
+        { chapter_number: 1, title: null, content: 'Just one long stretch of prose.' }
+      ]);
+    });
+  });
+
+  test('importRequestError checks the body', () => {
+    expect(importRequestError({ manuscript: 'Chapter 1\n\nText.' })).toBeNull();
+    expect(importRequestError({ manuscript: 'x', format: 'markdown', bookLength: 'novella', title: 'Bells' })).toBeNull();
+    expect(importRequestError({ manuscript: '  ' })).toBe('manuscript is required');
+    expect(importRequestError({ manuscript: 'x'.repeat(300001) })).toMatch(/at most 300,000 characters/);
+    expect(importRequestError({ manuscript: 'x', format: 'docx' })).toBe('format must be one of: text, markdown');
+    expect(importRequestError({ manuscript: 'x', bookLength: 'trilogy' })).toMatch(/bookLength must be one of/);
+    expect(importRequestError({ manuscript: 'x', title: 42 })).toMatch(/title must be a string/);
+  });
+
+  test('manuscriptChaptersError wants real chapters and room to continue', () => {
+    const chapter = n => ({ chapter_number: n, content: prose(MIN_CHAPTER_WORDS) });
+    expect(manuscriptChaptersError([chapter(1), chapter(2)], 6)).toBeNull();
+    expect(manuscriptChaptersError([], 6)).toBe('No chapters found in the manuscript');
+    expect(manuscriptChaptersError([chapter(1), { chapter_number: 2, content: 'Too short.' }], 6))
+      .toBe(`Chapter 2 is too short to continue from (2 words; at least ${MIN_CHAPTER_WORDS})`);
+    expect(manuscriptChaptersError([{ chapter_number: 1, content: prose(20001) }], 6)).toMatch(/add chapter headings/);
+    expect(manuscriptChaptersError([1, 2, 3, 4, 5, 6].map(chapter), 6)).toMatch(/import at most 5/);
+  });
+
+  test('matchChapterNotes prefers the reader\'s titles and needs a note per chapter', () => {
+    const chapters = [{ chapter_number: 1, title: 'Salt' }, { chapter_number: 2, title: null }];
+    const notes = [
+      { chapter_number: 2, title: 'The Tide', key_events: ['Tide turns'], closing_hook: 'A bell answers' },
+      { chapter_number: 1, title: 'Bells', key_events: ['Mara rings'], closing_hook: 'Silence', opening_hook: 'Dawn' }
+    ];
+    expect(matchChapterNotes(chapters, notes)).toEqual([
+      { chapter_number: 1, title: 'Salt', opening_hook: 'Dawn', key_events: ['Mara rings'], character_development: null, closing_hook: 'Silence' },
+      { chapter_number: 2, title: 'The Tide', opening_hook: null, key_events: ['Tide turns'], character_development: null, closing_hook: 'A bell answers' }
+    ]);
+    expect(() => matchChapterNotes(chapters, notes.slice(0, 1))).toThrow('missing chapter(s) 1');
+  });
+
+  test('buildEstablishedChaptersBlock lists the written chapters for the arc', () => {
+    expect(buildEstablishedChaptersBlock([])).toBe('');
+    const block = buildEstablishedChaptersBlock([
+      { chapter_number: 1, title: 'Salt', key_events: ['Mara rings', 'Bell cracks'], closing_hook: 'Silence' },
+      { chapter_number: 2, title: 'Tide', key_events: ['Tide turns'], closing_hook: 'A bell answers' }
+    ]);
+    expect(block).toContain('The reader wrote chapters 1-2 themselves');
+    expect(block).toContain('continue from where chapter 2 ends');
+    expect(block).toContain('Chapter 1: Salt\nKey events: Mara rings; Bell cracks\nEnds on: Silence');
+
+    const { text, versions } = renderPrompt('arc_outline', {
+      bookLength: 'novella',
+      bookLengthDescription: 'a short book',
+      totalChapters: 6,
+      bible: { title: 'Bells', characters: { protagonist: { name: 'Mara' }, antagonist: {} } },
+      genre: 'fantasy',
+      ageRange: '25+',
+      previousBooksBlock: '',
+      seriesContextBlock: '',
+      establishedChaptersBlock: block,
+      worldRules: '{}',
+      acts: {}
+    });
+    expect(versions.arc_outline).toBe(2);
+    expect(text).toContain('<established_chapters>');
+  });
+
+  test('voiceExcerpts takes the opening and the last chapter\'s ending', () => {
+    const first = ['First para.', 'Second para.'].join('\n\n');
+    const last = [prose(800), 'Penultimate.', 'The very end.'].join('\n\n');
+    const excerpts = voiceExcerpts([
+      { chapter_number: 1, content: first },
+      { chapter_number: 2, content: last }
+    ]);
+    expect(excerpts.startsWith('[Opening of chapter 1]\nFirst para.\n\nSecond para.')).toBe(true);
+    expect(excerpts.endsWith('[End of chapter 2]\nPenultimate.\n\nThe very end.')).toBe(true);
+    expect(voiceExcerpts([{ chapter_number: 1, content: first }])).not.toContain('[End of');
+  });
+
+  test('styleExampleFrom keeps a faithful quote, otherwise uses the opening', () => {
+    const chapters = [{ chapter_number: 1, content: `${prose(100)}\n\n${prose(100)}\n\n${prose(100)}` }];
+    const quote = chapters[0].content.split('\n\n')[1];
+    expect(styleExampleFrom(chapters, quote)).toBe(quote);
+    const fallback = styleExampleFrom(chapters, 'An invented passage the reader never wrote.');
+    expect(fallback).toBe(chapters[0].content.split('\n\n').slice(0, 2).join('\n\n'));
+  });
+
+  test('manuscript_analysis output is a story bible plus chapter notes', () => {
+    const analysis = {
+      genre: 'fantasy',
+      bible: {
+        title: 'Bells',
+        world_rules: {},
+        characters: {
+          protagonist: { name: 'Mara', age: 30, personality: 'Stubborn' },
+          antagonist: { name: 'The Tide', motivation: 'Reclaim the city' }
+        },
+        central_conflict: { description: 'The sea wants the city back' },
+        stakes: {},
+        themes: ['memory'],
+        key_locations: [],
+        timeline: {}
+      },
+      chapters: [{ chapter_number: 1, title: 'Salt', key_events: ['Mara rings'], closing_hook: 'Silence' }]
+    };
+    expect(validateStructured('manuscript_analysis', analysis)).toEqual([]);
+    const { chapters, ...withoutNotes } = analysis;
+    expect(validateStructured('manuscript_analysis', withoutNotes).map(e => e.path)).toEqual(['chapters']);
+  });
+});
@@ -0,0 +1,127 @@
+// Supabase stand-in: reads resolve to mockTableData[table], inserts echo the row back
+const mockTableData = {};
+jest.mock('../src/config/supabase', () => {
+  const builder = (table) => {
+    const chain = {};
+    let inserted = null;
+    for (const method of ['select', 'eq', 'order', 'limit', 'update', 'in', 'not']) {
+      chain[method] = () => chain;
+    }
+    chain.insert = (row) => {
+      inserted = { id: 'entry-1', ...row };
+      return chain;
+    };
+    chain.single = () => chain;
+    chain.maybeSingle = () => chain;
+    chain.then = (resolve) => resolve({ data: inserted ?? mockTableData[table] ?? null, error: null });
+    return chain;
+  };
+  return { supabaseAdmin: { from: builder } };
+});
+
+const { supabaseAdmin } = require('../src/config/supabase');
+const { setLLMAdapter } = require('../src/services/llm-provider');
+const { createStubAdapter } = require('../src/services/llm-stub-adapter');
+const { ENTRY_POINTS, recordRun, replayRun, querySignature } = require('../src/services/pipeline-recorder');
+
+describe('Pipeline Recorder', () => {
+  const ledger = {
+    chapter: 3,
+    characters: { Mara: { emotional_state: 'wary' } },
+    callback_bank: [{ source_chapter: 2, moment: 'the broken compass', status: 'ripe' }]
+  };
+
+  let bundle;
+  let recordedEntry;
+
+  beforeAll(async () => {
+    mockTableData.story_bibles = {
+      characters: {
+        protagonist: { name: 'Mara', personality: 'stubborn', goals: 'find her brother', fears: 'the sea' },
+        antagonist: { name: 'The Tidewarden', motivation: 'order' },
+        supporting: []
+      }
+    };
+    mockTableData.character_ledger_entries = [];
+
+    setLLMAdapter(createStubAdapter({
+      handlers: { ledger_extraction: () => ({ text: JSON.stringify(ledger), usage: { input_tokens: 900, output_tokens: 300 } }) }
+    }));
+
+    bundle = await recordRun('extractCharacterLedger', ['story-1', 3, 'Mara climbed the seawall.', 'user-1'], { label: 'ledger' });
+    recordedEntry = bundle.supabase.find(q => q.table === 'character_ledger_entries' && q.chain[0][0] === 'insert').result.data;
+  });
+
+  afterEach(() => {
+    setLLMAdapter(null);
+  });
+
+  test('records model calls as stub fixtures and every query result', () => {
+    expect(bundle.entry).toEqual({ name: 'extractCharacterLedger', args: ['story-1', 3, 'Mara climbed the seawall.', 'user-1'] });
+    expect(bundle.outcome.error).toBeNull();
+
+    const [response] = bundle.llm.ledger_extraction.responses;
+    expect(response.text).toBe(JSON.stringify(ledger));
+    expect(response.usage).toMatchObject({ input_tokens: 900, output_tokens: 300 });
+    expect(response.request.messages[0].content.some(b => b.text.includes('Mara climbed the seawall.'))).toBe(true);
+
+    expect(bundle.supabase.map(q => q.table)).toEqual(expect.arrayContaining(['story_bibles', 'character_ledger_entries', 'api_costs']));
+    expect(typeof supabaseAdmin.from).toBe('function');
+  });
+
+  test('replays offline to the same result', async () => {
+    for (const table of Object.keys(mockTableData)) delete mockTableData[table];
+    setLLMAdapter(createStubAdapter({ fixtures: {} }));
+
+    const report = await replayRun(bundle);
+
+    expect(report.error).toBeNull();
+    expect(report.result).toEqual(recordedEntry);
+    expect(report.llm).toMatchObject({ calls: 1, exact: 1, drifted: [], missing: [], unused: {} });
+    expect(report.supabase.misses).toEqual([]);
+    expect(report.supabase.writes.find(w => w.table === 'character_ledger_entries').payload)
+      .toMatchObject({ story_id: 'story-1', chapter_number: 3, ledger_data: ledger });
+  });
+
+  test('reports prompt drift but still replays in recorded order', async () => {
+    const report = await replayRun(bundle, { args: ['story-1', 3, 'Mara climbed the seawall, slowly.', 'user-1'] });
+
+    expect(report.result.ledger_data).toEqual(ledger);
+    expect(report.llm.exact).toBe(0);
+    expect(report.llm.drifted).toEqual([expect.objectContaining({ operation: 'ledger_extraction' })]);
+  });
+
+  test('replay keeps serving from the bundle through the settle window', async () => {
+    // An entry that returns before its fire-and-forget work queries the database
+    const background = [];
+    ENTRY_POINTS.fireAndForget = () => async () => {
+      background.push(new Promise(resolve => setTimeout(() => {
+        supabaseAdmin.from('story_bibles').select('characters').eq('story_id', 'story-1').single().then(resolve);
+      }, 20)));
+    };
+
+    try {
+      mockTableData.story_bibles = { characters: 'live' };
+      const recorded = await recordRun('fireAndForget', [], { settleMs: 50 });
+      expect(recorded.settle_ms).toBe(50);
+      expect(recorded.supabase.map(q => q.table)).toEqual(['story_bibles']);
+
+      mockTableData.story_bibles = { characters: 'changed since recording' };
+      background.length = 0;
+      const report = await replayRun({ ...recorded, supabase: [{ ...recorded.supabase[0], result: { data: { characters: 'recorded' }, error: null, count: null } }] });
+      const [late] = await Promise.all(background);
+
+      expect(late.data).toEqual({ characters: 'recorded' });
+      expect(report.supabase.queries).toBe(1);
+    } finally {
+      delete ENTRY_POINTS.fireAndForget;
+    }
+  });
+
+  test('query signatures ignore write payloads', () => {
+    expect(querySignature('chapters', [['insert', [{ content: 'a' }]], ['select', []]]))
+      .toBe(querySignature('chapters', [['insert', [{ content: 'b' }]], ['select', []]]));
+    expect(querySignature('chapters', [['select', ['*']], ['eq', ['id', 1]]]))
+      .not.toBe(querySignature('chapters', [['select', ['*']], ['eq', ['id', 2]]]));
+  });
+});
@@ -0,0 +1,43 @@
+// Replays every recorded bundle in tests/fixtures/replay. Nothing may reach the live
+// database or model API: the Supabase client throws unless the replay has patched it.
+jest.mock('../src/config/supabase', () => ({
+  supabaseAdmin: {
+    from: (table) => { throw new Error(`Live Supabase query on ${table} during replay`); }
+  }
+}));
+
+const fs = require('fs');
+const path = require('path');
+const { setLLMAdapter } = require('../src/services/llm-provider');
+const { createStubAdapter } = require('../src/services/llm-stub-adapter');
+const { replayRun, loadBundle } = require('../src/services/pipeline-recorder');
+
+const CORPUS_DIR = path.join(__dirname, 'fixtures', 'replay');
+// Whole-pipeline bundles pause between chapters and wait out their settle window
+const REPLAY_TIMEOUT_MS = 30000;
+const bundles = fs.readdirSync(CORPUS_DIR).filter(file => file.endsWith('.json'));
+
+describe('Pipeline replay corpus', () => {
+  beforeEach(() => {
+    // An empty stub: any model call the bundle doesn't serve fails loudly
+    setLLMAdapter(createStubAdapter({ fixtures: {} }));
+  });
+
+  afterAll(() => {
+    setLLMAdapter(null);
+  });
+
+  test('the corpus is not empty', () => {
+    expect(bundles.length).toBeGreaterThan(0);
+  });
+
+  test.each(bundles)('%s replays cleanly', async (file) => {
+    const bundle = loadBundle(path.join(CORPUS_DIR, file));
+    const report = await replayRun(bundle);
+
+    expect(report.error).toBe(report.recordedError);
+    // Prompt drift is what the corpus is for, so it's reported, not failed on
+    expect(report.llm.missing).toEqual([]);
+    expect(report.supabase.misses).toEqual([]);
+  }, REPLAY_TIMEOUT_MS);
+});
@@ -0,0 +1,194 @@
+const zlib = require('zlib');
+const { crc32, readZip } = require('../src/utils/zip');
+const { textWidth, pdfString, imageFromPng, imageFromJpeg, createPdf } = require('../src/utils/pdf');
+const { TRIM_SIZES, wrapText, layoutPrintBook, buildPrintPdf } = require('../src/services/print-export');
+const { countWords, approximateWordCount, buildMarkdown, buildDocx } = require('../src/services/manuscript-export');
+
+// A w×h PNG of one colour, built with the same primitives the exporter reads
+function solidPng(width, height, rgba) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  // Row filter 1 (sub) on every row — each pixel after the first is stored as a zero
+  // difference from its left neighbour, so decoding has to undo it
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(1);
+    for (let x = 0; x < width; x++) {
+      rows.push(...(x === 0 ? rgba : [0, 0, 0, 0]));
+    }
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(Buffer.from(rows))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const paragraph = 'The bell rang over the harbour, and Mara counted the strokes — “seven,” she said — while the tide turned. '.repeat(5).trim();
+
+const book = {
+  story: { id: 'story-1', title: 'Bells & Tides' },
+  authorName: 'Mara Quill',
+  series: { name: 'The Drowned Bells', book_number: 2 },
+  cover: null,
+  forkedFrom: null,
+  synopsis: 'A bell-ringer hears the drowned city answer.',
+  chapters: [1, 2].map(n => ({
+    chapter_number: n,
+    title: `Salt ${n}`,
+    content: `${Array(10).fill(paragraph).join('\n\n')}\n\n* * *\n\nShe *knew*.`
+  }))
+};
+
+describe('Print Export', () => {
+  describe('pdf utils', () => {
+    test('textWidth uses the standard font metrics', () => {
+      expect(textWidth('Hello', 'Times-Roman', 10)).toBeCloseTo((722 + 444 + 278 + 278 + 500) / 100);
+      expect(textWidth('Hello', 'Helvetica', 10)).toBeCloseTo((722 + 556 + 222 + 222 + 556) / 100);
+      expect(textWidth('a b', 'Times-Roman', 10, { charSpacing: 1, wordSpacing: 2 })).toBeCloseTo(11.94 + 3 + 2);
+      // Accented letters measure as their base letter
+      expect(textWidth('é', 'Times-Roman', 10)).toBe(textWidth('e', 'Times-Roman', 10));
+    });
+
+    test('pdfString escapes and encodes WinAnsi', () => {
+      expect(pdfString('a (b) \\ c')).toBe('(a \\(b\\) \\\\ c)');
+      expect(pdfString('It’s — café')).toBe('(It\\222s \\227 caf\\351)');
+      expect(pdfString('ő 日')).toBe('(o ?)');
+    });
+
+    test('imageFromPng splits colour and alpha after undoing row filters', () => {
+      const image = imageFromPng(solidPng(3, 2, [200, 100, 50, 128]));
+      expect(image).toMatchObject({ width: 3, height: 2, colorSpace: '/DeviceRGB', filter: '/FlateDecode' });
+      expect([...zlib.inflateSync(image.data)]).toEqual(Array(6).fill([200, 100, 50]).flat());
+      expect([...zlib.inflateSync(image.smask.data)]).toEqual(Array(6).fill(128));
+      expect(imageFromPng(Buffer.from('not a png'))).toBeNull();
+    });
+
+    test('imageFromJpeg reads the frame header', () => {
+      const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xC0, 0x00, 0x11, 0x08, 0x00, 0x20, 0x00, 0x40, 0x03, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+      expect(imageFromJpeg(jpeg)).toMatchObject({ width: 64, height: 32, colorSpace: '/DeviceRGB', filter: '/DCTDecode' });
+      expect(imageFromJpeg(Buffer.from([0, 1, 2, 3]))).toBeNull();
+    });
+
+    test('createPdf writes a cross-reference table that points at every object', () => {
+      const pdf = createPdf({
+        pageSize: { width: 200, height: 300 },
+        pages: [{ ops: 'BT /F1 12 Tf 10 10 Td (Hi) Tj ET' }, { ops: '' }],
+        fonts: { F1: 'Times-Roman' },
+        info: { title: 'Bells' }
+      });
+      const text = pdf.toString('latin1');
+      expect(text.startsWith('%PDF-1.4')).toBe(true);
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(text).toContain('/Count 2');
+      const startxref = parseInt(text.slice(text.lastIndexOf('startxref') + 10), 10);
+      const xref = text.slice(startxref).split('\n');
+      const count = parseInt(xref[1].split(' ')[1], 10);
+      for (let i = 1; i < count; i++) {
+        const offset = parseInt(xref[2 + i].slice(0, 10), 10);
+        expect(text.slice(offset, offset + `${i} 0 obj`.length)).toBe(`${i} 0 obj`);
+      }
+    });
+  });
+
+  test('wrapText fills lines to the measure and indents the first', () => {
+    const lines = wrapText(paragraph, { font: 'Times-Roman', size: 11, width: 300, firstLineIndent: 16 });
+    expect(lines.length).toBeGreaterThan(3);
+    expect(lines.map(l => l.text).join(' ')).toBe(paragraph);
+    expect(lines[0].width).toBeLessThanOrEqual(284);
+    lines.slice(1).forEach(line => expect(line.width).toBeLessThanOrEqual(300));
+  });
+
+  describe('layoutPrintBook', () => {
+    test('title page, then chapters opening on right-hand pages', () => {
+      const { pages, pageSize } = layoutPrintBook(book);
+      expect(pageSize).toBe(TRIM_SIZES.trade);
+      expect(pages[0].kind).toBe('title');
+      const openers = pages.filter(p => p.kind === 'opener');
+      expect(openers).toHaveLength(2);
+      openers.forEach(p => expect(p.number % 2).toBe(1));
+      pages.filter(p => p.kind === 'blank').forEach(p => expect(p.ops).toEqual([]));
+    });
+
+    test('running heads: book title on left pages, chapter on right; none on openers', () => {
+      const { pages } = layoutPrintBook(book);
+      const text = pages.filter(p => p.kind === 'text');
+      expect(text.length).toBeGreaterThan(2);
+      text.forEach(p => {
+        if (p.number % 2 === 0) expect(p.header).toBe('Bells & Tides');
+        else expect(p.header).toMatch(/^Salt \d$/);
+        expect(p.folio).toBe(p.number);
+      });
+      pages.filter(p => p.kind === 'opener').forEach(p => expect(p.header).toBeNull());
+    });
+
+    test('the cover comes first, filling the page', () => {
+      const { pages } = layoutPrintBook({ ...book, cover: { data: solidPng(2, 3, [1, 2, 3, 255]), contentType: 'image/png' } });
+      expect(pages.slice(0, 3).map(p => p.kind)).toEqual(['cover', 'blank', 'title']);
+      expect(pages[0].ops[0]).toBe('q 432 0 0 648 0 0 cm /Cover Do Q');
+    });
+
+    test('large print is sans serif, ragged right and longer', () => {
+      const standard = layoutPrintBook(book);
+      const large = layoutPrintBook(book, { largePrint: true });
+      expect(large.font).toBe('Helvetica');
+      expect(large.pages.length).toBeGreaterThan(standard.pages.length);
+      const bodyOps = large.pages.filter(p => p.kind === 'text').flatMap(p => p.ops);
+      // Word spacing is the layout's extra spacing everywhere — never stretched to justify
+      expect(new Set(bodyOps.map(op => op.match(/ ([\d.]+) Tw/)[1]))).toEqual(new Set(['2.56']));
+    });
+
+    test('rejects unknown trim sizes', () => {
+      expect(() => layoutPrintBook(book, { trimSize: 'poster' })).toThrow('Unknown trim size');
+    });
+  });
+
+  test('buildPrintPdf produces one PDF page per laid-out page', () => {
+    const pdf = buildPrintPdf(book, { trimSize: 'digest' });
+    const { pages } = layoutPrintBook(book, { trimSize: 'digest' });
+    const text = pdf.toString('latin1');
+    expect(text).toContain(`/Count ${pages.length}`);
+    expect(text).toContain('/MediaBox [0 0 396 612]');
+    expect(text).toContain('/BaseFont /Times-Roman');
+  });
+
+  describe('manuscripts', () => {
+    test('word counts are rounded like a manuscript', () => {
+      expect(countWords([{ chapter_number: 1, content: 'one two  three\n\nfour' }])).toBe(4);
+      expect(approximateWordCount(4)).toBe(100);
+      expect(approximateWordCount(2349)).toBe(2300);
+      expect(approximateWordCount(48600)).toBe(49000);
+    });
+
+    test('Markdown has the title block, synopsis and chapters', () => {
+      const md = buildMarkdown(book);
+      expect(md.startsWith('# Bells & Tides\n\n*by Mara Quill*\n\nThe Drowned Bells, Book 2\n\n> A bell-ringer')).toBe(true);
+      expect(md).toContain('\n## Chapter 2: Salt 2\n');
+      expect(md).toContain('\n* * *\n\nShe *knew*.\n');
+    });
+
+    test('DOCX is a Word package with a chapter per page', () => {
+      const files = readZip(buildDocx(book));
+      expect(Object.keys(files)).toEqual(expect.arrayContaining([
+        '[Content_Types].xml', '_rels/.rels', 'word/document.xml', 'word/styles.xml', 'word/header1.xml'
+      ]));
+      const doc = files['word/document.xml'].toString();
+      expect(doc.match(/<w:pageBreakBefore\/>/g)).toHaveLength(3); // synopsis + 2 chapters
+      expect(doc).toContain('<w:t xml:space="preserve">Bells &amp; Tides</w:t>');
+      expect(doc).toContain('<w:r><w:rPr><w:i/></w:rPr><w:t xml:space="preserve">knew</w:t></w:r>');
+      expect(files['word/header1.xml'].toString()).toContain('Quill / BELLS &amp; TIDES / ');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const {
+  PromptVariableError,
+  placeholders,
+  validateDefinition,
+  renderTemplate,
+  templateHash,
+  renderPrompt,
+  listPrompts,
+  promptVersionsFor
+} = require('../src/services/prompt-registry');
+const {
+  qualityByPromptVersion,
+  mergeQualityByPromptVersion,
+  promptVersionsUsed
+} = require('../src/services/quality-intelligence');
+
+describe('Prompt Registry', () => {
+  describe('renderTemplate', () => {
+    test('fills dotted paths, joins arrays and falls back on empty values', () => {
+      const text = renderTemplate(
+        'Hero: {{hero.name}} ({{hero.traits}}) — fears: {{hero.fears|N/A}}, loves: {{loves|not specified}}',
+        { hero: { name: 'Mara', traits: ['brave', 'stubborn'] }, loves: [] }
+      );
+      expect(text).toBe('Hero: Mara (brave, stubborn) — fears: N/A, loves: not specified');
+    });
+
+    test('renders objects as JSON and missing values as empty', () => {
+      expect(renderTemplate('{{rules}}|{{missing}}', { rules: { magic: 'costs blood' } }))
+        .toBe('{\n  "magic": "costs blood"\n}|');
+    });
+
+    test('does not expand placeholders inside substituted values', () => {
+      expect(renderTemplate('{{a}} {{b}}', { a: '{{b}}', b: 'x' })).toBe('{{b}} x');
+    });
+  });
+
+  describe('validateDefinition', () => {
+    const definition = (overrides = {}) => ({
+      name: 'test_prompt',
+      version: 1,
+      variables: { title: 'string', bible: 'object?' },
+      template: '{{title}} {{bible.title|Untitled}}',
+      ...overrides
+    });
+
+    test('accepts placeholders rooted in declared variables', () => {
+      expect(validateDefinition(definition())).toBeTruthy();
+      expect(placeholders(definition().template).map(p => p.root)).toEqual(['title', 'bible']);
+    });
+
+    test('rejects undeclared variables, unknown types and bad versions', () => {
+      expect(() => validateDefinition(definition({ template: '{{title}} {{genre}}' }))).toThrow(/genre/);
+      expect(() => validateDefinition(definition({ variables: { title: 'text', bible: 'object' } }))).toThrow(/unknown type/);
+      expect(() => validateDefinition(definition({ version: 0 }))).toThrow(/version/);
+    });
+  });
+
+  describe('templateHash', () => {
+    test('changes with the template text', () => {
+      const base = { template: 'Write {{x}}', variables: { x: 'string' } };
+      expect(templateHash(base)).toBe(templateHash({ ...base }));
+      expect(templateHash(base)).not.toBe(templateHash({ ...base, template: 'Write {{x}}!' }));
+    });
+  });
+
+  describe('registered prompts', () => {
+    test('every generation prompt is registered', () => {
+      const names = listPrompts().map(p => p.name);
+      expect(names).toEqual(expect.arrayContaining([
+        'story_bible', 'sequel_bible', 'world_codex', 'arc_outline', 'prose_directive',
+        'chapter_story_context', 'chapter_batch_context', 'chapter_generation', 'chapter_review', 'craft_rules_dynamic', 'craft_rules_static',
+        'prose_guardrails_dynamic', 'prose_guardrails_static', 'review_standards_dynamic', 'review_standards_static'
+      ]));
+    });
+
+    test('renderPrompt reports the version it rendered', () => {
+      const rendered = renderPrompt('review_standards_dynamic', {
+        leanInto: '• dry humor',
+        avoid: '',
+        craft: { dialogue_style: 'Clipped.' }
+      });
+
+      expect(rendered.text).toContain('• dry humor');
+      expect(rendered.text).toContain('• Generic, voiceless prose');
+      expect(rendered.text).toContain('DIALOGUE STYLE: Clipped.');
+      expect(rendered.versions).toEqual(promptVersionsFor('review_standards_dynamic'));
+    });
+
+    test('renderPrompt rejects missing and mistyped variables', () => {
+      expect(() => renderPrompt('review_standards_dynamic', { leanInto: '', avoid: '' }))
+        .toThrow(PromptVariableError);
+      expect(() => renderPrompt('review_standards_dynamic', { leanInto: '', avoid: '', craft: 'x' }))
+        .toThrow(/should be object/);
+    });
+  });
+
+  describe('quality by prompt version', () => {
+    const chapters = [
+      { quality_score: 8, prompt_versions: { chapter_generation: 1, chapter_review: 1 } },
+      { quality_score: '7.0', prompt_versions: { chapter_generation: 2, chapter_review: 1 } },
+      { quality_score: null, prompt_versions: { chapter_generation: 2 } },
+      { quality_score: 9, prompt_versions: null }
+    ];
+
+    test('groups chapter quality by name@version', () => {
+      const groups = qualityByPromptVersion(chapters);
+      expect(Object.keys(groups).sort()).toEqual(['chapter_generation@1', 'chapter_generation@2', 'chapter_review@1']);
+      expect(groups['chapter_generation@2']).toMatchObject({ chapters: 2, scored: 1, quality_avg: 7 });
+      expect(groups['chapter_review@1'].quality_avg).toBe(7.5);
+    });
+
+    test('merges story groups into fleet groups weighted by chapter', () => {
+      const merged = mergeQualityByPromptVersion([
+        qualityByPromptVersion(chapters),
+        qualityByPromptVersion([{ quality_score: 6, prompt_versions: { chapter_generation: 1 } }])
+      ]);
+      expect(merged['chapter_generation@1']).toMatchObject({ chapters: 2, scored: 2, quality_avg: 7 });
+    });
+
+    test('lists the versions a story used', () => {
+      expect(promptVersionsUsed(chapters)).toEqual({ chapter_generation: [1, 2], chapter_review: [1] });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const {
+  BUILTIN_RULES,
+  validateRule,
+  mergeRules,
+  lintProse,
+  buildProseRevisionNotes,
+  summarizeProseViolations
+} = require('../src/services/prose-lint');
+const { scanForProseViolations } = require('../src/services/generation');
+
+describe('Prose Lint', () => {
+  const words = (n) => Array.from({ length: n }, () => 'word').join(' ');
+  const chapter = (insert, length = 3000) => `${words(length)} ${insert}`;
+
+  describe('built-in rules', () => {
+    test('keep the limits the scan used for a 3,000-word chapter', () => {
+      expect(lintProse(chapter('the kind of '.repeat(2))).passed).toBe(true);
+      expect(lintProse(chapter('the kind of '.repeat(3))).passed).toBe(false);
+      expect(lintProse(chapter('a—b '.repeat(15))).passed).toBe(true);
+      expect(lintProse(chapter('a—b '.repeat(16))).violations[0]).toMatchObject({ rule_id: 'em_dashes', count: 16, limit: 15 });
+    });
+
+    test('scale with chapter length, judging short chapters as 3,000 words', () => {
+      expect(lintProse(chapter('the kind of '.repeat(3), 6000)).passed).toBe(true);
+      expect(lintProse(chapter('the kind of '.repeat(2), 200)).passed).toBe(true);
+    });
+
+    test('follow the prose directive em dash tolerance', () => {
+      const text = chapter('a—b '.repeat(40));
+      expect(lintProse(text).passed).toBe(false);
+      expect(lintProse(text, { proseDirective: { prose_guardrails: { em_dash_tolerance: 'embrace' } } }).passed).toBe(true);
+    });
+  });
+
+  describe('rule scoping and severity', () => {
+    const cliche = {
+      id: 'cliche_breath',
+      description: 'Held-breath clichés',
+      kind: 'phrases',
+      phrases: ['let out a breath', "didn't know she was holding"],
+      severity: 'warning',
+      reading_levels: ['young_adult'],
+      genres: ['Romance'],
+      threshold_per_1k: 0
+    };
+
+    test('phrase rules match whole phrases across whitespace', () => {
+      const lint = lintProse('She let out  a breath. Outbreath.', { rules: [cliche], readingLevel: 'young_adult', genre: 'romance' });
+      expect(lint.findings).toHaveLength(1);
+      expect(lint.findings[0]).toMatchObject({ count: 1, violated: true });
+      expect(lint.findings[0].excerpts[0]).toContain('let out  a breath'.replace(/\s+/g, ' '));
+    });
+
+    test('only applies within its reading level and genre', () => {
+      const text = 'She let out a breath.';
+      expect(lintProse(text, { rules: [cliche], readingLevel: 'adult', genre: 'romance' }).findings).toEqual([]);
+      expect(lintProse(text, { rules: [cliche], readingLevel: 'young_adult', genre: 'fantasy' }).findings).toEqual([]);
+    });
+
+    test('warnings are recorded but do not fail the scan', () => {
+      const lint = lintProse('She let out a breath.', { rules: [cliche], readingLevel: 'young_adult', genre: 'romance' });
+      expect(lint.violations).toHaveLength(1);
+      expect(lint.passed).toBe(true);
+    });
+  });
+
+  describe('validateRule and mergeRules', () => {
+    test('rejects bad ids, regexes and phrase lists', () => {
+      const base = { id: 'x_rule', kind: 'pattern', pattern: 'x', severity: 'error', threshold_per_1k: 1 };
+      expect(validateRule(base)).toBeNull();
+      expect(validateRule({ ...base, id: 'Bad Id' })).toMatch(/slug/);
+      expect(validateRule({ ...base, pattern: '(' })).toMatch(/regular expression/);
+      expect(validateRule({ ...base, kind: 'phrases', phrases: [] })).toMatch(/phrases/);
+      expect(validateRule({ ...base, severity: 'fatal' })).toMatch(/severity/);
+    });
+
+    test('database rows override built-ins by id and add custom rules', () => {
+      const rules = mergeRules(BUILTIN_RULES, [
+        { id: 'the_kind_of', kind: 'pattern', pattern: 'the kind of', severity: 'warning', threshold_per_1k: 2, enabled: false },
+        { id: 'em_dashes', kind: 'pattern', pattern: '—', severity: 'error', threshold_per_1k: 3 },
+        { id: 'cliche_eyes', kind: 'phrases', phrases: ['orbs'], severity: 'info', threshold_per_1k: 0 },
+        { id: 'broken', kind: 'pattern', pattern: '[', severity: 'error', threshold_per_1k: 0 }
+      ]);
+      const byId = Object.fromEntries(rules.map(r => [r.id, r]));
+
+      expect(byId.the_kind_of).toMatchObject({ source: 'override', enabled: false });
+      expect(byId.em_dashes.directive_thresholds).toEqual(BUILTIN_RULES[0].directive_thresholds);
+      expect(byId.cliche_eyes.source).toBe('custom');
+      expect(byId.broken).toBeUndefined();
+      expect(lintProse(chapter('the kind of '.repeat(5)), { rules }).passed).toBe(true);
+    });
+  });
+
+  test('revision notes quote the offending passages', () => {
+    const { violations } = lintProse(chapter('It was the kind of night. '.repeat(3)));
+    const notes = buildProseRevisionNotes(violations);
+    expect(notes).toContain('"The kind of" constructions: 3 (limit: 2)');
+    expect(notes).toContain('the kind of night');
+  });
+
+  test('scanForProseViolations keeps its { passed, violations } shape', () => {
+    const scan = scanForProseViolations(chapter('something in his eyes '.repeat(3)));
+    expect(scan.passed).toBe(false);
+    expect(scan.violations).toEqual(['"Something in [X]" constructions: 3 (limit: 2)']);
+    expect(scan.lint.wordCount).toBe(3012);
+  });
+
+  test('summarizeProseViolations counts violated rules per chapter and rule', () => {
+    expect(summarizeProseViolations([
+      { chapter_number: 1, rule_id: 'em_dashes', violated: true },
+      { chapter_number: 1, rule_id: 'the_kind_of', violated: false },
+      { chapter_number: 2, rule_id: 'em_dashes', violated: true }
+    ])).toEqual({ by_chapter: { 1: 1, 2: 1 }, by_rule: { em_dashes: 2 }, total: 2 });
+  });
+});
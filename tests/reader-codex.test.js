@@ -0,0 +1,91 @@
+const { normalizeName, namesMatch, buildReaderCodex } = require('../src/services/reader-codex');
+
+const codexData = {
+  systems: [
+    { name: 'Tide-singing', rules: [{ rule: 'Only works at slack water.', cost: 'A memory' }, { rule: 'Bells amplify it.' }] },
+    { name: 'The Drowning', rules: [{ rule: 'The city was sunk by its own singers.' }] }
+  ],
+  factions: [
+    { name: 'The Salt Court', goals: 'Keep the bells silent', methods: 'Edicts', relationships: { 'Bellwrights': 'adversarial', 'The Deep Choir': 'allied' } },
+    { name: 'Bellwrights', goals: 'Ring again', relationships: { 'Salt Court': 'adversarial' } },
+    { name: 'The Deep Choir', goals: 'Return' }
+  ],
+  geography: [
+    { name: 'Port Halloran', facts: ['Built on pilings'], connections: ['Two days from the Reach'] },
+    { name: 'The Sunken Nave', facts: ['Under the harbour'] }
+  ],
+  established_facts: [{ fact: 'Salt preserves sound.' }]
+};
+
+const entities = [
+  { entity_type: 'location', entity_name: 'Halloran', fact: 'Mara lives here', chapter_number: 1 },
+  { entity_type: 'world_rule', entity_name: 'tide singing', fact: 'Mara hums the tide in', chapter_number: 2 },
+  { entity_type: 'plot_thread', entity_name: 'salt-court', fact: 'The Court bans bells', chapter_number: 2 },
+  { entity_type: 'character', entity_name: 'Mara', fact: 'A bell-ringer', chapter_number: 1 },
+  { entity_type: 'location', entity_name: 'The Reach', fact: 'Marsh north of the port', chapter_number: 2 },
+  { entity_type: 'location', entity_name: 'Port Halloran', fact: 'Flooded at spring tide', chapter_number: 3 },
+  { entity_type: 'location', entity_name: 'Sunken Nave', fact: 'Where the choir sleeps', chapter_number: 5 },
+  { entity_type: 'world_rule', entity_name: 'Bellwrights', fact: 'Guild of bell-makers', chapter_number: 4 }
+];
+
+const chapters = [1, 2, 3, 4, 5].map(n => ({ chapter_number: n, title: `Chapter title ${n}` }));
+
+describe('Reader Codex', () => {
+  test('names match ignoring case, punctuation, "the" and short forms', () => {
+    expect(normalizeName('The Salt-Court')).toBe('salt court');
+    expect(namesMatch('salt court', 'The Salt Court')).toBe(true);
+    expect(namesMatch('Halloran', 'Port Halloran')).toBe(true);
+    expect(namesMatch('Port', 'Port Halloran')).toBe(true);
+    expect(namesMatch('Hall', 'Port Halloran')).toBe(false); // not a whole word
+    expect(namesMatch('Sea', 'Sea Gate')).toBe(false); // too short to trust
+    expect(namesMatch('', 'Anything')).toBe(false);
+  });
+
+  test('only entries introduced by the reader\'s chapter are shown', () => {
+    const codex = buildReaderCodex({ codexData, entities, chapters, throughChapter: 3 });
+
+    expect(codex.through_chapter).toBe(3);
+    expect(codex.places.map(p => p.name)).toEqual(['Port Halloran']);
+    expect(codex.factions.map(f => f.name)).toEqual(['The Salt Court']);
+    expect(codex.rules.map(r => r.name)).toEqual(['Tide-singing']);
+    // Not in the codex, so a glossary term; characters and plot threads never are
+    expect(codex.glossary.map(g => g.name)).toEqual(['The Reach']);
+  });
+
+  test('entries link to their first chapter and list only facts read so far', () => {
+    const codex = buildReaderCodex({ codexData, entities, chapters, throughChapter: 3 });
+    const port = codex.places[0];
+
+    expect(port).toEqual({
+      name: 'Port Halloran',
+      facts: [
+        { chapter_number: 1, fact: 'Mara lives here' },
+        { chapter_number: 3, fact: 'Flooded at spring tide' }
+      ],
+      first_appeared: { chapter_number: 1, title: 'Chapter title 1' }
+    });
+    expect(codex.rules[0].facts).toEqual([{ chapter_number: 2, fact: 'Mara hums the tide in' }]);
+  });
+
+  test('whole-book codex descriptions never reach the reader', () => {
+    const codex = buildReaderCodex({ codexData, entities, chapters, throughChapter: 5 });
+    expect(codex.factions.map(f => f.name)).toEqual(['The Salt Court', 'Bellwrights']);
+    expect(codex.places.map(p => [p.name, p.first_appeared.chapter_number])).toEqual([['Port Halloran', 1], ['The Sunken Nave', 5]]);
+
+    const shown = JSON.stringify(codex);
+    for (const spoiler of ['Built on pilings', 'Two days from the Reach', 'Keep the bells silent', 'Edicts', 'adversarial', 'A memory', 'sunk by its own singers']) {
+      expect(shown).not.toContain(spoiler);
+    }
+  });
+
+  test('a reader who hasn\'t started sees nothing, and a story without a codex has only the glossary', () => {
+    const unread = buildReaderCodex({ codexData, entities, chapters, throughChapter: 0 });
+    expect([...unread.places, ...unread.factions, ...unread.rules, ...unread.glossary]).toEqual([]);
+
+    const noCodex = buildReaderCodex({ codexData: null, entities, chapters: [], throughChapter: 5 });
+    expect(noCodex.places).toEqual([]);
+    expect(noCodex.glossary.map(g => g.name)).toEqual(['Port Halloran', 'The Reach', 'tide singing', 'Bellwrights', 'Sunken Nave']);
+    expect(noCodex.glossary[0].first_appeared).toEqual({ chapter_number: 1, title: null });
+    expect(noCodex.glossary[0].facts.map(f => f.chapter_number)).toEqual([1, 3]);
+  });
+});
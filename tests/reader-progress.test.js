@@ -0,0 +1,15 @@
+const { finishedThroughChapter } = require('../src/services/reader-progress');
+
+describe('Reader Progress', () => {
+  test('the chapter a reader is in doesn\'t count as read', () => {
+    expect(finishedThroughChapter(4)).toBe(3);
+    expect(finishedThroughChapter(1)).toBe(0);
+    expect(finishedThroughChapter(null)).toBe(0);
+  });
+
+  test('a completed chapter counts, including the last one of the book', () => {
+    expect(finishedThroughChapter(12, [10, 11, 12])).toBe(12);
+    expect(finishedThroughChapter(5, [2, 3])).toBe(4);
+    expect(finishedThroughChapter(null, [])).toBe(0);
+  });
+});
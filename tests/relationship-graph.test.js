@@ -0,0 +1,106 @@
+const { chapterQueryError, edgeType, buildRelationshipGraph } = require('../src/services/relationship-graph');
+
+const bible = {
+  characters: {
+    protagonist: { name: 'Mara Quill' },
+    antagonist: { name: 'Lord Halloran' },
+    supporting: [{ name: 'Tobin', role: 'mentor' }]
+  }
+};
+
+const ledger = (chapterNumber, characters) => ({ chapter_number: chapterNumber, ledger_data: { chapter: chapterNumber, characters } });
+
+const ledgerEntries = [
+  ledger(1, {
+    'Mara': {
+      emotional_state: 'Wary',
+      private_thoughts: 'Tobin is hiding something',
+      new_knowledge: ['The bells were silenced on purpose'],
+      relationship_shifts: {
+        'Tobin': { direction: 'strengthening', detail: 'He taught her the first peal' },
+        'Halloran': { direction: 'deteriorating', detail: 'He banned her bell' }
+      }
+    },
+    'Tobin': { emotional_state: 'Proud', relationship_shifts: { 'Mara Quill': { direction: 'strengthening' } } }
+  }),
+  ledger(2, {
+    'Mara Quill': {
+      emotional_state: 'Betrayed',
+      relationship_shifts: {
+        'Tobin': { direction: 'deteriorating', detail: 'He sold the bell' },
+        'Sister Ane': { direction: 'strengthening', detail: 'She hid Mara', unresolved: 'Why she helped' }
+      }
+    }
+  }),
+  ledger(3, {
+    'Mara': { emotional_state: 'Torn', relationship_shifts: { 'Tobin': { direction: 'complicated', detail: 'He was protecting her' } } }
+  })
+];
+
+describe('Relationship Graph', () => {
+  test('chapterQueryError accepts a positive integer or nothing', () => {
+    expect(chapterQueryError(undefined)).toBeNull();
+    expect(chapterQueryError('3')).toBeNull();
+    expect(chapterQueryError('0')).toBe('chapter must be a positive integer');
+    expect(chapterQueryError('two')).toBe('chapter must be a positive integer');
+    expect(chapterQueryError('1.5')).toBe('chapter must be a positive integer');
+  });
+
+  test('edge type follows the latest direction and running sentiment', () => {
+    expect(edgeType('complicated', 2)).toBe('complicated');
+    expect(edgeType('stable', 1)).toBe('ally');
+    expect(edgeType('strengthening', -1)).toBe('adversary');
+    expect(edgeType('stable', 0)).toBe('neutral');
+  });
+
+  test('nodes use the bible\'s names and roles, in order of first appearance', () => {
+    const graph = buildRelationshipGraph({ ledgerEntries, bible, throughChapter: 3 });
+
+    expect(graph.through_chapter).toBe(3);
+    expect(graph.nodes.map(n => [n.name, n.role, n.first_chapter, n.last_chapter])).toEqual([
+      ['Lord Halloran', 'antagonist', 1, 1],
+      ['Mara Quill', 'protagonist', 1, 3],
+      ['Tobin', 'mentor', 1, 3],
+      ['Sister Ane', null, 2, 2]
+    ]);
+    expect(graph.nodes.find(n => n.id === 'mara quill').emotional_state).toBe('Torn');
+  });
+
+  test('edges are directed and carry sentiment over time', () => {
+    const graph = buildRelationshipGraph({ ledgerEntries, bible, throughChapter: 3 });
+    const maraToTobin = graph.edges.find(e => e.source === 'mara quill' && e.target === 'tobin');
+
+    expect(maraToTobin.type).toBe('complicated');
+    expect(maraToTobin.history.map(h => [h.chapter_number, h.direction, h.sentiment])).toEqual([
+      [1, 'strengthening', 1],
+      [2, 'deteriorating', 0],
+      [3, 'complicated', 0]
+    ]);
+    expect(graph.edges.find(e => e.source === 'tobin').type).toBe('ally');
+    expect(graph.edges.find(e => e.target === 'lord halloran').type).toBe('adversary');
+    expect(graph.edges.find(e => e.target === 'sister ane').history[0].unresolved).toBe('Why she helped');
+  });
+
+  test('an earlier chapter hides later characters, shifts and private fields', () => {
+    const graph = buildRelationshipGraph({ ledgerEntries, bible, throughChapter: 1 });
+
+    expect(graph.nodes.map(n => n.name)).not.toContain('Sister Ane');
+    expect(graph.edges.find(e => e.source === 'mara quill' && e.target === 'tobin').type).toBe('ally');
+    expect(graph.nodes.find(n => n.id === 'mara quill')).not.toHaveProperty('private_thoughts');
+    expect(graph).not.toHaveProperty('diagnostics');
+  });
+
+  test('the admin view adds private fields and continuity diagnostics', () => {
+    const graph = buildRelationshipGraph({ ledgerEntries, bible, throughChapter: null, includePrivate: true, chapterNumbers: [1, 2, 3, 4] });
+    const mara = graph.nodes.find(n => n.id === 'mara quill');
+
+    expect(graph.through_chapter).toBe(3);
+    expect(mara.private_thoughts).toBe('Tobin is hiding something');
+    expect(mara.new_knowledge).toEqual([{ chapter_number: 1, fact: 'The bells were silenced on purpose' }]);
+    expect(graph.diagnostics).toEqual({
+      chapters_without_ledger: [4],
+      untracked_targets: ['Lord Halloran', 'Sister Ane'],
+      characters_outside_bible: ['Sister Ane']
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const {
+  resolvePlannedBooks,
+  validateSeriesPlan,
+  isBookPlanned,
+  buildSeriesPlanBlock,
+  summarizeSeriesProgress
+} = require('../src/services/series-planner');
+const { renderPrompt } = require('../src/services/prompt-registry');
+const { validateStructured } = require('../src/services/structured-output');
+
+describe('Series Planner', () => {
+  const plan = {
+    planned_books: 3,
+    series_arc: {
+      overarching_conflict: 'The drowned bells wake the sea-king',
+      protagonist_journey: 'Mara goes from bell-ringer to keeper of the tide',
+      escalation: 'One village, then the coast, then the sea itself'
+    },
+    books: [
+      { book_number: 1, role: 'Inciting book', focus: 'The first bell rings', ends_with: 'Mara hears the second bell' },
+      { book_number: 2, role: 'Middle book — the cost', focus: 'Mara bargains with the tide', ends_with: 'Tomas is taken' },
+      { book_number: 3, role: 'Finale', focus: 'Mara faces the sea-king' }
+    ],
+    threads: [
+      { id: 'bells', thread: 'Who cast the bells', introduced_in: 1, resolves_in: 3, progression: 'Clues in each book' },
+      { id: 'debt', thread: "Mara's debt to the tide", introduced_in: 2, resolves_in: 2 },
+      { id: 'tomas', thread: 'Rescuing Tomas', introduced_in: 2, resolves_in: 3 }
+    ],
+    planned_ending: {
+      resolution: 'Mara rings the last bell and the sea-king sleeps',
+      protagonist_end_state: 'Keeper of the tide',
+      final_image: 'A silent bell tower at dawn'
+    }
+  };
+
+  test('resolvePlannedBooks accepts whole numbers from 2 to 7', () => {
+    expect(resolvePlannedBooks(3)).toBe(3);
+    expect(resolvePlannedBooks('5')).toBe(5);
+    expect(resolvePlannedBooks(1)).toBeNull();
+    expect(resolvePlannedBooks(8)).toBeNull();
+    expect(resolvePlannedBooks(2.5)).toBeNull();
+  });
+
+  test('the plan itself matches the series_plan schema', () => {
+    expect(validateStructured('series_plan', plan)).toEqual([]);
+  });
+
+  test('validateSeriesPlan checks one entry per book and threads inside the series', () => {
+    expect(validateSeriesPlan(plan, 3)).toBeNull();
+    expect(validateSeriesPlan(plan, 4)).toMatch(/books 1-4/);
+    expect(validateSeriesPlan({ ...plan, threads: [{ id: 'x', introduced_in: 2, resolves_in: 5 }] }, 3)).toMatch(/Thread "x"/);
+  });
+
+  test('isBookPlanned stops at the planned last book; unplanned series are open-ended', () => {
+    expect(isBookPlanned(plan, 3)).toBe(true);
+    expect(isBookPlanned(plan, 4)).toBe(false);
+    expect(isBookPlanned(null, 12)).toBe(true);
+  });
+
+  describe('buildSeriesPlanBlock', () => {
+    test('a middle book gets its role and threads but not the ending itself', () => {
+      const block = buildSeriesPlanBlock(plan, 2);
+      expect(block).toContain('BOOK 2 OF 3');
+      expect(block).toContain("THIS BOOK'S ROLE: Middle book — the cost");
+      expect(block).toMatch(/THREADS TO RESOLVE IN THIS BOOK:\n- Mara's debt to the tide/);
+      expect(block).toMatch(/THREADS TO INTRODUCE IN THIS BOOK:\n- Rescuing Tomas/);
+      expect(block).toMatch(/THREADS TO ADVANCE \(NOT RESOLVE\) IN THIS BOOK:\n- Who cast the bells \(Clues in each book\)/);
+      expect(block).toContain('do NOT reach it yet');
+    });
+
+    test('the final book must deliver the planned ending', () => {
+      const block = buildSeriesPlanBlock(plan, 3);
+      expect(block).toContain('(FINAL BOOK)');
+      expect(block).toContain('Final image: A silent bell tower at dawn');
+      expect(block).not.toContain("Mara's debt");
+    });
+
+    test('is empty without a plan and renders into the sequel bible prompt', () => {
+      expect(buildSeriesPlanBlock(null, 2)).toBe('');
+      const vars = {
+        nextBookNumber: 2, ageRange: '12', predecessorBookNumber: 1,
+        previousBible: { title: 'Bells', content: { characters: { protagonist: { name: 'Mara', age: 12 } } } },
+        endState: {}, themesJson: '[]', booksPlural: '', worldRulesJson: '', worldState: '',
+        relationshipsJson: '', accomplishments: '', keyEvents: '', cumulativeSeriesHistory: '',
+        readerPreferences: '', protagonistNextAge: '13', themeSummary: ''
+      };
+      expect(renderPrompt('sequel_bible', { ...vars, seriesPlanBlock: buildSeriesPlanBlock(plan, 2) }).text).toContain('SERIES PLAN — BOOK 2 OF 3');
+      expect(renderPrompt('sequel_bible', { ...vars, seriesPlanBlock: '' }).text).not.toContain('SERIES PLAN —');
+    });
+  });
+
+  describe('summarizeSeriesProgress', () => {
+    const books = [
+      { story_id: 's1', book_number: 1, title: 'Bells', status: 'active', total_chapters: 12, chapters_available: 12, chapters_read: 12 },
+      { story_id: 's2', book_number: 2, title: 'Tides', status: 'active', total_chapters: 12, chapters_available: 6, chapters_read: 4 }
+    ];
+
+    test('places the reader in the saga, including books not written yet', () => {
+      const progress = summarizeSeriesProgress(plan, books);
+      expect(progress).toMatchObject({
+        planned: true,
+        planned_books: 3,
+        books_written: 2,
+        books_finished: 1,
+        current_book: 2,
+        next_book: { book_number: 3, planned: true, role: 'Finale' },
+        planned_ending: null,
+        complete: false
+      });
+      expect(progress.books.map(b => b.reading_status)).toEqual(['finished', 'reading', 'planned']);
+      expect(progress.books[2]).toMatchObject({ story_id: null, role: 'Finale' });
+      expect(progress.threads.map(t => t.status)).toEqual(['active', 'resolves_now', 'active']);
+    });
+
+    test('an unplanned series lists only written books and stays open-ended', () => {
+      const progress = summarizeSeriesProgress(null, books);
+      expect(progress.planned).toBe(false);
+      expect(progress.books).toHaveLength(2);
+      expect(progress.next_book.planned).toBe(true);
+    });
+
+    test('a finished planned series has no next book', () => {
+      const all = [...books.map(b => ({ ...b, chapters_read: 12 })), { story_id: 's3', book_number: 3, total_chapters: 12, chapters_read: 12 }];
+      const progress = summarizeSeriesProgress(plan, all);
+      expect(progress.complete).toBe(true);
+      expect(progress.next_book.planned).toBe(false);
+      expect(progress.current_book).toBe(3);
+      expect(progress.planned_ending.final_image).toBe('A silent bell tower at dawn');
+    });
+  });
+});
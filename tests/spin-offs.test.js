@@ -0,0 +1,117 @@
+const {
+  collectSpinOffCandidates,
+  findSpinOffCandidate,
+  buildCharacterArc,
+  isSameCharacter
+} = require('../src/services/spin-offs');
+const { renderPrompt } = require('../src/services/prompt-registry');
+
+describe('Spin-offs', () => {
+  const bible = {
+    characters: {
+      protagonist: { name: 'Mara' },
+      antagonist: { name: 'The Sea-King', motivation: 'Reclaim the drowned coast' },
+      supporting: [
+        { name: 'Tomas', role: 'best friend', personality: 'Loyal, reckless' },
+        { name: 'Old Wren', role: 'mentor', personality: 'Dry, secretive' }
+      ]
+    }
+  };
+
+  const ledgerEntries = [
+    {
+      chapter_number: 1,
+      ledger_data: {
+        characters: {
+          Mara: { emotional_state: 'restless' },
+          Tomas: { emotional_state: 'eager', new_knowledge: ['The bell is cracked'] }
+        }
+      }
+    },
+    {
+      chapter_number: 2,
+      ledger_data: {
+        characters: {
+          Mara: { emotional_state: 'afraid' },
+          tomas: {
+            emotional_state: 'guilty',
+            private_thoughts: 'He rang the bell first',
+            relationship_shifts: { Mara: { direction: 'complicated', detail: 'Kept a secret from her' } }
+          },
+          Ines: { emotional_state: 'curious' }
+        }
+      }
+    }
+  ];
+
+  describe('collectSpinOffCandidates', () => {
+    test('lists the supporting cast, antagonist and ledger-only characters, never the protagonist', () => {
+      const candidates = collectSpinOffCandidates(bible, ledgerEntries);
+      expect(candidates.map(c => c.name)).toEqual(['Tomas', 'Ines', 'Old Wren', 'The Sea-King']);
+      expect(candidates.find(c => c.name === 'Mara')).toBeUndefined();
+    });
+
+    test('counts appearances case-insensitively and keeps the latest emotional state', () => {
+      const tomas = collectSpinOffCandidates(bible, ledgerEntries)[0];
+      expect(tomas).toEqual({
+        name: 'Tomas',
+        role: 'best friend',
+        description: 'Loyal, reckless',
+        chapters_present: 2,
+        latest_emotional_state: 'guilty'
+      });
+    });
+
+    test('works from the bible alone before any ledger exists', () => {
+      const candidates = collectSpinOffCandidates(bible);
+      expect(candidates).toHaveLength(3);
+      expect(candidates.find(c => c.name === 'The Sea-King').role).toBe('antagonist');
+    });
+  });
+
+  test('findSpinOffCandidate ignores case and whitespace', () => {
+    const candidates = collectSpinOffCandidates(bible, ledgerEntries);
+    expect(findSpinOffCandidate(candidates, '  old wren ').name).toBe('Old Wren');
+    expect(findSpinOffCandidate(candidates, 'Mara')).toBeNull();
+    expect(findSpinOffCandidate(candidates, '')).toBeNull();
+  });
+
+  test('buildCharacterArc follows one character through the ledger', () => {
+    const arc = buildCharacterArc('Tomas', ledgerEntries);
+    expect(arc.map(a => a.chapter)).toEqual([1, 2]);
+    expect(arc[0].new_knowledge).toEqual(['The bell is cracked']);
+    expect(arc[1]).toMatchObject({
+      emotional_state: 'guilty',
+      private_thoughts: 'He rang the bell first',
+      relationship_shifts: { Mara: { direction: 'complicated' } }
+    });
+    expect(buildCharacterArc('Old Wren', ledgerEntries)).toEqual([]);
+  });
+
+  test('isSameCharacter accepts an added surname but not a different character', () => {
+    expect(isSameCharacter('Tomas Reyes', 'Tomas')).toBe(true);
+    expect(isSameCharacter('old wren', 'Old Wren')).toBe(true);
+    expect(isSameCharacter('Mara', 'Tomas')).toBe(false);
+    expect(isSameCharacter(undefined, 'Tomas')).toBe(false);
+  });
+
+  test('the spin_off_bible prompt makes the chosen character the protagonist', () => {
+    const { text, versions } = renderPrompt('spin_off_bible', {
+      characterName: 'Tomas',
+      originalTitle: 'Bells',
+      genre: 'fantasy',
+      ageRange: '8-12',
+      totalChapters: 12,
+      originalBibleJson: JSON.stringify(bible),
+      codexJson: '{}',
+      characterProfileJson: JSON.stringify(bible.characters.supporting[0]),
+      characterArcJson: JSON.stringify(buildCharacterArc('Tomas', ledgerEntries)),
+      endStateJson: '{}',
+      readerNotes: 'None given'
+    });
+    expect(text).toContain('SPIN-OFF of "Bells"');
+    expect(text).toContain('"name": "Tomas"');
+    expect(text).toContain('He rang the bell first');
+    expect(versions).toEqual({ spin_off_bible: 1 });
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  MAX_BRANCHES,
+  normalizeBranchProposal,
+  applyBranchToArc
+} = require('../src/services/story-branches');
+const { checkpointChapter } = require('../src/services/story-fork');
+
+describe('Story Branches', () => {
+  const outline = (n, extra = {}) => ({
+    chapter_number: n,
+    title: `Chapter ${n}`,
+    events_summary: `Things happen in ${n}`,
+    ...extra
+  });
+
+  const branch = (title, chapters) => ({ title, summary: `${title} leads somewhere`, chapters });
+
+  describe('normalizeBranchProposal', () => {
+    test('keeps complete branches in order, with outline fields only', () => {
+      const branches = normalizeBranchProposal({
+        branches: [
+          branch('Trust the smuggler', [outline(12), outline(10, { mood: 'ignored' }), outline(11)]),
+          branch('Go back for Mira', [outline(10), outline(11), outline(12)])
+        ]
+      }, 10, 12);
+
+      expect(branches).toHaveLength(2);
+      expect(branches[0].chapters.map(c => c.chapter_number)).toEqual([10, 11, 12]);
+      expect(branches[0].chapters[0]).not.toHaveProperty('mood');
+    });
+
+    test('drops branches missing a chapter and caps the count', () => {
+      const full = [outline(10), outline(11), outline(12)];
+      const branches = normalizeBranchProposal({
+        branches: [
+          branch('A', full),
+          branch('Incomplete', [outline(10), outline(12)]),
+          branch('B', full),
+          branch('C', full),
+          branch('D', full)
+        ]
+      }, 10, 12);
+
+      expect(branches).toHaveLength(MAX_BRANCHES);
+      expect(branches.map(b => b.title)).toEqual(['A', 'B', 'C']);
+    });
+
+    test('throws when fewer than two usable branches come back', () => {
+      expect(() => normalizeBranchProposal({ branches: [branch('Only', [outline(10)])] }, 10, 10)).toThrow();
+      expect(() => normalizeBranchProposal({}, 4, 12)).toThrow();
+    });
+  });
+
+  describe('applyBranchToArc', () => {
+    test('replaces outlines from the branch point on and drops stale enrichment notes', () => {
+      const arc = [
+        outline(1, { enrichment_notes: 'keep' }),
+        outline(2, { word_count_target: 3000, enrichment_notes: 'old path' })
+      ];
+      const applied = applyBranchToArc(arc, [outline(2, { title: 'The Other Road' })]);
+
+      expect(applied[0]).toBe(arc[0]);
+      expect(applied[1]).toEqual({
+        chapter_number: 2,
+        title: 'The Other Road',
+        events_summary: 'Things happen in 2',
+        word_count_target: 3000
+      });
+    });
+  });
+
+  describe('checkpointChapter', () => {
+    test('reads the chapter from a checkpoint name', () => {
+      expect(checkpointChapter('chapter_5')).toBe(5);
+      expect(checkpointChapter('completion')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// Reads resolve empty; the reader's finished chapter, consent and budget are set per test
+const mockReader = { finishedThrough: 0, consent: true, reads: 0 };
+jest.mock('../src/config/supabase', () => {
+  const query = {};
+  for (const method of ['select', 'eq', 'lte', 'order', 'single', 'maybeSingle']) query[method] = () => query;
+  query.then = (resolve) => {
+    mockReader.reads++;
+    return resolve({ data: null, error: null });
+  };
+  return { supabaseAdmin: { from: () => query } };
+});
+jest.mock('../src/services/reader-progress', () => ({
+  ...jest.requireActual('../src/services/reader-progress'),
+  getFinishedThroughChapter: async () => mockReader.finishedThrough
+}));
+jest.mock('../src/middleware/consent', () => ({
+  requireAIConsent: async () => {
+    if (!mockReader.consent) throw Object.assign(new Error('AI consent is required'), { code: 'AI_CONSENT_REQUIRED' });
+  }
+}));
+jest.mock('../src/services/ai-budgets', () => ({ assertWithinBudget: async () => [] }));
+
+const {
+  RECAP_GAP_DAYS,
+  recapLengthError,
+  recapDue,
+  buildChaptersBlock,
+  buildCharactersBlock,
+  endingExcerpt,
+  buildRecapPrompt,
+  refreshStoryRecap
+} = require('../src/services/story-recaps');
+const { buildRelationshipGraph } = require('../src/services/relationship-graph');
+const { validateStructured } = require('../src/services/structured-output');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const story = { title: 'The Drowned Bells', genre: 'fantasy' };
+const bible = { characters: { protagonist: { name: 'Mara Quill' }, antagonist: { name: 'Lord Halloran' } } };
+
+const chapters = [
+  { chapter_number: 1, title: 'Salt', metadata: { key_events: ['Mara rings the bell', 'The Court arrives'] }, content: 'Opening.\n\nMara ran.' },
+  { chapter_number: 2, title: 'Tide', metadata: {}, content: 'First.\n\nThe tide came in.\n\nShe did not look back.' },
+  { chapter_number: 3, title: 'Nave', metadata: { key_events: ['The choir wakes'] }, content: 'A spoiler.' }
+];
+
+const ledgerEntries = [
+  {
+    chapter_number: 1,
+    ledger_data: {
+      characters: {
+        'Mara': {
+          emotional_state: 'Wary',
+          private_thoughts: 'She knows who sank the city',
+          relationship_shifts: { 'Halloran': { direction: 'deteriorating', detail: 'He banned her bell', unresolved: 'The fine' } }
+        }
+      }
+    }
+  },
+  { chapter_number: 2, ledger_data: { characters: { 'Mara Quill': { emotional_state: 'Defiant' } } } },
+  { chapter_number: 3, ledger_data: { characters: { 'Mara Quill': { emotional_state: 'Terrified' } } } }
+];
+
+describe('Story Recaps', () => {
+  test('recapLengthError accepts the three lengths or nothing', () => {
+    expect(recapLengthError(undefined)).toBeNull();
+    expect(recapLengthError('paragraph')).toBeNull();
+    expect(recapLengthError('essay')).toBe('length must be one of: one_line, paragraph, full');
+  });
+
+  test('a recap is due after a long gap, not for readers who never started', () => {
+    const now = new Date('2026-06-30T12:00:00Z');
+    expect(recapDue(new Date(now - RECAP_GAP_DAYS * DAY_MS), now)).toBe(true);
+    expect(recapDue(new Date(now - (RECAP_GAP_DAYS - 1) * DAY_MS).toISOString(), now)).toBe(false);
+    expect(recapDue(null, now)).toBe(false);
+  });
+
+  test('chapter and character blocks only cover what was read, without private thoughts', () => {
+    expect(buildChaptersBlock(chapters.slice(0, 2))).toBe(
+      'Chapter 1: Salt\nKey events: Mara rings the bell; The Court arrives\n\nChapter 2: Tide\nKey events: Not recorded'
+    );
+
+    const block = buildCharactersBlock(buildRelationshipGraph({ ledgerEntries, bible, throughChapter: 2 }));
+    expect(block).toBe('Mara Quill (as of chapter 2): Defiant\n  - Lord Halloran: deteriorating (He banned her bell; unresolved: The fine)');
+    expect(block).not.toContain('sank the city');
+  });
+
+  test('endingExcerpt keeps the last paragraphs that fit', () => {
+    expect(endingExcerpt('One.\n\nTwo.\n\n\nThree.')).toBe('One.\n\nTwo.\n\nThree.');
+    const long = 'x'.repeat(2490);
+    expect(endingExcerpt(`Early.\n\n${long}\n\nLast.`)).toBe(`${long}\n\nLast.`);
+    expect(endingExcerpt('x'.repeat(3000))).toHaveLength(3000);
+  });
+
+  test('the prompt stops at the reader\'s chapter and its hash tracks the source', () => {
+    const { prompt, versions, sourceHash } = buildRecapPrompt({ story, chapters, ledgerEntries, bible, throughChapter: 2 });
+
+    expect(versions.story_recap).toBe(1);
+    expect(prompt).toContain('read up to the end of chapter 2');
+    expect(prompt).toContain('[End of chapter 2]\nFirst.\n\nThe tide came in.\n\nShe did not look back.');
+    expect(prompt).not.toContain('The choir wakes');
+    expect(prompt).not.toContain('Terrified');
+
+    const again = buildRecapPrompt({ story, chapters, ledgerEntries, bible, throughChapter: 2 });
+    expect(again.sourceHash).toBe(sourceHash);
+    const revised = chapters.map(ch => (ch.chapter_number === 2 ? { ...ch, content: 'A revised ending.' } : ch));
+    expect(buildRecapPrompt({ story, chapters: revised, ledgerEntries, bible, throughChapter: 2 }).sourceHash).not.toBe(sourceHash);
+  });
+
+  test('a background refresh needs a finished chapter and consent, and runs once per reader at a time', async () => {
+    mockReader.finishedThrough = 0;
+    expect(await refreshStoryRecap('story-1', 'user-1')).toBe(false);
+
+    mockReader.finishedThrough = 2;
+    mockReader.consent = false;
+    expect(await refreshStoryRecap('story-1', 'user-1')).toBe(false);
+
+    mockReader.consent = true;
+    mockReader.reads = 0;
+    const [first, second] = await Promise.all([refreshStoryRecap('story-1', 'user-1'), refreshStoryRecap('story-1', 'user-1')]);
+    expect([first, second]).toEqual([true, true]);
+
+    // Only one refresh loads the story (five queries); with no chapters stored there's nothing to write
+    await new Promise(resolve => setImmediate(resolve));
+    expect(mockReader.reads).toBe(5);
+  });
+
+  test('story_recap output needs all three lengths', () => {
+    expect(validateStructured('story_recap', { one_line: 'a', paragraph: 'b', full: 'c' })).toEqual([]);
+    expect(validateStructured('story_recap', { one_line: 'a', paragraph: '' }).map(e => e.path).sort()).toEqual(['full', 'paragraph']);
+  });
+});
@@ -0,0 +1,111 @@
+const { buildStoryTimeline } = require('../src/services/story-timeline');
+
+const chapters = [
+  { chapter_number: 1, title: 'Salt', metadata: { key_events: ['Mara rings the bell', 'The Court arrives'], character_development: 'Mara stops hiding' } },
+  { chapter_number: 2, title: 'Tide', metadata: { key_events: ['Tobin sells the bell'] } },
+  { chapter_number: 3, title: 'Nave', metadata: {} }
+];
+
+const worldLedger = [
+  {
+    chapter_number: 1,
+    ledger_data: {
+      facts_established: [{ fact: 'Bells are banned', category: 'politics', immutable: true }],
+      geography_revealed: [{ location: 'Port Halloran', details: 'Built on pilings' }],
+      timeline_progression: { time_elapsed: 'One night', current_position: 'Eve of the spring tide' },
+      reader_promises: [{ promise: 'Why the bells were silenced', status: 'pending', planted_in: 1 }]
+    }
+  },
+  {
+    chapter_number: 2,
+    ledger_data: {
+      facts_established: [],
+      rules_demonstrated: [{ rule: 'Tide-singing', outcome: 'The harbour drains', consistent_with_codex: false }],
+      reader_promises: [
+        { promise: 'Why the bells were silenced', status: 'fulfilled', planted_in: 1 },
+        { promise: 'Who Tobin works for', status: 'advanced', planted_in: 2 }
+      ]
+    }
+  },
+  {
+    chapter_number: 3,
+    ledger_data: {
+      facts_established: [],
+      reader_promises: [
+        { promise: 'Why the bells were silenced', status: 'pending', planted_in: 1 },
+        { promise: 'Who Tobin works for', status: 'advanced', planted_in: 2 },
+        { promise: 'What sleeps in the Nave', status: 'pending', planted_in: 5 }
+      ]
+    }
+  }
+];
+
+describe('Story Timeline', () => {
+  test('merges events, beats, world changes and promises in chapter order', () => {
+    const timeline = buildStoryTimeline({ chapters, worldLedger, throughChapter: 2 });
+
+    expect(timeline.through_chapter).toBe(2);
+    expect(timeline.entries.map(e => [e.chapter_number, e.kind, e.text])).toEqual([
+      [1, 'event', 'Mara rings the bell'],
+      [1, 'event', 'The Court arrives'],
+      [1, 'character_beat', 'Mara stops hiding'],
+      [1, 'world_change', 'Bells are banned'],
+      [1, 'world_change', 'Port Halloran: Built on pilings'],
+      [1, 'promise', 'Why the bells were silenced'],
+      [2, 'event', 'Tobin sells the bell'],
+      [2, 'world_change', 'Tide-singing: The harbour drains'],
+      [2, 'promise', 'Why the bells were silenced'],
+      [2, 'promise', 'Who Tobin works for']
+    ]);
+    expect(timeline.entries[0]).toEqual({
+      chapter_number: 1,
+      chapter_title: 'Salt',
+      story_time: 'Eve of the spring tide',
+      kind: 'event',
+      text: 'Mara rings the bell'
+    });
+  });
+
+  test('promises appear where planted and where their status changes', () => {
+    const timeline = buildStoryTimeline({ chapters, worldLedger, throughChapter: null });
+    const promises = timeline.entries.filter(e => e.kind === 'promise');
+
+    expect(promises.map(p => [p.chapter_number, p.status, p.text])).toEqual([
+      [1, 'planted', 'Why the bells were silenced'],
+      [2, 'fulfilled', 'Why the bells were silenced'],
+      [2, 'advanced', 'Who Tobin works for'],
+      [3, 'planted', 'Why the bells were silenced'],
+      [3, 'planted', 'What sleeps in the Nave']
+    ]);
+  });
+
+  test('readers get no flags and nothing past their chapter', () => {
+    const timeline = buildStoryTimeline({ chapters, worldLedger, throughChapter: 1 });
+
+    expect(timeline.entries.every(e => e.chapter_number === 1)).toBe(true);
+    expect(timeline.entries.some(e => 'flags' in e)).toBe(false);
+    expect(timeline).not.toHaveProperty('contradiction_count');
+  });
+
+  test('the admin view flags contradictions', () => {
+    const timeline = buildStoryTimeline({ chapters, worldLedger, throughChapter: null, includeFlags: true });
+    const flagged = timeline.entries
+      .filter(e => e.flags.length > 0)
+      .map(e => [e.chapter_number, e.text, e.flags.map(f => f.type)]);
+
+    expect(flagged).toEqual([
+      [2, 'Tide-singing: The harbour drains', ['codex_contradiction']],
+      [2, 'Who Tobin works for', ['promise_never_planted']],
+      [3, 'Why the bells were silenced', ['promise_regressed']],
+      [3, 'What sleeps in the Nave', ['promise_planted_later']]
+    ]);
+    expect(timeline.contradiction_count).toBe(4);
+  });
+
+  test('chapters without a world ledger still contribute their events', () => {
+    const timeline = buildStoryTimeline({ chapters, worldLedger: [], throughChapter: null });
+    expect(timeline.through_chapter).toBe(3);
+    expect(timeline.entries.map(e => e.kind)).toEqual(['event', 'event', 'character_beat', 'event']);
+    expect(timeline.entries[0].story_time).toBeNull();
+  });
+});
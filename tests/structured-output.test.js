@@ -0,0 +1,133 @@
+const {
+  SchemaValidationError,
+  getSchema,
+  listSchemas,
+  stripMarkdownCodeBlocks,
+  parseJSON,
+  validateSchema,
+  validateStructured,
+  buildReaskPrompt,
+  parseStructured
+} = require('../src/services/structured-output');
+
+describe('Structured Output', () => {
+  const constraints = {
+    must: [{ id: 'must_1', constraint: 'Mara finds the key' }],
+    must_not: [],
+    should: [{ id: 'should_1', constraint: 'Callback to the lighthouse' }]
+  };
+
+  test('every registered schema has a name, version and object schema', () => {
+    for (const { name, version } of listSchemas()) {
+      const { schema } = getSchema(name);
+      expect(Number.isInteger(version)).toBe(true);
+      expect(schema.type).toBe('object');
+      expect(Array.isArray(schema.required)).toBe(true);
+    }
+    expect(() => getSchema('nope')).toThrow(/Unknown output schema/);
+  });
+
+  test('stripMarkdownCodeBlocks removes json and bare fences', () => {
+    expect(stripMarkdownCodeBlocks('```json\n{"a":1}\n```')).toBe('{"a":1}');
+    expect(stripMarkdownCodeBlocks('  ```\n[1]\n```  ')).toBe('[1]');
+    expect(stripMarkdownCodeBlocks('{"a":1}')).toBe('{"a":1}');
+  });
+
+  test('parseJSON handles fences and truncation and throws on junk', () => {
+    expect(parseJSON('```json\n{"a": [1, 2]}\n```')).toEqual({ a: [1, 2] });
+    expect(parseJSON('{"a": [1, 2')).toEqual({ a: [1, 2] });
+    expect(() => parseJSON('not json')).toThrow();
+    expect(() => parseJSON(null)).toThrow();
+  });
+
+  describe('validateSchema', () => {
+    test('reports field-level paths for nested errors', () => {
+      const errors = validateStructured('chapter_constraints', {
+        must: [{ id: 'must_1' }],
+        must_not: 'nothing',
+        should: []
+      });
+      expect(errors).toEqual([
+        { path: 'must[0].constraint', message: 'is required' },
+        { path: 'must_not', message: 'should be array, got string' }
+      ]);
+    });
+
+    test('checks enums, integers, minimums and additionalProperties', () => {
+      const schema = {
+        type: 'object',
+        properties: { n: { type: 'integer', minimum: 1 }, mood: { enum: ['up', 'down'] } },
+        additionalProperties: { type: 'string' }
+      };
+      expect(validateSchema({ n: 2, mood: 'up', extra: 'ok' }, schema)).toEqual([]);
+      expect(validateSchema({ n: 1.5 }, schema)[0].message).toBe('should be integer, got number');
+      expect(validateSchema({ n: 0 }, schema)[0].message).toBe('should be at least 1');
+      expect(validateSchema({ mood: 'sideways' }, schema)[0].path).toBe('mood');
+      expect(validateSchema({ extra: 3 }, schema)[0]).toEqual({ path: 'extra', message: 'should be string, got integer' });
+    });
+
+    test('character ledger keys are validated as characters', () => {
+      const errors = validateStructured('character_ledger', {
+        characters: {
+          Mara: { emotional_state: 'wary', relationship_shifts: { Tomas: { direction: 'sideways' } } }
+        },
+        callback_bank: []
+      });
+      expect(errors).toHaveLength(1);
+      expect(errors[0].path).toBe('characters.Mara.relationship_shifts.Tomas.direction');
+    });
+  });
+
+  describe('buildReaskPrompt', () => {
+    test('asks only for the invalid top-level fields with their schema', () => {
+      const prompt = buildReaskPrompt('chapter_constraints', [
+        { path: 'must[0].constraint', message: 'is required' }
+      ]);
+      expect(prompt).toContain('must[0].constraint is required');
+      expect(prompt).toContain('top-level fields: "must"');
+      expect(prompt).not.toContain('"should"');
+    });
+
+    test('asks for the whole object when the response was not usable', () => {
+      const prompt = buildReaskPrompt('world_codex', [{ path: '', message: 'is not valid JSON' }]);
+      expect(prompt).toContain('Return the complete JSON object again');
+      expect(prompt).toContain('"established_facts"');
+    });
+  });
+
+  describe('parseStructured', () => {
+    test('returns valid output with the schema version and no re-ask', async () => {
+      const reask = jest.fn();
+      const result = await parseStructured('chapter_constraints', '```json\n' + JSON.stringify(constraints) + '\n```', { reask });
+      expect(result).toEqual({ data: constraints, schemaVersion: getSchema('chapter_constraints').version, reasks: 0 });
+      expect(reask).not.toHaveBeenCalled();
+    });
+
+    test('merges re-asked fields into the original output', async () => {
+      const broken = { ...constraints, must: [{ id: 'must_1' }] };
+      const reask = jest.fn().mockResolvedValue(JSON.stringify({
+        must: constraints.must,
+        should: [{ id: 'ignored', constraint: 'not asked for' }]
+      }));
+
+      const result = await parseStructured('chapter_constraints', JSON.stringify(broken), { reask });
+      expect(reask).toHaveBeenCalledTimes(1);
+      expect(reask.mock.calls[0][0]).toContain('must[0].constraint is required');
+      expect(result.data).toEqual(constraints);
+      expect(result.reasks).toBe(1);
+    });
+
+    test('throws a SchemaValidationError with field errors once re-asks run out', async () => {
+      const reask = jest.fn().mockResolvedValue('still not json');
+      const error = await parseStructured('chapter_constraints', '{"must": []}', { reask }).catch(e => e);
+      expect(error).toBeInstanceOf(SchemaValidationError);
+      expect(error.schemaName).toBe('chapter_constraints');
+      expect(error.errors.map(e => e.path)).toEqual(['must_not', 'should', 'must']);
+      expect(reask).toHaveBeenCalledTimes(1);
+    });
+
+    test('without a reask callback, invalid output throws at once', async () => {
+      await expect(parseStructured('world_ledger', '[]')).rejects.toThrow('(root) should be object, got array');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const {
+  forkAccessError,
+  forkChapterError,
+  mergeForkArc,
+  summarizeForkLineage
+} = require('../src/services/whispernet-forks');
+const { BADGE_DEFINITIONS } = require('../src/services/badges');
+const { renderPrompt } = require('../src/services/prompt-registry');
+
+describe('WhisperNet Forks', () => {
+  const author = 'author-1';
+  const reader = 'reader-1';
+  const story = { user_id: author, whispernet_published: true };
+  const publication = { is_active: true };
+
+  describe('forkAccessError', () => {
+    test('a reader can fork an active publication on their shelf', () => {
+      expect(forkAccessError({ story, publication, onShelf: true, userId: reader })).toBeNull();
+    });
+
+    test('recalled or unpublished books cannot be forked', () => {
+      expect(forkAccessError({ story, publication: { is_active: false }, onShelf: true, userId: reader }))
+        .toMatch(/no longer published/);
+      expect(forkAccessError({ story: { ...story, whispernet_published: false }, publication, onShelf: true, userId: reader }))
+        .toMatch(/no longer published/);
+      expect(forkAccessError({ story, publication: null, onShelf: true, userId: reader }))
+        .toMatch(/no longer published/);
+    });
+
+    test('the book must be on the shelf, and authors use choice points instead', () => {
+      expect(forkAccessError({ story, publication, onShelf: false, userId: reader })).toMatch(/shelf/);
+      expect(forkAccessError({ story, publication, onShelf: true, userId: author })).toMatch(/your own story/);
+    });
+  });
+
+  test('forkChapterError needs an existing chapter before the last', () => {
+    expect(forkChapterError(4, 12, 12)).toBeNull();
+    expect(forkChapterError(11, 12, 12)).toBeNull();
+    expect(forkChapterError(12, 12, 12)).toMatch(/final chapter/);
+    expect(forkChapterError(8, 6, 12)).toMatch(/only has 6 chapters/);
+    expect(forkChapterError(0, 12, 12)).toMatch(/at least 1/);
+    expect(forkChapterError(2.5, 12, 12)).toMatch(/whole number/);
+    expect(forkChapterError(NaN, 12, 12)).toMatch(/whole number/);
+  });
+
+  describe('mergeForkArc', () => {
+    const outline = (n, tag) => ({ chapter_number: n, title: `${tag} ${n}`, events_summary: `${tag} things` });
+    const original = [1, 2, 3, 4, 5].map(n => outline(n, 'Original'));
+
+    test('keeps the original outlines before the fork and the new ones after', () => {
+      const merged = mergeForkArc(original, [outline(5, 'Fork'), outline(4, 'Fork')], 4, 5);
+      expect(merged.map(c => c.title)).toEqual(['Original 1', 'Original 2', 'Original 3', 'Fork 4', 'Fork 5']);
+    });
+
+    test('throws when the new outlines skip a chapter', () => {
+      expect(() => mergeForkArc(original, [outline(4, 'Fork')], 4, 5)).toThrow('missing chapter(s) 5');
+      expect(() => mergeForkArc(original, null, 4, 5)).toThrow('missing chapter(s) 4, 5');
+    });
+  });
+
+  test('summarizeForkLineage counts forks and distinct readers for the ledger', () => {
+    const forks = [
+      { forked_by: 'r1', forker_display_name: 'Quiet Heron', forked_from_chapter: 6, created_at: '2026-03-02' },
+      { forked_by: 'r2', forker_display_name: 'Salt Lantern', forked_from_chapter: 3, created_at: '2026-03-01' },
+      { forked_by: 'r1', forker_display_name: 'Quiet Heron', forked_from_chapter: 9, created_at: '2026-02-20' }
+    ];
+    const lineage = summarizeForkLineage(forks);
+    expect(lineage.total).toBe(3);
+    expect(lineage.readers).toBe(2);
+    expect(lineage.recent[0]).toEqual({ display_name: 'Quiet Heron', forked_after_chapter: 6, forked_at: '2026-03-02' });
+    expect(summarizeForkLineage([])).toEqual({ total: 0, readers: 0, recent: [] });
+  });
+
+  test('Taproot is a story-level badge', () => {
+    expect(BADGE_DEFINITIONS.taproot).toMatchObject({ name: 'Taproot', level: 'story' });
+  });
+
+  test('the fork_arc prompt asks for the remaining chapters only', () => {
+    const { text } = renderPrompt('fork_arc', {
+      originalTitle: 'Bells',
+      genre: 'fantasy',
+      forkedAfterChapter: 6,
+      startChapter: 7,
+      totalChapters: 12,
+      bible: { title: 'Bells', characters: { protagonist: { name: 'Mara' } } },
+      storySoFar: 'Chapter 6: The Tide Turns',
+      originalPlan: 'Chapter 7: Mara rings the bell',
+      readerDirection: 'Tomas keeps the bell'
+    });
+    expect(text).toContain('Plan chapters 7-12');
+    expect(text).toContain('Mara: goals — N/A');
+    expect(text).toContain('Tomas keeps the bell');
+  });
+});